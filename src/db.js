@@ -1 +1,30 @@
-export { query, getPool, endPool } from './db/pg.js';
\ No newline at end of file
+import { getPool, query } from './db/pg.js';
+
+export { query, getPool, endPool } from './db/pg.js';
+
+/** Usa o client da transação do chamador (options.pgClient) quando houver; senão o pool. */
+export function runQuery(pgClient, text, params) {
+  if (pgClient) return pgClient.query(text, params);
+  return query(text, params);
+}
+
+/**
+ * Roda fn(client) numa transação própria, ou dentro da do chamador quando
+ * options.pgClient é passado (aí BEGIN/COMMIT/ROLLBACK ficam com ele).
+ */
+export async function withTransaction(options, fn) {
+  const ownsTransaction = !options.pgClient;
+  const pool = ownsTransaction ? await getPool() : null;
+  const client = options.pgClient || await pool.connect();
+  try {
+    if (ownsTransaction) await client.query('BEGIN');
+    const result = await fn(client);
+    if (ownsTransaction) await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    if (ownsTransaction) await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    if (ownsTransaction) client.release();
+  }
+}
@@ -61,6 +61,8 @@ function normalizeSafe(url) {
 
 // ===== 2) SSL helper (força no-verify; resolve SELF_SIGNED_CERT_IN_CHAIN)
 function sslFor(url, sniHost) {
+  // Postgres local sem TLS (ex.: banco descartável dos testes e2e): PGSSLMODE=disable
+  if (String(env.PGSSLMODE || "").trim().toLowerCase() === "disable") return false;
   try {
     const u = new NodeURL(url);
     const host = u.hostname;
@@ -18,6 +18,7 @@ import secondaryDrawsRoutes from "./routes/secondary_draws.js";
 import secondaryPaymentsRoutes from "./routes/secondary_payments.js";
 import meRoutes from "./routes/me.js";
 import communicationConsentsRoutes from "./routes/communication_consents.js";
+import emailUnsubscribeRoutes from "./routes/email_unsubscribe.js";
 import drawsRoutes from "./routes/draws.js";
 import drawsExtRoutes from "./routes/draws_ext.js";
 
@@ -33,11 +34,24 @@ import adminSecondaryDrawsRouter from "./routes/admin_secondary_draws.js";
 import adminCaptivesRouter from "./routes/admin_captives.js";
 import adminCaptivePreauthRouter from "./routes/admin_captive_preauth.js";
 import captivePreauthRouter from "./routes/captive_preauth.js";
+import adminWebhooksRouter from "./routes/admin_webhooks.js";
+import adminLotomaniaRouter from "./routes/admin_lotomania.js";
+import adminRefundsRouter from "./routes/admin_refunds.js";
+import lotomaniaRoutes from "./routes/lotomania.js";
+import cartRoutes from "./routes/cart.js";
+import waitlistRoutes from "./routes/waitlist.js";
+import transfersRoutes from "./routes/transfers.js";
+import referralRoutes from "./routes/referrals.js";
+import adminJobsRouter from "./routes/admin_jobs.js";
+import adminReferralsRouter from "./routes/admin_referrals.js";
+import adminCouponRulesRouter from "./routes/admin_coupon_rules.js";
 import {
-  processPendingCaptivePreauthExpirations,
-  getCaptivePreauthExpiryScanIntervalMs,
-  isCaptivePreauthExpiryScanEnabled,
-} from "./services/autopay/captivePreauthService.js";
+  ensureRecurringJobs,
+  getJobWorkerPollMs,
+  isJobWorkerEnabled,
+  runJobWorkerTick,
+} from "./services/jobQueue.js";
+import { registerBackgroundJobs } from "./services/backgroundJobs.js";
 
 // ✅ Config pública (GET/POST completo) e admin
 //    ATENÇÃO: usamos APENAS ESTE router para /api/config para evitar duplicidade.
@@ -74,10 +88,11 @@ import internalEmailEventsRouter from "./routes/internal_email_events.js";
 import { autoReconcile } from './middleware/autoReconcile.js';
 
 import { query, getPool } from "./db.js";
-import { ensureSchema } from "./seed.js";
+import { seedInitialData } from "./seed.js";
 import { ensureAppConfig } from "./services/config.js";
 import { validateTrayConfigAtStartup } from "./services/trayConfig.js";
 import { configureWebPush } from "./services/notifications/pushNotifications.js";
+import { assertMigrationsApplied, isMigrationBootCheckEnabled } from "./services/schemaMigrations.js";
 
 const app = express();
 // Importante para rodar atrás de proxy (Render/Nginx/Cloudflare/etc):
@@ -90,28 +105,41 @@ try { configureWebPush(); } catch {}
 
 const PORT = process.env.PORT || 4000;
 
-function startCaptivePreauthExpiryScanner() {
-  if (!isCaptivePreauthExpiryScanEnabled()) {
-    console.log("[captive-preauth] expired_pending_scan disabled");
-    return;
+// Worker da fila de jobs (public.background_jobs): reconciliação de PIX, limpeza de reservas,
+// vencimento de pré-autorizações e scheduler de sorteios. Com várias instâncias, cada job roda
+// em uma só (FOR UPDATE SKIP LOCKED).
+async function startJobWorker() {
+  if (!isJobWorkerEnabled()) {
+    console.log("[jobs] worker disabled");
+    return false;
   }
 
-  const intervalMs = getCaptivePreauthExpiryScanIntervalMs();
-  const runScan = async () => {
+  registerBackgroundJobs();
+  try {
+    await ensureRecurringJobs();
+  } catch (e) {
+    console.warn("[jobs] ensure_recurring_failed", { error: e?.code || e?.message || null });
+  }
+
+  const pollMs = getJobWorkerPollMs();
+  // Um job pode passar do intervalo de polling: não sobrepõe ticks.
+  let running = false;
+  const runTick = async () => {
+    if (running) return;
+    running = true;
     try {
-      await processPendingCaptivePreauthExpirations();
+      await runJobWorkerTick();
     } catch (e) {
-      console.warn("[captive-preauth] expired_pending_scan", {
-        expired_count: 0,
-        draw_ids: [],
-        error: e?.code || e?.message || "scan_failed",
-      });
+      console.warn("[jobs] tick", { error: e?.code || e?.message || "tick_failed" });
+    } finally {
+      running = false;
     }
   };
 
-  runScan();
-  setInterval(runScan, intervalMs);
-  console.log("[captive-preauth] expired_pending_scan scheduled", { interval_ms: intervalMs });
+  runTick();
+  setInterval(runTick, pollMs);
+  console.log("[jobs] worker started", { poll_ms: pollMs });
+  return true;
 }
 
 // Se não setar CORS_ORIGIN, usamos esta allowlist padrão
@@ -122,12 +150,15 @@ const ORIGIN =
 // ⚠️ CORS_ORIGIN deve conter SOMENTE origens (sem /api, sem paths)
 const ORIGINS = ORIGIN.split(",").map((s) => s.trim()).filter(Boolean);
 
-// Saúde do DB (mantém conexão viva em hosts free)
-setInterval(() => {
-  query("SELECT 1").catch((e) =>
-    console.warn("[health] db ping failed:", e.code || e.message)
-  );
-}, 60_000);
+// Saúde do DB (mantém conexão viva em hosts free). Com o worker ligado, o polling da fila já
+// consulta o banco a cada JOB_WORKER_POLL_MS; o ping só roda em instâncias sem worker.
+function startDbKeepAlive() {
+  setInterval(() => {
+    query("SELECT 1").catch((e) =>
+      console.warn("[health] db ping failed:", e.code || e.message)
+    );
+  }, 60_000);
+}
 
 // ── Middlewares ─────────────────────────────────────────────
 const corsOptions = {
@@ -190,8 +221,14 @@ app.use("/api/participations", paymentsRoutes); // aliases
 
 app.use("/api/me", meRoutes);
 app.use("/api/me/communication-consents", communicationConsentsRoutes);
+app.use("/api/email/unsubscribe", express.urlencoded({ extended: false }), emailUnsubscribeRoutes);
+app.use("/api/me/transfers", transfersRoutes);
+app.use("/api/me/referral", referralRoutes);
 app.use("/api/draws", drawsRoutes);
 app.use("/api/draws-ext", drawsExtRoutes);
+app.use("/api/lotomania", lotomaniaRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/waitlist", waitlistRoutes);
 
 // ── Rotas ADMIN específicas (antes do genérico) ────────────
 app.use("/api/admin/draws", adminDrawsRouter);
@@ -204,6 +241,12 @@ app.use("/api/admin/balance-history", adminBalanceHistoryRouter);
 app.use("/api/admin/secondary-draws", adminSecondaryDrawsRouter);
 app.use("/api/admin/captives", adminCaptivesRouter);
 app.use("/api/admin/captive-preauth", adminCaptivePreauthRouter);
+app.use("/api/admin/webhooks", adminWebhooksRouter);
+app.use("/api/admin/lotomania", adminLotomaniaRouter);
+app.use("/api/admin/refunds", adminRefundsRouter);
+app.use("/api/admin/jobs", adminJobsRouter);
+app.use("/api/admin/referrals", adminReferralsRouter);
+app.use("/api/admin/coupon-rules", adminCouponRulesRouter);
 
 // ✅ Config (pública e admin) — rota pública MONTADA UMA ÚNICA VEZ
 app.use("/api/config", configRouter);           // GET: preço, banner, max_select | POST: atualiza
@@ -412,20 +455,35 @@ async function bootstrap() {
     // Validação de env Vindi
     validateVindiConfig();
 
+    // Schema: só via migrations. Não sobe com arquivo pendente (rode `npm run migrate`).
+    if (isMigrationBootCheckEnabled()) {
+      try {
+        const migrations = await assertMigrationsApplied();
+        console.log(`[migrations] ok (${migrations.total} arquivos)`);
+      } catch (e) {
+        if (e?.code === "migrations_pending") {
+          console.error("[migrations] pendentes, rode `npm run migrate`:", e.pending);
+        }
+        throw e;
+      }
+    } else {
+      console.warn("[migrations] MIGRATIONS_BOOT_CHECK=false: verificação de migrations pendentes desligada.");
+    }
+
     const skipBootstrapWrites = process.env.SKIP_BOOTSTRAP_WRITES === "true";
     if (skipBootstrapWrites) {
       console.warn(
-        "[bootstrap] SKIP_BOOTSTRAP_WRITES=true: ensureSchema/ensureAppConfig nao serao executados nesta inicializacao local."
+        "[bootstrap] SKIP_BOOTSTRAP_WRITES=true: seedInitialData/ensureAppConfig nao serao executados nesta inicializacao local."
       );
     } else {
-      await ensureSchema(); // cria o schema base/tabelas
-      await ensureAppConfig(); // garante app_config e ticket_price_cents
+      await seedInitialData(); // sorteio inicial + usuário de teste
+      await ensureAppConfig(); // defaults de app_config (ticket_price_cents etc.)
     }
 
     const pool = await getPool();
     await pool.query("SELECT 1");
     console.log("[db] warmup ok");
-    startCaptivePreauthExpiryScanner();
+    if (!(await startJobWorker())) startDbKeepAlive();
 
     app.listen(PORT, () => {
       console.log(`API listening on :${PORT}`);
@@ -2,17 +2,10 @@
 import { query } from "../db.js";
 
 /**
- * Cria a tabela app_config (se não existir) e injeta o valor padrão
- * para o preço do ticket (em centavos).
+ * Injeta o valor padrão para o preço do ticket (em centavos).
+ * A tabela app_config vem da migration 000_base_schema.sql.
  */
 export async function ensureAppConfig() {
-  await query(`
-    create table if not exists app_config (
-      key text primary key,
-      value text not null,
-      updated_at timestamptz default now()
-    )
-  `);
   const def = String(process.env.PRICE_CENTS ?? "5500");
   await query(
     `insert into app_config(key,value)
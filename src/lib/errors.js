@@ -0,0 +1,9 @@
+// src/lib/errors.js
+
+/** Erro com `code` estável (as rotas mapeiam o code para status HTTP) e campos extras opcionais. */
+export function coded(code, extra = {}) {
+  const err = new Error(code);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
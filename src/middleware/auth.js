@@ -1,6 +1,8 @@
 // src/middleware/auth.js
 import jwt from 'jsonwebtoken';
 import { JWT_SECRET } from "../config/auth.js";
+import { isTokenIssuedBeforePasswordChange } from '../services/passwordReset.js';
+import { getAdminAccess, getSessionState, isAdmin2faRequired } from '../services/authSessions.js';
 
 // você pode manter AUTH_COOKIE_NAME, mas também aceitaremos nomes comuns
 const COOKIE_NAMES = [
@@ -20,7 +22,7 @@ function sanitizeToken(t) {
   return s;
 }
 
-function extractToken(req) {
+export function extractAuthToken(req) {
   // 1) Authorization
   const auth = req.headers?.authorization;
   if (auth) {
@@ -40,32 +42,74 @@ function extractToken(req) {
   return null;
 }
 
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
+  let payload;
   try {
-    const token = extractToken(req);
+    const token = extractAuthToken(req);
     if (!token) return res.status(401).json({ error: 'unauthorized' });
 
-    const payload = jwt.verify(token, JWT_SECRET);
-
-    // anexa um usuário mínimo no req
-    req.user = {
-      id: payload.id || payload.sub,
-      email: payload.email || payload.user?.email,
-      role: payload.role || payload.user?.role,
-      ...payload,
-    };
-
-    return next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (e) {
     console.warn('[auth] invalid token:', e?.message || e);
     return res.status(401).json({ error: 'unauthorized' });
   }
+
+  // Tokens emitidos antes de uma troca de senha deixam de valer.
+  try {
+    if (await isTokenIssuedBeforePasswordChange(payload)) {
+      return res.status(401).json({ error: 'token_revoked' });
+    }
+  } catch (e) {
+    console.warn('[auth] revocation check failed:', e?.code || e?.message || e);
+    return res.status(503).json({ error: 'db_unavailable' });
+  }
+
+  // Sessão revogada ("sair de todos os dispositivos", logout, reset de 2FA) ou expirada.
+  let session = null;
+  try {
+    const state = await getSessionState(payload);
+    if (!state.valid) return res.status(401).json({ error: state.reason });
+    session = state.session;
+  } catch (e) {
+    console.warn('[auth] session check failed:', e?.code || e?.message || e);
+    return res.status(503).json({ error: 'db_unavailable' });
+  }
+  req.authSession = session;
+
+  // anexa um usuário mínimo no req
+  req.user = {
+    id: payload.id || payload.sub,
+    email: payload.email || payload.user?.email,
+    role: payload.role || payload.user?.role,
+    ...payload,
+  };
+
+  return next();
 }
 
-export function requireAdmin(req, res, next) {
-  const u = req.user;
-  if (!u || !(u.role === 'admin' || u.is_admin === true)) {
-    return res.status(403).json({ error: 'forbidden' });
+/**
+ * Único middleware de admin (usar depois de requireAuth).
+ * is_admin vem do banco; com ADMIN_2FA_REQUIRED a sessão do token precisa ter 2FA verificado.
+ */
+export async function requireAdmin(req, res, next) {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+  let access;
+  try {
+    access = await getAdminAccess(userId);
+  } catch (e) {
+    console.error('[admin check] error', e?.code || e?.message || e);
+    return res.status(500).json({ error: 'admin_check_failed' });
+  }
+  if (!access.is_admin) return res.status(403).json({ error: 'forbidden' });
+
+  if (isAdmin2faRequired()) {
+    // Token sem sessão (emitido antes das sessões): precisa logar de novo.
+    if (!req.authSession) return res.status(401).json({ error: 'session_required' });
+    if (!req.authSession.mfa_verified_at) {
+      return res.status(403).json({ error: 'mfa_required', mfa_enrolled: access.totp_enabled });
+    }
   }
   return next();
 }
@@ -1,19 +1,23 @@
 // backend/src/middleware/autoReconcile.js
-import { kickReconcilePendingPayments } from '../routes/payments.js';
+import { requestRecurringJobRun } from '../services/jobQueue.js';
+import { JOB_NAMES } from '../services/backgroundJobs.js';
 
-let _inFlight = false;
+const THROTTLE_MS = 30_000;
+
+let _lastRequestAt = 0;
 
 /**
- * Dispara reconciliação de PIX pendentes em background, com throttle.
+ * Tráfego antecipa a reconciliação de PIX pendentes: a execução em si é o job recorrente
+ * 'payments_reconcile' da fila (roda em uma instância só). Throttle por processo.
  * Coloque este middleware no app (app.use(autoReconcile)).
  */
 export function autoReconcile(req, res, next) {
-  if (!_inFlight) {
-    _inFlight = true;
+  const now = Date.now();
+  if (now - _lastRequestAt >= THROTTLE_MS) {
+    _lastRequestAt = now;
     // roda sem await para não atrasar a resposta
-    kickReconcilePendingPayments()
-      .catch((e) => console.warn('[autoReconcile] error:', e?.message || e))
-      .finally(() => { _inFlight = false; });
+    requestRecurringJobRun(JOB_NAMES.PAYMENTS_RECONCILE)
+      .catch((e) => console.warn('[autoReconcile] error:', e?.message || e));
   }
   next();
 }
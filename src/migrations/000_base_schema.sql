@@ -0,0 +1,207 @@
+-- Schema base do backend, antes criado em tempo de execução:
+-- - tabelas users/draws/numbers/reservations/payments (ensureSchema em seed.js)
+-- - colunas de cupom/telefone em users (ensureUserColumns em routes/auth.js e routes/coupons.js)
+-- - kv_store (services/trayConfig.js) e app_config (services/config.js)
+-- e as tabelas que existiam no Supabase antes das migrations versionadas (draws.draw_type,
+-- app_config_new, autopay_profiles/numbers/runs, notification_templates/campaigns/dispatches/
+-- inbound_messages), só com as colunas anteriores às migrations que as alteram.
+-- Com isto `npm run migrate` monta o banco inteiro a partir de um Postgres vazio.
+-- Em bancos existentes tudo já está criado e a migration não muda nada.
+-- Idempotente / aditiva. Aplicada por `npm run migrate` (services/schemaMigrations.js).
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.users (
+  id serial PRIMARY KEY,
+  name text NOT NULL,
+  email text UNIQUE NOT NULL,
+  pass_hash text NOT NULL,
+  is_admin boolean DEFAULT false,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS is_admin boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS phone text,
+  ADD COLUMN IF NOT EXISTS coupon_code text,
+  ADD COLUMN IF NOT EXISTS tray_coupon_id text,
+  ADD COLUMN IF NOT EXISTS coupon_value_cents int4 DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS coupon_updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS last_payment_sync_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.draws (
+  id serial PRIMARY KEY,
+  status text NOT NULL DEFAULT 'open',
+  opened_at timestamptz DEFAULT now(),
+  closed_at timestamptz
+);
+
+ALTER TABLE public.draws
+  ADD COLUMN IF NOT EXISTS created_at timestamptz DEFAULT now(),
+  ADD COLUMN IF NOT EXISTS draw_type text NOT NULL DEFAULT 'principal',
+  ADD COLUMN IF NOT EXISTS product_name text,
+  ADD COLUMN IF NOT EXISTS product_link text,
+  ADD COLUMN IF NOT EXISTS autopay_ran_at timestamptz,
+  ADD COLUMN IF NOT EXISTS winner_number int4,
+  ADD COLUMN IF NOT EXISTS winner_user_id int4,
+  ADD COLUMN IF NOT EXISTS winner_name text,
+  ADD COLUMN IF NOT EXISTS realized_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.numbers (
+  draw_id int REFERENCES public.draws(id) ON DELETE CASCADE,
+  n smallint NOT NULL,
+  status text NOT NULL DEFAULT 'available',
+  reservation_id uuid,
+  PRIMARY KEY (draw_id, n)
+);
+
+CREATE TABLE IF NOT EXISTS public.reservations (
+  id uuid PRIMARY KEY,
+  user_id int REFERENCES public.users(id) ON DELETE CASCADE,
+  draw_id int REFERENCES public.draws(id) ON DELETE CASCADE,
+  numbers int[] NOT NULL,
+  status text NOT NULL DEFAULT 'active',
+  expires_at timestamptz NOT NULL,
+  payment_id text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.payments (
+  id text PRIMARY KEY,
+  user_id int REFERENCES public.users(id) ON DELETE SET NULL,
+  draw_id int REFERENCES public.draws(id) ON DELETE SET NULL,
+  numbers int[] NOT NULL,
+  amount_cents int NOT NULL,
+  status text NOT NULL,
+  qr_code text,
+  qr_code_base64 text,
+  created_at timestamptz DEFAULT now(),
+  paid_at timestamptz
+);
+
+-- Bancos antigos podem ter kv_store com (key, value); trayConfig.js detecta o formato.
+CREATE TABLE IF NOT EXISTS public.kv_store (
+  k text PRIMARY KEY,
+  v text,
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.app_config (
+  key text PRIMARY KEY,
+  value text NOT NULL,
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Configuração por sorteio (id = draws.id em texto)
+CREATE TABLE IF NOT EXISTS public.app_config_new (
+  id text PRIMARY KEY,
+  banner_title text,
+  ticket_price_cents int4,
+  max_numbers_per_selection int4,
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.autopay_profiles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id int NOT NULL UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+  active boolean NOT NULL DEFAULT true,
+  mp_customer_id text,
+  mp_card_id text,
+  brand text,
+  last4 text,
+  holder_name text,
+  doc_number text,
+  authorization_mode boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.autopay_numbers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  autopay_id uuid NOT NULL REFERENCES public.autopay_profiles(id) ON DELETE CASCADE,
+  n int2 NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.autopay_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  autopay_id uuid,
+  user_id int,
+  draw_id int,
+  tried_numbers int2[],
+  bought_numbers int2[],
+  status text,
+  error text,
+  payment_id text
+);
+
+CREATE TABLE IF NOT EXISTS public.notification_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_key text NOT NULL,
+  channel text NOT NULL,
+  provider text NOT NULL,
+  provider_template_id text,
+  name text,
+  description text,
+  body_preview text,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (template_key, channel, provider)
+);
+
+CREATE TABLE IF NOT EXISTS public.notification_campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text,
+  channel text NOT NULL,
+  provider text NOT NULL,
+  template_key text,
+  provider_template_id text,
+  audience_filter text,
+  audience_params jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'draft',
+  created_by int4 REFERENCES public.users(id) ON DELETE SET NULL,
+  payload jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.notification_dispatches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id text,
+  event_key text,
+  channel text NOT NULL,
+  provider text NOT NULL,
+  user_id int4 REFERENCES public.users(id) ON DELETE SET NULL,
+  draw_id int4 REFERENCES public.draws(id) ON DELETE SET NULL,
+  recipient text,
+  recipient_original text,
+  recipient_forced boolean NOT NULL DEFAULT false,
+  template_key text,
+  provider_template_id text,
+  status text NOT NULL DEFAULT 'pending',
+  payload jsonb,
+  attempts int4 NOT NULL DEFAULT 0,
+  provider_message_id text,
+  response jsonb,
+  error_message text,
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.notification_inbound_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider text NOT NULL,
+  channel text NOT NULL,
+  conversation_id text,
+  message_id text,
+  from_phone text,
+  to_phone text,
+  user_id int4 REFERENCES public.users(id) ON DELETE SET NULL,
+  text text,
+  event_name text,
+  raw_payload jsonb,
+  status text NOT NULL DEFAULT 'received',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- Redefinicao de senha por token de uso unico (substitui o envio de senha nova por e-mail).
+
+BEGIN;
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS password_changed_at timestamptz NULL;
+
+CREATE TABLE IF NOT EXISTS public.password_reset_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz NULL,
+  revoked_at timestamptz NULL,
+  failed_attempts int4 NOT NULL DEFAULT 0,
+  requested_ip text NULL,
+  requested_user_agent text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT password_reset_tokens_token_hash_key UNIQUE (token_hash),
+  CONSTRAINT password_reset_tokens_failed_attempts_check CHECK (failed_attempts >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_created
+  ON public.password_reset_tokens (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_active
+  ON public.password_reset_tokens (user_id, expires_at)
+  WHERE used_at IS NULL AND revoked_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,50 @@
+-- Inbox de webhooks (Mercado Pago e Vindi): todo evento bruto e gravado antes de processar.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider text NOT NULL,
+  endpoint text NOT NULL,
+  provider_event_id text NULL,
+  event_type text NULL,
+  resource_id text NULL,
+  status text NOT NULL DEFAULT 'received',
+  signature_status text NOT NULL,
+  rejection_reason text NULL,
+  duplicate_of uuid NULL REFERENCES public.webhook_events(id) ON DELETE SET NULL,
+  headers jsonb NOT NULL DEFAULT '{}'::jsonb,
+  query jsonb NOT NULL DEFAULT '{}'::jsonb,
+  payload jsonb NULL,
+  attempts int4 NOT NULL DEFAULT 0,
+  last_error text NULL,
+  result jsonb NULL,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT webhook_events_provider_check
+    CHECK (provider IN ('mercadopago', 'vindi')),
+  CONSTRAINT webhook_events_status_check
+    CHECK (status IN ('received', 'processing', 'processed', 'failed', 'rejected', 'duplicate')),
+  CONSTRAINT webhook_events_signature_status_check
+    CHECK (signature_status IN ('valid', 'invalid', 'missing', 'not_configured', 'internal'))
+);
+
+-- Um evento do provedor e processado uma unica vez por endpoint.
+-- Entregas repetidas e rejeitadas ficam gravadas, mas fora do indice.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_webhook_events_provider_event
+  ON public.webhook_events (provider, endpoint, provider_event_id)
+  WHERE provider_event_id IS NOT NULL
+    AND status NOT IN ('rejected', 'duplicate');
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status_received
+  ON public.webhook_events (status, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_provider_received
+  ON public.webhook_events (provider, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_resource
+  ON public.webhook_events (provider, resource_id);
+
+COMMIT;
@@ -0,0 +1,60 @@
+-- Resultado da Lotomania: concurso registrado pelo admin e resolucao automatica do ganhador.
+-- Registros de auditoria imutaveis (UPDATE/DELETE bloqueados por trigger).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.lotomania_contests (
+  id bigserial PRIMARY KEY,
+  contest_number int4 NOT NULL,
+  draw_date date NOT NULL,
+  -- Dezenas na ordem em que foram sorteadas (a ultima define o ganhador).
+  drawn_numbers int2[] NOT NULL,
+  created_by_user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT lotomania_contests_contest_number_key UNIQUE (contest_number),
+  CONSTRAINT lotomania_contests_contest_number_check CHECK (contest_number > 0),
+  CONSTRAINT lotomania_contests_drawn_numbers_check
+    CHECK (cardinality(drawn_numbers) = 20 AND 0 <= ALL (drawn_numbers) AND 99 >= ALL (drawn_numbers))
+);
+
+CREATE TABLE IF NOT EXISTS public.lotomania_draw_results (
+  id bigserial PRIMARY KEY,
+  contest_id int8 NOT NULL REFERENCES public.lotomania_contests(id) ON DELETE RESTRICT,
+  draw_id int4 NOT NULL REFERENCES public.draws(id) ON DELETE RESTRICT,
+  last_drawn_number int2 NOT NULL,
+  winner_number int2 NOT NULL,
+  winner_position int2 NOT NULL,
+  winner_user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  winner_payment_id text NULL,
+  rule_applied text NOT NULL,
+  derivation jsonb NOT NULL DEFAULT '[]'::jsonb,
+  resolved_by_user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT lotomania_draw_results_draw_id_key UNIQUE (draw_id),
+  CONSTRAINT lotomania_draw_results_rule_check
+    CHECK (rule_applied IN ('last_drawn_number', 'previous_drawn_number'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lotomania_draw_results_contest
+  ON public.lotomania_draw_results (contest_id);
+
+CREATE OR REPLACE FUNCTION public.lotomania_block_changes()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'lotomania_audit_immutable' USING ERRCODE = 'P0001';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_lotomania_contests_immutable ON public.lotomania_contests;
+CREATE TRIGGER trg_lotomania_contests_immutable
+  BEFORE UPDATE OR DELETE ON public.lotomania_contests
+  FOR EACH ROW EXECUTE FUNCTION public.lotomania_block_changes();
+
+DROP TRIGGER IF EXISTS trg_lotomania_draw_results_immutable ON public.lotomania_draw_results;
+CREATE TRIGGER trg_lotomania_draw_results_immutable
+  BEFORE UPDATE OR DELETE ON public.lotomania_draw_results
+  FOR EACH ROW EXECUTE FUNCTION public.lotomania_block_changes();
+
+COMMIT;
@@ -0,0 +1,62 @@
+-- Estornos e chargebacks (PIX Mercado Pago e Vindi): auditoria, números devolvidos e estorno do saldo.
+
+BEGIN;
+
+-- Números estornados saem de payments.numbers e ficam registrados aqui.
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS refunded_numbers int4[] NOT NULL DEFAULT '{}'::int4[],
+  ADD COLUMN IF NOT EXISTS refunded_cents int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz NULL;
+
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id text NOT NULL REFERENCES public.payments(id) ON DELETE RESTRICT,
+  user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  draw_id int4 NULL,
+  provider text NOT NULL,
+  kind text NOT NULL,
+  source text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  numbers int4[] NOT NULL DEFAULT '{}'::int4[],
+  number_action text NULL,
+  amount_cents int4 NOT NULL DEFAULT 0,
+  coupon_reversed_cents int4 NOT NULL DEFAULT 0,
+  coupon_uncollected_cents int4 NOT NULL DEFAULT 0,
+  provider_refund_id text NULL,
+  provider_status text NULL,
+  reason text NULL,
+  admin_user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  last_error text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz NULL,
+  CONSTRAINT payment_refunds_kind_check CHECK (kind IN ('refund', 'chargeback')),
+  CONSTRAINT payment_refunds_source_check CHECK (source IN ('admin', 'webhook')),
+  CONSTRAINT payment_refunds_status_check CHECK (status IN ('pending', 'completed', 'failed')),
+  CONSTRAINT payment_refunds_number_action_check
+    CHECK (number_action IS NULL OR number_action IN ('released', 'voided'))
+);
+
+-- Um estorno em andamento por pagamento (evita estorno duplo no provedor).
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payment_refunds_pending
+  ON public.payment_refunds (payment_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment
+  ON public.payment_refunds (payment_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_created
+  ON public.payment_refunds (created_at DESC);
+
+-- O ledger de saldo aceita vários estornos parciais do mesmo payment:
+-- a unicidade de DEBIT_REFUND/DEBIT_CHARGEBACK passa a ser por estorno (meta.refund_id).
+DROP INDEX IF EXISTS public.uq_coupon_hist_payment_event_type;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_coupon_hist_payment_event_type
+  ON public.coupon_balance_history (payment_id, event_type)
+  WHERE payment_id IS NOT NULL
+    AND event_type NOT IN ('DEBIT_REFUND', 'DEBIT_CHARGEBACK');
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_coupon_hist_refund_reversal
+  ON public.coupon_balance_history ((meta->>'refund_id'))
+  WHERE event_type IN ('DEBIT_REFUND', 'DEBIT_CHARGEBACK');
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Tamanho da cartela por sorteio (antes fixo em 00–99).
+
+BEGIN;
+
+ALTER TABLE public.draws
+  ADD COLUMN IF NOT EXISTS number_count int4 NOT NULL DEFAULT 100;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'draws_number_count_check'
+       AND conrelid = 'public.draws'::regclass
+  ) THEN
+    ALTER TABLE public.draws
+      ADD CONSTRAINT draws_number_count_check
+      CHECK (number_count BETWEEN 1 AND 10000);
+  END IF;
+END $$;
+
+-- Sorteios já criados via /api/admin/dashboard/new com number_count diferente de 100.
+UPDATE public.draws d
+   SET number_count = s.max_n + 1
+  FROM (
+    SELECT draw_id, MAX(n) AS max_n
+      FROM public.numbers
+     GROUP BY draw_id
+  ) s
+ WHERE s.draw_id = d.id
+   AND s.max_n + 1 BETWEEN 1 AND 10000
+   AND d.number_count <> s.max_n + 1;
+
+COMMIT;
@@ -0,0 +1,66 @@
+-- Abertura e encerramento agendados de sorteios + política para o prazo sem venda total.
+
+BEGIN;
+
+-- status 'scheduled': criado com scheduled_open_at no futuro; o scheduler abre na hora marcada.
+ALTER TABLE public.draws
+  ADD COLUMN IF NOT EXISTS scheduled_open_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS scheduled_close_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS deadline_policy text NULL,
+  ADD COLUMN IF NOT EXISTS deadline_extensions int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS deadline_outcome text NULL,
+  ADD COLUMN IF NOT EXISTS deadline_processed_at timestamptz NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'draws_deadline_policy_check'
+       AND conrelid = 'public.draws'::regclass
+  ) THEN
+    ALTER TABLE public.draws
+      ADD CONSTRAINT draws_deadline_policy_check
+      CHECK (deadline_policy IS NULL OR deadline_policy IN ('run', 'extend', 'refund'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'draws_deadline_outcome_check'
+       AND conrelid = 'public.draws'::regclass
+  ) THEN
+    ALTER TABLE public.draws
+      ADD CONSTRAINT draws_deadline_outcome_check
+      CHECK (deadline_outcome IS NULL OR deadline_outcome IN ('run', 'extended', 'refunding', 'refunded'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'draws_schedule_order_check'
+       AND conrelid = 'public.draws'::regclass
+  ) THEN
+    ALTER TABLE public.draws
+      ADD CONSTRAINT draws_schedule_order_check
+      CHECK (
+        scheduled_open_at IS NULL
+        OR scheduled_close_at IS NULL
+        OR scheduled_close_at > scheduled_open_at
+      );
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_draws_scheduled_open
+  ON public.draws (scheduled_open_at)
+  WHERE status = 'scheduled';
+
+CREATE INDEX IF NOT EXISTS idx_draws_scheduled_close
+  ON public.draws (scheduled_close_at)
+  WHERE status = 'open' AND scheduled_close_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_draws_deadline_refunding
+  ON public.draws (id)
+  WHERE deadline_outcome = 'refunding';
+
+COMMIT;
@@ -0,0 +1,50 @@
+-- Fila de jobs em background no Postgres (substitui os setInterval do processo).
+-- Workers de várias instâncias disputam os jobs com FOR UPDATE SKIP LOCKED.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.background_jobs (
+  id bigserial PRIMARY KEY,
+  name text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'queued',
+  dedupe_key text NULL,
+  run_at timestamptz NOT NULL DEFAULT now(),
+  attempts int4 NOT NULL DEFAULT 0,
+  max_attempts int4 NOT NULL DEFAULT 5,
+  locked_by text NULL,
+  locked_at timestamptz NULL,
+  last_error text NULL,
+  result jsonb NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz NULL,
+  finished_at timestamptz NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT background_jobs_status_check
+    CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+  CONSTRAINT background_jobs_max_attempts_check
+    CHECK (max_attempts >= 1)
+);
+
+-- Uma execução pendente por chave (ex.: 'recurring:db_ping'); execuções terminadas ficam fora do índice.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_background_jobs_dedupe_pending
+  ON public.background_jobs (dedupe_key)
+  WHERE dedupe_key IS NOT NULL
+    AND status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_due
+  ON public.background_jobs (run_at, id)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_running
+  ON public.background_jobs (locked_at)
+  WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_status_created
+  ON public.background_jobs (status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_name_created
+  ON public.background_jobs (name, created_at DESC);
+
+COMMIT;
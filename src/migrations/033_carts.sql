@@ -0,0 +1,51 @@
+-- Carrinho: números de sorteios principal/adicional/secundário pagos com um único PIX.
+-- Cada sorteio do carrinho continua com sua reserva e, no checkout, ganha sua própria linha
+-- em public.payments (id '<id MP>:<draw_id>', provider_payment_id = id do pagamento no MP).
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.carts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'open',
+  expires_at timestamptz NOT NULL,
+  amount_cents int4 NOT NULL DEFAULT 0,
+  provider text NULL,
+  provider_payment_id text NULL,
+  payment_status text NULL,
+  qr_code text NULL,
+  qr_code_base64 text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  checkout_at timestamptz NULL,
+  paid_at timestamptz NULL,
+  CONSTRAINT carts_status_check
+    CHECK (status IN ('open', 'checkout', 'pending_payment', 'paid', 'expired', 'failed'))
+);
+
+-- Um carrinho aberto (ou em checkout) por usuário.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_carts_user_active
+  ON public.carts (user_id)
+  WHERE status IN ('open', 'checkout', 'pending_payment');
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_carts_provider_payment
+  ON public.carts (provider_payment_id)
+  WHERE provider_payment_id IS NOT NULL;
+
+ALTER TABLE public.reservations
+  ADD COLUMN IF NOT EXISTS cart_id uuid NULL REFERENCES public.carts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reservations_cart
+  ON public.reservations (cart_id)
+  WHERE cart_id IS NOT NULL;
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS cart_id uuid NULL REFERENCES public.carts(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS provider_payment_id text NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_provider_payment
+  ON public.payments (provider_payment_id)
+  WHERE provider_payment_id IS NOT NULL;
+
+COMMIT;
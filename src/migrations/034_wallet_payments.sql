@@ -0,0 +1,58 @@
+-- Pagamento com saldo: números pagos total ou parcialmente com o saldo de cupom
+-- (users.coupon_value_cents) e/ou o saldo de vencedor (users.winner_balance_cents); o resto via PIX.
+-- payments.amount_cents continua sendo o valor total; wallet_*_cents guarda a parte paga com saldo.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS wallet_coupon_cents int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS wallet_winner_cents int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS wallet_released_at timestamptz NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'payments_wallet_cents_check'
+       AND conrelid = 'public.payments'::regclass
+  ) THEN
+    ALTER TABLE public.payments
+      ADD CONSTRAINT payments_wallet_cents_check
+      CHECK (wallet_coupon_cents >= 0 AND wallet_winner_cents >= 0);
+  END IF;
+END $$;
+
+-- Saldo devolvido por estorno (parcela proporcional da parte paga com saldo).
+ALTER TABLE public.payment_refunds
+  ADD COLUMN IF NOT EXISTS wallet_coupon_cents int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS wallet_winner_cents int4 NOT NULL DEFAULT 0;
+
+-- Histórico do saldo de vencedor: débitos/devoluções ligados ao pagamento.
+ALTER TABLE public.winner_balance_history
+  ADD COLUMN IF NOT EXISTS payment_id text NULL REFERENCES public.payments(id) ON DELETE SET NULL;
+
+ALTER TABLE public.winner_balance_history
+  DROP CONSTRAINT IF EXISTS winner_balance_history_action_check;
+ALTER TABLE public.winner_balance_history
+  ADD CONSTRAINT winner_balance_history_action_check
+  CHECK (action IN ('ASSIGNED', 'UPDATED', 'HIDDEN', 'DEBITED', 'RETURNED'));
+
+CREATE INDEX IF NOT EXISTS idx_winner_balance_history_payment
+  ON public.winner_balance_history (payment_id)
+  WHERE payment_id IS NOT NULL;
+
+-- Ledger de cupom: DEBIT_WALLET_PAYMENT / CREDIT_WALLET_RELEASE são um por payment;
+-- CREDIT_WALLET_REFUND é um por estorno (meta.refund_id), como DEBIT_REFUND.
+DROP INDEX IF EXISTS public.uq_coupon_hist_payment_event_type;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_coupon_hist_payment_event_type
+  ON public.coupon_balance_history (payment_id, event_type)
+  WHERE payment_id IS NOT NULL
+    AND event_type NOT IN ('DEBIT_REFUND', 'DEBIT_CHARGEBACK', 'CREDIT_WALLET_REFUND');
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_coupon_hist_wallet_refund
+  ON public.coupon_balance_history ((meta->>'refund_id'))
+  WHERE event_type = 'CREDIT_WALLET_REFUND';
+
+COMMIT;
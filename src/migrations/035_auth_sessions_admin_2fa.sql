@@ -0,0 +1,32 @@
+-- Sessões no servidor (JWT com claim `sid`) e 2FA (TOTP) obrigatório para admins.
+-- Toda sessão pode ser listada e revogada; rotas admin exigem sessão com 2FA verificado.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id uuid PRIMARY KEY,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_seen_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  ip text NULL,
+  user_agent text NULL,
+  mfa_verified_at timestamptz NULL,
+  mfa_failed_attempts int4 NOT NULL DEFAULT 0,
+  revoked_at timestamptz NULL,
+  revoked_reason text NULL,
+  revoked_by int4 NULL REFERENCES public.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_active
+  ON public.auth_sessions (user_id, created_at DESC)
+  WHERE revoked_at IS NULL;
+
+-- Segredo TOTP cifrado (src/services/totp.js); totp_enabled_at NULL = cadastro pendente.
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS totp_secret text NULL,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz NULL,
+  ADD COLUMN IF NOT EXISTS totp_last_step int8 NULL;
+
+COMMIT;
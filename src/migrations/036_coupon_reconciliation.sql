@@ -0,0 +1,44 @@
+-- Reconciliação do ledger de saldo (coupon_balance_history x users.coupon_value_cents x payments).
+-- Substitui as auditorias manuais de scripts/sql: o job 'coupon_ledger_reconcile' grava as divergências
+-- aqui e o admin aplica o reparo (lançamento compensatório no ledger, com admin e motivo).
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.coupon_reconciliation_discrepancies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL,
+  subject_key text NOT NULL,
+  user_id int4 NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  payment_id text NULL REFERENCES public.payments(id) ON DELETE SET NULL,
+  reservation_id text NULL,
+  expected_cents int4 NULL,
+  actual_cents int4 NULL,
+  diff_cents int4 NULL,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'open',
+  first_seen_at timestamptz NOT NULL DEFAULT now(),
+  last_seen_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz NULL,
+  resolved_by int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  resolution_reason text NULL,
+  repair_ledger_id uuid NULL,
+  CONSTRAINT coupon_reconciliation_kind_check
+    CHECK (kind IN ('user_balance_vs_ledger', 'payment_missing_credit', 'payment_credit_mismatch', 'paid_reservation_without_payment')),
+  CONSTRAINT coupon_reconciliation_status_check
+    CHECK (status IN ('open', 'repaired', 'ignored', 'resolved'))
+);
+
+-- Uma divergência aberta por assunto (user:<id>, payment:<id>, reservation:<id>) e tipo.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_coupon_reconciliation_open
+  ON public.coupon_reconciliation_discrepancies (kind, subject_key)
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_coupon_reconciliation_status
+  ON public.coupon_reconciliation_discrepancies (status, last_seen_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_reconciliation_user
+  ON public.coupon_reconciliation_discrepancies (user_id)
+  WHERE user_id IS NOT NULL;
+
+COMMIT;
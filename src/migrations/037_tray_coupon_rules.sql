@@ -0,0 +1,52 @@
+-- Regras do cupom Tray versionadas (antes fixas em services/trayCouponEnsure.js):
+-- mínimo de saldo, tabela saldo -> compra mínima (value_start), validade e limites de uso.
+-- Só um conjunto fica 'active'; os demais são 'draft' (proposta) ou 'archived' (histórico).
+-- A versão 1 é a tabela que estava no código.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.tray_coupon_rule_sets (
+  id bigserial PRIMARY KEY,
+  version int4 NOT NULL UNIQUE,
+  name text NOT NULL,
+  rules jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'draft',
+  notes text NULL,
+  created_by int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  activated_by int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  activated_at timestamptz NULL,
+  archived_at timestamptz NULL,
+  CONSTRAINT tray_coupon_rule_sets_status_check CHECK (status IN ('draft', 'active', 'archived'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tray_coupon_rule_sets_active
+  ON public.tray_coupon_rule_sets ((true))
+  WHERE status = 'active';
+
+INSERT INTO public.tray_coupon_rule_sets (version, name, rules, status, notes, activated_at)
+SELECT 1,
+       'Tabela original',
+       '{
+          "min_gift_brl": 50,
+          "tiers": [
+            {"min_gift_brl": 50, "max_gift_brl": 250, "min_purchase_brl": 1500},
+            {"min_gift_brl": 251, "max_gift_brl": 600, "min_purchase_brl": 3500},
+            {"min_gift_brl": 601, "max_gift_brl": 800, "min_purchase_brl": 5500},
+            {"min_gift_brl": 801, "max_gift_brl": 1100, "min_purchase_brl": 7500},
+            {"min_gift_brl": 1101, "max_gift_brl": 2100, "min_purchase_brl": 15000},
+            {"min_gift_brl": 2101, "max_gift_brl": 3100, "min_purchase_brl": 22500},
+            {"min_gift_brl": 3101, "max_gift_brl": 4200, "min_purchase_brl": 30000}
+          ],
+          "fallback_min_purchase_brl": 30000,
+          "validity_months": 6,
+          "usage_counter_limit": 1,
+          "usage_counter_limit_customer": 1
+        }'::jsonb,
+       'active',
+       'Migrada de services/trayCouponEnsure.js',
+       now()
+ WHERE NOT EXISTS (SELECT 1 FROM public.tray_coupon_rule_sets);
+
+COMMIT;
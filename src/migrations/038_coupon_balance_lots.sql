@@ -0,0 +1,65 @@
+-- Vencimento do saldo de cupom por lotes (services/couponBalanceExpiry.js).
+-- Cada crédito do ledger vira um lote com vencimento próprio; débitos consomem os lotes em FIFO
+-- (vencimento mais próximo primeiro). No vencimento, o que sobrou do lote vira uma linha 'EXPIRED'
+-- no ledger e sai de users.coupon_value_cents.
+-- coupon_balance_history.lot_applied_at marca as linhas do ledger já refletidas nos lotes.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.coupon_balance_lots (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  source_history_id uuid NULL UNIQUE,
+  payment_id text NULL,
+  amount_cents int4 NOT NULL,
+  remaining_cents int4 NOT NULL,
+  credited_at timestamptz NOT NULL,
+  expires_at timestamptz NOT NULL,
+  validity_months int4 NOT NULL,
+  status text NOT NULL DEFAULT 'open',
+  notified_threshold_days int4 NULL,
+  expired_at timestamptz NULL,
+  expired_history_id uuid NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT coupon_balance_lots_amount_check CHECK (amount_cents > 0),
+  CONSTRAINT coupon_balance_lots_remaining_check CHECK (remaining_cents >= 0 AND remaining_cents <= amount_cents),
+  CONSTRAINT coupon_balance_lots_status_check CHECK (status IN ('open', 'consumed', 'expired'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_balance_lots_user_open
+  ON public.coupon_balance_lots (user_id, expires_at, credited_at)
+  WHERE remaining_cents > 0;
+
+CREATE INDEX IF NOT EXISTS idx_coupon_balance_lots_expiring
+  ON public.coupon_balance_lots (expires_at)
+  WHERE remaining_cents > 0;
+
+-- Quanto cada linha do ledger tirou/devolveu de cada lote (para devolver um débito ao mesmo lote).
+CREATE TABLE IF NOT EXISTS public.coupon_balance_lot_movements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  lot_id uuid NOT NULL REFERENCES public.coupon_balance_lots(id) ON DELETE CASCADE,
+  history_id uuid NULL,
+  payment_id text NULL,
+  kind text NOT NULL,
+  delta_cents int4 NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT coupon_balance_lot_movements_kind_check CHECK (kind IN ('credit', 'consume', 'restore', 'expire'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_balance_lot_movements_payment
+  ON public.coupon_balance_lot_movements (payment_id)
+  WHERE payment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_coupon_balance_lot_movements_lot
+  ON public.coupon_balance_lot_movements (lot_id);
+
+ALTER TABLE public.coupon_balance_history
+  ADD COLUMN IF NOT EXISTS lot_applied_at timestamptz NULL;
+
+CREATE INDEX IF NOT EXISTS idx_coupon_balance_history_lot_pending
+  ON public.coupon_balance_history (created_at, id)
+  WHERE lot_applied_at IS NULL;
+
+COMMIT;
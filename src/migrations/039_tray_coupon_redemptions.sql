@@ -0,0 +1,45 @@
+-- Uso do cupom NSU na loja Tray (services/trayOrderSync.js).
+-- Cada pedido Tray pago com cupom NSU-xxxx é registrado uma única vez (tray_order_id) e vira uma
+-- linha 'REDEEMED' no ledger (coupon_balance_history), debitando users.coupon_value_cents.
+-- Pedidos chegam pela notificação da Tray (/api/integrations/tray/notifications, gravada em
+-- webhook_events com provider 'tray') ou pela varredura periódica de pedidos.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.tray_coupon_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tray_order_id text NOT NULL UNIQUE,
+  user_id int4 NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  coupon_code text NOT NULL,
+  order_status text NULL,
+  order_date timestamptz NULL,
+  order_total_cents int4 NULL,
+  discount_cents int4 NOT NULL DEFAULT 0,
+  debited_cents int4 NOT NULL DEFAULT 0,
+  status text NOT NULL,
+  reason text NULL,
+  history_id uuid NULL,
+  source text NOT NULL,
+  coupon_rotated_to text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT tray_coupon_redemptions_status_check CHECK (status IN ('redeemed', 'ignored')),
+  CONSTRAINT tray_coupon_redemptions_source_check CHECK (source IN ('webhook', 'poll', 'admin')),
+  CONSTRAINT tray_coupon_redemptions_amounts_check CHECK (discount_cents >= 0 AND debited_cents >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tray_coupon_redemptions_user
+  ON public.tray_coupon_redemptions (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_tray_coupon_redemptions_created
+  ON public.tray_coupon_redemptions (created_at DESC);
+
+-- Notificações da Tray passam pelo mesmo inbox dos pagamentos.
+ALTER TABLE public.webhook_events
+  DROP CONSTRAINT IF EXISTS webhook_events_provider_check;
+ALTER TABLE public.webhook_events
+  ADD CONSTRAINT webhook_events_provider_check
+    CHECK (provider IN ('mercadopago', 'vindi', 'tray'));
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Lista de espera por números do sorteio principal (services/numberWaitlist.js).
+-- O usuário entra na fila de um número reservado por outra pessoa; quando o número volta a ficar
+-- disponível, o primeiro da fila ganha uma reserva exclusiva curta (reservation_id) e um aviso.
+-- Oferta não paga expira com a reserva e o número passa ao próximo da fila.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.number_waitlist (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  draw_id int4 NOT NULL REFERENCES public.draws(id) ON DELETE CASCADE,
+  n int4 NOT NULL,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'waiting',
+  reservation_id uuid NULL,
+  offered_at timestamptz NULL,
+  offer_expires_at timestamptz NULL,
+  resolved_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT number_waitlist_status_check
+    CHECK (status IN ('waiting', 'offered', 'fulfilled', 'expired', 'cancelled'))
+);
+
+-- Uma entrada viva por usuário e número.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_number_waitlist_user_active
+  ON public.number_waitlist (draw_id, n, user_id)
+  WHERE status IN ('waiting', 'offered');
+
+-- No máximo uma oferta aberta por número.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_number_waitlist_offer
+  ON public.number_waitlist (draw_id, n)
+  WHERE status = 'offered';
+
+-- Ordem da fila.
+CREATE INDEX IF NOT EXISTS idx_number_waitlist_queue
+  ON public.number_waitlist (draw_id, n, created_at, id)
+  WHERE status = 'waiting';
+
+CREATE INDEX IF NOT EXISTS idx_number_waitlist_user
+  ON public.number_waitlist (user_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Transferência de números pagos entre usuários (services/numberTransfers.js).
+-- O dono inicia a transferência de um número pago de sorteio aberto para o e-mail/telefone de outro
+-- usuário; ao aceitar, o número sai do payment de origem (payments.transferred_numbers) e vai para
+-- um payment 'transfer' de valor zero do destinatário, com reserva paga própria.
+-- number_transfers guarda o histórico completo (pendentes, aceitas, recusadas, canceladas, expiradas).
+-- Idempotente / aditiva.
+
+BEGIN;
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS transferred_numbers int4[] NOT NULL DEFAULT '{}'::int4[];
+
+CREATE TABLE IF NOT EXISTS public.number_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  draw_id int4 NOT NULL REFERENCES public.draws(id) ON DELETE CASCADE,
+  n int4 NOT NULL,
+  from_user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  to_user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'pending',
+  source_payment_id text NOT NULL,
+  target_payment_id text NULL,
+  expires_at timestamptz NOT NULL,
+  resolved_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT number_transfers_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+  CONSTRAINT number_transfers_distinct_users_check
+    CHECK (from_user_id <> to_user_id)
+);
+
+-- No máximo uma transferência pendente por número.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_number_transfers_pending
+  ON public.number_transfers (draw_id, n)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_number_transfers_from_user
+  ON public.number_transfers (from_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_number_transfers_to_user
+  ON public.number_transfers (to_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_number_transfers_draw
+  ON public.number_transfers (draw_id, n, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Programa de indicação (services/referrals.js).
+-- Cada usuário tem um código (users.referral_code, gerado sob demanda); quem se cadastra com o
+-- código fica ligado ao indicador em referrals. No primeiro PIX aprovado do indicado o indicador
+-- ganha saldo de cupom no mesmo ledger (coupon_balance_history, event_type 'CREDIT_REFERRAL').
+-- Indicações barradas pelas travas (mesmo telefone/documento, limite mensal) ficam 'rejected'.
+-- Idempotente / aditiva.
+
+BEGIN;
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS referral_code text NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_users_referral_code
+  ON public.users (upper(referral_code))
+  WHERE referral_code IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.referrals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  referred_user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  code text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  reject_reason text NULL,
+  reward_cents int4 NULL,
+  qualifying_payment_id text NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  converted_at timestamptz NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT referrals_status_check
+    CHECK (status IN ('pending', 'rewarded', 'rejected')),
+  CONSTRAINT referrals_distinct_users_check
+    CHECK (referrer_user_id <> referred_user_id)
+);
+
+-- Um indicador por usuário indicado.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_referrals_referred_user
+  ON public.referrals (referred_user_id);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer
+  ON public.referrals (referrer_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_status_created
+  ON public.referrals (status, created_at DESC);
+
+COMMIT;
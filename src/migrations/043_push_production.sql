@@ -0,0 +1,67 @@
+-- Web Push em produção (services/notifications/pushPreferences.js, pushSegments.js).
+-- - push_subscriptions: várias por usuário; as colunas que só existiam na variante
+--   016_push_notifications_single_device_test passam a existir nas duas instalações
+-- - push_preferences: opt-in por categoria, por usuário (vale para todos os dispositivos).
+--   Backfill a partir da subscription ativa mais recente (operational/marketing)
+-- - regras automáticas ganham categoria própria (draws/balance) para respeitar o opt-in
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+ALTER TABLE public.push_subscriptions
+  ADD COLUMN IF NOT EXISTS test_label text NULL,
+  ADD COLUMN IF NOT EXISTS operational_opt_in boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS marketing_opt_in boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_active
+  ON public.push_subscriptions (user_id, updated_at DESC)
+  WHERE is_active = true;
+
+ALTER TABLE public.notification_push_dispatches
+  ADD COLUMN IF NOT EXISTS mode text NOT NULL DEFAULT 'production',
+  ADD COLUMN IF NOT EXISTS source text NULL;
+
+ALTER TABLE public.notification_push_dispatches
+  ALTER COLUMN mode SET DEFAULT 'production';
+
+CREATE TABLE IF NOT EXISTS public.push_preferences (
+  user_id bigint PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  operational_opt_in boolean NOT NULL DEFAULT true,
+  draws_opt_in boolean NOT NULL DEFAULT true,
+  balance_opt_in boolean NOT NULL DEFAULT true,
+  marketing_opt_in boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.push_preferences (user_id, operational_opt_in, marketing_opt_in)
+SELECT DISTINCT ON (user_id) user_id, operational_opt_in, marketing_opt_in
+  FROM public.push_subscriptions
+ WHERE user_id IS NOT NULL
+   AND is_active = true
+ ORDER BY user_id, updated_at DESC, created_at DESC
+ON CONFLICT (user_id) DO NOTHING;
+
+UPDATE public.notification_push_rules
+   SET category = 'draws', updated_at = now()
+ WHERE category = 'operational'
+   AND event_key IN (
+     'NEW_DRAW_PUBLISHED',
+     'DRAW_REMAINING_NUMBERS_75',
+     'DRAW_REMAINING_NUMBERS_50',
+     'DRAW_REMAINING_NUMBERS_20',
+     'DRAW_REMAINING_NUMBERS_10'
+   );
+
+UPDATE public.notification_push_rules
+   SET category = 'balance', updated_at = now()
+ WHERE category = 'operational'
+   AND event_key IN (
+     'BALANCE_EXPIRING_30_DAYS',
+     'BALANCE_EXPIRING_15_DAYS',
+     'BALANCE_EXPIRING_10_DAYS',
+     'BALANCE_EXPIRING_7_DAYS',
+     'BALANCE_EXPIRED'
+   );
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Consentimento de e-mail (services/notifications/communicationConsent.js).
+-- Usa a mesma public.communication_consents do WhatsApp com channel = 'email' e
+-- category 'operational' | 'marketing' | 'all'; o descadastro pelo link do e-mail grava
+-- status 'unsubscribed'. Os envios consultam o registro mais recente por usuário/canal,
+-- daí o índice abaixo.
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_communication_consents_user_channel_created
+ON public.communication_consents(user_id, channel, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Campanhas manuais em segundo plano (services/notifications/manualCampaignJobs.js).
+-- O público elegível é congelado em recipient_user_ids no momento do envio; cada job
+-- "notification_campaign_batch" processa um lote a partir de progress_cursor e agenda o
+-- próximo. Pausar/cancelar mudam status e o próximo lote não roda; retomar reagenda a partir
+-- do cursor. delivery_mode = 'inline' para as campanhas enviadas dentro do request (legado).
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+ALTER TABLE public.notification_campaigns
+ADD COLUMN IF NOT EXISTS delivery_mode text NOT NULL DEFAULT 'inline',
+ADD COLUMN IF NOT EXISTS recipient_user_ids integer[] NULL,
+ADD COLUMN IF NOT EXISTS progress_cursor integer NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS batch_size integer NULL,
+ADD COLUMN IF NOT EXISTS batches_total integer NULL,
+ADD COLUMN IF NOT EXISTS batches_done integer NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS started_at timestamptz NULL,
+ADD COLUMN IF NOT EXISTS paused_at timestamptz NULL,
+ADD COLUMN IF NOT EXISTS cancelled_at timestamptz NULL,
+ADD COLUMN IF NOT EXISTS finished_at timestamptz NULL,
+ADD COLUMN IF NOT EXISTS last_error text NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_campaigns_delivery_status
+ON public.notification_campaigns (delivery_mode, status)
+WHERE delivery_mode = 'background';
+
+-- Retomada de lote interrompido: quem já tem dispatch na campanha não recebe de novo.
+CREATE INDEX IF NOT EXISTS idx_notification_dispatches_campaign_user
+ON public.notification_dispatches (campaign_id, user_id)
+WHERE campaign_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Campanhas manuais agendadas e recorrentes (services/notifications/scheduledCampaigns.js).
+-- payload é o mesmo corpo de POST /api/admin/notifications/manual/send; no disparo o público
+-- é recalculado e a campanha entra na fila (migration 045). run_at é o próximo disparo:
+-- recorrentes ({ weekdays: [0-6], time: "HH:MM" }, horário de Brasília) avançam para a
+-- próxima ocorrência; únicas vão para 'completed'. condition 'open_draw' pula o disparo
+-- quando não há sorteio principal aberto.
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.notification_scheduled_campaigns (
+  id bigserial PRIMARY KEY,
+  name text NOT NULL,
+  channel text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  run_at timestamptz NOT NULL,
+  recurrence jsonb NULL,
+  condition text NULL,
+  status text NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+  runs_count integer NOT NULL DEFAULT 0,
+  last_run_at timestamptz NULL,
+  last_outcome text NULL,
+  last_result jsonb NULL,
+  last_campaign_id uuid NULL,
+  created_by integer NULL,
+  cancelled_at timestamptz NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_scheduled_campaigns_due
+ON public.notification_scheduled_campaigns (run_at)
+WHERE status = 'scheduled';
+
+COMMIT;
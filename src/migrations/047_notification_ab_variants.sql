@@ -0,0 +1,42 @@
+-- Teste A/B de campanhas manuais e atribuição de conversões
+-- (services/notifications/notificationConversions.js).
+-- notification_dispatches.variant_key guarda a variante sorteada para o destinatário.
+-- notification_conversions liga cada pagamento aprovado ao último dispatch enviado ao mesmo
+-- usuário dentro da janela de atribuição (um dispatch por pagamento, preenchido pelo job
+-- "notification_conversions_attribute").
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+ALTER TABLE public.notification_dispatches
+ADD COLUMN IF NOT EXISTS variant_key text NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_dispatches_campaign_variant
+ON public.notification_dispatches (campaign_id, variant_key)
+WHERE campaign_id IS NOT NULL;
+
+-- Último dispatch enviado ao usuário antes do pagamento.
+CREATE INDEX IF NOT EXISTS idx_notification_dispatches_user_sent
+ON public.notification_dispatches (user_id, sent_at DESC)
+WHERE campaign_id IS NOT NULL AND sent_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_paid_at
+ON public.payments (paid_at)
+WHERE paid_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.notification_conversions (
+  payment_id text PRIMARY KEY REFERENCES public.payments(id) ON DELETE CASCADE,
+  dispatch_id uuid NOT NULL REFERENCES public.notification_dispatches(id) ON DELETE CASCADE,
+  campaign_id uuid NULL,
+  variant_key text NULL,
+  user_id integer NOT NULL,
+  amount_cents integer NOT NULL,
+  paid_at timestamptz NOT NULL,
+  dispatched_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_conversions_campaign_variant
+ON public.notification_conversions (campaign_id, variant_key);
+
+COMMIT;
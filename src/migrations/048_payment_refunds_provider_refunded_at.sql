@@ -0,0 +1,12 @@
+-- Estorno do admin confirmado pelo provedor (services/paymentRefunds.js).
+-- provider_refunded_at é gravado logo depois do estorno no Mercado Pago/Vindi, antes de aplicar a
+-- reversão: um estorno que ficou 'pending' com ele preenchido é retomado por
+-- POST /api/admin/refunds/:id/complete sem chamar o provedor de novo.
+-- Idempotente / aditiva. Aplicada por `npm run migrate`.
+
+BEGIN;
+
+ALTER TABLE public.payment_refunds
+ADD COLUMN IF NOT EXISTS provider_refunded_at timestamptz NULL;
+
+COMMIT;
@@ -3,6 +3,7 @@ import { v4 as uuid } from "uuid";
 import { getPool, query } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { pendingCaptivePreauthReservationGuardSql } from "../services/reservationExpiry.js";
+import { ensureNumbersForDraw } from "../services/drawNumbers.js";
 
 const router = Router();
 
@@ -102,17 +103,8 @@ function normalizeNumbers(input) {
   return { numbers };
 }
 
-async function ensureDrawNumbers(client, drawId, numberCount = 100) {
-  const count = Math.max(0, Number(numberCount || 0));
-  if (!Number.isInteger(count) || count <= 0) return;
-
-  await client.query(
-    `INSERT INTO public.numbers (draw_id, n, status)
-     SELECT $1, gs::int, 'available'
-       FROM generate_series(0, $2::int - 1) AS gs
-     ON CONFLICT DO NOTHING`,
-    [drawId, count]
-  );
+async function ensureDrawNumbers(client, drawId, numberCount = null) {
+  await ensureNumbersForDraw(drawId, client, numberCount);
 }
 
 async function expireDrawReservations(client, drawId = null) {
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { getPool } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { formatDrawNumber } from "../services/drawNumbers.js";
 import { getMercadoPagoAccessToken, mpCreatePixPayment } from "../services/mercadopago.js";
 import { expireDrawReservations, isAdditionalDrawType } from "./additional_draws.js";
 
@@ -124,6 +125,7 @@ router.post("/pix", requireAuth, async (req, res) => {
               r.payment_id,
               d.draw_type,
               d.product_name,
+              d.number_count,
               c.id AS config_id,
               c.banner_title,
               c.ticket_price_cents,
@@ -234,7 +236,7 @@ router.post("/pix", requireAuth, async (req, res) => {
     client = null;
 
     const description = `${reservation.product_name || reservation.banner_title || "Sorteio adicional New Store"} - ${numbers
-      .map((n) => n.toString().padStart(2, "0"))
+      .map((n) => formatDrawNumber(n, reservation.number_count))
       .join(", ")}`;
     const notificationUrl = `${resolveBaseUrl(req)}/api/payments/webhook`;
     const payerEmail = reservation.user_email || req.user?.email || "comprador@example.com";
@@ -24,8 +24,6 @@ import {
   getTestRecipient,
   isAdminTestCustomRecipientsEnabled,
 } from "../services/notifications/brevoWhatsApp.js";
-import { sendTestPushToConfiguredSubscription } from "../services/notifications/pushNotifications.js";
-import { assertPushTestAccountAllowed } from "../services/notifications/pushAccessGuard.js";
 import { getManualNotificationCatalog } from "../services/notifications/manualNotificationCatalog.js";
 import {
   buildManualNotificationPreview,
@@ -33,6 +31,22 @@ import {
 } from "../services/notifications/manualNotificationPreview.js";
 import { sendManualPushNotification } from "../services/notifications/manualPushNotifications.js";
 import { sendManualEmailNotification } from "../services/notifications/manualEmailNotifications.js";
+import { isBackgroundManualAudience } from "../services/notifications/manualAudience.js";
+import {
+  cancelManualCampaign,
+  getManualCampaignProgress,
+  pauseManualCampaign,
+  queueManualCampaign,
+  resumeManualCampaign,
+} from "../services/notifications/manualCampaignJobs.js";
+import {
+  cancelScheduledCampaign,
+  createScheduledCampaign,
+  getScheduledCampaign,
+  listScheduledCampaigns,
+  updateScheduledCampaign,
+} from "../services/notifications/scheduledCampaigns.js";
+import { getCampaignConversionReport } from "../services/notifications/notificationConversions.js";
 
 const router = express.Router();
 
@@ -42,13 +56,18 @@ const UUID_RE =
 router.use(requireAuth, requireAdmin);
 
 function manualErrorStatus(code) {
-  if (code === "manual_template_not_found") return 404;
+  if (
+    code === "manual_template_not_found" ||
+    code === "manual_campaign_not_found" ||
+    code === "manual_schedule_not_found"
+  ) return 404;
+  if (code === "manual_campaign_invalid_state" || code === "manual_schedule_invalid_state") return 409;
   if (code === "manual_template_not_allowed") return 400;
   if (
     code === "manual_email_smtp_not_configured" ||
     code === "manual_push_no_eligible_recipients" ||
     code === "manual_email_no_valid_recipients" ||
-    code === "email_consent_not_available"
+    code === "email_consent_category_invalid"
   ) return 400;
   if (
     code === "unsupported_manual_channel" ||
@@ -57,7 +76,12 @@ function manualErrorStatus(code) {
     code === "manual_too_many_recipients" ||
     code === "manual_audience_too_large" ||
     code === "manual_bulk_confirmation_required" ||
-    String(code || "").startsWith("manual_push_")
+    code === "manual_segment_invalid" ||
+    code === "manual_segment_params_invalid" ||
+    code === "push_category_invalid" ||
+    String(code || "").startsWith("manual_push_") ||
+    String(code || "").startsWith("manual_schedule_") ||
+    String(code || "").startsWith("manual_variants_")
   ) return 400;
   return 500;
 }
@@ -96,6 +120,17 @@ router.post("/manual/preview", async (req, res) => {
 router.post("/manual/send", async (req, res) => {
   try {
     const channel = String(req.body?.channel || "").trim().toLowerCase();
+    // Públicos em massa vão para a fila de jobs; a resposta traz o campaign_id para
+    // acompanhar em /manual/campaigns/:id.
+    if (isBackgroundManualAudience(String(req.body?.audience || "").trim().toLowerCase())) {
+      const result = await queueManualCampaign({
+        payload: req.body || {},
+        adminUserId: req.user?.id ?? null,
+      });
+      const status = result.error ? manualErrorStatus(result.error) : 202;
+      return res.status(status).json(result);
+    }
+
     if (channel === "push") {
       const result = await sendManualPushNotification({
         payload: req.body || {},
@@ -142,17 +177,12 @@ router.post("/manual/send", async (req, res) => {
         templateId: req.body?.template_id,
         message: req.body?.message,
         params: req.body?.params || {},
-        recipients: (
-          preview.normalized.audience === "all_consented"
-            ? preview.normalized.eligibleUserIds
-            : preview.normalized.userIds
-        ).map((userId) => ({ user_id: userId })),
+        recipients: preview.normalized.userIds.map((userId) => ({ user_id: userId })),
         useCustomRecipient: false,
         dryRun: false,
         adminUserId: req.user?.id ?? null,
         audience: preview.normalized.audience,
-        consentCategory:
-          preview.normalized.audience === "all_consented" ? "operational" : "manual",
+        consentCategory: "manual",
         audienceStats: {
           requested_users: preview.requested_users,
           eligible_users: preview.eligible_users,
@@ -209,39 +239,85 @@ router.post("/manual/send", async (req, res) => {
   }
 });
 
-router.post("/push/test-single-device", async (req, res) => {
-  try {
-    assertPushTestAccountAllowed({ user: req.user });
-    const allowedFields = new Set(["title", "body", "url"]);
-    if (Object.keys(req.body || {}).some((key) => !allowedFields.has(key))) {
-      return res.status(400).json({ ok: false, error: "push_test_payload_not_allowed" });
+function manualCampaignRoute(action) {
+  return async (req, res) => {
+    const id = String(req.params.id || "");
+    if (!UUID_RE.test(id)) {
+      return res.status(400).json({ ok: false, error: "manual_campaign_id_invalid" });
     }
-    const result = await sendTestPushToConfiguredSubscription({
-      title: req.body?.title,
-      body: req.body?.body,
-      url: req.body?.url || "/me",
-      payload: {},
-      source: "admin_single_device_test",
-    });
-    return res.json({ ok: true, ...result });
-  } catch (error) {
-    const code = error?.code || "push_internal_error";
-    const status = code === "push_hidden_for_user"
-      ? 404
-      : code === "push_test_subscription_not_found_or_inactive"
-      ? 404
-      : code.includes("required") || code.includes("invalid") || code.includes("too_long")
-        ? 400
-        : code.startsWith("push_")
-          ? 403
-          : 500;
-    return res.status(status).json({
-      ok: false,
-      ...(code === "push_hidden_for_user" && { visible: false }),
-      error: code,
-    });
-  }
-});
+    try {
+      const progress = await action(id);
+      return res.json({ ok: true, ...progress });
+    } catch (error) {
+      const code = error?.code || "manual_campaign_failed";
+      if (manualErrorStatus(code) === 500) {
+        console.error("[admin/notifications] manual campaign error", {
+          admin_user_id: req.user?.id || null,
+          campaign_id: id,
+          code,
+          message: error?.message || null,
+        });
+      }
+      return res.status(manualErrorStatus(code)).json({
+        ok: false,
+        error: code,
+        ...(error?.status && { status: error.status }),
+      });
+    }
+  };
+}
+
+router.get("/manual/campaigns/:id", manualCampaignRoute((id) => getManualCampaignProgress(id)));
+router.post("/manual/campaigns/:id/pause", manualCampaignRoute((id) => pauseManualCampaign(id)));
+router.post("/manual/campaigns/:id/resume", manualCampaignRoute((id) => resumeManualCampaign(id)));
+router.post("/manual/campaigns/:id/cancel", manualCampaignRoute((id) => cancelManualCampaign(id)));
+router.get("/manual/campaigns/:id/conversions", manualCampaignRoute((id) => getCampaignConversionReport(id)));
+
+function manualScheduleRoute(action, { idParam = true, successStatus = 200 } = {}) {
+  return async (req, res) => {
+    const id = idParam ? Number(req.params.id) : null;
+    if (idParam && (!Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ ok: false, error: "manual_schedule_id_invalid" });
+    }
+    try {
+      const out = await action(req, id);
+      return res.status(successStatus).json({ ok: true, ...out });
+    } catch (error) {
+      const code = error?.code || "manual_schedule_failed";
+      if (manualErrorStatus(code) === 500) {
+        console.error("[admin/notifications] manual schedule error", {
+          admin_user_id: req.user?.id || null,
+          schedule_id: id,
+          code,
+          message: error?.message || null,
+        });
+      }
+      return res.status(manualErrorStatus(code)).json({
+        ok: false,
+        error: code,
+        ...(error?.status && { status: error.status }),
+      });
+    }
+  };
+}
+
+router.get("/manual/schedules", manualScheduleRoute(
+  async (req) => ({ schedules: await listScheduledCampaigns({ status: req.query?.status || null }) }),
+  { idParam: false }
+));
+router.post("/manual/schedules", manualScheduleRoute(
+  (req) => createScheduledCampaign(req.body || {}, { adminUserId: req.user?.id || null }),
+  { idParam: false, successStatus: 201 }
+));
+router.get("/manual/schedules/:id", manualScheduleRoute(
+  async (_req, id) => ({ schedule: await getScheduledCampaign(id) })
+));
+router.patch("/manual/schedules/:id", manualScheduleRoute(
+  (req, id) => updateScheduledCampaign(id, req.body || {})
+));
+router.post("/manual/schedules/:id/cancel", manualScheduleRoute(
+  async (_req, id) => ({ schedule: await cancelScheduledCampaign(id) })
+));
 
 function toInt(v, def) {
   const n = Number(v);
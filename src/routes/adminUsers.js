@@ -6,6 +6,8 @@ import { query, getPool } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { creditCouponOnApprovedPayment } from "../services/couponBalance.js";
 import { closeDrawIfSoldOut } from "../services/drawLifecycle.js";
+import { MAX_NUMBER_COUNT, isValidDrawNumber } from "../services/drawNumbers.js";
+import { listUserSessions, resetUserTotp, revokeAllUserSessions } from "../services/authSessions.js";
 
 const router = express.Router();
 
@@ -93,19 +95,21 @@ async function hasCouponEventOccurredAtColumn(q) {
   }
 }
 
-// Normaliza "numbers": aceita array ou CSV e retorna int[] 0..99 (mantém 00 como 0)
-function parseNumbers(input) {
+// Normaliza "numbers": aceita array ou CSV e retorna int[] (mantém 00 como 0).
+// O limite superior é a cartela do sorteio (draws.number_count), validada na atribuição.
+function parseNumbers(input, numberCount = MAX_NUMBER_COUNT) {
+  const valid = (n) => isValidDrawNumber(n, numberCount);
   if (Array.isArray(input)) {
     return input
       .map((n) => Number(n))
-      .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99);
+      .filter(valid);
   }
   const s = String(input || "");
   if (!s) return [];
   return s
     .split(/[,\s;]+/).map((t) => t.trim()).filter(Boolean)
     .map((t) => Number(t))
-    .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99);
+    .filter(valid);
 }
 
 /* =============== LISTAR (com busca/paginação) =============== */
@@ -504,6 +508,45 @@ router.delete("/:id/winner-balance", async (req, res, next) => {
   }
 });
 
+/* =============== SESSÕES / 2FA =============== */
+/** GET /api/admin/users/:id/sessions?include_revoked=1 */
+router.get("/:id/sessions", async (req, res, next) => {
+  try {
+    const id = parsePositiveUserId(req.params.id);
+    if (!id) return res.status(400).json({ error: "invalid_user_id" });
+    const includeRevoked = ["1", "true"].includes(String(req.query.include_revoked || ""));
+    const sessions = await listUserSessions(id, { includeRevoked });
+    return res.json({ ok: true, sessions });
+  } catch (e) {
+    return next(e);
+  }
+});
+
+/** POST /api/admin/users/:id/sessions/revoke-all */
+router.post("/:id/sessions/revoke-all", async (req, res, next) => {
+  try {
+    const id = parsePositiveUserId(req.params.id);
+    if (!id) return res.status(400).json({ error: "invalid_user_id" });
+    const out = await revokeAllUserSessions({ userId: id, reason: "revoked_by_admin", revokedBy: req.user?.id ?? null });
+    return res.json({ ok: true, revoked: out.revoked });
+  } catch (e) {
+    return next(e);
+  }
+});
+
+/** DELETE /api/admin/users/:id/2fa — zera o 2FA (autenticador perdido) e derruba as sessões */
+router.delete("/:id/2fa", async (req, res, next) => {
+  try {
+    const id = parsePositiveUserId(req.params.id);
+    if (!id) return res.status(400).json({ error: "invalid_user_id" });
+    const out = await resetUserTotp({ userId: id, adminUserId: req.user?.id ?? null });
+    return res.json({ ok: true, revoked_sessions: out.revoked });
+  } catch (e) {
+    if (e?.code === "user_not_found") return res.status(404).json({ error: "not_found" });
+    return next(e);
+  }
+});
+
 /* =============== EXCLUIR =============== */
 /** DELETE /api/admin/users/:id */
 router.delete("/:id", async (req, res, next) => {
@@ -557,11 +600,16 @@ router.post("/:id/assign-numbers", async (req, res, next) => {
     }
 
     // garante sorteio existente
-    const d = await client.query("SELECT id FROM public.draws WHERE id = $1", [draw_id]);
+    const d = await client.query("SELECT id, number_count FROM public.draws WHERE id = $1", [draw_id]);
     if (!d.rowCount) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "draw_not_found" });
     }
+    const outOfBoard = numbers.filter((n) => !isValidDrawNumber(n, d.rows[0].number_count));
+    if (outOfBoard.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "numbers_out_of_range", numbers: outOfBoard });
+    }
 
     // conflitos em payments aprovados
     const payConf = await client.query(
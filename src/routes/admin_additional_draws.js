@@ -4,6 +4,12 @@ import { getPool, query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { getTicketPriceCents } from "../services/config.js";
 import { closeDrawIfSoldOut } from "../services/drawLifecycle.js";
+import {
+  ensureNumbersForDraw,
+  getDrawNumberCount,
+  isValidDrawNumber,
+  normalizeNumberCount,
+} from "../services/drawNumbers.js";
 import { handlePushAutomationEvent } from "../services/notifications/pushAutomationEvents.js";
 import { handleAutomaticEmailEvent } from "../services/notifications/automaticEmailNotifications.js";
 import {
@@ -95,27 +101,6 @@ function normalizeNumbers(input) {
   return { numbers };
 }
 
-function normalizeNumberCount(value) {
-  const count = Number(value ?? 100);
-  if (!Number.isInteger(count) || count <= 0 || count > 10000) {
-    return { error: "invalid_number_count" };
-  }
-  return { count };
-}
-
-async function ensureDrawNumbers(client, drawId, numberCount = 100) {
-  const count = Math.max(0, Number(numberCount || 0));
-  if (!Number.isInteger(count) || count <= 0) return;
-
-  await client.query(
-    `INSERT INTO public.numbers (draw_id, n, status)
-     SELECT $1, gs::int, 'available'
-       FROM generate_series(0, $2::int - 1) AS gs
-     ON CONFLICT DO NOTHING`,
-    [drawId, count]
-  );
-}
-
 async function loadStats(drawId) {
   const stats = await query(
     `SELECT
@@ -327,11 +312,11 @@ router.post("/", async (req, res) => {
     }
 
     const inserted = await client.query(
-      `INSERT INTO public.draws (status, draw_type, product_name, product_link, opened_at)
-       VALUES ($1, $2, $3, $4, CASE WHEN $1 = 'open' THEN NOW() ELSE NULL END)
+      `INSERT INTO public.draws (status, draw_type, product_name, product_link, opened_at, number_count)
+       VALUES ($1, $2, $3, $4, CASE WHEN $1 = 'open' THEN NOW() ELSE NULL END, $5)
        RETURNING id, status, draw_type, product_name, product_link, opened_at,
-                 closed_at, realized_at, winner_user_id, winner_name, winner_number`,
-      [status, drawType, productName, productLink]
+                 closed_at, realized_at, winner_user_id, winner_name, winner_number, number_count`,
+      [status, drawType, productName, productLink, numberCount.count]
     );
 
     const draw = inserted.rows[0];
@@ -341,7 +326,7 @@ router.post("/", async (req, res) => {
       { banner_title: bannerTitle, ticket_price_cents: Number(ticketPriceCents), max_numbers_per_selection: maxNumbers },
       productName
     );
-    await ensureDrawNumbers(client, draw.id, numberCount.count);
+    await ensureNumbersForDraw(draw.id, client, numberCount.count);
 
     await client.query("COMMIT");
     if (draw.status === "open") {
@@ -412,7 +397,7 @@ router.patch("/:id", async (req, res) => {
 
   if (req.body?.winner_number !== undefined) {
     const winnerNumber = req.body.winner_number === null ? null : Number(req.body.winner_number);
-    if (winnerNumber !== null && (!Number.isInteger(winnerNumber) || winnerNumber < 0)) {
+    if (winnerNumber !== null && !isValidDrawNumber(winnerNumber, await getDrawNumberCount(drawId))) {
       return res.status(400).json({ error: "invalid_winner_number" });
     }
     addUpdate("winner_number", winnerNumber);
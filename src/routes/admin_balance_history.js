@@ -1,6 +1,16 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  DISCREPANCY_KINDS,
+  DISCREPANCY_STATUSES,
+  ignoreDiscrepancy,
+  listDiscrepancies,
+  repairDiscrepancy,
+  runCouponReconciliation,
+} from "../services/couponReconciliation.js";
+import { listOpenLots } from "../services/couponBalanceExpiry.js";
+import { importTrayOrder, listCouponRedemptions, syncTrayOrders } from "../services/trayOrderSync.js";
 
 const router = Router();
 
@@ -43,6 +53,15 @@ function safeMeta(meta) {
     ...(meta.admin_user_id !== undefined && { admin_user_id: meta.admin_user_id }),
     ...(meta.credit_coupon !== undefined && { credit_coupon: meta.credit_coupon }),
     ...(meta.payment_status !== undefined && { payment_status: meta.payment_status }),
+    ...(meta.discrepancy_id !== undefined && { discrepancy_id: meta.discrepancy_id }),
+    ...(meta.reason !== undefined && { reason: meta.reason }),
+    ...(meta.lot_id !== undefined && { lot_id: meta.lot_id }),
+    ...(meta.tray_order_id !== undefined && { tray_order_id: meta.tray_order_id }),
+    ...(meta.coupon_code !== undefined && { coupon_code: meta.coupon_code }),
+    ...(meta.credited_at !== undefined && { credited_at: meta.credited_at }),
+    ...(meta.expires_at !== undefined && { expires_at: meta.expires_at }),
+    ...(meta.referral_id !== undefined && { referral_id: meta.referral_id }),
+    ...(meta.referred_user_id !== undefined && { referred_user_id: meta.referred_user_id }),
   };
 }
 
@@ -119,6 +138,69 @@ function interpretMovement(row) {
     };
   }
 
+  if (eventType === "DEBIT_REFUND") {
+    return {
+      movement_type: "PURCHASE_REFUND_REVERSAL",
+      movement_label: "Crédito estornado",
+      origin_label: "Estorno do pagamento",
+      description: "Crédito de compra revertido por estorno do pagamento",
+    };
+  }
+
+  if (eventType === "DEBIT_CHARGEBACK") {
+    return {
+      movement_type: "PURCHASE_CHARGEBACK_REVERSAL",
+      movement_label: "Crédito estornado",
+      origin_label: "Chargeback do pagamento",
+      description: "Crédito de compra revertido por chargeback do pagamento",
+    };
+  }
+
+  if (eventType === "LEDGER_RECONCILIATION_ADJUSTMENT") {
+    return {
+      movement_type: "LEDGER_RECONCILIATION_ADJUSTMENT",
+      movement_label: "Ajuste de conciliação",
+      origin_label: "Conciliação do saldo",
+      description: "Lançamento compensatório para o histórico bater com o saldo do usuário",
+    };
+  }
+
+  if (eventType === "CREDIT_PURCHASE_RECONCILIATION" || eventType === "CREDIT_PURCHASE_RECONCILE_PAYMENT_AMOUNT") {
+    return {
+      movement_type: deltaCents < 0 ? "PURCHASE_CREDIT_RECONCILIATION_DEBIT" : "PURCHASE_CREDIT_RECONCILIATION",
+      movement_label: deltaCents < 0 ? "Crédito corrigido" : "Crédito de compra",
+      origin_label: "Conciliação do saldo",
+      description: "Crédito de compra corrigido pela conciliação do saldo",
+    };
+  }
+
+  if (eventType === "REDEEMED") {
+    return {
+      movement_type: "TRAY_COUPON_REDEEMED",
+      movement_label: "Cupom usado",
+      origin_label: "Pedido na loja Tray",
+      description: "Saldo usado como desconto em pedido na loja",
+    };
+  }
+
+  if (eventType === "CREDIT_REFERRAL") {
+    return {
+      movement_type: "REFERRAL_REWARD",
+      movement_label: "Bônus de indicação",
+      origin_label: "Programa de indicação",
+      description: "Crédito pelo primeiro PIX aprovado de um usuário indicado",
+    };
+  }
+
+  if (eventType === "EXPIRED") {
+    return {
+      movement_type: "BALANCE_EXPIRED",
+      movement_label: "Saldo vencido",
+      origin_label: "Vencimento do saldo",
+      description: "Saldo de um crédito que venceu sem ser usado",
+    };
+  }
+
   return {
     movement_type: eventType,
     movement_label: eventType,
@@ -403,6 +485,11 @@ router.get("/users/:userId/movements", async (req, res) => {
     const trayCode = normalizedText(userRow.tray_code);
     const total = Number(movementsResult.rows[0]?.total_count || 0);
     const totalPages = Math.ceil(total / pageSize);
+    // Próximos vencimentos (lotes abertos); vazio enquanto a migration 038 não foi aplicada.
+    const balanceLots = await listOpenLots(userId).catch((error) => {
+      if (error?.code === "42P01") return [];
+      throw error;
+    });
 
     const movements = movementsResult.rows
       .filter((row) => row.id !== null && row.id !== undefined)
@@ -464,6 +551,7 @@ router.get("/users/:userId/movements", async (req, res) => {
         tray_last_error: userRow.tray_last_error || null,
         tray_synced_at: userRow.tray_synced_at || null,
       },
+      balance_lots: balanceLots,
       movements,
       pagination: {
         page,
@@ -487,4 +575,172 @@ router.get("/users/:userId/movements", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Conciliação do saldo (services/couponReconciliation.js)
+// ---------------------------------------------------------------------------
+
+const DISCREPANCY_KIND_VALUES = new Set(Object.values(DISCREPANCY_KINDS));
+
+// GET /api/admin/balance-history/discrepancies?status=open&kind=&user_id=&limit=&offset=
+router.get("/discrepancies", async (req, res) => {
+  const status = normalizedText(getQueryValue(req.query.status));
+  const kind = normalizedText(getQueryValue(req.query.kind));
+  const userIdRaw = normalizedText(getQueryValue(req.query.user_id));
+
+  if (status && !DISCREPANCY_STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: "invalid_status" });
+  }
+  if (kind && !DISCREPANCY_KIND_VALUES.has(kind)) {
+    return res.status(400).json({ ok: false, error: "invalid_kind" });
+  }
+  const userId = userIdRaw ? Number(userIdRaw) : null;
+  if (userIdRaw && (!Number.isSafeInteger(userId) || userId <= 0)) {
+    return res.status(400).json({ ok: false, error: "invalid_user_id" });
+  }
+
+  try {
+    const result = await listDiscrepancies({
+      status,
+      kind,
+      userId,
+      limit: getQueryValue(req.query.limit),
+      offset: getQueryValue(req.query.offset),
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/balance-history/discrepancies] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "discrepancies_list_failed" });
+  }
+});
+
+// POST /api/admin/balance-history/discrepancies/scan — roda a varredura agora (fora do agendamento)
+router.post("/discrepancies/scan", async (req, res) => {
+  try {
+    const result = await runCouponReconciliation();
+    console.log("[admin/balance-history/discrepancies] scan", { admin_user_id: req.user?.id || null });
+    return res.json(result);
+  } catch (error) {
+    console.error("[admin/balance-history/discrepancies] scan_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "discrepancies_scan_failed" });
+  }
+});
+
+function sendDiscrepancyActionError(res, error, fallback) {
+  const code = error?.code;
+  if (code === "22P02" || code === "discrepancy_not_found") {
+    return res.status(404).json({ ok: false, error: "discrepancy_not_found" });
+  }
+  if (code === "reason_required") {
+    return res.status(400).json({ ok: false, error: code });
+  }
+  if (code === "discrepancy_not_open" || code === "discrepancy_not_repairable" || code === "repair_already_applied") {
+    return res.status(409).json({ ok: false, error: code, status: error.status || null });
+  }
+  if (code === "repair_negative_balance") {
+    return res.status(409).json({
+      ok: false,
+      error: code,
+      balance_cents: error.balance_cents ?? null,
+      delta_cents: error.delta_cents ?? null,
+    });
+  }
+  console.error(`[admin/balance-history/discrepancies] ${fallback}`, code || error?.message || error);
+  return res.status(500).json({ ok: false, error: `discrepancy_${fallback}` });
+}
+
+// POST /api/admin/balance-history/discrepancies/:id/repair { reason }
+router.post("/discrepancies/:id/repair", async (req, res) => {
+  try {
+    const result = await repairDiscrepancy({
+      discrepancyId: req.params.id,
+      adminUserId: req.user?.id,
+      reason: req.body?.reason,
+    });
+    console.log("[admin/balance-history/discrepancies] repair", {
+      admin_user_id: req.user?.id || null,
+      discrepancy_id: req.params.id,
+      status: result.discrepancy?.status || null,
+      delta_cents: result.repair?.delta_cents ?? null,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return sendDiscrepancyActionError(res, error, "repair_failed");
+  }
+});
+
+// POST /api/admin/balance-history/discrepancies/:id/ignore { reason }
+router.post("/discrepancies/:id/ignore", async (req, res) => {
+  try {
+    const result = await ignoreDiscrepancy({
+      discrepancyId: req.params.id,
+      adminUserId: req.user?.id,
+      reason: req.body?.reason,
+    });
+    console.log("[admin/balance-history/discrepancies] ignore", {
+      admin_user_id: req.user?.id || null,
+      discrepancy_id: req.params.id,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return sendDiscrepancyActionError(res, error, "ignore_failed");
+  }
+});
+
+// GET /api/admin/balance-history/redemptions?user_id=&status=redeemed|ignored — usos do cupom na loja Tray
+router.get("/redemptions", async (req, res) => {
+  const status = normalizedText(getQueryValue(req.query.status));
+  const userIdRaw = normalizedText(getQueryValue(req.query.user_id));
+
+  if (status && !["redeemed", "ignored"].includes(status)) {
+    return res.status(400).json({ ok: false, error: "invalid_status" });
+  }
+  const userId = userIdRaw ? Number(userIdRaw) : null;
+  if (userIdRaw && (!Number.isSafeInteger(userId) || userId <= 0)) {
+    return res.status(400).json({ ok: false, error: "invalid_user_id" });
+  }
+
+  try {
+    const result = await listCouponRedemptions({
+      userId,
+      status,
+      limit: getQueryValue(req.query.limit),
+      offset: getQueryValue(req.query.offset),
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/balance-history/redemptions] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "redemptions_list_failed" });
+  }
+});
+
+// POST /api/admin/balance-history/redemptions/sync — varre os pedidos recentes da Tray agora
+router.post("/redemptions/sync", async (req, res) => {
+  try {
+    const result = await syncTrayOrders();
+    console.log("[admin/balance-history/redemptions] sync", { admin_user_id: req.user?.id || null });
+    return res.json(result);
+  } catch (error) {
+    console.error("[admin/balance-history/redemptions] sync_failed", error?.code || error?.message || error);
+    return res.status(502).json({ ok: false, error: "redemptions_sync_failed" });
+  }
+});
+
+// POST /api/admin/balance-history/redemptions/import { tray_order_id } — importa um pedido específico
+router.post("/redemptions/import", async (req, res) => {
+  try {
+    const result = await importTrayOrder(req.body?.tray_order_id, { source: "admin" });
+    console.log("[admin/balance-history/redemptions] import", {
+      admin_user_id: req.user?.id || null,
+      tray_order_id: req.body?.tray_order_id ?? null,
+      status: result.status,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    if (error?.code === "invalid_tray_order_id") return res.status(400).json({ ok: false, error: error.code });
+    if (error?.code === "tray_order_not_found") return res.status(404).json({ ok: false, error: error.code });
+    console.error("[admin/balance-history/redemptions] import_failed", error?.code || error?.message || error);
+    return res.status(502).json({ ok: false, error: "redemption_import_failed" });
+  }
+});
+
 export default router;
@@ -0,0 +1,166 @@
+// src/routes/admin_coupon_rules.js
+// Regras do cupom Tray versionadas: criar (draft), pré-visualizar, simular para um usuário e ativar.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  activateCouponRuleSet,
+  createCouponRuleSet,
+  getActiveCouponRules,
+  getCouponRuleSet,
+  getMinPurchaseForGift,
+  listCouponRuleSets,
+  normalizeCouponRules,
+} from "../services/trayCouponRules.js";
+import { previewTrayCouponForUser } from "../services/trayCouponEnsure.js";
+import { coded } from "../lib/errors.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+const ERROR_STATUS = {
+  invalid_coupon_rules: 400,
+  name_required: 400,
+  rules_required: 400,
+  invalid_user_id: 400,
+  rule_set_not_found: 404,
+  user_not_found: 404,
+  rule_set_already_active: 409,
+};
+
+function sendError(res, error, tag, fallback) {
+  const code = error?.code === "22P02" ? "rule_set_not_found" : error?.code;
+  const status = ERROR_STATUS[code];
+  if (status) {
+    return res.status(status).json({ ok: false, error: code, ...(error.details && { details: error.details }) });
+  }
+  console.error(`[admin/coupon-rules] ${tag}`, error?.code || error?.message || error);
+  return res.status(500).json({ ok: false, error: fallback });
+}
+
+// Regras propostas: { rules } (ainda não salvas) ou { rule_set_id } (versão existente).
+async function resolveProposedRules(body = {}) {
+  if (body.rules != null) return { rule_set: null, rules: normalizeCouponRules(body.rules) };
+  if (body.rule_set_id != null) {
+    const ruleSet = await getCouponRuleSet(body.rule_set_id);
+    if (!ruleSet) throw coded("rule_set_not_found");
+    return { rule_set: ruleSet, rules: normalizeCouponRules(ruleSet.rules) };
+  }
+  throw coded("rules_required");
+}
+
+// GET /api/admin/coupon-rules — todas as versões (a ativa vem em `active`)
+router.get("/", async (_req, res) => {
+  try {
+    const ruleSets = await listCouponRuleSets();
+    const active = ruleSets.find((r) => r.status === "active") || null;
+    return res.json({ ok: true, active, rule_sets: ruleSets });
+  } catch (error) {
+    return sendError(res, error, "list_failed", "coupon_rules_list_failed");
+  }
+});
+
+// GET /api/admin/coupon-rules/active — regras em vigor (tabela original se não houver versão ativa)
+router.get("/active", async (_req, res) => {
+  try {
+    const active = await getActiveCouponRules();
+    return res.json({ ok: true, ...active });
+  } catch (error) {
+    return sendError(res, error, "active_failed", "coupon_rules_active_failed");
+  }
+});
+
+/**
+ * POST /api/admin/coupon-rules/preview
+ * body: { rules } | { rule_set_id }, gift_values_brl?: number[]
+ * Valida as regras e mostra a compra mínima para cada saldo (padrão: limites de cada faixa).
+ */
+router.post("/preview", async (req, res) => {
+  try {
+    const { rule_set: ruleSet, rules } = await resolveProposedRules(req.body || {});
+    const requested = Array.isArray(req.body?.gift_values_brl) ? req.body.gift_values_brl.slice(0, 100) : null;
+    const giftValues = requested
+      ? requested.map(Number).filter(Number.isFinite)
+      : [...new Set(rules.tiers.flatMap((t) => [t.min_gift_brl, t.max_gift_brl]))];
+
+    const table = giftValues.map((value) => {
+      if (value < rules.min_gift_brl) return { gift_value_brl: value, action: "skip_below_min" };
+      const { min_purchase_brl: minPurchase, in_table: inTable } = getMinPurchaseForGift(rules, value);
+      return { gift_value_brl: value, action: "ok", value_start: minPurchase, value_start_in_table: inTable };
+    });
+
+    return res.json({ ok: true, rule_set: ruleSet, rules, table });
+  } catch (error) {
+    return sendError(res, error, "preview_failed", "coupon_rules_preview_failed");
+  }
+});
+
+/**
+ * POST /api/admin/coupon-rules/dry-run
+ * body: { user_id, rules } | { user_id, rule_set_id }
+ * Cupom que o usuário teria hoje (regras ativas) x com as regras propostas. Não chama a Tray.
+ */
+router.post("/dry-run", async (req, res) => {
+  const userId = Number(req.body?.user_id);
+  try {
+    if (!Number.isSafeInteger(userId) || userId <= 0) throw coded("invalid_user_id");
+    const proposed = await resolveProposedRules(req.body || {});
+    const active = await getActiveCouponRules();
+
+    const current = await previewTrayCouponForUser(userId, { rules: active.rules });
+    if (!current) throw coded("user_not_found");
+    const next = await previewTrayCouponForUser(userId, { rules: proposed.rules });
+
+    return res.json({
+      ok: true,
+      user_id: userId,
+      current: { rule_set: active.rule_set, ...current },
+      proposed: { rule_set: proposed.rule_set, ...next },
+    });
+  } catch (error) {
+    return sendError(res, error, "dry_run_failed", "coupon_rules_dry_run_failed");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const ruleSet = await getCouponRuleSet(req.params.id);
+    if (!ruleSet) return res.status(404).json({ ok: false, error: "rule_set_not_found" });
+    return res.json({ ok: true, rule_set: ruleSet });
+  } catch (error) {
+    return sendError(res, error, "get_failed", "coupon_rules_get_failed");
+  }
+});
+
+/**
+ * POST /api/admin/coupon-rules
+ * body: { name, rules, notes? } — cria nova versão como 'draft'
+ */
+router.post("/", async (req, res) => {
+  const body = req.body || {};
+  try {
+    const ruleSet = await createCouponRuleSet({
+      name: body.name,
+      rules: body.rules,
+      notes: body.notes ?? null,
+      adminUserId: req.user?.id || null,
+    });
+    console.log("[admin/coupon-rules] created", { admin_user_id: req.user?.id || null, id: ruleSet?.id, version: ruleSet?.version });
+    return res.status(201).json({ ok: true, rule_set: ruleSet });
+  } catch (error) {
+    return sendError(res, error, "create_failed", "coupon_rules_create_failed");
+  }
+});
+
+// POST /api/admin/coupon-rules/:id/activate — vale a partir do próximo ensure/sync de cada usuário
+router.post("/:id/activate", async (req, res) => {
+  try {
+    const ruleSet = await activateCouponRuleSet({ ruleSetId: req.params.id, adminUserId: req.user?.id || null });
+    console.log("[admin/coupon-rules] activated", { admin_user_id: req.user?.id || null, id: ruleSet?.id, version: ruleSet?.version });
+    return res.json({ ok: true, rule_set: ruleSet });
+  } catch (error) {
+    return sendError(res, error, "activate_failed", "coupon_rules_activate_failed");
+  }
+});
+
+export default router;
@@ -10,6 +10,7 @@ import {
   resolveCaptivePreauthDrawRequirement,
 } from "../services/autopay/captivePreauthService.js";
 import { handlePushAutomationEvent } from "../services/notifications/pushAutomationEvents.js";
+import { DEFAULT_NUMBER_COUNT, normalizeNumberCount } from "../services/drawNumbers.js";
 
 const router = Router();
 
@@ -418,15 +419,10 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
     log("POST /new");
     const body = req.body || {};
     const normalizedConfig = normalizePrincipalConfigPayload(body);
-    const numberCount = Number(body.number_count);
-    if (
-      normalizedConfig.error ||
-      !normalizedConfig.value?.banner_title ||
-      body.number_count === undefined ||
-      !Number.isInteger(numberCount) ||
-      numberCount <= 0 ||
-      numberCount > 10000
-    ) {
+    const normalizedCount =
+      body.number_count === undefined ? { error: "number_count_required" } : normalizeNumberCount(body.number_count);
+    const numberCount = normalizedCount.count;
+    if (normalizedConfig.error || !normalizedConfig.value?.banner_title || normalizedCount.error) {
       return res.status(422).json({
         error: "principal_draw_config_required",
         message: "Informe o valor, a frase promocional e o limite do novo sorteio.",
@@ -472,9 +468,10 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
 
     // cria draw novo
     const ins = await client.query(
-      `insert into draws(status, draw_type, opened_at, autopay_ran_at)
-       values('open', 'principal', now(), null)
-       returning id`
+      `insert into draws(status, draw_type, opened_at, autopay_ran_at, number_count)
+       values('open', 'principal', now(), null, $1)
+       returning id`,
+      [numberCount]
     );
     const newId = ins.rows[0].id;
     log("novo draw id =", newId);
@@ -589,6 +586,7 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
         id: Number(newId),
         status: "open",
         draw_type: "principal",
+        number_count: numberCount,
       },
       config,
       sync: { global: true, draw: true },
@@ -698,7 +696,7 @@ router.get("/open-buyers", requireAuth, requireAdmin, async (_req, res) => {
         draw_id: null,
         total: 0,
         sold: 0,
-        remaining: 100,
+        remaining: DEFAULT_NUMBER_COUNT,
         buyers: [],
         numbers: [],
       });
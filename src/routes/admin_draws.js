@@ -1,7 +1,7 @@
 // backend/src/routes/admin_draws.js
 import { Router } from "express";
 import { query } from "../db.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { runAutopayForDraw } from "../services/autopayRunner.js";
 import {
   createCaptivePreAuthorizationsForDraw,
@@ -10,6 +10,8 @@ import {
 } from "../services/autopay/captivePreauthService.js";
 import { handlePushAutomationEvent } from "../services/notifications/pushAutomationEvents.js";
 import { handleAutomaticEmailEvent } from "../services/notifications/automaticEmailNotifications.js";
+import { ensureNumbersForDraw, normalizeNumberCount } from "../services/drawNumbers.js";
+import { normalizeDrawSchedule } from "../services/drawScheduler.js";
 
 const router = Router();
 
@@ -56,18 +58,6 @@ async function emitAdminNewDrawEmail(draw) {
   }
 }
 
-async function ensureNumbersForDraw(drawId) {
-  await query(
-    `insert into public.numbers(draw_id, n, status, reservation_id)
-     select $1, gs::int2, 'available', null
-       from generate_series(0,99) as gs
-      where not exists (
-        select 1 from public.numbers n where n.draw_id=$1 and n.n = gs::int2
-      )`,
-    [drawId]
-  );
-}
-
 async function createCaptivePreauthIfEnabled(drawId, adminUserId, context) {
   if (!isCaptivePreauthEnabled()) {
     return { ok: true, skipped: true, reason: "captive_preauth_disabled" };
@@ -98,21 +88,6 @@ async function createCaptivePreauthIfEnabled(drawId, adminUserId, context) {
   }
 }
 
-async function requireAdmin(req, res, next) {
-  try {
-    const userId = req?.user?.id;
-    if (!userId) return res.status(401).json({ error: "unauthorized" });
-    const r = await query("select is_admin from users where id = $1", [userId]);
-    if (!r.rows.length || !r.rows[0].is_admin) {
-      return res.status(403).json({ error: "forbidden" });
-    }
-    return next();
-  } catch (e) {
-    console.error("[admin check] error", e);
-    return res.status(500).json({ error: "admin_check_failed" });
-  }
-}
-
 /* ------------------------------------------------------------------ *
  * ADMIN: criar sorteio + rodar Autopay
  * ------------------------------------------------------------------ */
@@ -120,23 +95,48 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
   try {
     const product_name = String(req.body?.product_name || "").slice(0, 255) || null;
     const product_link = String(req.body?.product_link || "").slice(0, 1024) || null;
+    const numberCount = normalizeNumberCount(req.body?.number_count);
+    if (numberCount.error) return res.status(400).json({ error: numberCount.error });
+
+    let schedule;
+    try {
+      schedule = normalizeDrawSchedule(req.body || {});
+    } catch (e) {
+      if (e?.code) return res.status(400).json({ error: e.code });
+      throw e;
+    }
+    // Abertura no futuro: fica 'scheduled' e o scheduler (src/index.js) abre e roda o Autopay na hora.
+    const scheduled = Boolean(schedule.scheduledOpenAt && schedule.scheduledOpenAt.getTime() > Date.now());
 
     const ins = await query(
-      `insert into draws (status, opened_at, product_name, product_link, autopay_ran_at)
-       values ('open', now(), $1, $2, null)
-       returning id, status, product_name, product_link`,
-      [product_name, product_link]
+      `insert into draws (status, opened_at, product_name, product_link, autopay_ran_at, number_count,
+                          scheduled_open_at, scheduled_close_at, deadline_policy)
+       values ($4, case when $4 = 'open' then now() end, $1, $2, null, $3, $5, $6, $7)
+       returning id, status, product_name, product_link, number_count,
+                 scheduled_open_at, scheduled_close_at, deadline_policy`,
+      [
+        product_name,
+        product_link,
+        numberCount.count,
+        scheduled ? "scheduled" : "open",
+        schedule.scheduledOpenAt || null,
+        schedule.scheduledCloseAt || null,
+        schedule.deadlinePolicy || null,
+      ]
     );
     if (!ins.rowCount) return res.status(500).json({ error: "create_failed" });
 
     const draw = ins.rows[0];
-    console.log("[admin/draws/new] novo draw id =", draw.id);
+    console.log("[admin/draws/new] novo draw id =", draw.id, scheduled ? "(agendado)" : "");
+    if (scheduled) {
+      return res.json({ ok: true, draw_id: draw.id, draw, scheduled: true });
+    }
 
-    // Garante tabela numbers 00..99 (runner também garante, mas aqui evita corrida inicial)
+    // Garante os numbers da cartela (runner também garante, mas aqui evita corrida inicial)
     try {
-      await ensureNumbersForDraw(draw.id);
+      await ensureNumbersForDraw(draw.id, null, numberCount.count);
     } catch (e) {
-      console.warn("[admin/draws/new] falha ao garantir numbers 00..99 (seguindo mesmo assim)", {
+      console.warn("[admin/draws/new] falha ao garantir numbers da cartela (seguindo mesmo assim)", {
         draw_id: draw.id,
         msg: e?.message || e,
       });
@@ -175,6 +175,85 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/* ------------------------------------------------------------------ *
+ * Agendados (abertura/encerramento automáticos)
+ * ------------------------------------------------------------------ */
+router.get("/scheduled", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const r = await query(`
+      select id, status, coalesce(draw_type, 'principal') as draw_type, product_name, number_count,
+             opened_at, scheduled_open_at, scheduled_close_at, deadline_policy,
+             deadline_extensions, deadline_outcome, deadline_processed_at
+        from draws
+       where status = 'scheduled'
+          or (status = 'open' and scheduled_close_at is not null)
+          or deadline_outcome = 'refunding'
+       order by coalesce(scheduled_open_at, scheduled_close_at) asc, id asc
+    `);
+    res.json({ draws: r.rows || [] });
+  } catch (e) {
+    console.error("[admin/draws/scheduled] error", e);
+    res.status(500).json({ error: "list_failed" });
+  }
+});
+
+router.patch("/:id/schedule", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  try {
+    const cur = await query(
+      `select id, status, scheduled_open_at, scheduled_close_at from draws where id = $1`,
+      [drawId]
+    );
+    const current = cur.rows[0];
+    if (!current) return res.status(404).json({ error: "draw_not_found" });
+    if (!["scheduled", "open"].includes(current.status)) {
+      return res.status(409).json({ error: "draw_not_schedulable", status: current.status });
+    }
+
+    let schedule;
+    try {
+      schedule = normalizeDrawSchedule(req.body || {}, { current });
+    } catch (e) {
+      if (e?.code) return res.status(400).json({ error: e.code });
+      throw e;
+    }
+    // Sorteio já aberto não volta a ser agendado; só o encerramento/política mudam.
+    if (current.status === "open" && schedule.scheduledOpenAt !== undefined) {
+      return res.status(409).json({ error: "draw_already_open" });
+    }
+    if (current.status === "scheduled" && schedule.scheduledOpenAt === null) {
+      return res.status(400).json({ error: "invalid_scheduled_open_at" });
+    }
+
+    const up = await query(
+      `update draws
+          set scheduled_open_at = case when $2 then $3 else scheduled_open_at end,
+              scheduled_close_at = case when $4 then $5 else scheduled_close_at end,
+              deadline_policy = case when $6 then $7 else deadline_policy end
+        where id = $1
+          and status = $8
+        returning id, status, scheduled_open_at, scheduled_close_at, deadline_policy, deadline_extensions`,
+      [
+        drawId,
+        schedule.scheduledOpenAt !== undefined,
+        schedule.scheduledOpenAt ?? null,
+        schedule.scheduledCloseAt !== undefined,
+        schedule.scheduledCloseAt ?? null,
+        schedule.deadlinePolicy !== undefined,
+        schedule.deadlinePolicy ?? null,
+        current.status,
+      ]
+    );
+    if (!up.rowCount) return res.status(409).json({ error: "draw_status_changed" });
+    return res.json({ ok: true, draw: up.rows[0] });
+  } catch (e) {
+    console.error("[admin/draws/:id/schedule] error", e);
+    return res.status(500).json({ error: "schedule_failed" });
+  }
+});
+
 /* ------------------------------------------------------------------ *
  * Histórico (fechados)
  * ------------------------------------------------------------------ */
@@ -295,7 +374,7 @@ router.post("/:id/open", requireAuth, requireAdmin, async (req, res) => {
     try {
       await ensureNumbersForDraw(drawId);
     } catch (e) {
-      console.warn("[admin/draws/:id/open] falha ao garantir numbers 00..99 (seguindo mesmo assim)", {
+      console.warn("[admin/draws/:id/open] falha ao garantir numbers da cartela (seguindo mesmo assim)", {
         draw_id: drawId,
         msg: e?.message || e,
       });
@@ -0,0 +1,52 @@
+// src/routes/admin_jobs.js
+// Fila de jobs em background: listagem, detalhe e retry de jobs 'dead'.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { getJob, listJobs, retryJob } from "../services/jobQueue.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+// GET /api/admin/jobs?status=queued|running|succeeded|dead&name=&limit=&offset=
+router.get("/", async (req, res) => {
+  try {
+    const result = await listJobs(req.query || {});
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/jobs] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "jobs_list_failed" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "job_not_found" });
+    return res.json({ ok: true, job });
+  } catch (error) {
+    if (error?.code === "22P02") return res.status(404).json({ ok: false, error: "job_not_found" });
+    console.error("[admin/jobs] get_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "job_get_failed" });
+  }
+});
+
+// POST /api/admin/jobs/:id/retry — apenas jobs 'dead'
+router.post("/:id/retry", async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    console.log("[admin/jobs] retry", { admin_user_id: req.user?.id || null, job_id: job.id, name: job.name });
+    return res.json({ ok: true, job });
+  } catch (error) {
+    if (error?.code === "22P02" || error?.code === "job_not_found") {
+      return res.status(404).json({ ok: false, error: "job_not_found" });
+    }
+    if (error?.code === "job_not_retryable" || error?.code === "job_already_pending") {
+      return res.status(409).json({ ok: false, error: error.code, status: error.status || null });
+    }
+    console.error("[admin/jobs] retry_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "job_retry_failed" });
+  }
+});
+
+export default router;
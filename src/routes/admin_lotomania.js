@@ -0,0 +1,111 @@
+// src/routes/admin_lotomania.js
+// Registro de concursos da Lotomania e resolução automática do ganhador dos sorteios fechados.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  listLotomaniaContests,
+  recordLotomaniaContest,
+} from "../services/lotomaniaResults.js";
+import { handlePushAutomationEvent } from "../services/notifications/pushAutomationEvents.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+const VALIDATION_ERRORS = new Set([
+  "invalid_contest_number",
+  "invalid_draw_date",
+  "invalid_drawn_numbers_count",
+  "invalid_drawn_number",
+  "duplicated_drawn_number",
+  "invalid_draw_ids",
+]);
+
+const CONFLICT_ERRORS = new Set([
+  "lotomania_contest_conflict",
+  "draw_not_closed",
+  "draw_already_resolved",
+  "draw_board_not_supported",
+  "no_sold_number_in_contest",
+]);
+
+async function emitWinnerDefined(result, contest) {
+  if (process.env.PUSH_ALLOW_ENGINE_EVENTS !== "true") return;
+  try {
+    await handlePushAutomationEvent({
+      eventKey: "WINNER_DEFINED",
+      source: "admin",
+      referenceType: "draw",
+      referenceKey: `draw:${result.draw_id}:winner`,
+      metadata: {
+        draw_id: Number(result.draw_id),
+        draw_type: result.draw_type,
+        contest_number: Number(contest.contest_number),
+        winner_number: Number(result.winner_number),
+        origin: "lotomania",
+      },
+      actor: { type: "admin_lotomania" },
+      dryRun: process.env.PUSH_ENGINE_DRY_RUN !== "false",
+    });
+  } catch (error) {
+    console.warn("[admin/lotomania] push automation event skipped", {
+      draw_id: result.draw_id,
+      code: error?.code || null,
+      message: error?.message || null,
+    });
+  }
+}
+
+// GET /api/admin/lotomania/contests?limit=&offset=
+router.get("/contests", async (req, res) => {
+  try {
+    const result = await listLotomaniaContests(req.query || {});
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/lotomania] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "lotomania_contests_list_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/lotomania/contests
+ * body: { contest_number, draw_date: "YYYY-MM-DD", drawn_numbers: [20 dezenas na ordem do sorteio], draw_ids: [..] }
+ * Concurso já registrado pode ser vinculado a outros sorteios (mesmos dados) — nunca alterado.
+ */
+router.post("/contests", async (req, res) => {
+  const body = req.body || {};
+  try {
+    const { contest, results } = await recordLotomaniaContest({
+      contestNumber: body.contest_number,
+      drawDate: body.draw_date,
+      drawnNumbers: body.drawn_numbers,
+      drawIds: body.draw_ids ?? body.draw_id,
+      adminUserId: req.user?.id ?? null,
+    });
+
+    console.log("[admin/lotomania] contest_recorded", {
+      admin_user_id: req.user?.id || null,
+      contest_number: contest.contest_number,
+      draws: results.map((r) => ({ draw_id: r.draw_id, winner_number: r.winner_number, rule: r.rule_applied })),
+    });
+
+    for (const result of results) {
+      await emitWinnerDefined(result, contest);
+    }
+
+    return res.status(201).json({ ok: true, contest, results });
+  } catch (error) {
+    const code = error?.code || null;
+    if (VALIDATION_ERRORS.has(code)) return res.status(400).json({ ok: false, error: code });
+    if (code === "draw_not_found") {
+      return res.status(404).json({ ok: false, error: code, draw_id: error.draw_id ?? null });
+    }
+    if (CONFLICT_ERRORS.has(code)) {
+      return res.status(409).json({ ok: false, error: code, draw_id: error.draw_id ?? null });
+    }
+    console.error("[admin/lotomania] record_failed", code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "lotomania_contest_record_failed" });
+  }
+});
+
+export default router;
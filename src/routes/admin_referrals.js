@@ -0,0 +1,22 @@
+// src/routes/admin_referrals.js
+// Relatório de indicações: conversões, recompensas e indicações barradas pelas travas antifraude.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { listReferrals } from "../services/referrals.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+// GET /api/admin/referrals?status=pending|rewarded|rejected&referrer_user_id=&from=&to=&limit=&offset=
+router.get("/", async (req, res) => {
+  try {
+    const result = await listReferrals(req.query || {});
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/referrals] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "referrals_list_failed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+// src/routes/admin_refunds.js
+// Estornos de pagamentos (PIX Mercado Pago / Vindi): payment inteiro ou números específicos.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { completePendingRefund, listPaymentRefunds, refundPayment } from "../services/paymentRefunds.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+const ERROR_STATUS = {
+  invalid_payment_id: 400,
+  invalid_refund_id: 400,
+  invalid_refund_numbers: 400,
+  payment_not_found: 404,
+  refund_not_found: 404,
+  payment_not_refundable: 409,
+  refund_in_progress: 409,
+  refund_not_pending: 409,
+  refund_provider_unconfirmed: 409,
+  refund_winning_number: 409,
+  vindi_charge_missing: 409,
+  provider_refund_failed: 502,
+};
+
+function sendRefundError(res, error, tag) {
+  const code = error?.code || null;
+  const status = ERROR_STATUS[code];
+  if (status) {
+    return res.status(status).json({
+      ok: false,
+      error: code,
+      detail: error.detail ?? null,
+      refund_id: error.refund_id ?? null,
+    });
+  }
+  if (code === "23505") return res.status(409).json({ ok: false, error: "refund_in_progress" });
+  if (code === "22P02") return res.status(400).json({ ok: false, error: "invalid_refund_id" });
+  console.error(`[admin/refunds] ${tag}`, code || error?.message || error);
+  return res.status(500).json({ ok: false, error: tag });
+}
+
+// GET /api/admin/refunds?payment_id=&status=pending|completed|failed&kind=refund|chargeback&limit=&offset=
+router.get("/", async (req, res) => {
+  try {
+    const result = await listPaymentRefunds(req.query || {});
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/refunds] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "refunds_list_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/refunds
+ * body: { payment_id, numbers?: number[] (sem numbers = payment inteiro), reason? }
+ */
+router.post("/", async (req, res) => {
+  const body = req.body || {};
+  try {
+    const result = await refundPayment({
+      paymentId: body.payment_id,
+      numbers: body.numbers ?? null,
+      reason: body.reason ?? null,
+      adminUserId: req.user?.id ?? null,
+    });
+    return res.status(201).json({ ok: true, ...result });
+  } catch (error) {
+    return sendRefundError(res, error, "refund_failed");
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:id/complete
+ * Retoma um estorno que ficou 'pending' (ex.: provedor estornou e a reversão falhou).
+ * body: { provider_confirmed?: boolean } — só para Vindi sem confirmação gravada,
+ * depois de conferir no painel que a cobrança foi estornada.
+ */
+router.post("/:id/complete", async (req, res) => {
+  try {
+    const result = await completePendingRefund({
+      refundId: req.params.id,
+      providerConfirmed: req.body?.provider_confirmed === true,
+      adminUserId: req.user?.id ?? null,
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return sendRefundError(res, error, "refund_complete_failed");
+  }
+});
+
+export default router;
@@ -4,6 +4,12 @@ import { getPool, query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { getTicketPriceCents } from "../services/config.js";
 import { closeDrawIfSoldOut } from "../services/drawLifecycle.js";
+import {
+  ensureNumbersForDraw,
+  getDrawNumberCount,
+  isValidDrawNumber,
+  normalizeNumberCount,
+} from "../services/drawNumbers.js";
 import {
   assertCanOpenAdditionalDraw,
   getOpenDrawLimitResponse,
@@ -47,7 +53,7 @@ function normalizeNumbers(input) {
   if (!Array.isArray(input)) return { error: "numbers_must_be_array", numbers: [] };
 
   const parsed = input.map(Number);
-  const invalid = parsed.filter((n) => !Number.isInteger(n) || n < 0 || n > 99);
+  const invalid = parsed.filter((n) => !Number.isInteger(n) || n < 0);
   if (invalid.length) return { error: "invalid_numbers", numbers: [] };
 
   const numbers = Array.from(new Set(parsed)).sort((a, b) => a - b);
@@ -56,24 +62,6 @@ function normalizeNumbers(input) {
   return { numbers };
 }
 
-function normalizeNumberCount(value) {
-  const count = Number(value ?? 100);
-  if (!Number.isInteger(count) || count <= 0 || count > 10000) {
-    return { error: "invalid_number_count" };
-  }
-  return { count };
-}
-
-async function ensureDrawNumbers(client, drawId, numberCount = 100) {
-  await client.query(
-    `INSERT INTO numbers (draw_id, n, status)
-     SELECT $1, gs::int, 'available'
-       FROM generate_series(0, $2::int - 1) AS gs
-     ON CONFLICT DO NOTHING`,
-    [drawId, numberCount]
-  );
-}
-
 async function loadStats(drawId) {
   const stats = await query(
     `SELECT
@@ -218,7 +206,7 @@ router.patch("/:id", async (req, res) => {
 
   if (req.body?.winner_number !== undefined) {
     const winnerNumber = req.body.winner_number === null ? null : Number(req.body.winner_number);
-    if (winnerNumber !== null && (!Number.isInteger(winnerNumber) || winnerNumber < 0 || winnerNumber > 99)) {
+    if (winnerNumber !== null && !isValidDrawNumber(winnerNumber, await getDrawNumberCount(drawId))) {
       return res.status(400).json({ error: "invalid_winner_number" });
     }
     addUpdate("winner_number", winnerNumber);
@@ -352,15 +340,15 @@ router.post("/", async (req, res) => {
     const bannerTitle = toOptionalString(req.body?.banner_title ?? req.body?.promo_phrase ?? productName, 255);
 
     const inserted = await client.query(
-      `INSERT INTO draws (status, draw_type, product_name, product_link, opened_at)
-       VALUES ($1, 'adicional', $2, $3, CASE WHEN $1 = 'open' THEN NOW() ELSE NULL END)
+      `INSERT INTO draws (status, draw_type, product_name, product_link, opened_at, number_count)
+       VALUES ($1, 'adicional', $2, $3, CASE WHEN $1 = 'open' THEN NOW() ELSE NULL END, $4)
        RETURNING id, status, draw_type, product_name, product_link, opened_at,
-                 closed_at, realized_at, winner_user_id, winner_name, winner_number`,
-      [status, productName, toOptionalString(req.body?.product_link ?? null, 1024)]
+                 closed_at, realized_at, winner_user_id, winner_name, winner_number, number_count`,
+      [status, productName, toOptionalString(req.body?.product_link ?? null, 1024), numberCount.count]
     );
 
     const draw = inserted.rows[0];
-    await ensureDrawNumbers(client, draw.id, numberCount.count);
+    await ensureNumbersForDraw(draw.id, client, numberCount.count);
     await upsertConfig(
       client,
       draw.id,
@@ -495,7 +483,7 @@ router.post("/:id/assign-numbers", async (req, res) => {
     }
 
     const drawRes = await client.query(
-      `SELECT id, status
+      `SELECT id, status, number_count
          FROM draws
         WHERE id = $1
           AND draw_type IN ('adicional', 'secundario')
@@ -510,8 +498,13 @@ router.post("/:id/assign-numbers", async (req, res) => {
       await client.query("ROLLBACK");
       return res.status(400).json({ error: "draw_not_open" });
     }
+    const numberCount = drawRes.rows[0].number_count;
+    if (nums.some((n) => !isValidDrawNumber(n, numberCount))) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "invalid_numbers" });
+    }
 
-    await ensureDrawNumbers(client, drawId);
+    await ensureNumbersForDraw(drawId, client, numberCount);
 
     const locked = await client.query(
       `SELECT n, status
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { getPool, query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { getDrawNumberCount, isValidDrawNumber } from "../services/drawNumbers.js";
 
 const router = Router();
 const norm = (v, max = 2048) => String(v ?? "").trim().slice(0, max);
@@ -91,7 +92,7 @@ router.patch("/:id", async (req, res) => {
 
   if (req.body?.winner_number !== undefined) {
     const winnerNumber = req.body.winner_number === null ? null : Number(req.body.winner_number);
-    if (winnerNumber !== null && (!Number.isInteger(winnerNumber) || winnerNumber < 0 || winnerNumber > 99)) {
+    if (winnerNumber !== null && !isValidDrawNumber(winnerNumber, await getDrawNumberCount(id))) {
       return res.status(400).json({ error: "invalid_winner_number" });
     }
     addUpdate("winner_number", winnerNumber);
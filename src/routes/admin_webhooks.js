@@ -0,0 +1,88 @@
+// src/routes/admin_webhooks.js
+// Inbox de webhooks (Mercado Pago / Vindi / Tray): listagem, detalhe e reprocessamento de falhas.
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  getWebhookEvent,
+  listWebhookEvents,
+  processWebhookEvent,
+} from "../services/webhookInbox.js";
+import { processMercadoPagoWebhookEvent } from "./payments.js";
+import { processVindiPaymentWebhookEvent } from "./payments_vindi.js";
+import { processVindiAutopayWebhookEvent } from "./autopay_vindi.js";
+import { processTrayNotificationEvent } from "./integrations_tray.js";
+
+const router = Router();
+
+router.use(requireAuth, requireAdmin);
+
+const HANDLERS = {
+  "mercadopago:payments": processMercadoPagoWebhookEvent,
+  "mercadopago:replay": processMercadoPagoWebhookEvent,
+  "vindi:payments": processVindiPaymentWebhookEvent,
+  "vindi:autopay": processVindiAutopayWebhookEvent,
+  "tray:notifications": processTrayNotificationEvent,
+};
+
+/** Handler que reprocessa o evento (mesmo usado na entrega original), ou null se o endpoint não tem. */
+export function getWebhookReprocessHandler(event) {
+  return HANDLERS[`${event?.provider}:${event?.endpoint}`] || null;
+}
+
+// GET /api/admin/webhooks?provider=&status=rejected|duplicate|failed|...&endpoint=&resource_id=&limit=&offset=
+router.get("/", async (req, res) => {
+  try {
+    const result = await listWebhookEvents(req.query || {});
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("[admin/webhooks] list_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "webhook_events_list_failed" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id);
+    if (!event) return res.status(404).json({ ok: false, error: "webhook_event_not_found" });
+    return res.json({ ok: true, event });
+  } catch (error) {
+    if (error?.code === "22P02") return res.status(404).json({ ok: false, error: "webhook_event_not_found" });
+    console.error("[admin/webhooks] get_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "webhook_event_get_failed" });
+  }
+});
+
+// POST /api/admin/webhooks/:id/reprocess — apenas eventos 'failed' (ou presos em 'received')
+router.post("/:id/reprocess", async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id);
+    if (!event) return res.status(404).json({ ok: false, error: "webhook_event_not_found" });
+    if (!["failed", "received"].includes(event.status)) {
+      return res.status(409).json({ ok: false, error: "webhook_event_not_reprocessable", status: event.status });
+    }
+    const handler = getWebhookReprocessHandler(event);
+    if (!handler) return res.status(400).json({ ok: false, error: "webhook_handler_not_found" });
+
+    const processed = await processWebhookEvent(event.id, handler);
+    console.log("[admin/webhooks] reprocess", {
+      admin_user_id: req.user?.id || null,
+      event_id: event.id,
+      ok: processed.ok,
+      skipped: processed.skipped,
+    });
+    if (!processed.ok) {
+      return res.status(502).json({
+        ok: false,
+        error: "webhook_reprocess_failed",
+        detail: processed.error?.code || processed.error?.message || null,
+      });
+    }
+    return res.json({ ok: true, skipped: processed.skipped, result: processed.result ?? null });
+  } catch (error) {
+    if (error?.code === "22P02") return res.status(404).json({ ok: false, error: "webhook_event_not_found" });
+    console.error("[admin/webhooks] reprocess_failed", error?.code || error?.message || error);
+    return res.status(500).json({ ok: false, error: "webhook_reprocess_failed" });
+  }
+});
+
+export default router;
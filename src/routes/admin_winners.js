@@ -2,6 +2,7 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { getDrawNumberCount, isValidDrawNumber } from "../services/drawNumbers.js";
 
 const router = Router();
 const norm = (v, max = 2048) => String(v ?? "").trim().slice(0, max);
@@ -133,7 +134,7 @@ router.patch("/:id", requireAuth, requireAdmin, async (req, res) => {
 
       if (winner_number !== undefined) {
         const n = winner_number === null ? null : Number(winner_number);
-        if (n !== null && (!Number.isInteger(n) || n < 0 || n > 99)) {
+        if (n !== null && !isValidDrawNumber(n, await getDrawNumberCount(id))) {
           return res.status(400).json({ error: "invalid_winner_number" });
         }
         addUpdate("winner_number", n);
@@ -5,9 +5,26 @@ import jwt from 'jsonwebtoken';
 import nodemailer from 'nodemailer';
 
 import { query } from '../db.js';
-import { requireAuth } from '../middleware/auth.js';
+import { extractAuthToken, requireAuth } from '../middleware/auth.js';
 import { ensureTrayCouponForUser } from '../services/trayCouponEnsure.js';
 import { JWT_SECRET } from "../config/auth.js";
+import {
+  confirmPasswordReset,
+  requestPasswordReset,
+} from '../services/passwordReset.js';
+import { attachReferralAtSignup } from '../services/referrals.js';
+import {
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  createSession,
+  getAdminAccess,
+  isAdmin2faRequired,
+  listUserSessions,
+  newSessionId,
+  revokeAllUserSessions,
+  revokeSession,
+  verifySessionTotp,
+} from '../services/authSessions.js';
 
 const router = express.Router();
 
@@ -19,35 +36,64 @@ function signToken(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_TTL });
 }
 
+/**
+ * Assina o JWT com uma sessão nova (`sid`) gravada em public.auth_sessions.
+ */
+async function issueSessionToken(req, userId, claims) {
+  const sid = newSessionId();
+  const token = signToken({ ...claims, sid });
+  const exp = jwt.decode(token)?.exp;
+  await createSession({
+    id: sid,
+    userId,
+    expiresAt: new Date(Number(exp) * 1000),
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  });
+  return token;
+}
+
+/**
+ * Admin precisa de 2FA na sessão para usar rotas admin (ver requireAdmin).
+ */
+async function mfaStatusForUser(userId) {
+  if (!isAdmin2faRequired()) return null;
+  const access = await getAdminAccess(userId);
+  if (!access.is_admin) return null;
+  return { mfa_required: true, mfa_enrolled: access.totp_enabled };
+}
+
+const SESSION_ERROR_STATUS = {
+  session_required: 401,
+  session_not_found: 404,
+  user_not_found: 404,
+  forbidden: 403,
+  invalid_totp_code: 400,
+  too_many_attempts: 429,
+  totp_setup_required: 409,
+  totp_already_enabled: 409,
+  totp_not_enabled: 409,
+};
+
+function sendSessionError(res, e, context) {
+  const status = SESSION_ERROR_STATUS[e?.code];
+  if (status) return res.status(status).json({ error: e.code });
+  console.error(`[auth] ${context} error`, e?.code || e?.message || e);
+  return res.status(503).json({ error: 'db_unavailable' });
+}
+
 async function verifyPassword(plain, hashed) {
   if (!hashed) return false;
   try {
     const h = String(hashed);
     if (h.startsWith('$2')) return await bcrypt.compare(String(plain), h); // bcrypt
-    if (!h.startsWith('$')) return String(plain) === h; // legado texto-plain
-    return false;
+    return false; // texto-plain legado não é mais aceito: usar redefinição de senha
   } catch {
     return false;
   }
 }
 
 // ---------- util: garantir colunas que usamos ----------
-async function ensureUserColumns() {
-  try {
-    await query(`
-      ALTER TABLE IF EXISTS users
-        ADD COLUMN IF NOT EXISTS is_admin boolean DEFAULT false,
-        ADD COLUMN IF NOT EXISTS coupon_code text,
-        ADD COLUMN IF NOT EXISTS coupon_updated_at timestamptz,
-        ADD COLUMN IF NOT EXISTS tray_coupon_id text,
-        ADD COLUMN IF NOT EXISTS coupon_value_cents int4 DEFAULT 0,
-        ADD COLUMN IF NOT EXISTS phone text
-    `);
-  } catch (e) {
-    // ok ignorar; se não conseguir, o fallback do hydrate cobre
-  }
-}
-
 // Gera um cupom determinístico por usuário (só se ainda não existir)
 function makeUserCouponCode(userId) {
   const id = Number(userId || 0);
@@ -59,8 +105,6 @@ function makeUserCouponCode(userId) {
 
 // Carrega usuário do DB (tolerante a colunas ausentes)
 async function hydrateUserFromDB(id, email) {
-  await ensureUserColumns();
-
   try {
     let r = null;
     if (id) {
@@ -136,12 +180,8 @@ async function findUserByEmail(emailRaw) {
             FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`, args: [email] },
     { sql: `SELECT id, email, password_hash AS hash, CASE WHEN is_admin THEN 'admin' ELSE 'user' END AS role
             FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`, args: [email] },
-    { sql: `SELECT id, email, password AS hash, CASE WHEN is_admin THEN 'admin' ELSE 'user' END AS role
-            FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`, args: [email] },
     { sql: `SELECT id, email, password_hash AS hash, role FROM admin_users
             WHERE LOWER(email)=LOWER($1) LIMIT 1`, args: [email] },
-    { sql: `SELECT id, email, password AS hash, 'admin' AS role FROM admins
-            WHERE LOWER(email)=LOWER($1) LIMIT 1`, args: [email] },
   ];
 
   for (const v of variants) {
@@ -155,9 +195,25 @@ async function findUserByEmail(emailRaw) {
   return null;
 }
 
+// Link do front para a tela de nova senha (token vai só no link, nunca em log)
+function buildPasswordResetUrl(email, token) {
+  const base = String(
+    process.env.PASSWORD_RESET_URL ||
+      `${String(
+        process.env.PUBLIC_APP_URL ||
+          process.env.FRONTEND_URL ||
+          process.env.SITE_URL ||
+          'https://sorteiosxnamai.com.br'
+      ).replace(/\/+$/, '')}/redefinir-senha`
+  ).trim();
+  const url = new URL(base);
+  url.searchParams.set('email', email);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
 // ======= envio de e-mail robusto (Brevo) =======
-// ======= envio de e-mail robusto (Brevo) =======
-async function sendResetMailBrevo(to, newPassword) {
+async function sendResetMailBrevo(to, resetUrl, ttlMinutes) {
   const HOST = process.env.SMTP_HOST || 'smtp-relay.brevo.com';
   const USER = process.env.SMTP_USER || '';          // sua credencial SMTP do Brevo
   const PASS = process.env.SMTP_PASS || '';          // sua senha/SMTP key do Brevo
@@ -182,11 +238,12 @@ async function sendResetMailBrevo(to, newPassword) {
     from: { name: FROM_NAME, address: FROM_EMAIL },
     to,
     replyTo: REPLY_TO,
-    subject: 'Reset de senha - New Store Sorteios',
+    subject: 'Redefinição de senha - New Store Sorteios',
     text:
-      `Sua senha foi resetada.\n\n` +
-      `Nova Senha: ${newPassword}\n\n` +
-      `Se você não solicitou, ignore este e-mail.`,
+      `Recebemos um pedido para redefinir a sua senha.\n\n` +
+      `Para criar uma nova senha, acesse o link abaixo (válido por ${ttlMinutes} minutos, uso único):\n` +
+      `${resetUrl}\n\n` +
+      `Se você não solicitou, ignore este e-mail: sua senha atual continua valendo.`,
   };
 
   let lastErr = null;
@@ -231,7 +288,7 @@ async function sendResetMailBrevo(to, newPassword) {
 
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, phone } = req.body || {};
+    const { name, email, password, phone, referral_code } = req.body || {};
     if (!name || !email || !password) {
       return res.status(400).json({ error: 'invalid_payload' });
     }
@@ -250,7 +307,18 @@ router.post('/register', async (req, res) => {
     );
 
     const u = ins.rows[0];
-    const token = signToken({ sub: u.id, email: u.email, name: u.name, role: u.role });
+
+    // Indicação: código inválido ou falha aqui não impedem o cadastro
+    if (referral_code) {
+      try {
+        const referral = await attachReferralAtSignup({ referredUserId: u.id, code: referral_code });
+        if (!referral.attached) console.log('[auth] register referral ignored', { user_id: u.id, reason: referral.reason });
+      } catch (e) {
+        console.warn('[auth] register referral failed', { user_id: u.id, err: e?.code || e?.message || e });
+      }
+    }
+
+    const token = await issueSessionToken(req, u.id, { sub: u.id, email: u.email, name: u.name, role: u.role });
 
     res.cookie(COOKIE_NAME, token, {
       httpOnly: true,
@@ -282,7 +350,8 @@ router.post('/login', async (req, res) => {
     const ok = await verifyPassword(password, user.hash);
     if (!ok) return res.status(401).json({ error: 'invalid_credentials' });
 
-    const token = signToken({ sub: user.id, email: user.email, role: user.role || 'user' });
+    const token = await issueSessionToken(req, user.id, { sub: user.id, email: user.email, role: user.role || 'user' });
+    const mfa = await mfaStatusForUser(user.id);
 
     // usuário “hidratado” (tolerante a colunas)
     const full = await hydrateUserFromDB(user.id, user.email) || {
@@ -304,14 +373,23 @@ router.post('/login', async (req, res) => {
       });
     } catch {}
 
-    return res.json({ ok: true, token, user: full });
+    return res.json({ ok: true, token, user: full, ...(mfa || {}) });
   } catch (e) {
     console.error('[auth] login error', e.code || e.message || e);
     return res.status(503).json({ error: 'db_unavailable' });
   }
 });
 
-router.post('/logout', (_req, res) => {
+router.post('/logout', async (req, res) => {
+  // Revoga a sessão do token (best-effort: token expirado/inválido só limpa o cookie)
+  try {
+    const token = extractAuthToken(req);
+    const payload = token ? jwt.verify(token, JWT_SECRET) : null;
+    if (payload?.sid) {
+      await revokeSession({ sessionId: payload.sid, userId: Number(payload.id || payload.sub) }).catch(() => {});
+    }
+  } catch {}
+
   res.clearCookie(COOKIE_NAME, {
     httpOnly: true,
     secure: IS_PROD,
@@ -331,47 +409,160 @@ router.get('/me', requireAuth, async (req, res) => {
   }
 });
 
-router.post('/reset-password', async (req, res) => {
+// ===================== SESSÕES =====================
+
+/** GET /api/auth/sessions — sessões ativas do usuário (current = a deste token) */
+router.get('/sessions', requireAuth, async (req, res) => {
   try {
-    let { email, newPassword } = req.body || {};
-    email = String(email || '').trim().toLowerCase();
-    if (!email) return res.status(400).json({ error: 'invalid_email' });
-
-    if (!newPassword) {
-      const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
-      newPassword = Array.from({ length: 6 }, () =>
-        alphabet[Math.floor(Math.random() * alphabet.length)]
-      ).join('');
-    }
+    const sessions = await listUserSessions(req.user.id, { currentSessionId: req.authSession?.id || null });
+    return res.json({ ok: true, sessions });
+  } catch (e) {
+    return sendSessionError(res, e, 'sessions list');
+  }
+});
 
-    let updated = false;
-    try {
-      const hash = await bcrypt.hash(String(newPassword), 10);
-      const upd = async (sql, vals) => {
-        try { const r = await query(sql, vals); if (r.rowCount) updated = true; } catch {}
-      };
-      await upd(`UPDATE users SET pass_hash=$2        WHERE lower(email)=lower($1)`, [email, hash]);
-      await upd(`UPDATE users SET password_hash=$2    WHERE lower(email)=lower($1)`, [email, hash]);
-      await upd(`UPDATE users SET password=$2         WHERE lower(email)=lower($1)`, [email, String(newPassword)]);
-      await upd(`UPDATE admin_users SET password_hash=$2 WHERE lower(email)=lower($1)`, [email, hash]);
-      await upd(`UPDATE admins SET password=$2        WHERE lower(email)=lower($1)`, [email, String(newPassword)]);
-    } catch (e) {
-      console.warn('[reset-password] hashing/update skipped:', e.message);
-    }
+/** DELETE /api/auth/sessions/:id */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    await revokeSession({ sessionId: req.params.id, userId: req.user.id, reason: 'revoked_by_user', revokedBy: req.user.id });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendSessionError(res, e, 'session revoke');
+  }
+});
 
-    // Envio de e-mail com múltiplos fallbacks de porta/TLS
-    let delivered = false;
-    try {
-      delivered = await sendResetMailBrevo(email, newPassword);
-    } catch (e) {
-      console.error('[reset-password] smtp error:', e?.code || e?.message || e);
-      delivered = false;
+/**
+ * POST /api/auth/sessions/revoke-all — "sair de todos os dispositivos"
+ * Body: { keep_current?: boolean } (padrão: derruba também a sessão atual)
+ */
+router.post('/sessions/revoke-all', requireAuth, async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keep_current === true || req.body?.keepCurrent === true;
+    const out = await revokeAllUserSessions({
+      userId: req.user.id,
+      exceptSessionId: keepCurrent ? req.authSession?.id || null : null,
+      revokedBy: req.user.id,
+    });
+    return res.json({ ok: true, revoked: out.revoked });
+  } catch (e) {
+    return sendSessionError(res, e, 'sessions revoke-all');
+  }
+});
+
+// ===================== 2FA (admins) =====================
+
+/** GET /api/auth/2fa — situação do 2FA do usuário e da sessão atual */
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const access = await getAdminAccess(req.user.id);
+    return res.json({
+      ok: true,
+      required: access.is_admin && isAdmin2faRequired(),
+      enrolled: access.totp_enabled,
+      session_verified: Boolean(req.authSession?.mfa_verified_at),
+    });
+  } catch (e) {
+    return sendSessionError(res, e, '2fa status');
+  }
+});
+
+/** POST /api/auth/2fa/setup — gera o segredo (QR via otpauth_url) */
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const out = await beginTotpEnrollment(req.user.id);
+    return res.json({ ok: true, secret: out.secret, otpauth_url: out.otpauth_url });
+  } catch (e) {
+    return sendSessionError(res, e, '2fa setup');
+  }
+});
+
+/** POST /api/auth/2fa/enable { code } — confirma o primeiro código e ativa o 2FA */
+router.post('/2fa/enable', requireAuth, async (req, res) => {
+  try {
+    await confirmTotpEnrollment({ userId: req.user.id, sessionId: req.authSession?.id || null, code: req.body?.code });
+    return res.json({ ok: true, enabled: true, session_verified: true });
+  } catch (e) {
+    return sendSessionError(res, e, '2fa enable');
+  }
+});
+
+/** POST /api/auth/2fa/verify { code } — verifica a sessão atual depois do login */
+router.post('/2fa/verify', requireAuth, async (req, res) => {
+  try {
+    await verifySessionTotp({ userId: req.user.id, sessionId: req.authSession?.id || null, code: req.body?.code });
+    return res.json({ ok: true, session_verified: true });
+  } catch (e) {
+    return sendSessionError(res, e, '2fa verify');
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/request
+ * Body: { email }
+ * Sempre responde { ok: true } (não revela se o e-mail existe).
+ */
+async function handlePasswordResetRequest(req, res) {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  if (!email) return res.status(400).json({ error: 'invalid_email' });
+
+  try {
+    const issued = await requestPasswordReset({
+      email,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (issued.issued) {
+      try {
+        await sendResetMailBrevo(
+          issued.email || email,
+          buildPasswordResetUrl(issued.email || email, issued.token),
+          issued.ttl_minutes
+        );
+      } catch (e) {
+        console.error('[reset-password] smtp error:', e?.code || e?.message || e);
+      }
+    } else {
+      console.log('[reset-password] token not issued:', issued.reason);
     }
+  } catch (e) {
+    console.error('[reset-password] request error:', e?.code || e?.message || e);
+  }
+
+  return res.json({ ok: true });
+}
+
+router.post('/password-reset/request', handlePasswordResetRequest);
 
-    return res.json({ ok: true, delivered, updated });
-  } catch (err) {
-    console.error('[reset-password] error:', err);
-    return res.json({ ok: true, delivered: false, updated: false });
+// Rota legada: não troca mais a senha direto, apenas dispara o fluxo por token.
+router.post('/reset-password', handlePasswordResetRequest);
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Body: { email, token, password }
+ */
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { email, token } = req.body || {};
+    const newPassword = req.body?.password ?? req.body?.newPassword;
+    await confirmPasswordReset({ email, token, newPassword });
+
+    // Sessão atual (se houver) também deixa de valer.
+    res.clearCookie(COOKIE_NAME, {
+      httpOnly: true,
+      secure: IS_PROD,
+      sameSite: IS_PROD ? 'none' : 'lax',
+      path: '/',
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    if (e?.code === 'invalid_payload') return res.status(400).json({ error: 'invalid_payload' });
+    if (e?.code === 'weak_password') {
+      return res.status(400).json({ error: 'weak_password', min_length: e.min_length });
+    }
+    if (e?.code === 'reset_token_invalid') return res.status(400).json({ error: 'reset_token_invalid' });
+    console.error('[reset-password] confirm error:', e?.code || e?.message || e);
+    return res.status(503).json({ error: 'db_unavailable' });
   }
 });
 
@@ -14,6 +14,7 @@ import {
   mpChargeCard,
 } from "../services/mercadopago.js";
 import { creditCouponOnApprovedPayment } from "../services/couponBalance.js";
+import { getOpenPrincipalNumberCount, isValidDrawNumber } from "../services/drawNumbers.js";
 
 const router = express.Router();
 
@@ -21,8 +22,8 @@ const router = express.Router();
  * Utils
  * ------------------------------------------------------------------ */
 
-function parseNumbers(input) {
-  // Dedup, valida (00..99) e aplica um limite de segurança no backend (20)
+function parseNumbers(input, numberCount) {
+  // Dedup, valida contra a cartela (00..99 por padrão) e aplica um limite de segurança no backend (20)
   const arr = Array.isArray(input)
     ? input
     : String(input || "")
@@ -31,7 +32,7 @@ function parseNumbers(input) {
         .filter(Boolean);
 
   const nums = [...new Set(arr.map(Number))] // dedupe
-    .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99)
+    .filter((n) => isValidDrawNumber(n, numberCount))
     .slice(0, 20); // limite de segurança
 
   // (opcional) manter ordenado para UX mais previsível
@@ -167,7 +168,7 @@ router.post("/me/autopay", requireAuth, async (req, res) => {
     const doc_number = String(req.body?.doc_number || "")
       .replace(/\D+/g, "")
       .slice(0, 18);
-    const numbers = parseNumbers(req.body?.numbers);
+    const numbers = parseNumbers(req.body?.numbers, await getOpenPrincipalNumberCount());
     const card_token = req.body?.card_token
       ? String(req.body.card_token)
       : null;
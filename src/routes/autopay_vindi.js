@@ -5,6 +5,10 @@ import crypto from "node:crypto";
 import { query, getPool } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { creditCouponOnApprovedPayment } from "../services/couponBalance.js";
+import {
+  reversePaymentFromProvider,
+  syncTrayCouponAfterReversal,
+} from "../services/paymentRefunds.js";
 import {
   ensureCustomer,
   createPaymentProfile,
@@ -12,6 +16,12 @@ import {
   associateGatewayToken,
 } from "../services/vindi.js";
 import { tokenizeCardPublic, detectPaymentCompanyCode } from "../services/vindi_public.js";
+import {
+  ingestWebhookEvent,
+  verifyVindiWebhookAuth,
+  vindiEventIdentity,
+} from "../services/webhookInbox.js";
+import { getOpenPrincipalNumberCount, isValidDrawNumber } from "../services/drawNumbers.js";
 
 const router = express.Router();
 
@@ -153,7 +163,7 @@ function mapVindiError(error) {
 }
 
 // Helper para parse de números (mesmo do autopay.js)
-function parseNumbers(input) {
+function parseNumbers(input, numberCount) {
   const arr = Array.isArray(input)
     ? input
     : String(input || "")
@@ -162,7 +172,7 @@ function parseNumbers(input) {
         .filter(Boolean);
 
   const nums = [...new Set(arr.map(Number))]
-    .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99)
+    .filter((n) => isValidDrawNumber(n, numberCount))
     .slice(0, 20);
 
   nums.sort((a, b) => a - b);
@@ -465,7 +475,7 @@ router.post("/vindi/setup", requireAuth, async (req, res) => {
     const doc_number = String(doc_number_raw)
       .replace(/\D+/g, "")
       .slice(0, 18);
-    const numbers = parseNumbers(req.body?.numbers);
+    const numbers = parseNumbers(req.body?.numbers, await getOpenPrincipalNumberCount());
     const active = req.body?.active !== undefined ? !!req.body.active : true;
 
     // Verifica se Vindi está configurado
@@ -841,7 +851,7 @@ router.post("/vindi/setup", requireAuth, async (req, res) => {
           [user_id]
         );
         const myAutopayId = profRows?.[0]?.id;
-        const numbers = parseNumbers(req.body?.numbers);
+        const numbers = parseNumbers(req.body?.numbers, await getOpenPrincipalNumberCount());
 
         if (myAutopayId && numbers.length) {
           const takenResult = await query(
@@ -1138,187 +1148,266 @@ router.post("/vindi/cancel", requireAuth, async (req, res) => {
   }
 });
 
+// Eventos de estorno/chargeback da Vindi (nome cru ou normalizado por parseWebhook)
+const REVERSAL_KIND_BY_EVENT = {
+  charge_refunded: "refund",
+  "charge.refunded": "refund",
+  charge_chargeback: "chargeback",
+  "charge.chargeback": "chargeback",
+};
+
 /**
- * POST /api/autopay/vindi/webhook
- * Webhook da Vindi para atualizar status de pagamentos (bills/charges)
- * Body: evento do webhook da Vindi
- * Validação mínima e logs estruturados
+ * Handler do inbox de webhooks (endpoint 'autopay'): atualiza autopay_runs/payments.
+ * Recebe a linha gravada em public.webhook_events.
  */
-router.post("/vindi/webhook", async (req, res) => {
-  const requestId = req.headers["x-request-id"] || crypto.randomUUID();
-  
-  try {
-    const payload = req.body;
-    const eventType = payload?.type || payload?.event_type || "unknown";
-    const data = payload?.data || payload;
-
-    console.log("[autopay/vindi/webhook] evento recebido", {
-      requestId,
-      event_type: eventType,
-      has_data: !!data,
-    });
-
-    // Validação mínima: verifica se tem dados básicos
-    if (!data) {
-      console.warn("[autopay/vindi/webhook] payload sem data", { requestId, payload });
-      return res.status(200).json({ ok: true, message: "ignored" }); // Sempre 200 para webhook
-    }
-
-    // Extrai IDs relevantes
-    const billId = data?.bill?.id || data?.bill_id || null;
-    const chargeId = data?.charge?.id || data?.charge_id || null;
-    const billStatus = data?.bill?.status || data?.status || null;
-    const chargeStatus = data?.charge?.status || null;
+export async function processVindiAutopayWebhookEvent(stored) {
+  const requestId = stored.headers?.["x-request-id"] || stored.id || crypto.randomUUID();
+  const payload = stored.payload;
+  // A Vindi envia { event: { type, created_at, data } }; o formato plano segue aceito.
+  const event = payload?.event && typeof payload.event === "object" ? payload.event : payload;
+  const eventType = event?.type || event?.event_type || "unknown";
+  const data = event?.data || event;
+
+  console.log("[autopay/vindi/webhook] evento recebido", {
+    requestId,
+    event_type: eventType,
+    has_data: !!data,
+  });
+
+  // Validação mínima: verifica se tem dados básicos
+  if (!data) {
+    console.warn("[autopay/vindi/webhook] payload sem data", { requestId, payload });
+    return { ignored: "no_data" };
+  }
 
-    // Log estruturado
-    console.log("[autopay/vindi/webhook] processando evento", {
-      requestId,
-      event_type: eventType,
-      bill_id: billId,
-      charge_id: chargeId,
-      bill_status: billStatus,
-      charge_status: chargeStatus,
-    });
+  // Extrai IDs relevantes
+  // Eventos de charge trazem a fatura aninhada em charge.bill
+  const billId = data?.bill?.id || data?.bill_id || data?.charge?.bill?.id || null;
+  const chargeId = data?.charge?.id || data?.charge_id || null;
+  const billStatus = data?.bill?.status || data?.status || null;
+  const chargeStatus = data?.charge?.status || null;
+  // Estorno/chargeback: mesma reversão do webhook de pagamentos (payments_vindi.js)
+  const reversalKind = REVERSAL_KIND_BY_EVENT[eventType] || null;
+
+  // Log estruturado
+  console.log("[autopay/vindi/webhook] processando evento", {
+    requestId,
+    event_type: eventType,
+    bill_id: billId,
+    charge_id: chargeId,
+    bill_status: billStatus,
+    charge_status: chargeStatus,
+  });
+
+  // Atualiza autopay_runs se tiver bill_id ou charge_id
+  if (billId || chargeId) {
+    const pool = await getPool();
+    const client = await pool.connect();
 
-    // Atualiza autopay_runs se tiver bill_id ou charge_id
-    if (billId || chargeId) {
-      const pool = await getPool();
-      const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // Busca autopay_runs relacionados a esta bill/charge
+      let runQuery = null;
+      let paymentResult = null;
+      if (billId) {
+        // Busca por vindi_bill_id no payments
+        paymentResult = await client.query(
+          `SELECT id, user_id, draw_id, vindi_bill_id, vindi_charge_id 
+           FROM public.payments 
+           WHERE vindi_bill_id = $1 
+           LIMIT 1`,
+          [billId]
+        );
 
-      try {
-        await client.query("BEGIN");
-
-        // Busca autopay_runs relacionados a esta bill/charge
-        let runQuery = null;
-        let paymentResult = null;
-        if (billId) {
-          // Busca por vindi_bill_id no payments
-          paymentResult = await client.query(
-            `SELECT id, user_id, draw_id, vindi_bill_id, vindi_charge_id 
-             FROM public.payments 
-             WHERE vindi_bill_id = $1 
+        if (paymentResult.rows.length > 0) {
+          const payment = paymentResult.rows[0];
+          // Busca autopay_run pelo payment_id (mais direto)
+          runQuery = await client.query(
+            `SELECT ar.* 
+             FROM public.autopay_runs ar
+             WHERE ar.payment_id = $1
              LIMIT 1`,
-            [billId]
+            [payment.id]
           );
-
-          if (paymentResult.rows.length > 0) {
-            const payment = paymentResult.rows[0];
-            // Busca autopay_run pelo payment_id (mais direto)
+          
+          // Se não encontrou por payment_id, busca por user_id + draw_id (fallback)
+          if (!runQuery.rows.length) {
             runQuery = await client.query(
               `SELECT ar.* 
                FROM public.autopay_runs ar
-               WHERE ar.payment_id = $1
+               WHERE ar.user_id = $1 
+                 AND ar.draw_id = $2
+               ORDER BY ar.created_at DESC
                LIMIT 1`,
-              [payment.id]
+              [payment.user_id, payment.draw_id]
             );
-            
-            // Se não encontrou por payment_id, busca por user_id + draw_id (fallback)
-            if (!runQuery.rows.length) {
-              runQuery = await client.query(
-                `SELECT ar.* 
-                 FROM public.autopay_runs ar
-                 WHERE ar.user_id = $1 
-                   AND ar.draw_id = $2
-                 ORDER BY ar.created_at DESC
-                 LIMIT 1`,
-                [payment.user_id, payment.draw_id]
-              );
-            }
           }
         }
+      }
+
+      // Devolve números e reverte o crédito de saldo (idempotente), com ou sem autopay_run.
+      // O status final (refunded/charged_back) é gravado pela reversão.
+      let reversal = null;
+      const paymentId = paymentResult?.rows?.[0]?.id || null;
+      if (reversalKind && paymentId) {
+        const transaction = data?.charge?.last_transaction || null;
+        await client.query(`UPDATE public.payments SET vindi_status = $1 WHERE id = $2`, [
+          reversalKind === "chargeback" ? "chargeback" : "refunded",
+          paymentId,
+        ]);
+        reversal = await reversePaymentFromProvider(paymentId, {
+          kind: reversalKind,
+          providerStatus: eventType,
+          providerRefundId: transaction?.transaction_type === "refund" ? transaction.id ?? null : null,
+        }, { pgClient: client });
+      }
 
-        if (runQuery && runQuery.rows.length > 0) {
-          const run = runQuery.rows[0];
-          const newStatus = billStatus === "paid" || chargeStatus === "paid" ? "ok" : 
-                           billStatus === "failed" || chargeStatus === "rejected" ? "error" : 
-                           run.status;
+      if (runQuery && runQuery.rows.length > 0) {
+        const run = runQuery.rows[0];
+        const newStatus = billStatus === "paid" || chargeStatus === "paid" ? "ok" : 
+                         billStatus === "failed" || chargeStatus === "rejected" ? "error" : 
+                         run.status;
 
-          // Atualiza status do autopay_run
+        // Atualiza status do autopay_run
+        await client.query(
+          `UPDATE public.autopay_runs
+           SET status = $1,
+               error_message = CASE WHEN $1 = 'error' THEN $2 ELSE error_message END,
+               updated_at = now()
+           WHERE id = $3`,
+          [newStatus, `Vindi: ${billStatus || chargeStatus}`, run.id]
+        );
+
+        // Atualiza payment se necessário (no estorno quem grava o status é a reversão)
+        if (billId && billStatus && !reversalKind) {
           await client.query(
-            `UPDATE public.autopay_runs
-             SET status = $1,
-                 error_message = CASE WHEN $1 = 'error' THEN $2 ELSE error_message END,
-                 updated_at = now()
-             WHERE id = $3`,
-            [newStatus, `Vindi: ${billStatus || chargeStatus}`, run.id]
+            `UPDATE public.payments
+             SET status = CASE 
+               WHEN $1 = 'paid' THEN 'approved'
+               WHEN $1 = 'failed' THEN 'rejected'
+               ELSE status
+             END,
+             vindi_status = $1,
+             paid_at = CASE WHEN $1 = 'paid' THEN now() ELSE paid_at END
+             WHERE vindi_bill_id = $2`,
+            [billStatus, billId]
           );
 
-          // Atualiza payment se necessário
-          if (billId && billStatus) {
-            await client.query(
-              `UPDATE public.payments
-               SET status = CASE 
-                 WHEN $1 = 'paid' THEN 'approved'
-                 WHEN $1 = 'failed' THEN 'rejected'
-                 ELSE status
-               END,
-               vindi_status = $1,
-               paid_at = CASE WHEN $1 = 'paid' THEN now() ELSE paid_at END
-               WHERE vindi_bill_id = $2`,
-              [billStatus, billId]
-            );
-
-            // Crédito de saldo (idempotente) quando virar approved
-            if (String(billStatus).toLowerCase() === "paid" && paymentResult?.rows?.[0]?.id) {
-              const creditRes = await creditCouponOnApprovedPayment(String(paymentResult.rows[0].id), {
-                channel: "VINDI",
-                source: "vindi_webhook",
-                runTraceId: requestId,
-                meta: { pricing_source: "public.app_config.ticket_price_cents", autopay: true },
-                pgClient: client,
+          // Crédito de saldo (idempotente) quando virar approved
+          if (String(billStatus).toLowerCase() === "paid" && paymentResult?.rows?.[0]?.id) {
+            const creditRes = await creditCouponOnApprovedPayment(String(paymentResult.rows[0].id), {
+              channel: "VINDI",
+              source: "vindi_webhook",
+              runTraceId: requestId,
+              meta: { pricing_source: "public.app_config.ticket_price_cents", autopay: true },
+              pgClient: client,
+            });
+            if (creditRes?.ok === false || ["error", "not_supported", "invalid_amount"].includes(String(creditRes?.action || ""))) {
+              console.warn("[autopay/vindi/webhook][coupon.credit] WARN", {
+                paymentId: String(paymentResult.rows[0].id),
+                action: creditRes?.action || null,
+                reason: creditRes?.reason || null,
+                user_id: creditRes?.user_id ?? null,
+                status: creditRes?.status ?? null,
+                errCode: creditRes?.errCode ?? null,
+                errMsg: creditRes?.errMsg ?? null,
               });
-              if (creditRes?.ok === false || ["error", "not_supported", "invalid_amount"].includes(String(creditRes?.action || ""))) {
-                console.warn("[autopay/vindi/webhook][coupon.credit] WARN", {
-                  paymentId: String(paymentResult.rows[0].id),
-                  action: creditRes?.action || null,
-                  reason: creditRes?.reason || null,
-                  user_id: creditRes?.user_id ?? null,
-                  status: creditRes?.status ?? null,
-                  errCode: creditRes?.errCode ?? null,
-                  errMsg: creditRes?.errMsg ?? null,
-                });
-              }
             }
           }
+        }
 
-          await client.query("COMMIT");
+        await client.query("COMMIT");
+        syncTrayCouponAfterReversal(reversal);
 
-          console.log("[autopay/vindi/webhook] autopay_run atualizado", {
-            requestId,
-            run_id: run.id,
-            old_status: run.status,
-            new_status: newStatus,
-            bill_id: billId,
-            charge_id: chargeId,
-          });
-        } else {
-          await client.query("ROLLBACK");
-          console.log("[autopay/vindi/webhook] nenhum autopay_run encontrado", {
-            requestId,
-            bill_id: billId,
-            charge_id: chargeId,
-          });
-        }
+        console.log("[autopay/vindi/webhook] autopay_run atualizado", {
+          requestId,
+          run_id: run.id,
+          old_status: run.status,
+          new_status: newStatus,
+          bill_id: billId,
+          charge_id: chargeId,
+        });
+        return {
+          run_id: run.id,
+          status: newStatus,
+          bill_id: billId,
+          charge_id: chargeId,
+          reversal: reversal?.action || null,
+        };
+      }
 
-        client.release();
-      } catch (dbError) {
-        try {
-          await client.query("ROLLBACK");
-        } catch {}
-        client.release();
-        
-        console.error("[autopay/vindi/webhook] erro ao processar no DB", {
+      if (reversal) {
+        await client.query("COMMIT");
+        syncTrayCouponAfterReversal(reversal);
+        console.log("[autopay/vindi/webhook] reversão sem autopay_run", {
           requestId,
-          error: dbError?.message,
+          payment_id: paymentId,
+          event_type: eventType,
+          reversal: reversal.action,
         });
-        // Continua e retorna 200 para não fazer Vindi reenviar
+        return { run_id: null, bill_id: billId, charge_id: chargeId, reversal: reversal.action };
+      }
+
+      await client.query("ROLLBACK");
+      console.log("[autopay/vindi/webhook] nenhum autopay_run encontrado", {
+        requestId,
+        bill_id: billId,
+        charge_id: chargeId,
+      });
+      return { run_id: null, bill_id: billId, charge_id: chargeId };
+    } catch (dbError) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+
+      console.error("[autopay/vindi/webhook] erro ao processar no DB", {
+        requestId,
+        error: dbError?.message,
+      });
+      // Falha fica registrada no inbox (status 'failed') para reprocessamento
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { ignored: "no_bill_or_charge" };
+}
+
+/**
+ * POST /api/autopay/vindi/webhook
+ * Webhook da Vindi para atualizar status de pagamentos (bills/charges)
+ * Body: evento do webhook da Vindi
+ * Autenticação via VINDI_WEBHOOK_SECRET/basic auth; eventos passam pelo inbox (dedup).
+ */
+router.post("/vindi/webhook", async (req, res) => {
+  const requestId = req.headers["x-request-id"] || crypto.randomUUID();
+
+  try {
+    const payload = req.body && typeof req.body === "object" ? req.body : {};
+    const ingest = await ingestWebhookEvent({
+      provider: "vindi",
+      endpoint: "autopay",
+      signatureStatus: verifyVindiWebhookAuth({ headers: req.headers, query: req.query }),
+      identity: vindiEventIdentity(payload),
+      headers: req.headers,
+      query: req.query,
+      payload,
+      handler: processVindiAutopayWebhookEvent,
+    });
+
+    if (ingest.outcome === "rejected") {
+      if (ingest.reason === "signature_not_configured") {
+        return res.status(503).json({ ok: false, error: "webhook_not_configured", requestId });
       }
+      return res.status(401).json({ ok: false, error: "unauthorized", requestId });
     }
 
-    // Sempre retorna 200 para o webhook não ser reenviado
-    return res.status(200).json({ 
-      ok: true, 
-      message: "webhook processed",
+    // Sempre retorna 200 para o webhook não ser reenviado (falhas ficam no inbox)
+    return res.status(200).json({
+      ok: true,
+      message: ingest.outcome === "duplicate" ? "duplicate" : "webhook processed",
       requestId,
     });
   } catch (e) {
@@ -1327,8 +1416,8 @@ router.post("/vindi/webhook", async (req, res) => {
       error: e?.message,
     });
     // Sempre retorna 200 para webhook não ser reenviado
-    return res.status(200).json({ 
-      ok: true, 
+    return res.status(200).json({
+      ok: true,
       message: "webhook received",
       requestId,
     });
@@ -1336,4 +1425,3 @@ router.post("/vindi/webhook", async (req, res) => {
 });
 
 export default router;
-
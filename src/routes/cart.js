@@ -0,0 +1,200 @@
+// src/routes/cart.js
+// Carrinho: números de qualquer sorteio aberto (principal, adicional, secundário) em uma
+// reserva com TTL único, pagos com um só PIX do Mercado Pago.
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { formatDrawNumber } from "../services/drawNumbers.js";
+import { getMercadoPagoAccessToken, mpCreatePixPayment } from "../services/mercadopago.js";
+import {
+  abortCartCheckout,
+  addCartItems,
+  beginCartCheckout,
+  completeCartCheckout,
+  getCartForUser,
+  getCurrentCart,
+  removeCartItems,
+} from "../services/cart.js";
+import { syncMercadoPagoPayment } from "./payments.js";
+
+const router = Router();
+
+router.use(requireAuth);
+
+const ERROR_STATUS = {
+  invalid_draw_id: 400,
+  no_numbers: 400,
+  numbers_invalid: 400,
+  numbers_not_found: 400,
+  cart_empty: 400,
+  invalid_ticket_price: 400,
+  draw_not_found: 404,
+  cart_not_found: 404,
+  cart_item_not_found: 404,
+  draw_not_open: 409,
+  numbers_unavailable: 409,
+  cart_checkout_in_progress: 409,
+  cart_expired: 409,
+};
+
+function sendError(res, error, context) {
+  const status = ERROR_STATUS[error?.code];
+  if (status) {
+    const { code, message, stack, ...extra } = error;
+    return res.status(status).json({ ok: false, error: code, ...extra });
+  }
+  // Dois pedidos simultâneos criando o carrinho do mesmo usuário (uq_carts_user_active).
+  if (error?.code === "23505") return res.status(409).json({ ok: false, error: "cart_busy" });
+  console.error(`[cart/${context}] error:`, error?.code || error?.message || error);
+  return res.status(500).json({ ok: false, error: `cart_${context}_failed` });
+}
+
+function resolveBaseUrl(req) {
+  const publicUrl = process.env.PUBLIC_URL
+    ? String(process.env.PUBLIC_URL).replace(/\/$/, "")
+    : "";
+  if (publicUrl) return publicUrl;
+
+  const protoRaw = req.headers["x-forwarded-proto"] || req.protocol || "https";
+  const proto = String(protoRaw).split(",")[0].trim() || "https";
+  const host = req.get("host");
+  let fallback = `${proto}://${host}`.replace(/\/$/, "");
+  if (process.env.NODE_ENV === "production" && !fallback.startsWith("https://")) {
+    fallback = fallback.replace(/^http:\/\//, "https://");
+  }
+  return fallback;
+}
+
+function cartDescription(cart) {
+  const parts = cart.items.map((item) => {
+    const label = item.product_name || (item.draw_type === "principal" ? "Sorteio New Store" : "Sorteio adicional New Store");
+    return `${label}: ${item.numbers.map((n) => formatDrawNumber(n, item.number_count)).join(", ")}`;
+  });
+  return parts.join(" | ").slice(0, 600);
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const cart = await getCurrentCart(req.user.id);
+    return res.json({ ok: true, cart });
+  } catch (e) {
+    return sendError(res, e, "get");
+  }
+});
+
+// POST /api/cart/items { draw_id, numbers: [..] }
+router.post("/items", async (req, res) => {
+  try {
+    const cart = await addCartItems({
+      userId: req.user.id,
+      drawId: req.body?.draw_id ?? req.body?.drawId,
+      numbers: req.body?.numbers,
+    });
+    return res.status(201).json({ ok: true, cart });
+  } catch (e) {
+    return sendError(res, e, "add");
+  }
+});
+
+// DELETE /api/cart/items/:drawId { numbers?: [..] } — sem numbers remove o sorteio inteiro
+router.delete("/items/:drawId", async (req, res) => {
+  try {
+    const cart = await removeCartItems({
+      userId: req.user.id,
+      drawId: req.params.drawId,
+      numbers: Array.isArray(req.body?.numbers) ? req.body.numbers : null,
+    });
+    return res.json({ ok: true, cart });
+  } catch (e) {
+    return sendError(res, e, "remove");
+  }
+});
+
+router.post("/checkout", async (req, res) => {
+  if (!getMercadoPagoAccessToken()) {
+    console.warn("[cart/checkout] Mercado Pago token missing");
+    return res.status(503).json({ ok: false, error: "mp_token_missing" });
+  }
+
+  let checkout;
+  try {
+    checkout = await beginCartCheckout(req.user.id);
+  } catch (e) {
+    return sendError(res, e, "checkout");
+  }
+  if (checkout.existing) {
+    return res.json({ ok: true, cart: checkout.cart, payment_id: checkout.cart.payment_id });
+  }
+
+  const { cart } = checkout;
+  let mpBody;
+  try {
+    mpBody = await mpCreatePixPayment({
+      transaction_amount: Number((cart.amount_cents / 100).toFixed(2)),
+      description: cartDescription(cart),
+      payerEmail: req.user?.email || "comprador@example.com",
+      external_reference: `cart:${cart.id}`,
+      metadata: {
+        source: "cart",
+        cart_id: cart.id,
+        user_id: Number(req.user.id),
+        draws: cart.items.map((item) => ({
+          draw_id: item.draw_id,
+          numbers: item.numbers,
+          amount_cents: item.amount_cents,
+        })),
+      },
+      notification_url: `${resolveBaseUrl(req)}/api/payments/webhook`,
+      date_of_expiration: new Date(cart.expires_at).toISOString(),
+      // Checkout refeito depois de uma falha no meio recebe o mesmo PIX.
+      idempotencyKey: `cart:${cart.id}:${cart.amount_cents}`,
+    });
+  } catch (e) {
+    await abortCartCheckout(cart.id).catch(() => {});
+    console.error("[cart/checkout][mercadopago] error:", { status: e?.status, code: e?.code, message: e?.message });
+    return res.status(502).json({ ok: false, error: "mp_pix_create_failed" });
+  }
+
+  const td = mpBody?.point_of_interaction?.transaction_data || {};
+  const paymentId = mpBody?.id != null ? String(mpBody.id) : null;
+  const qrCode = typeof td.qr_code === "string" ? td.qr_code.trim() : null;
+  if (!paymentId || !qrCode) {
+    await abortCartCheckout(cart.id).catch(() => {});
+    return res.status(502).json({ ok: false, error: "mp_pix_create_failed" });
+  }
+
+  try {
+    const paid = await completeCartCheckout({
+      cart,
+      userId: req.user.id,
+      providerPaymentId: paymentId,
+      status: mpBody?.status || "pending",
+      qrCode,
+      qrCodeBase64: typeof td.qr_code_base64 === "string" ? td.qr_code_base64.replace(/\s+/g, "") : null,
+    });
+    return res.status(201).json({ ok: true, cart: paid, payment_id: paymentId });
+  } catch (e) {
+    // Carrinho fica em 'checkout': um novo POST refaz com a mesma idempotency key.
+    return sendError(res, e, "checkout");
+  }
+});
+
+router.get("/:id/status", async (req, res) => {
+  try {
+    let cart = await getCartForUser(req.params.id, req.user.id);
+    if (!cart) return res.status(404).json({ ok: false, error: "cart_not_found" });
+    if (cart.status === "pending_payment" && cart.payment_id && getMercadoPagoAccessToken()) {
+      try {
+        await syncMercadoPagoPayment(cart.payment_id, { source: "cart_status" });
+        cart = await getCartForUser(req.params.id, req.user.id);
+      } catch (e) {
+        console.warn("[cart/status] sync failed", { cart_id: cart.id, code: e?.code || e?.message || null });
+      }
+    }
+    return res.json({ ok: true, cart, paid: cart.status === "paid" });
+  } catch (e) {
+    if (e?.code === "22P02") return res.status(404).json({ ok: false, error: "cart_not_found" });
+    return sendError(res, e, "status");
+  }
+});
+
+export default router;
@@ -1,8 +1,12 @@
 import { Router } from "express";
 import { requireAuth } from "../middleware/auth.js";
 import {
+  EMAIL_CONSENT_CATEGORIES,
+  createEmailCommunicationConsent,
   createWhatsAppCommunicationConsent,
+  getEmailConsentStatusForUser,
   getWhatsappConsentStatusForUser,
+  isAllowedEmailConsentCategory,
   isAllowedWhatsAppConsentCategory,
   normalizeWhatsAppConsentCategory,
 } from "../services/notifications/communicationConsent.js";
@@ -23,6 +27,22 @@ function getRequestedCategory(req, fallback = "all") {
   return String(raw || fallback).trim().toLowerCase();
 }
 
+async function loadEmailConsents(userId) {
+  const email = {};
+  for (const category of EMAIL_CONSENT_CATEGORIES) {
+    const consent = await getEmailConsentStatusForUser({ userId, category });
+    email[category] = {
+      channel: "email",
+      status: consent.email_consent_status,
+      can_send: consent.email_can_send === true,
+      category,
+      source: consent.email_consent_source,
+      created_at: consent.email_consent_at,
+    };
+  }
+  return email;
+}
+
 router.use(requireAuth);
 
 router.get("/", async (req, res) => {
@@ -43,6 +63,7 @@ router.get("/", async (req, res) => {
         source: consent.whatsapp_consent_source || null,
         created_at: consent.whatsapp_consent_at || null,
       },
+      email: await loadEmailConsents(req.user.id),
     });
   } catch (error) {
     console.error("[communication-consents] get error", {
@@ -135,4 +156,39 @@ router.delete("/whatsapp", async (req, res) => {
   }
 });
 
+// E-mail por categoria (operational | marketing | all). Sem registro vale o padrão da categoria.
+async function setEmailConsent(req, res, status) {
+  try {
+    const requestedCategory = getRequestedCategory(req, "all");
+    if (!isAllowedEmailConsentCategory(requestedCategory)) {
+      return res.status(400).json({ ok: false, error: "invalid_category" });
+    }
+
+    const result = await createEmailCommunicationConsent({
+      userId: req.user.id,
+      category: requestedCategory,
+      status,
+      source: "account_page",
+      ip: getRequestIp(req),
+      userAgent: getRequestUserAgent(req),
+      meta: { action: status === "granted" ? "opt_in" : "opt_out" },
+    });
+
+    if (!result.ok) {
+      return res.status(503).json({ ok: false, error: result.error });
+    }
+
+    return res.json({ ok: true, email: await loadEmailConsents(req.user.id) });
+  } catch (error) {
+    console.error(`[communication-consents] email ${status === "granted" ? "opt-in" : "opt-out"} error`, {
+      message: error?.message || null,
+      code: error?.code || null,
+    });
+    return res.status(500).json({ ok: false, error: "communication_consents_failed" });
+  }
+}
+
+router.post("/email", (req, res) => setEmailConsent(req, res, "granted"));
+router.delete("/email", (req, res) => setEmailConsent(req, res, "revoked"));
+
 export default router;
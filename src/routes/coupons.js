@@ -17,19 +17,6 @@ function codeForUser(userId) {
 
 // ---------- helpers de schema/tempo ----------
 
-async function ensureUserColumns() {
-  try {
-    await query(`
-      ALTER TABLE IF EXISTS users
-        ADD COLUMN IF NOT EXISTS coupon_code text,
-        ADD COLUMN IF NOT EXISTS tray_coupon_id text,
-        ADD COLUMN IF NOT EXISTS coupon_value_cents int4 DEFAULT 0,
-        ADD COLUMN IF NOT EXISTS coupon_updated_at timestamptz,
-        ADD COLUMN IF NOT EXISTS last_payment_sync_at timestamptz
-    `);
-  } catch {}
-}
-
 async function hasColumn(table, column, schema = "public") {
   const { rows } = await query(
     `SELECT 1
@@ -65,8 +52,6 @@ router.post("/sync", requireAuth, async (req, res) => {
   const rid = Math.random().toString(36).slice(2, 8);
   const uid = req.user.id;
   try {
-    await ensureUserColumns();
-
     // estado atual mínimo (fora da transação, só para saber tray/code)
     const curQ = await query(
       `SELECT id,
@@ -312,7 +297,6 @@ router.post("/sync-tray-pending", requireAuth, requireAdmin, async (req, res) =>
  */
 router.get("/mine", requireAuth, async (req, res) => {
   try {
-    await ensureUserColumns();
     const uid = req.user.id;
     const r = await query(
       `SELECT coupon_code,
@@ -1,29 +1,12 @@
 // backend/src/routes/admin_draws.js
 import { Router } from "express";
 import { getPool, query } from "../db.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { mpChargeCard } from "../services/mercadopago.js";
+import { filterDrawNumbers, formatDrawNumber, getDrawNumberCount } from "../services/drawNumbers.js";
 
 const router = Router();
 
-/* ------------------------------------------------------------------ *
- * Middleware: admin
- * ------------------------------------------------------------------ */
-async function requireAdmin(req, res, next) {
-  try {
-    const userId = req?.user?.id;
-    if (!userId) return res.status(401).json({ error: "unauthorized" });
-    const r = await query("select is_admin from users where id = $1", [userId]);
-    if (!r.rows.length || !r.rows[0].is_admin) {
-      return res.status(403).json({ error: "forbidden" });
-    }
-    return next();
-  } catch (e) {
-    console.error("[admin check] error", e);
-    return res.status(500).json({ error: "admin_check_failed" });
-  }
-}
-
 /* ------------------------------------------------------------------ *
  * PUBLIC: /api/draws — usado pelo front para pintar “Resultado”
  * ------------------------------------------------------------------ */
@@ -159,13 +142,12 @@ async function runAutopayForDraw(client, draw_id) {
   );
 
   const price_cents = await getTicketPriceCents(client);
+  const numberCount = await getDrawNumberCount(draw_id, client);
   const results = [];
 
   for (const p of profiles) {
     const user_id = p.user_id;
-    const wants = (p.numbers || [])
-      .map(Number)
-      .filter((n) => n >= 0 && n <= 99);
+    const wants = filterDrawNumbers(p.numbers, numberCount);
 
     if (!wants.length) {
       results.push({ user_id, status: "skipped", reason: "no_numbers" });
@@ -193,7 +175,7 @@ async function runAutopayForDraw(client, draw_id) {
         cardId: p.mp_card_id,
         amount_cents,
         description: `Sorteio ${draw_id} – números: ${free
-          .map((n) => String(n).padStart(2, "0"))
+          .map((n) => formatDrawNumber(n, numberCount))
           .join(", ")}`,
         metadata: { user_id, draw_id, numbers: free },
       });
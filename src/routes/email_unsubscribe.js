@@ -0,0 +1,107 @@
+// Página pública do link de descadastro dos e-mails.
+// GET mostra o botão de confirmação (pré-carregamento de links por antivírus não descadastra);
+// POST descadastra: é o que o botão envia e o que o cliente de e-mail chama via
+// List-Unsubscribe-Post (corpo "List-Unsubscribe=One-Click", token na query).
+import { Router } from "express";
+import {
+  unsubscribeEmailByToken,
+  verifyEmailUnsubscribeToken,
+} from "../services/notifications/emailUnsubscribe.js";
+
+const router = Router();
+
+const CATEGORY_LABELS = {
+  operational: "avisos da sua conta (pagamentos, resultado e saldo)",
+  marketing: "novidades e promoções",
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlResponse(res, title, message, { status = 200, form = "" } = {}) {
+  return res.status(status).type("html").send(`<!doctype html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body{margin:0;font-family:Inter,system-ui,-apple-system,Segoe UI,Arial,sans-serif;background:#050706;color:#f5f7f5;display:grid;min-height:100vh;place-items:center;padding:24px}
+      main{max-width:560px;border:1px solid rgba(255,255,255,.14);background:#0d100e;border-radius:14px;padding:28px;box-shadow:0 18px 42px rgba(0,0,0,.32)}
+      h1{font-size:24px;line-height:1.2;margin:0 0 12px}
+      p{font-size:16px;line-height:1.55;color:rgba(245,247,245,.78);margin:0}
+      button{margin-top:20px;font-size:16px;padding:10px 18px;border-radius:10px;border:0;background:#f5f7f5;color:#050706;cursor:pointer}
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>${escapeHtml(title)}</h1>
+      <p>${escapeHtml(message)}</p>
+      ${form}
+    </main>
+  </body>
+</html>`);
+}
+
+function invalidLink(res) {
+  return htmlResponse(res, "Link inválido", "Não foi possível validar este link de descadastro. Verifique se ele está completo.", {
+    status: 400,
+  });
+}
+
+function readToken(req) {
+  return String(req.query?.token || req.body?.token || "").trim();
+}
+
+function getRequestIp(req) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.ip || req.socket?.remoteAddress || null;
+}
+
+router.get("/", (req, res) => {
+  const token = readToken(req);
+  let category;
+  try {
+    ({ category } = verifyEmailUnsubscribeToken(token));
+  } catch {
+    return invalidLink(res);
+  }
+  return htmlResponse(
+    res,
+    "Descadastrar e-mails",
+    `Você deixará de receber por e-mail: ${CATEGORY_LABELS[category]}.`,
+    {
+      form: `<form method="post" action="?token=${encodeURIComponent(token)}"><button type="submit">Confirmar descadastro</button></form>`,
+    }
+  );
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const oneClick = String(req.body?.["List-Unsubscribe"] || "") === "One-Click";
+    const result = await unsubscribeEmailByToken({
+      token: readToken(req),
+      source: oneClick ? "list_unsubscribe" : "unsubscribe_link",
+      ip: getRequestIp(req),
+      userAgent: req.headers?.["user-agent"] ? String(req.headers["user-agent"]) : null,
+    });
+    return htmlResponse(
+      res,
+      "Descadastro confirmado",
+      `Você não vai mais receber por e-mail: ${CATEGORY_LABELS[result.category]}. Para voltar a receber, ajuste as preferências na sua conta.`
+    );
+  } catch (error) {
+    if (error?.code === "email_unsubscribe_token_invalid") return invalidLink(res);
+    console.error("[email-unsubscribe] failed", { code: error?.code || null, message: error?.message || null });
+    return htmlResponse(res, "Não foi possível descadastrar", "Tente novamente em alguns minutos.", { status: 503 });
+  }
+});
+
+export default router;
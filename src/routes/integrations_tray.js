@@ -1,5 +1,7 @@
-import { Router } from "express";
+import express, { Router } from "express";
 import { trayAdapterClient } from "../services/trayAdapterClient.js";
+import { importTrayOrder } from "../services/trayOrderSync.js";
+import { ingestWebhookEvent, trayEventIdentity, verifyTrayWebhookAuth } from "../services/webhookInbox.js";
 
 const router = Router();
 
@@ -26,4 +28,55 @@ router.get("/test", async (_req, res) => {
   }
 });
 
+/**
+ * Handler do inbox de webhooks para notificações da Tray (também usado no reprocessamento do admin).
+ * Recebe a linha gravada em public.webhook_events; só pedidos são importados.
+ */
+export async function processTrayNotificationEvent(event) {
+  const payload = event.payload || {};
+  if (String(payload.scope_name || "").toLowerCase() !== "order") return { ignored: "scope_not_handled" };
+  return importTrayOrder(payload.scope_id, { source: "webhook" });
+}
+
+/**
+ * POST /api/integrations/tray/notifications?token=...
+ * Notificação da Tray (form: scope_name, scope_id, act, seller_id). Pedidos são relidos na API da
+ * Tray e o uso de cupom NSU vira débito no saldo (services/trayOrderSync.js).
+ */
+router.post("/notifications", express.urlencoded({ extended: false }), async (req, res) => {
+  const payload = {
+    scope_name: req.body?.scope_name ?? null,
+    scope_id: req.body?.scope_id ?? null,
+    act: req.body?.act ?? null,
+    seller_id: req.body?.seller_id ?? null,
+  };
+  try {
+    const ingest = await ingestWebhookEvent({
+      provider: "tray",
+      endpoint: "notifications",
+      signatureStatus: verifyTrayWebhookAuth({ headers: req.headers, query: req.query }),
+      identity: trayEventIdentity(payload),
+      headers: req.headers,
+      query: {},
+      payload,
+      handler: processTrayNotificationEvent,
+    });
+
+    if (ingest.outcome === "rejected") {
+      if (ingest.reason === "signature_not_configured") {
+        return res.status(503).json({ ok: false, error: "webhook_not_configured" });
+      }
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+    if (ingest.outcome === "failed") {
+      console.error("[tray/notifications] erro ao processar:", ingest.error?.code || ingest.error?.message || ingest.error);
+      return res.status(500).json({ ok: false, error: "notification_processing_failed" });
+    }
+    return res.json({ ok: true, status: ingest.result?.status || ingest.result?.ignored || ingest.outcome });
+  } catch (e) {
+    console.error("[tray/notifications] erro ao processar:", e?.code || e?.message || e);
+    return res.status(500).json({ ok: false, error: "notification_processing_failed" });
+  }
+});
+
 export default router;
@@ -0,0 +1,37 @@
+// src/routes/lotomania.js
+// PÚBLICO: dados do concurso da Lotomania e como o ganhador de cada sorteio foi derivado.
+import { Router } from "express";
+import {
+  getLotomaniaContest,
+  getLotomaniaDrawResult,
+} from "../services/lotomaniaResults.js";
+
+const router = Router();
+
+// GET /api/lotomania/contests/:contestNumber
+router.get("/contests/:contestNumber(\\d+)", async (req, res) => {
+  try {
+    const data = await getLotomaniaContest(req.params.contestNumber);
+    if (!data) return res.status(404).json({ error: "not_found" });
+    return res.json(data);
+  } catch (e) {
+    if (e?.code === "invalid_contest_number") return res.status(400).json({ error: e.code });
+    console.error("[lotomania] contest error:", e?.code || e?.message || e);
+    return res.status(500).json({ error: "get_failed" });
+  }
+});
+
+// GET /api/lotomania/draws/:drawId -> resultado do sorteio + concurso usado
+router.get("/draws/:drawId(\\d+)", async (req, res) => {
+  try {
+    const data = await getLotomaniaDrawResult(req.params.drawId);
+    if (!data) return res.status(404).json({ error: "not_found" });
+    return res.json(data);
+  } catch (e) {
+    if (e?.code === "invalid_draw_id") return res.status(400).json({ error: e.code });
+    console.error("[lotomania] draw result error:", e?.code || e?.message || e);
+    return res.status(500).json({ error: "get_failed" });
+  }
+});
+
+export default router;
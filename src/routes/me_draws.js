@@ -1,12 +1,13 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { DEFAULT_NUMBER_COUNT, formatDrawNumber } from "../services/drawNumbers.js";
 
 const router = Router();
 
 /**
  * GET /api/me/draws/:id/board
- * Retorna o tabuleiro 00..99 com:
+ * Retorna o tabuleiro da cartela do sorteio (00..99, 000..999, ...) com:
  * - isMine: números do usuário logado (payments aprovados/pagos)
  * - state: available | reserved | taken
  * - isWinner: número sorteado
@@ -29,6 +30,7 @@ router.get("/:id/board", requireAuth, async (req, res) => {
               d.winner_number,
               d.product_name,
               d.product_link,
+              d.number_count,
               u.name AS winner_name
          FROM public.draws d
     LEFT JOIN public.users u
@@ -73,8 +75,9 @@ router.get("/:id/board", requireAuth, async (req, res) => {
     const setMine  = new Set((mineR.rows  || []).map(r => Number(r.n)));
     const winner   = (draw.winner_number ?? null);
 
-    // monta a grade 00..99
-    const board = Array.from({ length: 100 }, (_, n) => {
+    // monta a grade conforme draws.number_count
+    const numberCount = Number(draw.number_count) || DEFAULT_NUMBER_COUNT;
+    const board = Array.from({ length: numberCount }, (_, n) => {
       const isMine   = setMine.has(n);
       const isTaken  = setTaken.has(n);
       const isRes    = setResv.has(n);
@@ -84,7 +87,7 @@ router.get("/:id/board", requireAuth, async (req, res) => {
         isRes ? "reserved" : "available";
       return {
         n,
-        label: String(n).padStart(2, "0"),
+        label: formatDrawNumber(n, numberCount),
         state,                  // available | reserved | taken
         isMine,
         isWinner: winner === n  // usado no UI para estilizar e mostrar o nome
@@ -97,6 +100,7 @@ router.get("/:id/board", requireAuth, async (req, res) => {
         status: draw.status,
         realized_at: draw.realized_at,
         winner_number: winner,
+        number_count: numberCount,
         product_name: draw.product_name || null,
         product_link: draw.product_link || null,
         winner_name: draw.winner_name || null,
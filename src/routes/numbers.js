@@ -2,6 +2,7 @@
 import { Router } from 'express';
 import { query } from '../db.js';
 import { expireReservationForNumbersCleanup } from '../services/reservationExpiry.js';
+import { waitlistedAvailableNumbers } from '../services/numberWaitlist.js';
 
 const router = Router();
 
@@ -24,7 +25,7 @@ function initialsFromNameOrEmail(name, email) {
  * - Pega o draw aberto
  * - Lê todos os números do draw (0..99) a partir da tabela numbers
  * - Marca como "sold" (indisponível) os números que têm pagamento aprovado
- * - Marca como "reserved" os números com reserva ativa (não expirada)
+ * - Marca como "reserved" os números com reserva ativa (não expirada) ou com lista de espera
  * - Faz lazy-expire das reservas vencidas (best-effort)
  * - Retorna o status final para cada número
  * - (NOVO) Para números vendidos, inclui "owner_initials" (iniciais do comprador)
@@ -128,6 +129,11 @@ router.get('/', async (req, res) => {
       }
     }
 
+    // 4b) livres com lista de espera: vão para o primeiro da fila, não para quem chegar antes
+    for (const n of await waitlistedAvailableNumbers(drawId)) {
+      if (!sold.has(n)) reserved.add(n);
+    }
+
     // 5) status final por número (+ owner_initials quando sold)
     const numbers = base.rows.map(({ n }) => {
       const num = Number(n);
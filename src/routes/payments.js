@@ -1,12 +1,36 @@
 // src/routes/payments.js
 import { Router } from 'express';
-import { MercadoPagoConfig, Payment } from 'mercadopago';
-import { query } from '../db.js';
+import { query, withTransaction } from '../db.js';
 import { requireAuth } from '../middleware/auth.js';
 import { v4 as uuidv4 } from 'uuid';
 import { getTicketPriceCents } from '../services/config.js';
 import { creditCouponOnApprovedPayment } from '../services/couponBalance.js';
 import { closeDrawIfSoldOut } from '../services/drawLifecycle.js';
+import { formatDrawNumber } from '../services/drawNumbers.js';
+import {
+  reversePaymentFromProvider,
+  syncTrayCouponAfterReversal,
+} from '../services/paymentRefunds.js';
+import { applyCartPaymentStatus } from '../services/cart.js';
+import { createMercadoPagoPaymentClient } from '../services/mercadopago.js';
+import { rewardReferralOnApprovedPayment } from '../services/referrals.js';
+import {
+  RELEASABLE_PAYMENT_STATUSES,
+  createWalletPayment,
+  findPendingWalletPayment,
+  getWalletBalances,
+  isWalletPaymentId,
+  parseWalletOptions,
+  planWalletSplit,
+  releaseWalletDebit,
+  syncTrayCouponAfterWallet,
+  walletPaymentId,
+} from '../services/walletPayments.js';
+import {
+  ingestWebhookEvent,
+  mercadoPagoEventIdentity,
+  verifyMercadoPagoSignature,
+} from '../services/webhookInbox.js';
 
 const router = Router();
 
@@ -22,7 +46,7 @@ function getMercadoPagoAccessToken() {
 function getMercadoPagoPaymentClient() {
   const token = getMercadoPagoAccessToken();
   if (!token) return null;
-  return new Payment(new MercadoPagoConfig({ accessToken: token }));
+  return createMercadoPagoPaymentClient();
 }
 
 function isDebugCouponEnabled() {
@@ -70,21 +94,118 @@ async function settleApprovedPayment(id, drawId, numbers) {
   await closeDrawIfSoldOut(drawId);
 }
 
+/**
+ * PIX rejeitado/cancelado de um pagamento com saldo: devolve o saldo debitado (idempotente).
+ */
+async function releaseWalletIfFailed(id, status) {
+  if (!RELEASABLE_PAYMENT_STATUSES.includes(status)) return null;
+  try {
+    const out = await releaseWalletDebit(id, { providerStatus: status });
+    return out?.action || null;
+  } catch (e) {
+    console.warn('[wallet] release failed', { payment_id: id, status, code: e?.code || e?.message || null });
+    return 'error';
+  }
+}
+
+/**
+ * PIX aprovado: converte a indicação pendente do comprador (services/referrals.js).
+ * Falha aqui não derruba o webhook/poll; a próxima aprovação tenta de novo.
+ */
+async function rewardReferralIfAny(id) {
+  try {
+    const out = await rewardReferralOnApprovedPayment(id);
+    if (out?.action && out.action !== 'noop') {
+      console.log('[referral] PIX aprovado', { payment_id: id, action: out.action, reason: out.reason || null });
+    }
+    return out?.action || null;
+  } catch (e) {
+    console.warn('[referral] reward failed', { payment_id: id, code: e?.code || e?.message || null });
+    return 'error';
+  }
+}
+
+// Status do MP que devolvem o pagamento (estorno/chargeback) -> tipo da reversão
+const REVERSAL_KIND_BY_STATUS = { refunded: 'refund', charged_back: 'chargeback' };
+
+/**
+ * Estorno/chargeback no MP: reverte (números e saldo, idempotente) e grava o status na transação
+ * do chamador. Com estorno do admin pendente a reversão falha e nada muda, nem o status.
+ */
+async function reverseMercadoPagoPayment(client, id, status) {
+  const out = await reversePaymentFromProvider(id, {
+    kind: REVERSAL_KIND_BY_STATUS[status],
+    providerStatus: status,
+  }, { pgClient: client });
+  await client.query(`UPDATE public.payments SET status = $2 WHERE id = $1`, [id, status]);
+  return out;
+}
+
+/**
+ * PIX de carrinho (src/services/cart.js): um pagamento no MP, uma linha de payments por sorteio.
+ * Grava o status em todas as linhas e assenta/credita/estorna cada uma como um PIX avulso.
+ * Retorna null quando o id do MP não é de um carrinho.
+ */
+async function applyCartMercadoPagoStatus(mpPaymentId, status, { source, runTraceId = null } = {}) {
+  if (REVERSAL_KIND_BY_STATUS[status]) {
+    // Status e reversão de todas as linhas na mesma transação
+    const out = await withTransaction({}, async (client) => {
+      const cart = await applyCartPaymentStatus(mpPaymentId, status, { pgClient: client });
+      if (!cart) return null;
+      const reversals = [];
+      for (const row of cart.payments) reversals.push(await reverseMercadoPagoPayment(client, row.id, status));
+      return { cart, reversals };
+    });
+    if (!out) return null;
+    out.reversals.forEach(syncTrayCouponAfterReversal);
+    const reversed = out.reversals.filter((r) => r?.action && r.action !== 'noop').length;
+    return { id: String(mpPaymentId), cart_id: out.cart.cart_id, status, settled: 0, reversed };
+  }
+
+  const cart = await applyCartPaymentStatus(mpPaymentId, status);
+  if (!cart) return null;
+
+  let settled = 0;
+  for (const row of cart.payments) {
+    if (status === 'approved') {
+      await settleApprovedPayment(row.id, row.draw_id, row.numbers);
+      const creditRes = await creditCouponOnApprovedPayment(row.id, {
+        channel: 'PIX',
+        source,
+        runTraceId,
+        meta: { pricing_source: "public.app_config.ticket_price_cents", cart_id: cart.cart_id },
+      });
+      if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
+        console.warn("[coupon.credit][PIX][cart] WARN", {
+          paymentId: row.id,
+          cart_id: cart.cart_id,
+          action: creditRes?.action || null,
+          reason: creditRes?.reason || null,
+          errCode: creditRes?.errCode ?? null,
+        });
+      }
+      await rewardReferralIfAny(row.id);
+      settled++;
+    }
+  }
+  return { id: String(mpPaymentId), cart_id: cart.cart_id, status, settled, reversed: 0 };
+}
+
 /**
  * Varre pagamentos não aprovados nos últimos N minutos, reconcilia e assenta.
- * Reutilizada pelo endpoint /reconcile e pelo middleware autoReconcile.
+ * Reutilizada pelo endpoint /reconcile e pelo job 'payments_reconcile'.
  */
 async function _reconcilePendingPaymentsCore(minutes) {
-  const mpPayment = getMercadoPagoPaymentClient();
-  if (!mpPayment) {
+  if (!getMercadoPagoPaymentClient()) {
     return { scanned: 0, updated: 0, approved: 0, failed: 1, error: "mp_token_missing" };
   }
 
   const lookbackMin = Math.max(5, Number(minutes || 1440)); // default 24h
   const { rows } = await query(
-    `SELECT id
+    `SELECT DISTINCT COALESCE(provider_payment_id, id) AS id
        FROM public.payments
       WHERE lower(status) NOT IN ('approved','paid','pago')
+        AND COALESCE(provider, 'mercadopago') <> 'wallet'
         AND COALESCE(created_at, now()) >= NOW() - ($1::int || ' minutes')::interval`,
     [lookbackMin]
   );
@@ -93,48 +214,9 @@ async function _reconcilePendingPaymentsCore(minutes) {
 
   for (const { id } of rows) {
     try {
-      const resp = await mpPayment.get({ id: String(id) });
-      const body = resp?.body || resp;
-      const st = String(body?.status || '').toLowerCase();
-
-      await query(
-        `UPDATE public.payments
-            SET status = $2,
-                paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-          WHERE id = $1`,
-        [id, st]
-      );
+      const result = await applyMercadoPagoPaymentStatus(id, { source: 'reconcile_sync' });
       updated++;
-
-      if (st === 'approved') {
-        const pr = await query(`SELECT draw_id, numbers FROM public.payments WHERE id = $1`, [id]);
-        if (pr.rows.length) {
-          const { draw_id, numbers } = pr.rows[0];
-          await settleApprovedPayment(id, draw_id, numbers);
-          const creditRes = await creditCouponOnApprovedPayment(id, {
-            channel: 'PIX',
-            source: 'reconcile_sync',
-            runTraceId: null,
-            meta: { pricing_source: "public.app_config.ticket_price_cents" },
-          });
-          if (isDebugCouponEnabled()) {
-            console.log("[coupon.credit][PIX]", { paymentId: id, result: creditRes });
-          }
-          if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
-            console.warn("[coupon.credit][PIX] WARN", {
-              paymentId: id,
-              action: creditRes?.action || null,
-              reason: creditRes?.reason || null,
-              user_id: creditRes?.user_id ?? null,
-              status: creditRes?.status ?? null,
-              errCode: creditRes?.errCode ?? null,
-              errMsg: creditRes?.errMsg ?? null,
-            });
-          }
-          //await finalizeDrawIfComplete(draw_id);
-          approved++;
-        }
-      }
+      if (result.settled) approved++;
     } catch (e) {
       failed++;
       console.warn('[reconcile] error for id', id, e?.message || e);
@@ -145,7 +227,7 @@ async function _reconcilePendingPaymentsCore(minutes) {
 }
 
 /**
- * Exportado para uso pelo middleware autoReconcile (app.use(autoReconcile))
+ * Exportado para o job recorrente 'payments_reconcile' (src/services/backgroundJobs.js)
  * Roda em background; qualquer erro é tratado aqui para não quebrar o servidor.
  */
 export async function kickReconcilePendingPayments(minutes) {
@@ -164,21 +246,133 @@ export async function kickReconcilePendingPayments(minutes) {
   }
 }
 
+/**
+ * Consulta o pagamento no MP, grava o status e assenta/credita se aprovado.
+ * Idempotente: settle e crédito de cupom já são seguros para repetição.
+ */
+async function applyMercadoPagoPaymentStatus(paymentId, { source, runTraceId = null } = {}) {
+  const mpPayment = getMercadoPagoPaymentClient();
+  if (!mpPayment) {
+    const error = new Error('mp_token_missing');
+    error.code = 'mp_token_missing';
+    throw error;
+  }
+
+  const resp = await mpPayment.get({ id: String(paymentId) });
+  const body = resp?.body || resp;
+
+  const id = String(body?.id || paymentId);
+  const status = String(body?.status || '').toLowerCase();
+
+  const cartResult = await applyCartMercadoPagoStatus(id, status, { source, runTraceId });
+  if (cartResult) return { ...cartResult, settled: cartResult.settled > 0 };
+
+  // Estorno/chargeback no MP: devolve números e reverte o crédito de saldo (idempotente)
+  if (REVERSAL_KIND_BY_STATUS[status]) {
+    const out = await withTransaction({}, (client) => reverseMercadoPagoPayment(client, id, status));
+    syncTrayCouponAfterReversal(out);
+    return { id, status, settled: false, reversal: out?.action || null, wallet_release: null };
+  }
+
+  await query(
+    `UPDATE public.payments
+        SET status = $2,
+            paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
+      WHERE id = $1`,
+    [id, status]
+  );
+
+  let settled = false;
+  if (status === 'approved') {
+    const pr = await query(`SELECT draw_id, numbers FROM public.payments WHERE id = $1`, [id]);
+    if (pr.rows.length) {
+      const { draw_id, numbers } = pr.rows[0];
+
+      await settleApprovedPayment(id, draw_id, numbers);
+      settled = true;
+      const creditRes = await creditCouponOnApprovedPayment(id, {
+        channel: 'PIX',
+        source,
+        runTraceId,
+        meta: { pricing_source: "public.app_config.ticket_price_cents" },
+      });
+      if (isDebugCouponEnabled()) {
+        console.log("[coupon.credit][PIX]", { paymentId: id, result: creditRes });
+      }
+      if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
+        console.warn("[coupon.credit][PIX] WARN", {
+          paymentId: id,
+          action: creditRes?.action || null,
+          reason: creditRes?.reason || null,
+          user_id: creditRes?.user_id ?? null,
+          status: creditRes?.status ?? null,
+          errCode: creditRes?.errCode ?? null,
+          errMsg: creditRes?.errMsg ?? null,
+        });
+      }
+      await rewardReferralIfAny(id);
+      //await finalizeDrawIfComplete(draw_id);
+    }
+  }
+
+  const walletRelease = await releaseWalletIfFailed(id, status);
+
+  return { id, status, settled, reversal: null, wallet_release: walletRelease };
+}
+
+/**
+ * Consulta o PIX no MP e aplica o status (avulso ou de carrinho). Usado pelo status do carrinho.
+ */
+export async function syncMercadoPagoPayment(paymentId, { source = 'status_poll' } = {}) {
+  return applyMercadoPagoPaymentStatus(paymentId, { source });
+}
+
+/**
+ * Handler do inbox de webhooks para eventos do Mercado Pago (webhook e replay).
+ * Recebe a linha gravada em public.webhook_events.
+ */
+export async function processMercadoPagoWebhookEvent(event) {
+  if (event.endpoint !== 'replay') {
+    const payload = event.payload || {};
+    const topic = payload.type || event.query?.type || event.query?.topic;
+    if (topic && topic !== 'payment') return { ignored: 'not_payment', topic };
+  }
+  if (!event.resource_id) return { ignored: 'missing_payment_id' };
+
+  return applyMercadoPagoPaymentStatus(event.resource_id, {
+    source: 'mercadopago_webhook',
+    runTraceId: event.headers?.['x-request-id'] ? String(event.headers['x-request-id']) : null,
+  });
+}
+
 // -----------------------------------------------------------------------------
 // Rotas
 // -----------------------------------------------------------------------------
 
+const WALLET_ERROR_STATUS = {
+  reservation_not_found: 404,
+  reservation_not_active: 400,
+  wallet_payment_pending: 409,
+  wallet_balance_changed: 409,
+};
+
 /**
  * POST /api/payments/pix
- * Body: { reservationId }
+ * Body: { reservationId, useCouponBalance?, useWinnerBalance? }
  * Auth: Bearer
+ *
+ * Com useCouponBalance/useWinnerBalance o saldo paga o que cobrir (cupom primeiro) e o PIX
+ * fica só com a diferença; se o saldo cobrir tudo não há PIX e a reserva já sai paga.
  */
 router.post('/pix', requireAuth, async (req, res) => {
   console.log('[payments/pix] user=', req.user?.id, 'body=', req.body);
   try {
     if (!req.user?.id) return res.status(401).json({ error: 'unauthorized' });
     const mpPayment = getMercadoPagoPaymentClient();
-    if (!mpPayment) return res.status(503).json({ error: 'mp_token_missing' });
+    const walletOptions = parseWalletOptions(req.body);
+    if (!mpPayment && !walletOptions.useCoupon && !walletOptions.useWinner) {
+      return res.status(503).json({ error: 'mp_token_missing' });
+    }
 
     const { reservationId } = req.body || {};
     if (!reservationId) {
@@ -197,7 +391,7 @@ router.post('/pix', requireAuth, async (req, res) => {
     // Carrega a reserva + (opcional) usuário
     const r = await query(
       `SELECT r.id, r.user_id, r.draw_id, r.numbers, r.status, r.expires_at,
-              d.draw_type,
+              d.draw_type, d.number_count,
               u.email AS user_email, u.name AS user_name
          FROM reservations r
          JOIN draws d ON d.id = r.draw_id
@@ -220,11 +414,83 @@ router.post('/pix', requireAuth, async (req, res) => {
 
     // Valor (preço * quantidade) — vindo do banco
     const priceCents = await getTicketPriceCents();
-    const amount = Number(((rs.numbers.length * priceCents) / 100).toFixed(2));
+    const totalCents = rs.numbers.length * priceCents;
+    const payerId = rs.user_id || req.user.id;
+
+    let split = { coupon_cents: 0, winner_cents: 0, pix_cents: totalCents };
+    if (walletOptions.useCoupon || walletOptions.useWinner) {
+      const pending = await findPendingWalletPayment(reservationId);
+      if (pending) {
+        return res.status(409).json({ error: 'wallet_payment_pending', paymentId: String(pending.id) });
+      }
+      const balances = await getWalletBalances(payerId);
+      split = planWalletSplit({
+        amountCents: totalCents,
+        couponBalanceCents: balances.coupon_cents,
+        winnerBalanceCents: balances.winner_cents,
+        ...walletOptions,
+      });
+    }
+    const walletCents = split.coupon_cents + split.winner_cents;
+
+    // Saldo cobre tudo: sem PIX, o pagamento já nasce aprovado
+    if (walletCents > 0 && split.pix_cents === 0) {
+      let paid;
+      try {
+        paid = await createWalletPayment({
+          payment: {
+            id: walletPaymentId(reservationId),
+            user_id: payerId,
+            draw_id: rs.draw_id,
+            numbers: rs.numbers,
+            amount_cents: totalCents,
+            status: 'approved',
+            provider: 'wallet',
+          },
+          reservationId,
+          couponCents: split.coupon_cents,
+          winnerCents: split.winner_cents,
+        });
+      } catch (e) {
+        const status = WALLET_ERROR_STATUS[e?.code];
+        if (status) return res.status(status).json({ error: e.code });
+        if (e?.code === '23505') return res.status(409).json({ error: 'reservation_already_paid' });
+        throw e;
+      }
+
+      await closeDrawIfSoldOut(rs.draw_id);
+      // Só a parte do saldo de vencedor gera crédito de cupom (ver couponBalance.js)
+      const creditRes = await creditCouponOnApprovedPayment(paid.payment_id, {
+        channel: 'WALLET',
+        source: 'wallet_payment',
+        runTraceId: null,
+        meta: { pricing_source: "public.app_config.ticket_price_cents" },
+      });
+      if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
+        console.warn("[coupon.credit][WALLET] WARN", {
+          paymentId: paid.payment_id,
+          action: creditRes?.action || null,
+          reason: creditRes?.reason || null,
+          errCode: creditRes?.errCode ?? null,
+        });
+      }
+      syncTrayCouponAfterWallet(paid);
+
+      return res.json({
+        paymentId: paid.payment_id,
+        status: 'approved',
+        qr_code: null,
+        qr_code_base64: null,
+        wallet: split,
+      });
+    }
+
+    if (!mpPayment) return res.status(503).json({ error: 'mp_token_missing' });
+    const amount = Number((split.pix_cents / 100).toFixed(2));
 
     // Descrição e webhook
     const description = `Sorteio New Store - números ${rs.numbers
-      .map((n) => n.toString().padStart(2, '0'))
+      .map((n) => formatDrawNumber(n, rs.number_count))
       .join(', ')}`;
 
     const publicUrl = process.env.PUBLIC_URL ? String(process.env.PUBLIC_URL).replace(/\/$/, '') : '';
@@ -274,7 +540,37 @@ router.post('/pix', requireAuth, async (req, res) => {
     if (typeof qr_code_base64 === 'string') qr_code_base64 = qr_code_base64.replace(/\s+/g, '');
     if (typeof qr_code === 'string') qr_code = qr_code.trim();
 
-    // Persiste o pagamento
+    // Persiste o pagamento (com saldo: grava e debita na mesma transação)
+    if (walletCents > 0) {
+      let recorded;
+      try {
+        recorded = await createWalletPayment({
+          payment: {
+            id: String(id),
+            user_id: payerId,
+            draw_id: rs.draw_id,
+            numbers: rs.numbers,
+            amount_cents: totalCents,
+            status,
+            provider: 'mercadopago',
+            qr_code: qr_code || null,
+            qr_code_base64: qr_code_base64 || null,
+          },
+          reservationId,
+          couponCents: split.coupon_cents,
+          winnerCents: split.winner_cents,
+        });
+      } catch (e) {
+        // O PIX criado fica sem uso e expira no MP (o QR não foi entregue ao cliente)
+        console.warn('[payments/pix][wallet] debit failed', { paymentId: String(id), code: e?.code || e?.message || null });
+        const httpStatus = WALLET_ERROR_STATUS[e?.code];
+        if (httpStatus) return res.status(httpStatus).json({ error: e.code });
+        throw e;
+      }
+      syncTrayCouponAfterWallet(recorded);
+      return res.json({ paymentId: String(id), status, qr_code, qr_code_base64, wallet: split });
+    }
+
     await query(
       `INSERT INTO public.payments AS pay (id, user_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64)
        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
@@ -311,46 +607,16 @@ router.post('/pix', requireAuth, async (req, res) => {
 router.get('/:id/status', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const mpPayment = getMercadoPagoPaymentClient();
-    if (!mpPayment) return res.status(503).json({ error: 'mp_token_missing' });
-
-    const resp = await mpPayment.get({ id: String(id) });
-    const body = resp?.body || resp;
-
-    await query(`UPDATE public.payments SET status = $2 WHERE id = $1`, [id, body.status]);
-
-    if (String(body.status).toLowerCase() === 'approved') {
-      const pr = await query(`SELECT draw_id, numbers FROM public.payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
-
-        await settleApprovedPayment(id, draw_id, numbers);
-        const creditRes = await creditCouponOnApprovedPayment(id, {
-          channel: 'PIX',
-          source: 'pix_status_poll',
-          runTraceId: null,
-          meta: { pricing_source: "public.app_config.ticket_price_cents" },
-        });
-        if (isDebugCouponEnabled()) {
-          console.log("[coupon.credit][PIX]", { paymentId: id, result: creditRes });
-        }
-        if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
-          console.warn("[coupon.credit][PIX] WARN", {
-            paymentId: id,
-            action: creditRes?.action || null,
-            reason: creditRes?.reason || null,
-            user_id: creditRes?.user_id ?? null,
-            status: creditRes?.status ?? null,
-            errCode: creditRes?.errCode ?? null,
-            errMsg: creditRes?.errMsg ?? null,
-          });
-        }
-        //await finalizeDrawIfComplete(draw_id);
-      }
+    // Pago só com saldo: não existe no MP
+    if (isWalletPaymentId(id)) {
+      const pr = await query(`SELECT status FROM public.payments WHERE id = $1 AND user_id = $2`, [id, req.user.id]);
+      if (!pr.rows.length) return res.status(404).json({ error: 'payment_not_found' });
+      return res.json({ id, status: pr.rows[0].status });
     }
-
-    return res.json({ id, status: body.status });
+    const result = await applyMercadoPagoPaymentStatus(id, { source: 'pix_status_poll' });
+    return res.json({ id, status: result.status });
   } catch (e) {
+    if (e?.code === 'mp_token_missing') return res.status(503).json({ error: 'mp_token_missing' });
     console.error('[status] error:', e);
     return res.status(500).json({ error: 'status_failed' });
   }
@@ -359,67 +625,36 @@ router.get('/:id/status', requireAuth, async (req, res) => {
 /**
  * POST /api/payments/webhook
  * Body: evento do Mercado Pago
+ * Valida x-signature (MP_WEBHOOK_SECRET), grava no inbox e processa uma única vez.
  */
 router.post('/webhook', async (req, res) => {
   try {
-    const paymentId = req.body?.data?.id || req.query?.id || req.body?.id;
-    const type = req.body?.type || req.query?.type;
-
-    if (type && type !== 'payment') return res.sendStatus(200);
-    if (!paymentId) return res.sendStatus(200);
-
-    const mpPayment = getMercadoPagoPaymentClient();
-    if (!mpPayment) return res.sendStatus(200);
-
-    const resp = await mpPayment.get({ id: String(paymentId) });
-    const body = resp?.body || resp;
-
-    const id = String(body.id);
-    const status = body.status;
-
-    await query(
-      `UPDATE public.payments
-          SET status = $2,
-              paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-        WHERE id = $1`,
-      [id, status]
-    );
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const ingest = await ingestWebhookEvent({
+      provider: 'mercadopago',
+      endpoint: 'payments',
+      signatureStatus: verifyMercadoPagoSignature({ headers: req.headers, query: req.query, body }),
+      identity: mercadoPagoEventIdentity({ headers: req.headers, query: req.query, body }),
+      headers: req.headers,
+      query: req.query,
+      payload: body,
+      handler: processMercadoPagoWebhookEvent,
+    });
 
-    if (String(status).toLowerCase() === 'approved') {
-      const pr = await query(`SELECT draw_id, numbers FROM public.payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
-
-        await settleApprovedPayment(id, draw_id, numbers);
-        const creditRes = await creditCouponOnApprovedPayment(id, {
-          channel: 'PIX',
-          source: 'mercadopago_webhook',
-          runTraceId: req.headers['x-request-id'] ? String(req.headers['x-request-id']) : null,
-          meta: { pricing_source: "public.app_config.ticket_price_cents" },
-        });
-        if (isDebugCouponEnabled()) {
-          console.log("[coupon.credit][PIX]", { paymentId: id, result: creditRes });
-        }
-        if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
-          console.warn("[coupon.credit][PIX] WARN", {
-            paymentId: id,
-            action: creditRes?.action || null,
-            reason: creditRes?.reason || null,
-            user_id: creditRes?.user_id ?? null,
-            status: creditRes?.status ?? null,
-            errCode: creditRes?.errCode ?? null,
-            errMsg: creditRes?.errMsg ?? null,
-          });
-        }
-        //await finalizeDrawIfComplete(draw_id);
-      }
+    if (ingest.outcome === 'rejected') {
+      return res.sendStatus(ingest.reason === 'signature_not_configured' ? 503 : 401);
     }
 
-    // Sempre 200 para o MP não reenfileirar indefinidamente
+    if (ingest.outcome === 'failed') {
+      // 5xx faz o MP reenviar; a reentrega reprocessa o evento original que ficou 'failed' no inbox
+      console.error('[webhook] erro ao processar:', ingest.error?.message || ingest.error);
+      return res.sendStatus(500);
+    }
     return res.sendStatus(200);
   } catch (e) {
+    // Sem gravar no inbox o evento se perderia: pede a reentrega
     console.error('[webhook] error:', e);
-    return res.sendStatus(200);
+    return res.sendStatus(500);
   }
 });
 
@@ -478,53 +713,30 @@ router.post('/webhook/replay', requireAuth, async (req, res) => {
     const paymentId = req.body?.id || req.body?.paymentId;
     if (!paymentId) return res.status(400).json({ error: 'missing_id' });
 
-    const mpPayment = getMercadoPagoPaymentClient();
-    if (!mpPayment) return res.status(503).json({ error: 'mp_token_missing' });
-
-    const resp = await mpPayment.get({ id: String(paymentId) });
-    const body = resp?.body || resp;
-
-    const id = String(body?.id || paymentId);
-    const status = String(body?.status || '').toLowerCase();
-
-    await query(
-      `UPDATE public.payments
-          SET status = $2,
-              paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-        WHERE id = $1`,
-      [id, status]
-    );
+    if (!getMercadoPagoAccessToken()) return res.status(503).json({ error: 'mp_token_missing' });
+
+    // Replay também passa pelo inbox (auditoria), com id próprio para nunca ser "duplicado".
+    const ingest = await ingestWebhookEvent({
+      provider: 'mercadopago',
+      endpoint: 'replay',
+      signatureStatus: 'internal',
+      identity: {
+        providerEventId: `replay:${uuidv4()}`,
+        eventType: 'replay',
+        resourceId: String(paymentId),
+      },
+      headers: req.headers,
+      query: {},
+      payload: { id: String(paymentId), requested_by: req.user?.id ?? null },
+      handler: processMercadoPagoWebhookEvent,
+    });
 
-    if (status === 'approved') {
-        const pr = await query(`SELECT draw_id, numbers FROM public.payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
-        await settleApprovedPayment(id, draw_id, numbers);
-        const creditRes = await creditCouponOnApprovedPayment(id, {
-          channel: 'PIX',
-          source: 'mercadopago_webhook',
-          runTraceId: req.headers['x-request-id'] ? String(req.headers['x-request-id']) : null,
-          meta: { pricing_source: "public.app_config.ticket_price_cents" },
-        });
-        if (isDebugCouponEnabled()) {
-          console.log("[coupon.credit][PIX]", { paymentId: id, result: creditRes });
-        }
-        if (creditRes?.ok === false || ['error', 'not_supported', 'invalid_amount'].includes(String(creditRes?.action || ''))) {
-          console.warn("[coupon.credit][PIX] WARN", {
-            paymentId: id,
-            action: creditRes?.action || null,
-            reason: creditRes?.reason || null,
-            user_id: creditRes?.user_id ?? null,
-            status: creditRes?.status ?? null,
-            errCode: creditRes?.errCode ?? null,
-            errMsg: creditRes?.errMsg ?? null,
-          });
-        }
-        //await finalizeDrawIfComplete(draw_id);
-      }
+    if (ingest.outcome !== 'processed') {
+      console.error('[webhook/replay] error:', ingest.error?.message || ingest.outcome);
+      return res.status(500).json({ error: 'replay_failed' });
     }
 
-    return res.json({ id, status });
+    return res.json({ id: ingest.result.id, status: ingest.result.status });
   } catch (e) {
     console.error('[webhook/replay] error:', e);
     return res.status(500).json({ error: 'replay_failed' });
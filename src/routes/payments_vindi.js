@@ -5,53 +5,52 @@ import { getPool } from "../db.js";
 import { parseWebhook, getBill, getCharge } from "../services/vindi.js";
 import { creditCouponOnApprovedPayment } from "../services/couponBalance.js";
 import { closeDrawIfSoldOut } from "../services/drawLifecycle.js";
+import {
+  reversePaymentFromProvider,
+  syncTrayCouponAfterReversal,
+} from "../services/paymentRefunds.js";
+import {
+  ingestWebhookEvent,
+  verifyVindiWebhookAuth,
+  vindiEventIdentity,
+} from "../services/webhookInbox.js";
 
 const router = express.Router();
 
+function parseVindiPayload(body) {
+  // Parse do payload com fallback robusto para Buffer/string
+  if (Buffer.isBuffer(body)) {
+    // Se vier como Buffer, converte para string e parseia
+    return JSON.parse(body.toString("utf8"));
+  }
+  if (typeof body === "string") {
+    // Se vier como string, parseia
+    return JSON.parse(body);
+  }
+  if (typeof body === "object" && body !== null) {
+    // Se já for objeto, usa diretamente
+    return body;
+  }
+  throw new Error("Payload inválido: tipo não suportado");
+}
+
 /**
- * POST /api/payments/vindi/webhook
- * Recebe webhooks da Vindi e atualiza status de pagamentos
+ * Handler do inbox de webhooks (endpoint 'payments'): aplica o evento Vindi em public.payments.
+ * Recebe a linha gravada em public.webhook_events; erros lançados marcam o evento como 'failed'.
  */
-router.post("/vindi/webhook", express.json(), async (req, res) => {
+export async function processVindiPaymentWebhookEvent(stored) {
+  const payload = stored.payload;
   const pool = await getPool();
   const client = await pool.connect();
 
   try {
-    // Parse do payload com fallback robusto para Buffer/string
-    let payload;
-    try {
-      if (Buffer.isBuffer(req.body)) {
-        // Se vier como Buffer, converte para string e parseia
-        payload = JSON.parse(req.body.toString("utf8"));
-      } else if (typeof req.body === "string") {
-        // Se vier como string, parseia
-        payload = JSON.parse(req.body);
-      } else if (typeof req.body === "object" && req.body !== null) {
-        // Se já for objeto, usa diretamente
-        payload = req.body;
-      } else {
-        throw new Error("Payload inválido: tipo não suportado");
-      }
-    } catch (e) {
-      console.error("[vindi/webhook] erro ao parsear payload:", e?.message);
-      return res.status(400).json({ error: "invalid_payload" });
-    }
-
-    // Validação básica (se houver secret, validar aqui)
-    const webhookSecret = process.env.VINDI_WEBHOOK_SECRET;
-    if (webhookSecret) {
-      // TODO: Implementar validação de assinatura se Vindi fornecer
-      // Por enquanto, apenas logamos que recebemos
-      console.log("[vindi/webhook] recebido (secret configurado mas não validado)");
-    }
-
     // Parse do evento
     let event;
     try {
       event = parseWebhook(payload);
     } catch (e) {
       console.error("[vindi/webhook] erro ao parsear evento:", e?.message);
-      return res.status(400).json({ error: "invalid_event" });
+      return { ignored: "invalid_event" };
     }
 
     console.log("[vindi/webhook] evento recebido", {
@@ -90,16 +89,14 @@ router.post("/vindi/webhook", express.json(), async (req, res) => {
         chargeId: event.chargeId,
       });
       await client.query("COMMIT");
-      return res.json({ ok: true, message: "payment_not_found" });
+      return { message: "payment_not_found" };
     }
 
-    // Verifica se já processou este evento (idempotência)
-    // Por enquanto, atualizamos sempre, mas podemos adicionar uma tabela de eventos processados
-
     // Atualiza status baseado no tipo de evento
     let newStatus = payment.status;
     let updateFields = {};
     let shouldReconcile = false;
+    let reversalKind = null;
 
     switch (event.type) {
       case "bill.paid":
@@ -115,11 +112,16 @@ router.post("/vindi/webhook", express.json(), async (req, res) => {
         updateFields.vindi_status = "rejected";
         break;
 
+      // Estorno/chargeback: o status final (refunded/charged_back) é gravado pela reversão,
+      // que sabe se o estorno foi parcial ou total.
       case "charge.refunded":
-        newStatus = "refunded";
         updateFields.vindi_status = "refunded";
-        // Se foi refundado, pode precisar liberar números
-        shouldReconcile = true;
+        reversalKind = "refund";
+        break;
+
+      case "charge.chargeback":
+        updateFields.vindi_status = "chargeback";
+        reversalKind = "chargeback";
         break;
 
       case "bill.canceled":
@@ -212,18 +214,25 @@ router.post("/vindi/webhook", express.json(), async (req, res) => {
 
           await closeDrawIfSoldOut(payment.draw_id, client);
         }
-      } else if (newStatus === "refunded") {
-        // Se foi refundado, libera números (se ainda não foram usados)
-        // CUIDADO: isso pode ser perigoso se o sorteio já foi realizado
-        // Por enquanto, apenas logamos
-        console.warn("[vindi/webhook] refund detectado - números podem precisar ser liberados manualmente", {
-          paymentId: payment.id,
-          drawId: payment.draw_id,
-        });
       }
     }
 
+    // Estorno/chargeback: devolve números e reverte o crédito de saldo (idempotente)
+    let reversal = null;
+    if (reversalKind) {
+      const envelope = payload?.event && typeof payload.event === "object" ? payload.event : payload;
+      const data = envelope?.data || envelope;
+      const transaction = data?.charge?.last_transaction || null;
+      reversal = await reversePaymentFromProvider(payment.id, {
+        kind: reversalKind,
+        providerStatus: event.type,
+        providerRefundId: transaction?.transaction_type === "refund" ? transaction.id ?? null : null,
+      }, { pgClient: client });
+      if (reversal?.full) newStatus = reversalKind === "chargeback" ? "charged_back" : "refunded";
+    }
+
     await client.query("COMMIT");
+    syncTrayCouponAfterReversal(reversal);
 
     console.log("[vindi/webhook] processado com sucesso", {
       paymentId: payment.id,
@@ -231,17 +240,64 @@ router.post("/vindi/webhook", express.json(), async (req, res) => {
       newStatus,
     });
 
-    res.json({ ok: true, processed: true, paymentId: payment.id, status: newStatus });
+    return { paymentId: payment.id, status: newStatus, reversal: reversal?.action || null };
   } catch (e) {
     try {
       await client.query("ROLLBACK");
     } catch {}
-    console.error("[vindi/webhook] erro ao processar:", e?.message || e);
-    res.status(500).json({ error: "webhook_processing_failed" });
+    throw e;
   } finally {
     client.release();
   }
+}
+
+/**
+ * POST /api/payments/vindi/webhook
+ * Recebe webhooks da Vindi e atualiza status de pagamentos.
+ * Autenticação: VINDI_WEBHOOK_SECRET (?token=) e/ou basic auth; eventos passam pelo inbox.
+ */
+router.post("/vindi/webhook", express.json(), async (req, res) => {
+  let payload;
+  try {
+    payload = parseVindiPayload(req.body);
+  } catch (e) {
+    console.error("[vindi/webhook] erro ao parsear payload:", e?.message);
+    return res.status(400).json({ error: "invalid_payload" });
+  }
+
+  try {
+    const ingest = await ingestWebhookEvent({
+      provider: "vindi",
+      endpoint: "payments",
+      signatureStatus: verifyVindiWebhookAuth({ headers: req.headers, query: req.query }),
+      identity: vindiEventIdentity(payload),
+      headers: req.headers,
+      query: req.query,
+      payload,
+      handler: processVindiPaymentWebhookEvent,
+    });
+
+    if (ingest.outcome === "rejected") {
+      if (ingest.reason === "signature_not_configured") return res.status(503).json({ error: "webhook_not_configured" });
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    if (ingest.outcome === "duplicate" || ingest.outcome === "skipped") {
+      return res.json({ ok: true, duplicate: true });
+    }
+    if (ingest.outcome === "failed") {
+      console.error("[vindi/webhook] erro ao processar:", ingest.error?.message || ingest.error);
+      return res.status(500).json({ error: "webhook_processing_failed" });
+    }
+
+    const result = ingest.result || {};
+    if (result.ignored) return res.status(400).json({ error: result.ignored });
+    if (result.message) return res.json({ ok: true, message: result.message });
+
+    return res.json({ ok: true, processed: true, paymentId: result.paymentId, status: result.status });
+  } catch (e) {
+    console.error("[vindi/webhook] erro ao processar:", e?.message || e);
+    return res.status(500).json({ error: "webhook_processing_failed" });
+  }
 });
 
 export default router;
-
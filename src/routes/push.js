@@ -1,33 +1,32 @@
-import crypto from "crypto";
 import express from "express";
 import jwt from "jsonwebtoken";
 import { JWT_SECRET } from "../config/auth.js";
 import { requireAuth } from "../middleware/auth.js";
 import { query } from "../db.js";
+import { isTokenIssuedBeforePasswordChange } from "../services/passwordReset.js";
+import { getSessionState } from "../services/authSessions.js";
 import {
   assertPushSubscribeAllowed,
-  assertPushTestAccountAllowed,
   getAuthenticatedUserId,
   getPushAccessDecision,
 } from "../services/notifications/pushAccessGuard.js";
 import {
+  deactivatePushDevice,
   deactivatePushSubscription,
-  getPushPreferences,
+  getPushMaxDevicesPerUser,
   getPushVapidConfigStatus,
   getVapidPublicKey,
+  listPushDevices,
   savePushSubscription,
   sendPushToSubscriptionRow,
-  sendTestPushToConfiguredSubscription,
-  updatePushPreferences,
 } from "../services/notifications/pushNotifications.js";
 import {
-  assertPushSubscribeMode,
-  getAllowedTestSubscriptionIds,
-} from "../services/notifications/pushSingleDeviceGuard.js";
+  PUSH_CATEGORIES,
+  getPushPreferences,
+  updatePushPreferences,
+} from "../services/notifications/pushPreferences.js";
 
 const router = express.Router();
-const TEST_LABEL = "43998640480";
-const TEST_FIELDS = new Set(["title", "body", "url"]);
 const AUTH_COOKIE_NAMES = [
   process.env.AUTH_COOKIE_NAME || "ns_auth",
   "ns_auth_token",
@@ -35,10 +34,6 @@ const AUTH_COOKIE_NAMES = [
   "jwt",
 ];
 
-function requiresSetupCode() {
-  return process.env.PUSH_REQUIRE_SETUP_CODE === "true";
-}
-
 function getRequestUserId(req) {
   return getAuthenticatedUserId({ user: req.user, auth: req.auth });
 }
@@ -62,11 +57,13 @@ function extractOptionalAuthToken(req) {
   return "";
 }
 
-function optionalPushAuth(req, _res, next) {
+async function optionalPushAuth(req, _res, next) {
   const token = extractOptionalAuthToken(req);
   if (!token) return next();
   try {
     const payload = jwt.verify(token, JWT_SECRET);
+    if (await isTokenIssuedBeforePasswordChange(payload)) return next();
+    if (!(await getSessionState(payload)).valid) return next();
     req.user = {
       id: payload.id || payload.sub,
       email: payload.email || payload.user?.email,
@@ -87,20 +84,14 @@ function requireRequestUserId(req) {
   return userId;
 }
 
-function sameSecret(value, expected) {
-  const a = Buffer.from(String(value || ""));
-  const b = Buffer.from(String(expected || ""));
-  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
-}
-
 function statusFor(code) {
   if (code === "push_hidden_for_user") return 404;
   if (code === "push_user_not_authenticated") return 401;
-  if (code === "push_test_subscription_not_found_or_inactive") return 404;
+  if (code === "push_subscription_not_found_or_inactive") return 404;
   if (code === "push_current_device_subscription_not_found") return 404;
+  if (code === "push_device_not_found") return 404;
+  if (code === "push_disabled") return 503;
   if (code === "push_tables_missing") return 500;
-  if (code === "push_test_setup_code_required") return 403;
-  if (code === "push_test_setup_code_not_configured") return 500;
   if (code?.includes("required") || code?.includes("invalid") || code?.includes("too_long")) return 400;
   if (code?.startsWith("push_")) return 403;
   return 500;
@@ -127,25 +118,11 @@ function isMissingTableError(error) {
   );
 }
 
-function assertOnlyTestFields(body) {
-  if (Object.keys(body || {}).some((key) => !TEST_FIELDS.has(key))) {
-    const error = new Error("push_test_payload_not_allowed");
-    error.code = "push_test_payload_not_allowed";
-    throw error;
-  }
-}
-
 function logAccessCheck(decision, vapidStatus) {
   console.log("[push.access] decision", {
     resolved_user_id: decision.userId,
     has_email: decision.hasEmail,
-    allowed_user_id_configured: decision.allowedUserIdConfigured,
-    allowed_email_configured: decision.allowedEmailConfigured,
-    matches_user_id: decision.matchesUserId,
-    matches_email: decision.matchesEmail,
     push_enabled: decision.pushEnabled,
-    mode: decision.mode || null,
-    test_only: decision.testOnly,
     visible: decision.visible,
     can_subscribe: decision.canSubscribe && vapidStatus.enabled,
     can_send_test: decision.canSendTest,
@@ -158,9 +135,6 @@ function logAccessCheck(decision, vapidStatus) {
 
 function getSafeAccessReason(decision, vapidStatus) {
   if (decision.reason === "push_user_not_authenticated") return "auth_required";
-  if (decision.reason === "push_hidden_for_user") return "public_subscribe_disabled";
-  if (decision.reason === "push_mode_not_single_device_test") return "test_only_not_allowed";
-  if (decision.reason === "push_mode_not_production") return "test_only_not_allowed";
   if (decision.reason === "push_disabled") return "push_disabled";
   if (!vapidStatus.enabled) return "vapid_missing";
   return decision.reason || vapidStatus.error || "push_unavailable";
@@ -171,19 +145,17 @@ function logConfigStatus() {
   if (!status.enabled) {
     console.warn("[push.config] disabled", {
       hasPushEnabled: status.hasPushEnabled,
-      mode: status.mode,
       hasPublicKey: status.hasPublicKey,
-        hasPrivateKey: status.hasPrivateKey,
-        publicKeyLength: status.publicKeyLength,
-        privateKeyLength: status.privateKeyLength,
-        hasSubject: status.hasSubject,
-        subjectValueSafe: status.subjectValueSafe,
-        publicKeyFingerprint: status.publicKeyFingerprint,
-      });
+      hasPrivateKey: status.hasPrivateKey,
+      publicKeyLength: status.publicKeyLength,
+      privateKeyLength: status.privateKeyLength,
+      hasSubject: status.hasSubject,
+      subjectValueSafe: status.subjectValueSafe,
+      publicKeyFingerprint: status.publicKeyFingerprint,
+    });
   } else {
     console.log("[push.config] status", {
       hasPushEnabled: status.hasPushEnabled,
-      mode: status.mode,
       hasPublicKey: status.hasPublicKey,
       hasPrivateKey: status.hasPrivateKey,
       publicKeyLength: status.publicKeyLength,
@@ -210,14 +182,9 @@ router.get("/access", optionalPushAuth, (req, res) => {
     can_subscribe: canSubscribe,
     can_send_test: Boolean(decision.canSendTest && vapidStatus.enabled),
     authenticated,
-    mode: decision.mode,
-    test_only: decision.testOnly,
     ...(reason ? { reason } : {}),
-    test_label: process.env.PUSH_TEST_PHONE_LABEL || TEST_LABEL,
-    production_send_enabled: process.env.PUSH_ALLOW_PRODUCTION_SEND === "true",
-    configured_subscription_count: getAllowedTestSubscriptionIds().length,
-    allowed_user_id_loaded: Boolean(String(process.env.PUSH_TEST_ALLOWED_USER_ID || "").trim()),
-    requires_setup_code: requiresSetupCode(),
+    categories: Object.keys(PUSH_CATEGORIES),
+    max_devices: getPushMaxDevicesPerUser(),
   });
 });
 
@@ -227,10 +194,7 @@ router.get("/vapid-public-key", optionalPushAuth, (_req, res) => {
   return res.json({
     ok: true,
     enabled: status.enabled,
-    mode: status.mode,
-    test_only: status.testOnly,
     publicKey: status.enabled ? getVapidPublicKey() : null,
-    test_label: process.env.PUSH_TEST_PHONE_LABEL || TEST_LABEL,
     publicKeyFingerprint: status.publicKeyFingerprint,
     ...(status.enabled ? {} : { error: status.error || "push_vapid_not_configured" }),
   });
@@ -243,30 +207,19 @@ router.use((req, res, next) => {
     assertPushSubscribeAllowed({ user: req.user, auth: req.auth });
     return next();
   } catch (error) {
-    return res.status(404).json({ ok: false, visible: false, allowed: false, error: "push_hidden_for_user" });
+    return res.status(404).json({ ok: false, visible: false, allowed: false, error: error?.code || "push_disabled" });
   }
 });
+
 router.get("/debug-config", (req, res) => {
   if (process.env.NODE_ENV === "production") {
     return res.status(404).json({ ok: false, error: "push_debug_not_available" });
   }
-  try {
-    assertPushTestAccountAllowed({ user: req.user, auth: req.auth });
-  } catch (error) {
-    return res.status(404).json({ ok: false, visible: false, allowed: false, error: "push_hidden_for_user" });
-  }
-  const subscriptionIds = getAllowedTestSubscriptionIds();
   return res.json({
     ok: true,
     vapid: getPushVapidConfigStatus(),
-    allowedSubscriptionIdsCount: subscriptionIds.length,
-    maxDevices: Math.max(1, Number(process.env.PUSH_TEST_MAX_DEVICES || 2) || 2),
-    allowProductionSend: process.env.PUSH_ALLOW_PRODUCTION_SEND === "true",
-    allowAudience: process.env.PUSH_ALLOW_AUDIENCE === "true",
+    maxDevices: getPushMaxDevicesPerUser(),
     allowEngine: process.env.PUSH_ALLOW_ENGINE_EVENTS === "true",
-    allowMassSend: process.env.PUSH_ALLOW_ADMIN_MASS_SEND === "true",
-    allowCampaigns: process.env.PUSH_ALLOW_CAMPAIGNS === "true",
-    allowDbRecipientLookup: process.env.PUSH_ALLOW_DB_RECIPIENT_LOOKUP === "true",
   });
 });
 
@@ -278,18 +231,24 @@ router.get("/preferences", async (req, res) => {
   }
 });
 
+// Aceita { categories: { draws: false, ... } } e os campos antigos push_*_opt_in.
 router.put("/preferences", async (req, res) => {
   try {
-    const allowed = new Set(["push_operational_opt_in", "push_marketing_opt_in"]);
-    if (Object.keys(req.body || {}).some((key) => !allowed.has(key))) {
+    const body = req.body || {};
+    const allowed = new Set(["categories", "push_operational_opt_in", "push_marketing_opt_in"]);
+    const invalidCategories =
+      body.categories != null && (typeof body.categories !== "object" || Array.isArray(body.categories));
+    if (invalidCategories || Object.keys(body).some((key) => !allowed.has(key))) {
       const error = new Error("push_preferences_invalid");
       error.code = "push_preferences_invalid";
       throw error;
     }
+    const categories = { ...(body.categories || {}) };
+    if (body.push_operational_opt_in !== undefined) categories.operational = body.push_operational_opt_in;
+    if (body.push_marketing_opt_in !== undefined) categories.marketing = body.push_marketing_opt_in;
     const preferences = await updatePushPreferences({
       userId: requireRequestUserId(req),
-      operationalOptIn: req.body?.push_operational_opt_in,
-      marketingOptIn: req.body?.push_marketing_opt_in,
+      categories,
     });
     return res.json({ ok: true, ...preferences });
   } catch (error) {
@@ -299,73 +258,23 @@ router.put("/preferences", async (req, res) => {
 
 router.post("/subscribe", async (req, res) => {
   try {
-    assertPushSubscribeMode();
     const userId = requireRequestUserId(req);
-    if (process.env.NODE_ENV !== "production") {
-      console.log("[push.subscribe] start", {
-        user_id: userId,
-      });
-    }
-    const allowed = new Set(["subscription", "deviceLabel", "setupCode"]);
+    const allowed = new Set(["subscription", "deviceLabel"]);
     if (Object.keys(req.body || {}).some((key) => !allowed.has(key))) {
       const error = new Error("push_subscription_invalid");
       error.code = "push_subscription_invalid";
       throw error;
     }
-    if (requiresSetupCode()) {
-      const setupCode = String(req.body?.setupCode || "").trim();
-      const expectedSetupCode = String(process.env.PUSH_TEST_SETUP_CODE || "").trim();
-      if (process.env.NODE_ENV !== "production") {
-        console.log("[push.subscribe] setup-code:check", {
-          hasSetupCode: Boolean(setupCode),
-          setupCodeLength: setupCode.length,
-          hasExpectedSetupCode: Boolean(expectedSetupCode),
-          expectedSetupCodeLength: expectedSetupCode.length,
-        });
-      }
-      if (!expectedSetupCode) {
-        const error = new Error("push_test_setup_code_not_configured");
-        error.code = "push_test_setup_code_not_configured";
-        throw error;
-      }
-      if (!setupCode || !sameSecret(setupCode, expectedSetupCode)) {
-        const error = new Error("push_test_setup_code_required");
-        error.code = "push_test_setup_code_required";
-        throw error;
-      }
-    }
 
-    const incomingEndpoint = String(req.body?.subscription?.endpoint || "").trim();
     const saved = await savePushSubscription({
       userId,
       subscription: req.body?.subscription,
       userAgent: req.get("user-agent") || null,
       deviceLabel: req.body?.deviceLabel,
     });
-    if (
-      process.env.PUSH_SINGLE_ACTIVE_DEVICE_PER_TEST_USER === "true" &&
-      incomingEndpoint
-    ) {
-      await query(
-        `UPDATE public.push_subscriptions
-            SET is_active = false,
-                updated_at = now()
-          WHERE user_id = $1
-            AND endpoint <> $2
-            AND is_active = true`,
-        [userId, incomingEndpoint]
-      );
-    }
-    if (process.env.NODE_ENV !== "production") {
-      console.log("[push.subscribe] saved", {
-        subscription_id: saved.subscription_id || null,
-      });
-    }
     return res.status(201).json({
       ok: true,
-      subscription_id: saved.subscription_id,
-      test_mode: true,
-      test_label: process.env.PUSH_TEST_PHONE_LABEL || TEST_LABEL,
+      ...saved,
       message: "Notifica\u00e7\u00f5es ativadas neste dispositivo.",
     });
   } catch (error) {
@@ -397,9 +306,27 @@ router.post("/unsubscribe", async (req, res) => {
   }
 });
 
+router.get("/devices", async (req, res) => {
+  try {
+    return res.json({ ok: true, devices: await listPushDevices({ userId: requireRequestUserId(req) }) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+router.delete("/devices/:id", async (req, res) => {
+  try {
+    return res.json(
+      await deactivatePushDevice({ userId: requireRequestUserId(req), subscriptionId: req.params.id })
+    );
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// Notificação de teste para o próprio dispositivo (botão "testar" na conta).
 router.post("/test-current-device", async (req, res) => {
   try {
-    assertPushTestAccountAllowed({ user: req.user, auth: req.auth });
     const allowed = new Set(["subscription"]);
     if (Object.keys(req.body || {}).some((key) => !allowed.has(key))) {
       const error = new Error("push_test_payload_not_allowed");
@@ -435,13 +362,12 @@ router.post("/test-current-device", async (req, res) => {
     const out = await sendPushToSubscriptionRow({
       subscriptionRow,
       title: "New Store",
-      body: "Teste controlado de Push enviado para este dispositivo.",
+      body: "Notifica\u00e7\u00e3o de teste enviada para este dispositivo.",
       url: "/conta",
       payload: {},
       source: "current_device_test",
       eventKey: "PUSH_TEST_CURRENT_DEVICE",
       category: "operational",
-      requireConfiguredSubscription: false,
     });
 
     return res.json({ ok: true, ...out });
@@ -450,24 +376,4 @@ router.post("/test-current-device", async (req, res) => {
   }
 });
 
-async function handleTest(req, res) {
-  try {
-    assertPushTestAccountAllowed({ user: req.user, auth: req.auth });
-    assertOnlyTestFields(req.body || {});
-    const result = await sendTestPushToConfiguredSubscription({
-      title: req.body?.title,
-      body: req.body?.body,
-      url: req.body?.url || "/me",
-      payload: {},
-      source: "authenticated_user_test",
-    });
-    return res.json({ ok: true, ...result });
-  } catch (error) {
-    return sendError(res, error);
-  }
-}
-
-router.post("/test", handleTest);
-router.post("/test-single-device", handleTest);
-
 export default router;
@@ -0,0 +1,23 @@
+// src/routes/referrals.js
+// Código de indicação do usuário e resumo das indicações (services/referrals.js).
+// O código é usado no cadastro: POST /api/auth/register { ..., referral_code }.
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { getReferralSummary } from "../services/referrals.js";
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/me/referral -> { ok, code, reward_cents, total, pending, rewarded, earned_cents }
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await getReferralSummary(req.user.id)) });
+  } catch (e) {
+    if (e?.code === "user_not_found") return res.status(404).json({ ok: false, error: e.code });
+    console.error("[referral] summary error:", e?.code || e?.message || e);
+    return res.status(500).json({ ok: false, error: "referral_summary_failed" });
+  }
+});
+
+export default router;
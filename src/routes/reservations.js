@@ -7,13 +7,15 @@ import {
   cleanupExpiredReservationsGlobal,
   pendingCaptivePreauthReservationGuardSql,
 } from '../services/reservationExpiry.js';
+import { filterDrawNumbers } from '../services/drawNumbers.js';
+import { waitlistBlockedNumbers } from '../services/numberWaitlist.js';
 
 const router = Router();
 
 /**
  * Expira reservas vencidas (best-effort, fora da transação principal).
- * Mantido para “limpeza geral”; a expiração crítica também acontece
- * dentro da transação ao reservar (garante consistência).
+ * Roda como job recorrente 'reservations_cleanup' (src/services/backgroundJobs.js);
+ * a expiração crítica também acontece dentro da transação ao reservar (garante consistência).
  */
 export async function cleanupExpiredGlobal(runQuery = query) {
   return cleanupExpiredReservationsGlobal(runQuery);
@@ -32,27 +34,16 @@ router.post('/', requireAuth, async (req, res) => {
       );
     }
 
-    // limpeza “background” (não bloqueia o request)
-    void cleanupExpiredGlobal().catch(() => {});
-
     const { numbers } = req.body || {};
     if (!Array.isArray(numbers) || numbers.length === 0) {
       return res.status(400).json({ error: 'no_numbers' });
     }
 
-    // normaliza números
-    const nums = Array.from(
-      new Set(
-        numbers.map(Number).filter((n) => Number.isInteger(n) && n >= 0 && n <= 99)
-      )
-    );
-    if (!nums.length) return res.status(400).json({ error: 'numbers_invalid' });
-
     const ttlMin = Number(process.env.RESERVATION_TTL_MIN || 5);
 
     // draw aberto
     const dr = await query(
-      `SELECT id
+      `SELECT id, number_count
          FROM draws
         WHERE status = 'open'
           AND COALESCE(draw_type, 'principal') = 'principal'
@@ -62,6 +53,10 @@ router.post('/', requireAuth, async (req, res) => {
     if (!dr.rows.length) return res.status(400).json({ error: 'no_open_draw' });
     const drawId = dr.rows[0].id;
 
+    // normaliza números dentro da cartela do sorteio (draws.number_count)
+    const nums = Array.from(new Set(filterDrawNumbers(numbers, dr.rows[0].number_count)));
+    if (!nums.length) return res.status(400).json({ error: 'numbers_invalid' });
+
     // === INÍCIO TX ===========================================================
     await query('BEGIN');
 
@@ -169,6 +164,14 @@ router.post('/', requireAuth, async (req, res) => {
       if (isBusy) conflicts.push(row.n);
     }
 
+    // Número liberado com lista de espera fica para o primeiro da fila (services/numberWaitlist.js)
+    const waitlisted = await waitlistBlockedNumbers({
+      drawId,
+      numbers: nums.filter((n) => !conflicts.includes(n)),
+      userId: req.user.id,
+    });
+    conflicts.push(...waitlisted);
+
     if (conflicts.length) {
       await query('ROLLBACK');
       return res.status(409).json({ error: 'unavailable', conflicts });
@@ -4,6 +4,7 @@ import { getPool } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { getTicketPriceCents } from "../services/config.js";
 import { pendingCaptivePreauthReservationGuardSql } from "../services/reservationExpiry.js";
+import { ensureNumbersForDraw } from "../services/drawNumbers.js";
 
 const router = Router();
 
@@ -41,7 +42,7 @@ function normalizeNumbers(input) {
   if (!Array.isArray(input)) return { error: "numbers_must_be_array", numbers: [] };
 
   const parsed = input.map(Number);
-  const invalid = parsed.filter((n) => !Number.isInteger(n) || n < 0 || n > 99);
+  const invalid = parsed.filter((n) => !Number.isInteger(n) || n < 0);
   if (invalid.length) return { error: "invalid_numbers", numbers: [] };
 
   const numbers = Array.from(new Set(parsed)).sort((a, b) => a - b);
@@ -50,14 +51,9 @@ function normalizeNumbers(input) {
   return { numbers };
 }
 
+// Números fora da cartela do sorteio (draws.number_count) não existem e caem em numbers_not_found.
 async function ensureDrawNumbers(client, drawId) {
-  await client.query(
-    `INSERT INTO numbers (draw_id, n, status)
-     SELECT $1, gs::int, 'available'
-       FROM generate_series(0, 99) AS gs
-     ON CONFLICT DO NOTHING`,
-    [drawId]
-  );
+  await ensureNumbersForDraw(drawId, client);
 }
 
 async function expireDrawReservations(client, drawId = null) {
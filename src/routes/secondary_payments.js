@@ -1,10 +1,10 @@
 import { Router } from "express";
-import { MercadoPagoConfig, Payment } from "mercadopago";
 import { v4 as uuid } from "uuid";
 import { getPool } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { getTicketPriceCents } from "../services/config.js";
-import { getMercadoPagoAccessToken } from "../services/mercadopago.js";
+import { formatDrawNumber } from "../services/drawNumbers.js";
+import { createMercadoPagoPaymentClient, getMercadoPagoAccessToken } from "../services/mercadopago.js";
 import { expireDrawReservations, isAdditionalDrawType } from "./secondary_draws.js";
 
 const router = Router();
@@ -49,6 +49,7 @@ router.post("/pix", requireAuth, async (req, res) => {
               r.expires_at,
               d.draw_type,
               d.product_name,
+              d.number_count,
               c.ticket_price_cents,
               u.email AS user_email,
               u.name AS user_name
@@ -96,11 +97,11 @@ router.post("/pix", requireAuth, async (req, res) => {
     await client.query("COMMIT");
 
     const description = `Sorteio adicional New Store - ${numbers
-      .map((n) => n.toString().padStart(2, "0"))
+      .map((n) => formatDrawNumber(n, reservation.number_count))
       .join(", ")}`;
     const notificationUrl = `${resolveBaseUrl(req)}/api/payments/webhook`;
     const payerEmail = reservation.user_email || req.user?.email || "comprador@example.com";
-    const mpPayment = new Payment(new MercadoPagoConfig({ accessToken: token }));
+    const mpPayment = createMercadoPagoPaymentClient();
 
     let mpResp;
     try {
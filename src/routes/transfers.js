@@ -0,0 +1,99 @@
+// src/routes/transfers.js
+// Transferência de números pagos para outro usuário (services/numberTransfers.js).
+// O dono inicia para o e-mail ou telefone do destinatário; o destinatário aceita ou recusa aqui.
+// Só em sorteio aberto: depois do fechamento nada é iniciado nem aceito.
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  acceptNumberTransfer,
+  cancelNumberTransfer,
+  createNumberTransfer,
+  declineNumberTransfer,
+  listUserNumberTransfers,
+} from "../services/numberTransfers.js";
+
+const router = Router();
+
+router.use(requireAuth);
+
+const ERROR_STATUS = {
+  invalid_number: 400,
+  recipient_required: 400,
+  transfer_to_self: 400,
+  transfers_disabled: 403,
+  draw_not_found: 404,
+  recipient_not_found: 404,
+  transfer_not_found: 404,
+  draw_closed: 409,
+  number_not_owned: 409,
+  recipient_ambiguous: 409,
+  transfer_already_pending: 409,
+  transfer_not_pending: 409,
+};
+
+function sendError(res, error, context) {
+  const status = ERROR_STATUS[error?.code];
+  if (status) {
+    const { code, message, stack, ...extra } = error;
+    return res.status(status).json({ ok: false, error: code, ...extra });
+  }
+  console.error(`[transfers/${context}] error:`, error?.code || error?.message || error);
+  return res.status(500).json({ ok: false, error: `transfer_${context}_failed` });
+}
+
+// GET /api/me/transfers -> { ok, transfers: [{ id, direction: incoming|outgoing, draw_id, n, status, ... }] }
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ ok: true, transfers: await listUserNumberTransfers(req.user.id) });
+  } catch (e) {
+    return sendError(res, e, "list");
+  }
+});
+
+// POST /api/me/transfers { draw_id, number, to_email? | to_phone? }
+router.post("/", async (req, res) => {
+  try {
+    const transfer = await createNumberTransfer({
+      userId: req.user.id,
+      drawId: req.body?.draw_id,
+      n: req.body?.number ?? req.body?.n,
+      toEmail: req.body?.to_email,
+      toPhone: req.body?.to_phone,
+    });
+    return res.status(201).json({ ok: true, transfer });
+  } catch (e) {
+    return sendError(res, e, "create");
+  }
+});
+
+// POST /api/me/transfers/:id/accept — destinatário assume o número
+router.post("/:id/accept", async (req, res) => {
+  try {
+    const transfer = await acceptNumberTransfer({ userId: req.user.id, transferId: req.params.id });
+    return res.json({ ok: true, transfer });
+  } catch (e) {
+    return sendError(res, e, "accept");
+  }
+});
+
+// POST /api/me/transfers/:id/decline — destinatário recusa
+router.post("/:id/decline", async (req, res) => {
+  try {
+    const transfer = await declineNumberTransfer({ userId: req.user.id, transferId: req.params.id });
+    return res.json({ ok: true, transfer });
+  } catch (e) {
+    return sendError(res, e, "decline");
+  }
+});
+
+// POST /api/me/transfers/:id/cancel — remetente desiste
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const transfer = await cancelNumberTransfer({ userId: req.user.id, transferId: req.params.id });
+    return res.json({ ok: true, transfer });
+  } catch (e) {
+    return sendError(res, e, "cancel");
+  }
+});
+
+export default router;
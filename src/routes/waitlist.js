@@ -0,0 +1,64 @@
+// src/routes/waitlist.js
+// Lista de espera por números reservados do sorteio principal aberto (services/numberWaitlist.js).
+// Quando o número é liberado, o primeiro da fila recebe uma reserva exclusiva: a oferta aparece
+// aqui com reservation_id/offer_expires_at e é paga por POST /api/payments/pix { reservationId }.
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { joinWaitlist, leaveWaitlist, listUserWaitlist } from "../services/numberWaitlist.js";
+
+const router = Router();
+
+router.use(requireAuth);
+
+const ERROR_STATUS = {
+  no_numbers: 400,
+  numbers_invalid: 400,
+  numbers_not_found: 400,
+  no_open_draw: 404,
+  waitlist_entry_not_found: 404,
+  numbers_available: 409,
+  numbers_sold: 409,
+  numbers_reserved_by_you: 409,
+  waitlist_limit_reached: 409,
+};
+
+function sendError(res, error, context) {
+  const status = ERROR_STATUS[error?.code];
+  if (status) {
+    const { code, message, stack, ...extra } = error;
+    return res.status(status).json({ ok: false, error: code, ...extra });
+  }
+  console.error(`[waitlist/${context}] error:`, error?.code || error?.message || error);
+  return res.status(500).json({ ok: false, error: `waitlist_${context}_failed` });
+}
+
+// GET /api/waitlist -> { ok, entries: [{ draw_id, n, status, position, reservation_id, offer_expires_at }] }
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ ok: true, entries: await listUserWaitlist(req.user.id) });
+  } catch (e) {
+    return sendError(res, e, "list");
+  }
+});
+
+// POST /api/waitlist { numbers: [..] } — entra na fila no sorteio principal aberto
+router.post("/", async (req, res) => {
+  try {
+    const entries = await joinWaitlist({ userId: req.user.id, numbers: req.body?.numbers });
+    return res.status(201).json({ ok: true, entries });
+  } catch (e) {
+    return sendError(res, e, "join");
+  }
+});
+
+// DELETE /api/waitlist/:drawId/:n — sai da fila (e devolve a oferta, se já estiver com ela)
+router.delete("/:drawId/:n", async (req, res) => {
+  try {
+    const entries = await leaveWaitlist({ userId: req.user.id, drawId: req.params.drawId, n: req.params.n });
+    return res.json({ ok: true, entries });
+  } catch (e) {
+    return sendError(res, e, "leave");
+  }
+});
+
+export default router;
@@ -0,0 +1,398 @@
+// src/scripts/mp_simulator.js
+// Mercado Pago falso (em memória) para testes ponta a ponta e desenvolvimento local, sem rede.
+// Uso:
+//   node src/scripts/mp_simulator.js
+//   MP_BASE_URL=http://127.0.0.1:8788 MP_ACCESS_TOKEN=TEST-mp-simulator npm start
+// Envs opcionais:
+//   MP_SIMULATOR_PORT (padrão 8788), MP_ACCESS_TOKEN, MP_WEBHOOK_SECRET,
+//   MP_SIMULATOR_WEBHOOK_URL (força o destino dos avisos; senão usa o notification_url do pagamento),
+//   MP_SIMULATOR_OUTCOME (approved | rejected | pending | timeout | error; padrão approved)
+//
+// Cobre o que services/mercadopago.js usa (inclusive o client de pagamentos das rotas de PIX):
+// - POST /v1/payments: PIX nasce pending com QR e liquida no desfecho roteirizado (aviso assinado
+//   para o notification_url); cartão responde já com o desfecho. X-Idempotency-Key repetida devolve
+//   o mesmo pagamento.
+// - GET /v1/payments/:id, POST /v1/payments/:id/refunds, POST /v1/card_tokens,
+//   GET /v1/customers/search, POST /v1/customers, POST /v1/customers/:id/cards
+// - Desfechos "timeout" (a requisição fica pendurada até o close) e "error" (500).
+// Nos testes: `const mp = await startMercadoPagoSimulator({ port: 0, webhookSecret })` e
+// MP_BASE_URL=mp.baseUrl; `await mp.flushWebhooks()` espera os avisos em voo.
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const DEFAULT_PORT = 8788;
+const OUTCOMES = new Set(["approved", "rejected", "pending", "timeout", "error"]);
+
+const STATUS_DETAIL = {
+  approved: "accredited",
+  rejected: "cc_rejected_other_reason",
+  pending: "pending_waiting_transfer",
+  in_process: "pending_contingency",
+  cancelled: "expired",
+  refunded: "refunded",
+};
+
+function errorBody(status, message, error, cause = []) {
+  return { message, error, status, cause };
+}
+
+const UNAUTHORIZED = errorBody(401, "invalid access token", "unauthorized", [{ code: 2000, description: "invalid access token" }]);
+const NOT_FOUND = errorBody(404, "Payment not found", "not_found", [{ code: 2000, description: "Payment not found" }]);
+const INTERNAL = errorBody(500, "Internal server error", "internal_error", []);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeOutcome(outcome) {
+  const o = String(outcome || "").trim().toLowerCase();
+  if (!OUTCOMES.has(o)) throw new Error(`mp_simulator: desfecho desconhecido "${outcome}"`);
+  return o;
+}
+
+/** x-signature no formato do MP: ts=<ms>,v1=HMAC-SHA256("id:<data.id>;request-id:<x-request-id>;ts:<ts>;") */
+export function signMercadoPagoNotification({ secret, dataId, requestId, ts = Date.now() }) {
+  const id = /^[a-z0-9]+$/i.test(String(dataId)) ? String(dataId).toLowerCase() : String(dataId);
+  const manifest = `id:${id};request-id:${requestId};ts:${ts};`;
+  const v1 = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+  return `ts=${ts},v1=${v1}`;
+}
+
+/**
+ * Sobe o simulador e resolve quando está ouvindo. `port: 0` usa uma porta livre (testes).
+ * Retorna { baseUrl, state, requests, webhooks, script, failNext, setPaymentStatus, notify, flushWebhooks, close }.
+ */
+export async function startMercadoPagoSimulator({
+  port = DEFAULT_PORT,
+  host = "127.0.0.1",
+  accessToken = "TEST-mp-simulator",
+  webhookSecret = null,
+  webhookUrl = null,
+  outcome = "approved",
+  settleDelayMs = 0,
+} = {}) {
+  const state = {
+    accessToken,
+    webhookSecret,
+    webhookUrl,
+    defaultOutcome: normalizeOutcome(outcome),
+    payments: new Map(), // id (string) -> payment
+    idempotency: new Map(), // X-Idempotency-Key -> payment id
+    customers: [],
+    cardTokens: new Map(),
+    nextPaymentId: 1_300_000_001,
+    nextNotificationId: 90_000_001,
+  };
+  const requests = [];
+  const webhooks = [];
+  const failures = [];
+  const outcomes = [];
+  const inflight = new Set();
+  const timers = new Set();
+  const hanging = new Set();
+
+  /** Enfileira os desfechos dos próximos POST /v1/payments (um por criação). */
+  function script(...next) {
+    for (const o of next) outcomes.push(normalizeOutcome(o));
+  }
+
+  /** A próxima requisição que casar com method/path (prefixo) recebe { status, body } ou fica pendurada ({ hang: true }). */
+  function failNext({ method = null, path }, { status = 500, body = INTERNAL, hang = false } = {}) {
+    failures.push({ method: method ? String(method).toUpperCase() : null, path: String(path), status, body, hang });
+  }
+
+  const findPayment = (id) => state.payments.get(String(id)) || null;
+
+  function deliver(payment, action) {
+    const target = state.webhookUrl || payment.notification_url;
+    if (!target) return null;
+    const url = new URL(target);
+    url.searchParams.set("data.id", String(payment.id));
+    url.searchParams.set("type", "payment");
+    const requestId = crypto.randomUUID();
+    const body = {
+      id: state.nextNotificationId++,
+      live_mode: false,
+      type: "payment",
+      date_created: new Date().toISOString(),
+      user_id: "simulator",
+      api_version: "v1",
+      action,
+      data: { id: String(payment.id) },
+    };
+    const headers = { "Content-Type": "application/json", "x-request-id": requestId };
+    if (state.webhookSecret) {
+      headers["x-signature"] = signMercadoPagoNotification({ secret: state.webhookSecret, dataId: payment.id, requestId });
+    }
+    const entry = { url: url.toString(), headers, body, status: null, error: null };
+    webhooks.push(entry);
+    const p = fetch(url, { method: "POST", headers, body: JSON.stringify(body) })
+      .then(async (res) => {
+        entry.status = res.status;
+        await res.text().catch(() => "");
+      })
+      .catch((e) => {
+        entry.error = e?.message || String(e);
+        console.warn("[mp.simulator] webhook_failed", { url: entry.url, msg: entry.error });
+      })
+      .finally(() => inflight.delete(p));
+    inflight.add(p);
+    return p;
+  }
+
+  function setPaymentStatus(id, status, { notify: shouldNotify = true } = {}) {
+    const payment = findPayment(id);
+    if (!payment) throw new Error(`mp_simulator: pagamento ${id} não existe`);
+    payment.status = status;
+    payment.status_detail = STATUS_DETAIL[status] || status;
+    payment.date_last_updated = new Date().toISOString();
+    if (status === "approved" && !payment.date_approved) payment.date_approved = payment.date_last_updated;
+    if (shouldNotify) deliver(payment, "payment.updated");
+    return payment;
+  }
+
+  function notify(id, action = "payment.updated") {
+    const payment = findPayment(id);
+    if (!payment) throw new Error(`mp_simulator: pagamento ${id} não existe`);
+    return deliver(payment, action);
+  }
+
+  function createPayment(body, result) {
+    const now = new Date().toISOString();
+    const isPix = body.payment_method_id === "pix";
+    const id = state.nextPaymentId++;
+    const payment = {
+      id,
+      status: isPix ? "pending" : result === "pending" ? "in_process" : result,
+      status_detail: null,
+      date_created: now,
+      date_last_updated: now,
+      date_approved: null,
+      date_of_expiration: body.date_of_expiration || null,
+      transaction_amount: Number(body.transaction_amount),
+      currency_id: "BRL",
+      description: body.description || null,
+      payment_method_id: isPix ? "pix" : "visa",
+      payment_type_id: isPix ? "bank_transfer" : "credit_card",
+      external_reference: body.external_reference || null,
+      metadata: body.metadata || {},
+      notification_url: body.notification_url || null,
+      payer: body.payer || {},
+      live_mode: false,
+      refunds: [],
+    };
+    payment.status_detail = STATUS_DETAIL[payment.status] || payment.status;
+    if (payment.status === "approved") payment.date_approved = now;
+    if (isPix) {
+      const qr = `00020126580014br.gov.bcb.pix0136${crypto.randomUUID()}5204000053039865802BR5913MP SIMULADOR6009SAO PAULO62070503***6304ABCD`;
+      payment.point_of_interaction = {
+        type: "PIX",
+        transaction_data: {
+          qr_code: qr,
+          qr_code_base64: Buffer.from(qr).toString("base64"),
+          ticket_url: `http://simulator.local/pix/${id}`,
+        },
+      };
+    }
+    state.payments.set(String(id), payment);
+
+    if (isPix && result !== "pending") {
+      // PIX: o comprador "paga" (ou o QR expira) depois da criação, como na vida real
+      const settled = result === "approved" ? "approved" : "rejected";
+      const t = setTimeout(() => {
+        timers.delete(t);
+        setPaymentStatus(id, settled);
+      }, settleDelayMs);
+      timers.add(t);
+    } else if (!isPix) {
+      deliver(payment, "payment.created");
+    }
+    return payment;
+  }
+
+  async function route(req, url, send, hang) {
+    const path = url.pathname;
+    const method = req.method;
+    const raw = method === "GET" || method === "DELETE" ? "" : await readBody(req);
+    const headers = req.headers;
+    requests.push({ method, path, query: Object.fromEntries(url.searchParams), idempotencyKey: headers["x-idempotency-key"] || null });
+
+    const failIdx = failures.findIndex((f) => (!f.method || f.method === method) && path.startsWith(f.path));
+    if (failIdx >= 0) {
+      const [f] = failures.splice(failIdx, 1);
+      return f.hang ? hang() : send(f.status, f.body);
+    }
+
+    if (String(headers.authorization || "") !== `Bearer ${state.accessToken}`) return send(401, UNAUTHORIZED);
+
+    const body = parseJson(raw);
+    if (body === null) return send(400, errorBody(400, "invalid JSON body", "bad_request"));
+    const segments = path.split("/").filter(Boolean);
+    if (segments[0] !== "v1") return send(404, errorBody(404, "resource not found", "not_found"));
+    const [, resource, id, sub] = segments;
+
+    // ----- /v1/payments
+    if (resource === "payments") {
+      if (method === "POST" && !id) {
+        const key = String(headers["x-idempotency-key"] || "");
+        if (key && state.idempotency.has(key)) return send(200, findPayment(state.idempotency.get(key)));
+        if (!(Number(body.transaction_amount) > 0)) {
+          return send(400, errorBody(400, "Invalid transaction_amount", "bad_request", [{ code: 4037, description: "Invalid transaction_amount" }]));
+        }
+        if (body.payment_method_id !== "pix" && !body.token) {
+          return send(400, errorBody(400, "Invalid card_token_id", "bad_request", [{ code: 2006, description: "Card Token not found" }]));
+        }
+        const result = outcomes.length ? outcomes.shift() : state.defaultOutcome;
+        if (result === "timeout") return hang();
+        if (result === "error") return send(500, INTERNAL);
+        const payment = createPayment(body, result);
+        if (key) state.idempotency.set(key, String(payment.id));
+        return send(201, payment);
+      }
+      const payment = id ? findPayment(id) : null;
+      if (!payment) return send(404, NOT_FOUND);
+      if (method === "GET" && !sub) return send(200, payment);
+      if (method === "POST" && sub === "refunds") {
+        if (payment.status !== "approved") {
+          return send(400, errorBody(400, "Payment not refundable", "bad_request", [{ code: 2063, description: "The action requested is not valid for the current payment state" }]));
+        }
+        const amount = body.amount != null ? Number(body.amount) : payment.transaction_amount;
+        const refund = { id: state.nextPaymentId++, payment_id: payment.id, amount, status: "approved", date_created: new Date().toISOString() };
+        payment.refunds.push(refund);
+        const refunded = payment.refunds.reduce((sum, r) => sum + r.amount, 0);
+        if (refunded >= payment.transaction_amount) setPaymentStatus(payment.id, "refunded");
+        return send(201, refund);
+      }
+      return send(405, errorBody(405, "method not allowed", "method_not_allowed"));
+    }
+
+    // ----- /v1/card_tokens
+    if (resource === "card_tokens" && method === "POST" && !id) {
+      const customer = state.customers.find((c) => c.id === String(body.customer_id || ""));
+      if (!customer || !customer.cards.some((c) => c.id === String(body.card_id || ""))) {
+        return send(400, errorBody(400, "card not found", "bad_request", [{ code: "E301", description: "invalid card_id" }]));
+      }
+      const token = crypto.randomBytes(16).toString("hex");
+      state.cardTokens.set(token, { customerId: customer.id, cardId: String(body.card_id) });
+      return send(201, { id: token, status: "active", date_created: new Date().toISOString() });
+    }
+
+    // ----- /v1/customers
+    if (resource === "customers") {
+      if (method === "GET" && id === "search") {
+        const email = String(url.searchParams.get("email") || "").toLowerCase();
+        const results = state.customers.filter((c) => !email || c.email === email);
+        return send(200, { paging: { total: results.length, limit: 10, offset: 0 }, results });
+      }
+      if (method === "POST" && !id) {
+        const customer = { id: `${state.customers.length + 1}-sim`, email: String(body.email || "").toLowerCase(), first_name: body.first_name || null, cards: [] };
+        state.customers.push(customer);
+        return send(201, customer);
+      }
+      const customer = state.customers.find((c) => c.id === String(id));
+      if (!customer) return send(404, errorBody(404, "customer not found", "not_found"));
+      if (method === "POST" && sub === "cards") {
+        if (!body.token) return send(400, errorBody(400, "token is required", "bad_request"));
+        const card = { id: String(9000 + customer.cards.length + 1), last_four_digits: "4242", payment_method: { id: "visa", name: "Visa" }, customer_id: customer.id };
+        customer.cards.push(card);
+        return send(200, card);
+      }
+      return send(405, errorBody(405, "method not allowed", "method_not_allowed"));
+    }
+
+    return send(404, errorBody(404, "resource not found", "not_found"));
+  }
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      const json = JSON.stringify(body);
+      res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json) });
+      res.end(json);
+    };
+    // Timeout simulado: não responde; close() derruba a conexão
+    const hang = () => {
+      hanging.add(res);
+      res.on("close", () => hanging.delete(res));
+    };
+    const url = new URL(req.url, "http://simulator.local");
+    route(req, url, send, hang).catch((e) => {
+      console.error("[mp.simulator] handler_failed", e?.message || e);
+      if (!res.headersSent) send(500, INTERNAL);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const baseUrl = `http://${host}:${server.address().port}`;
+
+  async function flushWebhooks() {
+    while (inflight.size) await Promise.all([...inflight]);
+  }
+
+  async function close() {
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+    await flushWebhooks();
+    for (const res of hanging) res.destroy();
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    baseUrl,
+    state,
+    requests,
+    webhooks,
+    script,
+    failNext,
+    setPaymentStatus,
+    notify,
+    flushWebhooks,
+    close,
+  };
+}
+
+async function main() {
+  const sim = await startMercadoPagoSimulator({
+    port: Number(process.env.MP_SIMULATOR_PORT || DEFAULT_PORT),
+    accessToken: String(process.env.MP_ACCESS_TOKEN || "").trim() || undefined,
+    webhookSecret: String(process.env.MP_WEBHOOK_SECRET || "").trim() || null,
+    webhookUrl: String(process.env.MP_SIMULATOR_WEBHOOK_URL || "").trim() || null,
+    outcome: String(process.env.MP_SIMULATOR_OUTCOME || "").trim() || undefined,
+  });
+  console.log("[mp.simulator] ouvindo", {
+    base_url: sim.baseUrl,
+    access_token: sim.state.accessToken,
+    webhook_signed: Boolean(sim.state.webhookSecret),
+    outcome: sim.state.defaultOutcome,
+  });
+  console.log(`[mp.simulator] backend: MP_BASE_URL=${sim.baseUrl} MP_ACCESS_TOKEN=${sim.state.accessToken} (e o mesmo MP_WEBHOOK_SECRET)`);
+  const stop = () => sim.close().then(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("[mp.simulator] error:", e?.message || e);
+    process.exit(1);
+  });
+}
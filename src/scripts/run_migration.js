@@ -1,37 +1,60 @@
-// Script para executar migrations
+// Script de migrations (services/schemaMigrations.js)
+//   npm run migrate                    -> aplica as pendentes
+//   npm run migrate -- --dry-run       -> lista o que seria aplicado
+//   npm run migrate -- --to 030_x.sql  -> aplica até o arquivo (inclusive)
+//   npm run migrate -- --baseline --to 030_x.sql -> registra até o arquivo sem executar (banco já migrado à mão)
+//   npm run migrate:status             -> situação; sai com 1 se houver pendente
 import "dotenv/config";
-import { readFileSync } from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-import { getPool } from "../db.js";
+import { endPool } from "../db.js";
+import { applyPendingMigrations, getMigrationStatus } from "../services/schemaMigrations.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-async function runMigration() {
-  const pool = await getPool();
-  const client = await pool.connect();
+function parseArgs(argv) {
+  const args = { command: "up", dryRun: false, baseline: false, to: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "status" || arg === "up") args.command = arg;
+    else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--baseline") args.baseline = true;
+    else if (arg === "--to") args.to = argv[++i] || null;
+    else throw new Error(`argumento desconhecido: ${arg}`);
+  }
+  if (args.baseline && !args.to) throw new Error("--baseline exige --to <última migration aplicada à mão>");
+  return args;
+}
 
-  try {
-    console.log("Executando migration: 001_add_vindi_columns.sql");
-    
-    const migrationPath = join(__dirname, "../migrations/001_add_vindi_columns.sql");
-    const sql = readFileSync(migrationPath, "utf-8");
+function printList(label, names) {
+  if (!names.length) return;
+  console.log(`${label} (${names.length}):`);
+  for (const name of names) console.log(`  ${name}`);
+}
 
-    await client.query("BEGIN");
-    await client.query(sql);
-    await client.query("COMMIT");
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
 
-    console.log("✓ Migration executada com sucesso!");
-  } catch (e) {
-    await client.query("ROLLBACK");
-    console.error("✗ Erro ao executar migration:", e?.message || e);
-    process.exit(1);
-  } finally {
-    client.release();
-    await pool.end();
+  if (args.command === "status") {
+    const status = await getMigrationStatus();
+    console.log(`Migrations: ${status.applied.length + status.changed.length}/${status.total} aplicadas`);
+    printList("Pendentes", status.pending);
+    printList("Alteradas depois de aplicadas", status.changed);
+    printList("Registradas sem arquivo", status.missing);
+    return status.pending.length ? 1 : 0;
   }
-}
 
-runMigration();
+  const result = await applyPendingMigrations({ dryRun: args.dryRun, baseline: args.baseline, to: args.to });
+  if (result.dry_run) printList("Seriam aplicadas", result.applied);
+  else if (!result.applied.length) console.log("✓ Nenhuma migration pendente");
+  else console.log(`✓ ${result.applied.length} migration(s) ${result.baseline ? "registradas (baseline)" : "aplicadas"}`);
+  printList("Ainda pendentes", result.pending);
+  printList("Alteradas depois de aplicadas", result.changed);
+  return 0;
+}
 
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((e) => {
+    console.error("✗ Erro nas migrations:", e?.code || e?.message || e, e?.file ? `(${e.file})` : "", e?.detail || "");
+    process.exitCode = 1;
+  })
+  .finally(() => endPool().catch(() => {}));
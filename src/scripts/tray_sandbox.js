@@ -0,0 +1,372 @@
+// src/scripts/tray_sandbox.js
+// Loja Tray falsa (em memória) para testes de integração e desenvolvimento local, sem rede.
+// Uso:
+//   node src/scripts/tray_sandbox.js
+//   TRAY_API_BASE=http://127.0.0.1:8787/web_api npm start   (backend apontando para o sandbox)
+// Envs opcionais:
+//   TRAY_SANDBOX_PORT (padrão 8787), TRAY_CONSUMER_KEY, TRAY_CONSUMER_SECRET, TRAY_CODE
+//
+// Cobre o que services/tray.js usa:
+// - /auth: bootstrap por code (POST form) e refresh_token (GET); code/refresh inválidos => 401 error_code 1099
+// - /discount_coupons: listagem com paging (id ASC, limit máx. 50, filtro ?code=), GET/POST/PUT/DELETE por id
+// - /orders: listagem com paging (?sort=id_desc, ?modified=YYYY-MM-DD) e GET por id
+// - Erros típicos: token inválido/expirado (401) e 400 "Não há dados enviados." (opção rejectFormBodies)
+// Nos testes: `const sandbox = await startTraySandbox({ port: 0 })` e TRAY_API_BASE=sandbox.apiBase.
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const DEFAULT_PORT = 8787;
+const BASE_PATH = "/web_api";
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 30;
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "starts_at",
+  "ends_at",
+  "value",
+  "type",
+  "value_start",
+  "value_end",
+  "usage_sum_limit",
+  "usage_counter_limit",
+  "usage_counter_limit_customer",
+  "cumulative_discount",
+];
+
+function trayDateTime(ms) {
+  // Mesmo formato da Tray: "YYYY-MM-DD HH:mm:ss" (sem timezone; tray.js interpreta como UTC)
+  return new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+}
+
+function newToken(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString("hex")}`;
+}
+
+function errorBody(status, message, causes, extra = {}) {
+  return { message, causes, code: status, ...extra };
+}
+
+const TOKEN_INVALID = errorBody(401, "Unauthorized", ["Token inválido ou expirado"], { error_code: 1099 });
+const CODE_INVALID = errorBody(401, "Unauthorized", ["Código de autorização inválido ou expirado"], { error_code: 1099 });
+const KEYS_INVALID = errorBody(401, "Unauthorized", ["Consumer key ou consumer secret inválidos"], { error_code: 1001 });
+const NO_DATA_SENT = errorBody(400, "Bad Request", ["Não há dados enviados."]);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/** Lê o corpo de cupom nos dois formatos aceitos pela Tray: form PHP (DiscountCoupon[campo]) ou JSON. */
+function parseCouponBody(raw, contentType) {
+  if (!raw) return { format: null, fields: {} };
+  if (contentType.includes("application/json")) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return { format: "json", fields: {} };
+    }
+    const obj = parsed?.DiscountCoupon && typeof parsed.DiscountCoupon === "object" ? parsed.DiscountCoupon : {};
+    return { format: "json", fields: obj };
+  }
+  const fields = {};
+  for (const [k, v] of new URLSearchParams(raw)) {
+    const m = /^DiscountCoupon\[(\w+)\]$/.exec(k);
+    if (m) fields[m[1]] = v;
+  }
+  return { format: "form", fields };
+}
+
+function pickCouponFields(fields) {
+  const out = {};
+  for (const f of COUPON_FIELDS) {
+    if (fields[f] === undefined) continue;
+    out[f] = fields[f] == null ? "" : String(fields[f]);
+  }
+  return out;
+}
+
+function paginate(list, searchParams) {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(searchParams.get("limit")) || DEFAULT_LIMIT));
+  const page = Math.max(1, Number(searchParams.get("page")) || 1);
+  const offset = (page - 1) * limit;
+  return {
+    paging: { total: list.length, page, offset, limit, maxLimit: MAX_LIMIT },
+    items: list.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Sobe o sandbox e resolve quando está ouvindo. `port: 0` usa uma porta livre (testes).
+ * Retorna { apiBase, state, requests, addCoupon, addOrder, failNext, expireAccessTokens, close }.
+ */
+export async function startTraySandbox({
+  port = DEFAULT_PORT,
+  host = "127.0.0.1",
+  consumerKey = "sandbox-consumer-key",
+  consumerSecret = "sandbox-consumer-secret",
+  code = "sandbox-code",
+  refreshToken = null,
+  accessTtlSec = 3 * 3600,
+  supportsCodeFilter = true,
+  rejectFormBodies = false,
+} = {}) {
+  const state = {
+    consumerKey,
+    consumerSecret,
+    code,
+    supportsCodeFilter,
+    rejectFormBodies,
+    accessTokens: new Map(), // token -> expira em (ms)
+    refreshTokens: new Set(refreshToken ? [refreshToken] : []),
+    coupons: [],
+    orders: [],
+    nextCouponId: 1,
+    nextOrderId: 1,
+  };
+  const requests = [];
+  const failures = [];
+
+  const issueTokens = (refresh = null) => {
+    const now = Date.now();
+    const access = newToken("APP_SANDBOX-");
+    const rt = refresh || newToken("RT_SANDBOX-");
+    state.accessTokens.set(access, now + accessTtlSec * 1000);
+    state.refreshTokens.add(rt);
+    return {
+      code: 200,
+      message: "ok",
+      access_token: access,
+      refresh_token: rt,
+      date_expiration_access_token: trayDateTime(now + accessTtlSec * 1000),
+      date_expiration_refresh_token: trayDateTime(now + 30 * 24 * 3600 * 1000),
+      date_activated: trayDateTime(now),
+      api_host: apiBase,
+      store_id: "1",
+    };
+  };
+
+  const hasValidAccess = (searchParams) => {
+    const exp = state.accessTokens.get(String(searchParams.get("access_token") || ""));
+    return Boolean(exp && Date.now() < exp);
+  };
+
+  const findCoupon = (id) => state.coupons.find((c) => c.id === String(id)) || null;
+  const findOrder = (id) => state.orders.find((o) => o.id === String(id)) || null;
+
+  function addCoupon(fields = {}) {
+    const coupon = {
+      id: String(state.nextCouponId++),
+      code: "",
+      description: "",
+      starts_at: null,
+      ends_at: null,
+      value: "0.00",
+      type: "$",
+      value_start: "0.00",
+      value_end: "",
+      usage_sum_limit: "",
+      usage_counter_limit: "1",
+      usage_counter_limit_customer: "1",
+      cumulative_discount: "1",
+      usage_counter: "0",
+      ...pickCouponFields(fields),
+    };
+    state.coupons.push(coupon);
+    return coupon;
+  }
+
+  function addOrder(fields = {}) {
+    const now = trayDateTime(Date.now());
+    const order = {
+      status: "A ENVIAR",
+      date: now.slice(0, 10),
+      payment_date: now.slice(0, 10),
+      modified: now,
+      customer_id: "1",
+      total: "0.00",
+      discount: "0.00",
+      discount_coupon: "",
+      ...fields,
+      id: String(fields.id ?? state.nextOrderId),
+    };
+    state.nextOrderId = Math.max(state.nextOrderId, Number(order.id) || 0) + 1;
+    state.orders.push(order);
+    return order;
+  }
+
+  /** A próxima requisição que casar com method/path (prefixo, sem /web_api) recebe { status, body }. */
+  function failNext({ method = null, path }, { status = 500, body = errorBody(500, "Internal Server Error", ["Erro interno"]) } = {}) {
+    failures.push({ method: method ? String(method).toUpperCase() : null, path: String(path), status, body });
+  }
+
+  function expireAccessTokens() {
+    state.accessTokens.clear();
+  }
+
+  async function route(req, url, send) {
+    const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+    const sp = url.searchParams;
+    const method = req.method;
+    const contentType = String(req.headers["content-type"] || "").toLowerCase();
+    const raw = method === "GET" || method === "DELETE" ? "" : await readBody(req);
+    requests.push({ method, path, query: Object.fromEntries(sp), contentType: contentType || null });
+
+    const failIdx = failures.findIndex((f) => (!f.method || f.method === method) && path.startsWith(f.path));
+    if (failIdx >= 0) {
+      const [f] = failures.splice(failIdx, 1);
+      return send(f.status, f.body);
+    }
+
+    // ----- /auth
+    if (path === "/auth" || path === "/auth/") {
+      if (method === "GET") {
+        const rt = String(sp.get("refresh_token") || "");
+        if (!rt || !state.refreshTokens.has(rt)) return send(401, TOKEN_INVALID);
+        return send(200, issueTokens(rt));
+      }
+      if (method === "POST") {
+        const form = new URLSearchParams(raw);
+        if (form.get("consumer_key") !== state.consumerKey || form.get("consumer_secret") !== state.consumerSecret) {
+          return send(401, KEYS_INVALID);
+        }
+        if (!state.code || form.get("code") !== state.code) return send(401, CODE_INVALID);
+        return send(200, issueTokens());
+      }
+      return send(405, errorBody(405, "Method Not Allowed", []));
+    }
+
+    const segments = path.split("/").filter(Boolean);
+    const [resource, id] = segments;
+    if (resource !== "discount_coupons" && resource !== "orders") {
+      return send(404, errorBody(404, "Not Found", ["Recurso não encontrado"]));
+    }
+    if (!hasValidAccess(sp)) return send(401, TOKEN_INVALID);
+
+    // ----- /discount_coupons
+    if (resource === "discount_coupons") {
+      if (method === "GET" && !id) {
+        const filter = state.supportsCodeFilter ? String(sp.get("code") || "") : "";
+        const list = filter ? state.coupons.filter((c) => c.code === filter) : state.coupons;
+        const { paging, items } = paginate(list, sp);
+        return send(200, {
+          paging,
+          sort: [],
+          availableSorts: ["id_asc", "id_desc"],
+          availableFilters: state.supportsCodeFilter ? ["id", "code"] : ["id"],
+          appliedFilters: filter ? [{ code: filter }] : [],
+          DiscountCoupons: items.map((c) => ({ DiscountCoupon: { ...c } })),
+        });
+      }
+      if (method === "POST" && !id) {
+        const { format, fields } = parseCouponBody(raw, contentType);
+        if ((format === "form" && state.rejectFormBodies) || !Object.keys(fields).length) return send(400, NO_DATA_SENT);
+        const picked = pickCouponFields(fields);
+        if (!picked.code) return send(400, errorBody(400, "Bad Request", ["Código do cupom é obrigatório"]));
+        if (picked.type && picked.type !== "$" && picked.type !== "%") {
+          return send(400, errorBody(400, "Bad Request", ["Tipo de desconto inválido"]));
+        }
+        if (state.coupons.some((c) => c.code === picked.code)) {
+          return send(400, errorBody(400, "Bad Request", ["Já existe um cupom com este código"]));
+        }
+        const coupon = addCoupon(picked);
+        return send(201, { message: "Created", id: coupon.id, code: 201 });
+      }
+      const coupon = id ? findCoupon(id) : null;
+      if (!coupon) return send(404, errorBody(404, "Not Found", ["Cupom não encontrado"]));
+      if (method === "GET") return send(200, { DiscountCoupon: { ...coupon } });
+      if (method === "PUT") {
+        const { format, fields } = parseCouponBody(raw, contentType);
+        if ((format === "form" && state.rejectFormBodies) || !Object.keys(fields).length) return send(400, NO_DATA_SENT);
+        const picked = pickCouponFields(fields);
+        // Código vazio no PUT mantém o atual (tray.js não reenvia o code ao atualizar)
+        if (!picked.code) delete picked.code;
+        Object.assign(coupon, picked);
+        return send(200, { message: "Saved", id: coupon.id, code: 200 });
+      }
+      if (method === "DELETE") {
+        state.coupons = state.coupons.filter((c) => c !== coupon);
+        return send(200, { message: "Deleted", id: coupon.id, code: 200 });
+      }
+      return send(405, errorBody(405, "Method Not Allowed", []));
+    }
+
+    // ----- /orders
+    if (method !== "GET") return send(405, errorBody(405, "Method Not Allowed", []));
+    if (!id) {
+      const modified = String(sp.get("modified") || "");
+      let list = modified ? state.orders.filter((o) => String(o.modified || "") >= modified) : [...state.orders];
+      list = list.sort((a, b) => Number(a.id) - Number(b.id));
+      if (sp.get("sort") === "id_desc") list.reverse();
+      const { paging, items } = paginate(list, sp);
+      return send(200, { paging, sort: [], Orders: items.map((o) => ({ Order: { ...o } })) });
+    }
+    const order = findOrder(id);
+    if (!order) return send(404, errorBody(404, "Not Found", ["Pedido não encontrado"]));
+    return send(200, { Order: { ...order } });
+  }
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      const json = JSON.stringify(body);
+      res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json) });
+      res.end(json);
+    };
+    const url = new URL(req.url, "http://sandbox.local");
+    route(req, url, send).catch((e) => {
+      console.error("[tray.sandbox] handler_failed", e?.message || e);
+      if (!res.headersSent) send(500, errorBody(500, "Internal Server Error", [String(e?.message || e)]));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const apiBase = `http://${host}:${server.address().port}${BASE_PATH}`;
+
+  return {
+    apiBase,
+    state,
+    requests,
+    addCoupon,
+    addOrder,
+    failNext,
+    expireAccessTokens,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+async function main() {
+  const sandbox = await startTraySandbox({
+    port: Number(process.env.TRAY_SANDBOX_PORT || DEFAULT_PORT),
+    consumerKey: String(process.env.TRAY_CONSUMER_KEY || "").trim() || undefined,
+    consumerSecret: String(process.env.TRAY_CONSUMER_SECRET || "").trim() || undefined,
+    code: String(process.env.TRAY_CODE || "").trim() || undefined,
+  });
+  console.log("[tray.sandbox] ouvindo", {
+    api_base: sandbox.apiBase,
+    consumer_key: sandbox.state.consumerKey,
+    consumer_secret: sandbox.state.consumerSecret,
+    code: sandbox.state.code,
+  });
+  console.log(`[tray.sandbox] backend: TRAY_API_BASE=${sandbox.apiBase} com as mesmas TRAY_CONSUMER_KEY/SECRET/CODE`);
+  const stop = () => sandbox.close().then(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("[tray.sandbox] error:", e?.message || e);
+    process.exit(1);
+  });
+}
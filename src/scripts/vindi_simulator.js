@@ -0,0 +1,498 @@
+// src/scripts/vindi_simulator.js
+// Vindi falsa (em memória) para testes ponta a ponta do autopay e desenvolvimento local, sem rede.
+// Uso:
+//   node src/scripts/vindi_simulator.js
+//   VINDI_API_BASE_URL=http://127.0.0.1:8789/api/v1 VINDI_API_KEY=vindi-simulator-key npm start
+// Envs opcionais:
+//   VINDI_SIMULATOR_PORT (padrão 8789), VINDI_API_KEY,
+//   VINDI_SIMULATOR_WEBHOOK_URL (ex.: http://127.0.0.1:4000/api/autopay/vindi/webhook?token=<VINDI_WEBHOOK_SECRET>),
+//   VINDI_SIMULATOR_OUTCOME (approved | rejected | pending | timeout | error; padrão approved)
+//
+// Cobre o que services/vindi.js usa:
+// - GET/POST /customers, GET/POST /payment_profiles, GET /payment_profiles/:id
+// - POST /bills cobra na hora com o desfecho roteirizado (bill + charges[0].last_transaction)
+// - POST /bills/:id/charge (nova tentativa), GET/DELETE /bills/:id, GET /charges/:id, POST /charges/:id/refund
+// - Webhooks no envelope real { event: { type, created_at, data } }: bill_paid, charge_rejected,
+//   charge_refunded, bill_canceled. Com holdWebhooks os avisos ficam retidos até releaseWebhooks()
+//   (a Vindi real entrega com atraso; os testes usam isso para ordenar cobrança e aviso).
+// - Basic auth com a API key (401 "Chave da API inválida"), 422 de validação, "timeout" e "error" (500).
+// Nos testes: `const vindi = await startVindiSimulator({ port: 0 })` e VINDI_API_BASE_URL=vindi.apiBase
+// (antes de importar services/vindi.js, que lê as envs no carregamento).
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const DEFAULT_PORT = 8789;
+const BASE_PATH = "/api/v1";
+const OUTCOMES = new Set(["approved", "rejected", "pending", "timeout", "error"]);
+
+function errorBody(id, parameter, message) {
+  return { errors: [{ id, parameter, message }] };
+}
+
+const UNAUTHORIZED = errorBody("unauthorized", "authorization", "Chave da API inválida");
+const INTERNAL = errorBody("internal_server_error", null, "Erro interno");
+
+function notFound(resource) {
+  return errorBody("not_found", "id", `${resource} não encontrado`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeOutcome(outcome) {
+  const o = String(outcome || "").trim().toLowerCase();
+  if (!OUTCOMES.has(o)) throw new Error(`vindi_simulator: desfecho desconhecido "${outcome}"`);
+  return o;
+}
+
+/** Valores monetários saem como a Vindi devolve: string decimal ("55.0"). */
+function money(value) {
+  return String(Number(Number(value).toFixed(2)));
+}
+
+/** Filtro "campo:valor" do parâmetro ?query= da Vindi (só igualdade simples). */
+function parseQuery(q) {
+  const m = /^(\w+):(.+)$/.exec(String(q || "").trim());
+  return m ? { field: m[1], value: m[2] } : null;
+}
+
+/**
+ * Sobe o simulador e resolve quando está ouvindo. `port: 0` usa uma porta livre (testes).
+ * Desfecho de cada cobrança: próximo de script(), senão o do cartão (addPaymentProfile({ outcome })),
+ * senão o padrão. Retorna { apiBase, state, requests, webhooks, script, failNext, addCustomer,
+ * addPaymentProfile, settleBill, releaseWebhooks, flushWebhooks, close }.
+ */
+export async function startVindiSimulator({
+  port = DEFAULT_PORT,
+  host = "127.0.0.1",
+  apiKey = "vindi-simulator-key",
+  webhookUrl = null,
+  outcome = "approved",
+  gatewayMessage = "Transação negada pelo emissor",
+  holdWebhooks = false,
+} = {}) {
+  const state = {
+    apiKey,
+    webhookUrl,
+    gatewayMessage,
+    holdWebhooks,
+    defaultOutcome: normalizeOutcome(outcome),
+    customers: [],
+    paymentProfiles: [],
+    bills: [],
+    charges: [],
+    cardOutcomes: new Map(), // payment_profile id -> desfecho fixo do cartão
+    nextId: 1,
+  };
+  const requests = [];
+  const webhooks = [];
+  const failures = [];
+  const outcomes = [];
+  const held = [];
+  const inflight = new Set();
+  const hanging = new Set();
+  const nextId = () => state.nextId++;
+
+  /** Enfileira os desfechos das próximas cobranças (POST /bills e POST /bills/:id/charge). */
+  function script(...next) {
+    for (const o of next) outcomes.push(normalizeOutcome(o));
+  }
+
+  /** A próxima requisição que casar com method/path (prefixo, sem /api/v1) recebe { status, body } ou fica pendurada. */
+  function failNext({ method = null, path }, { status = 500, body = INTERNAL, hang = false } = {}) {
+    failures.push({ method: method ? String(method).toUpperCase() : null, path: String(path), status, body, hang });
+  }
+
+  const nextOutcome = (paymentProfileId) =>
+    outcomes.length ? outcomes.shift() : state.cardOutcomes.get(Number(paymentProfileId)) || state.defaultOutcome;
+
+  const findCustomer = (id) => state.customers.find((c) => c.id === Number(id)) || null;
+  const findProfile = (id) => state.paymentProfiles.find((p) => p.id === Number(id)) || null;
+  const findBill = (id) => state.bills.find((b) => b.id === Number(id)) || null;
+  const findCharge = (id) => state.charges.find((c) => c.id === Number(id)) || null;
+
+  function addCustomer(fields = {}) {
+    const customer = {
+      id: nextId(),
+      name: fields.name || "Cliente",
+      email: String(fields.email || "").toLowerCase(),
+      code: fields.code != null ? String(fields.code) : null,
+      registry_code: fields.registry_code || null,
+      status: "active",
+      created_at: new Date().toISOString(),
+    };
+    state.customers.push(customer);
+    return customer;
+  }
+
+  function addPaymentProfile({ customerId, lastFour = "1111", cardType = "visa", holderName = "CLIENTE TESTE", outcome: cardOutcome = null } = {}) {
+    const customer = findCustomer(customerId);
+    if (!customer) throw new Error(`vindi_simulator: customer ${customerId} não existe`);
+    const profile = {
+      id: nextId(),
+      status: "active",
+      holder_name: holderName,
+      card_number_last_four: lastFour,
+      last_four: lastFour,
+      card_type: cardType,
+      payment_company: { id: 1, name: cardType, code: cardType },
+      payment_method: { id: 1, code: "credit_card" },
+      customer: { id: customer.id, name: customer.name, email: customer.email },
+      created_at: new Date().toISOString(),
+    };
+    // Fora do objeto devolvido pela API: o "cartão de teste" sempre aprova/recusa
+    if (cardOutcome) state.cardOutcomes.set(profile.id, normalizeOutcome(cardOutcome));
+    state.paymentProfiles.push(profile);
+    return profile;
+  }
+
+  function deliver(type, data) {
+    if (!state.webhookUrl) return null;
+    const body = { event: { type, created_at: new Date().toISOString(), data } };
+    const entry = { url: state.webhookUrl, body, status: null, error: null };
+    webhooks.push(entry);
+    if (state.holdWebhooks) {
+      held.push(entry);
+      return null;
+    }
+    return send(entry);
+  }
+
+  function send(entry) {
+    const p = fetch(entry.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(entry.body),
+    })
+      .then(async (res) => {
+        entry.status = res.status;
+        await res.text().catch(() => "");
+      })
+      .catch((e) => {
+        entry.error = e?.message || String(e);
+        console.warn("[vindi.simulator] webhook_failed", { url: entry.url, msg: entry.error });
+      })
+      .finally(() => inflight.delete(p));
+    inflight.add(p);
+    return p;
+  }
+
+  const billRef = (bill) => ({ id: bill.id, code: bill.code });
+  // bill_id é interno: a API devolve a charge com { bill: { id, code } } e a bill com charges[] embutidas
+  const chargeFields = ({ bill_id: _billId, ...rest }) => rest;
+  const chargeView = (charge) => ({ ...chargeFields(charge), bill: billRef(findBill(charge.bill_id)) });
+  const billView = (bill) => ({ ...bill, charges: bill.charges.map((id) => chargeFields(findCharge(id))) });
+
+  function transaction(status, extra = {}) {
+    return {
+      id: nextId(),
+      transaction_type: "charge",
+      status,
+      gateway_message: status === "success" ? "Transação aprovada" : status === "rejected" ? state.gatewayMessage : null,
+      gateway_response_code: status === "success" ? "00" : status === "rejected" ? "51" : null,
+      created_at: new Date().toISOString(),
+      ...extra,
+    };
+  }
+
+  /** Aplica o desfecho a uma cobrança (nova ou retentativa) e dispara o webhook correspondente. */
+  function applyOutcome(bill, charge, result, { attempt = true } = {}) {
+    const now = new Date().toISOString();
+    if (attempt) charge.attempt_count += 1;
+    charge.updated_at = now;
+    if (result === "approved") {
+      charge.status = "paid";
+      charge.paid_at = now;
+      charge.last_transaction = transaction("success");
+      bill.status = "paid";
+    } else if (result === "rejected") {
+      charge.status = "pending";
+      charge.last_transaction = transaction("rejected");
+      bill.status = "pending";
+    } else {
+      charge.status = "pending";
+      charge.last_transaction = transaction("waiting");
+      bill.status = "pending";
+    }
+    bill.updated_at = now;
+    if (result === "approved") deliver("bill_paid", { bill: billView(bill) });
+    if (result === "rejected") deliver("charge_rejected", { charge: chargeView(charge) });
+  }
+
+  /** Resolve uma cobrança deixada "pending" (paid | rejected), como o retorno assíncrono do gateway. */
+  function settleBill(id, status) {
+    const bill = findBill(id);
+    if (!bill) throw new Error(`vindi_simulator: bill ${id} não existe`);
+    const charge = findCharge(bill.charges[bill.charges.length - 1]);
+    // A liquidação não é uma nova tentativa de cobrança
+    applyOutcome(bill, charge, status === "paid" || status === "approved" ? "approved" : "rejected", { attempt: false });
+    return billView(bill);
+  }
+
+  async function route(req, url, send, hang) {
+    const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+    const sp = url.searchParams;
+    const method = req.method;
+    const raw = method === "GET" ? "" : await readBody(req);
+    requests.push({ method, path, query: Object.fromEntries(sp) });
+
+    const failIdx = failures.findIndex((f) => (!f.method || f.method === method) && path.startsWith(f.path));
+    if (failIdx >= 0) {
+      const [f] = failures.splice(failIdx, 1);
+      return f.hang ? hang() : send(f.status, f.body);
+    }
+
+    const expected = `Basic ${Buffer.from(`${state.apiKey}:`).toString("base64")}`;
+    if (String(req.headers.authorization || "") !== expected) return send(401, UNAUTHORIZED);
+
+    const body = parseJson(raw);
+    if (body === null) return send(400, errorBody("invalid_parameter", "body", "JSON inválido"));
+    const [resource, id, sub] = path.split("/").filter(Boolean);
+
+    // ----- /customers
+    if (resource === "customers") {
+      if (method === "GET" && !id) {
+        const q = parseQuery(sp.get("query"));
+        const list = q ? state.customers.filter((c) => String(c[q.field] ?? "").toLowerCase() === q.value.toLowerCase()) : state.customers;
+        return send(200, { customers: list });
+      }
+      if (method === "POST" && !id) {
+        if (!body.name) return send(422, errorBody("invalid_parameter", "name", "não pode ficar em branco"));
+        return send(201, { customer: addCustomer(body) });
+      }
+      const customer = id ? findCustomer(id) : null;
+      if (!customer) return send(404, notFound("Customer"));
+      if (method === "GET") return send(200, { customer });
+      return send(405, errorBody("method_not_allowed", null, "Método não permitido"));
+    }
+
+    // ----- /payment_profiles
+    if (resource === "payment_profiles") {
+      if (method === "GET" && !id) {
+        const q = parseQuery(sp.get("query"));
+        const list = q?.field === "customer_id"
+          ? state.paymentProfiles.filter((p) => String(p.customer.id) === q.value)
+          : state.paymentProfiles;
+        return send(200, { payment_profiles: list });
+      }
+      if (method === "POST" && !id) {
+        if (!findCustomer(body.customer_id)) return send(422, errorBody("invalid_parameter", "customer_id", "não encontrado"));
+        if (!body.gateway_token && !body.card_number) {
+          return send(422, errorBody("invalid_parameter", "gateway_token", "não pode ficar em branco"));
+        }
+        const lastFour = body.card_number ? String(body.card_number).replace(/\D+/g, "").slice(-4) : "1111";
+        const profile = addPaymentProfile({ customerId: body.customer_id, lastFour, holderName: body.holder_name || undefined });
+        return send(201, { payment_profile: profile });
+      }
+      const profile = id ? findProfile(id) : null;
+      if (!profile) return send(404, notFound("PaymentProfile"));
+      if (method === "GET") return send(200, { payment_profile: profile });
+      return send(405, errorBody("method_not_allowed", null, "Método não permitido"));
+    }
+
+    // ----- /bills
+    if (resource === "bills") {
+      if (method === "POST" && !id) {
+        const customer = findCustomer(body.customer_id);
+        if (!customer) return send(422, errorBody("invalid_parameter", "customer_id", "não encontrado"));
+        const profile = findProfile(body.payment_profile_id);
+        if (!profile || profile.customer.id !== customer.id) {
+          return send(422, errorBody("invalid_parameter", "payment_profile_id", "não encontrado"));
+        }
+        const items = Array.isArray(body.bill_items) ? body.bill_items : [];
+        if (!items.length || items.some((i) => !(Number(i.product_id) > 0) || !(Number(i.amount) > 0))) {
+          return send(422, errorBody("invalid_parameter", "bill_items", "inválido"));
+        }
+        const result = nextOutcome(profile.id);
+        if (result === "timeout") return hang();
+        if (result === "error") return send(500, INTERNAL);
+
+        const now = new Date().toISOString();
+        const amount = items.reduce((sum, i) => sum + Number(i.amount), 0);
+        const bill = {
+          id: nextId(),
+          code: body.code != null ? String(body.code) : null,
+          amount: money(amount),
+          status: "pending",
+          due_at: body.due_at || now.slice(0, 10),
+          customer: { id: customer.id, name: customer.name, email: customer.email },
+          payment_profile: { id: profile.id },
+          metadata: body.metadata || {},
+          bill_items: items.map((i) => ({ id: nextId(), amount: money(i.amount), description: i.description || null, product: { id: Number(i.product_id) } })),
+          charges: [],
+          created_at: now,
+          updated_at: now,
+        };
+        const charge = {
+          id: nextId(),
+          bill_id: bill.id,
+          amount: bill.amount,
+          status: "pending",
+          attempt_count: 0,
+          paid_at: null,
+          payment_method: { code: "credit_card" },
+          last_transaction: null,
+          created_at: now,
+          updated_at: now,
+        };
+        bill.charges.push(charge.id);
+        state.bills.push(bill);
+        state.charges.push(charge);
+        applyOutcome(bill, charge, result);
+        return send(201, { bill: billView(bill) });
+      }
+      const bill = id ? findBill(id) : null;
+      if (!bill) return send(404, notFound("Bill"));
+      if (method === "GET" && !sub) return send(200, { bill: billView(bill) });
+      if (method === "DELETE" && !sub) {
+        if (bill.status === "paid") return send(422, errorBody("invalid_parameter", "status", "fatura paga não pode ser cancelada"));
+        if (bill.status !== "canceled") {
+          bill.status = "canceled";
+          bill.updated_at = new Date().toISOString();
+          for (const cid of bill.charges) {
+            const c = findCharge(cid);
+            if (c.status === "pending") c.status = "canceled";
+          }
+          deliver("bill_canceled", { bill: billView(bill) });
+        }
+        return send(200, { bill: billView(bill) });
+      }
+      if (method === "POST" && sub === "charge") {
+        if (bill.status !== "pending") return send(422, errorBody("invalid_parameter", "status", "fatura não está pendente"));
+        const result = nextOutcome(bill.payment_profile.id);
+        if (result === "timeout") return hang();
+        if (result === "error") return send(500, INTERNAL);
+        const charge = findCharge(bill.charges[bill.charges.length - 1]);
+        applyOutcome(bill, charge, result);
+        return send(200, { charge: chargeView(charge), bill: billView(bill) });
+      }
+      return send(405, errorBody("method_not_allowed", null, "Método não permitido"));
+    }
+
+    // ----- /charges
+    if (resource === "charges") {
+      const charge = id ? findCharge(id) : null;
+      if (!charge) return send(404, notFound("Charge"));
+      if (method === "GET" && !sub) return send(200, { charge: chargeView(charge) });
+      if (method === "POST" && sub === "refund") {
+        if (charge.status !== "paid") return send(422, errorBody("invalid_parameter", "status", "cobrança não está paga"));
+        charge.status = "refunded";
+        charge.updated_at = new Date().toISOString();
+        charge.last_transaction = transaction("success", {
+          transaction_type: "refund",
+          amount: body.amount != null ? money(body.amount) : charge.amount,
+          gateway_message: "Estorno aprovado",
+        });
+        const bill = findBill(charge.bill_id);
+        if (body.cancel_bill) {
+          bill.status = "canceled";
+          bill.updated_at = charge.updated_at;
+        }
+        deliver("charge_refunded", { charge: chargeView(charge) });
+        return send(200, { charge: chargeView(charge) });
+      }
+      return send(405, errorBody("method_not_allowed", null, "Método não permitido"));
+    }
+
+    return send(404, errorBody("not_found", null, "Recurso não encontrado"));
+  }
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      const json = JSON.stringify(body);
+      res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json) });
+      res.end(json);
+    };
+    // Timeout simulado: não responde; close() derruba a conexão
+    const hang = () => {
+      hanging.add(res);
+      res.on("close", () => hanging.delete(res));
+    };
+    const url = new URL(req.url, "http://simulator.local");
+    route(req, url, send, hang).catch((e) => {
+      console.error("[vindi.simulator] handler_failed", e?.message || e);
+      if (!res.headersSent) send(500, INTERNAL);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const apiBase = `http://${host}:${server.address().port}${BASE_PATH}`;
+
+  /** Entrega os avisos retidos (holdWebhooks) na ordem em que foram gerados. */
+  function releaseWebhooks() {
+    state.holdWebhooks = false;
+    for (const entry of held.splice(0)) send(entry);
+  }
+
+  async function flushWebhooks() {
+    while (inflight.size) await Promise.all([...inflight]);
+  }
+
+  async function close() {
+    await flushWebhooks();
+    for (const res of hanging) res.destroy();
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    apiBase,
+    state,
+    requests,
+    webhooks,
+    script,
+    failNext,
+    addCustomer,
+    addPaymentProfile,
+    settleBill,
+    releaseWebhooks,
+    flushWebhooks,
+    close,
+  };
+}
+
+async function main() {
+  const sim = await startVindiSimulator({
+    port: Number(process.env.VINDI_SIMULATOR_PORT || DEFAULT_PORT),
+    apiKey: String(process.env.VINDI_API_KEY || "").trim() || undefined,
+    webhookUrl: String(process.env.VINDI_SIMULATOR_WEBHOOK_URL || "").trim() || null,
+    outcome: String(process.env.VINDI_SIMULATOR_OUTCOME || "").trim() || undefined,
+  });
+  console.log("[vindi.simulator] ouvindo", {
+    api_base: sim.apiBase,
+    api_key: sim.state.apiKey,
+    webhook: Boolean(sim.state.webhookUrl),
+    outcome: sim.state.defaultOutcome,
+  });
+  console.log(`[vindi.simulator] backend: VINDI_API_BASE_URL=${sim.apiBase} VINDI_API_KEY=${sim.state.apiKey}`);
+  const stop = () => sim.close().then(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("[vindi.simulator] error:", e?.message || e);
+    process.exit(1);
+  });
+}
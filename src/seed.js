@@ -83,58 +83,8 @@ async function seedInitialDrawAndNumbers() {
   }
 }
 
-export async function ensureSchema() {
-  // Tabelas
-  await query(`
-    create table if not exists users (
-      id serial primary key,
-      name text not null,
-      email text unique not null,
-      pass_hash text not null,
-      is_admin boolean default false,
-      created_at timestamptz default now()
-    );
-
-    create table if not exists draws (
-      id serial primary key,
-      status text not null default 'open',
-      opened_at timestamptz default now(),
-      closed_at timestamptz
-    );
-
-    create table if not exists numbers (
-      draw_id int references draws(id) on delete cascade,
-      n smallint not null,
-      status text not null default 'available',
-      reservation_id uuid,
-      primary key (draw_id, n)
-    );
-
-    create table if not exists reservations (
-      id uuid primary key,
-      user_id int references users(id) on delete cascade,
-      draw_id int references draws(id) on delete cascade,
-      numbers int[] not null,
-      status text not null default 'active',
-      expires_at timestamptz not null,
-      payment_id text,
-      created_at timestamptz default now()
-    );
-
-    create table if not exists payments (
-      id text primary key,
-      user_id int references users(id) on delete set null,
-      draw_id int references draws(id) on delete set null,
-      numbers int[] not null,
-      amount_cents int not null,
-      status text not null,
-      qr_code text,
-      qr_code_base64 text,
-      created_at timestamptz default now(),
-      paid_at timestamptz
-    );
-  `);
-
+// Dados iniciais do boot. O schema vem das migrations (npm run migrate).
+export async function seedInitialData() {
   // Cria o sorteio inicial somente quando o banco ainda não possui draws.
   await seedInitialDrawAndNumbers();
 
@@ -0,0 +1,308 @@
+// src/services/authSessions.js
+// Sessões no servidor e 2FA (TOTP) dos admins.
+//
+// - todo login/cadastro cria uma linha em public.auth_sessions e o JWT leva o id dela (`sid`);
+//   requireAuth recusa token de sessão revogada/expirada (tokens antigos sem `sid` seguem
+//   valendo até expirar, exceto em rotas admin)
+// - requireAdmin exige is_admin no banco e, com ADMIN_2FA_REQUIRED, sessão com 2FA verificado
+// - 2FA: /api/auth/2fa/setup gera o segredo, /enable confirma o primeiro código,
+//   /verify marca a sessão atual como verificada (código não pode ser reutilizado)
+
+import crypto from "node:crypto";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import {
+  buildOtpAuthUrl,
+  decryptTotpSecret,
+  encryptTotpSecret,
+  generateTotpSecret,
+  verifyTotp,
+} from "./totp.js";
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_MFA_MAX_ATTEMPTS = 5;
+
+export function isAdmin2faRequired() {
+  const v = String(process.env.ADMIN_2FA_REQUIRED ?? "true").toLowerCase().trim();
+  return !(v === "0" || v === "false" || v === "no" || v === "off");
+}
+
+export function getAdminMfaMaxAttempts() {
+  const n = Number(process.env.ADMIN_2FA_MAX_ATTEMPTS);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MFA_MAX_ATTEMPTS;
+}
+
+export function newSessionId() {
+  return crypto.randomUUID();
+}
+
+function mapSession(row, currentSessionId = null) {
+  return {
+    id: row.id,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    expires_at: row.expires_at,
+    ip: row.ip || null,
+    user_agent: row.user_agent || null,
+    mfa_verified: Boolean(row.mfa_verified_at),
+    revoked_at: row.revoked_at || null,
+    revoked_reason: row.revoked_reason || null,
+    current: currentSessionId != null && row.id === currentSessionId,
+  };
+}
+
+/**
+ * Grava a sessão do token recém-assinado (`id` = claim `sid`, `expiresAt` = exp do JWT).
+ */
+export async function createSession({ id, userId, expiresAt, ip = null, userAgent = null }, options = {}) {
+  await runQuery(
+    options.pgClient,
+    `INSERT INTO public.auth_sessions (id, user_id, expires_at, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [id, userId, expiresAt, ip ? String(ip).slice(0, 100) : null, userAgent ? String(userAgent).slice(0, 500) : null]
+  );
+  return { id };
+}
+
+/**
+ * Valida a sessão do payload do JWT. Token sem `sid` (emitido antes das sessões) é aceito
+ * com session null. Atualiza last_seen_at no máximo a cada 5 minutos (best-effort).
+ *
+ * @returns {Promise<{ valid: boolean, reason?: string, session: object|null }>}
+ */
+export async function getSessionState(payload, options = {}) {
+  const sid = payload?.sid ? String(payload.sid) : null;
+  if (!sid) return { valid: true, session: null };
+  const userId = Number(payload?.id || payload?.sub);
+
+  let rows;
+  try {
+    ({ rows } = await runQuery(
+      options.pgClient,
+      `SELECT id, user_id, created_at, last_seen_at, expires_at, mfa_verified_at, revoked_at
+         FROM public.auth_sessions
+        WHERE id = $1`,
+      [sid]
+    ));
+  } catch (e) {
+    if (e?.code === "22P02") return { valid: false, reason: "session_not_found", session: null };
+    throw e;
+  }
+  const session = rows[0];
+  if (!session || Number(session.user_id) !== userId) return { valid: false, reason: "session_not_found", session: null };
+  if (session.revoked_at) return { valid: false, reason: "session_revoked", session: null };
+  if (new Date(session.expires_at).getTime() <= Date.now()) return { valid: false, reason: "session_expired", session: null };
+
+  if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    runQuery(options.pgClient, `UPDATE public.auth_sessions SET last_seen_at = now() WHERE id = $1`, [sid])
+      .catch(() => {});
+  }
+  return { valid: true, session };
+}
+
+export async function listUserSessions(userId, { currentSessionId = null, includeRevoked = false } = {}, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT id, created_at, last_seen_at, expires_at, ip, user_agent, mfa_verified_at, revoked_at, revoked_reason
+       FROM public.auth_sessions
+      WHERE user_id = $1
+        AND ($2::boolean OR (revoked_at IS NULL AND expires_at > now()))
+      ORDER BY last_seen_at DESC
+      LIMIT 100`,
+    [userId, Boolean(includeRevoked)]
+  );
+  return rows.map((row) => mapSession(row, currentSessionId));
+}
+
+export async function revokeSession({ sessionId, userId, reason = "logout", revokedBy = null }, options = {}) {
+  let rows;
+  try {
+    ({ rows } = await runQuery(
+      options.pgClient,
+      `UPDATE public.auth_sessions
+          SET revoked_at = now(),
+              revoked_reason = $3,
+              revoked_by = $4
+        WHERE id = $1
+          AND user_id = $2
+          AND revoked_at IS NULL
+        RETURNING id`,
+      [sessionId, userId, reason, revokedBy]
+    ));
+  } catch (e) {
+    if (e?.code === "22P02") throw coded("session_not_found");
+    throw e;
+  }
+  if (!rows.length) throw coded("session_not_found");
+  return { revoked: rows[0].id };
+}
+
+/**
+ * "Sair de todos os dispositivos": revoga as sessões ativas do usuário (menos `exceptSessionId`).
+ */
+export async function revokeAllUserSessions({ userId, exceptSessionId = null, reason = "logout_all", revokedBy = null }, options = {}) {
+  const { rowCount } = await runQuery(
+    options.pgClient,
+    `UPDATE public.auth_sessions
+        SET revoked_at = now(),
+            revoked_reason = $3,
+            revoked_by = $4
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+    [userId, exceptSessionId, reason, revokedBy]
+  );
+  return { revoked: rowCount || 0 };
+}
+
+/**
+ * Dados usados por requireAdmin (sempre do banco: o `role` do token pode estar desatualizado).
+ */
+export async function getAdminAccess(userId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT is_admin, totp_enabled_at FROM public.users WHERE id = $1`,
+    [userId]
+  );
+  const row = rows[0];
+  return { is_admin: Boolean(row?.is_admin), totp_enabled: Boolean(row?.totp_enabled_at) };
+}
+
+async function lockTotpUser(client, userId) {
+  const { rows } = await client.query(
+    `SELECT id, email, is_admin, totp_secret, totp_enabled_at, totp_last_step
+       FROM public.users
+      WHERE id = $1
+      FOR UPDATE`,
+    [userId]
+  );
+  if (!rows.length) throw coded("user_not_found");
+  return rows[0];
+}
+
+async function lockSession(client, sessionId, userId) {
+  if (!sessionId) throw coded("session_required");
+  const { rows } = await client.query(
+    `SELECT id, user_id, mfa_verified_at, mfa_failed_attempts, revoked_at
+       FROM public.auth_sessions
+      WHERE id = $1
+      FOR UPDATE`,
+    [sessionId]
+  );
+  const session = rows[0];
+  if (!session || Number(session.user_id) !== Number(userId) || session.revoked_at) throw coded("session_required");
+  return session;
+}
+
+/**
+ * Gera (ou regera, enquanto não confirmado) o segredo TOTP do admin.
+ */
+export async function beginTotpEnrollment(userId, options = {}) {
+  return withTransaction(options, async (client) => {
+    const user = await lockTotpUser(client, userId);
+    if (!user.is_admin) throw coded("forbidden");
+    if (user.totp_enabled_at) throw coded("totp_already_enabled");
+
+    const secret = generateTotpSecret();
+    await client.query(
+      `UPDATE public.users
+          SET totp_secret = $2,
+              totp_enabled_at = NULL,
+              totp_last_step = NULL
+        WHERE id = $1`,
+      [userId, encryptTotpSecret(secret)]
+    );
+    return { secret, otpauth_url: buildOtpAuthUrl(secret, user.email || `user-${userId}`) };
+  });
+}
+
+/**
+ * Confere o código no segredo do usuário; erro conta tentativa na sessão e, no limite, revoga a sessão.
+ * Retorna null no código errado (o chamador faz COMMIT do contador e só depois lança invalid_totp_code).
+ */
+async function checkSessionCode(client, { user, session, code, nowMs }) {
+  const maxAttempts = getAdminMfaMaxAttempts();
+  if (Number(session.mfa_failed_attempts || 0) >= maxAttempts) throw coded("too_many_attempts");
+
+  const step = verifyTotp(decryptTotpSecret(user.totp_secret), code, { nowMs, afterStep: user.totp_last_step });
+  if (step != null) return step;
+
+  const attempts = Number(session.mfa_failed_attempts || 0) + 1;
+  await client.query(
+    `UPDATE public.auth_sessions
+        SET mfa_failed_attempts = $2,
+            revoked_at = CASE WHEN $3 THEN now() ELSE revoked_at END,
+            revoked_reason = CASE WHEN $3 THEN 'mfa_failed' ELSE revoked_reason END
+      WHERE id = $1`,
+    [session.id, attempts, attempts >= maxAttempts]
+  );
+  return null;
+}
+
+async function markSessionVerified(client, { userId, sessionId, step }) {
+  await client.query(`UPDATE public.users SET totp_last_step = $2 WHERE id = $1`, [userId, step]);
+  await client.query(
+    `UPDATE public.auth_sessions
+        SET mfa_verified_at = now(),
+            mfa_failed_attempts = 0
+      WHERE id = $1`,
+    [sessionId]
+  );
+}
+
+/**
+ * Primeiro código após o setup: ativa o 2FA e já verifica a sessão atual.
+ */
+export async function confirmTotpEnrollment({ userId, sessionId, code, nowMs = Date.now() }, options = {}) {
+  const result = await withTransaction(options, async (client) => {
+    const user = await lockTotpUser(client, userId);
+    if (user.totp_enabled_at) throw coded("totp_already_enabled");
+    if (!user.totp_secret) throw coded("totp_setup_required");
+    const session = await lockSession(client, sessionId, userId);
+
+    const step = await checkSessionCode(client, { user, session, code, nowMs });
+    if (step == null) return { ok: false };
+    await client.query(`UPDATE public.users SET totp_enabled_at = now() WHERE id = $1`, [userId]);
+    await markSessionVerified(client, { userId, sessionId, step });
+    return { ok: true };
+  });
+  if (!result.ok) throw coded("invalid_totp_code");
+  return { enabled: true, session_verified: true };
+}
+
+/**
+ * Login de admin com 2FA ativo: marca a sessão atual como verificada.
+ */
+export async function verifySessionTotp({ userId, sessionId, code, nowMs = Date.now() }, options = {}) {
+  const result = await withTransaction(options, async (client) => {
+    const user = await lockTotpUser(client, userId);
+    if (!user.totp_enabled_at || !user.totp_secret) throw coded("totp_not_enabled");
+    const session = await lockSession(client, sessionId, userId);
+    if (session.mfa_verified_at) return { ok: true };
+
+    const step = await checkSessionCode(client, { user, session, code, nowMs });
+    if (step == null) return { ok: false };
+    await markSessionVerified(client, { userId, sessionId, step });
+    return { ok: true };
+  });
+  if (!result.ok) throw coded("invalid_totp_code");
+  return { session_verified: true };
+}
+
+/**
+ * Admin perdeu o autenticador: outro admin zera o 2FA e derruba todas as sessões dele.
+ */
+export async function resetUserTotp({ userId, adminUserId = null }, options = {}) {
+  return withTransaction(options, async (client) => {
+    await lockTotpUser(client, userId);
+    await client.query(
+      `UPDATE public.users
+          SET totp_secret = NULL,
+              totp_enabled_at = NULL,
+              totp_last_step = NULL
+        WHERE id = $1`,
+      [userId]
+    );
+    return revokeAllUserSessions({ userId, reason: "totp_reset", revokedBy: adminUserId }, { pgClient: client });
+  });
+}
@@ -3,6 +3,7 @@ import { getPool, query } from "../../db.js";
 import { getTicketPriceCents as getGlobalTicketPriceCents } from "../config.js";
 import { chargeAuthorizedCaptivePreauth as chargeAuthorizedCaptivePreauthWithAutopay } from "../autopayRunner.js";
 import { resolveCaptivePreauthAutoApproveEffectiveFrom } from "../reservationExpiry.js";
+import { isValidDrawNumber } from "../drawNumbers.js";
 import {
   getWhatsAppProviderReadiness,
   resolveRecipientForCurrentMode,
@@ -1239,6 +1240,16 @@ export async function createCaptivePreAuthorizationsForDraw(drawId, options = {}
       skipped++;
       continue;
     }
+    if (!isValidDrawNumber(captiveNumber, draw.number_count ?? undefined)) {
+      log("captive_number_outside_board", {
+        draw_id: Number(draw.id),
+        user_id: userId,
+        captive_number: captiveNumber,
+        number_count: draw.number_count ?? null,
+      });
+      skipped++;
+      continue;
+    }
 
     log("required_amount_increased", {
       draw_id: Number(draw.id),
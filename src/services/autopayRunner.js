@@ -5,6 +5,12 @@ import { getPool } from "../db.js";
 import { createBill, chargeBill, refundCharge, getBill, getPaymentProfile, getCustomerPaymentProfiles, cancelBill } from "./vindi.js";
 import { creditCouponOnApprovedPayment } from "./couponBalance.js";
 import { closeDrawIfSoldOut } from "./drawLifecycle.js";
+import {
+  ensureNumbersForDraw as ensureDrawNumbers,
+  filterDrawNumbers,
+  formatDrawNumber,
+  getDrawNumberCount,
+} from "./drawNumbers.js";
 import { pendingCaptivePreauthReservationGuardSql } from "./reservationExpiry.js";
 import crypto from "node:crypto";
 
@@ -366,40 +372,13 @@ function buildAuthorizedBaseAmountSql(existingColumns) {
 }
 
 /* ------------------------------------------------------- *
- * Ensure números 00..99 existem para o draw
+ * Ensure números da cartela (draws.number_count) existem para o draw
  * ------------------------------------------------------- */
 async function ensureNumbersForDraw(client, draw_id) {
   try {
-    const { rows } = await client.query(
-      `select count(*)::int as c from public.numbers where draw_id=$1`,
-      [draw_id]
-    );
-    const c = rows?.[0]?.c || 0;
-    if (c >= 100) return;
-
-    // se não tem nenhum, cria 100; se tem parcial, completa os faltantes
-    if (c === 0) {
-      await client.query(
-        `insert into public.numbers(draw_id, n, status, reservation_id)
-         select $1, gs::int2, 'available', null
-           from generate_series(0,99) as gs`,
-        [draw_id]
-      );
-      log("numbers populated for draw", { draw_id, count: 100 });
-      return;
-    }
-
-    await client.query(
-      `insert into public.numbers(draw_id, n, status, reservation_id)
-       select $1, gs::int2, 'available', null
-         from generate_series(0,99) as gs
-        where not exists (
-          select 1 from public.numbers n
-           where n.draw_id=$1 and n.n = gs::int2
-        )`,
-      [draw_id]
-    );
-    warn("numbers table was incomplete; missing rows inserted", { draw_id, existing: c });
+    const count = await ensureDrawNumbers(draw_id, client);
+    log("numbers ensured for draw", { draw_id, count });
+    return count;
   } catch (e) {
     err("ensureNumbersForDraw failed", { draw_id, msg: e?.message, code: e?.code });
     throw e;
@@ -2004,7 +1983,8 @@ export async function chargeAuthorizedCaptivePreauth(authorizationOrOptions, leg
 
     const idempotencyKey = `captive-preauth:${id}`;
     const amount_reais = Number((amount_cents / 100).toFixed(2));
-    const description = `Autopay preauth draw ${draw_id} - numero ${String(captiveNumber).padStart(2, "0")}`;
+    const numberCount = await getDrawNumberCount(draw_id, client);
+    const description = `Autopay preauth draw ${draw_id} - numero ${formatDrawNumber(captiveNumber, numberCount)}`;
     providerRequest = {
       endpoint: "/bills",
       customer_id: Number(auth.vindi_customer_id),
@@ -2226,7 +2206,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
       return { ok: false, error: "vindi_not_configured" };
     }
 
-    // 3) Validação do draw + ensure numbers 00..99
+    // 3) Validação do draw + ensure numbers da cartela
     await client.query("BEGIN");
     const d = await client.query(
       `select id, status, autopay_ran_at
@@ -2251,7 +2231,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
       warn("autopay já processado para draw", draw_id);
       return { ok: false, error: "autopay_already_ran" };
     }
-    await ensureNumbersForDraw(client, draw_id);
+    const numberCount = await ensureNumbersForDraw(client, draw_id);
     await client.query("COMMIT");
 
     const hasNumberActive = await hasAutopayNumberActiveColumn(client);
@@ -2319,7 +2299,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
 
     for (const p of scanned) {
       const hasVindi = !!(p.vindi_customer_id && p.vindi_payment_profile_id);
-      const preferred = (p.numbers || []).map(Number).filter((n) => n >= 0 && n <= 99);
+      const preferred = filterDrawNumbers(p.numbers, numberCount);
 
       if (!hasVindi) {
         missingVindi++;
@@ -2409,7 +2389,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
         user_id: p.user_id,
         vindi_customer_id: p.vindi_customer_id,
         vindi_payment_profile_id: p.vindi_payment_profile_id,
-        numbers: (p.numbers || []).map(Number).filter((n) => n >= 0 && n <= 99),
+        numbers: filterDrawNumbers(p.numbers, numberCount),
       }))
       .filter((p) => p.numbers.length > 0);
 
@@ -2425,7 +2405,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
       const attemptTraceId = crypto.randomUUID();
       const user_id = p.user_id;
       const autopay_id = p.autopay_id;
-      const wants = (p.numbers || []).map(Number).filter((n) => n >= 0 && n <= 99);
+      const wants = filterDrawNumbers(p.numbers, numberCount);
       log("attempt start", {
         runTraceId,
         attemptTraceId,
@@ -2525,7 +2505,7 @@ export async function runAutopayForDraw(draw_id, { force = false } = {}) {
 
       try {
         const description = `Autopay draw ${draw_id} — ${reservedNumbers.length} números: ${reservedNumbers
-          .map((n) => String(n).padStart(2, "0"))
+          .map((n) => formatDrawNumber(n, numberCount))
           .join(", ")}`;
         
         // Idempotency key: "draw:{drawId}:user:{userId}"
@@ -0,0 +1,182 @@
+// src/services/backgroundJobs.js
+// Tarefas periódicas do backend, executadas pela fila de jobs (src/services/jobQueue.js).
+// Antes eram setInterval/disparos por request em cada instância.
+import { defineJob, purgeFinishedJobs } from "./jobQueue.js";
+import {
+  getCaptivePreauthExpiryScanIntervalMs,
+  isCaptivePreauthExpiryScanEnabled,
+  processPendingCaptivePreauthExpirations,
+} from "./autopay/captivePreauthService.js";
+import {
+  getCouponBalanceExpiryIntervalMs,
+  isCouponBalanceExpiryEnabled,
+  runCouponBalanceExpiry,
+} from "./couponBalanceExpiry.js";
+import {
+  getCouponReconcileIntervalMs,
+  isCouponReconcileEnabled,
+  runCouponReconciliation,
+} from "./couponReconciliation.js";
+import { processNumberWaitlist } from "./numberWaitlist.js";
+import { getDrawSchedulerIntervalMs, isDrawSchedulerEnabled, runDrawSchedulerTick } from "./drawScheduler.js";
+import { getTrayOrderSyncIntervalMs, isTrayOrderSyncEnabled, syncTrayOrders } from "./trayOrderSync.js";
+import {
+  MANUAL_CAMPAIGN_BATCH_JOB,
+  runManualCampaignBatch,
+} from "./notifications/manualCampaignJobs.js";
+import {
+  getNotificationSchedulerIntervalMs,
+  isNotificationSchedulerEnabled,
+  runScheduledCampaignsTick,
+} from "./notifications/scheduledCampaigns.js";
+import {
+  attributeNotificationConversions,
+  getNotificationConversionAttributionIntervalMs,
+  isNotificationConversionAttributionEnabled,
+} from "./notifications/notificationConversions.js";
+import { kickReconcilePendingPayments } from "../routes/payments.js";
+import { cleanupExpiredGlobal } from "../routes/reservations.js";
+
+export const JOB_NAMES = Object.freeze({
+  PAYMENTS_RECONCILE: "payments_reconcile",
+  RESERVATIONS_CLEANUP: "reservations_cleanup",
+  CAPTIVE_PREAUTH_EXPIRY_SCAN: "captive_preauth_expiry_scan",
+  DRAW_SCHEDULER_TICK: "draw_scheduler_tick",
+  COUPON_LEDGER_RECONCILE: "coupon_ledger_reconcile",
+  COUPON_BALANCE_EXPIRY: "coupon_balance_expiry",
+  TRAY_ORDERS_SYNC: "tray_orders_sync",
+  NOTIFICATION_CAMPAIGN_BATCH: MANUAL_CAMPAIGN_BATCH_JOB,
+  NOTIFICATION_SCHEDULES_TICK: "notification_schedules_tick",
+  NOTIFICATION_CONVERSIONS_ATTRIBUTE: "notification_conversions_attribute",
+  JOBS_CLEANUP: "background_jobs_cleanup",
+});
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function getPaymentsReconcileIntervalMs() {
+  return toPositiveInt(process.env.RECONCILE_INTERVAL_MS) || 60000;
+}
+
+export function getReservationsCleanupIntervalMs() {
+  return toPositiveInt(process.env.RESERVATION_CLEANUP_INTERVAL_MS) || 60000;
+}
+
+export function getJobsCleanupIntervalMs() {
+  return toPositiveInt(process.env.JOB_CLEANUP_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+}
+
+async function reconcilePendingPaymentsJob() {
+  const result = await kickReconcilePendingPayments();
+  // Sem token do MP não há o que reconciliar; não adianta tentar de novo.
+  if (result?.error && result.error !== "mp_token_missing") {
+    const error = new Error(result.error);
+    error.code = "payments_reconcile_failed";
+    throw error;
+  }
+  return result;
+}
+
+// Números liberados pela limpeza vão direto para a lista de espera (oferta ao primeiro da fila).
+async function cleanupReservationsJob() {
+  await cleanupExpiredGlobal();
+  const { offers, ...waitlist } = await processNumberWaitlist();
+  return { ok: true, waitlist };
+}
+
+export function registerBackgroundJobs(registry) {
+  defineJob(JOB_NAMES.PAYMENTS_RECONCILE, {
+    handler: reconcilePendingPaymentsJob,
+    everyMs: getPaymentsReconcileIntervalMs(),
+    maxAttempts: 3,
+  }, registry);
+
+  defineJob(JOB_NAMES.RESERVATIONS_CLEANUP, {
+    handler: cleanupReservationsJob,
+    everyMs: getReservationsCleanupIntervalMs(),
+    maxAttempts: 3,
+  }, registry);
+
+  defineJob(JOB_NAMES.JOBS_CLEANUP, {
+    handler: () => purgeFinishedJobs(),
+    everyMs: getJobsCleanupIntervalMs(),
+    maxAttempts: 3,
+  }, registry);
+
+  if (isCaptivePreauthExpiryScanEnabled()) {
+    defineJob(JOB_NAMES.CAPTIVE_PREAUTH_EXPIRY_SCAN, {
+      handler: () => processPendingCaptivePreauthExpirations(),
+      everyMs: getCaptivePreauthExpiryScanIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[captive-preauth] expired_pending_scan disabled");
+  }
+
+  if (isDrawSchedulerEnabled()) {
+    defineJob(JOB_NAMES.DRAW_SCHEDULER_TICK, {
+      handler: () => runDrawSchedulerTick(),
+      everyMs: getDrawSchedulerIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[draw-scheduler] disabled");
+  }
+
+  if (isCouponReconcileEnabled()) {
+    defineJob(JOB_NAMES.COUPON_LEDGER_RECONCILE, {
+      handler: () => runCouponReconciliation(),
+      everyMs: getCouponReconcileIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[coupon-reconcile] disabled");
+  }
+
+  if (isCouponBalanceExpiryEnabled()) {
+    defineJob(JOB_NAMES.COUPON_BALANCE_EXPIRY, {
+      handler: () => runCouponBalanceExpiry(),
+      everyMs: getCouponBalanceExpiryIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[balance-expiry] disabled");
+  }
+
+  if (isTrayOrderSyncEnabled()) {
+    defineJob(JOB_NAMES.TRAY_ORDERS_SYNC, {
+      handler: () => syncTrayOrders(),
+      everyMs: getTrayOrderSyncIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[tray.orders] sync disabled");
+  }
+
+  // Lotes de campanhas manuais em massa: enfileirados pelo envio, sem recorrência.
+  defineJob(JOB_NAMES.NOTIFICATION_CAMPAIGN_BATCH, {
+    handler: (payload) => runManualCampaignBatch(payload),
+  }, registry);
+
+  if (isNotificationSchedulerEnabled()) {
+    defineJob(JOB_NAMES.NOTIFICATION_SCHEDULES_TICK, {
+      handler: () => runScheduledCampaignsTick(),
+      everyMs: getNotificationSchedulerIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[notifications.schedules] disabled");
+  }
+
+  if (isNotificationConversionAttributionEnabled()) {
+    defineJob(JOB_NAMES.NOTIFICATION_CONVERSIONS_ATTRIBUTE, {
+      handler: () => attributeNotificationConversions(),
+      everyMs: getNotificationConversionAttributionIntervalMs(),
+      maxAttempts: 3,
+    }, registry);
+  } else {
+    console.log("[notifications.conversions] attribution disabled");
+  }
+}
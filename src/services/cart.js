@@ -0,0 +1,444 @@
+// src/services/cart.js
+// Carrinho com números de sorteios principal, adicional e secundário, pago com um único PIX.
+//
+// - cada sorteio do carrinho é uma reserva normal (reservations.cart_id) com o TTL do carrinho:
+//   a expiração/limpeza de reservas já existente libera os números de carrinhos abandonados
+// - no checkout cada sorteio ganha sua linha em public.payments ('<id MP>:<draw_id>') com o
+//   valor daquele sorteio; o webhook do MP assenta e credita o saldo linha a linha
+//   (ver applyMercadoPagoPaymentStatus em src/routes/payments.js)
+import { v4 as uuid } from "uuid";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { filterDrawNumbers } from "./drawNumbers.js";
+import { expireDrawReservations } from "../routes/additional_draws.js";
+import { waitlistBlockedNumbers } from "./numberWaitlist.js";
+
+export const ACTIVE_CART_STATUSES = Object.freeze(["open", "checkout", "pending_payment"]);
+
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+const FAILED_PAYMENT_STATUSES = ["rejected", "cancelled", "canceled", "expired"];
+const PAYMENT_GRACE_MIN = 10;
+
+export function getCartTtlMinutes() {
+  return Math.max(1, Number(process.env.CART_TTL_MIN || 30));
+}
+
+/** Id da linha de payments de um sorteio do carrinho. */
+export function cartPaymentRowId(providerPaymentId, drawId) {
+  return `${providerPaymentId}:${drawId}`;
+}
+
+function sortedUnique(values) {
+  return Array.from(new Set(values.map(Number))).sort((a, b) => a - b);
+}
+
+// Mesmo preço dos fluxos avulsos: principal usa app_config (getTicketPriceCents), adicional e
+// secundário usam app_config_new do sorteio, com o preço geral como fallback.
+async function drawPriceCents(client, draw) {
+  const { rows } = await client.query(
+    `SELECT (SELECT ticket_price_cents FROM public.app_config_new WHERE id = $1) AS draw_price_cents,
+            (SELECT value FROM public.app_config WHERE key = 'ticket_price_cents') AS ticket_price_cents`,
+    [String(draw.id)]
+  );
+  const drawPrice = Number(rows?.[0]?.draw_price_cents);
+  if (String(draw.draw_type || "principal") !== "principal" && Number.isInteger(drawPrice) && drawPrice > 0) {
+    return drawPrice;
+  }
+  const price = Number(rows?.[0]?.ticket_price_cents ?? process.env.PRICE_CENTS ?? 5500);
+  if (!Number.isInteger(price) || price <= 0) throw coded("invalid_ticket_price");
+  return price;
+}
+
+async function lockActiveCart(client, userId) {
+  const { rows } = await client.query(
+    `SELECT id, user_id, status, expires_at, amount_cents, provider_payment_id,
+            payment_status, qr_code, qr_code_base64,
+            expires_at <= now() AS expired,
+            expires_at + make_interval(mins => $2::int) <= now() AS abandoned
+       FROM public.carts
+      WHERE user_id = $1
+        AND status IN ('open', 'checkout', 'pending_payment')
+      FOR UPDATE`,
+    [userId, PAYMENT_GRACE_MIN]
+  );
+  const cart = rows[0] || null;
+  // Vencido: as reservas expiram pela limpeza normal. Com PIX gerado, espera a carência
+  // do webhook; um pagamento aprovado depois disso ainda assenta (applyCartPaymentStatus).
+  if (cart && ((cart.status === "open" && cart.expired) || cart.abandoned)) {
+    await client.query(
+      `UPDATE public.carts SET status = 'expired', updated_at = now() WHERE id = $1`,
+      [cart.id]
+    );
+    return null;
+  }
+  return cart;
+}
+
+async function lockOrCreateOpenCart(client, userId) {
+  const existing = await lockActiveCart(client, userId);
+  if (existing) {
+    if (existing.status !== "open") throw coded("cart_checkout_in_progress", { cart_id: existing.id });
+    return existing;
+  }
+  const { rows } = await client.query(
+    `INSERT INTO public.carts (user_id, status, expires_at)
+     VALUES ($1, 'open', now() + make_interval(mins => $2::int))
+     RETURNING id, user_id, status, expires_at, amount_cents, provider_payment_id,
+               payment_status, qr_code, qr_code_base64`,
+    [userId, getCartTtlMinutes()]
+  );
+  return rows[0];
+}
+
+async function loadCartItems(client, cartId) {
+  const { rows } = await client.query(
+    `SELECT r.id AS reservation_id, r.draw_id, r.numbers, r.status, r.expires_at, r.payment_id,
+            COALESCE(d.draw_type, 'principal') AS draw_type, d.product_name, d.number_count,
+            d.status AS draw_status
+       FROM public.reservations r
+       JOIN public.draws d ON d.id = r.draw_id
+      WHERE r.cart_id = $1
+        AND lower(COALESCE(r.status, '')) IN ('active', 'paid')
+      ORDER BY (COALESCE(d.draw_type, 'principal') = 'principal') DESC, r.draw_id`,
+    [cartId]
+  );
+  const items = [];
+  for (const row of rows) {
+    const unitCents = await drawPriceCents(client, { id: row.draw_id, draw_type: row.draw_type });
+    const numbers = sortedUnique(row.numbers || []);
+    items.push({
+      reservation_id: row.reservation_id,
+      draw_id: Number(row.draw_id),
+      draw_type: row.draw_type,
+      product_name: row.product_name || null,
+      number_count: row.number_count,
+      draw_status: row.draw_status,
+      reservation_status: row.status,
+      payment_id: row.payment_id || null,
+      numbers,
+      unit_cents: unitCents,
+      amount_cents: unitCents * numbers.length,
+    });
+  }
+  return items;
+}
+
+function cartView(cart, items) {
+  return {
+    id: cart.id,
+    status: cart.status,
+    expires_at: cart.expires_at,
+    payment_id: cart.provider_payment_id || null,
+    payment_status: cart.payment_status || null,
+    qr_code: cart.qr_code || null,
+    qr_code_base64: cart.qr_code_base64 || null,
+    items,
+    numbers_count: items.reduce((sum, item) => sum + item.numbers.length, 0),
+    amount_cents: items.reduce((sum, item) => sum + item.amount_cents, 0),
+  };
+}
+
+export async function getCurrentCart(userId, options = {}) {
+  return withTransaction(options, async (client) => {
+    const cart = await lockActiveCart(client, userId);
+    if (!cart) return null;
+    return cartView(cart, await loadCartItems(client, cart.id));
+  });
+}
+
+export async function getCartForUser(cartId, userId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT id, user_id, status, expires_at, amount_cents, provider_payment_id,
+            payment_status, qr_code, qr_code_base64
+       FROM public.carts
+      WHERE id = $1
+        AND user_id = $2`,
+    [cartId, userId]
+  );
+  const cart = rows?.[0];
+  if (!cart) return null;
+  const runner = { query: (text, params) => runQuery(options.pgClient, text, params) };
+  return cartView(cart, await loadCartItems(runner, cart.id));
+}
+
+/**
+ * Adiciona números de qualquer sorteio aberto ao carrinho do usuário.
+ * Números já no carrinho são ignorados; os demais precisam estar 'available'.
+ */
+export async function addCartItems({ userId, drawId, numbers }, options = {}) {
+  const did = Number(drawId);
+  if (!Number.isInteger(did) || did <= 0) throw coded("invalid_draw_id");
+  if (!Array.isArray(numbers) || !numbers.length) throw coded("no_numbers");
+
+  return withTransaction(options, async (client) => {
+    const cart = await lockOrCreateOpenCart(client, userId);
+
+    const drawRes = await client.query(
+      `SELECT id, status, COALESCE(draw_type, 'principal') AS draw_type, number_count
+         FROM public.draws
+        WHERE id = $1`,
+      [did]
+    );
+    const draw = drawRes.rows[0];
+    if (!draw) throw coded("draw_not_found");
+    if (draw.status !== "open") throw coded("draw_not_open");
+
+    const requested = sortedUnique(numbers);
+    const valid = sortedUnique(filterDrawNumbers(requested, draw.number_count));
+    if (valid.length !== requested.length) throw coded("numbers_invalid");
+
+    await expireDrawReservations(client, did);
+
+    const current = await client.query(
+      `SELECT id, numbers
+         FROM public.reservations
+        WHERE cart_id = $1
+          AND draw_id = $2
+          AND status = 'active'
+        FOR UPDATE`,
+      [cart.id, did]
+    );
+    const reservation = current.rows[0] || null;
+    const inCart = new Set((reservation?.numbers || []).map(Number));
+    const toAdd = valid.filter((n) => !inCart.has(n));
+    if (!toAdd.length) return cartView(cart, await loadCartItems(client, cart.id));
+
+    const locked = await client.query(
+      `SELECT n, status
+         FROM public.numbers
+        WHERE draw_id = $1
+          AND n = ANY($2::int[])
+        FOR UPDATE`,
+      [did, toAdd]
+    );
+    const found = new Set(locked.rows.map((row) => Number(row.n)));
+    const notFound = toAdd.filter((n) => !found.has(n));
+    if (notFound.length) throw coded("numbers_not_found", { numbers: notFound });
+
+    const paid = await client.query(
+      `SELECT DISTINCT unnest(numbers)::int AS n
+         FROM public.payments
+        WHERE draw_id = $1
+          AND lower(status) IN ('approved', 'paid', 'pago')`,
+      [did]
+    );
+    const paidTaken = new Set(paid.rows.map((row) => Number(row.n)));
+    const conflicts = locked.rows
+      .filter((row) => String(row.status).toLowerCase() !== "available" || paidTaken.has(Number(row.n)))
+      .map((row) => Number(row.n));
+    // Lista de espera só existe no principal (services/numberWaitlist.js)
+    if (draw.draw_type === "principal") {
+      const free = toAdd.filter((n) => !conflicts.includes(n));
+      conflicts.push(...await waitlistBlockedNumbers({ drawId: did, numbers: free, userId }, { pgClient: client }));
+    }
+    if (conflicts.length) throw coded("numbers_unavailable", { conflicts });
+
+    let reservationId = reservation?.id;
+    if (reservation) {
+      await client.query(
+        `UPDATE public.reservations SET numbers = $2::int[] WHERE id = $1`,
+        [reservationId, sortedUnique([...inCart, ...toAdd])]
+      );
+    } else {
+      reservationId = uuid();
+      await client.query(
+        `INSERT INTO public.reservations (id, user_id, draw_id, numbers, status, expires_at, cart_id)
+         VALUES ($1, $2, $3, $4::int[], 'active', $5, $6)`,
+        [reservationId, userId, did, toAdd, cart.expires_at, cart.id]
+      );
+    }
+
+    await client.query(
+      `UPDATE public.numbers
+          SET status = 'reserved',
+              reservation_id = $3
+        WHERE draw_id = $1
+          AND n = ANY($2::int[])`,
+      [did, toAdd, reservationId]
+    );
+
+    await client.query(`UPDATE public.carts SET updated_at = now() WHERE id = $1`, [cart.id]);
+    return cartView(cart, await loadCartItems(client, cart.id));
+  });
+}
+
+/** Tira números (ou o sorteio inteiro, sem `numbers`) do carrinho aberto e libera os números. */
+export async function removeCartItems({ userId, drawId, numbers = null }, options = {}) {
+  const did = Number(drawId);
+  if (!Number.isInteger(did) || did <= 0) throw coded("invalid_draw_id");
+
+  return withTransaction(options, async (client) => {
+    const cart = await lockActiveCart(client, userId);
+    if (!cart) throw coded("cart_not_found");
+    if (cart.status !== "open") throw coded("cart_checkout_in_progress", { cart_id: cart.id });
+
+    const current = await client.query(
+      `SELECT id, numbers
+         FROM public.reservations
+        WHERE cart_id = $1
+          AND draw_id = $2
+          AND status = 'active'
+        FOR UPDATE`,
+      [cart.id, did]
+    );
+    const reservation = current.rows[0];
+    if (!reservation) throw coded("cart_item_not_found");
+
+    const held = sortedUnique(reservation.numbers || []);
+    const removing = Array.isArray(numbers) && numbers.length
+      ? held.filter((n) => new Set(numbers.map(Number)).has(n))
+      : held;
+    const remaining = held.filter((n) => !removing.includes(n));
+
+    if (removing.length) {
+      await client.query(
+        `UPDATE public.numbers
+            SET status = 'available',
+                reservation_id = NULL
+          WHERE draw_id = $1
+            AND n = ANY($2::int[])
+            AND reservation_id = $3
+            AND status = 'reserved'`,
+        [did, removing, reservation.id]
+      );
+    }
+    await client.query(
+      `UPDATE public.reservations
+          SET numbers = $2::int[],
+              status = CASE WHEN cardinality($2::int[]) = 0 THEN 'cancelled' ELSE status END
+        WHERE id = $1`,
+      [reservation.id, remaining]
+    );
+
+    await client.query(`UPDATE public.carts SET updated_at = now() WHERE id = $1`, [cart.id]);
+    return cartView(cart, await loadCartItems(client, cart.id));
+  });
+}
+
+/**
+ * 1ª fase do checkout: trava o carrinho em 'checkout' e calcula o total.
+ * Carrinho já com PIX pendente devolve o PIX existente (`existing: true`).
+ * Um checkout interrompido ('checkout') pode ser refeito: o MP deduplica pela idempotency key.
+ */
+export async function beginCartCheckout(userId, options = {}) {
+  return withTransaction(options, async (client) => {
+    const cart = await lockActiveCart(client, userId);
+    if (!cart) throw coded("cart_not_found");
+    const items = await loadCartItems(client, cart.id);
+    if (cart.status === "pending_payment") return { existing: true, cart: cartView(cart, items) };
+    if (!items.length) throw coded("cart_empty");
+
+    const stale = items.filter((item) =>
+      item.reservation_status !== "active" ||
+      item.draw_status !== "open" ||
+      new Date(cart.expires_at).getTime() <= Date.now()
+    );
+    if (stale.length) throw coded("cart_expired", { draw_ids: stale.map((item) => item.draw_id) });
+
+    const view = cartView(cart, items);
+    await client.query(
+      `UPDATE public.carts
+          SET status = 'checkout',
+              amount_cents = $2,
+              checkout_at = COALESCE(checkout_at, now()),
+              updated_at = now()
+        WHERE id = $1`,
+      [cart.id, view.amount_cents]
+    );
+    return { existing: false, cart: { ...view, status: "checkout" } };
+  });
+}
+
+/** Falha ao criar o PIX: o carrinho volta a aceitar alterações. */
+export async function abortCartCheckout(cartId, options = {}) {
+  await runQuery(
+    options.pgClient,
+    `UPDATE public.carts SET status = 'open', updated_at = now() WHERE id = $1 AND status = 'checkout'`,
+    [cartId]
+  );
+}
+
+/**
+ * 2ª fase: grava o PIX do MP no carrinho e cria uma linha de payments por sorteio,
+ * amarrada à reserva daquele sorteio.
+ */
+export async function completeCartCheckout({ cart, userId, providerPaymentId, status, qrCode, qrCodeBase64 }, options = {}) {
+  const mpId = String(providerPaymentId);
+  return withTransaction(options, async (client) => {
+    for (const item of cart.items) {
+      const rowId = cartPaymentRowId(mpId, item.draw_id);
+      await client.query(
+        `INSERT INTO public.payments AS pay
+           (id, user_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64,
+            provider, cart_id, provider_payment_id, created_at)
+         VALUES ($1, $2, $3, $4::int[], $5, $6, $7, $8, 'mercadopago', $9, $10, NOW())
+         ON CONFLICT (id) DO UPDATE
+           SET status = EXCLUDED.status,
+               qr_code = COALESCE(EXCLUDED.qr_code, pay.qr_code),
+               qr_code_base64 = COALESCE(EXCLUDED.qr_code_base64, pay.qr_code_base64)`,
+        [rowId, userId, item.draw_id, item.numbers, item.amount_cents, status, qrCode, qrCodeBase64, cart.id, mpId]
+      );
+      await client.query(
+        `UPDATE public.reservations SET payment_id = $2 WHERE id = $1`,
+        [item.reservation_id, rowId]
+      );
+    }
+    const { rows } = await client.query(
+      `UPDATE public.carts
+          SET status = 'pending_payment',
+              provider = 'mercadopago',
+              provider_payment_id = $2,
+              payment_status = $3,
+              qr_code = $4,
+              qr_code_base64 = $5,
+              updated_at = now()
+        WHERE id = $1
+        RETURNING id, user_id, status, expires_at, amount_cents, provider_payment_id,
+                  payment_status, qr_code, qr_code_base64`,
+      [cart.id, mpId, status, qrCode, qrCodeBase64]
+    );
+    return cartView(rows[0], cart.items);
+  });
+}
+
+/**
+ * Grava o status do pagamento MP em todas as linhas do carrinho.
+ * Retorna null quando o id não é de um carrinho; senão as linhas de payments a assentar.
+ */
+export async function applyCartPaymentStatus(providerPaymentId, status, options = {}) {
+  const mpId = String(providerPaymentId);
+  const normalized = String(status || "").toLowerCase();
+  return withTransaction(options, async (client) => {
+    const cartRes = await client.query(
+      `SELECT id FROM public.carts WHERE provider_payment_id = $1 FOR UPDATE`,
+      [mpId]
+    );
+    const cart = cartRes.rows[0];
+    if (!cart) return null;
+
+    const { rows } = await client.query(
+      `UPDATE public.payments
+          SET status = $2,
+              paid_at = CASE WHEN $2 = 'approved' THEN COALESCE(paid_at, NOW()) ELSE paid_at END
+        WHERE provider_payment_id = $1
+          AND cart_id = $3
+        RETURNING id, draw_id, numbers`,
+      [mpId, normalized, cart.id]
+    );
+
+    const cartStatus = PAID_PAYMENT_STATUSES.includes(normalized)
+      ? "paid"
+      : FAILED_PAYMENT_STATUSES.includes(normalized) ? "failed" : null;
+    await client.query(
+      `UPDATE public.carts
+          SET payment_status = $2,
+              status = COALESCE($3, status),
+              paid_at = CASE WHEN $3 = 'paid' THEN COALESCE(paid_at, now()) ELSE paid_at END,
+              updated_at = now()
+        WHERE id = $1`,
+      [cart.id, normalized, cartStatus]
+    );
+    return { cart_id: cart.id, payments: rows || [] };
+  });
+}
@@ -1,16 +1,8 @@
 // src/services/config.js
 import { query } from "../db.js";
 
-/** Cria a tabela (se não existir) e injeta defaults */
+/** Injeta defaults (a tabela vem da migration 000_base_schema.sql) */
 export async function ensureAppConfig() {
-  await query(`
-    create table if not exists app_config (
-      key text primary key,
-      value text not null,
-      updated_at timestamptz default now()
-    )
-  `);
-
   const defaults = [
     ["ticket_price_cents", String(process.env.PRICE_CENTS ?? "5500")],
     ["max_numbers_per_selection", "5"],
@@ -194,7 +194,8 @@ export async function creditCouponOnApprovedPayment(paymentId, options = {}) {
         numbers,
         draw_id,
         lower(status) AS status_l,
-        coupon_credited
+        coupon_credited,
+        COALESCE(wallet_coupon_cents, 0)::int AS wallet_coupon_cents
       FROM public.payments
       WHERE id = $1::text
       LIMIT 1
@@ -206,12 +207,16 @@ export async function creditCouponOnApprovedPayment(paymentId, options = {}) {
         $2::int4 AS unit_cents,
         COALESCE(pi.amount_cents, 0)::int AS payment_amount_cents,
         (COALESCE(array_length(pi.numbers, 1), 0)::int * $2::int4)::int AS expected_by_current_app_config_cents,
-        (
-          CASE
-            WHEN COALESCE(pi.amount_cents, 0) > 0 THEN COALESCE(pi.amount_cents, 0)
-            WHEN COALESCE(array_length(pi.numbers, 1), 0) > 0 THEN (COALESCE(array_length(pi.numbers, 1), 0) * $2::int4)
-            ELSE 0
-          END
+        -- A parte paga com saldo de cupom (walletPayments.js) não gera crédito novo.
+        GREATEST(
+          (
+            CASE
+              WHEN COALESCE(pi.amount_cents, 0) > 0 THEN COALESCE(pi.amount_cents, 0)
+              WHEN COALESCE(array_length(pi.numbers, 1), 0) > 0 THEN (COALESCE(array_length(pi.numbers, 1), 0) * $2::int4)
+              ELSE 0
+            END
+          ) - pi.wallet_coupon_cents,
+          0
         )::int AS delta_cents
       FROM pi
     ),
@@ -300,6 +305,7 @@ export async function creditCouponOnApprovedPayment(paymentId, options = {}) {
       (SELECT c.payment_amount_cents::int FROM calc c LIMIT 1) AS payment_amount_cents,
       (SELECT c.expected_by_current_app_config_cents::int FROM calc c LIMIT 1) AS expected_by_current_app_config_cents,
       (SELECT c.delta_cents::int FROM calc c LIMIT 1) AS delta_cents,
+      (SELECT c.wallet_coupon_cents::int FROM calc c LIMIT 1) AS wallet_coupon_cents,
       (SELECT COALESCE(EXISTS(
         SELECT 1
         FROM public.coupon_balance_history hh
@@ -321,6 +327,7 @@ export async function creditCouponOnApprovedPayment(paymentId, options = {}) {
     const payment_amount_cents = rows?.[0]?.payment_amount_cents ?? null;
     const expected_by_current_app_config_cents = rows?.[0]?.expected_by_current_app_config_cents ?? null;
     const delta_cents = rows?.[0]?.delta_cents ?? null;
+    const wallet_coupon_cents = Number(rows?.[0]?.wallet_coupon_cents || 0);
     const already_in_ledger = !!rows?.[0]?.already_in_ledger;
     const already_credited = !!rows?.[0]?.already_credited;
 
@@ -337,6 +344,9 @@ export async function creditCouponOnApprovedPayment(paymentId, options = {}) {
     } else if (!isFinal) {
       action = "noop";
       reason = "not_final";
+    } else if (invalidAmount && wallet_coupon_cents > 0) {
+      action = "noop";
+      reason = "paid_with_coupon_balance";
     } else if (invalidAmount) {
       action = "invalid_amount";
       reason = noNumbers ? "no_numbers" : "zero_delta";
@@ -0,0 +1,532 @@
+// src/services/couponBalanceExpiry.js
+// Vencimento do saldo de cupom por lotes (public.coupon_balance_lots, migration 038).
+//
+// - Os lotes seguem o ledger: cada linha nova de coupon_balance_history (lot_applied_at IS NULL)
+//   é aplicada em ordem. Crédito abre um lote (vence em credited_at + validity_months das regras do
+//   cupom ativas, ver trayCouponRules.js); débito consome os lotes em FIFO (vencimento mais próximo
+//   primeiro). Devolução de débito com saldo (CREDIT_WALLET_RELEASE / CREDIT_WALLET_REFUND) volta
+//   para os mesmos lotes de onde saiu, sem ganhar validade nova.
+// - No vencimento, o que sobrou do lote vira 'EXPIRED' no ledger, sai de users.coupon_value_cents
+//   e o cupom da Tray é atualizado.
+// - Avisos BALANCE_EXPIRING_{30,15,10,7}_DAYS / BALANCE_EXPIRED (push + WhatsApp + e-mail) saem
+//   dos lotes reais.
+// - Nada vence sem COUPON_BALANCE_EXPIRY_EFFECTIVE_FROM; lotes que venceriam antes disso + 30 dias
+//   vencem nessa data (saldo antigo recebe o aviso de 30 dias antes de vencer).
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { handleAutomaticEmailEvent } from "./notifications/automaticEmailNotifications.js";
+import { handlePushAutomationEvent } from "./notifications/pushAutomationEvents.js";
+import { ensureTrayCouponForUser } from "./trayCouponEnsure.js";
+import { addMonthsClamped, getActiveCouponRules } from "./trayCouponRules.js";
+
+export const EXPIRY_THRESHOLD_DAYS = Object.freeze([7, 10, 15, 30]);
+export const BALANCE_EXPIRED_EVENT_TYPE = "EXPIRED";
+
+const WALLET_DEBIT_EVENT_TYPE = "DEBIT_WALLET_PAYMENT";
+const RESTORE_EVENT_TYPES = new Set(["CREDIT_WALLET_RELEASE", "CREDIT_WALLET_REFUND"]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYNC_BATCH_SIZE = 200;
+const SYNC_MAX_ROWS_PER_RUN = 5000;
+const EXPIRE_BATCH_SIZE = 500;
+const EFFECTIVE_FROM_ENV = "COUPON_BALANCE_EXPIRY_EFFECTIVE_FROM";
+
+let warnedEffectiveFrom = null;
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isCouponBalanceExpiryEnabled() {
+  return envBool("COUPON_BALANCE_EXPIRY_ENABLED", true);
+}
+
+export function getCouponBalanceExpiryIntervalMs() {
+  return toPositiveInt(process.env.COUPON_BALANCE_EXPIRY_INTERVAL_MS) || 60 * 60 * 1000;
+}
+
+/**
+ * Início do vencimento (ISO com fuso). Sem valor válido os lotes são mantidos, mas nada vence.
+ */
+export function resolveExpiryEffectiveFrom(value = process.env[EFFECTIVE_FROM_ENV]) {
+  const raw = value instanceof Date ? value.toISOString() : String(value || "").trim();
+  const valid = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(raw) && Number.isFinite(Date.parse(raw));
+  if (valid) return new Date(Date.parse(raw));
+  if (warnedEffectiveFrom !== raw) {
+    warnedEffectiveFrom = raw;
+    console.warn("[balance-expiry] effective_from_missing_or_invalid -> expiry disabled", {
+      config: EFFECTIVE_FROM_ENV,
+      configured: Boolean(raw),
+    });
+  }
+  return null;
+}
+
+/** Data mínima de vencimento: EFFECTIVE_FROM + maior aviso (30 dias). */
+export function expiryFloor(effectiveFrom) {
+  const maxThreshold = EXPIRY_THRESHOLD_DAYS[EXPIRY_THRESHOLD_DAYS.length - 1];
+  return new Date(effectiveFrom.getTime() + maxThreshold * DAY_MS);
+}
+
+export function lotExpiresAt(creditedAt, validityMonths) {
+  return addMonthsClamped(new Date(creditedAt), validityMonths);
+}
+
+/** Menor aviso (7/10/15/30) que cobre `daysLeft`, ou null fora da janela. */
+export function expiringThreshold(daysLeft) {
+  if (!Number.isFinite(daysLeft) || daysLeft < 0) return null;
+  return EXPIRY_THRESHOLD_DAYS.find((days) => daysLeft <= days) ?? null;
+}
+
+/**
+ * Distribui `amountCents` pelos itens na ordem dada, até `field` de cada um.
+ * Retorna { allocations: [{ lot_id, cents }], unmatched_cents }.
+ */
+export function allocateAcrossLots(items, amountCents, field = "remaining_cents") {
+  let left = Math.max(0, Math.trunc(Number(amountCents) || 0));
+  const allocations = [];
+  for (const item of items) {
+    if (left <= 0) break;
+    const available = Math.max(0, Number(item[field]) || 0);
+    if (!available) continue;
+    const cents = Math.min(available, left);
+    allocations.push({ lot_id: item.id ?? item.lot_id, cents });
+    left -= cents;
+  }
+  return { allocations, unmatched_cents: left };
+}
+
+// ---------------------------------------------------------------------------
+// Ledger -> lotes
+// ---------------------------------------------------------------------------
+
+async function insertMovement(client, { lotId, historyId, paymentId, kind, deltaCents }) {
+  await client.query(
+    `INSERT INTO public.coupon_balance_lot_movements (lot_id, history_id, payment_id, kind, delta_cents)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [lotId, historyId, paymentId, kind, deltaCents]
+  );
+}
+
+async function restoreWalletDebit(client, row, amountCents) {
+  // Quanto cada lote ainda pode receber de volta deste pagamento (consumido pelo débito com saldo
+  // menos o que já foi devolvido). Devolve na ordem inversa do consumo.
+  const { rows } = await client.query(
+    `SELECT m.lot_id,
+            (COALESCE(SUM(-m.delta_cents) FILTER (WHERE m.kind = 'consume' AND h.event_type = $3), 0)
+             - COALESCE(SUM(m.delta_cents) FILTER (WHERE m.kind = 'restore'), 0))::int AS restorable_cents
+       FROM public.coupon_balance_lot_movements m
+       JOIN public.coupon_balance_lots l ON l.id = m.lot_id
+       LEFT JOIN public.coupon_balance_history h ON h.id = m.history_id
+      WHERE m.payment_id = $1
+        AND l.user_id = $2
+      GROUP BY m.lot_id, l.expires_at, l.credited_at
+      ORDER BY l.expires_at DESC, l.credited_at DESC`,
+    [row.payment_id, row.user_id, WALLET_DEBIT_EVENT_TYPE]
+  );
+  const plan = allocateAcrossLots(rows || [], amountCents, "restorable_cents");
+  for (const { lot_id: lotId, cents } of plan.allocations) {
+    await client.query(
+      `UPDATE public.coupon_balance_lots
+          SET remaining_cents = remaining_cents + $2,
+              status = 'open',
+              updated_at = now()
+        WHERE id = $1`,
+      [lotId, cents]
+    );
+    await insertMovement(client, { lotId, historyId: row.id, paymentId: row.payment_id, kind: "restore", deltaCents: cents });
+  }
+  return plan.unmatched_cents;
+}
+
+async function openLot(client, row, amountCents, validityMonths) {
+  const creditedAt = new Date(row.occurred_at);
+  const { rows } = await client.query(
+    `INSERT INTO public.coupon_balance_lots
+       (user_id, source_history_id, payment_id, amount_cents, remaining_cents, credited_at, expires_at, validity_months)
+     VALUES ($1, $2, $3, $4, $4, $5, $6, $7)
+     ON CONFLICT (source_history_id) DO NOTHING
+     RETURNING id`,
+    [row.user_id, row.id, row.payment_id, amountCents, creditedAt.toISOString(), lotExpiresAt(creditedAt, validityMonths).toISOString(), validityMonths]
+  );
+  const lotId = rows?.[0]?.id;
+  if (lotId) await insertMovement(client, { lotId, historyId: row.id, paymentId: row.payment_id, kind: "credit", deltaCents: amountCents });
+  return lotId || null;
+}
+
+async function consumeLots(client, row, amountCents) {
+  const { rows } = await client.query(
+    `SELECT id, remaining_cents
+       FROM public.coupon_balance_lots
+      WHERE user_id = $1
+        AND remaining_cents > 0
+      ORDER BY expires_at ASC, credited_at ASC, id ASC
+      FOR UPDATE`,
+    [row.user_id]
+  );
+  const plan = allocateAcrossLots(rows || [], amountCents);
+  for (const { lot_id: lotId, cents } of plan.allocations) {
+    await client.query(
+      `UPDATE public.coupon_balance_lots
+          SET remaining_cents = remaining_cents - $2,
+              status = CASE WHEN remaining_cents - $2 = 0 THEN 'consumed' ELSE status END,
+              updated_at = now()
+        WHERE id = $1`,
+      [lotId, cents]
+    );
+    await insertMovement(client, { lotId, historyId: row.id, paymentId: row.payment_id, kind: "consume", deltaCents: -cents });
+  }
+  return plan.unmatched_cents;
+}
+
+/**
+ * Aplica uma linha do ledger nos lotes (já travada pelo chamador) e marca lot_applied_at.
+ */
+export async function applyLedgerRowToLots(client, row, { validityMonths }) {
+  const delta = Number(row.delta_cents) || 0;
+  let unmatched = 0;
+
+  if (delta > 0) {
+    let toOpen = delta;
+    if (RESTORE_EVENT_TYPES.has(row.event_type) && row.payment_id) {
+      toOpen = await restoreWalletDebit(client, row, delta);
+    }
+    if (toOpen > 0) await openLot(client, row, toOpen, validityMonths);
+  } else if (delta < 0) {
+    unmatched = await consumeLots(client, row, -delta);
+    // Débito maior que os lotes abertos: saldo anterior ao ledger ou divergência (ver couponReconciliation.js).
+    if (unmatched > 0) {
+      console.warn("[balance-expiry] debit_without_lots", { user_id: row.user_id, history_id: row.id, unmatched_cents: unmatched });
+    }
+  }
+
+  await client.query(
+    `UPDATE public.coupon_balance_history
+        SET lot_applied_at = now()
+      WHERE id = $1`,
+    [row.id]
+  );
+  return { delta_cents: delta, unmatched_cents: unmatched };
+}
+
+/** Aplica nos lotes as linhas do ledger ainda pendentes, na ordem em que entraram. */
+export async function syncLotsFromLedger({ maxRows = SYNC_MAX_ROWS_PER_RUN } = {}, options = {}) {
+  const { rules } = await getActiveCouponRules({ pgClient: options.pgClient });
+  let applied = 0;
+  let unmatched = 0;
+
+  while (applied < maxRows) {
+    const { rows: pending } = await runQuery(
+      options.pgClient,
+      `SELECT id
+         FROM public.coupon_balance_history
+        WHERE lot_applied_at IS NULL
+        ORDER BY created_at ASC, id ASC
+        LIMIT $1`,
+      [Math.min(SYNC_BATCH_SIZE, maxRows - applied)]
+    );
+    if (!pending?.length) break;
+
+    let progressed = 0;
+    for (const { id } of pending) {
+      const result = await withTransaction(options, async (client) => {
+        const { rows } = await client.query(
+          `SELECT id, user_id, payment_id, delta_cents, event_type,
+                  COALESCE(event_occurred_at, created_at) AS occurred_at
+             FROM public.coupon_balance_history
+            WHERE id = $1
+              AND lot_applied_at IS NULL
+            FOR UPDATE SKIP LOCKED`,
+          [id]
+        );
+        if (!rows?.[0]) return null;
+        return applyLedgerRowToLots(client, rows[0], { validityMonths: rules.validity_months });
+      });
+      if (!result) continue;
+      progressed += 1;
+      unmatched += result.unmatched_cents;
+    }
+    applied += progressed;
+    if (!progressed) break;
+  }
+
+  return { applied, unmatched_cents: unmatched };
+}
+
+// ---------------------------------------------------------------------------
+// Vencimento e avisos
+// ---------------------------------------------------------------------------
+
+async function expireUserLots(client, userId, { now, floor }) {
+  const { rows: users } = await client.query(
+    `SELECT COALESCE(coupon_value_cents, 0)::int AS balance_cents
+       FROM public.users
+      WHERE id = $1
+      FOR UPDATE`,
+    [userId]
+  );
+  if (!users?.[0]) return null;
+  let balance = Number(users[0].balance_cents);
+  const balanceBefore = balance;
+
+  const { rows: lots } = await client.query(
+    `SELECT id, amount_cents, remaining_cents, credited_at, expires_at,
+            GREATEST(expires_at, $2::timestamptz) AS effective_expires_at
+       FROM public.coupon_balance_lots
+      WHERE user_id = $1
+        AND remaining_cents > 0
+        AND GREATEST(expires_at, $2::timestamptz) <= $3::timestamptz
+      ORDER BY expires_at ASC, credited_at ASC, id ASC
+      FOR UPDATE`,
+    [userId, floor.toISOString(), now.toISOString()]
+  );
+
+  let expired = 0;
+  const expiredLots = [];
+  for (const lot of lots || []) {
+    const remaining = Number(lot.remaining_cents);
+    // Nunca deixa o saldo negativo (ledger e saldo divergentes: o que faltar é só zerado no lote).
+    const amount = Math.min(remaining, Math.max(balance, 0));
+    let historyId = null;
+    if (amount > 0) {
+      const inserted = await client.query(
+        `INSERT INTO public.coupon_balance_history
+           (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+            event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at, lot_applied_at)
+         VALUES ($1, NULL, $2, $3, $4, $5, 'EXPIRY', 'approved', NULL, NULL, $6, $7::jsonb, $8, now())
+         RETURNING id`,
+        [
+          userId,
+          -amount,
+          balance,
+          balance - amount,
+          BALANCE_EXPIRED_EVENT_TYPE,
+          `balance_expiry:${lot.id}`,
+          JSON.stringify({
+            source: "balance_expiry",
+            lot_id: lot.id,
+            lot_amount_cents: Number(lot.amount_cents),
+            credited_at: lot.credited_at,
+            expires_at: lot.effective_expires_at,
+          }),
+          now.toISOString(),
+        ]
+      );
+      historyId = inserted.rows?.[0]?.id ?? null;
+      balance -= amount;
+      expired += amount;
+    }
+
+    await client.query(
+      `UPDATE public.coupon_balance_lots
+          SET remaining_cents = 0,
+              status = 'expired',
+              expired_at = now(),
+              expired_history_id = $2,
+              updated_at = now()
+        WHERE id = $1`,
+      [lot.id, historyId]
+    );
+    await insertMovement(client, { lotId: lot.id, historyId, paymentId: null, kind: "expire", deltaCents: -remaining });
+    expiredLots.push({ lot_id: lot.id, expired_cents: amount, expires_at: lot.effective_expires_at });
+  }
+
+  if (expired > 0) {
+    await client.query(
+      `UPDATE public.users
+          SET coupon_value_cents = $2,
+              coupon_updated_at = now()
+        WHERE id = $1`,
+      [userId, balance]
+    );
+  }
+
+  return { user_id: userId, expired_cents: expired, balance_before_cents: balanceBefore, balance_after_cents: balance, lots: expiredLots };
+}
+
+/** Vence os lotes com vencimento <= now (respeitando o piso de EFFECTIVE_FROM). */
+export async function expireDueLots({ now = new Date(), effectiveFrom, notify = emitBalanceExpiryEvent } = {}, options = {}) {
+  const floor = expiryFloor(effectiveFrom);
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT DISTINCT user_id
+       FROM public.coupon_balance_lots
+      WHERE remaining_cents > 0
+        AND GREATEST(expires_at, $1::timestamptz) <= $2::timestamptz
+      LIMIT $3`,
+    [floor.toISOString(), now.toISOString(), EXPIRE_BATCH_SIZE]
+  );
+
+  const results = [];
+  for (const { user_id: userId } of rows || []) {
+    const result = await withTransaction(options, (client) => expireUserLots(client, Number(userId), { now, floor }));
+    if (!result?.lots.length) continue;
+    results.push(result);
+    if (result.expired_cents <= 0) continue;
+
+    if (!options.pgClient) ensureTrayCouponForUser(result.user_id).catch(() => {});
+    await notify({
+      eventKey: "BALANCE_EXPIRED",
+      userId: result.user_id,
+      referenceKey: `balance_expired:${result.user_id}:${result.lots[0].lot_id}`,
+      occurredAt: now.toISOString(),
+      metadata: {
+        user_id: result.user_id,
+        balance_cents: result.expired_cents,
+        expired_cents: result.expired_cents,
+        remaining_balance_cents: result.balance_after_cents,
+      },
+    });
+  }
+
+  return {
+    users: results.length,
+    lots: results.reduce((acc, r) => acc + r.lots.length, 0),
+    expired_cents: results.reduce((acc, r) => acc + r.expired_cents, 0),
+  };
+}
+
+/**
+ * Avisos de saldo vencendo: por usuário e faixa (30/15/10/7 dias), só quando o lote entra numa faixa
+ * menor que a já avisada (coupon_balance_lots.notified_threshold_days).
+ */
+export async function notifyExpiringLots({ now = new Date(), effectiveFrom, notify = emitBalanceExpiryEvent } = {}, options = {}) {
+  const floor = expiryFloor(effectiveFrom);
+  const maxThreshold = EXPIRY_THRESHOLD_DAYS[EXPIRY_THRESHOLD_DAYS.length - 1];
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT id, user_id, remaining_cents, notified_threshold_days,
+            GREATEST(expires_at, $1::timestamptz) AS effective_expires_at
+       FROM public.coupon_balance_lots
+      WHERE remaining_cents > 0
+        AND GREATEST(expires_at, $1::timestamptz) > $2::timestamptz
+        AND GREATEST(expires_at, $1::timestamptz) <= $3::timestamptz
+      ORDER BY user_id, expires_at`,
+    [floor.toISOString(), now.toISOString(), new Date(now.getTime() + maxThreshold * DAY_MS).toISOString()]
+  );
+
+  const groups = new Map();
+  for (const lot of rows || []) {
+    const expiresAt = new Date(lot.effective_expires_at);
+    const daysLeft = Math.ceil((expiresAt.getTime() - now.getTime()) / DAY_MS);
+    const threshold = expiringThreshold(daysLeft);
+    if (!threshold) continue;
+    if (lot.notified_threshold_days != null && Number(lot.notified_threshold_days) <= threshold) continue;
+
+    const key = `${lot.user_id}:${threshold}`;
+    const group = groups.get(key) || { userId: Number(lot.user_id), threshold, cents: 0, expiresAt, lotIds: [] };
+    group.cents += Number(lot.remaining_cents);
+    if (expiresAt < group.expiresAt) group.expiresAt = expiresAt;
+    group.lotIds.push(lot.id);
+    groups.set(key, group);
+  }
+
+  let notified = 0;
+  for (const group of groups.values()) {
+    const expiresDate = group.expiresAt.toISOString().slice(0, 10);
+    await notify({
+      eventKey: `BALANCE_EXPIRING_${group.threshold}_DAYS`,
+      userId: group.userId,
+      referenceKey: `balance_expiring:${group.userId}:${expiresDate}:${group.threshold}`,
+      occurredAt: now.toISOString(),
+      metadata: {
+        user_id: group.userId,
+        balance_cents: group.cents,
+        expires_at: group.expiresAt.toISOString(),
+        expires_date: expiresDate,
+        days: group.threshold,
+      },
+    });
+    await runQuery(
+      options.pgClient,
+      `UPDATE public.coupon_balance_lots
+          SET notified_threshold_days = $2,
+              updated_at = now()
+        WHERE id = ANY($1::uuid[])`,
+      [group.lotIds, group.threshold]
+    );
+    notified += 1;
+  }
+
+  return { notices: notified };
+}
+
+/**
+ * Dispara o evento de saldo nos canais automáticos (best-effort: falha de envio não desfaz o vencimento).
+ */
+export async function emitBalanceExpiryEvent({ eventKey, userId, referenceKey, occurredAt, metadata }) {
+  if (process.env.PUSH_ALLOW_ENGINE_EVENTS === "true") {
+    try {
+      await handlePushAutomationEvent({
+        eventKey,
+        source: "balance_expiry",
+        referenceType: "coupon_balance",
+        referenceKey,
+        occurredAt,
+        metadata,
+        recipientUserIds: [userId],
+        actor: { type: "balance_expiry" },
+        dryRun: process.env.PUSH_ENGINE_DRY_RUN !== "false",
+      });
+    } catch (error) {
+      console.warn("[balance-expiry] push automation event skipped", { user_id: userId, event_key: eventKey, code: error?.code || null });
+    }
+  }
+  try {
+    await handleAutomaticEmailEvent({
+      eventKey,
+      referenceType: "coupon_balance",
+      referenceKey: `${referenceKey}:email`,
+      metadata,
+      occurredAt,
+    });
+  } catch (error) {
+    console.warn("[balance-expiry] email automation skipped", { user_id: userId, event_key: eventKey, code: error?.code || null });
+  }
+}
+
+/** Execução do job: lotes em dia com o ledger, vencimentos e avisos. */
+export async function runCouponBalanceExpiry({ now = new Date(), notify } = {}, options = {}) {
+  const sync = await syncLotsFromLedger({}, options);
+  const effectiveFrom = resolveExpiryEffectiveFrom();
+  if (!effectiveFrom) return { ok: true, sync, expiry: "disabled" };
+
+  const expired = await expireDueLots({ now, effectiveFrom, notify }, options);
+  const notices = await notifyExpiringLots({ now, effectiveFrom, notify }, options);
+  if (sync.applied || expired.lots || notices.notices) {
+    console.log("[balance-expiry] run", { sync, expired, notices });
+  }
+  return { ok: true, sync, expired, notices };
+}
+
+/** Lotes abertos do usuário (próximos vencimentos), para a área do cliente e o admin. */
+export async function listOpenLots(userId, options = {}) {
+  const uid = toPositiveInt(userId);
+  if (!uid) throw coded("invalid_user_id");
+  const effectiveFrom = resolveExpiryEffectiveFrom();
+  const floor = effectiveFrom ? expiryFloor(effectiveFrom) : null;
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT id, amount_cents, remaining_cents, credited_at, expires_at, payment_id
+       FROM public.coupon_balance_lots
+      WHERE user_id = $1
+        AND remaining_cents > 0
+      ORDER BY expires_at ASC, credited_at ASC`,
+    [uid]
+  );
+  return (rows || []).map((lot) => ({
+    id: lot.id,
+    amount_cents: Number(lot.amount_cents),
+    remaining_cents: Number(lot.remaining_cents),
+    credited_at: lot.credited_at,
+    payment_id: lot.payment_id ?? null,
+    expires_at: floor && new Date(lot.expires_at) < floor ? floor.toISOString() : lot.expires_at,
+    expiry_enforced: Boolean(floor),
+  }));
+}
@@ -0,0 +1,540 @@
+// src/services/couponReconciliation.js
+// Reconciliação do saldo de cupom: as mesmas verificações de scripts/sql/audit_*.sql, rodando
+// periodicamente (job 'coupon_ledger_reconcile') e gravando as divergências em
+// public.coupon_reconciliation_discrepancies.
+//
+// - user_balance_vs_ledger: users.coupon_value_cents <> SUM(coupon_balance_history.delta_cents)
+// - payment_missing_credit: pagamento aprovado sem nenhum lançamento de crédito
+// - payment_credit_mismatch: crédito lançado <> valor esperado (amount_cents - parte paga com saldo de cupom)
+// - paid_reservation_without_payment: só informativa (não há lançamento a compensar)
+//
+// O reparo é sempre um lançamento compensatório no ledger (channel 'REPAIR'), com o admin e o motivo
+// em meta. Divergência que some numa varredura é marcada 'resolved'; 'ignored' só volta a abrir se
+// a diferença mudar.
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { ensureTrayCouponForUser } from "./trayCouponEnsure.js";
+
+export const DISCREPANCY_KINDS = Object.freeze({
+  USER_BALANCE_VS_LEDGER: "user_balance_vs_ledger",
+  PAYMENT_MISSING_CREDIT: "payment_missing_credit",
+  PAYMENT_CREDIT_MISMATCH: "payment_credit_mismatch",
+  PAID_RESERVATION_WITHOUT_PAYMENT: "paid_reservation_without_payment",
+});
+
+export const DISCREPANCY_STATUSES = Object.freeze(["open", "repaired", "ignored", "resolved"]);
+
+const REPAIRABLE_KINDS = new Set([
+  DISCREPANCY_KINDS.USER_BALANCE_VS_LEDGER,
+  DISCREPANCY_KINDS.PAYMENT_MISSING_CREDIT,
+  DISCREPANCY_KINDS.PAYMENT_CREDIT_MISMATCH,
+]);
+
+// Lançamentos que contam como crédito de um pagamento (mesma lista de audit_payment_credit_vs_amount.sql).
+export const PAYMENT_CREDIT_EVENT_TYPES = Object.freeze([
+  "CREDIT_PURCHASE",
+  "CREDIT_PURCHASE_RECONCILE_PAYMENT_AMOUNT",
+  "CREDIT_PURCHASE_ADJUSTMENT_PAYMENT_AMOUNT",
+  "CREDIT_PURCHASE_RECONCILIATION",
+]);
+
+export const RECONCILIATION_EVENT_TYPES = Object.freeze({
+  USER_BALANCE: "LEDGER_RECONCILIATION_ADJUSTMENT",
+  PAYMENT_MISSING_CREDIT: "CREDIT_PURCHASE_RECONCILIATION",
+  PAYMENT_CREDIT_MISMATCH: "CREDIT_PURCHASE_RECONCILE_PAYMENT_AMOUNT",
+});
+
+const MAX_REASON_LENGTH = 500;
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isCouponReconcileEnabled() {
+  return envBool("COUPON_RECONCILE_ENABLED", true);
+}
+
+export function getCouponReconcileIntervalMs() {
+  return toPositiveInt(process.env.COUPON_RECONCILE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+}
+
+export function isRepairableKind(kind) {
+  return REPAIRABLE_KINDS.has(kind);
+}
+
+function normalizeReason(reason) {
+  const text = String(reason ?? "").trim();
+  if (!text) throw coded("reason_required");
+  return text.slice(0, MAX_REASON_LENGTH);
+}
+
+function normalizeAdminId(adminUserId) {
+  const id = toPositiveInt(adminUserId);
+  if (!id) throw coded("admin_required");
+  return id;
+}
+
+// ---------------------------------------------------------------------------
+// Verificações
+// ---------------------------------------------------------------------------
+
+const USER_BALANCE_SQL = `
+  WITH ledger_by_user AS (
+    SELECT h.user_id, COALESCE(SUM(h.delta_cents), 0)::int AS ledger_balance_cents
+      FROM public.coupon_balance_history h
+     WHERE ($1::int IS NULL OR h.user_id = $1::int)
+     GROUP BY h.user_id
+  )
+  SELECT u.id AS user_id,
+         COALESCE(u.coupon_value_cents, 0)::int AS user_balance_cents,
+         COALESCE(l.ledger_balance_cents, 0)::int AS ledger_balance_cents
+    FROM public.users u
+    LEFT JOIN ledger_by_user l ON l.user_id = u.id
+   WHERE ($1::int IS NULL OR u.id = $1::int)
+     AND COALESCE(u.coupon_value_cents, 0)::int <> COALESCE(l.ledger_balance_cents, 0)::int
+   ORDER BY u.id`;
+
+// Crédito esperado = o que creditCouponOnApprovedPayment lança: amount_cents menos a parte paga
+// com saldo de cupom (walletPayments.js).
+const PAYMENT_CREDIT_SQL = `
+  WITH pay AS (
+    SELECT p.id AS payment_id,
+           p.user_id,
+           p.draw_id,
+           p.provider,
+           lower(p.status) AS payment_status,
+           COALESCE(p.amount_cents, 0)::int AS amount_cents,
+           COALESCE(p.wallet_coupon_cents, 0)::int AS wallet_coupon_cents,
+           COALESCE(array_length(p.numbers, 1), 0)::int AS qty,
+           GREATEST(COALESCE(p.amount_cents, 0) - COALESCE(p.wallet_coupon_cents, 0), 0)::int AS expected_cents
+      FROM public.payments p
+     WHERE lower(p.status) IN ('approved','paid','pago')
+       AND COALESCE(p.amount_cents, 0) > 0
+       AND COALESCE(lower(p.provider), '') <> 'admin_assign_no_coupon'
+       AND COALESCE((to_jsonb(p)->'meta'->>'no_coupon_credit')::boolean, false) = false
+       AND COALESCE((to_jsonb(p)->'payload'->>'no_coupon_credit')::boolean, false) = false
+       AND COALESCE((to_jsonb(p)->'vindi_payload_json'->>'no_coupon_credit')::boolean, false) = false
+       AND ($1::text IS NULL OR p.id = $1::text)
+  ),
+  ledger AS (
+    SELECT h.payment_id,
+           COALESCE(SUM(h.delta_cents), 0)::int AS credited_cents,
+           COUNT(*)::int AS ledger_rows
+      FROM public.coupon_balance_history h
+      JOIN pay ON pay.payment_id = h.payment_id
+     WHERE h.event_type = ANY($2::text[])
+     GROUP BY h.payment_id
+  )
+  SELECT pay.*,
+         COALESCE(l.credited_cents, 0)::int AS credited_cents,
+         COALESCE(l.ledger_rows, 0)::int AS ledger_rows
+    FROM pay
+    LEFT JOIN ledger l ON l.payment_id = pay.payment_id
+   WHERE COALESCE(l.credited_cents, 0) <> pay.expected_cents
+   ORDER BY pay.payment_id`;
+
+const PAID_RESERVATIONS_SQL = `
+  SELECT r.id AS reservation_id,
+         r.user_id,
+         r.draw_id,
+         COALESCE(array_length(r.numbers, 1), 0)::int AS qty,
+         r.created_at
+    FROM public.reservations r
+   WHERE lower(COALESCE(r.status, '')) = 'paid'
+     AND r.payment_id IS NULL
+   ORDER BY r.created_at DESC, r.id DESC`;
+
+function userBalanceFinding(row) {
+  const user = Number(row.user_balance_cents);
+  const ledger = Number(row.ledger_balance_cents);
+  return {
+    kind: DISCREPANCY_KINDS.USER_BALANCE_VS_LEDGER,
+    subject_key: `user:${row.user_id}`,
+    user_id: Number(row.user_id),
+    payment_id: null,
+    reservation_id: null,
+    expected_cents: user,
+    actual_cents: ledger,
+    diff_cents: user - ledger,
+    details: { user_balance_cents: user, ledger_balance_cents: ledger },
+  };
+}
+
+function paymentFinding(row) {
+  const expected = Number(row.expected_cents);
+  const credited = Number(row.credited_cents);
+  const missing = Number(row.ledger_rows) === 0;
+  return {
+    kind: missing ? DISCREPANCY_KINDS.PAYMENT_MISSING_CREDIT : DISCREPANCY_KINDS.PAYMENT_CREDIT_MISMATCH,
+    subject_key: `payment:${row.payment_id}`,
+    user_id: row.user_id != null ? Number(row.user_id) : null,
+    payment_id: String(row.payment_id),
+    reservation_id: null,
+    expected_cents: expected,
+    actual_cents: credited,
+    diff_cents: expected - credited,
+    details: {
+      provider: row.provider ?? null,
+      payment_status: row.payment_status ?? null,
+      draw_id: row.draw_id ?? null,
+      amount_cents: Number(row.amount_cents),
+      wallet_coupon_cents: Number(row.wallet_coupon_cents),
+      qty: Number(row.qty),
+      ledger_rows: Number(row.ledger_rows),
+    },
+  };
+}
+
+function paidReservationFinding(row) {
+  return {
+    kind: DISCREPANCY_KINDS.PAID_RESERVATION_WITHOUT_PAYMENT,
+    subject_key: `reservation:${row.reservation_id}`,
+    user_id: row.user_id != null ? Number(row.user_id) : null,
+    payment_id: null,
+    reservation_id: String(row.reservation_id),
+    expected_cents: null,
+    actual_cents: null,
+    diff_cents: null,
+    details: { draw_id: row.draw_id ?? null, qty: Number(row.qty), reserved_at: row.created_at ?? null },
+  };
+}
+
+/**
+ * Roda todas as verificações e devolve as divergências encontradas (sem gravar).
+ */
+export async function collectDiscrepancies(options = {}) {
+  const { pgClient } = options;
+  const users = await runQuery(pgClient, USER_BALANCE_SQL, [null]);
+  const payments = await runQuery(pgClient, PAYMENT_CREDIT_SQL, [null, PAYMENT_CREDIT_EVENT_TYPES]);
+  const reservations = await runQuery(pgClient, PAID_RESERVATIONS_SQL, []);
+  return [
+    ...(users.rows || []).map(userBalanceFinding),
+    ...(payments.rows || []).map(paymentFinding),
+    ...(reservations.rows || []).map(paidReservationFinding),
+  ];
+}
+
+/**
+ * Varredura completa: grava/atualiza as divergências abertas e marca como 'resolved' as abertas que
+ * não apareceram mais. Tudo numa transação (now() fixo = marcador da varredura).
+ */
+export async function runCouponReconciliation(options = {}) {
+  const summary = await withTransaction(options, async (client) => {
+    const findings = await collectDiscrepancies({ pgClient: client });
+    const counts = { found: findings.length, opened: 0, still_open: 0, ignored: 0, resolved: 0 };
+    const byKind = {};
+
+    for (const finding of findings) {
+      byKind[finding.kind] = (byKind[finding.kind] || 0) + 1;
+      const { rows } = await client.query(
+        `INSERT INTO public.coupon_reconciliation_discrepancies
+           (kind, subject_key, user_id, payment_id, reservation_id, expected_cents, actual_cents, diff_cents, details)
+         SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb
+          WHERE NOT EXISTS (
+            SELECT 1
+              FROM public.coupon_reconciliation_discrepancies d
+             WHERE d.kind = $1
+               AND d.subject_key = $2
+               AND d.status = 'ignored'
+               AND d.diff_cents IS NOT DISTINCT FROM $8::int
+          )
+         ON CONFLICT (kind, subject_key) WHERE status = 'open'
+         DO UPDATE SET user_id = EXCLUDED.user_id,
+                       expected_cents = EXCLUDED.expected_cents,
+                       actual_cents = EXCLUDED.actual_cents,
+                       diff_cents = EXCLUDED.diff_cents,
+                       details = EXCLUDED.details,
+                       last_seen_at = now()
+         RETURNING id, (xmax = 0) AS inserted`,
+        [
+          finding.kind,
+          finding.subject_key,
+          finding.user_id,
+          finding.payment_id,
+          finding.reservation_id,
+          finding.expected_cents,
+          finding.actual_cents,
+          finding.diff_cents,
+          JSON.stringify(finding.details || {}),
+        ]
+      );
+      const row = rows?.[0];
+      if (!row) counts.ignored += 1;
+      else if (row.inserted) counts.opened += 1;
+      else counts.still_open += 1;
+    }
+
+    const resolved = await client.query(
+      `UPDATE public.coupon_reconciliation_discrepancies
+          SET status = 'resolved',
+              resolved_at = now(),
+              resolution_reason = 'not_found_on_scan'
+        WHERE status = 'open'
+          AND last_seen_at < now()`
+    );
+    counts.resolved = resolved.rowCount || 0;
+
+    return { ...counts, by_kind: byKind };
+  });
+
+  if (summary.opened > 0 || summary.resolved > 0) {
+    console.log("[coupon-reconcile] scan", summary);
+  }
+  return { ok: true, ...summary };
+}
+
+// ---------------------------------------------------------------------------
+// Consulta / ações do admin
+// ---------------------------------------------------------------------------
+
+export async function listDiscrepancies(filters = {}, options = {}) {
+  const params = [];
+  const where = [];
+
+  if (filters.status) {
+    params.push(String(filters.status));
+    where.push(`d.status = $${params.length}`);
+  }
+  if (filters.kind) {
+    params.push(String(filters.kind));
+    where.push(`d.kind = $${params.length}`);
+  }
+  if (filters.userId) {
+    params.push(Number(filters.userId));
+    where.push(`d.user_id = $${params.length}`);
+  }
+
+  const limit = Math.min(200, toPositiveInt(filters.limit) || 50);
+  const offset = Math.max(0, Math.trunc(Number(filters.offset) || 0));
+  params.push(limit, offset);
+
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT d.*,
+            u.name AS user_name,
+            u.email AS user_email,
+            COUNT(*) OVER()::int AS total_count
+       FROM public.coupon_reconciliation_discrepancies d
+       LEFT JOIN public.users u ON u.id = d.user_id
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY d.last_seen_at DESC, d.id
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: Number(rows?.[0]?.total_count || 0),
+    limit,
+    offset,
+    discrepancies: (rows || []).map(({ total_count, ...row }) => ({
+      ...row,
+      repairable: row.status === "open" && isRepairableKind(row.kind),
+    })),
+  };
+}
+
+async function lockOpenDiscrepancy(client, discrepancyId) {
+  const { rows } = await client.query(
+    `SELECT *
+       FROM public.coupon_reconciliation_discrepancies
+      WHERE id = $1
+      FOR UPDATE`,
+    [discrepancyId]
+  );
+  const row = rows?.[0];
+  if (!row) throw coded("discrepancy_not_found");
+  if (row.status !== "open") throw coded("discrepancy_not_open", { status: row.status });
+  return row;
+}
+
+async function lockUserBalance(client, userId) {
+  const { rows } = await client.query(
+    `SELECT id, COALESCE(coupon_value_cents, 0)::int AS balance_cents
+       FROM public.users
+      WHERE id = $1
+      FOR UPDATE`,
+    [userId]
+  );
+  if (!rows?.[0]) throw coded("user_not_found");
+  return Number(rows[0].balance_cents);
+}
+
+async function insertRepairEntry(client, entry) {
+  const { rows } = await client.query(
+    `INSERT INTO public.coupon_balance_history
+       (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+        event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'REPAIR', 'approved', $7, NULL, $8, $9::jsonb, now())
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [
+      entry.userId,
+      entry.paymentId,
+      entry.deltaCents,
+      entry.beforeCents,
+      entry.afterCents,
+      entry.eventType,
+      entry.drawId ?? null,
+      entry.runTraceId,
+      JSON.stringify(entry.meta),
+    ]
+  );
+  // (payment_id, event_type) é único: o mesmo tipo de reparo não entra duas vezes no pagamento.
+  if (!rows?.[0]) throw coded("repair_already_applied");
+  return rows[0].id;
+}
+
+async function repairUserBalance(client, discrepancy, meta) {
+  const userId = Number(discrepancy.user_id);
+  const balance = await lockUserBalance(client, userId);
+  const { rows } = await client.query(
+    `SELECT COALESCE(SUM(delta_cents), 0)::int AS ledger_balance_cents
+       FROM public.coupon_balance_history
+      WHERE user_id = $1`,
+    [userId]
+  );
+  const ledger = Number(rows?.[0]?.ledger_balance_cents || 0);
+  const delta = balance - ledger;
+  if (delta === 0) return null;
+
+  // O saldo do usuário (o que está na Tray) fica como está; o ledger é que passa a bater com ele.
+  const ledgerEntryId = await insertRepairEntry(client, {
+    userId,
+    paymentId: null,
+    deltaCents: delta,
+    beforeCents: ledger,
+    afterCents: balance,
+    eventType: RECONCILIATION_EVENT_TYPES.USER_BALANCE,
+    runTraceId: `reconcile:${discrepancy.id}`,
+    meta: { ...meta, user_balance_cents: balance, ledger_balance_cents: ledger, diff_cents: delta },
+  });
+  return { ledger_entry_id: ledgerEntryId, user_id: userId, delta_cents: delta, balance_changed: false };
+}
+
+async function repairPaymentCredit(client, discrepancy, meta) {
+  const { rows } = await client.query(PAYMENT_CREDIT_SQL, [discrepancy.payment_id, PAYMENT_CREDIT_EVENT_TYPES]);
+  const payment = rows?.[0];
+  if (!payment) return null;
+
+  const userId = Number(payment.user_id);
+  const balance = await lockUserBalance(client, userId);
+  const expected = Number(payment.expected_cents);
+  const credited = Number(payment.credited_cents);
+  const delta = expected - credited;
+  if (balance + delta < 0) {
+    throw coded("repair_negative_balance", { balance_cents: balance, delta_cents: delta });
+  }
+
+  const missing = Number(payment.ledger_rows) === 0;
+  const ledgerEntryId = await insertRepairEntry(client, {
+    userId,
+    paymentId: String(payment.payment_id),
+    deltaCents: delta,
+    beforeCents: balance,
+    afterCents: balance + delta,
+    eventType: missing
+      ? RECONCILIATION_EVENT_TYPES.PAYMENT_MISSING_CREDIT
+      : RECONCILIATION_EVENT_TYPES.PAYMENT_CREDIT_MISMATCH,
+    drawId: payment.draw_id,
+    runTraceId: `reconcile:${discrepancy.id}`,
+    meta: {
+      ...meta,
+      payment_amount_cents: Number(payment.amount_cents),
+      wallet_coupon_cents: Number(payment.wallet_coupon_cents),
+      already_credited_cents: credited,
+      diff_cents: delta,
+    },
+  });
+
+  await client.query(
+    `UPDATE public.users
+        SET coupon_value_cents = COALESCE(coupon_value_cents, 0) + $2,
+            coupon_updated_at = now()
+      WHERE id = $1`,
+    [userId, delta]
+  );
+  if (missing) {
+    await client.query(
+      `UPDATE public.payments
+          SET coupon_credited = true,
+              coupon_credited_at = COALESCE(coupon_credited_at, now())
+        WHERE id = $1`,
+      [payment.payment_id]
+    );
+  }
+  return { ledger_entry_id: ledgerEntryId, user_id: userId, delta_cents: delta, balance_changed: true };
+}
+
+/**
+ * Aplica o lançamento compensatório de uma divergência aberta. A diferença é recalculada com as
+ * linhas travadas; se já não houver diferença, a divergência só é fechada como 'resolved'.
+ */
+export async function repairDiscrepancy({ discrepancyId, adminUserId, reason }, options = {}) {
+  const cleanReason = normalizeReason(reason);
+  const adminId = normalizeAdminId(adminUserId);
+
+  const result = await withTransaction(options, async (client) => {
+    const discrepancy = await lockOpenDiscrepancy(client, discrepancyId);
+    if (!isRepairableKind(discrepancy.kind)) throw coded("discrepancy_not_repairable", { kind: discrepancy.kind });
+
+    const meta = {
+      source: "coupon_reconciliation",
+      discrepancy_id: discrepancy.id,
+      discrepancy_kind: discrepancy.kind,
+      admin_user_id: adminId,
+      reason: cleanReason,
+    };
+    const repair = discrepancy.kind === DISCREPANCY_KINDS.USER_BALANCE_VS_LEDGER
+      ? await repairUserBalance(client, discrepancy, meta)
+      : await repairPaymentCredit(client, discrepancy, meta);
+
+    const { rows } = await client.query(
+      `UPDATE public.coupon_reconciliation_discrepancies
+          SET status = $2,
+              resolved_at = now(),
+              resolved_by = $3,
+              resolution_reason = $4,
+              repair_ledger_id = $5
+        WHERE id = $1
+        RETURNING *`,
+      [discrepancy.id, repair ? "repaired" : "resolved", adminId, cleanReason, repair?.ledger_entry_id ?? null]
+    );
+
+    return { discrepancy: rows?.[0] || null, repair };
+  });
+
+  if (!options.pgClient && result.repair?.balance_changed) {
+    ensureTrayCouponForUser(result.repair.user_id).catch(() => {});
+  }
+  return result;
+}
+
+/**
+ * Fecha a divergência sem lançamento (ex.: crédito legado antes do ledger).
+ */
+export async function ignoreDiscrepancy({ discrepancyId, adminUserId, reason }, options = {}) {
+  const cleanReason = normalizeReason(reason);
+  const adminId = normalizeAdminId(adminUserId);
+
+  return withTransaction(options, async (client) => {
+    const discrepancy = await lockOpenDiscrepancy(client, discrepancyId);
+    const { rows } = await client.query(
+      `UPDATE public.coupon_reconciliation_discrepancies
+          SET status = 'ignored',
+              resolved_at = now(),
+              resolved_by = $2,
+              resolution_reason = $3
+        WHERE id = $1
+        RETURNING *`,
+      [discrepancy.id, adminId, cleanReason]
+    );
+    return { discrepancy: rows?.[0] || null };
+  });
+}
@@ -30,7 +30,7 @@ export async function closeDrawIfSoldOut(drawId, db) {
   };
 
   const drawResult = await runner.query(
-    `SELECT id, status, closed_at
+    `SELECT id, status, closed_at, number_count
        FROM public.draws
       WHERE id = $1`,
     [id]
@@ -38,8 +38,13 @@ export async function closeDrawIfSoldOut(drawId, db) {
   const draw = drawResult.rows?.[0] || null;
   if (!draw) return { ok: false, closed: false, error: "draw_not_found", stats };
 
+  // Só fecha com a cartela inteira criada: rows faltantes (n < number_count) ainda podem ser vendidas.
+  const boardSize = Number(draw.number_count) || stats.total;
+  stats.number_count = boardSize;
+
   const shouldClose =
     stats.total > 0 &&
+    stats.total >= boardSize &&
     stats.sold === stats.total &&
     stats.available === 0 &&
     stats.reserved === 0 &&
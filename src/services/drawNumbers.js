@@ -0,0 +1,117 @@
+// src/services/drawNumbers.js
+// Tamanho da cartela de cada sorteio (draws.number_count): validação, geração e formatação dos números.
+import { query as defaultQuery } from "../db.js";
+
+export const DEFAULT_NUMBER_COUNT = 100;
+export const MAX_NUMBER_COUNT = 10000;
+
+function getQueryRunner(db) {
+  return db && typeof db.query === "function" ? db : { query: defaultQuery };
+}
+
+export function normalizeNumberCount(value) {
+  const count = Number(value ?? DEFAULT_NUMBER_COUNT);
+  if (!Number.isInteger(count) || count <= 0 || count > MAX_NUMBER_COUNT) {
+    return { error: "invalid_number_count" };
+  }
+  return { count };
+}
+
+function safeCount(numberCount) {
+  const count = Number(numberCount);
+  return Number.isInteger(count) && count > 0 && count <= MAX_NUMBER_COUNT ? count : DEFAULT_NUMBER_COUNT;
+}
+
+/**
+ * Lê draws.number_count. Bancos sem a migration 030 continuam com a cartela 00–99.
+ */
+export async function getDrawNumberCount(drawId, db) {
+  const runner = getQueryRunner(db);
+  try {
+    const { rows } = await runner.query(
+      `SELECT number_count FROM public.draws WHERE id = $1`,
+      [Number(drawId)]
+    );
+    return safeCount(rows?.[0]?.number_count);
+  } catch (error) {
+    if (error?.code === "42703") return DEFAULT_NUMBER_COUNT;
+    throw error;
+  }
+}
+
+/**
+ * Cartela do principal aberto (ou a padrão se não houver). Perfis de autopay guardam números
+ * entre sorteios; a escolha é validada contra o sorteio vigente e o runner filtra por sorteio.
+ */
+export async function getOpenPrincipalNumberCount(db) {
+  const runner = getQueryRunner(db);
+  try {
+    const { rows } = await runner.query(
+      `SELECT number_count
+         FROM public.draws
+        WHERE status = 'open'
+          AND COALESCE(draw_type, 'principal') = 'principal'
+        ORDER BY id DESC
+        LIMIT 1`
+    );
+    return safeCount(rows?.[0]?.number_count);
+  } catch (error) {
+    if (error?.code === "42703") return DEFAULT_NUMBER_COUNT;
+    throw error;
+  }
+}
+
+export function isValidDrawNumber(n, numberCount = DEFAULT_NUMBER_COUNT) {
+  return Number.isInteger(n) && n >= 0 && n < safeCount(numberCount);
+}
+
+/** Converte para inteiros e descarta o que estiver fora da cartela (mantém a ordem e duplicados). */
+export function filterDrawNumbers(values, numberCount = DEFAULT_NUMBER_COUNT) {
+  return (Array.isArray(values) ? values : [])
+    .map(Number)
+    .filter((n) => isValidDrawNumber(n, numberCount));
+}
+
+/** 100 números -> "00".."99"; 1000 -> "000".."999". Nunca menos de 2 dígitos. */
+export function numberLabelWidth(numberCount = DEFAULT_NUMBER_COUNT) {
+  return Math.max(2, String(safeCount(numberCount) - 1).length);
+}
+
+export function formatDrawNumber(n, numberCount = DEFAULT_NUMBER_COUNT) {
+  return String(n).padStart(numberLabelWidth(numberCount), "0");
+}
+
+export async function ensureNumbersForDraw(drawId, db, numberCount = null) {
+  const runner = getQueryRunner(db);
+  const count = numberCount ? safeCount(numberCount) : await getDrawNumberCount(drawId, runner);
+  await runner.query(
+    `INSERT INTO public.numbers (draw_id, n, status)
+     SELECT $1, gs::int, 'available'
+       FROM generate_series(0, $2::int - 1) AS gs
+     ON CONFLICT DO NOTHING`,
+    [Number(drawId), count]
+  );
+  return count;
+}
+
+/**
+ * Os eventos DRAW_REMAINING_NUMBERS_75/50/20/10 e EMAIL_DRAW_REMAINING_75/50/30/15 eram
+ * "restam N números" numa cartela de 100; com cartelas de outros tamanhos o sufixo vira
+ * porcentagem da cartela.
+ */
+export function remainingThresholdFromEventKey(eventKey) {
+  const match = /_(\d+)$/.exec(String(eventKey || ""));
+  return match ? Number(match[1]) : null;
+}
+
+export function remainingThresholdReached({ remaining, numberCount, percent }) {
+  const total = safeCount(numberCount);
+  const left = Number(remaining);
+  if (!Number.isFinite(left) || !Number.isFinite(Number(percent))) return false;
+  return left * 100 <= Number(percent) * total;
+}
+
+export function remainingPercent(remaining, numberCount) {
+  const total = safeCount(numberCount);
+  return Math.round((Number(remaining || 0) * 10000) / total) / 100;
+}
@@ -0,0 +1,416 @@
+// src/services/drawScheduler.js
+// Abertura/encerramento agendados de sorteios (draws.scheduled_open_at / scheduled_close_at).
+// Roda como job recorrente 'draw_scheduler_tick' da fila (src/services/backgroundJobs.js).
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { runAutopayForDraw } from "./autopayRunner.js";
+import {
+  createCaptivePreAuthorizationsForDraw,
+  isCaptivePreauthEnabled,
+  resolveCaptivePreauthDrawRequirement,
+} from "./autopay/captivePreauthService.js";
+import { ensureNumbersForDraw } from "./drawNumbers.js";
+import { refundPayment } from "./paymentRefunds.js";
+import { handlePushAutomationEvent } from "./notifications/pushAutomationEvents.js";
+import { handleAutomaticEmailEvent } from "./notifications/automaticEmailNotifications.js";
+
+export const DEADLINE_POLICIES = Object.freeze(["run", "extend", "refund"]);
+
+const LOG_PREFIX = "[draw-scheduler]";
+const BATCH_LIMIT = 20;
+const REFUND_RETRY_MINUTES = 30;
+
+function log(event, payload = {}) {
+  console.log(LOG_PREFIX, event, payload);
+}
+
+function warn(event, payload = {}) {
+  console.warn(LOG_PREFIX, event, payload);
+}
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isDrawSchedulerEnabled() {
+  return envBool("DRAW_SCHEDULER_ENABLED", true);
+}
+
+export function getDrawSchedulerIntervalMs() {
+  return toPositiveInt(process.env.DRAW_SCHEDULER_INTERVAL_MS) || 60000;
+}
+
+export function getDefaultDeadlinePolicy() {
+  const policy = String(process.env.DRAW_DEADLINE_POLICY || "").trim().toLowerCase();
+  return DEADLINE_POLICIES.includes(policy) ? policy : "run";
+}
+
+function getDeadlineExtendHours() {
+  return toPositiveInt(process.env.DRAW_DEADLINE_EXTEND_HOURS) || 24;
+}
+
+function getDeadlineMaxExtensions() {
+  const n = Number(process.env.DRAW_DEADLINE_MAX_EXTENSIONS);
+  return Number.isInteger(n) && n >= 0 ? n : 1;
+}
+
+function parseTimestamp(value, code) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw coded(code);
+  return date;
+}
+
+/**
+ * Valida o agendamento enviado pelo admin. Campos ausentes ficam `undefined` (não alteram nada).
+ * `current` traz os valores já gravados para validar a ordem abertura < encerramento.
+ */
+export function normalizeDrawSchedule(input = {}, { now = new Date(), current = {} } = {}) {
+  const scheduledOpenAt = parseTimestamp(input.scheduled_open_at, "invalid_scheduled_open_at");
+  const scheduledCloseAt = parseTimestamp(input.scheduled_close_at, "invalid_scheduled_close_at");
+
+  let deadlinePolicy;
+  if (input.deadline_policy !== undefined) {
+    deadlinePolicy = input.deadline_policy === null || input.deadline_policy === ""
+      ? null
+      : String(input.deadline_policy).trim().toLowerCase();
+    if (deadlinePolicy !== null && !DEADLINE_POLICIES.includes(deadlinePolicy)) {
+      throw coded("invalid_deadline_policy");
+    }
+  }
+
+  const effectiveOpen = scheduledOpenAt !== undefined ? scheduledOpenAt : parseTimestamp(current.scheduled_open_at ?? null);
+  const effectiveClose = scheduledCloseAt !== undefined ? scheduledCloseAt : parseTimestamp(current.scheduled_close_at ?? null);
+  if (scheduledCloseAt && scheduledCloseAt.getTime() <= now.getTime()) {
+    throw coded("scheduled_close_in_past");
+  }
+  if (effectiveOpen && effectiveClose && effectiveClose.getTime() <= effectiveOpen.getTime()) {
+    throw coded("scheduled_close_before_open");
+  }
+
+  return { scheduledOpenAt, scheduledCloseAt, deadlinePolicy };
+}
+
+function isPrincipal(draw) {
+  return String(draw?.draw_type || "principal") === "principal";
+}
+
+async function createCaptivePreauthIfEnabled(drawId) {
+  if (!isCaptivePreauthEnabled()) {
+    return { ok: true, skipped: true, reason: "captive_preauth_disabled" };
+  }
+  try {
+    const requirement = await resolveCaptivePreauthDrawRequirement(drawId);
+    if (!requirement.required) {
+      return { ok: true, skipped: true, reason: "amount_not_above_default", ...requirement };
+    }
+    return await createCaptivePreAuthorizationsForDraw(drawId, { adminUserId: null });
+  } catch (error) {
+    warn("captive_preauth_failed", { draw_id: drawId, code: error?.code || null, message: error?.message || null });
+    return { ok: false, error: error?.message || "captive_preauth_create_failed", code: error?.code || null };
+  }
+}
+
+async function emitDrawPublished(draw) {
+  const drawType = String(draw.draw_type || "principal");
+  const referenceType = isPrincipal(draw) ? "draw" : "additional_draw";
+  if (process.env.PUSH_ALLOW_ENGINE_EVENTS === "true") {
+    try {
+      await handlePushAutomationEvent({
+        eventKey: "NEW_DRAW_PUBLISHED",
+        source: "scheduler",
+        referenceType,
+        referenceKey: isPrincipal(draw) ? `draw:${draw.id}` : `additional_draw:${draw.id}:published`,
+        metadata: {
+          draw_id: Number(draw.id),
+          draw_type: drawType,
+          product_name: draw.product_name || null,
+          origin: "draw_scheduler",
+        },
+        actor: { type: "draw_scheduler" },
+        dryRun: process.env.PUSH_ENGINE_DRY_RUN !== "false",
+      });
+    } catch (error) {
+      warn("push automation event skipped", { draw_id: Number(draw.id), code: error?.code || null, message: error?.message || null });
+    }
+  }
+  try {
+    await handleAutomaticEmailEvent({
+      eventKey: "NEW_DRAW_PUBLISHED",
+      referenceType,
+      referenceKey: `${referenceType}:${draw.id}:published_email`,
+      metadata: { draw_id: Number(draw.id), draw_type: drawType, product_name: draw.product_name || null },
+      occurredAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    warn("email automation skipped", { draw_id: Number(draw.id), code: error?.code || null });
+  }
+}
+
+/**
+ * O mesmo fluxo de POST /api/admin/draws/new depois do INSERT:
+ * pré-autorização dos cativos, autopay (principal) e NEW_DRAW_PUBLISHED.
+ */
+async function defaultOnDrawOpened(draw) {
+  const out = { captive_preauth: null, autopay: null };
+  if (isPrincipal(draw)) {
+    out.captive_preauth = await createCaptivePreauthIfEnabled(draw.id);
+    out.autopay = await runAutopayForDraw(draw.id);
+    if (!out.autopay?.ok) warn("autopay_failed", { draw_id: Number(draw.id), autopay: out.autopay || null });
+  }
+  await emitDrawPublished(draw);
+  return out;
+}
+
+export async function openScheduledDraw(drawId, options = {}, dependencies = {}) {
+  const opened = await withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, status, coalesce(draw_type, 'principal') AS draw_type, product_name,
+              number_count, scheduled_open_at
+         FROM public.draws
+        WHERE id = $1
+        FOR UPDATE`,
+      [drawId]
+    );
+    const draw = rows[0];
+    if (!draw || draw.status !== "scheduled") return { action: "skipped", reason: "not_scheduled" };
+
+    if (isPrincipal(draw)) {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('newstore_principal_creation'))`);
+      const current = await client.query(
+        `SELECT id
+           FROM public.draws
+          WHERE status = 'open'
+            AND COALESCE(draw_type, 'principal') = 'principal'
+          LIMIT 1`
+      );
+      if (current.rows.length) {
+        return { action: "blocked", reason: "principal_draw_already_open", current_draw_id: Number(current.rows[0].id) };
+      }
+    }
+
+    const updated = await client.query(
+      `UPDATE public.draws
+          SET status = 'open',
+              opened_at = now(),
+              closed_at = NULL,
+              autopay_ran_at = NULL
+        WHERE id = $1
+          AND status = 'scheduled'
+        RETURNING id, status, coalesce(draw_type, 'principal') AS draw_type, product_name,
+                  number_count, opened_at, scheduled_close_at`,
+      [drawId]
+    );
+    await ensureNumbersForDraw(drawId, client, updated.rows[0].number_count);
+    return { action: "opened", draw: updated.rows[0] };
+  });
+
+  if (opened.action !== "opened") {
+    if (opened.action === "blocked") warn("open_blocked", { draw_id: Number(drawId), ...opened });
+    return { draw_id: Number(drawId), ...opened };
+  }
+
+  log("draw_opened", { draw_id: Number(drawId), draw_type: opened.draw.draw_type });
+  const onDrawOpened = dependencies.onDrawOpened || defaultOnDrawOpened;
+  const pipeline = await onDrawOpened(opened.draw);
+  return { draw_id: Number(drawId), action: "opened", draw: opened.draw, ...pipeline };
+}
+
+export async function applyDrawDeadline(drawId, options = {}) {
+  return withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, status, scheduled_close_at, deadline_policy, deadline_extensions,
+              scheduled_close_at <= now() AS due
+         FROM public.draws
+        WHERE id = $1
+        FOR UPDATE`,
+      [drawId]
+    );
+    const draw = rows[0];
+    if (!draw || draw.status !== "open" || !draw.scheduled_close_at || !draw.due) {
+      return { draw_id: Number(drawId), action: "skipped", reason: "not_due" };
+    }
+
+    const policy = draw.deadline_policy || getDefaultDeadlinePolicy();
+    const extensions = Number(draw.deadline_extensions || 0);
+
+    if (policy === "extend" && extensions < getDeadlineMaxExtensions()) {
+      const hours = getDeadlineExtendHours();
+      const updated = await client.query(
+        `UPDATE public.draws
+            SET scheduled_close_at = scheduled_close_at + make_interval(hours => $2::int),
+                deadline_extensions = deadline_extensions + 1,
+                deadline_outcome = 'extended'
+          WHERE id = $1
+          RETURNING scheduled_close_at, deadline_extensions`,
+        [drawId, hours]
+      );
+      return {
+        draw_id: Number(drawId),
+        action: "extended",
+        policy,
+        scheduled_close_at: updated.rows[0].scheduled_close_at,
+        deadline_extensions: updated.rows[0].deadline_extensions,
+      };
+    }
+
+    if (policy === "refund") {
+      await client.query(
+        `UPDATE public.draws
+            SET status = 'cancelled',
+                closed_at = COALESCE(closed_at, now()),
+                deadline_outcome = 'refunding',
+                deadline_processed_at = now()
+          WHERE id = $1`,
+        [drawId]
+      );
+      return { draw_id: Number(drawId), action: "cancelled", policy };
+    }
+
+    // 'run' (ou 'extend' sem prorrogações restantes): encerra e segue para o resultado da Lotomania.
+    await client.query(
+      `UPDATE public.draws
+          SET status = 'closed',
+              closed_at = COALESCE(closed_at, now()),
+              deadline_outcome = 'run',
+              deadline_processed_at = now()
+        WHERE id = $1`,
+      [drawId]
+    );
+    return { draw_id: Number(drawId), action: "closed", policy };
+  });
+}
+
+/**
+ * Estorna (provedor + saldo + números) os pagamentos de um sorteio cancelado pelo prazo.
+ * Atribuições manuais do admin não passam por provedor e ficam de fora.
+ */
+export async function refundDrawPayments(drawId, options = {}, dependencies = {}) {
+  const refund = dependencies.refundPayment || refundPayment;
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT p.id
+       FROM public.payments p
+      WHERE p.draw_id = $1
+        AND lower(p.status) IN ('approved', 'paid', 'pago')
+        AND cardinality(p.numbers) > 0
+        AND COALESCE(p.provider, '') NOT LIKE 'admin_assign%'
+        AND NOT EXISTS (
+          SELECT 1
+            FROM public.payment_refunds pr
+           WHERE pr.payment_id = p.id
+             AND pr.status = 'failed'
+             AND pr.created_at > now() - make_interval(mins => $2::int)
+        )
+      ORDER BY p.id`,
+    [drawId, REFUND_RETRY_MINUTES]
+  );
+
+  const summary = { draw_id: Number(drawId), refunded: 0, failed: 0, in_progress: 0 };
+  for (const row of rows) {
+    try {
+      await refund({ paymentId: row.id, reason: "draw_deadline_refund", adminUserId: null });
+      summary.refunded += 1;
+    } catch (error) {
+      if (error?.code === "refund_in_progress") {
+        summary.in_progress += 1;
+      } else {
+        summary.failed += 1;
+        warn("deadline_refund_failed", { draw_id: Number(drawId), payment_id: row.id, code: error?.code || error?.message || null });
+      }
+    }
+  }
+
+  const pending = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS pending
+       FROM public.payments p
+      WHERE p.draw_id = $1
+        AND lower(p.status) IN ('approved', 'paid', 'pago')
+        AND cardinality(p.numbers) > 0
+        AND COALESCE(p.provider, '') NOT LIKE 'admin_assign%'`,
+    [drawId]
+  );
+  summary.pending = Number(pending.rows?.[0]?.pending || 0);
+  if (summary.pending === 0) {
+    await runQuery(
+      options.pgClient,
+      `UPDATE public.draws
+          SET deadline_outcome = 'refunded'
+        WHERE id = $1
+          AND deadline_outcome = 'refunding'`,
+      [drawId]
+    );
+    summary.completed = true;
+  }
+  log("deadline_refunds", summary);
+  return summary;
+}
+
+export async function runDrawSchedulerTick(options = {}, dependencies = {}) {
+  const result = { opened: [], deadlines: [], refunds: [] };
+
+  const dueOpen = await runQuery(
+    options.pgClient,
+    `SELECT id
+       FROM public.draws
+      WHERE status = 'scheduled'
+        AND scheduled_open_at IS NOT NULL
+        AND scheduled_open_at <= now()
+      ORDER BY scheduled_open_at, id
+      LIMIT ${BATCH_LIMIT}`
+  );
+  for (const row of dueOpen.rows || []) {
+    try {
+      result.opened.push(await openScheduledDraw(Number(row.id), options, dependencies));
+    } catch (error) {
+      warn("open_failed", { draw_id: Number(row.id), code: error?.code || error?.message || null });
+    }
+  }
+
+  const dueClose = await runQuery(
+    options.pgClient,
+    `SELECT id
+       FROM public.draws
+      WHERE status = 'open'
+        AND scheduled_close_at IS NOT NULL
+        AND scheduled_close_at <= now()
+      ORDER BY scheduled_close_at, id
+      LIMIT ${BATCH_LIMIT}`
+  );
+  for (const row of dueClose.rows || []) {
+    try {
+      const outcome = await applyDrawDeadline(Number(row.id), options);
+      if (outcome.action !== "skipped") log("deadline_applied", outcome);
+      result.deadlines.push(outcome);
+    } catch (error) {
+      warn("deadline_failed", { draw_id: Number(row.id), code: error?.code || error?.message || null });
+    }
+  }
+
+  const refunding = await runQuery(
+    options.pgClient,
+    `SELECT id
+       FROM public.draws
+      WHERE deadline_outcome = 'refunding'
+      ORDER BY id
+      LIMIT ${BATCH_LIMIT}`
+  );
+  for (const row of refunding.rows || []) {
+    try {
+      result.refunds.push(await refundDrawPayments(Number(row.id), options, dependencies));
+    } catch (error) {
+      warn("refunds_failed", { draw_id: Number(row.id), code: error?.code || error?.message || null });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,408 @@
+// src/services/jobQueue.js
+// Fila de jobs persistida em public.background_jobs (migration 032).
+//
+// - enqueueJob grava o job; dedupe_key impede dois pendentes iguais
+// - o worker (src/index.js) reivindica jobs com FOR UPDATE SKIP LOCKED: várias instâncias
+//   podem rodar o worker sem executar o mesmo job duas vezes
+// - falha -> volta para 'queued' com backoff exponencial; esgotou max_attempts -> 'dead'
+// - job 'running' com lock vencido (processo morreu no meio) volta para a fila
+// - jobs recorrentes (everyMs) reagendam a próxima execução ao terminar, com ou sem sucesso
+// - jobs 'succeeded'/'dead' são apagados depois de JOB_RETENTION_DAYS (purgeFinishedJobs)
+import os from "node:os";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+export const JOB_STATUSES = Object.freeze(["queued", "running", "succeeded", "dead"]);
+
+const LOG_PREFIX = "[jobs]";
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_BASE_MS = 30_000;
+const DEFAULT_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 2000;
+
+const defaultRegistry = new Map();
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function cleanText(value) {
+  return String(value ?? "").trim();
+}
+
+function errorText(error) {
+  const code = error?.code ? `${error.code}: ` : "";
+  return `${code}${error?.message || String(error)}`.slice(0, MAX_ERROR_LENGTH);
+}
+
+export function isJobWorkerEnabled() {
+  const raw = cleanText(process.env.JOB_WORKER_ENABLED).toLowerCase();
+  return raw ? raw === "true" : true;
+}
+
+export function getJobWorkerPollMs() {
+  return toPositiveInt(process.env.JOB_WORKER_POLL_MS) || 5000;
+}
+
+export function getJobLockTimeoutMs() {
+  return toPositiveInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+}
+
+export function getJobRetentionDays() {
+  return toPositiveInt(process.env.JOB_RETENTION_DAYS) || 30;
+}
+
+export function getJobWorkerId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+export function createJobRegistry() {
+  return new Map();
+}
+
+/**
+ * Registra o handler de um tipo de job. `everyMs` torna o job recorrente
+ * (uma execução pendente por vez, chave `recurring:<name>`).
+ */
+export function defineJob(name, definition, registry = defaultRegistry) {
+  const jobName = cleanText(name);
+  if (!jobName) throw coded("job_name_required");
+  if (typeof definition?.handler !== "function") throw coded("job_handler_required");
+  registry.set(jobName, {
+    name: jobName,
+    handler: definition.handler,
+    everyMs: toPositiveInt(definition.everyMs),
+    maxAttempts: toPositiveInt(definition.maxAttempts) || DEFAULT_MAX_ATTEMPTS,
+    backoffBaseMs: toPositiveInt(definition.backoffBaseMs) || DEFAULT_BACKOFF_BASE_MS,
+    backoffMaxMs: toPositiveInt(definition.backoffMaxMs) || DEFAULT_BACKOFF_MAX_MS,
+  });
+  return registry.get(jobName);
+}
+
+export function recurringDedupeKey(name) {
+  return `recurring:${name}`;
+}
+
+/** 1ª falha -> base, 2ª -> 2x base, ... limitado a maxMs. */
+export function computeRetryDelayMs(attempts, { baseMs = DEFAULT_BACKOFF_BASE_MS, maxMs = DEFAULT_BACKOFF_MAX_MS } = {}) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(maxMs, baseMs * 2 ** (n - 1));
+}
+
+export async function enqueueJob(name, payload = {}, settings = {}, options = {}) {
+  const jobName = cleanText(name);
+  if (!jobName) throw coded("job_name_required");
+  const delayMs = Math.max(0, Number(settings.delayMs) || 0);
+  const runAt = settings.runAt ? new Date(settings.runAt) : new Date(Date.now() + delayMs);
+  if (Number.isNaN(runAt.getTime())) throw coded("invalid_job_run_at");
+
+  const { rows } = await runQuery(
+    options.pgClient,
+    `INSERT INTO public.background_jobs (name, payload, dedupe_key, run_at, max_attempts)
+     VALUES ($1, $2::jsonb, $3, $4, $5)
+     ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running')
+     DO NOTHING
+     RETURNING id, name, status, dedupe_key, run_at, max_attempts`,
+    [
+      jobName,
+      JSON.stringify(payload ?? {}),
+      cleanText(settings.dedupeKey) || null,
+      runAt,
+      toPositiveInt(settings.maxAttempts) || DEFAULT_MAX_ATTEMPTS,
+    ]
+  );
+  return rows?.[0] ? { enqueued: true, job: rows[0] } : { enqueued: false, reason: "duplicate_pending" };
+}
+
+/** Garante uma execução pendente de cada job recorrente (chamado no boot do worker). */
+export async function ensureRecurringJobs(options = {}, registry = defaultRegistry) {
+  const out = [];
+  for (const definition of registry.values()) {
+    if (!definition.everyMs) continue;
+    const result = await enqueueJob(
+      definition.name,
+      {},
+      { dedupeKey: recurringDedupeKey(definition.name), maxAttempts: definition.maxAttempts },
+      options
+    );
+    out.push({ name: definition.name, enqueued: result.enqueued });
+  }
+  return out;
+}
+
+/**
+ * Antecipa a próxima execução de um job recorrente (ex.: reconciliação pedida por tráfego).
+ * Não cria nada: se o job já estiver rodando, a chamada é ignorada.
+ */
+export async function requestRecurringJobRun(name, options = {}) {
+  const r = await runQuery(
+    options.pgClient,
+    `UPDATE public.background_jobs
+        SET run_at = now(),
+            updated_at = now()
+      WHERE dedupe_key = $1
+        AND status = 'queued'
+        AND run_at > now()`,
+    [recurringDedupeKey(cleanText(name))]
+  );
+  return { requested: Boolean(r?.rowCount) };
+}
+
+export async function claimNextJob(workerId, names, options = {}) {
+  if (!names.length) return null;
+  const { rows } = await runQuery(
+    options.pgClient,
+    `UPDATE public.background_jobs j
+        SET status = 'running',
+            attempts = j.attempts + 1,
+            locked_by = $1,
+            locked_at = now(),
+            started_at = now(),
+            updated_at = now()
+      WHERE j.id = (
+              SELECT id
+                FROM public.background_jobs
+               WHERE status = 'queued'
+                 AND run_at <= now()
+                 AND name = ANY($2::text[])
+               ORDER BY run_at, id
+               FOR UPDATE SKIP LOCKED
+               LIMIT 1
+            )
+      RETURNING j.id, j.name, j.payload, j.dedupe_key, j.attempts, j.max_attempts`,
+    [workerId, names]
+  );
+  return rows?.[0] || null;
+}
+
+async function scheduleNextRecurrence(client, definition) {
+  if (!definition?.everyMs) return;
+  await enqueueJob(
+    definition.name,
+    {},
+    {
+      dedupeKey: recurringDedupeKey(definition.name),
+      delayMs: definition.everyMs,
+      maxAttempts: definition.maxAttempts,
+    },
+    { pgClient: client }
+  );
+}
+
+function isRecurringRun(job, definition) {
+  return Boolean(definition?.everyMs) && job.dedupe_key === recurringDedupeKey(definition.name);
+}
+
+export async function completeJob(job, workerId, result, definition = null, options = {}) {
+  return withTransaction(options, async (client) => {
+    const r = await client.query(
+      `UPDATE public.background_jobs
+          SET status = 'succeeded',
+              result = $3::jsonb,
+              last_error = NULL,
+              locked_by = NULL,
+              locked_at = NULL,
+              finished_at = now(),
+              updated_at = now()
+        WHERE id = $1
+          AND status = 'running'
+          AND locked_by = $2`,
+      [job.id, workerId, JSON.stringify(result ?? null)]
+    );
+    if (!r.rowCount) return { updated: false };
+    if (isRecurringRun(job, definition)) await scheduleNextRecurrence(client, definition);
+    return { updated: true, status: "succeeded" };
+  });
+}
+
+export async function failJob(job, workerId, error, definition = null, options = {}) {
+  const attempts = Number(job.attempts || 0);
+  const dead = attempts >= Number(job.max_attempts || DEFAULT_MAX_ATTEMPTS);
+  const delayMs = dead
+    ? 0
+    : computeRetryDelayMs(attempts, {
+      baseMs: definition?.backoffBaseMs,
+      maxMs: definition?.backoffMaxMs,
+    });
+
+  return withTransaction(options, async (client) => {
+    const r = await client.query(
+      `UPDATE public.background_jobs
+          SET status = $3,
+              last_error = $4,
+              run_at = CASE WHEN $3 = 'queued' THEN now() + make_interval(secs => $5::numeric / 1000) ELSE run_at END,
+              finished_at = CASE WHEN $3 = 'dead' THEN now() ELSE NULL END,
+              locked_by = NULL,
+              locked_at = NULL,
+              updated_at = now()
+        WHERE id = $1
+          AND status = 'running'
+          AND locked_by = $2`,
+      [job.id, workerId, dead ? "dead" : "queued", errorText(error), delayMs]
+    );
+    if (!r.rowCount) return { updated: false };
+    // Recorrente que foi para 'dead' não pode parar a recorrência.
+    if (dead && isRecurringRun(job, definition)) await scheduleNextRecurrence(client, definition);
+    return { updated: true, status: dead ? "dead" : "queued", retry_in_ms: dead ? null : delayMs };
+  });
+}
+
+/**
+ * Jobs 'running' com lock mais antigo que JOB_LOCK_TIMEOUT_MS: o processo caiu no meio.
+ * Voltam para a fila (a tentativa conta) ou vão para 'dead' se esgotaram as tentativas;
+ * recorrente que morre assim reagenda a próxima execução, como em failJob.
+ */
+export async function recoverStaleJobs(options = {}, registry = defaultRegistry) {
+  const lockTimeoutMs = options.lockTimeoutMs || getJobLockTimeoutMs();
+  const { rows } = await runQuery(
+    options.pgClient,
+    `UPDATE public.background_jobs
+        SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+            last_error = 'lock_expired: ' || COALESCE(locked_by, '?'),
+            run_at = now(),
+            finished_at = CASE WHEN attempts >= max_attempts THEN now() ELSE NULL END,
+            locked_by = NULL,
+            locked_at = NULL,
+            updated_at = now()
+      WHERE status = 'running'
+        AND locked_at < now() - make_interval(secs => $1::numeric / 1000)
+      RETURNING id, name, status, dedupe_key`,
+    [lockTimeoutMs]
+  );
+  if (rows?.length) console.warn(LOG_PREFIX, "stale_jobs_recovered", { jobs: rows });
+  for (const row of rows || []) {
+    const definition = registry.get(row.name);
+    if (row.status !== "dead" || !isRecurringRun(row, definition)) continue;
+    await withTransaction(options, (client) => scheduleNextRecurrence(client, definition));
+  }
+  return rows || [];
+}
+
+export async function runJob(job, workerId, options = {}, registry = defaultRegistry) {
+  const definition = registry.get(job.name);
+  const startedAt = Date.now();
+  try {
+    if (!definition) throw coded("job_handler_not_found");
+    const result = await definition.handler(job.payload || {}, { job, workerId });
+    await completeJob(job, workerId, result, definition, options);
+    return { id: job.id, name: job.name, status: "succeeded", duration_ms: Date.now() - startedAt };
+  } catch (error) {
+    const failed = await failJob(job, workerId, error, definition, options);
+    console.warn(LOG_PREFIX, "job_failed", {
+      id: job.id,
+      name: job.name,
+      attempt: job.attempts,
+      status: failed.status || null,
+      error: error?.code || error?.message || null,
+    });
+    return { id: job.id, name: job.name, status: failed.status || "failed", error: error?.code || error?.message || null };
+  }
+}
+
+export async function runJobWorkerTick(options = {}, registry = defaultRegistry) {
+  const workerId = options.workerId || getJobWorkerId();
+  const maxJobs = options.maxJobs || 10;
+  await recoverStaleJobs(options, registry);
+
+  const names = [...registry.keys()];
+  const processed = [];
+  for (let i = 0; i < maxJobs; i += 1) {
+    const job = await claimNextJob(workerId, names, options);
+    if (!job) break;
+    processed.push(await runJob(job, workerId, options, registry));
+  }
+  return { worker_id: workerId, processed };
+}
+
+export async function listJobs(filters = {}, options = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const status = cleanText(filters.status).toLowerCase();
+  if (status) clauses.push(`status = ${add(status)}`);
+  const name = cleanText(filters.name);
+  if (name) clauses.push(`name = ${add(name)}`);
+
+  const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+  const limit = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+
+  const total = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS total FROM public.background_jobs ${where}`,
+    [...values]
+  );
+  const counts = await runQuery(
+    options.pgClient,
+    `SELECT status, COUNT(*)::int AS total FROM public.background_jobs GROUP BY status`
+  );
+  const rows = await runQuery(
+    options.pgClient,
+    `SELECT id, name, payload, status, dedupe_key, run_at, attempts, max_attempts,
+            locked_by, locked_at, last_error, created_at, started_at, finished_at, updated_at
+       FROM public.background_jobs
+       ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${add(limit)} OFFSET ${add(offset)}`,
+    values
+  );
+  const byStatus = Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]));
+  for (const row of counts.rows || []) byStatus[row.status] = Number(row.total || 0);
+  return { total: Number(total.rows?.[0]?.total || 0), limit, offset, counts: byStatus, jobs: rows.rows || [] };
+}
+
+export async function getJob(id, options = {}) {
+  const r = await runQuery(options.pgClient, `SELECT * FROM public.background_jobs WHERE id = $1`, [id]);
+  return r.rows?.[0] || null;
+}
+
+/**
+ * Apaga jobs terminados ('succeeded' e 'dead') há mais de `days` dias.
+ * Pendentes e em execução nunca são tocados.
+ */
+export async function purgeFinishedJobs({ days = getJobRetentionDays() } = {}, options = {}) {
+  const r = await runQuery(
+    options.pgClient,
+    `DELETE FROM public.background_jobs
+      WHERE status IN ('succeeded', 'dead')
+        AND COALESCE(finished_at, updated_at) < now() - make_interval(days => $1::int)`,
+    [days]
+  );
+  const deleted = r?.rowCount || 0;
+  if (deleted) console.log(LOG_PREFIX, "finished_jobs_purged", { deleted, days });
+  return { deleted, days };
+}
+
+/** Devolve um job 'dead' para a fila com as tentativas zeradas. */
+export async function retryJob(id, options = {}) {
+  try {
+    const { rows } = await runQuery(
+      options.pgClient,
+      `UPDATE public.background_jobs
+          SET status = 'queued',
+              attempts = 0,
+              run_at = now(),
+              finished_at = NULL,
+              updated_at = now()
+        WHERE id = $1
+          AND status = 'dead'
+        RETURNING id, name, status, run_at, attempts, max_attempts, last_error`,
+      [id]
+    );
+    if (!rows?.length) {
+      const job = await getJob(id, options);
+      if (!job) throw coded("job_not_found");
+      throw coded("job_not_retryable", { status: job.status });
+    }
+    return rows[0];
+  } catch (error) {
+    // Recorrente: já existe a próxima execução pendente com a mesma dedupe_key.
+    if (error?.code === "23505") throw coded("job_already_pending");
+    throw error;
+  }
+}
@@ -0,0 +1,393 @@
+// src/services/lotomaniaResults.js
+// Resultado da Lotomania e resolução automática do ganhador.
+//
+// Regra (a mesma do e-mail DRAW_CLOSED_EMAIL): ganha quem possui a ÚLTIMA dezena
+// sorteada no concurso da Lotomania. A Lotomania sorteia 20 dezenas de 00 a 99,
+// exatamente o intervalo das cartelas.
+//
+// Dezena não vendida: volta-se uma posição na ordem do sorteio (19ª, 18ª, ...)
+// até encontrar uma dezena vendida. Se nenhuma das 20 foi vendida, nada é gravado
+// e o sorteio continua sem ganhador (vincular a outro concurso).
+//
+// Concurso e resolução são registros de auditoria imutáveis (trigger na migration 028).
+
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+export const LOTOMANIA_DRAWN_COUNT = 20;
+export const LOTOMANIA_MAX_NUMBER = 99;
+
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+
+export function formatLotomaniaNumber(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Normaliza as dezenas sorteadas mantendo a ordem do sorteio.
+ * Aceita array (números ou strings) ou texto separado por espaço/vírgula/traço.
+ */
+export function parseDrawnNumbers(input) {
+  const raw = Array.isArray(input)
+    ? input
+    : String(input ?? "").split(/[\s,;-]+/).filter(Boolean);
+
+  const numbers = raw.map((v) => (typeof v === "string" && /^\d{1,2}$/.test(v.trim()) ? Number(v.trim()) : v));
+  if (numbers.length !== LOTOMANIA_DRAWN_COUNT) throw coded("invalid_drawn_numbers_count");
+  for (const n of numbers) {
+    if (!Number.isInteger(n) || n < 0 || n > LOTOMANIA_MAX_NUMBER) throw coded("invalid_drawn_number");
+  }
+  if (new Set(numbers).size !== numbers.length) throw coded("duplicated_drawn_number");
+  return numbers;
+}
+
+function parseContestNumber(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw coded("invalid_contest_number");
+  return n;
+}
+
+function parseDrawDate(value) {
+  const text = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw coded("invalid_draw_date");
+  const date = new Date(`${text}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    throw coded("invalid_draw_date");
+  }
+  return text;
+}
+
+function parseDrawIds(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const ids = [...new Set(list.map(Number))];
+  if (!ids.length || ids.some((id) => !Number.isInteger(id) || id <= 0)) throw coded("invalid_draw_ids");
+  return ids;
+}
+
+function toDateText(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value ?? "").slice(0, 10);
+}
+
+/**
+ * Aplica a regra sobre as dezenas sorteadas.
+ * ownersByNumber: Map<n, { user_id, user_name, payment_id }> apenas com dezenas vendidas.
+ *
+ * @returns {null | { winner_number, winner_position, last_drawn_number, rule_applied, owner, derivation }}
+ */
+export function resolveWinnerFromDrawnNumbers(drawnNumbers, ownersByNumber) {
+  const derivation = [];
+  for (let i = drawnNumbers.length - 1; i >= 0; i -= 1) {
+    const number = drawnNumbers[i];
+    const owner = ownersByNumber.get(number) || null;
+    derivation.push({ position: i + 1, number, sold: !!owner });
+    if (owner) {
+      return {
+        winner_number: number,
+        winner_position: i + 1,
+        last_drawn_number: drawnNumbers[drawnNumbers.length - 1],
+        rule_applied: i === drawnNumbers.length - 1 ? "last_drawn_number" : "previous_drawn_number",
+        owner,
+        derivation,
+      };
+    }
+  }
+  return null;
+}
+
+async function upsertContest(client, { contestNumber, drawDate, drawnNumbers, adminUserId }) {
+  await client.query(
+    `INSERT INTO public.lotomania_contests (contest_number, draw_date, drawn_numbers, created_by_user_id)
+     VALUES ($1, $2::date, $3::int2[], $4)
+     ON CONFLICT (contest_number) DO NOTHING`,
+    [contestNumber, drawDate, drawnNumbers, adminUserId]
+  );
+
+  const { rows } = await client.query(
+    `SELECT id, contest_number, draw_date, drawn_numbers, created_by_user_id, created_at
+       FROM public.lotomania_contests
+      WHERE contest_number = $1`,
+    [contestNumber]
+  );
+  const contest = rows[0];
+  if (!contest) throw coded("lotomania_contest_not_saved");
+
+  // Concurso já gravado é imutável: só pode ser reutilizado com os mesmos dados.
+  const storedNumbers = (contest.drawn_numbers || []).map(Number);
+  const same =
+    toDateText(contest.draw_date) === drawDate &&
+    storedNumbers.length === drawnNumbers.length &&
+    storedNumbers.every((n, i) => n === drawnNumbers[i]);
+  if (!same) throw coded("lotomania_contest_conflict", { contest_number: contestNumber });
+
+  return { ...contest, drawn_numbers: storedNumbers };
+}
+
+async function loadSoldOwners(client, drawId, numbers) {
+  const { rows } = await client.query(
+    `SELECT n.n,
+            p.id AS payment_id,
+            COALESCE(p.user_id, r.user_id) AS user_id,
+            COALESCE(NULLIF(u.name, ''), u.email) AS user_name
+       FROM public.numbers n
+       LEFT JOIN public.reservations r ON r.id = n.reservation_id
+       LEFT JOIN LATERAL (
+         SELECT pp.id, pp.user_id
+           FROM public.payments pp
+          WHERE pp.draw_id = n.draw_id
+            AND lower(coalesce(pp.status, '')) = ANY($3::text[])
+            AND n.n = ANY(pp.numbers)
+          ORDER BY pp.paid_at ASC NULLS LAST, pp.created_at ASC
+          LIMIT 1
+       ) p ON true
+       LEFT JOIN public.users u ON u.id = COALESCE(p.user_id, r.user_id)
+      WHERE n.draw_id = $1
+        AND n.n = ANY($2::int2[])
+        AND n.status = 'sold'`,
+    [drawId, numbers, PAID_PAYMENT_STATUSES]
+  );
+
+  const owners = new Map();
+  for (const row of rows) {
+    if (row.user_id == null) continue;
+    owners.set(Number(row.n), {
+      user_id: Number(row.user_id),
+      user_name: row.user_name || null,
+      payment_id: row.payment_id != null ? String(row.payment_id) : null,
+    });
+  }
+  return owners;
+}
+
+async function resolveDraw(client, { drawId, contest, adminUserId }) {
+  const { rows } = await client.query(
+    `SELECT id, status, closed_at, realized_at, winner_user_id, winner_number,
+            coalesce(draw_type, 'principal') AS draw_type, product_name, number_count
+       FROM public.draws
+      WHERE id = $1
+      FOR UPDATE`,
+    [drawId]
+  );
+  const draw = rows[0];
+  if (!draw) throw coded("draw_not_found", { draw_id: drawId });
+
+  const status = String(draw.status || "").toLowerCase();
+  if (!draw.closed_at && !["closed", "fechado", "sorteado"].includes(status)) {
+    throw coded("draw_not_closed", { draw_id: drawId });
+  }
+  if (draw.winner_user_id != null || draw.winner_number != null) {
+    throw coded("draw_already_resolved", { draw_id: drawId });
+  }
+  // A Lotomania sorteia dezenas 00–99: cartelas maiores não têm como ser resolvidas pelo concurso.
+  if (Number(draw.number_count ?? LOTOMANIA_MAX_NUMBER + 1) > LOTOMANIA_MAX_NUMBER + 1) {
+    throw coded("draw_board_not_supported", { draw_id: drawId, number_count: Number(draw.number_count) });
+  }
+
+  const existing = await client.query(
+    `SELECT id FROM public.lotomania_draw_results WHERE draw_id = $1`,
+    [drawId]
+  );
+  if (existing.rows.length) throw coded("draw_already_resolved", { draw_id: drawId });
+
+  const owners = await loadSoldOwners(client, drawId, contest.drawn_numbers);
+  const resolution = resolveWinnerFromDrawnNumbers(contest.drawn_numbers, owners);
+  if (!resolution) throw coded("no_sold_number_in_contest", { draw_id: drawId });
+
+  const inserted = await client.query(
+    `INSERT INTO public.lotomania_draw_results
+       (contest_id, draw_id, last_drawn_number, winner_number, winner_position,
+        winner_user_id, winner_payment_id, rule_applied, derivation, resolved_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10)
+     RETURNING id, created_at`,
+    [
+      contest.id,
+      drawId,
+      resolution.last_drawn_number,
+      resolution.winner_number,
+      resolution.winner_position,
+      resolution.owner.user_id,
+      resolution.owner.payment_id,
+      resolution.rule_applied,
+      JSON.stringify(resolution.derivation),
+      adminUserId,
+    ]
+  );
+
+  const updated = await client.query(
+    `UPDATE public.draws
+        SET winner_number = $2,
+            winner_user_id = $3,
+            winner_name = COALESCE($4, winner_name),
+            realized_at = COALESCE(realized_at, now())
+      WHERE id = $1
+      RETURNING id, draw_type, product_name, winner_name, winner_number, winner_user_id, realized_at`,
+    [drawId, resolution.winner_number, resolution.owner.user_id, resolution.owner.user_name]
+  );
+
+  return {
+    result_id: inserted.rows[0]?.id ?? null,
+    draw_id: drawId,
+    draw_type: draw.draw_type,
+    product_name: draw.product_name || null,
+    winner_number: resolution.winner_number,
+    winner_position: resolution.winner_position,
+    last_drawn_number: resolution.last_drawn_number,
+    winner_user_id: resolution.owner.user_id,
+    winner_name: updated.rows[0]?.winner_name || resolution.owner.user_name,
+    winner_payment_id: resolution.owner.payment_id,
+    rule_applied: resolution.rule_applied,
+    derivation: resolution.derivation,
+    realized_at: updated.rows[0]?.realized_at ?? null,
+  };
+}
+
+/**
+ * Registra um concurso da Lotomania e resolve o ganhador dos sorteios vinculados.
+ * Tudo em uma transação: se algum sorteio não puder ser resolvido, nada é gravado.
+ *
+ * @returns {Promise<{ contest: object, results: object[] }>}
+ */
+export async function recordLotomaniaContest(
+  { contestNumber, drawDate, drawnNumbers, drawIds, adminUserId = null } = {},
+  options = {}
+) {
+  const contestInput = {
+    contestNumber: parseContestNumber(contestNumber),
+    drawDate: parseDrawDate(drawDate),
+    drawnNumbers: parseDrawnNumbers(drawnNumbers),
+    adminUserId: adminUserId != null ? Number(adminUserId) : null,
+  };
+  const ids = parseDrawIds(drawIds);
+
+  return withTransaction(options, async (client) => {
+    const contest = await upsertContest(client, contestInput);
+    const results = [];
+    for (const drawId of ids) {
+      results.push(await resolveDraw(client, { drawId, contest, adminUserId: contestInput.adminUserId }));
+    }
+    return { contest, results };
+  });
+}
+
+function maskWinnerName(name) {
+  const first = String(name ?? "").trim().split(/[\s@]+/)[0] || "";
+  return first ? first.slice(0, 40) : null;
+}
+
+function publicResult(row) {
+  return {
+    draw_id: Number(row.draw_id),
+    draw_type: row.draw_type || "principal",
+    product_name: row.product_name || null,
+    last_drawn_number: formatLotomaniaNumber(row.last_drawn_number),
+    winner_number: formatLotomaniaNumber(row.winner_number),
+    winner_position: Number(row.winner_position),
+    winner_name: maskWinnerName(row.winner_name),
+    rule_applied: row.rule_applied,
+    derivation: (row.derivation || []).map((step) => ({
+      position: Number(step.position),
+      number: formatLotomaniaNumber(step.number),
+      sold: !!step.sold,
+    })),
+    resolved_at: row.created_at,
+  };
+}
+
+function publicContest(row) {
+  return {
+    contest_number: Number(row.contest_number),
+    draw_date: toDateText(row.draw_date),
+    drawn_numbers: (row.drawn_numbers || []).map((n) => formatLotomaniaNumber(Number(n))),
+    recorded_at: row.created_at,
+  };
+}
+
+const RESULT_COLUMNS = `
+  r.draw_id, r.last_drawn_number, r.winner_number, r.winner_position,
+  r.rule_applied, r.derivation, r.created_at,
+  coalesce(d.draw_type, 'principal') AS draw_type, d.product_name, d.winner_name
+`;
+
+/**
+ * Dados públicos de um concurso e de como cada ganhador foi derivado.
+ */
+export async function getLotomaniaContest(contestNumber, options = {}) {
+  const number = parseContestNumber(contestNumber);
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT id, contest_number, draw_date, drawn_numbers, created_at
+       FROM public.lotomania_contests
+      WHERE contest_number = $1`,
+    [number]
+  );
+  const contest = rows[0];
+  if (!contest) return null;
+
+  const results = await runQuery(
+    options.pgClient,
+    `SELECT ${RESULT_COLUMNS}
+       FROM public.lotomania_draw_results r
+       JOIN public.draws d ON d.id = r.draw_id
+      WHERE r.contest_id = $1
+      ORDER BY r.draw_id ASC`,
+    [contest.id]
+  );
+
+  return { contest: publicContest(contest), results: (results.rows || []).map(publicResult) };
+}
+
+/**
+ * Resultado público de um sorteio resolvido pela Lotomania (ou null).
+ */
+export async function getLotomaniaDrawResult(drawId, options = {}) {
+  const id = Number(drawId);
+  if (!Number.isInteger(id) || id <= 0) throw coded("invalid_draw_id");
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT ${RESULT_COLUMNS},
+            c.contest_number, c.draw_date, c.drawn_numbers, c.created_at AS contest_created_at
+       FROM public.lotomania_draw_results r
+       JOIN public.lotomania_contests c ON c.id = r.contest_id
+       JOIN public.draws d ON d.id = r.draw_id
+      WHERE r.draw_id = $1`,
+    [id]
+  );
+  const row = rows[0];
+  if (!row) return null;
+  return {
+    contest: publicContest({ ...row, created_at: row.contest_created_at }),
+    result: publicResult(row),
+  };
+}
+
+/**
+ * Lista concursos registrados (admin), com os sorteios vinculados.
+ */
+export async function listLotomaniaContests({ limit = 50, offset = 0 } = {}, options = {}) {
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const safeOffset = Math.max(Number(offset) || 0, 0);
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT c.id, c.contest_number, c.draw_date, c.drawn_numbers, c.created_by_user_id, c.created_at,
+            COALESCE(
+              json_agg(json_build_object(
+                'draw_id', r.draw_id,
+                'winner_number', r.winner_number,
+                'winner_position', r.winner_position,
+                'winner_user_id', r.winner_user_id,
+                'winner_payment_id', r.winner_payment_id,
+                'rule_applied', r.rule_applied,
+                'resolved_by_user_id', r.resolved_by_user_id,
+                'resolved_at', r.created_at
+              ) ORDER BY r.draw_id) FILTER (WHERE r.id IS NOT NULL),
+              '[]'::json
+            ) AS draws
+       FROM public.lotomania_contests c
+       LEFT JOIN public.lotomania_draw_results r ON r.contest_id = c.id
+      GROUP BY c.id
+      ORDER BY c.contest_number DESC
+      LIMIT $1 OFFSET $2`,
+    [safeLimit, safeOffset]
+  );
+  return { contests: rows, limit: safeLimit, offset: safeOffset };
+}
@@ -1,11 +1,25 @@
 // backend/src/services/mercadopago.js
 // ESM
 import crypto from "node:crypto";
+import http from "node:http";
 import https from "node:https";
 
-const MP_BASE =
-  (process.env.MP_BASE_URL && process.env.MP_BASE_URL.replace(/\/+$/, "")) ||
-  "https://api.mercadopago.com";
+const DEFAULT_MP_BASE = "https://api.mercadopago.com";
+const LOOPBACK_BASE_RE = /^http:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i;
+
+// Lido a cada chamada: MP_BASE_URL pode apontar para o simulador local (src/scripts/mp_simulator.js).
+// http só é aceito em loopback; qualquer outro host vai por https (o token segue no header).
+export function getMercadoPagoBaseUrl() {
+  const raw = String(process.env.MP_BASE_URL || "").trim().replace(/\/+$/, "");
+  if (!raw) return DEFAULT_MP_BASE;
+  if (/^http:\/\//i.test(raw) && !LOOPBACK_BASE_RE.test(raw)) return raw.replace(/^http:/i, "https:");
+  return raw;
+}
+
+function getMercadoPagoTimeoutMs() {
+  const n = Number(process.env.MP_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : 15000;
+}
 
 // Busca o token sempre que precisar (permite trocar env e redeploy sem cache em const)
 export function getMercadoPagoAccessToken() {
@@ -25,7 +39,7 @@ async function mpFetch(
   path,
   body,
   extraHeaders = {},
-  { timeoutMs = 15000 } = {}
+  { timeoutMs = getMercadoPagoTimeoutMs() } = {}
 ) {
   ensureToken();
 
@@ -34,7 +48,7 @@ async function mpFetch(
 
   let res;
   try {
-    res = await fetch(`${MP_BASE}${path}`, {
+    res = await fetch(`${getMercadoPagoBaseUrl()}${path}`, {
       method,
       headers: {
         Authorization: `Bearer ${getMercadoPagoAccessToken()}`,
@@ -103,17 +117,19 @@ function shouldRetryWithoutTlsVerification(err) {
 function mpHttpsRequest(method, path, body, extraHeaders = {}, options = {}) {
   ensureToken();
 
-  const url = new URL(`${MP_BASE}${path}`);
+  const url = new URL(`${getMercadoPagoBaseUrl()}${path}`);
   const payload = body != null ? JSON.stringify(body) : undefined;
   const rejectUnauthorized = options.rejectUnauthorized !== false;
+  // http só quando MP_BASE_URL aponta para o simulador local
+  const transport = url.protocol === "http:" ? http : https;
 
   return new Promise((resolve, reject) => {
-    const req = https.request(
+    const req = transport.request(
       url,
       {
         method,
-        rejectUnauthorized,
-        timeout: options.timeoutMs || 15000,
+        ...(transport === https ? { rejectUnauthorized } : {}),
+        timeout: options.timeoutMs || getMercadoPagoTimeoutMs(),
         headers: {
           Authorization: `Bearer ${getMercadoPagoAccessToken()}`,
           "Content-Type": "application/json",
@@ -330,4 +346,45 @@ export async function mpCreatePixPayment({
   );
 }
 
-export default { mpEnsureCustomer, mpSaveCard, mpChargeCard, mpCreatePixPayment };
+/**
+ * Cliente de pagamentos no formato do `Payment` do SDK (create/get), usado pelas rotas de PIX.
+ * Vai por mpRequest, então respeita MP_BASE_URL/MP_TIMEOUT_MS sem depender da config global do SDK.
+ */
+export function createMercadoPagoPaymentClient() {
+  return {
+    create: ({ body, requestOptions = {} }) =>
+      mpRequest("POST", "/v1/payments", body, {
+        "X-Idempotency-Key": requestOptions.idempotencyKey || crypto.randomUUID(),
+      }),
+    get: ({ id }) => mpRequest("GET", `/v1/payments/${encodeURIComponent(String(id))}`),
+  };
+}
+
+/**
+ * Estorna um pagamento (total quando amount_cents não é informado).
+ * Retorna: { refundId, status, amount_cents }
+ */
+export async function mpRefundPayment({ paymentId, amount_cents = null, idempotencyKey = crypto.randomUUID() }) {
+  ensureToken();
+  const body = amount_cents != null ? { amount: toBRL(amount_cents) } : {};
+  const refund = await mpFetch(
+    "POST",
+    `/v1/payments/${encodeURIComponent(String(paymentId))}/refunds`,
+    body,
+    { "X-Idempotency-Key": idempotencyKey }
+  );
+  return {
+    refundId: refund?.id != null ? String(refund.id) : null,
+    status: refund?.status || null,
+    amount_cents: refund?.amount != null ? Math.round(Number(refund.amount) * 100) : amount_cents,
+  };
+}
+
+export default {
+  mpEnsureCustomer,
+  mpSaveCard,
+  mpChargeCard,
+  mpCreatePixPayment,
+  mpRefundPayment,
+  createMercadoPagoPaymentClient,
+};
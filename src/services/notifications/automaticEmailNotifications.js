@@ -1,4 +1,5 @@
 import { query } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 import {
   createCampaign,
   createDispatch,
@@ -8,6 +9,13 @@ import {
 } from "./notificationLog.js";
 import { createSmtpTransporter, getSmtpConfig } from "./manualEmailNotifications.js";
 import { renderTemplate } from "./manualNotificationPreview.js";
+import { emailConsentAllowedSql } from "./communicationConsent.js";
+import {
+  appendEmailUnsubscribeFooter,
+  buildEmailUnsubscribeUrl,
+  emailUnsubscribeHeaders,
+} from "./emailUnsubscribe.js";
+import { remainingPercent, remainingThresholdReached } from "../drawNumbers.js";
 
 export const AUTOMATIC_EMAIL_EVENT_KEYS = Object.freeze([
   "NEW_DRAW_PUBLISHED",
@@ -16,14 +24,33 @@ export const AUTOMATIC_EMAIL_EVENT_KEYS = Object.freeze([
   "EMAIL_DRAW_REMAINING_30",
   "EMAIL_DRAW_REMAINING_15",
   "DRAW_CLOSED",
+  "BALANCE_EXPIRING_30_DAYS",
+  "BALANCE_EXPIRING_15_DAYS",
+  "BALANCE_EXPIRING_10_DAYS",
+  "BALANCE_EXPIRING_7_DAYS",
+  "BALANCE_EXPIRED",
+]);
+
+// Eventos de saldo (couponBalanceExpiry.js): um destinatário só, metadata.user_id, sem sorteio.
+const BALANCE_EVENT_KEYS = new Set([
+  "BALANCE_EXPIRING_30_DAYS",
+  "BALANCE_EXPIRING_15_DAYS",
+  "BALANCE_EXPIRING_10_DAYS",
+  "BALANCE_EXPIRING_7_DAYS",
+  "BALANCE_EXPIRED",
 ]);
 
+// Porcentagem da cartela (draws.number_count) ainda disponível; em 00–99 coincide com a quantidade.
 const REMAINING_THRESHOLDS = new Map([
   ["EMAIL_DRAW_REMAINING_75", 75],
   ["EMAIL_DRAW_REMAINING_50", 50],
   ["EMAIL_DRAW_REMAINING_30", 30],
   ["EMAIL_DRAW_REMAINING_15", 15],
 ]);
+// Novo sorteio e números acabando são divulgação; encerramento (participantes) e saldo são da conta.
+export function automaticEmailConsentCategory(eventKey) {
+  return eventKey === "NEW_DRAW_PUBLISHED" || REMAINING_THRESHOLDS.has(eventKey) ? "marketing" : "operational";
+}
 const CAIXA_URL = "https://www.youtube.com/@caixa";
 const FALLBACK_SITE_URL = "https://sorteiosxnamai.com.br";
 
@@ -69,22 +96,15 @@ function drawName(draw, config, principalConfig) {
   );
 }
 
-function eventError(code, extra = {}) {
-  const error = new Error(code);
-  error.code = code;
-  Object.assign(error, extra);
-  return error;
-}
-
 async function loadDrawContext(drawId) {
   const drawResult = await query(
-    `SELECT id, status, draw_type, product_name, opened_at, closed_at
+    `SELECT id, status, draw_type, product_name, opened_at, closed_at, number_count
        FROM public.draws
       WHERE id = $1`,
     [drawId]
   );
   const draw = drawResult.rows?.[0];
-  if (!draw) throw eventError("email_draw_not_found", { drawId });
+  if (!draw) throw coded("email_draw_not_found", { drawId });
 
   const configResult = await query(
     `SELECT id, banner_title
@@ -101,7 +121,7 @@ async function loadDrawContext(drawId) {
 
   const resolvedType = cleanText(draw.draw_type) || "principal";
   if (!["principal", "adicional", "secundario"].includes(resolvedType)) {
-    throw eventError("email_draw_type_not_allowed", { drawId });
+    throw coded("email_draw_type_not_allowed", { drawId });
   }
   return {
     draw: { ...draw, draw_type: resolvedType },
@@ -113,6 +133,7 @@ async function loadDrawContext(drawId) {
 }
 
 async function loadRecipients(drawId, eventKey) {
+  const consentSql = emailConsentAllowedSql(automaticEmailConsentCategory(eventKey), "u.id");
   const sql = eventKey === "DRAW_CLOSED"
     ? `SELECT DISTINCT u.id, u.name, u.email
          FROM public.users u
@@ -128,11 +149,13 @@ async function loadRecipients(drawId, eventKey) {
                     AND lower(coalesce(p.status, '')) IN ('approved', 'paid', 'pago')
                ))
           AND u.email IS NOT NULL
+          AND ${consentSql}
         ORDER BY u.id`
-    : `SELECT id, name, email
-         FROM public.users
-        WHERE email IS NOT NULL
-        ORDER BY id`;
+    : `SELECT u.id, u.name, u.email
+         FROM public.users u
+        WHERE u.email IS NOT NULL
+          AND ${consentSql}
+        ORDER BY u.id`;
   const result = await query(sql, [drawId]);
   const seen = new Set();
   return (result.rows || []).filter((user) => {
@@ -143,6 +166,18 @@ async function loadRecipients(drawId, eventKey) {
   });
 }
 
+async function loadBalanceRecipients(userId) {
+  const result = await query(
+    `SELECT u.id, u.name, u.email
+       FROM public.users u
+      WHERE u.id = $1
+        AND u.email IS NOT NULL
+        AND ${emailConsentAllowedSql("operational", "u.id")}`,
+    [userId]
+  );
+  return (result.rows || []).filter((user) => validEmail(user.email));
+}
+
 async function loadRemaining(drawId) {
   const result = await query(
     `SELECT COUNT(*) FILTER (WHERE status = 'available')::int AS remaining_numbers
@@ -153,6 +188,39 @@ async function loadRemaining(drawId) {
   return Number(result.rows?.[0]?.remaining_numbers || 0);
 }
 
+function formatBrl(cents) {
+  return (Number(cents || 0) / 100).toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+}
+
+function formatDateBr(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("pt-BR", { timeZone: "America/Sao_Paulo" });
+}
+
+function renderBalanceTemplate(eventKey, user, metadata) {
+  const params = {
+    name: cleanText(user.name) || "Cliente",
+    balance: formatBrl(metadata?.balance_cents),
+    expires_date: formatDateBr(metadata?.expires_at),
+    site_url: baseUrl(),
+  };
+  if (eventKey === "BALANCE_EXPIRED") {
+    return {
+      subject: renderTemplate("Seu saldo de {{balance}} venceu", params),
+      html: renderTemplate(`<p>Olá, {{name}}!</p><p>{{balance}} do seu saldo em cupom venceu e foi retirado da sua conta.</p><p>Confira o saldo atual e os próximos vencimentos:</p><p><a href="{{site_url}}">{{site_url}}</a></p><p>Equipe NewStore</p>`, params),
+      text: renderTemplate("Olá, {{name}}!\n\n{{balance}} do seu saldo em cupom venceu e foi retirado da sua conta.\n\nConfira o saldo atual e os próximos vencimentos:\n{{site_url}}\n\nEquipe NewStore", params),
+      templateKey: "BALANCE_EXPIRED_EMAIL",
+    };
+  }
+  return {
+    subject: renderTemplate("Seu saldo de {{balance}} vence em {{expires_date}}", params),
+    html: renderTemplate(`<p>Olá, {{name}}!</p><p>{{balance}} do seu saldo em cupom vence em {{expires_date}}.</p><p>Use antes do vencimento:</p><p><a href="{{site_url}}">{{site_url}}</a></p><p>Equipe NewStore</p>`, params),
+    text: renderTemplate("Olá, {{name}}!\n\n{{balance}} do seu saldo em cupom vence em {{expires_date}}.\n\nUse antes do vencimento:\n{{site_url}}\n\nEquipe NewStore", params),
+    templateKey: eventKey,
+  };
+}
+
 function renderAutomaticTemplate(eventKey, user, context, remainingNumbers) {
   const params = {
     name: cleanText(user.name) || "Cliente",
@@ -176,11 +244,10 @@ function renderAutomaticTemplate(eventKey, user, context, remainingNumbers) {
       templateKey: "DRAW_CLOSED_EMAIL",
     };
   }
-  const threshold = REMAINING_THRESHOLDS.get(eventKey);
   return {
-    subject: renderTemplate(`Restam ${threshold} números disponíveis no sorteio {{draw_name}}`, params),
-    html: renderTemplate(`<p>Olá, {{name}}!</p><p>Restam ${threshold} números disponíveis no sorteio {{draw_name}}.</p><p><a href="{{draw_url}}">Acesse o site para escolher seus números</a></p>`, params),
-    text: renderTemplate(`Olá, {{name}}!\n\nRestam ${threshold} números disponíveis no sorteio {{draw_name}}.\n\nAcesse o site para escolher seus números:\n{{draw_url}}`, params),
+    subject: renderTemplate("Restam {{remaining_numbers}} números disponíveis no sorteio {{draw_name}}", params),
+    html: renderTemplate(`<p>Olá, {{name}}!</p><p>Restam {{remaining_numbers}} números disponíveis no sorteio {{draw_name}}.</p><p><a href="{{draw_url}}">Acesse o site para escolher seus números</a></p>`, params),
+    text: renderTemplate(`Olá, {{name}}!\n\nRestam {{remaining_numbers}} números disponíveis no sorteio {{draw_name}}.\n\nAcesse o site para escolher seus números:\n{{draw_url}}`, params),
     templateKey: eventKey,
   };
 }
@@ -192,7 +259,7 @@ async function alreadyDispatched({ eventKey, referenceKey, drawId, userId }) {
       WHERE channel = 'email'
         AND event_key = $1
         AND user_id = $2
-        AND draw_id = $3
+        AND draw_id IS NOT DISTINCT FROM $3
         AND payload->>'source' = 'automation'
         AND payload->>'automation' = 'true'
         AND payload->>'reference_key' = $4
@@ -212,6 +279,7 @@ export async function handleAutomaticEmailEvent({
 } = {}, dependencies = {}) {
   const loadContext = dependencies.loadDrawContext || loadDrawContext;
   const loadEventRecipients = dependencies.loadRecipients || loadRecipients;
+  const loadUserRecipients = dependencies.loadBalanceRecipients || loadBalanceRecipients;
   const loadEventRemaining = dependencies.loadRemaining || loadRemaining;
   const wasAlreadyDispatched = dependencies.alreadyDispatched || alreadyDispatched;
   const resolveSmtpConfig = dependencies.getSmtpConfig || getSmtpConfig;
@@ -222,10 +290,13 @@ export async function handleAutomaticEmailEvent({
   const failDispatch = dependencies.markDispatchFailed || markDispatchFailed;
   const updateCampaign = dependencies.updateCampaignAudienceCounts || updateCampaignAudienceCounts;
   const key = cleanText(eventKey);
-  const drawId = Number(metadata?.draw_id);
-  if (!AUTOMATIC_EMAIL_EVENT_KEYS.includes(key)) throw eventError("email_event_not_allowed");
-  if (!Number.isInteger(drawId) || drawId <= 0) throw eventError("email_draw_id_invalid");
-  if (!cleanText(referenceKey)) throw eventError("email_reference_key_invalid");
+  const isBalance = BALANCE_EVENT_KEYS.has(key);
+  const drawId = isBalance ? null : Number(metadata?.draw_id);
+  const userId = isBalance ? Number(metadata?.user_id) : null;
+  if (!AUTOMATIC_EMAIL_EVENT_KEYS.includes(key)) throw coded("email_event_not_allowed");
+  if (isBalance && (!Number.isInteger(userId) || userId <= 0)) throw coded("email_user_id_invalid");
+  if (!isBalance && (!Number.isInteger(drawId) || drawId <= 0)) throw coded("email_draw_id_invalid");
+  if (!cleanText(referenceKey)) throw coded("email_reference_key_invalid");
   console.log("[email-automation] event_received", { event_key: key, reference_key: referenceKey, draw_id: drawId });
   if (!isEnabled()) {
     console.log("[email-automation] skipped", { event_key: key, reference_key: referenceKey, draw_id: drawId, reason: "disabled" });
@@ -243,7 +314,7 @@ export async function handleAutomaticEmailEvent({
     };
   }
 
-  const context = await loadContext(drawId);
+  const context = isBalance ? null : await loadContext(drawId);
   if (key === "DRAW_CLOSED" && !isDrawClosedForEmail(context.draw)) {
     return {
       ok: true,
@@ -273,7 +344,30 @@ export async function handleAutomaticEmailEvent({
     };
   }
   const remainingNumbers = REMAINING_THRESHOLDS.has(key) ? await loadEventRemaining(drawId) : null;
-  const recipients = await loadEventRecipients(drawId, key);
+  if (
+    REMAINING_THRESHOLDS.has(key) &&
+    !remainingThresholdReached({
+      remaining: remainingNumbers,
+      numberCount: context.draw.number_count,
+      percent: REMAINING_THRESHOLDS.get(key),
+    })
+  ) {
+    return {
+      ok: true,
+      status: "skipped",
+      reason: "remaining_threshold_not_reached",
+      event_key: key,
+      reference_key: referenceKey,
+      draw_id: drawId,
+      remaining_numbers: remainingNumbers,
+      remaining_percent: remainingPercent(remainingNumbers, context.draw.number_count),
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      deduped: 0,
+    };
+  }
+  const recipients = isBalance ? await loadUserRecipients(userId) : await loadEventRecipients(drawId, key);
   console.log("[email-automation] recipients_resolved", { event_key: key, reference_key: referenceKey, draw_id: drawId, count: recipients.length });
   if (!recipients.length) {
     return {
@@ -338,15 +432,18 @@ export async function handleAutomaticEmailEvent({
     };
   }
   const mailer = createMailer(smtp);
-  const renderedByUser = (user) => renderAutomaticTemplate(key, user, context, remainingNumbers);
+  const consentCategory = automaticEmailConsentCategory(key);
+  const renderedByUser = (user) => (isBalance
+    ? renderBalanceTemplate(key, user, metadata)
+    : renderAutomaticTemplate(key, user, context, remainingNumbers));
   const firstRendered = renderedByUser(pendingRecipients[0]);
   const campaign = await createCampaignRecord({
     name: `Automatic email - ${firstRendered.subject}`.slice(0, 255),
     channel: "email",
     provider: "brevo_smtp",
     templateKey: firstRendered.templateKey,
-    audienceFilter: key === "DRAW_CLOSED" ? "draw_participants" : "all_with_email",
-    audienceParams: { draw_id: drawId, event_key: key, reference_key: referenceKey },
+    audienceFilter: isBalance ? "single_user" : key === "DRAW_CLOSED" ? "draw_participants" : "all_with_email",
+    audienceParams: { draw_id: drawId, user_id: userId, event_key: key, reference_key: referenceKey },
     payload: { source: "automation", automation: true, event_key: key, reference_key: referenceKey, draw_id: drawId, reference_type: referenceType, occurred_at: occurredAt },
     messageSnapshot: { source: "automation", automation: true, event_key: key, subject: firstRendered.subject },
     audienceSnapshot: { source: "automation", automation: true, draw_id: drawId, resolved_recipients: recipients.length },
@@ -357,7 +454,8 @@ export async function handleAutomaticEmailEvent({
   let sent = 0;
   let failed = 0;
   for (const user of pendingRecipients) {
-    const rendered = renderedByUser(user);
+    const unsubscribeUrl = buildEmailUnsubscribeUrl({ userId: user.id, category: consentCategory });
+    const rendered = appendEmailUnsubscribeFooter(renderedByUser(user), unsubscribeUrl);
     const dispatch = await createDispatchRecord({
       eventKey: key,
       channel: "email",
@@ -380,6 +478,7 @@ export async function handleAutomaticEmailEvent({
         subject: rendered.subject,
         html: rendered.html,
         text: rendered.text,
+        headers: emailUnsubscribeHeaders(unsubscribeUrl),
       });
       await acceptDispatch({ dispatchId: dispatch.id, result: { ok: true, provider_status: "accepted", delivery_status: "unknown", messageId: info?.messageId || null, response: { accepted: info?.accepted?.length || 0 } } });
       sent += 1;
@@ -1,12 +1,7 @@
 // src/services/notifications/brevoWhatsAppTemplates.js
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
 import { normalizeProviderTemplateId } from "./manualWhatsAppTemplates.js";
 
-async function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 function getBaseUrl() {
   return (process.env.BREVO_WHATSAPP_BASE_URL || "https://api.brevo.com/v3").replace(
     /\/+$/,
@@ -1,7 +1,12 @@
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
 
 export const WHATSAPP_CONSENT_CATEGORY_DEFAULT = "manual";
 
+// E-mail: sem registro vale o padrão (opt-out); descadastro grava "unsubscribed".
+// "all" vale para as duas categorias.
+export const EMAIL_CONSENT_CATEGORIES = Object.freeze(["operational", "marketing"]);
+const EMAIL_ALLOWED_CATEGORIES = new Set(["all", ...EMAIL_CONSENT_CATEGORIES]);
+
 const ALLOWED_CATEGORIES = new Set([
   "all",
   "manual",
@@ -27,11 +32,6 @@ const REVOKED_STATUSES = new Set([
   "unsubscribed",
 ]);
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 function envBool(name, defaultValue) {
   const raw = process.env[name];
   if (raw == null || raw === "") return defaultValue;
@@ -55,6 +55,47 @@ function maskPhone(phone) {
   return `${digits.slice(0, 2)}****${digits.slice(-4)}`;
 }
 
+export function isEmailMarketingOptInRequired() {
+  return envBool("NOTIFICATION_EMAIL_MARKETING_REQUIRE_OPT_IN", false);
+}
+
+export function isAllowedEmailConsentCategory(category) {
+  return EMAIL_ALLOWED_CATEGORIES.has(cleanText(category).toLowerCase());
+}
+
+export function normalizeEmailConsentCategory(category, fallback = "marketing") {
+  const raw = cleanText(category).toLowerCase() || fallback;
+  if (!EMAIL_CONSENT_CATEGORIES.includes(raw)) {
+    const error = new Error("email_consent_category_invalid");
+    error.code = "email_consent_category_invalid";
+    throw error;
+  }
+  return raw;
+}
+
+function emailConsentDefault(category, requireGranted) {
+  if (requireGranted) return false;
+  return !(category === "marketing" && isEmailMarketingOptInRequired());
+}
+
+/**
+ * Condição SQL "o usuário aceita e-mail da categoria": vale o registro mais recente de
+ * e-mail na categoria ou em "all". `requireGranted` exige opt-in explícito (audience all_consented).
+ */
+export function emailConsentAllowedSql(category, userIdExpr = "u.id", { requireGranted = false } = {}) {
+  const safe = normalizeEmailConsentCategory(category);
+  const granted = Array.from(GRANTED_STATUSES).map((status) => `'${status}'`).join(", ");
+  return `COALESCE((
+      SELECT LOWER(cc.status) IN (${granted})
+        FROM public.communication_consents cc
+       WHERE cc.user_id = ${userIdExpr}
+         AND LOWER(cc.channel) = 'email'
+         AND LOWER(cc.category) IN ('${safe}', 'all')
+       ORDER BY cc.created_at DESC
+       LIMIT 1
+    ), ${emailConsentDefault(safe, requireGranted)})`;
+}
+
 export function isWhatsAppConsentRequired() {
   return envBool("NOTIFICATION_WHATSAPP_REQUIRE_CONSENT", true);
 }
@@ -194,6 +235,28 @@ export async function getWhatsappConsentStatusForUser({
   };
 }
 
+export async function getEmailConsentStatusForUser({
+  pgClient,
+  userId,
+  category = "marketing",
+} = {}) {
+  const safeCategory = normalizeEmailConsentCategory(category);
+  const consent = await getUserCommunicationConsent({
+    pgClient,
+    userId,
+    channel: "email",
+    category: safeCategory,
+  });
+  const missing = consent.status === "missing";
+  return {
+    email_consent_status: missing ? "default" : consent.status,
+    email_can_send: missing ? emailConsentDefault(safeCategory, false) : consent.whatsapp_can_send === true,
+    email_consent_category: safeCategory,
+    email_consent_source: consent.source || null,
+    email_consent_at: consent.created_at || null,
+  };
+}
+
 export async function canSendWhatsAppToUser({
   pgClient,
   userId,
@@ -348,10 +411,19 @@ export async function countWhatsAppConsentForAudience({
   }
 }
 
-export async function createWhatsAppCommunicationConsent({
+export async function createWhatsAppCommunicationConsent(input = {}) {
+  return createCommunicationConsent("whatsapp", normalizeCategory(input.category || "all"), input);
+}
+
+export async function createEmailCommunicationConsent(input = {}) {
+  const category = cleanText(input.category || "all").toLowerCase();
+  if (!EMAIL_ALLOWED_CATEGORIES.has(category)) return { ok: false, error: "invalid_category" };
+  return createCommunicationConsent("email", category, input);
+}
+
+async function createCommunicationConsent(channel, safeCategory, {
   pgClient,
   userId,
-  category = "all",
   status,
   source = "account_page",
   ip = null,
@@ -359,7 +431,6 @@ export async function createWhatsAppCommunicationConsent({
   meta = {},
 } = {}) {
   const uid = Number(userId);
-  const safeCategory = normalizeCategory(category || "all");
   const safeStatus = cleanText(status).toLowerCase();
 
   if (!Number.isInteger(uid) || uid <= 0) {
@@ -374,7 +445,7 @@ export async function createWhatsAppCommunicationConsent({
       pgClient,
       `INSERT INTO public.communication_consents
          (user_id, channel, category, status, source, ip, user_agent, meta, created_at)
-       VALUES ($1, 'whatsapp', $2, $3, $4, $5, $6, $7::jsonb, NOW())
+       VALUES ($1, $8, $2, $3, $4, $5, $6, $7::jsonb, NOW())
        RETURNING user_id, channel, category, status, source, created_at`,
       [
         uid,
@@ -384,17 +455,18 @@ export async function createWhatsAppCommunicationConsent({
         ip ? String(ip).slice(0, 128) : null,
         userAgent ? String(userAgent).slice(0, 512) : null,
         JSON.stringify(meta && typeof meta === "object" && !Array.isArray(meta) ? meta : {}),
+        channel,
       ]
     );
     return { ok: true, consent: result.rows?.[0] || null };
   } catch (error) {
     if (error?.code === "42P01" || error?.code === "42703") {
-      console.warn("[whatsapp-consent] write:blocked", {
+      console.warn(`[${channel}-consent] write:blocked`, {
         user_id: uid,
         category: safeCategory,
         schema_error: true,
       });
-      return { ok: false, error: "whatsapp_consent_unknown" };
+      return { ok: false, error: `${channel}_consent_unknown` };
     }
     throw error;
   }
@@ -0,0 +1,126 @@
+// Descadastro de e-mail em um clique: link assinado (HMAC) por usuário e categoria, sem
+// tabela de tokens e sem expiração (links de e-mails antigos continuam valendo).
+// O link vai no rodapé de todo e-mail e no cabeçalho List-Unsubscribe (RFC 8058).
+import crypto from "node:crypto";
+import {
+  createEmailCommunicationConsent,
+  normalizeEmailConsentCategory,
+} from "./communicationConsent.js";
+import { coded } from "../../lib/errors.js";
+
+const UNSUBSCRIBE_PATH = "/api/email/unsubscribe";
+const FALLBACK_SITE_URL = "https://sorteiosxnamai.com.br";
+
+function unsubscribeSecret() {
+  const secret = String(
+    process.env.EMAIL_UNSUBSCRIBE_SECRET ||
+      process.env.JWT_SECRET ||
+      process.env.JWT_SECRET_KEY ||
+      process.env.SUPABASE_JWT_SECRET ||
+      ""
+  ).trim();
+  if (!secret) throw coded("email_unsubscribe_secret_missing");
+  return secret;
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", unsubscribeSecret())
+    .update(`email-unsubscribe:${payload}`)
+    .digest("base64url");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function createEmailUnsubscribeToken({ userId, category }) {
+  const uid = Number(userId);
+  if (!Number.isInteger(uid) || uid <= 0) throw coded("email_unsubscribe_user_invalid");
+  const payload = Buffer.from(`${uid}:${normalizeEmailConsentCategory(category)}`).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/** Retorna { userId, category } ou lança email_unsubscribe_token_invalid. */
+export function verifyEmailUnsubscribeToken(token) {
+  const [payload, signature, extra] = String(token || "").trim().split(".");
+  if (!payload || !signature || extra !== undefined) throw coded("email_unsubscribe_token_invalid");
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw coded("email_unsubscribe_token_invalid");
+  }
+  const [rawUserId, category] = Buffer.from(payload, "base64url").toString("utf8").split(":");
+  const userId = Number(rawUserId);
+  if (!Number.isInteger(userId) || userId <= 0) throw coded("email_unsubscribe_token_invalid");
+  try {
+    return { userId, category: normalizeEmailConsentCategory(category) };
+  } catch {
+    throw coded("email_unsubscribe_token_invalid");
+  }
+}
+
+function unsubscribeBaseUrl() {
+  const explicit = String(process.env.EMAIL_UNSUBSCRIBE_PUBLIC_URL || "").trim();
+  if (explicit) return explicit.replace(/\/+$/, "");
+  const base = String(
+    process.env.PUBLIC_URL ||
+      process.env.PUBLIC_APP_URL ||
+      process.env.FRONTEND_URL ||
+      process.env.SITE_URL ||
+      FALLBACK_SITE_URL
+  ).trim().replace(/\/+$/, "");
+  return `${base}${UNSUBSCRIBE_PATH}`;
+}
+
+export function buildEmailUnsubscribeUrl({ userId, category }) {
+  const token = createEmailUnsubscribeToken({ userId, category });
+  return `${unsubscribeBaseUrl()}?token=${encodeURIComponent(token)}`;
+}
+
+/** Cabeçalhos para o nodemailer (`headers`): descadastro pelo próprio cliente de e-mail. */
+export function emailUnsubscribeHeaders(url) {
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+/**
+ * Acrescenta o rodapé de descadastro ao html/text já renderizados. Template que já usa
+ * {{unsubscribe_url}} (o link aparece no corpo) fica como está.
+ */
+export function appendEmailUnsubscribeFooter({ html, text, ...rest }, url) {
+  const hasHtmlLink = String(html || "").includes(url) || String(html || "").includes(escapeHtml(url));
+  const hasTextLink = String(text || "").includes(url);
+  return {
+    ...rest,
+    html: hasHtmlLink || !html
+      ? html
+      : `${html}<p style="font-size:12px;color:#777">Não quer mais receber estes e-mails? <a href="${escapeHtml(url)}">Descadastrar</a></p>`,
+    text: hasTextLink || !text
+      ? text
+      : `${text}\n\nNão quer mais receber estes e-mails? Descadastre-se: ${url}`,
+  };
+}
+
+export async function unsubscribeEmailByToken({ token, source = "unsubscribe_link", ip = null, userAgent = null }, options = {}) {
+  const { userId, category } = verifyEmailUnsubscribeToken(token);
+  const result = await createEmailCommunicationConsent({
+    pgClient: options.pgClient,
+    userId,
+    category,
+    status: "unsubscribed",
+    source,
+    ip,
+    userAgent,
+    meta: { action: "opt_out" },
+  });
+  if (!result.ok) throw coded(result.error || "email_consent_unknown");
+  console.log("[email-consent] unsubscribed", { user_id: userId, category, source });
+  return { ok: true, user_id: userId, category };
+}
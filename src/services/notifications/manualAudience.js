@@ -1,8 +1,11 @@
 export const MANUAL_BATCH_SIZE = 50;
+// Limite do envio dentro do request. Públicos em massa vão para a fila
+// (manualCampaignJobs.js), sem limite de tamanho.
 export const MANUAL_MAX_CAMPAIGN_USERS = 500;
 
-export const EMAIL_ALL_CONSENTED_SUPPORTED = false;
-export const EMAIL_ALL_CONSENTED_UNAVAILABLE_REASON = "email_consent_not_available";
+export function isBackgroundManualAudience(audience) {
+  return String(audience || "selected") !== "selected";
+}
 
 export function estimatedManualBatches(uniqueUsers) {
   const count = Number(uniqueUsers);
@@ -0,0 +1,607 @@
+// src/services/notifications/manualCampaignJobs.js
+// Campanhas manuais em segundo plano (migration 045), sem limite de tamanho de público.
+//
+// - queueManualCampaign congela os user_ids elegíveis em recipient_user_ids e enfileira o
+//   primeiro lote (job "notification_campaign_batch", dedupe por campanha + cursor)
+// - cada job envia um lote de MANUAL_BATCH_SIZE usuários a partir de progress_cursor,
+//   avança o cursor/contadores na linha da campanha e agenda o próximo lote
+// - consentimento e inscrições de push são reavaliados no lote: quem saiu depois do envio
+//   conta como skipped
+// - lote interrompido (processo caiu) roda de novo: quem já tem dispatch na campanha é pulado,
+//   mesmo que o dispatch tenha ficado 'pending' (no máximo uma tentativa por destinatário)
+// - pausar/cancelar valem a partir do próximo lote; retomar reagenda do cursor
+// - envios respeitam o limite por provedor (providerRateLimit.js)
+// - teste A/B: com payload.variants cada destinatário cai numa variante por hash de
+//   (campanha, usuário), estável entre lotes e retomadas; a variante fica no dispatch
+import { createHash } from "node:crypto";
+import { runQuery, withTransaction } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+import { enqueueJob } from "../jobQueue.js";
+import { createCampaign } from "./notificationLog.js";
+import { sendBrevoWhatsAppTemplate } from "./brevoWhatsApp.js";
+import { manualSendSelected } from "./notificationCenter.js";
+import {
+  applyManualVariant,
+  buildManualNotificationPreview,
+  loadManualEmailAudience,
+  resolveManualTemplate,
+} from "./manualNotificationPreview.js";
+import {
+  loadManualPushSubscriptions,
+  sendManualPushToSubscription,
+  validatePushMessage,
+} from "./manualPushNotifications.js";
+import { resolveManualMailer, sendManualEmailToUser } from "./manualEmailNotifications.js";
+import { sendPushToSubscriptionRow } from "./pushNotifications.js";
+import { MANUAL_BATCH_SIZE, estimatedManualBatches } from "./manualAudience.js";
+import { rateLimited } from "./providerRateLimit.js";
+
+export const MANUAL_CAMPAIGN_BATCH_JOB = "notification_campaign_batch";
+export const MANUAL_CAMPAIGN_STATUSES = Object.freeze([
+  "queued",
+  "running",
+  "paused",
+  "completed",
+  "cancelled",
+]);
+
+const LOG_PREFIX = "[notifications.campaigns]";
+const PROVIDERS = Object.freeze({ push: "web_push", email: "brevo_smtp", whatsapp: "brevo" });
+export const MANUAL_NO_RECIPIENTS_ERRORS = Object.freeze({
+  push: "manual_push_no_eligible_recipients",
+  email: "manual_email_no_valid_recipients",
+  whatsapp: "manual_recipients_required",
+});
+
+export function campaignBatchDedupeKey(campaignId, cursor) {
+  return `campaign:${campaignId}:${Number(cursor) || 0}`;
+}
+
+function enqueueCampaignBatch(pgClient, campaign, enqueue = enqueueJob) {
+  return enqueue(
+    MANUAL_CAMPAIGN_BATCH_JOB,
+    { campaign_id: campaign.id },
+    { dedupeKey: campaignBatchDedupeKey(campaign.id, campaign.progress_cursor) },
+    { pgClient }
+  );
+}
+
+// O que o lote precisa para enviar, sem os ids (ficam em recipient_user_ids).
+function storedNormalized(normalized) {
+  const { userIds, eligibleUserIds, ...rest } = normalized;
+  return rest;
+}
+
+function campaignMessage(preview, payload) {
+  const normalized = preview.normalized;
+  if (normalized.channel === "push") {
+    return validatePushMessage({
+      title: payload.title || preview.title_preview,
+      message: payload.message || preview.message_preview,
+      url: normalized.url,
+    });
+  }
+  if (normalized.channel === "email") {
+    return {
+      subject: preview.subject_preview || "Mensagem da New Store",
+      has_html: Boolean(preview.html_preview),
+      has_text: Boolean(preview.text_preview),
+    };
+  }
+  return {
+    template_key: normalized.templateKey || null,
+    template_id: normalized.templateId || null,
+    message: normalized.message || null,
+    params: normalized.params || {},
+  };
+}
+
+// Mensagem congelada de cada variante, no mesmo formato da mensagem da campanha.
+function variantMessages(preview) {
+  if (!preview.variants?.length) return null;
+  return preview.variants.map((variant) => {
+    const normalized = applyManualVariant(
+      preview.normalized,
+      preview.normalized.variants.find((item) => item.key === variant.key)
+    );
+    return {
+      key: variant.key,
+      weight: variant.weight,
+      ...campaignMessage({ ...preview, ...variant, normalized }, {}),
+    };
+  });
+}
+
+/** Variante do usuário: hash de (campanha, usuário) distribuído pelos pesos. */
+export function assignManualVariant(variants, campaignId, userId) {
+  const total = variants.reduce((sum, variant) => sum + Number(variant.weight || 1), 0);
+  const hash = createHash("sha256").update(`${campaignId}:${userId}`).digest();
+  let slot = hash.readUInt32BE(0) % total;
+  for (const variant of variants) {
+    slot -= Number(variant.weight || 1);
+    if (slot < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+// Sem variantes, um grupo só com o conteúdo da campanha.
+function variantGroups(campaign, normalized, userIds) {
+  const variants = normalized.variants || [];
+  if (!variants.length) {
+    return [{ variantKey: null, normalized, message: campaign.message_snapshot || {}, userIds }];
+  }
+  const messages = new Map((campaign.message_snapshot?.variants || []).map((message) => [message.key, message]));
+  const byKey = new Map(variants.map((variant) => [variant.key, []]));
+  for (const userId of userIds) {
+    byKey.get(assignManualVariant(variants, campaign.id, userId).key).push(userId);
+  }
+  return variants
+    .filter((variant) => byKey.get(variant.key).length)
+    .map((variant) => ({
+      variantKey: variant.key,
+      normalized: applyManualVariant(normalized, variant),
+      message: messages.get(variant.key) || {},
+      userIds: byKey.get(variant.key),
+    }));
+}
+
+function campaignTitle(channel, message, normalized) {
+  const label = message.title || message.subject || normalized.templateKey || normalized.audience;
+  return `Manual ${channel} - ${label}`.slice(0, 255);
+}
+
+export function formatCampaignProgress(campaign) {
+  const total = Array.isArray(campaign?.recipient_user_ids)
+    ? campaign.recipient_user_ids.length
+    : Number(campaign?.total_recipients || 0);
+  const processed = Math.min(total, Number(campaign?.progress_cursor || 0));
+  return {
+    campaign_id: campaign?.id ?? null,
+    name: campaign?.name || null,
+    channel: campaign?.channel || null,
+    provider: campaign?.provider || null,
+    status: campaign?.status || null,
+    delivery_mode: campaign?.delivery_mode || "inline",
+    total_recipients: total,
+    processed_recipients: processed,
+    remaining_recipients: total - processed,
+    percent: total ? Math.floor((processed / total) * 100) : 100,
+    batch_size: campaign?.batch_size ?? null,
+    batches_total: campaign?.batches_total ?? null,
+    batches_done: Number(campaign?.batches_done || 0),
+    created: Number(campaign?.audience_count_created || 0),
+    sent: Number(campaign?.audience_count_sent || 0),
+    failed: Number(campaign?.audience_count_failed || 0),
+    skipped: Number(campaign?.audience_count_skipped || 0),
+    created_at: campaign?.created_at || null,
+    started_at: campaign?.started_at || null,
+    paused_at: campaign?.paused_at || null,
+    cancelled_at: campaign?.cancelled_at || null,
+    finished_at: campaign?.finished_at || null,
+    last_error: campaign?.last_error || null,
+  };
+}
+
+/**
+ * Cria a campanha em segundo plano e enfileira o primeiro lote. Mesmas validações do envio
+ * dentro do request (confirmação em massa, mensagem de push, público vazio).
+ * scheduledCampaignId liga a campanha ao agendamento que a disparou (scheduledCampaigns.js).
+ */
+export async function queueManualCampaign({
+  pgClient,
+  payload = {},
+  adminUserId = null,
+  scheduledCampaignId = null,
+  enqueue = enqueueJob,
+} = {}) {
+  const preview = await buildManualNotificationPreview({ pgClient, payload });
+  const normalized = preview.normalized;
+  const counts = {
+    requested_users: preview.requested_users,
+    eligible_users: preview.eligible_users,
+    eligible_devices: preview.eligible_devices,
+    valid_emails: preview.valid_emails,
+    valid_phones: preview.valid_phones,
+    blocked_by_consent: preview.blocked_by_consent,
+    missing_contact: preview.missing_contact,
+  };
+  if (preview.requires_bulk_confirmation && payload.confirm_bulk_send !== true) {
+    return { ok: false, error: "manual_bulk_confirmation_required", ...counts };
+  }
+
+  const recipientUserIds = normalized.eligibleUserIds || [];
+  if (!recipientUserIds.length) {
+    return { ok: false, error: MANUAL_NO_RECIPIENTS_ERRORS[normalized.channel], ...counts };
+  }
+
+  const message = campaignMessage(preview, payload);
+  const variants = variantMessages(preview);
+  const variantWeights = variants?.map(({ key, weight }) => ({ key, weight })) || null;
+  const channel = normalized.channel;
+  const batchesTotal = estimatedManualBatches(recipientUserIds.length);
+
+  const { campaign, job } = await withTransaction({ pgClient }, async (client) => {
+    const created = await createCampaign({
+      pgClient: client,
+      name: campaignTitle(channel, message, normalized),
+      channel,
+      provider: PROVIDERS[channel],
+      templateKey: normalized.templateKey || null,
+      providerTemplateId: channel === "whatsapp" ? preview.template?.provider_template_id ?? null : null,
+      audienceFilter: normalized.audience,
+      audienceParams: {
+        audience: normalized.audience,
+        category: normalized.category,
+        ...(normalized.segment && { segment: normalized.segment.segment, segment_params: normalized.segment.params }),
+        ...(variantWeights && { variants: variantWeights }),
+      },
+      status: "queued",
+      createdBy: adminUserId,
+      payload: {
+        source: "admin_manual",
+        manual: true,
+        background: true,
+        manual_channel: channel,
+        audience: normalized.audience,
+        admin_user_id: adminUserId || null,
+        normalized: storedNormalized(normalized),
+        ...(scheduledCampaignId && { scheduled_campaign_id: scheduledCampaignId }),
+        ...(channel === "whatsapp" && {
+          consent_category: normalized.audience === "all_consented" ? "operational" : "manual",
+        }),
+      },
+      messageSnapshot: {
+        source: "admin_manual",
+        manual: true,
+        admin_user_id: adminUserId || null,
+        template_key: normalized.templateKey || null,
+        ...message,
+        ...(variants && { variants }),
+      },
+      audienceSnapshot: {
+        source: "admin_manual",
+        manual: true,
+        audience: normalized.audience,
+        ...counts,
+        invalid_emails: preview.invalid_emails,
+        duplicate_emails_removed: preview.duplicate_emails_removed,
+        inactive_subscriptions: preview.inactive_subscriptions,
+        estimated_batches: batchesTotal,
+      },
+      campaignType: "manual_admin",
+      audienceCountExpected: recipientUserIds.length,
+      deliveryMode: "background",
+      recipientUserIds,
+      batchSize: MANUAL_BATCH_SIZE,
+      batchesTotal,
+    });
+    const queued = await enqueueCampaignBatch(client, created, enqueue);
+    return { campaign: created, job: queued?.job || null };
+  });
+
+  console.log(LOG_PREFIX, "queued", {
+    campaign_id: campaign.id,
+    channel,
+    audience: normalized.audience,
+    recipients: recipientUserIds.length,
+    batches: batchesTotal,
+    admin_user_id: adminUserId || null,
+  });
+
+  return {
+    ok: true,
+    delivery: "background",
+    channel,
+    provider: PROVIDERS[channel],
+    campaign_id: campaign.id,
+    job_id: job?.id ?? null,
+    ...counts,
+    estimated_batches: batchesTotal,
+    ...(variantWeights && { variants: variantWeights }),
+    progress: formatCampaignProgress(campaign),
+  };
+}
+
+async function loadDispatchedRecipients(pgClient, campaignId, userIds) {
+  const result = await runQuery(
+    pgClient,
+    `SELECT user_id, recipient
+       FROM public.notification_dispatches
+      WHERE campaign_id = $1
+        AND user_id = ANY($2::int[])`,
+    [campaignId, userIds]
+  );
+  const rows = result.rows || [];
+  return {
+    userIds: new Set(rows.map((row) => Number(row.user_id))),
+    recipients: new Set(rows.map((row) => String(row.recipient))),
+  };
+}
+
+async function sendPushBatch({ pgClient, campaign, normalized, message: snapshot, variantKey, userIds, batch, sendPush }) {
+  const dispatched = await loadDispatchedRecipients(pgClient, campaign.id, userIds);
+  const subscriptions = await loadManualPushSubscriptions(pgClient, {
+    ...normalized,
+    audience: "selected",
+    userIds,
+  });
+  const counts = { created: 0, sent: 0, failed: 0, skipped: 0 };
+  const reached = new Set(subscriptions.map((row) => Number(row.user_id)));
+  counts.skipped = userIds.filter((id) => !reached.has(id) && !dispatched.userIds.has(id)).length;
+
+  const message = {
+    title: snapshot.title,
+    body: snapshot.body,
+    url: snapshot.url || "/",
+  };
+  const limitedSend = rateLimited("web_push", sendPush);
+  for (const subscription of subscriptions) {
+    if (dispatched.recipients.has(`push_subscription:${subscription.id}`)) continue;
+    const { outcome } = await sendManualPushToSubscription({
+      pgClient,
+      campaign,
+      normalized,
+      message,
+      subscription,
+      batchNumber: batch.batchNumber,
+      totalBatches: batch.totalBatches,
+      adminUserId: campaign.created_by || null,
+      variantKey,
+      sendPush: limitedSend,
+    });
+    counts.created += 1;
+    counts[outcome] += 1;
+  }
+  return counts;
+}
+
+async function sendEmailBatch({ pgClient, campaign, normalized, variantKey, userIds, batch, transporter }) {
+  const dispatched = await loadDispatchedRecipients(pgClient, campaign.id, userIds);
+  const pending = userIds.filter((id) => !dispatched.userIds.has(id));
+  const counts = { created: 0, sent: 0, failed: 0, skipped: 0 };
+  if (!pending.length) return counts;
+
+  const audience = await loadManualEmailAudience(pgClient, normalized, { userIds: pending });
+  counts.skipped = pending.length - audience.recipients.length;
+  if (!audience.recipients.length) return counts;
+
+  const template = await resolveManualTemplate(pgClient, normalized);
+  const { config, mailer } = resolveManualMailer(transporter);
+  const limitedMailer = { sendMail: rateLimited("brevo_smtp", (message) => mailer.sendMail(message)) };
+  for (const user of audience.recipients) {
+    const { outcome } = await sendManualEmailToUser({
+      pgClient,
+      campaign,
+      normalized,
+      template,
+      user,
+      mailer: limitedMailer,
+      config,
+      batchNumber: batch.batchNumber,
+      totalBatches: batch.totalBatches,
+      adminUserId: campaign.created_by || null,
+      variantKey,
+    });
+    counts.created += 1;
+    counts[outcome] += 1;
+  }
+  return counts;
+}
+
+async function sendWhatsAppBatch({ pgClient, campaign, normalized, variantKey, userIds, batch, sendWhatsApp }) {
+  const dispatched = await loadDispatchedRecipients(pgClient, campaign.id, userIds);
+  const pending = userIds.filter((id) => !dispatched.userIds.has(id));
+  if (!pending.length) return { created: 0, sent: 0, failed: 0, skipped: 0 };
+
+  const out = await manualSendSelected({
+    pgClient,
+    channel: "whatsapp",
+    provider: "brevo",
+    templateKey: normalized.templateKey || "GENERIC_TEST",
+    templateId: normalized.templateId,
+    message: normalized.message,
+    params: normalized.params || {},
+    recipients: pending.map((userId) => ({ user_id: userId })),
+    adminUserId: campaign.created_by || null,
+    audience: normalized.audience,
+    consentCategory: campaign.payload?.consent_category || "manual",
+    sendWhatsApp: rateLimited("brevo", sendWhatsApp),
+    campaign,
+    batch,
+    variantKey,
+  });
+  if (out.error) throw coded(out.error);
+  return {
+    created: out.summary.created_count,
+    sent: out.sent,
+    failed: out.failed,
+    skipped: out.skipped,
+  };
+}
+
+const BATCH_SENDERS = Object.freeze({
+  push: sendPushBatch,
+  email: sendEmailBatch,
+  whatsapp: sendWhatsAppBatch,
+});
+
+/**
+ * Handler do job: envia o lote do cursor atual. Campanha pausada/cancelada/concluída não
+ * envia nada. Erro inesperado grava last_error e volta para a fila de jobs (retry com backoff).
+ */
+export async function runManualCampaignBatch(payload = {}, options = {}) {
+  const pgClient = options.pgClient;
+  const campaignId = payload.campaign_id;
+  const claimed = await runQuery(
+    pgClient,
+    `UPDATE public.notification_campaigns
+        SET status = 'running',
+            started_at = COALESCE(started_at, NOW()),
+            updated_at = NOW()
+      WHERE id = $1
+        AND delivery_mode = 'background'
+        AND status IN ('queued', 'running')
+      RETURNING *`,
+    [campaignId]
+  );
+  const campaign = claimed.rows?.[0];
+  if (!campaign) return { campaign_id: campaignId, skipped: true, reason: "campaign_not_active" };
+
+  const recipientIds = (campaign.recipient_user_ids || []).map(Number);
+  const cursor = Number(campaign.progress_cursor || 0);
+  const batchSize = Number(campaign.batch_size) || MANUAL_BATCH_SIZE;
+  const userIds = recipientIds.slice(cursor, cursor + batchSize);
+  const normalized = campaign.payload?.normalized || {};
+  const batch = {
+    batchNumber: Math.floor(cursor / batchSize) + 1,
+    totalBatches: Number(campaign.batches_total) || estimatedManualBatches(recipientIds.length),
+  };
+
+  const counts = { created: 0, sent: 0, failed: 0, skipped: 0 };
+  if (userIds.length) {
+    const sendBatch = BATCH_SENDERS[campaign.channel];
+    if (!sendBatch) throw coded("unsupported_manual_channel");
+    try {
+      for (const group of variantGroups(campaign, normalized, userIds)) {
+        const out = await sendBatch({
+          pgClient,
+          campaign,
+          normalized: group.normalized,
+          message: group.message,
+          variantKey: group.variantKey,
+          userIds: group.userIds,
+          batch,
+          sendPush: options.sendPush || sendPushToSubscriptionRow,
+          sendWhatsApp: options.sendWhatsApp || sendBrevoWhatsAppTemplate,
+          transporter: options.transporter || null,
+        });
+        for (const key of Object.keys(counts)) counts[key] += Number(out[key] || 0);
+      }
+    } catch (error) {
+      await runQuery(
+        pgClient,
+        `UPDATE public.notification_campaigns
+            SET last_error = $2,
+                updated_at = NOW()
+          WHERE id = $1`,
+        [campaign.id, `${error?.code || "campaign_batch_failed"}: ${error?.message || ""}`.slice(0, 2000)]
+      ).catch(() => {});
+      throw error;
+    }
+  }
+
+  const nextCursor = cursor + userIds.length;
+  const done = nextCursor >= recipientIds.length;
+  const advanced = await runQuery(
+    pgClient,
+    `UPDATE public.notification_campaigns
+        SET progress_cursor = GREATEST(progress_cursor, $2),
+            batches_done = batches_done + CASE WHEN $8 THEN 1 ELSE 0 END,
+            audience_count_created = COALESCE(audience_count_created, 0) + $3,
+            audience_count_sent = COALESCE(audience_count_sent, 0) + $4,
+            audience_count_failed = COALESCE(audience_count_failed, 0) + $5,
+            audience_count_skipped = COALESCE(audience_count_skipped, 0) + $6,
+            status = CASE WHEN $7 AND status IN ('queued', 'running') THEN 'completed' ELSE status END,
+            finished_at = CASE WHEN $7 AND status IN ('queued', 'running') THEN NOW() ELSE finished_at END,
+            last_error = NULL,
+            updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [campaign.id, nextCursor, counts.created, counts.sent, counts.failed, counts.skipped, done, userIds.length > 0]
+  );
+  const updated = advanced.rows?.[0] || campaign;
+
+  // Pausa/cancelamento durante o lote: o status já mudou e o próximo lote não é agendado.
+  if (!done && ["queued", "running"].includes(updated.status)) {
+    await enqueueCampaignBatch(pgClient, { ...updated, progress_cursor: nextCursor }, options.enqueue);
+  }
+
+  console.log(LOG_PREFIX, "batch", {
+    campaign_id: campaign.id,
+    channel: campaign.channel,
+    batch: batch.batchNumber,
+    of: batch.totalBatches,
+    ...counts,
+    status: updated.status,
+  });
+
+  return { campaign_id: campaign.id, status: updated.status, cursor: nextCursor, total: recipientIds.length, ...counts };
+}
+
+async function loadBackgroundCampaign(pgClient, campaignId) {
+  const result = await runQuery(
+    pgClient,
+    `SELECT * FROM public.notification_campaigns WHERE id = $1`,
+    [campaignId]
+  );
+  const campaign = result.rows?.[0];
+  if (!campaign || campaign.delivery_mode !== "background") throw coded("manual_campaign_not_found");
+  return campaign;
+}
+
+async function transitionCampaign(pgClient, campaignId, sql) {
+  const result = await runQuery(pgClient, sql, [campaignId]);
+  if (result.rows?.[0]) return result.rows[0];
+  const campaign = await loadBackgroundCampaign(pgClient, campaignId);
+  throw coded("manual_campaign_invalid_state", { status: campaign.status });
+}
+
+export async function getManualCampaignProgress(campaignId, options = {}) {
+  return formatCampaignProgress(await loadBackgroundCampaign(options.pgClient, campaignId));
+}
+
+export async function pauseManualCampaign(campaignId, options = {}) {
+  const campaign = await transitionCampaign(
+    options.pgClient,
+    campaignId,
+    `UPDATE public.notification_campaigns
+        SET status = 'paused',
+            paused_at = NOW(),
+            updated_at = NOW()
+      WHERE id = $1
+        AND delivery_mode = 'background'
+        AND status IN ('queued', 'running')
+      RETURNING *`
+  );
+  console.log(LOG_PREFIX, "paused", { campaign_id: campaign.id, cursor: campaign.progress_cursor });
+  return formatCampaignProgress(campaign);
+}
+
+export async function resumeManualCampaign(campaignId, options = {}) {
+  const campaign = await withTransaction(options, async (client) => {
+    const resumed = await transitionCampaign(
+      client,
+      campaignId,
+      `UPDATE public.notification_campaigns
+          SET status = 'queued',
+              paused_at = NULL,
+              updated_at = NOW()
+        WHERE id = $1
+          AND delivery_mode = 'background'
+          AND status = 'paused'
+        RETURNING *`
+    );
+    await enqueueCampaignBatch(client, resumed, options.enqueue);
+    return resumed;
+  });
+  console.log(LOG_PREFIX, "resumed", { campaign_id: campaign.id, cursor: campaign.progress_cursor });
+  return formatCampaignProgress(campaign);
+}
+
+export async function cancelManualCampaign(campaignId, options = {}) {
+  const campaign = await transitionCampaign(
+    options.pgClient,
+    campaignId,
+    `UPDATE public.notification_campaigns
+        SET status = 'cancelled',
+            cancelled_at = NOW(),
+            finished_at = NOW(),
+            updated_at = NOW()
+      WHERE id = $1
+        AND delivery_mode = 'background'
+        AND status IN ('queued', 'running', 'paused')
+      RETURNING *`
+  );
+  console.log(LOG_PREFIX, "cancelled", { campaign_id: campaign.id, cursor: campaign.progress_cursor });
+  return formatCampaignProgress(campaign);
+}
@@ -1,29 +1,22 @@
 import nodemailer from "nodemailer";
-import { query } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 import { createCampaign, createDispatch, markDispatchAccepted, markDispatchFailed, updateCampaignAudienceCounts } from "./notificationLog.js";
 import {
   MANUAL_MAX_UNIQUE_USERS,
   buildManualNotificationPreview,
+  loadManualEmailAudience,
   renderManualEmailContent,
-  resolveManualEmailRecipients,
 } from "./manualNotificationPreview.js";
+import {
+  appendEmailUnsubscribeFooter,
+  buildEmailUnsubscribeUrl,
+  emailUnsubscribeHeaders,
+} from "./emailUnsubscribe.js";
 import {
   assertManualCampaignAudienceSize,
   chunkManualAudience,
 } from "./manualAudience.js";
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
-function coded(code, extra = {}) {
-  const error = new Error(code);
-  error.code = code;
-  Object.assign(error, extra);
-  return error;
-}
-
 export function getSmtpConfigStatus() {
   return {
     configured: Boolean(
@@ -46,29 +39,6 @@ export function getSmtpConfig() {
   return { host, port, user, pass, fromEmail, fromName, replyTo };
 }
 
-async function loadSelectedUsers(pgClient, userIds) {
-  const result = await runQuery(
-    pgClient,
-    `SELECT id, name, email
-       FROM public.users
-      WHERE id = ANY($1::int[])
-      ORDER BY id`,
-    [userIds]
-  );
-  return result.rows || [];
-}
-
-async function loadAllUsers(pgClient) {
-  const result = await runQuery(
-    pgClient,
-    `SELECT id, name, email
-       FROM public.users
-      ORDER BY id`,
-    []
-  );
-  return result.rows || [];
-}
-
 export function createSmtpTransporter(config) {
   return nodemailer.createTransport({
     host: config.host,
@@ -81,6 +51,118 @@ export function createSmtpTransporter(config) {
   });
 }
 
+/** Transporter injetado (testes/campanhas) usa só o remetente das envs; senão, SMTP completo. */
+export function resolveManualMailer(transporter = null) {
+  const config = transporter
+    ? {
+        fromEmail: String(process.env.SMTP_FROM || "contato@newstorerj.com.br").trim(),
+        fromName: String(process.env.SMTP_FROM_NAME || "New Store Sorteios").trim(),
+        replyTo: String(process.env.SMTP_REPLY_TO || process.env.SMTP_FROM || "contato@newstorerj.com.br").trim(),
+      }
+    : getSmtpConfig();
+  return { config, mailer: transporter || createSmtpTransporter(config) };
+}
+
+/**
+ * Um destinatário: renderiza com o link de descadastro, cria o dispatch, envia e finaliza.
+ * Falha do SMTP não interrompe o lote (outcome "failed").
+ */
+export async function sendManualEmailToUser({
+  pgClient,
+  campaign,
+  normalized,
+  template,
+  user,
+  mailer,
+  config,
+  batchNumber,
+  totalBatches,
+  adminUserId = null,
+  variantKey = null,
+}) {
+  const unsubscribeUrl = buildEmailUnsubscribeUrl({ userId: user.id, category: normalized.category });
+  const rendered = appendEmailUnsubscribeFooter(
+    renderManualEmailContent(normalized, template, {
+      name: user.name || "",
+      unsubscribe_url: unsubscribeUrl,
+    }),
+    unsubscribeUrl
+  );
+  const dispatch = await createDispatch({
+    pgClient,
+    eventKey: "MANUAL_ADMIN_EMAIL",
+    channel: "email",
+    provider: "brevo_smtp",
+    userId: user.id,
+    recipient: user.email,
+    recipientOriginal: user.email,
+    templateKey: normalized.templateKey || null,
+    campaignId: campaign.id,
+    variantKey,
+    payload: {
+      source: "admin_manual",
+      manual: true,
+      channel: "email",
+      provider: "brevo_smtp",
+      event_key: "MANUAL_ADMIN_EMAIL",
+      audience: normalized.audience,
+      admin_user_id: adminUserId || null,
+      template_key: normalized.templateKey || null,
+      batch_number: batchNumber,
+      total_batches: totalBatches,
+      ...(variantKey && { variant_key: variantKey }),
+    },
+    messageSnapshot: {
+      source: "admin_manual",
+      manual: true,
+      subject: rendered.subject,
+      has_html: Boolean(rendered.html),
+      has_text: Boolean(rendered.text),
+    },
+    recipientSnapshot: {
+      source: "admin_manual",
+      manual: true,
+      user_id: user.id,
+      email: user.email,
+    },
+  });
+
+  try {
+    const info = await mailer.sendMail({
+      from: `"${config.fromName}" <${config.fromEmail}>`,
+      to: user.email,
+      replyTo: config.replyTo,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      headers: emailUnsubscribeHeaders(unsubscribeUrl),
+    });
+    const updated = await markDispatchAccepted({
+      pgClient,
+      dispatchId: dispatch.id,
+      result: {
+        ok: true,
+        provider_status: "accepted",
+        delivery_status: "unknown",
+        messageId: info?.messageId || null,
+        response: { accepted: info?.accepted?.length || 0 },
+      },
+    });
+    return { outcome: "sent", dispatch: updated };
+  } catch (error) {
+    const updated = await markDispatchFailed({
+      pgClient,
+      dispatchId: dispatch.id,
+      result: {
+        ok: false,
+        error: "manual_email_send_failed",
+        reason: error?.code || error?.message || null,
+      },
+    });
+    return { outcome: "failed", dispatch: updated };
+  }
+}
+
 export async function sendManualEmailNotification({
   pgClient,
   payload = {},
@@ -109,16 +191,15 @@ export async function sendManualEmailNotification({
     };
   }
 
-  const users = normalized.audience === "all_with_email"
-    ? await loadAllUsers(pgClient)
-    : await loadSelectedUsers(pgClient, normalized.userIds);
   const {
+    users,
     recipients,
     missingContact,
     invalidEmails,
     duplicateEmailsRemoved,
-  } = resolveManualEmailRecipients(users);
-  if (normalized.audience === "all_with_email") {
+    blockedByConsent,
+  } = await loadManualEmailAudience(pgClient, normalized);
+  if (normalized.audience !== "selected") {
     assertManualCampaignAudienceSize(recipients.length);
   }
   if (!recipients.length) {
@@ -131,24 +212,18 @@ export async function sendManualEmailNotification({
       invalid_emails: invalidEmails,
       missing_contact: missingContact,
       duplicate_emails_removed: duplicateEmailsRemoved,
+      blocked_by_consent: blockedByConsent,
       sent: 0,
       failed: 0,
-      skipped: missingContact + invalidEmails + duplicateEmailsRemoved,
+      skipped: missingContact + invalidEmails + duplicateEmailsRemoved + blockedByConsent,
     };
   }
 
-  const config = transporter
-    ? {
-        fromEmail: String(process.env.SMTP_FROM || "contato@newstorerj.com.br").trim(),
-        fromName: String(process.env.SMTP_FROM_NAME || "New Store Sorteios").trim(),
-        replyTo: String(process.env.SMTP_REPLY_TO || process.env.SMTP_FROM || "contato@newstorerj.com.br").trim(),
-      }
-    : getSmtpConfig();
-  const mailer = transporter || createSmtpTransporter(config);
+  const { config, mailer } = resolveManualMailer(transporter);
   const subject = preview.subject_preview || payload.subject || "Mensagem da New Store";
   const html = preview.html_preview || payload.html || `<p>${preview.text_preview || ""}</p>`;
   const text = preview.text_preview || payload.text || "";
-  const excluded = missingContact + invalidEmails + duplicateEmailsRemoved;
+  const excluded = missingContact + invalidEmails + duplicateEmailsRemoved + blockedByConsent;
   const batches = chunkManualAudience(recipients);
 
   let campaign = await createCampaign({
@@ -159,8 +234,8 @@ export async function sendManualEmailNotification({
     templateKey: normalized.templateKey || null,
     audienceFilter: normalized.audience,
     audienceParams: normalized.audience === "selected"
-      ? { user_ids: normalized.userIds }
-      : { audience: "all_with_email" },
+      ? { user_ids: normalized.userIds, category: normalized.category }
+      : { audience: normalized.audience, category: normalized.category },
     status: "created",
     createdBy: adminUserId,
     payload: {
@@ -192,6 +267,7 @@ export async function sendManualEmailNotification({
       invalid_emails: invalidEmails,
       missing_contact: missingContact,
       duplicate_emails_removed: duplicateEmailsRemoved,
+      blocked_by_consent: blockedByConsent,
       estimated_batches: batches.length,
     },
     campaignType: "manual_admin",
@@ -207,81 +283,21 @@ export async function sendManualEmailNotification({
     const batchNumber = batchIndex + 1;
     batchesProcessed += 1;
     for (const user of batch) {
-      const rendered = renderManualEmailContent(normalized, preview.template, {
-        name: user.name || "",
-      });
-      const dispatch = await createDispatch({
+      const { outcome, dispatch } = await sendManualEmailToUser({
         pgClient,
-        eventKey: "MANUAL_ADMIN_EMAIL",
-        channel: "email",
-        provider: "brevo_smtp",
-        userId: user.id,
-        recipient: user.email,
-        recipientOriginal: user.email,
-        templateKey: normalized.templateKey || null,
-        campaignId: campaign.id,
-        payload: {
-          source: "admin_manual",
-          manual: true,
-          channel: "email",
-          provider: "brevo_smtp",
-          event_key: "MANUAL_ADMIN_EMAIL",
-          audience: normalized.audience,
-          admin_user_id: adminUserId || null,
-          template_key: normalized.templateKey || null,
-          batch_number: batchNumber,
-          total_batches: batches.length,
-        },
-        messageSnapshot: {
-          source: "admin_manual",
-          manual: true,
-          subject: rendered.subject,
-          has_html: Boolean(rendered.html),
-          has_text: Boolean(rendered.text),
-        },
-        recipientSnapshot: {
-          source: "admin_manual",
-          manual: true,
-          user_id: user.id,
-          email: user.email,
-        },
+        campaign,
+        normalized,
+        template: preview.template,
+        user,
+        mailer,
+        config,
+        batchNumber,
+        totalBatches: batches.length,
+        adminUserId,
       });
-
-      try {
-        const info = await mailer.sendMail({
-          from: `"${config.fromName}" <${config.fromEmail}>`,
-          to: user.email,
-          replyTo: config.replyTo,
-          subject: rendered.subject,
-          html: rendered.html,
-          text: rendered.text,
-        });
-        const updated = await markDispatchAccepted({
-          pgClient,
-          dispatchId: dispatch.id,
-          result: {
-            ok: true,
-            provider_status: "accepted",
-            delivery_status: "unknown",
-            messageId: info?.messageId || null,
-            response: { accepted: info?.accepted?.length || 0 },
-          },
-        });
-        sent += 1;
-        dispatches.push(updated);
-      } catch (error) {
-        const updated = await markDispatchFailed({
-          pgClient,
-          dispatchId: dispatch.id,
-          result: {
-            ok: false,
-            error: "manual_email_send_failed",
-            reason: error?.code || error?.message || null,
-          },
-        });
-        failed += 1;
-        dispatches.push(updated);
-      }
+      if (outcome === "sent") sent += 1;
+      else failed += 1;
+      dispatches.push(dispatch);
     }
   }
 
@@ -300,6 +316,7 @@ export async function sendManualEmailNotification({
     invalid_emails: invalidEmails,
     missing_contact: missingContact,
     duplicate_emails_removed: duplicateEmailsRemoved,
+    blocked_by_consent: blockedByConsent,
     estimated_batches: batches.length,
     batches_processed: batchesProcessed,
     sent,
@@ -1,5 +1,8 @@
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
 import { getConnectedBrevoWhatsAppTemplates } from "./manualWhatsAppTemplates.js";
+import { EMAIL_CONSENT_CATEGORIES } from "./communicationConsent.js";
+import { PUSH_CATEGORIES } from "./pushPreferences.js";
+import { PUSH_SEGMENTS } from "./pushSegments.js";
 
 function builtinEmailTemplate(template) {
   return {
@@ -86,11 +89,6 @@ const REQUIRED_REMAINING_EMAIL_KEYS = new Set([
   "EMAIL_DRAW_REMAINING_15",
 ]);
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 async function tableColumns(pgClient, tableName) {
   const result = await runQuery(
     pgClient,
@@ -247,13 +245,16 @@ export async function getManualNotificationCatalog({ pgClient } = {}) {
       push: {
         enabled: process.env.PUSH_ENABLED === "true",
         provider: "web_push",
-        audiences: ["selected", "all_active_push", "all_consented"],
+        audiences: ["selected", "all_active_push", "all_consented", "segment"],
+        segments: PUSH_SEGMENTS,
+        categories: Object.keys(PUSH_CATEGORIES),
         templates: pushTemplates,
       },
       email: {
         enabled: Boolean(String(process.env.SMTP_HOST || "").trim()),
         provider: "brevo_smtp",
-        audiences: ["selected", "all_with_email"],
+        audiences: ["selected", "all_with_email", "all_consented"],
+        categories: EMAIL_CONSENT_CATEGORIES,
         templates: emailTemplates,
       },
     },
@@ -1,23 +1,30 @@
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 import { normalizePhoneBR } from "./brevoWhatsApp.js";
-import { getWhatsappConsentStatusForUser } from "./communicationConsent.js";
+import {
+  emailConsentAllowedSql,
+  getWhatsappConsentStatusForUser,
+  normalizeEmailConsentCategory,
+} from "./communicationConsent.js";
 import { getBuiltinEmailTemplates } from "./manualNotificationCatalog.js";
 import { resolveManualBrevoWhatsAppTemplate } from "./manualWhatsAppTemplates.js";
-import {
-  MANUAL_MAX_CAMPAIGN_USERS,
-  assertManualCampaignAudienceSize,
-  estimatedManualBatches,
-} from "./manualAudience.js";
+import { estimatedManualBatches, isBackgroundManualAudience } from "./manualAudience.js";
+import { normalizePushCategory, pushOptInSql } from "./pushPreferences.js";
+import { normalizePushSegment, resolvePushSegmentUserIds } from "./pushSegments.js";
 
 export const MANUAL_MAX_UNIQUE_USERS = 50;
+export const MANUAL_MAX_VARIANTS = 4;
 const CHANNELS = new Set(["whatsapp", "push", "email"]);
-const AUDIENCES = new Set(["selected", "all_active_push", "all_consented", "all_with_email"]);
+const AUDIENCES = new Set(["selected", "all_active_push", "all_consented", "all_with_email", "segment"]);
 const FIXED_REMAINING_NUMBERS = new Map([
   ["EMAIL_DRAW_REMAINING_75", 75],
   ["EMAIL_DRAW_REMAINING_50", 50],
   ["EMAIL_DRAW_REMAINING_30", 30],
   ["EMAIL_DRAW_REMAINING_15", 15],
 ]);
+// Campos de conteúdo que uma variante de teste A/B pode trocar; público e canal são da campanha.
+const VARIANT_CONTENT_FIELDS = ["template_key", "template_id", "title", "message", "subject", "html", "text", "url", "params"];
+const VARIANT_KEY_RE = /^[A-Za-z0-9_-]{1,20}$/;
 const REMAINING_EMAIL_PARAM_KEYS = new Set([
   "name",
   "draw_name",
@@ -25,11 +32,6 @@ const REMAINING_EMAIL_PARAM_KEYS = new Set([
   "remaining_numbers",
 ]);
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 function uniquePositiveIds(values) {
   if (!Array.isArray(values)) return [];
   return Array.from(new Set(
@@ -100,7 +102,7 @@ function normalizeManualInput(payload = {}) {
     error.code = "manual_recipients_required";
     throw error;
   }
-  if (channel === "email" && !["selected", "all_with_email"].includes(audience)) {
+  if (channel === "email" && !["selected", "all_with_email", "all_consented"].includes(audience)) {
     const error = new Error("manual_recipients_required");
     error.code = "manual_recipients_required";
     throw error;
@@ -110,9 +112,13 @@ function normalizeManualInput(payload = {}) {
     error.code = "manual_recipients_required";
     throw error;
   }
+  const segment = audience === "segment"
+    ? normalizePushSegment(payload.segment, payload.segment_params)
+    : null;
 
   let userIds = uniquePositiveIds(payload.user_ids || []);
-  if (channel === "email" && audience === "all_with_email") userIds = [];
+  if (channel === "email" && audience !== "selected") userIds = [];
+  if (segment) userIds = [];
   if (audience === "selected" && !userIds.length) {
     const error = new Error("manual_recipients_required");
     error.code = "manual_recipients_required";
@@ -129,6 +135,12 @@ function normalizeManualInput(payload = {}) {
     channel,
     audience,
     userIds,
+    segment,
+    category: channel === "push"
+      ? normalizePushCategory(payload.category)
+      : channel === "email"
+        ? normalizeEmailConsentCategory(payload.category)
+        : null,
     templateKey: String(payload.template_key || "").trim(),
     templateId: payload.template_id == null ? null : String(payload.template_id).trim(),
     title: payload.title == null ? null : String(payload.title).trim(),
@@ -141,6 +153,58 @@ function normalizeManualInput(payload = {}) {
   };
 }
 
+function variantsError(code = "manual_variants_invalid") {
+  return coded(code);
+}
+
+/**
+ * Variantes de teste A/B: cada uma sobrescreve campos de conteúdo do payload e recebe uma fatia
+ * do público proporcional a `weight`. Só para audiences em massa (envio em segundo plano).
+ */
+function normalizeManualVariants(payload, normalized) {
+  if (payload.variants == null) return null;
+  if (!Array.isArray(payload.variants) || payload.variants.length < 2 || payload.variants.length > MANUAL_MAX_VARIANTS) {
+    throw variantsError();
+  }
+  if (!isBackgroundManualAudience(normalized.audience)) throw variantsError("manual_variants_require_bulk_audience");
+
+  const keys = new Set();
+  return payload.variants.map((variant) => {
+    if (!variant || typeof variant !== "object" || Array.isArray(variant)) throw variantsError();
+    const key = String(variant.key || "").trim();
+    if (!VARIANT_KEY_RE.test(key) || keys.has(key)) throw variantsError();
+    keys.add(key);
+    const weight = variant.weight == null ? 1 : Number(variant.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) throw variantsError();
+
+    const overrides = {};
+    for (const field of VARIANT_CONTENT_FIELDS) {
+      if (variant[field] !== undefined) overrides[field] = variant[field];
+    }
+    const merged = normalizeManualInput({ ...payload, ...overrides });
+    return {
+      key,
+      weight,
+      content: {
+        templateKey: merged.templateKey,
+        templateId: merged.templateId,
+        title: merged.title,
+        message: merged.message,
+        subject: merged.subject,
+        html: merged.html,
+        text: merged.text,
+        url: merged.url,
+        params: merged.params,
+      },
+    };
+  });
+}
+
+/** normalized da campanha com o conteúdo da variante. */
+export function applyManualVariant(normalized, variant) {
+  return { ...normalized, ...(variant?.content || {}) };
+}
+
 async function loadSelectedUsers(pgClient, userIds) {
   if (!userIds.length) return [];
   const result = await runQuery(
@@ -198,14 +262,52 @@ export function resolveManualEmailRecipients(users) {
   };
 }
 
-async function loadPushSubscriptions(pgClient, { audience, userIds }) {
+// "selected" e "segment" filtram por user_ids (no segmento, os já resolvidos).
+export function pushAudienceFiltersByUserIds(audience) {
+  return audience === "selected" || audience === "segment";
+}
+
+/**
+ * Destinatários de e-mail já filtrados pelo consentimento da categoria (descadastrados saem;
+ * em all_consented só entra quem deu opt-in explícito), validados e sem e-mail repetido.
+ * `userIds` restringe a um lote da campanha em segundo plano, mantendo a regra do público.
+ */
+export async function loadManualEmailAudience(pgClient, normalized, { userIds = null } = {}) {
+  const params = [];
+  let where = "";
+  const ids = userIds || (normalized.audience === "selected" ? normalized.userIds : null);
+  if (ids) {
+    params.push(ids);
+    where = "WHERE u.id = ANY($1::int[])";
+  }
+  const consentSql = emailConsentAllowedSql(normalized.category, "u.id", {
+    requireGranted: normalized.audience === "all_consented",
+  });
+  const result = await runQuery(
+    pgClient,
+    `SELECT u.id, u.name, u.email, u.phone, ${consentSql} AS email_can_send
+       FROM public.users u
+       ${where}
+      ORDER BY u.id`,
+    params
+  );
+  const users = result.rows || [];
+  const allowed = users.filter((user) => user.email_can_send !== false);
+  return {
+    users,
+    ...resolveManualEmailRecipients(allowed),
+    blockedByConsent: users.length - allowed.length,
+  };
+}
+
+async function loadPushSubscriptions(pgClient, { audience, userIds, category }) {
   const params = [];
   let where = `
     WHERE is_active = true
-      AND operational_opt_in = true
+      AND ${pushOptInSql(category)}
       AND user_id IS NOT NULL
   `;
-  if (audience === "selected") {
+  if (pushAudienceFiltersByUserIds(audience)) {
     params.push(userIds);
     where += ` AND user_id = ANY($1::int[])`;
   }
@@ -221,15 +323,15 @@ async function loadPushSubscriptions(pgClient, { audience, userIds }) {
   return result.rows || [];
 }
 
-async function loadPushExclusionStats(pgClient, { audience, userIds }) {
-  if (audience === "selected" && !userIds.length) {
+async function loadPushExclusionStats(pgClient, { audience, userIds, category }) {
+  if (pushAudienceFiltersByUserIds(audience) && !userIds.length) {
     return { inactiveSubscriptions: 0, blockedByConsent: 0 };
   }
   const params = [];
-  const selectedClause = audience === "selected"
+  const selectedClause = pushAudienceFiltersByUserIds(audience)
     ? "AND user_id = ANY($1::int[])"
     : "AND user_id IS NOT NULL";
-  if (audience === "selected") params.push(userIds);
+  if (pushAudienceFiltersByUserIds(audience)) params.push(userIds);
   const result = await runQuery(
     pgClient,
     `SELECT COUNT(*) FILTER (
@@ -237,7 +339,7 @@ async function loadPushExclusionStats(pgClient, { audience, userIds }) {
             )::int AS inactive_count,
             COUNT(DISTINCT user_id) FILTER (
               WHERE is_active = true
-                AND operational_opt_in IS DISTINCT FROM true
+                AND NOT (${pushOptInSql(category)})
             )::int AS blocked_by_consent
        FROM public.push_subscriptions
       WHERE 1 = 1
@@ -251,7 +353,7 @@ async function loadPushExclusionStats(pgClient, { audience, userIds }) {
   };
 }
 
-async function resolveTemplate(pgClient, normalized) {
+export async function resolveManualTemplate(pgClient, normalized) {
   if (!normalized.templateKey) {
     if (normalized.channel === "whatsapp") {
       const error = new Error("manual_template_not_found");
@@ -353,6 +455,7 @@ function buildPreviewText(normalized, template) {
 
 export async function buildManualNotificationPreview({ pgClient, payload = {} } = {}) {
   const normalized = normalizeManualInput(payload);
+  normalized.variants = normalizeManualVariants(payload, normalized);
   const warnings = [];
   let users = [];
   let subscriptions = [];
@@ -360,19 +463,29 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
   let blockedByConsent = 0;
   let eligibleUserIds = [];
 
-  if (normalized.audience === "selected") {
+  if (normalized.channel === "email") {
+    users = [];
+  } else if (normalized.audience === "selected") {
     users = await loadSelectedUsers(pgClient, normalized.userIds);
   } else if (normalized.channel === "whatsapp" && normalized.audience === "all_consented") {
     users = await loadAllUsers(pgClient);
-  } else if (normalized.channel === "email" && normalized.audience === "all_with_email") {
-    users = await loadAllUsers(pgClient);
+  }
+
+  if (normalized.channel === "push" && normalized.segment) {
+    const resolved = await resolvePushSegmentUserIds(normalized.segment, { pgClient });
+    normalized.segment = { segment: resolved.segment, params: resolved.params };
+    normalized.userIds = resolved.user_ids;
+    if (resolved.params.expiry_disabled) warnings.push("balance_expiry_disabled");
   }
 
   if (normalized.channel === "push") {
-    subscriptions = await loadPushSubscriptions(pgClient, {
-      audience: normalized.audience,
-      userIds: normalized.userIds,
-    });
+    subscriptions = normalized.audience === "segment" && !normalized.userIds.length
+      ? []
+      : await loadPushSubscriptions(pgClient, {
+        audience: normalized.audience,
+        userIds: normalized.userIds,
+        category: normalized.category,
+      });
     const uniqueUsers = Array.from(new Set(subscriptions.map((row) => Number(row.user_id)).filter(Boolean)));
     if (normalized.audience !== "selected") {
       users = uniqueUsers.map((id) => ({ id }));
@@ -380,6 +493,7 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
     const exclusionStats = await loadPushExclusionStats(pgClient, {
       audience: normalized.audience,
       userIds: normalized.userIds,
+      category: normalized.category,
     });
     inactiveSubscriptions = exclusionStats.inactiveSubscriptions;
     blockedByConsent = exclusionStats.blockedByConsent;
@@ -390,9 +504,6 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
       error.max = MANUAL_MAX_UNIQUE_USERS;
       throw error;
     }
-    if (normalized.audience !== "selected") {
-      assertManualCampaignAudienceSize(uniqueUsers.length);
-    }
   }
 
   let validPhones = 0;
@@ -414,33 +525,47 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
         eligibleUserIds.push(Number(user.id));
       } else blockedByConsent += 1;
     }
-    if (normalized.audience === "all_consented") {
-      assertManualCampaignAudienceSize(eligibleUserIds.length);
-    }
   }
 
   let validEmails = 0;
   let invalidEmails = 0;
   let duplicateEmailsRemoved = 0;
   if (normalized.channel === "email") {
-    const emailAudience = resolveManualEmailRecipients(users);
+    const emailAudience = await loadManualEmailAudience(pgClient, normalized);
+    users = emailAudience.users;
+    blockedByConsent = emailAudience.blockedByConsent;
     validEmails = emailAudience.recipients.length;
     missingContact = emailAudience.missingContact;
     invalidEmails = emailAudience.invalidEmails;
     duplicateEmailsRemoved = emailAudience.duplicateEmailsRemoved;
     eligibleUserIds = emailAudience.recipients.map((user) => Number(user.id));
-    if (normalized.audience === "all_with_email") {
-      assertManualCampaignAudienceSize(validEmails);
-    }
   }
 
-  const template = await resolveTemplate(pgClient, normalized);
+  const template = await resolveManualTemplate(pgClient, normalized);
   if (normalized.templateKey && !template) {
     const error = new Error("manual_template_not_found");
     error.code = "manual_template_not_found";
     throw error;
   }
   const text = buildPreviewText(normalized, template);
+  const variants = [];
+  for (const variant of normalized.variants || []) {
+    const variantNormalized = applyManualVariant(normalized, variant);
+    const variantTemplate = await resolveManualTemplate(pgClient, variantNormalized);
+    if (variantNormalized.templateKey && !variantTemplate) {
+      const error = new Error("manual_template_not_found");
+      error.code = "manual_template_not_found";
+      error.variant = variant.key;
+      throw error;
+    }
+    variants.push({
+      key: variant.key,
+      weight: variant.weight,
+      template_key: variantNormalized.templateKey || null,
+      ...buildPreviewText(variantNormalized, variantTemplate),
+    });
+  }
+  const previewTexts = variants.length ? variants : [text];
   const eligibleUsers = normalized.channel === "push"
     ? new Set(subscriptions.map((row) => Number(row.user_id))).size
     : normalized.channel === "email"
@@ -450,8 +575,9 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
     normalized.audience === "all_active_push" ||
     normalized.audience === "all_consented" ||
     normalized.audience === "all_with_email" ||
+    normalized.audience === "segment" ||
     eligibleUsers > 1;
-  const requestedUsers = normalized.audience === "selected"
+  const requestedUsers = pushAudienceFiltersByUserIds(normalized.audience)
     ? normalized.userIds.length
     : normalized.channel === "whatsapp" || normalized.channel === "email"
       ? users.length
@@ -462,11 +588,14 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
   return {
     ok: true,
     can_send: eligibleUsers > 0 &&
-      (normalized.channel !== "push" || Boolean(text.title_preview && text.message_preview)),
+      (normalized.channel !== "push" || previewTexts.every((item) => Boolean(item.title_preview && item.message_preview))),
     channel: normalized.channel,
     provider: normalized.channel === "push" ? "web_push" : normalized.channel === "email" ? "brevo_smtp" : "brevo",
+    ...(normalized.category && { category: normalized.category }),
+    ...(normalized.segment && { segment: normalized.segment.segment, segment_params: normalized.segment.params }),
     template,
     ...text,
+    ...(variants.length && { variants }),
     requested_users: requestedUsers,
     eligible_users: eligibleUsers,
     eligible_devices: subscriptions.length,
@@ -480,7 +609,7 @@ export async function buildManualNotificationPreview({ pgClient, payload = {} }
     estimated_batches: estimatedManualBatches(eligibleUsers),
     warnings,
     requires_bulk_confirmation: requiresBulkConfirmation,
-    manual_audience_max_users: MANUAL_MAX_CAMPAIGN_USERS,
+    delivery: isBackgroundManualAudience(normalized.audience) ? "background" : "inline",
     normalized,
   };
 }
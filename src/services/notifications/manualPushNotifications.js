@@ -1,26 +1,20 @@
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 import { createCampaign, createDispatch, markDispatchAccepted, markDispatchFailed, updateCampaignAudienceCounts } from "./notificationLog.js";
 import { sendPushToSubscriptionRow } from "./pushNotifications.js";
-import { MANUAL_MAX_UNIQUE_USERS, buildManualNotificationPreview } from "./manualNotificationPreview.js";
+import {
+  MANUAL_MAX_UNIQUE_USERS,
+  buildManualNotificationPreview,
+  pushAudienceFiltersByUserIds,
+} from "./manualNotificationPreview.js";
+import { pushOptInSql } from "./pushPreferences.js";
 import {
   MANUAL_BATCH_SIZE,
   assertManualCampaignAudienceSize,
   chunkManualAudience,
 } from "./manualAudience.js";
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
-function coded(code, extra = {}) {
-  const error = new Error(code);
-  error.code = code;
-  Object.assign(error, extra);
-  return error;
-}
-
-function validatePushMessage({ title, message, url }) {
+export function validatePushMessage({ title, message, url }) {
   const cleanTitle = String(title || "").trim();
   const cleanBody = String(message || "").trim();
   const cleanUrl = String(url || "/").trim() || "/";
@@ -31,14 +25,15 @@ function validatePushMessage({ title, message, url }) {
   return { title: cleanTitle, body: cleanBody, url: cleanUrl };
 }
 
-async function loadSubscriptions(pgClient, normalized) {
+export async function loadManualPushSubscriptions(pgClient, normalized) {
+  if (normalized.audience === "segment" && !normalized.userIds.length) return [];
   const params = [];
   let where = `
     WHERE is_active = true
-      AND operational_opt_in = true
+      AND ${pushOptInSql(normalized.category)}
       AND user_id IS NOT NULL
   `;
-  if (normalized.audience === "selected") {
+  if (pushAudienceFiltersByUserIds(normalized.audience)) {
     params.push(normalized.userIds);
     where += ` AND user_id = ANY($1::int[])`;
   }
@@ -84,6 +79,106 @@ async function deactivateExpiredSubscription(pgClient, subscription, statusCode,
   ).catch(() => {});
 }
 
+/**
+ * Um dispositivo: cria o dispatch, envia e finaliza. Falha do provedor não interrompe o lote
+ * (outcome "failed"); 404/410 desativa a inscrição.
+ */
+export async function sendManualPushToSubscription({
+  pgClient,
+  campaign,
+  normalized,
+  message,
+  subscription,
+  batchNumber,
+  totalBatches,
+  adminUserId = null,
+  variantKey = null,
+  sendPush = sendPushToSubscriptionRow,
+}) {
+  const dispatch = await createDispatch({
+    pgClient,
+    eventKey: "MANUAL_ADMIN_PUSH",
+    channel: "push",
+    provider: "web_push",
+    userId: subscription.user_id || null,
+    recipient: `push_subscription:${subscription.id}`,
+    recipientOriginal: `push_subscription:${subscription.id}`,
+    templateKey: normalized.templateKey || null,
+    campaignId: campaign.id,
+    variantKey,
+    payload: {
+      source: "admin_manual",
+      manual: true,
+      admin_user_id: adminUserId || null,
+      audience: normalized.audience,
+      batch_number: batchNumber,
+      total_batches: totalBatches,
+      template_key: normalized.templateKey || null,
+      url: message.url,
+      ...(variantKey && { variant_key: variantKey }),
+    },
+    messageSnapshot: {
+      source: "admin_manual",
+      manual: true,
+      title: message.title,
+      body: message.body,
+      url: message.url,
+    },
+    recipientSnapshot: {
+      source: "admin_manual",
+      manual: true,
+      user_id: subscription.user_id || null,
+      subscription_id: subscription.id,
+    },
+  });
+
+  try {
+    const result = await sendPush({
+      subscriptionRow: subscription,
+      title: message.title,
+      body: message.body,
+      url: message.url,
+      payload: {
+        source: "admin_manual",
+        manual: true,
+        admin_user_id: adminUserId || null,
+        audience: normalized.audience,
+        batch_number: batchNumber,
+        total_batches: totalBatches,
+        template_key: normalized.templateKey || null,
+      },
+      source: "admin_manual",
+      eventKey: "MANUAL_ADMIN_PUSH",
+      category: normalized.category,
+    });
+    const updated = await markDispatchAccepted({
+      pgClient,
+      dispatchId: dispatch.id,
+      result: {
+        ok: true,
+        provider_status: "accepted",
+        delivery_status: "unknown",
+        response: { push_dispatch_id: result?.dispatch?.id || null },
+      },
+    });
+    return { outcome: "sent", dispatch: updated };
+  } catch (error) {
+    const statusCode = Number(error?.provider_status || error?.statusCode || error?.status || 0) || null;
+    await deactivateExpiredSubscription(pgClient, subscription, statusCode, error?.code);
+    const updated = await markDispatchFailed({
+      pgClient,
+      dispatchId: dispatch.id,
+      result: {
+        ok: false,
+        error: error?.code || "manual_push_failed",
+        reason: error?.message || null,
+        response: { statusCode },
+      },
+    });
+    return { outcome: "failed", dispatch: updated };
+  }
+}
+
 export async function sendManualPushNotification({
   pgClient,
   payload = {},
@@ -97,13 +192,14 @@ export async function sendManualPushNotification({
     message: payload.message || preview.message_preview,
     url: normalized.url,
   });
-  const subscriptions = await loadSubscriptions(pgClient, normalized);
+  const subscriptions = await loadManualPushSubscriptions(pgClient, normalized);
   const audience = summarizeSubscriptions(subscriptions);
 
   if (
     (audience.eligible_users > 1 ||
       normalized.audience === "all_active_push" ||
-      normalized.audience === "all_consented") &&
+      normalized.audience === "all_consented" ||
+      normalized.audience === "segment") &&
     payload.confirm_bulk_send !== true
   ) {
     return {
@@ -142,6 +238,8 @@ export async function sendManualPushNotification({
     audienceFilter: normalized.audience,
     audienceParams: {
       user_ids: normalized.audience === "selected" ? normalized.userIds : [],
+      category: normalized.category,
+      ...(normalized.segment && { segment: normalized.segment.segment, segment_params: normalized.segment.params }),
     },
     status: "created",
     createdBy: adminUserId,
@@ -151,6 +249,8 @@ export async function sendManualPushNotification({
       admin_user_id: adminUserId || null,
       manual_channel: "push",
       audience: normalized.audience,
+      category: normalized.category,
+      ...(normalized.segment && { segment: normalized.segment.segment }),
     },
     messageSnapshot: {
       source: "admin_manual",
@@ -185,90 +285,20 @@ export async function sendManualPushNotification({
     const batchNumber = batchIndex + 1;
     batchesProcessed += 1;
     for (const subscription of batch) {
-    const dispatch = await createDispatch({
-      pgClient,
-      eventKey: "MANUAL_ADMIN_PUSH",
-      channel: "push",
-      provider: "web_push",
-      userId: subscription.user_id || null,
-      recipient: `push_subscription:${subscription.id}`,
-      recipientOriginal: `push_subscription:${subscription.id}`,
-      templateKey: normalized.templateKey || null,
-      campaignId: campaign.id,
-      payload: {
-        source: "admin_manual",
-        manual: true,
-        admin_user_id: adminUserId || null,
-        audience: normalized.audience,
-        batch_number: batchNumber,
-        total_batches: batches.length,
-        template_key: normalized.templateKey || null,
-        url: message.url,
-      },
-      messageSnapshot: {
-        source: "admin_manual",
-        manual: true,
-        title: message.title,
-        body: message.body,
-        url: message.url,
-      },
-      recipientSnapshot: {
-        source: "admin_manual",
-        manual: true,
-        user_id: subscription.user_id || null,
-        subscription_id: subscription.id,
-      },
-    });
-
-    try {
-      const result = await sendPush({
-        subscriptionRow: subscription,
-        title: message.title,
-        body: message.body,
-        url: message.url,
-        payload: {
-          source: "admin_manual",
-          manual: true,
-          admin_user_id: adminUserId || null,
-          audience: normalized.audience,
-          batch_number: batchNumber,
-          total_batches: batches.length,
-          template_key: normalized.templateKey || null,
-        },
-        source: "admin_manual",
-        eventKey: "MANUAL_ADMIN_PUSH",
-        category: "manual_admin",
-        requireConfiguredSubscription: false,
-        skipModeAssert: true,
-      });
-      const updated = await markDispatchAccepted({
-        pgClient,
-        dispatchId: dispatch.id,
-        result: {
-          ok: true,
-          provider_status: "accepted",
-          delivery_status: "unknown",
-          response: { push_dispatch_id: result?.dispatch?.id || null },
-        },
-      });
-      sent += 1;
-      dispatches.push(updated);
-    } catch (error) {
-      const statusCode = Number(error?.provider_status || error?.statusCode || error?.status || 0) || null;
-      await deactivateExpiredSubscription(pgClient, subscription, statusCode, error?.code);
-      const updated = await markDispatchFailed({
+      const { outcome, dispatch } = await sendManualPushToSubscription({
         pgClient,
-        dispatchId: dispatch.id,
-        result: {
-          ok: false,
-          error: error?.code || "manual_push_failed",
-          reason: error?.message || null,
-          response: { statusCode },
-        },
+        campaign,
+        normalized,
+        message,
+        subscription,
+        batchNumber,
+        totalBatches: batches.length,
+        adminUserId,
+        sendPush,
       });
-      failed += 1;
-      dispatches.push(updated);
-    }
+      if (outcome === "sent") sent += 1;
+      else failed += 1;
+      dispatches.push(dispatch);
     }
   }
 
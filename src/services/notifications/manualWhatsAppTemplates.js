@@ -1,4 +1,5 @@
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 
 export const BACKEND_BREVO_WHATSAPP_TEMPLATES = Object.freeze({
   GENERIC_TEST: Object.freeze({
@@ -56,13 +57,18 @@ export const BACKEND_BREVO_WHATSAPP_TEMPLATES = Object.freeze({
     default_params: Object.freeze({ nome: "Cliente", valor_saldo: "", link_conta: "/conta" }),
     manual_send_allowed: true,
   }),
+  WAITLIST_NUMBER_OFFERED: Object.freeze({
+    template_key: "WAITLIST_NUMBER_OFFERED",
+    env_names: Object.freeze(["BREVO_WHATSAPP_WAITLIST_OFFER_TEMPLATE_ID"]),
+    name: "Número da lista de espera liberado",
+    description: "Aviso ao primeiro da lista de espera com a reserva exclusiva do número.",
+    language: "pt_BR",
+    default_params: Object.freeze({ nome: "Cliente", numero: "", minutos: "", link_sorteio: "/" }),
+    manual_send_allowed: false,
+    manual_send_block_reason: "system_only_template",
+  }),
 });
 
-function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 export function normalizeProviderTemplateId(value) {
   if (value == null || typeof value === "boolean") return null;
   const text = String(value).trim();
@@ -200,13 +206,6 @@ export async function getConnectedBrevoWhatsAppTemplates({
     .sort((a, b) => a.template_key.localeCompare(b.template_key));
 }
 
-function coded(code, template = null) {
-  const error = new Error(code);
-  error.code = code;
-  if (template) error.template = template;
-  return error;
-}
-
 export async function resolveManualBrevoWhatsAppTemplate({
   pgClient,
   templateKey,
@@ -217,7 +216,7 @@ export async function resolveManualBrevoWhatsAppTemplate({
   const template = templates.find((item) => item.template_key === key) || null;
   if (!template) throw coded("manual_template_not_found");
   if (requireManualAllowed && template.manual_send_allowed === false) {
-    throw coded("manual_template_not_allowed", template);
+    throw coded("manual_template_not_allowed", { template });
   }
   return template;
 }
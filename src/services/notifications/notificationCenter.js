@@ -1,5 +1,5 @@
 // src/services/notifications/notificationCenter.js
-import { query } from "../../db.js";
+import { runQuery } from "../../db.js";
 import {
   sendBrevoWhatsAppTemplate,
   normalizePhoneBR,
@@ -52,11 +52,6 @@ const CAMPAIGN_AUDIENCE_FILTERS = new Set([
   "specific_phone",
 ]);
 
-async function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
-
 export const TEST_MODE_WARNING = "TEST_MODE_ACTIVE_REAL_RECIPIENTS_BLOCKED";
 
 export const BREVO_IP_BLOCKED_MESSAGE =
@@ -1043,6 +1038,10 @@ export async function manualSendSelected({
   audienceStats = {},
   consentCategory = WHATSAPP_CONSENT_CATEGORY_DEFAULT,
   sendWhatsApp = sendBrevoWhatsAppTemplate,
+  // Campanha em segundo plano: lote de uma campanha já criada; o chamador contabiliza.
+  campaign: existingCampaign = null,
+  batch: campaignBatch = null,
+  variantKey = null,
 }) {
   if (channel !== "whatsapp" || provider !== "brevo") {
     return {
@@ -1114,8 +1113,8 @@ export async function manualSendSelected({
     use_custom_recipient: useCustomRecipient === true,
   };
 
-  let campaign = null;
-  if (normalizedRecipients.length > 1 || audience === "all_consented") {
+  let campaign = existingCampaign;
+  if (!campaign && (normalizedRecipients.length > 1 || audience === "all_consented")) {
     const audienceSnapshot = {
       source: "admin_manual",
       audience,
@@ -1268,17 +1267,19 @@ export async function manualSendSelected({
       templateKey,
       providerTemplateId: resolvedTemplateId,
       campaignId: campaign?.id || null,
+      variantKey,
       payload: {
         source: "admin_manual",
         manual: true,
         manual_channel: "whatsapp",
         audience,
-        batch_number: batchNumber,
-        total_batches: batches.length,
+        batch_number: campaignBatch?.batchNumber ?? batchNumber,
+        total_batches: campaignBatch?.totalBatches ?? batches.length,
         params: sendParams,
         admin_user_id: adminUserId || null,
         test_mode: security.testMode,
         campaign_id: campaign?.id || null,
+        ...(variantKey && { variant_key: variantKey }),
       },
       messageSnapshot,
       recipientSnapshot,
@@ -1362,7 +1363,7 @@ export async function manualSendSelected({
     }
   }
 
-  if (campaign?.id && !dryRun) {
+  if (campaign?.id && !dryRun && !existingCampaign) {
     await updateCampaignAudienceCounts(pgClient, campaign.id, {
       created: summary.created_count,
       sent: summary.accepted_count,
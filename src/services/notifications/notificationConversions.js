@@ -0,0 +1,161 @@
+// src/services/notifications/notificationConversions.js
+// Atribuição de conversões a notificações de campanha (migration 047).
+//
+// - um pagamento aprovado (payments.paid_at) é atribuído ao último dispatch de campanha enviado
+//   ao mesmo usuário (sent_at) dentro da janela NOTIFICATION_CONVERSION_WINDOW_HOURS antes dele
+// - cada pagamento conta uma vez só (notification_conversions.payment_id é a chave); quem
+//   chegou primeiro fica: uma atribuição já gravada não muda se a janela for alterada
+// - o job recorrente 'notification_conversions_attribute' olha os pagamentos das últimas
+//   NOTIFICATION_CONVERSION_LOOKBACK_HOURS; worker parado por mais tempo perde atribuições
+// - o relatório da campanha agrupa dispatches e conversões por variant_key (teste A/B)
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+
+const LOG_PREFIX = "[notifications.conversions]";
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isNotificationConversionAttributionEnabled() {
+  return envBool("NOTIFICATION_CONVERSION_ATTRIBUTION_ENABLED", true);
+}
+
+export function getNotificationConversionAttributionIntervalMs() {
+  return toPositiveInt(process.env.NOTIFICATION_CONVERSION_ATTRIBUTION_INTERVAL_MS) || 15 * 60 * 1000;
+}
+
+export function getNotificationConversionWindowHours() {
+  return toPositiveInt(process.env.NOTIFICATION_CONVERSION_WINDOW_HOURS) || 72;
+}
+
+export function getNotificationConversionLookbackHours() {
+  return toPositiveInt(process.env.NOTIFICATION_CONVERSION_LOOKBACK_HOURS) || 24;
+}
+
+/** Liga pagamentos aprovados recentes ao último dispatch enviado antes deles. */
+export async function attributeNotificationConversions({
+  now = new Date(),
+  windowHours = getNotificationConversionWindowHours(),
+  lookbackHours = getNotificationConversionLookbackHours(),
+} = {}, options = {}) {
+  const since = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000);
+  const result = await runQuery(
+    options.pgClient,
+    `INSERT INTO public.notification_conversions
+       (payment_id, dispatch_id, campaign_id, variant_key, user_id, amount_cents, paid_at, dispatched_at)
+     SELECT p.id, d.id, d.campaign_id, d.variant_key, p.user_id, p.amount_cents, p.paid_at, d.sent_at
+       FROM public.payments p
+       JOIN LATERAL (
+         SELECT nd.id, nd.campaign_id, nd.variant_key, nd.sent_at
+           FROM public.notification_dispatches nd
+          WHERE nd.user_id = p.user_id
+            AND nd.campaign_id IS NOT NULL
+            AND nd.sent_at IS NOT NULL
+            AND nd.sent_at <= p.paid_at
+            AND nd.sent_at > p.paid_at - make_interval(hours => $1::int)
+          ORDER BY nd.sent_at DESC
+          LIMIT 1
+       ) d ON true
+      WHERE p.user_id IS NOT NULL
+        AND p.paid_at IS NOT NULL
+        AND p.paid_at > $2::timestamptz
+        AND p.paid_at <= $3::timestamptz
+        AND lower(p.status) IN ('approved', 'paid', 'pago')
+     ON CONFLICT (payment_id) DO NOTHING
+     RETURNING payment_id, campaign_id, variant_key`,
+    [windowHours, since.toISOString(), now.toISOString()]
+  );
+  const attributed = result.rows?.length || 0;
+  if (attributed) console.log(LOG_PREFIX, "attributed", { payments: attributed, window_hours: windowHours });
+  return { attributed, window_hours: windowHours, since: since.toISOString() };
+}
+
+function rate(numerator, denominator) {
+  return denominator ? Number((numerator / denominator).toFixed(4)) : 0;
+}
+
+/**
+ * Conversão por variante de uma campanha. `reached_users` são usuários com envio aceito;
+ * a taxa é convertidos / alcançados. Campanha sem teste A/B vem numa linha com variant_key null.
+ */
+export async function getCampaignConversionReport(campaignId, options = {}) {
+  const campaignResult = await runQuery(
+    options.pgClient,
+    `SELECT id, name, channel, status, message_snapshot
+       FROM public.notification_campaigns
+      WHERE id = $1`,
+    [campaignId]
+  );
+  const campaign = campaignResult.rows?.[0];
+  if (!campaign) throw coded("manual_campaign_not_found");
+
+  const dispatches = await runQuery(
+    options.pgClient,
+    `SELECT variant_key,
+            COUNT(DISTINCT user_id) AS recipients,
+            COUNT(DISTINCT user_id) FILTER (WHERE sent_at IS NOT NULL) AS reached_users,
+            COUNT(*) AS dispatches,
+            COUNT(*) FILTER (WHERE sent_at IS NOT NULL) AS sent,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed
+       FROM public.notification_dispatches
+      WHERE campaign_id = $1
+      GROUP BY variant_key`,
+    [campaignId]
+  );
+  const conversions = await runQuery(
+    options.pgClient,
+    `SELECT variant_key,
+            COUNT(DISTINCT user_id) AS converted_users,
+            COUNT(*) AS payments,
+            COALESCE(SUM(amount_cents), 0) AS revenue_cents
+       FROM public.notification_conversions
+      WHERE campaign_id = $1
+      GROUP BY variant_key`,
+    [campaignId]
+  );
+
+  const weights = new Map((campaign.message_snapshot?.variants || []).map((variant) => [variant.key, variant.weight]));
+  const keys = [...weights.keys()];
+  for (const row of [...(dispatches.rows || []), ...(conversions.rows || [])]) {
+    if (!keys.includes(row.variant_key ?? null)) keys.push(row.variant_key ?? null);
+  }
+  const byKey = (rows, key) => (rows || []).find((row) => (row.variant_key ?? null) === key) || {};
+
+  const variants = keys.map((key) => {
+    const sent = byKey(dispatches.rows, key);
+    const converted = byKey(conversions.rows, key);
+    const reachedUsers = Number(sent.reached_users || 0);
+    const convertedUsers = Number(converted.converted_users || 0);
+    return {
+      variant_key: key,
+      weight: weights.get(key) ?? null,
+      recipients: Number(sent.recipients || 0),
+      reached_users: reachedUsers,
+      dispatches: Number(sent.dispatches || 0),
+      sent: Number(sent.sent || 0),
+      failed: Number(sent.failed || 0),
+      converted_users: convertedUsers,
+      payments: Number(converted.payments || 0),
+      revenue_cents: Number(converted.revenue_cents || 0),
+      conversion_rate: rate(convertedUsers, reachedUsers),
+    };
+  });
+
+  return {
+    campaign_id: campaign.id,
+    name: campaign.name || null,
+    channel: campaign.channel || null,
+    status: campaign.status || null,
+    ab_test: weights.size > 0,
+    window_hours: getNotificationConversionWindowHours(),
+    variants,
+  };
+}
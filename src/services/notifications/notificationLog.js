@@ -1,10 +1,5 @@
 // src/services/notifications/notificationLog.js
-import { query } from "../../db.js";
-
-async function runQuery(pgClient, text, params) {
-  if (pgClient) return pgClient.query(text, params);
-  return query(text, params);
-}
+import { runQuery } from "../../db.js";
 
 function sanitizePayload(payload) {
   if (!payload || typeof payload !== "object") return payload ?? null;
@@ -55,6 +50,11 @@ export async function createCampaign({
   audienceSnapshot = {},
   campaignType = "manual_admin",
   audienceCountExpected = null,
+  // Campanha em segundo plano (migration 045): público congelado e lotes.
+  deliveryMode = "inline",
+  recipientUserIds = null,
+  batchSize = null,
+  batchesTotal = null,
 }) {
   const r = await runQuery(
     pgClient,
@@ -72,8 +72,13 @@ export async function createCampaign({
         message_snapshot,
         audience_snapshot,
         campaign_type,
-        audience_count_expected
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10::jsonb, $11::jsonb, $12::jsonb, $13, $14)
+        audience_count_expected,
+        delivery_mode,
+        recipient_user_ids,
+        batch_size,
+        batches_total
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10::jsonb, $11::jsonb, $12::jsonb, $13, $14,
+                $15, $16::int[], $17, $18)
       RETURNING *`,
     [
       name,
@@ -90,6 +95,10 @@ export async function createCampaign({
       toJsonb(audienceSnapshot),
       campaignType,
       audienceCountExpected,
+      deliveryMode,
+      recipientUserIds,
+      batchSize,
+      batchesTotal,
     ]
   );
   return r.rows[0];
@@ -130,6 +139,7 @@ export async function createDispatch({
   providerTemplateId = null,
   payload = null,
   campaignId = null,
+  variantKey = null,
   messageSnapshot = {},
   recipientSnapshot = {},
 }) {
@@ -170,8 +180,9 @@ export async function createDispatch({
         attempts,
         campaign_id,
         message_snapshot,
-        recipient_snapshot
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', $12::jsonb, 0, $13, $14::jsonb, $15::jsonb)
+        recipient_snapshot,
+        variant_key
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', $12::jsonb, 0, $13, $14::jsonb, $15::jsonb, $16)
       RETURNING *`,
     [
       eventId,
@@ -189,6 +200,7 @@ export async function createDispatch({
       campaignId,
       toJsonb(safeMessageSnapshot),
       toJsonb(safeRecipientSnapshot),
+      variantKey,
     ]
   );
   return r.rows[0];
@@ -0,0 +1,48 @@
+// Limite de envios por segundo por provedor, usado pelas campanhas em segundo plano.
+// Cada provedor tem uma fila de horários: cada envio reserva o próximo slot e espera até ele.
+// O limite vale por processo; com várias instâncias rodando o worker, o total é N x o limite.
+const PROVIDER_LIMITS = Object.freeze({
+  brevo_smtp: { env: "NOTIFICATION_RATE_LIMIT_EMAIL_PER_SECOND", fallback: 10 },
+  brevo: { env: "NOTIFICATION_RATE_LIMIT_WHATSAPP_PER_SECOND", fallback: 5 },
+  web_push: { env: "NOTIFICATION_RATE_LIMIT_PUSH_PER_SECOND", fallback: 50 },
+});
+
+const nextSlotAt = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Envios por segundo do provedor; 0 desliga o limite. */
+export function getProviderRateLimitPerSecond(provider) {
+  const config = PROVIDER_LIMITS[provider];
+  if (!config) return 0;
+  const raw = String(process.env[config.env] ?? "").trim();
+  if (!raw) return config.fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : config.fallback;
+}
+
+/** Espera o próximo slot do provedor. Retorna quantos ms esperou. */
+export async function waitForProviderSlot(provider, { now = Date.now, wait = sleep } = {}) {
+  const perSecond = getProviderRateLimitPerSecond(provider);
+  if (!perSecond) return 0;
+  const current = now();
+  const slot = Math.max(current, nextSlotAt.get(provider) || 0);
+  nextSlotAt.set(provider, slot + 1000 / perSecond);
+  const delayMs = slot - current;
+  if (delayMs > 0) await wait(delayMs);
+  return delayMs;
+}
+
+/** Envolve a função de envio de um provedor para respeitar o limite. */
+export function rateLimited(provider, send, options = {}) {
+  return async (...args) => {
+    await waitForProviderSlot(provider, options);
+    return send(...args);
+  };
+}
+
+export function resetProviderRateLimits() {
+  nextSlotAt.clear();
+}
@@ -1,10 +1,17 @@
 import { query } from "../../db.js";
+import { coded } from "../../lib/errors.js";
 import {
   getActivePushRuleByEventKey,
   getAllowedPushRuleEvents,
 } from "./pushRules.js";
 import { sendPushToSubscriptionRow } from "./pushNotifications.js";
+import { pushOptInSql } from "./pushPreferences.js";
 import { handleWhatsAppAutomationEvent } from "./whatsappAutomationEvents.js";
+import {
+  remainingPercent,
+  remainingThresholdFromEventKey,
+  remainingThresholdReached,
+} from "../drawNumbers.js";
 
 const MAX_METADATA_BYTES = 4096;
 const MAX_RECIPIENT_USER_IDS = 500;
@@ -25,14 +32,9 @@ const USER_EVENT_KEYS = new Set([
   "BALANCE_EXPIRING_10_DAYS",
   "BALANCE_EXPIRING_7_DAYS",
   "BALANCE_EXPIRED",
+  "WAITLIST_NUMBER_OFFERED",
 ]);
 
-function coded(code) {
-  const err = new Error(code);
-  err.code = code;
-  return err;
-}
-
 function cleanText(value, fallback = "") {
   return String(value ?? fallback).trim();
 }
@@ -160,11 +162,6 @@ function validateReferenceType(referenceType) {
 
 function assertAutomationRealSendAllowed(eventKey) {
   if (process.env.PUSH_ENABLED !== "true") throw coded("push_disabled");
-  if (process.env.PUSH_MODE !== "production") throw coded("push_mode_not_production");
-  if (process.env.PUSH_TEST_ONLY === "true") throw coded("push_test_only_required");
-  if (process.env.PUSH_ALLOW_PRODUCTION_SEND !== "true") {
-    throw coded("push_production_send_blocked");
-  }
   if (!isTrue(process.env.PUSH_ENGINE_ALLOW_REAL_SEND)) {
     throw coded("push_engine_real_send_disabled");
   }
@@ -173,9 +170,6 @@ function assertAutomationRealSendAllowed(eventKey) {
   }
   const allowed = parseCsvEnv(process.env.PUSH_ENGINE_REAL_SEND_EVENT_KEYS);
   if (!allowed.includes(eventKey)) throw coded("push_engine_event_not_allowed_for_real_send");
-  if (process.env.PUSH_ALLOW_AUDIENCE === "true") throw coded("push_audience_blocked");
-  if (process.env.PUSH_ALLOW_ADMIN_MASS_SEND === "true") throw coded("push_mass_send_blocked");
-  if (process.env.PUSH_ALLOW_CAMPAIGNS === "true") throw coded("push_campaign_blocked");
 }
 
 function isEngineSource(source) {
@@ -402,13 +396,27 @@ async function insertSafetySkipped({
   return { ok: true, event_key: eventKey, status: "skipped", reason, dispatch };
 }
 
-async function getRecipients({ eventKey, recipientUserIds }) {
+async function loadDrawRemaining(drawId) {
+  const result = await query(
+    `SELECT d.number_count,
+            COUNT(n.n) FILTER (WHERE n.status = 'available')::int AS remaining_numbers
+       FROM public.draws d
+       LEFT JOIN public.numbers n ON n.draw_id = d.id
+      WHERE d.id = $1
+      GROUP BY d.id, d.number_count`,
+    [drawId]
+  );
+  return result.rows?.[0] || null;
+}
+
+// Todos os dispositivos ativos de quem aceita a categoria da regra.
+async function getRecipients({ eventKey, recipientUserIds, category = "operational" }) {
   if (PUBLIC_EVENT_KEYS.has(eventKey)) {
     return query(
       `SELECT *
          FROM public.push_subscriptions
         WHERE is_active = true
-          AND operational_opt_in = true
+          AND ${pushOptInSql(category)}
         ORDER BY updated_at DESC, created_at DESC`
     );
   }
@@ -418,7 +426,7 @@ async function getRecipients({ eventKey, recipientUserIds }) {
       `SELECT *
          FROM public.push_subscriptions
         WHERE is_active = true
-          AND operational_opt_in = true
+          AND ${pushOptInSql(category)}
           AND user_id = ANY($1::bigint[])
         ORDER BY updated_at DESC, created_at DESC`,
       [recipientUserIds]
@@ -538,6 +546,27 @@ export async function handlePushAutomationEvent({
         return finishWithLedger(await insertSafetySkipped({ ...skippedArgs, reason: "safety_scan_event_limit_exceeded" }));
       }
     }
+
+    // DRAW_REMAINING_NUMBERS_<N>: N é porcentagem da cartela (draws.number_count), não quantidade fixa.
+    const remainingDrawId = Number(safeMetadata.draw_id);
+    if (key.startsWith("DRAW_REMAINING_NUMBERS_") && Number.isInteger(remainingDrawId) && remainingDrawId > 0) {
+      const remaining = await loadDrawRemaining(remainingDrawId);
+      if (remaining) {
+        const remainingNumbers = Number(remaining.remaining_numbers || 0);
+        safeMetadata.remaining_numbers = remainingNumbers;
+        safeMetadata.number_count = Number(remaining.number_count);
+        safeMetadata.remaining_percent = remainingPercent(remainingNumbers, remaining.number_count);
+        if (!remainingThresholdReached({
+          remaining: remainingNumbers,
+          numberCount: remaining.number_count,
+          percent: remainingThresholdFromEventKey(key),
+        })) {
+          const deduped = await getDedupedResultIfNeeded();
+          if (deduped) return deduped;
+          return finishWithLedger(await insertSafetySkipped({ ...skippedArgs, reason: "safety_remaining_threshold_not_reached" }));
+        }
+      }
+    }
   }
 
   if (!dryRun) {
@@ -606,6 +635,7 @@ export async function handlePushAutomationEvent({
     const recipients = await getRecipients({
       eventKey: key,
       recipientUserIds: safeRecipientUserIds,
+      category: rule.category || "operational",
     });
 
     if (!recipients.rows?.length) {
@@ -665,8 +695,6 @@ export async function handlePushAutomationEvent({
           source: "push_automation",
           eventKey: key,
           category: rule.category || "operational",
-          requireConfiguredSubscription: false,
-          skipModeAssert: true,
         });
         sent += 1;
       } catch {
@@ -1,16 +1,11 @@
 import crypto from "crypto";
 import webpush from "web-push";
-import { query } from "../../db.js";
-import {
-  assertAllowedTestSubscription,
-  getAllowedTestSubscriptionIds,
-  assertPushCurrentDeviceMode,
-  assertPushSingleDeviceMode,
-  coded,
-} from "./pushSingleDeviceGuard.js";
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+import { getPushPreferences } from "./pushPreferences.js";
 
 const DEFAULT_URL = "/me";
-const DEFAULT_TEST_LABEL = "43998640480";
+const DEFAULT_MAX_DEVICES_PER_USER = 10;
 let configuredSignature = "";
 
 function trimmed(value, maxLength) {
@@ -89,18 +84,24 @@ export function getVapidPublicKey() {
   return readVapidEnv().publicKey || null;
 }
 
+export function isPushEnabled() {
+  return process.env.PUSH_ENABLED === "true";
+}
+
+/** Dispositivos ativos por usuário; ao passar disso o mais antigo é desativado. */
+export function getPushMaxDevicesPerUser() {
+  const n = Number(process.env.PUSH_MAX_DEVICES_PER_USER);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_DEVICES_PER_USER;
+}
+
 export function getPushVapidConfigStatus() {
   const { publicKey, privateKey, subject, subjectValid } = readVapidEnv();
-  const hasPushEnabled = process.env.PUSH_ENABLED === "true";
-  const mode = String(process.env.PUSH_MODE || "").trim() || null;
-  const testOnly = process.env.PUSH_TEST_ONLY === "true";
-  const validMode = (testOnly && mode === "single_device_test") || (!testOnly && mode === "production");
+  const hasPushEnabled = isPushEnabled();
   const hasPublicKey = Boolean(publicKey);
   const hasPrivateKey = Boolean(privateKey);
   const hasSubject = Boolean(subject);
   const enabled =
     hasPushEnabled &&
-    validMode &&
     hasPublicKey &&
     hasPrivateKey &&
     hasSubject &&
@@ -109,8 +110,6 @@ export function getPushVapidConfigStatus() {
   return {
     enabled,
     hasPushEnabled,
-    mode,
-    testOnly,
     hasPublicKey,
     hasPrivateKey,
     hasSubject,
@@ -122,12 +121,16 @@ export function getPushVapidConfigStatus() {
   };
 }
 
+/**
+ * Grava (ou reativa) a subscription deste navegador. O usuário pode ter vários dispositivos
+ * ativos; acima de PUSH_MAX_DEVICES_PER_USER os mais antigos são desativados.
+ */
 export async function savePushSubscription({
   userId,
   subscription,
   userAgent,
   deviceLabel,
-}) {
+}, options = {}) {
   const endpoint = String(subscription?.endpoint || "").trim();
   const p256dh = String(subscription?.keys?.p256dh || "").trim();
   const auth = String(subscription?.keys?.auth || "").trim();
@@ -136,12 +139,12 @@ export async function savePushSubscription({
     throw coded("push_subscription_invalid");
   }
 
-  const result = await query(
+  const result = await runQuery(
+    options.pgClient,
     `INSERT INTO public.push_subscriptions (
        user_id, endpoint, p256dh, auth, user_agent, device_label,
-       is_active, test_label, operational_opt_in, marketing_opt_in,
-       last_error_at, last_error, updated_at
-     ) VALUES ($1, $2, $3, $4, $5, $6, true, $7, true, false, NULL, NULL, now())
+       is_active, last_error_at, last_error, updated_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, true, NULL, NULL, now())
      ON CONFLICT (endpoint) DO UPDATE SET
        user_id = EXCLUDED.user_id,
        p256dh = EXCLUDED.p256dh,
@@ -149,9 +152,10 @@ export async function savePushSubscription({
        user_agent = EXCLUDED.user_agent,
        device_label = EXCLUDED.device_label,
        is_active = true,
-       test_label = EXCLUDED.test_label,
+       last_error_at = NULL,
+       last_error = NULL,
        updated_at = now()
-     RETURNING id, operational_opt_in, marketing_opt_in`,
+     RETURNING id`,
     [
       userId,
       endpoint,
@@ -159,23 +163,42 @@ export async function savePushSubscription({
       auth,
       trimmed(userAgent, 1000) || null,
       trimmed(deviceLabel, 240) || null,
-      process.env.PUSH_TEST_PHONE_LABEL || DEFAULT_TEST_LABEL,
     ]
   );
 
-  console.log("[push.single-device] subscribe:ok");
+  const trimmedDevices = await runQuery(
+    options.pgClient,
+    `UPDATE public.push_subscriptions
+        SET is_active = false, updated_at = now()
+      WHERE user_id = $1
+        AND is_active = true
+        AND id NOT IN (
+          SELECT id
+            FROM public.push_subscriptions
+           WHERE user_id = $1 AND is_active = true
+           ORDER BY updated_at DESC, created_at DESC
+           LIMIT $2
+        )
+      RETURNING id`,
+    [userId, getPushMaxDevicesPerUser()]
+  );
+
+  console.log("[push] subscribe:ok", {
+    user_id: userId,
+    deactivated_old_devices: trimmedDevices.rowCount || 0,
+  });
   return {
     subscription_id: result.rows[0].id,
-    push_operational_opt_in: result.rows[0].operational_opt_in,
-    push_marketing_opt_in: result.rows[0].marketing_opt_in,
+    ...(await getPushPreferences({ userId }, options)),
   };
 }
 
-export async function deactivatePushSubscription({ userId, endpoint }) {
+export async function deactivatePushSubscription({ userId, endpoint }, options = {}) {
   if (!userId) throw coded("push_user_not_authenticated");
   const cleanEndpoint = String(endpoint || "").trim();
   if (!cleanEndpoint) throw coded("push_endpoint_required");
-  const result = await query(
+  const result = await runQuery(
+    options.pgClient,
     `UPDATE public.push_subscriptions
         SET is_active = false, updated_at = now()
       WHERE user_id = $1 AND endpoint = $2
@@ -185,93 +208,58 @@ export async function deactivatePushSubscription({ userId, endpoint }) {
   return { ok: true, deactivated: result.rowCount > 0 };
 }
 
-export async function getPushPreferences({ userId }) {
+/** Dispositivos ativos do usuário (sem endpoint/chaves). */
+export async function listPushDevices({ userId }, options = {}) {
   if (!userId) throw coded("push_user_not_authenticated");
-  const result = await query(
-    `SELECT operational_opt_in, marketing_opt_in
+  const result = await runQuery(
+    options.pgClient,
+    `SELECT id, device_label, user_agent, created_at, updated_at, last_success_at
        FROM public.push_subscriptions
       WHERE user_id = $1 AND is_active = true
-      ORDER BY updated_at DESC, created_at DESC
-      LIMIT 1`,
+      ORDER BY updated_at DESC, created_at DESC`,
     [userId]
   );
-  const row = result.rows[0];
-  const operational = row ? row.operational_opt_in === true : true;
-  const marketing = row ? row.marketing_opt_in === true : false;
-  return {
-    push_operational_opt_in: operational,
-    push_marketing_opt_in: marketing,
-    push_opt_out: !operational && !marketing,
-  };
+  return result.rows || [];
 }
 
-export async function updatePushPreferences({
-  userId,
-  operationalOptIn,
-  marketingOptIn,
-}) {
+export async function deactivatePushDevice({ userId, subscriptionId }, options = {}) {
   if (!userId) throw coded("push_user_not_authenticated");
-  if (typeof operationalOptIn !== "boolean" || typeof marketingOptIn !== "boolean") {
-    throw coded("push_preferences_invalid");
+  const id = String(subscriptionId || "").trim();
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    throw coded("push_subscription_id_invalid");
   }
-  const result = await query(
+  const result = await runQuery(
+    options.pgClient,
     `UPDATE public.push_subscriptions
-        SET operational_opt_in = $2,
-            marketing_opt_in = $3,
-            updated_at = now()
-      WHERE id = (
-        SELECT id
-          FROM public.push_subscriptions
-         WHERE user_id = $1 AND is_active = true
-         ORDER BY updated_at DESC, created_at DESC
-         LIMIT 1
-      )
-      RETURNING operational_opt_in, marketing_opt_in`,
-    [userId, operationalOptIn, marketingOptIn]
+        SET is_active = false, updated_at = now()
+      WHERE id = $1 AND user_id = $2 AND is_active = true
+      RETURNING id`,
+    [id, userId]
   );
-  if (!result.rows[0]) throw coded("push_active_subscription_not_found");
-  return {
-    push_operational_opt_in: result.rows[0].operational_opt_in,
-    push_marketing_opt_in: result.rows[0].marketing_opt_in,
-    push_opt_out: !result.rows[0].operational_opt_in && !result.rows[0].marketing_opt_in,
-  };
+  if (!result.rowCount) throw coded("push_device_not_found");
+  return { ok: true, deactivated: true };
 }
 
+/**
+ * Envia para uma subscription e registra em notification_push_dispatches.
+ * 404/410 do provedor (subscription expirada/removida no navegador) desativa a subscription.
+ */
 export async function sendPushToSubscriptionRow({
   subscriptionRow,
   title,
   body,
   url,
   payload,
-  source = "manual_test",
-  eventKey = "PUSH_SINGLE_DEVICE_TEST",
-  category = "test",
-  requireConfiguredSubscription = true,
-  skipModeAssert = false,
-}) {
+  source = "manual",
+  eventKey = "PUSH_MANUAL",
+  category = "operational",
+}, options = {}) {
+  if (!isPushEnabled()) throw coded("push_disabled");
   const message = validateMessage({ title, body, url });
   const extraPayload = safePayload(payload);
 
-  if (!skipModeAssert) {
-    try {
-      const assertMode = requireConfiguredSubscription
-        ? assertPushSingleDeviceMode
-        : assertPushCurrentDeviceMode;
-      assertMode({
-        source,
-        isAudience: false,
-        isEngine: false,
-        isMassSend: false,
-        isCampaign: false,
-      });
-    } catch (error) {
-      console.log("[push.single-device] send:blocked");
-      throw error;
-    }
-  }
-
   if (!subscriptionRow?.id || !subscriptionRow?.endpoint) {
-    throw coded("push_test_subscription_not_found_or_inactive");
+    throw coded("push_subscription_not_found_or_inactive");
   }
   configureWebPush();
 
@@ -282,7 +270,6 @@ export async function sendPushToSubscriptionRow({
     url: message.url,
     event_key: eventKey,
     category,
-    test_label: process.env.PUSH_TEST_PHONE_LABEL || DEFAULT_TEST_LABEL,
     created_at: new Date().toISOString(),
   };
   const pushSubscription = {
@@ -290,18 +277,15 @@ export async function sendPushToSubscriptionRow({
     keys: { p256dh: subscriptionRow.p256dh, auth: subscriptionRow.auth },
   };
 
-  console.log("[push.single-device] send:start");
   try {
-    if (requireConfiguredSubscription) {
-      assertAllowedTestSubscription({ subscriptionId: subscriptionRow.id });
-    }
     await webpush.sendNotification(pushSubscription, JSON.stringify(browserPayload));
 
-    const dispatch = await query(
+    const dispatch = await runQuery(
+      options.pgClient,
       `INSERT INTO public.notification_push_dispatches (
          user_id, subscription_id, event_key, category, title, body, url,
-         payload, status, sent_at
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, 'sent', now())
+         payload, source, status, sent_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, 'sent', now())
        RETURNING id, status, sent_at`,
       [
         subscriptionRow.user_id || null,
@@ -312,40 +296,37 @@ export async function sendPushToSubscriptionRow({
         message.body,
         message.url,
         JSON.stringify(browserPayload),
+        source,
       ]
     );
-    await query(
+    await runQuery(
+      options.pgClient,
       `UPDATE public.push_subscriptions
           SET last_success_at = now(), last_error_at = NULL, last_error = NULL, updated_at = now()
         WHERE id = $1`,
       [subscriptionRow.id]
     );
-    console.log("[push.single-device] send:sent");
     return { ok: true, dispatch: dispatch.rows[0] };
   } catch (error) {
-    if (error?.code === "push_subscription_not_allowed_in_test_mode") {
-      console.log("[push.single-device] send:blocked");
-      throw error;
-    }
     const statusCode = Number(error?.statusCode || error?.status || 0);
     const providerCode = providerErrorCode(statusCode);
-    const providerMessage = safeErrorMessage(error);
     const errorMessage = `${providerCode}${statusCode ? `:${statusCode}` : ""}`;
+    const gone = statusCode === 404 || statusCode === 410;
     if (process.env.NODE_ENV !== "production") {
-      console.log("[push.test] provider-error", {
+      console.log("[push] provider-error", {
         statusCode: statusCode || null,
         errorName: error?.name || null,
-        message: providerMessage,
+        message: safeErrorMessage(error),
         subscription_id: subscriptionRow.id,
-        user_id: subscriptionRow.user_id || null,
         event_key: eventKey,
       });
     }
-    await query(
+    await runQuery(
+      options.pgClient,
       `INSERT INTO public.notification_push_dispatches (
          user_id, subscription_id, event_key, category, title, body, url,
-         payload, status, error_message
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, 'failed', $9)`,
+         payload, source, status, error_message
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, 'failed', $10)`,
       [
         subscriptionRow.user_id || null,
         subscriptionRow.id,
@@ -355,71 +336,28 @@ export async function sendPushToSubscriptionRow({
         message.body,
         message.url,
         JSON.stringify(browserPayload),
+        source,
         errorMessage,
       ]
     ).catch(() => {});
-    await query(
+    await runQuery(
+      options.pgClient,
       `UPDATE public.push_subscriptions
           SET last_error_at = now(), last_error = $2,
-              is_active = CASE WHEN $3::int IN (404, 410) THEN false ELSE is_active END,
+              is_active = CASE WHEN $3::boolean THEN false ELSE is_active END,
               updated_at = now()
         WHERE id = $1`,
-      [subscriptionRow.id, errorMessage, statusCode]
+      [subscriptionRow.id, errorMessage, gone]
     ).catch(() => {});
-    if (process.env.NODE_ENV !== "production") {
-      console.log("[push.test] send:failed", {
-        statusCode: statusCode || null,
-        error: providerCode,
+    if (gone) {
+      console.log("[push] subscription_deactivated", {
         subscription_id: subscriptionRow.id,
+        user_id: subscriptionRow.user_id || null,
+        status_code: statusCode,
       });
     }
-    console.log("[push.single-device] send:failed");
     const out = coded(providerCode);
     out.provider_status = statusCode || null;
     throw out;
   }
 }
-
-export async function sendTestPushToConfiguredSubscription({
-  title,
-  body,
-  url = DEFAULT_URL,
-  payload = {},
-  source = "manual_test",
-}) {
-  if (process.env.NODE_ENV !== "production") {
-    console.log("[push.test] send:start");
-  }
-  assertPushSingleDeviceMode({
-    source,
-    isAudience: false,
-    isEngine: false,
-    isMassSend: false,
-    isCampaign: false,
-  });
-  const subscriptionIds = getAllowedTestSubscriptionIds();
-  const result = await query(
-    `SELECT * FROM public.push_subscriptions
-      WHERE id = ANY($1::uuid[])
-        AND is_active = true`,
-    [subscriptionIds]
-  );
-  if (!result.rows[0]) throw coded("push_test_subscription_not_found_or_inactive");
-  const dispatches = [];
-  for (const row of result.rows) {
-    // each subscription is validated again immediately before delivery
-    const out = await sendPushToSubscriptionRow({
-      subscriptionRow: row,
-      title,
-      body,
-      url,
-      payload,
-      source,
-    });
-    dispatches.push(out);
-  }
-  if (process.env.NODE_ENV !== "production") {
-    console.log("[push.test] send:done", { count: dispatches.length });
-  }
-  return { ok: true, sent: dispatches, count: dispatches.length };
-}
@@ -0,0 +1,103 @@
+// Preferências de Web Push por categoria (public.push_preferences), por usuário: valem para
+// todos os dispositivos dele. Sem linha, valem os padrões de PUSH_CATEGORIES.
+//   operational: pagamentos, reservas, lista de espera, resultado
+//   draws: novo sorteio, números acabando
+//   balance: saldo de cupom vencendo/vencido
+//   marketing: promoções (opt-in explícito)
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+
+export const PUSH_CATEGORIES = Object.freeze({
+  operational: true,
+  draws: true,
+  balance: true,
+  marketing: false,
+});
+
+const CATEGORY_COLUMNS = Object.freeze({
+  operational: "operational_opt_in",
+  draws: "draws_opt_in",
+  balance: "balance_opt_in",
+  marketing: "marketing_opt_in",
+});
+
+export function isPushCategory(category) {
+  return Object.prototype.hasOwnProperty.call(PUSH_CATEGORIES, String(category || ""));
+}
+
+export function normalizePushCategory(category, fallback = "operational") {
+  const clean = String(category || "").trim().toLowerCase() || fallback;
+  if (!isPushCategory(clean)) throw coded("push_category_invalid");
+  return clean;
+}
+
+/**
+ * Condição SQL "o dono da subscription aceita a categoria". `userIdExpr` precisa vir
+ * qualificado (ex.: `push_subscriptions.user_id`), senão resolve para pp.user_id.
+ */
+export function pushOptInSql(category, userIdExpr = "push_subscriptions.user_id") {
+  const safe = normalizePushCategory(category);
+  const column = CATEGORY_COLUMNS[safe];
+  return PUSH_CATEGORIES[safe]
+    ? `NOT EXISTS (SELECT 1 FROM public.push_preferences pp WHERE pp.user_id = ${userIdExpr} AND pp.${column} = false)`
+    : `EXISTS (SELECT 1 FROM public.push_preferences pp WHERE pp.user_id = ${userIdExpr} AND pp.${column} = true)`;
+}
+
+function toResponse(row) {
+  const categories = {};
+  for (const [category, defaultValue] of Object.entries(PUSH_CATEGORIES)) {
+    const value = row?.[CATEGORY_COLUMNS[category]];
+    categories[category] = typeof value === "boolean" ? value : defaultValue;
+  }
+  return {
+    categories,
+    push_operational_opt_in: categories.operational,
+    push_marketing_opt_in: categories.marketing,
+    push_opt_out: Object.values(categories).every((value) => !value),
+  };
+}
+
+export async function getPushPreferences({ userId }, options = {}) {
+  if (!userId) throw coded("push_user_not_authenticated");
+  const result = await runQuery(
+    options.pgClient,
+    `SELECT operational_opt_in, draws_opt_in, balance_opt_in, marketing_opt_in
+       FROM public.push_preferences
+      WHERE user_id = $1`,
+    [userId]
+  );
+  return toResponse(result.rows?.[0]);
+}
+
+/** Atualização parcial: categoria ausente mantém o valor atual (ou o padrão). */
+export async function updatePushPreferences({ userId, categories = {} }, options = {}) {
+  if (!userId) throw coded("push_user_not_authenticated");
+  if (!categories || typeof categories !== "object" || Array.isArray(categories)) {
+    throw coded("push_preferences_invalid");
+  }
+  const entries = Object.entries(categories);
+  if (!entries.length) throw coded("push_preferences_invalid");
+  for (const [category, value] of entries) {
+    if (!isPushCategory(category) || typeof value !== "boolean") throw coded("push_preferences_invalid");
+  }
+
+  const values = Object.keys(PUSH_CATEGORIES).map((category) => categories[category] ?? null);
+  const result = await runQuery(
+    options.pgClient,
+    `INSERT INTO public.push_preferences (
+       user_id, operational_opt_in, draws_opt_in, balance_opt_in, marketing_opt_in, updated_at
+     ) VALUES (
+       $1, COALESCE($2::boolean, true), COALESCE($3::boolean, true),
+       COALESCE($4::boolean, true), COALESCE($5::boolean, false), now()
+     )
+     ON CONFLICT (user_id) DO UPDATE SET
+       operational_opt_in = COALESCE($2::boolean, push_preferences.operational_opt_in),
+       draws_opt_in = COALESCE($3::boolean, push_preferences.draws_opt_in),
+       balance_opt_in = COALESCE($4::boolean, push_preferences.balance_opt_in),
+       marketing_opt_in = COALESCE($5::boolean, push_preferences.marketing_opt_in),
+       updated_at = now()
+     RETURNING operational_opt_in, draws_opt_in, balance_opt_in, marketing_opt_in`,
+    [userId, ...values]
+  );
+  return toResponse(result.rows?.[0]);
+}
@@ -1,4 +1,6 @@
 import { query } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+import { isPushCategory } from "./pushPreferences.js";
 
 export const PUSH_RULE_EVENTS = Object.freeze([
   "NEW_DRAW_PUBLISHED",
@@ -11,6 +13,7 @@ export const PUSH_RULE_EVENTS = Object.freeze([
   "BALANCE_EXPIRING_10_DAYS",
   "BALANCE_EXPIRING_7_DAYS",
   "BALANCE_EXPIRED",
+  "WAITLIST_NUMBER_OFFERED",
   "WINNER_DEFINED",
 ]);
 
@@ -24,7 +27,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Novo sorteio disponível!",
     body_template: "Já está disponível um novo sorteio da New Store. Confira agora.",
     url_template: "/",
-    category: "operational",
+    category: "draws",
   },
   {
     event_key: "DRAW_REMAINING_NUMBERS_75",
@@ -33,7 +36,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Sorteio avançando!",
     body_template: "Restam 75 números disponíveis neste sorteio.",
     url_template: "/",
-    category: "operational",
+    category: "draws",
     threshold_value: 75,
   },
   {
@@ -43,7 +46,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Sorteio avancando!",
     body_template: "Restam 50 numeros disponiveis neste sorteio.",
     url_template: "/",
-    category: "operational",
+    category: "draws",
     threshold_value: 50,
   },
   {
@@ -53,7 +56,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Está acabando!",
     body_template: "Restam apenas 20 números disponíveis neste sorteio.",
     url_template: "/",
-    category: "operational",
+    category: "draws",
     threshold_value: 20,
   },
   {
@@ -63,7 +66,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Últimos números!",
     body_template: "Restam apenas 10 números disponíveis neste sorteio.",
     url_template: "/",
-    category: "operational",
+    category: "draws",
     threshold_value: 10,
   },
   {
@@ -73,7 +76,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Saldo disponível na sua conta",
     body_template: "Você possui saldo que vence em até 30 dias.",
     url_template: "/conta",
-    category: "operational",
+    category: "balance",
     threshold_value: 30,
   },
   {
@@ -83,7 +86,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Seu saldo esta perto de vencer",
     body_template: "Voce tem saldo disponivel que vence em ate 15 dias.",
     url_template: "/conta",
-    category: "operational",
+    category: "balance",
     threshold_value: 15,
   },
   {
@@ -93,7 +96,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Seu saldo está perto de vencer",
     body_template: "Você tem saldo disponível que vence em até 10 dias.",
     url_template: "/conta",
-    category: "operational",
+    category: "balance",
     threshold_value: 10,
   },
   {
@@ -103,7 +106,7 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Seu saldo vence em breve",
     body_template: "Você tem saldo disponível que vence em até 7 dias.",
     url_template: "/conta",
-    category: "operational",
+    category: "balance",
     threshold_value: 7,
   },
   {
@@ -113,6 +116,15 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
     title_template: "Saldo vencido",
     body_template: "Um saldo da sua conta venceu. Confira os detalhes na Área do cliente.",
     url_template: "/conta",
+    category: "balance",
+  },
+  {
+    event_key: "WAITLIST_NUMBER_OFFERED",
+    name: "Número da lista de espera liberado",
+    description: "Aviso ao primeiro da lista de espera quando o número volta e fica reservado para ele.",
+    title_template: "Seu número voltou!",
+    body_template: "O número {{numero}} está reservado para você por {{minutos}} minutos. Garanta agora.",
+    url_template: "/",
     category: "operational",
   },
   {
@@ -126,12 +138,6 @@ export const DEFAULT_PUSH_RULES = Object.freeze([
   },
 ]);
 
-function coded(code) {
-  const err = new Error(code);
-  err.code = code;
-  return err;
-}
-
 function trimOrNull(value) {
   const text = String(value ?? "").trim();
   return text ? text : null;
@@ -201,7 +207,7 @@ export function validatePushRulePayload(payload = {}, { partial = false } = {})
 
   if (!partial || Object.prototype.hasOwnProperty.call(payload, "category")) {
     const category = String(payload.category || "operational").trim();
-    if (category !== "operational") throw coded("push_rule_category_invalid");
+    if (!isPushCategory(category)) throw coded("push_rule_category_invalid");
     out.category = category;
   }
 
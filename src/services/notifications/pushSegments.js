@@ -0,0 +1,168 @@
+// Segmentos de público para envio manual de Push (audience "segment" em manualNotificationPreview).
+// Cada segmento resolve para uma lista de user_id; opt-in e dispositivos ativos são filtrados
+// depois, na mesma consulta de push_subscriptions das outras audiences.
+import { runQuery } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+import { expiryFloor, resolveExpiryEffectiveFrom } from "../couponBalanceExpiry.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BALANCE_EXPIRING_DEFAULT_DAYS = 30;
+const BALANCE_EXPIRING_MAX_DAYS = 90;
+
+export const PUSH_SEGMENTS = Object.freeze([
+  {
+    key: "last_draw_buyers",
+    name: "Compraram no último sorteio",
+    description: "Pagamento aprovado no sorteio mais recente com vendas (ou no draw_id informado).",
+    params: ["draw_id"],
+  },
+  {
+    key: "has_autopay",
+    name: "Com compra automática",
+    description: "Perfil de compra automática ativo.",
+    params: [],
+  },
+  {
+    key: "balance_expiring",
+    name: "Saldo vencendo",
+    description: "Saldo de cupom com vencimento nos próximos dias (padrão 30).",
+    params: ["days"],
+  },
+  {
+    key: "open_draw_non_buyers",
+    name: "Ainda não compraram no sorteio aberto",
+    description: "Com push ativo e sem pagamento aprovado no sorteio principal aberto. Sem sorteio aberto, vazio.",
+    params: [],
+  },
+]);
+
+const SEGMENT_KEYS = new Set(PUSH_SEGMENTS.map((segment) => segment.key));
+
+function positiveIntOrNull(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+/** Valida o segmento e os parâmetros (manual_segment_invalid / manual_segment_params_invalid). */
+export function normalizePushSegment(segment, params = {}) {
+  const key = String(segment || "").trim().toLowerCase();
+  if (!SEGMENT_KEYS.has(key)) throw coded("manual_segment_invalid");
+  const raw = params && typeof params === "object" && !Array.isArray(params) ? params : {};
+
+  if (key === "last_draw_buyers") {
+    const drawId = positiveIntOrNull(raw.draw_id);
+    if (Number.isNaN(drawId)) throw coded("manual_segment_params_invalid");
+    return { segment: key, params: { draw_id: drawId } };
+  }
+  if (key === "balance_expiring") {
+    const days = positiveIntOrNull(raw.days) ?? BALANCE_EXPIRING_DEFAULT_DAYS;
+    if (Number.isNaN(days) || days > BALANCE_EXPIRING_MAX_DAYS) throw coded("manual_segment_params_invalid");
+    return { segment: key, params: { days } };
+  }
+  return { segment: key, params: {} };
+}
+
+async function lastDrawBuyers(pgClient, { draw_id: drawId }) {
+  const result = await runQuery(
+    pgClient,
+    `WITH target AS (
+       SELECT COALESCE($1::int, (
+         SELECT draw_id
+           FROM public.payments
+          WHERE draw_id IS NOT NULL
+            AND lower(status) IN ('approved', 'paid', 'pago')
+          ORDER BY draw_id DESC
+          LIMIT 1
+       )) AS draw_id
+     )
+     SELECT DISTINCT p.user_id, t.draw_id
+       FROM target t
+       JOIN public.payments p ON p.draw_id = t.draw_id
+      WHERE p.user_id IS NOT NULL
+        AND lower(p.status) IN ('approved', 'paid', 'pago')
+      ORDER BY p.user_id`,
+    [drawId]
+  );
+  return { userIds: result.rows.map((row) => Number(row.user_id)), resolved: { draw_id: result.rows[0]?.draw_id ?? drawId } };
+}
+
+async function autopayUsers(pgClient) {
+  const result = await runQuery(
+    pgClient,
+    `SELECT DISTINCT ap.user_id
+       FROM public.autopay_profiles ap
+      WHERE ap.active = true
+        AND ap.user_id IS NOT NULL
+      ORDER BY ap.user_id`,
+    []
+  );
+  return { userIds: result.rows.map((row) => Number(row.user_id)), resolved: {} };
+}
+
+// Só quem tem push ativo: sem esse recorte o segmento seria praticamente toda a base de usuários.
+async function openDrawNonBuyers(pgClient) {
+  const draw = await runQuery(
+    pgClient,
+    `SELECT id
+       FROM public.draws
+      WHERE status = 'open'
+        AND COALESCE(draw_type, 'principal') = 'principal'
+      ORDER BY opened_at DESC NULLS LAST, id DESC
+      LIMIT 1`,
+    []
+  );
+  const drawId = draw.rows[0]?.id ?? null;
+  if (!drawId) return { userIds: [], resolved: { draw_id: null, no_open_draw: true } };
+  const result = await runQuery(
+    pgClient,
+    `SELECT DISTINCT s.user_id
+       FROM public.push_subscriptions s
+      WHERE s.is_active = true
+        AND s.user_id IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1
+            FROM public.payments p
+           WHERE p.user_id = s.user_id
+             AND p.draw_id = $1
+             AND lower(p.status) IN ('approved', 'paid', 'pago')
+        )
+      ORDER BY s.user_id`,
+    [drawId]
+  );
+  return { userIds: result.rows.map((row) => Number(row.user_id)), resolved: { draw_id: Number(drawId) } };
+}
+
+// Mesma data efetiva de vencimento do job de saldo: sem COUPON_BALANCE_EXPIRY_EFFECTIVE_FROM nada vence.
+async function balanceExpiringUsers(pgClient, { days }, now) {
+  const effectiveFrom = resolveExpiryEffectiveFrom();
+  if (!effectiveFrom) return { userIds: [], resolved: { days, expiry_disabled: true } };
+  const result = await runQuery(
+    pgClient,
+    `SELECT DISTINCT user_id
+       FROM public.coupon_balance_lots
+      WHERE remaining_cents > 0
+        AND GREATEST(expires_at, $1::timestamptz) > $2::timestamptz
+        AND GREATEST(expires_at, $1::timestamptz) <= $3::timestamptz
+      ORDER BY user_id`,
+    [expiryFloor(effectiveFrom).toISOString(), now.toISOString(), new Date(now.getTime() + days * DAY_MS).toISOString()]
+  );
+  return { userIds: result.rows.map((row) => Number(row.user_id)), resolved: { days } };
+}
+
+/** Resolve o segmento para user_ids. Retorna { segment, params, user_ids }. */
+export async function resolvePushSegmentUserIds({ segment, params = {}, now = new Date() } = {}, options = {}) {
+  const normalized = normalizePushSegment(segment, params);
+  const out = normalized.segment === "last_draw_buyers"
+    ? await lastDrawBuyers(options.pgClient, normalized.params)
+    : normalized.segment === "has_autopay"
+      ? await autopayUsers(options.pgClient)
+      : normalized.segment === "open_draw_non_buyers"
+        ? await openDrawNonBuyers(options.pgClient)
+        : await balanceExpiringUsers(options.pgClient, normalized.params, now);
+  return {
+    segment: normalized.segment,
+    params: { ...normalized.params, ...out.resolved },
+    user_ids: out.userIds.filter((id) => Number.isInteger(id) && id > 0),
+  };
+}
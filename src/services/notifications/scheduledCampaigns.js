@@ -0,0 +1,420 @@
+// src/services/notifications/scheduledCampaigns.js
+// Campanhas manuais agendadas e recorrentes (migration 046).
+//
+// - payload é o corpo de POST /manual/send; é validado ao criar/editar e o público não é
+//   congelado: no disparo a prévia é refeita e a campanha vai para a fila (manualCampaignJobs.js)
+// - recurrence { weekdays: [0-6], time: "HH:MM" } em horário de Brasília (0 = domingo);
+//   sem recurrence o agendamento dispara uma vez em run_at
+// - condition "open_draw": sem sorteio principal aberto o disparo é pulado (e a recorrência segue)
+// - público vazio no disparo também é pulado, sem criar campanha
+// - editar/cancelar só enquanto status = 'scheduled'; o disparo trava a linha, então uma edição
+//   concorrente espera o disparo terminar e passa a valer para a próxima ocorrência
+// Roda no job recorrente 'notification_schedules_tick' (src/services/backgroundJobs.js).
+import { runQuery, withTransaction } from "../../db.js";
+import { coded } from "../../lib/errors.js";
+import { buildManualNotificationPreview } from "./manualNotificationPreview.js";
+import { validatePushMessage } from "./manualPushNotifications.js";
+import { MANUAL_NO_RECIPIENTS_ERRORS, queueManualCampaign } from "./manualCampaignJobs.js";
+
+export const SCHEDULED_CAMPAIGN_STATUSES = Object.freeze(["scheduled", "completed", "cancelled"]);
+export const SCHEDULED_CAMPAIGN_CONDITIONS = Object.freeze(["open_draw"]);
+
+const LOG_PREFIX = "[notifications.schedules]";
+const BATCH_LIMIT = 20;
+const LIST_LIMIT = 100;
+// America/Sao_Paulo sem horário de verão desde 2019.
+const SAO_PAULO_OFFSET_MS = -3 * 60 * 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SKIPPED_ERRORS = new Set(Object.values(MANUAL_NO_RECIPIENTS_ERRORS));
+
+function log(event, payload = {}) {
+  console.log(LOG_PREFIX, event, payload);
+}
+
+function warn(event, payload = {}) {
+  console.warn(LOG_PREFIX, event, payload);
+}
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isNotificationSchedulerEnabled() {
+  return envBool("NOTIFICATION_SCHEDULER_ENABLED", true);
+}
+
+export function getNotificationSchedulerIntervalMs() {
+  return toPositiveInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL_MS) || 60000;
+}
+
+/** Valida a recorrência semanal. null/"" remove a recorrência. */
+export function normalizeRecurrence(input) {
+  if (input == null || input === "") return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw coded("manual_schedule_recurrence_invalid");
+  const weekdays = Array.isArray(input.weekdays) ? input.weekdays.map(Number) : [];
+  if (!weekdays.length || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw coded("manual_schedule_recurrence_invalid");
+  }
+  const time = String(input.time || "").trim();
+  if (!TIME_RE.test(time)) throw coded("manual_schedule_recurrence_invalid");
+  return { weekdays: [...new Set(weekdays)].sort((a, b) => a - b), time };
+}
+
+/** Próxima ocorrência da recorrência estritamente depois de `after`. */
+export function nextRecurrenceRun(recurrence, after = new Date()) {
+  const { weekdays, time } = normalizeRecurrence(recurrence);
+  const [hours, minutes] = time.split(":").map(Number);
+  // Data "de parede" em São Paulo representada como UTC, para usar getUTC*.
+  const local = new Date(after.getTime() + SAO_PAULO_OFFSET_MS);
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const candidate = new Date(Date.UTC(
+      local.getUTCFullYear(),
+      local.getUTCMonth(),
+      local.getUTCDate() + offset,
+      hours,
+      minutes
+    ));
+    if (!weekdays.includes(candidate.getUTCDay())) continue;
+    const runAt = new Date(candidate.getTime() - SAO_PAULO_OFFSET_MS);
+    if (runAt.getTime() > after.getTime()) return runAt;
+  }
+  return null;
+}
+
+function parseRunAt(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw coded("manual_schedule_run_at_invalid");
+  return date;
+}
+
+function normalizeCondition(value) {
+  if (value == null || value === "") return null;
+  const condition = String(value).trim().toLowerCase();
+  if (!SCHEDULED_CAMPAIGN_CONDITIONS.includes(condition)) throw coded("manual_schedule_condition_invalid");
+  return condition;
+}
+
+// O disparo sempre confirma o envio em massa; a confirmação do admin é a criação do agendamento.
+function storedPayload(payload) {
+  const { confirm_bulk_send: _confirm, ...rest } = payload && typeof payload === "object" ? payload : {};
+  return rest;
+}
+
+function scheduleName(name, payload, preview) {
+  const clean = String(name || "").trim();
+  if (clean) return clean.slice(0, 255);
+  const label = payload.title || preview.subject_preview || preview.normalized.templateKey || preview.normalized.audience;
+  return `Agendada ${preview.normalized.channel} - ${label}`.slice(0, 255);
+}
+
+/**
+ * Valida payload, horário, recorrência e condição. Com recorrência, run_at é a primeira
+ * ocorrência depois de agora (ou depois de run_at, quando informado como início).
+ */
+export async function normalizeScheduledCampaignInput(input = {}, { pgClient, now = new Date() } = {}) {
+  const payload = storedPayload(input.payload);
+  const preview = await buildManualNotificationPreview({ pgClient, payload });
+  if (preview.normalized.channel === "push") {
+    validatePushMessage({
+      title: payload.title || preview.title_preview,
+      message: payload.message || preview.message_preview,
+      url: preview.normalized.url,
+    });
+  }
+
+  const recurrence = normalizeRecurrence(input.recurrence);
+  const requestedRunAt = parseRunAt(input.run_at);
+  let runAt;
+  if (recurrence) {
+    const startsAt = requestedRunAt && requestedRunAt.getTime() > now.getTime() ? requestedRunAt : now;
+    runAt = nextRecurrenceRun(recurrence, new Date(startsAt.getTime() - 1));
+  } else {
+    if (!requestedRunAt) throw coded("manual_schedule_run_at_required");
+    if (requestedRunAt.getTime() <= now.getTime()) throw coded("manual_schedule_run_at_in_past");
+    runAt = requestedRunAt;
+  }
+
+  return {
+    name: scheduleName(input.name, payload, preview),
+    channel: preview.normalized.channel,
+    payload,
+    runAt,
+    recurrence,
+    condition: normalizeCondition(input.condition),
+    preview,
+  };
+}
+
+function estimateFromPreview(preview) {
+  return {
+    requested_users: preview.requested_users,
+    eligible_users: preview.eligible_users,
+    eligible_devices: preview.eligible_devices,
+    valid_emails: preview.valid_emails,
+    valid_phones: preview.valid_phones,
+    blocked_by_consent: preview.blocked_by_consent,
+  };
+}
+
+export function formatScheduledCampaign(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    name: row.name,
+    channel: row.channel,
+    status: row.status,
+    payload: row.payload || {},
+    run_at: row.run_at,
+    recurrence: row.recurrence || null,
+    condition: row.condition || null,
+    runs_count: Number(row.runs_count || 0),
+    last_run_at: row.last_run_at || null,
+    last_outcome: row.last_outcome || null,
+    last_result: row.last_result || null,
+    last_campaign_id: row.last_campaign_id || null,
+    created_by: row.created_by ?? null,
+    cancelled_at: row.cancelled_at || null,
+    created_at: row.created_at || null,
+    updated_at: row.updated_at || null,
+  };
+}
+
+export async function createScheduledCampaign(input = {}, { pgClient, adminUserId = null, now = new Date() } = {}) {
+  const normalized = await normalizeScheduledCampaignInput(input, { pgClient, now });
+  const { rows } = await runQuery(
+    pgClient,
+    `INSERT INTO public.notification_scheduled_campaigns
+       (name, channel, payload, run_at, recurrence, condition, created_by)
+     VALUES ($1, $2, $3::jsonb, $4, $5::jsonb, $6, $7)
+     RETURNING *`,
+    [
+      normalized.name,
+      normalized.channel,
+      JSON.stringify(normalized.payload),
+      normalized.runAt.toISOString(),
+      normalized.recurrence ? JSON.stringify(normalized.recurrence) : null,
+      normalized.condition,
+      adminUserId || null,
+    ]
+  );
+  log("created", { id: Number(rows[0]?.id), channel: normalized.channel, run_at: normalized.runAt.toISOString() });
+  return { schedule: formatScheduledCampaign(rows[0]), estimate: estimateFromPreview(normalized.preview) };
+}
+
+async function loadScheduleForUpdate(client, id) {
+  const { rows } = await client.query(
+    `SELECT * FROM public.notification_scheduled_campaigns WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+  const row = rows[0];
+  if (!row) throw coded("manual_schedule_not_found");
+  if (row.status !== "scheduled") throw coded("manual_schedule_invalid_state", { status: row.status });
+  return row;
+}
+
+/** Edita um agendamento ainda não concluído. Campos ausentes mantêm o valor gravado. */
+export async function updateScheduledCampaign(id, input = {}, options = {}) {
+  const now = options.now || new Date();
+  return withTransaction(options, async (client) => {
+    const current = await loadScheduleForUpdate(client, id);
+    const has = (key) => Object.prototype.hasOwnProperty.call(input, key);
+    const normalized = await normalizeScheduledCampaignInput({
+      name: has("name") ? input.name : current.name,
+      payload: has("payload") ? input.payload : current.payload,
+      recurrence: has("recurrence") ? input.recurrence : current.recurrence,
+      run_at: has("run_at") ? input.run_at : current.run_at,
+      condition: has("condition") ? input.condition : current.condition,
+    }, { pgClient: client, now });
+    const { rows } = await client.query(
+      `UPDATE public.notification_scheduled_campaigns
+          SET name = $2,
+              channel = $3,
+              payload = $4::jsonb,
+              run_at = $5,
+              recurrence = $6::jsonb,
+              condition = $7,
+              updated_at = now()
+        WHERE id = $1
+        RETURNING *`,
+      [
+        id,
+        normalized.name,
+        normalized.channel,
+        JSON.stringify(normalized.payload),
+        normalized.runAt.toISOString(),
+        normalized.recurrence ? JSON.stringify(normalized.recurrence) : null,
+        normalized.condition,
+      ]
+    );
+    return { schedule: formatScheduledCampaign(rows[0]), estimate: estimateFromPreview(normalized.preview) };
+  });
+}
+
+export async function cancelScheduledCampaign(id, options = {}) {
+  return withTransaction(options, async (client) => {
+    await loadScheduleForUpdate(client, id);
+    const { rows } = await client.query(
+      `UPDATE public.notification_scheduled_campaigns
+          SET status = 'cancelled',
+              cancelled_at = now(),
+              updated_at = now()
+        WHERE id = $1
+        RETURNING *`,
+      [id]
+    );
+    log("cancelled", { id });
+    return formatScheduledCampaign(rows[0]);
+  });
+}
+
+export async function getScheduledCampaign(id, { pgClient } = {}) {
+  const { rows } = await runQuery(
+    pgClient,
+    `SELECT * FROM public.notification_scheduled_campaigns WHERE id = $1`,
+    [id]
+  );
+  if (!rows[0]) throw coded("manual_schedule_not_found");
+  return formatScheduledCampaign(rows[0]);
+}
+
+export async function listScheduledCampaigns({ status = null } = {}, { pgClient } = {}) {
+  const filter = status ? String(status).trim().toLowerCase() : null;
+  if (filter && !SCHEDULED_CAMPAIGN_STATUSES.includes(filter)) throw coded("manual_schedule_status_invalid");
+  const { rows } = await runQuery(
+    pgClient,
+    `SELECT *
+       FROM public.notification_scheduled_campaigns
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY CASE WHEN status = 'scheduled' THEN 0 ELSE 1 END, run_at, id
+      LIMIT ${LIST_LIMIT}`,
+    [filter]
+  );
+  return rows.map(formatScheduledCampaign);
+}
+
+async function loadOpenPrincipalDraw(client) {
+  const { rows } = await client.query(
+    `SELECT id
+       FROM public.draws
+      WHERE status = 'open'
+        AND COALESCE(draw_type, 'principal') = 'principal'
+      ORDER BY opened_at DESC NULLS LAST, id DESC
+      LIMIT 1`
+  );
+  return rows[0] || null;
+}
+
+// Condição + público recalculado + fila. Erros voltam como outcome "failed" para não
+// disparar de novo a cada tick; a recorrência segue para a próxima ocorrência.
+async function runSchedule(client, schedule, queueCampaign) {
+  if (schedule.condition === "open_draw") {
+    const draw = await loadOpenPrincipalDraw(client);
+    if (!draw) return { outcome: "skipped_condition", result: { reason: "no_open_draw" } };
+  }
+
+  await client.query("SAVEPOINT scheduled_campaign_fire");
+  try {
+    const queued = await queueCampaign({
+      pgClient: client,
+      payload: { ...(schedule.payload || {}), confirm_bulk_send: true },
+      adminUserId: schedule.created_by || null,
+      scheduledCampaignId: Number(schedule.id),
+    });
+    await client.query("RELEASE SAVEPOINT scheduled_campaign_fire");
+    if (queued.ok) {
+      return {
+        outcome: "queued",
+        campaignId: queued.campaign_id,
+        result: { campaign_id: queued.campaign_id, eligible_users: queued.eligible_users, estimated_batches: queued.estimated_batches },
+      };
+    }
+    const outcome = SKIPPED_ERRORS.has(queued.error) ? "skipped_empty_audience" : "failed";
+    return { outcome, result: { error: queued.error, requested_users: queued.requested_users ?? null } };
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT scheduled_campaign_fire");
+    return { outcome: "failed", result: { error: error?.code || "scheduled_campaign_failed", reason: error?.message || null } };
+  }
+}
+
+/**
+ * Dispara um agendamento vencido. A linha fica travada até a campanha entrar na fila; outra
+ * instância pula (SKIP LOCKED). Retorna { action: "fired" | "skipped", ... }.
+ */
+export async function fireScheduledCampaign(id, options = {}, dependencies = {}) {
+  const queueCampaign = dependencies.queueManualCampaign || queueManualCampaign;
+  const now = options.now || new Date();
+  return withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT *
+         FROM public.notification_scheduled_campaigns
+        WHERE id = $1
+          AND status = 'scheduled'
+          AND run_at <= $2
+        FOR UPDATE SKIP LOCKED`,
+      [id, now.toISOString()]
+    );
+    const schedule = rows[0];
+    if (!schedule) return { action: "skipped", id, reason: "not_due" };
+
+    const fired = await runSchedule(client, schedule, queueCampaign);
+    const lastRunAt = new Date(Math.max(now.getTime(), new Date(schedule.run_at).getTime()));
+    const nextRunAt = schedule.recurrence ? nextRecurrenceRun(schedule.recurrence, lastRunAt) : null;
+
+    const updated = await client.query(
+      `UPDATE public.notification_scheduled_campaigns
+          SET status = CASE WHEN $2::timestamptz IS NULL THEN 'completed' ELSE 'scheduled' END,
+              run_at = COALESCE($2::timestamptz, run_at),
+              runs_count = runs_count + 1,
+              last_run_at = $3,
+              last_outcome = $4,
+              last_result = $5::jsonb,
+              last_campaign_id = COALESCE($6::uuid, last_campaign_id),
+              updated_at = now()
+        WHERE id = $1
+        RETURNING *`,
+      [
+        id,
+        nextRunAt ? nextRunAt.toISOString() : null,
+        now.toISOString(),
+        fired.outcome,
+        JSON.stringify(fired.result || {}),
+        fired.campaignId || null,
+      ]
+    );
+    const event = { id, outcome: fired.outcome, campaign_id: fired.campaignId || null, next_run_at: nextRunAt?.toISOString() || null };
+    if (fired.outcome === "failed") warn("fire_failed", { ...event, error: fired.result?.error || null });
+    else log("fired", event);
+    return { action: "fired", ...event, schedule: formatScheduledCampaign(updated.rows[0]) };
+  });
+}
+
+export async function runScheduledCampaignsTick(options = {}, dependencies = {}) {
+  const now = options.now || new Date();
+  const due = await runQuery(
+    options.pgClient,
+    `SELECT id
+       FROM public.notification_scheduled_campaigns
+      WHERE status = 'scheduled'
+        AND run_at <= $1
+      ORDER BY run_at, id
+      LIMIT ${BATCH_LIMIT}`,
+    [now.toISOString()]
+  );
+  const fired = [];
+  for (const row of due.rows || []) {
+    try {
+      fired.push(await fireScheduledCampaign(Number(row.id), { ...options, now }, dependencies));
+    } catch (error) {
+      warn("tick_failed", { id: Number(row.id), code: error?.code || error?.message || null });
+    }
+  }
+  return { fired };
+}
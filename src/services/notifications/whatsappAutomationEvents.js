@@ -13,6 +13,7 @@ import { BACKEND_BREVO_WHATSAPP_TEMPLATES } from "./manualWhatsAppTemplates.js";
 const DRAW_50_TEMPLATE = BACKEND_BREVO_WHATSAPP_TEMPLATES.DRAW_REMAINING_NUMBERS_50;
 const DRAW_10_TEMPLATE = BACKEND_BREVO_WHATSAPP_TEMPLATES.DRAW_REMAINING_NUMBERS_10;
 const BALANCE_15_TEMPLATE = BACKEND_BREVO_WHATSAPP_TEMPLATES.BALANCE_EXPIRING_15_DAYS;
+const WAITLIST_OFFER_TEMPLATE = BACKEND_BREVO_WHATSAPP_TEMPLATES.WAITLIST_NUMBER_OFFERED;
 
 const AUTOMATION_WHATSAPP_EVENTS = Object.freeze({
   DRAW_REMAINING_NUMBERS_50: {
@@ -33,6 +34,14 @@ const AUTOMATION_WHATSAPP_EVENTS = Object.freeze({
     fallbackTemplateId: String(BALANCE_15_TEMPLATE.approved_default_template_id),
     audience: "user",
   },
+  // Sem template aprovado de fábrica: só envia com BREVO_WHATSAPP_WAITLIST_OFFER_TEMPLATE_ID
+  // ou o template cadastrado em notification_templates.
+  WAITLIST_NUMBER_OFFERED: {
+    templateKey: WAITLIST_OFFER_TEMPLATE.template_key,
+    envName: WAITLIST_OFFER_TEMPLATE.env_names[0],
+    fallbackTemplateId: null,
+    audience: "user",
+  },
 });
 
 const GRANTED_CONSENT_STATUSES = [
@@ -143,6 +152,14 @@ function buildParams({ eventKey, user, metadata }) {
       link_sorteio: getDrawLink(metadata),
     };
   }
+  if (eventKey === "WAITLIST_NUMBER_OFFERED") {
+    return {
+      nome,
+      numero: firstText(metadata?.numero),
+      minutos: firstText(metadata?.minutos),
+      link_sorteio: getDrawLink(metadata),
+    };
+  }
   if (eventKey === "BALANCE_EXPIRING_15_DAYS") {
     return {
       nome,
@@ -384,6 +401,9 @@ export async function handleWhatsAppAutomationEvent({
   }
 
   const template = await resolveTemplateId(config);
+  if (!template.id) {
+    return { ok: true, event_key: key, status: "skipped", reason: "whatsapp_template_not_configured" };
+  }
   const recipients = await getRecipients({ config, recipientUserIds, metadata });
   if (!recipients.length) {
     return { ok: true, event_key: key, status: "skipped", reason: "no_whatsapp_recipients", attempted: 0, accepted: 0, failed: 0, skipped: 0, deduped: 0 };
@@ -1,8 +1,4 @@
-function coded(code) {
-  const err = new Error(code);
-  err.code = code;
-  return err;
-}
+import { coded } from "../../lib/errors.js";
 
 function isTruthy(value) {
   if (value === true) return true;
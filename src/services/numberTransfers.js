@@ -0,0 +1,338 @@
+// src/services/numberTransfers.js
+// Transferência (presente) de números pagos entre usuários (public.number_transfers).
+//
+// - o dono inicia a transferência de um número pago de sorteio aberto para o e-mail ou telefone
+//   de outro usuário; ela fica 'pending' até o destinatário aceitar/recusar, o dono cancelar ou
+//   vencer o prazo (NUMBER_TRANSFER_TTL_HOURS)
+// - ao aceitar, o número sai do payment de origem (numbers -> transferred_numbers) e da reserva
+//   paga dele, e entra num payment 'transfer' de valor zero do destinatário com reserva paga
+//   própria: tabuleiro (/api/me/draws/:id/board), participantes do admin e apuração do vencedor
+//   passam a ver o novo dono sem consulta especial
+// - com o sorteio fechado nada é iniciado nem aceito; pendentes expiram
+// - o valor pago continua no payment de origem; estornos posteriores dele não devolvem a parte
+//   dos números transferidos (paymentRefunds.js)
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { isValidDrawNumber } from "./drawNumbers.js";
+
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+const TRANSFER_PROVIDER = "transfer";
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function isNumberTransferEnabled() {
+  return String(process.env.NUMBER_TRANSFER_ENABLED ?? "true").trim().toLowerCase() !== "false";
+}
+
+/** Horas para o destinatário aceitar antes de a transferência expirar. */
+export function getNumberTransferTtlHours() {
+  return toPositiveInt(process.env.NUMBER_TRANSFER_TTL_HOURS) || 48;
+}
+
+function normalizeEmail(value) {
+  const email = String(value ?? "").trim().toLowerCase();
+  return email.includes("@") ? email : null;
+}
+
+/** Telefone em dígitos, com e sem o 55 (users.phone é texto livre). */
+function phoneLookupVariants(value) {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  if (digits.length < 10) return [];
+  const variants = new Set([digits]);
+  if (digits.startsWith("55") && digits.length > 11) variants.add(digits.slice(2));
+  if (!digits.startsWith("55") && (digits.length === 10 || digits.length === 11)) variants.add(`55${digits}`);
+  return [...variants];
+}
+
+async function findRecipient(client, { toEmail, toPhone }) {
+  const email = normalizeEmail(toEmail);
+  if (email) {
+    const { rows } = await client.query(
+      `SELECT id FROM public.users WHERE LOWER(TRIM(email)) = $1 ORDER BY id LIMIT 2`,
+      [email]
+    );
+    return rows;
+  }
+  const phones = phoneLookupVariants(toPhone);
+  if (phones.length) {
+    const { rows } = await client.query(
+      `SELECT id
+         FROM public.users
+        WHERE regexp_replace(COALESCE(phone, ''), '\\D', '', 'g') = ANY($1::text[])
+        ORDER BY id
+        LIMIT 2`,
+      [phones]
+    );
+    return rows;
+  }
+  throw coded("recipient_required");
+}
+
+function mapTransfer(row, userId) {
+  const outgoing = Number(row.from_user_id) === Number(userId);
+  return {
+    id: row.id,
+    direction: outgoing ? "outgoing" : "incoming",
+    draw_id: Number(row.draw_id),
+    n: Number(row.n),
+    number_count: row.number_count ?? null,
+    status: row.status,
+    from_user_id: Number(row.from_user_id),
+    from_name: row.from_name || null,
+    to_user_id: Number(row.to_user_id),
+    to_name: row.to_name || null,
+    expires_at: row.expires_at,
+    resolved_at: row.resolved_at || null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Expira pendentes vencidas, de sorteio que não está mais aberto ou cujo número já não está
+ * no payment de origem (estornado, transferido por outro caminho).
+ */
+export async function expireStaleNumberTransfers(options = {}) {
+  const { rowCount } = await runQuery(
+    options.pgClient,
+    `UPDATE public.number_transfers t
+        SET status = 'expired',
+            resolved_at = now(),
+            updated_at = now()
+      WHERE t.status = 'pending'
+        AND (
+          t.expires_at <= now()
+          OR NOT EXISTS (
+            SELECT 1 FROM public.draws d WHERE d.id = t.draw_id AND d.status = 'open'
+          )
+          OR NOT EXISTS (
+            SELECT 1
+              FROM public.payments p
+             WHERE p.id = t.source_payment_id
+               AND p.user_id = t.from_user_id
+               AND t.n = ANY(p.numbers)
+               AND lower(p.status) = ANY($1::text[])
+          )
+        )`,
+    [PAID_PAYMENT_STATUSES]
+  );
+  return rowCount || 0;
+}
+
+/** Histórico do usuário (enviadas e recebidas), mais recentes primeiro. */
+export async function listUserNumberTransfers(userId, options = {}) {
+  await expireStaleNumberTransfers(options);
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT t.id, t.draw_id, t.n, t.status, t.from_user_id, t.to_user_id,
+            t.expires_at, t.resolved_at, t.created_at, d.number_count,
+            fu.name AS from_name, tu.name AS to_name
+       FROM public.number_transfers t
+       JOIN public.draws d ON d.id = t.draw_id
+  LEFT JOIN public.users fu ON fu.id = t.from_user_id
+  LEFT JOIN public.users tu ON tu.id = t.to_user_id
+      WHERE t.from_user_id = $1
+         OR t.to_user_id = $1
+      ORDER BY t.created_at DESC
+      LIMIT 100`,
+    [userId]
+  );
+  return rows.map((row) => mapTransfer(row, userId));
+}
+
+async function loadDraw(client, drawId) {
+  const { rows } = await client.query(
+    `SELECT id, status, number_count FROM public.draws WHERE id = $1 FOR SHARE`,
+    [drawId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Inicia a transferência de `n` do sorteio `drawId` para o usuário do e-mail/telefone informado.
+ * O número precisa estar num payment pago do próprio usuário e o sorteio precisa estar aberto.
+ */
+export async function createNumberTransfer({ userId, drawId, n, toEmail, toPhone }, options = {}) {
+  if (!isNumberTransferEnabled()) throw coded("transfers_disabled");
+  const did = toPositiveInt(drawId);
+  const num = Number(n);
+  if (!did || !Number.isInteger(num) || num < 0) throw coded("invalid_number");
+
+  await expireStaleNumberTransfers(options);
+
+  return withTransaction(options, async (client) => {
+    const draw = await loadDraw(client, did);
+    if (!draw) throw coded("draw_not_found");
+    if (String(draw.status) !== "open") throw coded("draw_closed");
+    if (!isValidDrawNumber(num, draw.number_count)) throw coded("invalid_number");
+
+    const owned = await client.query(
+      `SELECT id
+         FROM public.payments
+        WHERE draw_id = $1
+          AND user_id = $2
+          AND $3 = ANY(numbers)
+          AND lower(status) = ANY($4::text[])
+        ORDER BY created_at DESC
+        LIMIT 1`,
+      [did, userId, num, PAID_PAYMENT_STATUSES]
+    );
+    const sourcePaymentId = owned.rows[0]?.id;
+    if (!sourcePaymentId) throw coded("number_not_owned");
+
+    const recipients = await findRecipient(client, { toEmail, toPhone });
+    if (!recipients.length) throw coded("recipient_not_found");
+    if (recipients.length > 1) throw coded("recipient_ambiguous");
+    const toUserId = Number(recipients[0].id);
+    if (toUserId === Number(userId)) throw coded("transfer_to_self");
+
+    const inserted = await client.query(
+      `INSERT INTO public.number_transfers
+         (draw_id, n, from_user_id, to_user_id, status, source_payment_id, expires_at)
+       VALUES ($1, $2, $3, $4, 'pending', $5, now() + make_interval(hours => $6::int))
+       ON CONFLICT (draw_id, n) WHERE status = 'pending' DO NOTHING
+       RETURNING id, draw_id, n, status, from_user_id, to_user_id, expires_at, resolved_at, created_at`,
+      [did, num, userId, toUserId, sourcePaymentId, getNumberTransferTtlHours()]
+    );
+    if (!inserted.rows.length) throw coded("transfer_already_pending");
+
+    return mapTransfer({ ...inserted.rows[0], number_count: draw.number_count }, userId);
+  });
+}
+
+async function lockPendingTransfer(client, { transferId, userId, role }) {
+  const column = role === "sender" ? "from_user_id" : "to_user_id";
+  const { rows } = await client.query(
+    `SELECT id, draw_id, n, status, from_user_id, to_user_id, source_payment_id,
+            expires_at, resolved_at, created_at
+       FROM public.number_transfers
+      WHERE id = $1
+        AND ${column} = $2
+      FOR UPDATE`,
+    [transferId, userId]
+  );
+  const transfer = rows[0];
+  if (!transfer) throw coded("transfer_not_found");
+  if (transfer.status !== "pending") throw coded("transfer_not_pending", { status: transfer.status });
+  return transfer;
+}
+
+async function resolveTransfer(client, transferId, status, targetPaymentId = null) {
+  const { rows } = await client.query(
+    `UPDATE public.number_transfers
+        SET status = $2,
+            target_payment_id = COALESCE($3, target_payment_id),
+            resolved_at = now(),
+            updated_at = now()
+      WHERE id = $1
+      RETURNING id, draw_id, n, status, from_user_id, to_user_id, expires_at, resolved_at, created_at`,
+    [transferId, status, targetPaymentId]
+  );
+  return rows[0];
+}
+
+/**
+ * Destinatário aceita: o número muda de dono na mesma transação.
+ * Sorteio fechado ou número que já saiu do payment de origem impedem a troca.
+ */
+export async function acceptNumberTransfer({ userId, transferId }, options = {}) {
+  if (!UUID_RE.test(String(transferId ?? ""))) throw coded("transfer_not_found");
+  await expireStaleNumberTransfers(options);
+
+  return withTransaction(options, async (client) => {
+    const transfer = await lockPendingTransfer(client, { transferId, userId, role: "recipient" });
+    const drawId = Number(transfer.draw_id);
+    const n = Number(transfer.n);
+
+    const draw = await loadDraw(client, drawId);
+    if (!draw || String(draw.status) !== "open") throw coded("draw_closed");
+
+    const source = await client.query(
+      `SELECT id
+         FROM public.payments
+        WHERE id = $1
+          AND user_id = $2
+          AND $3 = ANY(numbers)
+          AND lower(status) = ANY($4::text[])
+        FOR UPDATE`,
+      [transfer.source_payment_id, transfer.from_user_id, n, PAID_PAYMENT_STATUSES]
+    );
+    if (!source.rows.length) throw coded("number_not_owned");
+
+    await client.query(
+      `UPDATE public.payments
+          SET numbers = array_remove(numbers, $2::int4),
+              transferred_numbers = array_append(COALESCE(transferred_numbers, '{}'::int4[]), $2::int4)
+        WHERE id = $1`,
+      [transfer.source_payment_id, n]
+    );
+    await client.query(
+      `UPDATE public.reservations
+          SET numbers = array_remove(numbers, $3::int4)
+        WHERE payment_id = $1
+          AND draw_id = $2`,
+      [transfer.source_payment_id, drawId, n]
+    );
+
+    const payId = `transfer:${transfer.id}`;
+    const paymentMeta = JSON.stringify({
+      source: "numberTransfers.accept",
+      transfer_id: transfer.id,
+      from_user_id: Number(transfer.from_user_id),
+      source_payment_id: transfer.source_payment_id,
+    });
+    // valor zero e cupom já marcado: quem pagou (e ganhou o crédito) foi o remetente
+    await client.query(
+      `INSERT INTO public.payments
+         (id, user_id, draw_id, numbers, amount_cents, status, created_at, paid_at, provider,
+          coupon_credited, coupon_credited_at, vindi_payload_json)
+       VALUES ($1, $2, $3, ARRAY[$4::int4], 0, 'approved', NOW(), NOW(), $5, true, NOW(), $6::jsonb)`,
+      [payId, transfer.to_user_id, drawId, n, TRANSFER_PROVIDER, paymentMeta]
+    );
+    await client.query(
+      `INSERT INTO public.reservations
+         (id, user_id, draw_id, numbers, payment_id, status, created_at, expires_at)
+       VALUES (gen_random_uuid(), $1, $2, ARRAY[$3::int4], $4, 'paid', NOW(), NOW() + INTERVAL '30 minutes')`,
+      [transfer.to_user_id, drawId, n, payId]
+    );
+    await client.query(
+      `UPDATE public.numbers
+          SET status = 'sold',
+              reservation_id = NULL
+        WHERE draw_id = $1
+          AND n = $2`,
+      [drawId, n]
+    );
+
+    const resolved = await resolveTransfer(client, transfer.id, "accepted", payId);
+    console.log("[transfers] número transferido", {
+      transfer_id: transfer.id,
+      draw_id: drawId,
+      n,
+      from_user_id: Number(transfer.from_user_id),
+      to_user_id: Number(transfer.to_user_id),
+    });
+    return mapTransfer({ ...resolved, number_count: draw.number_count }, userId);
+  });
+}
+
+/** Destinatário recusa; o número continua com o remetente. */
+export async function declineNumberTransfer({ userId, transferId }, options = {}) {
+  if (!UUID_RE.test(String(transferId ?? ""))) throw coded("transfer_not_found");
+  return withTransaction(options, async (client) => {
+    const transfer = await lockPendingTransfer(client, { transferId, userId, role: "recipient" });
+    return mapTransfer(await resolveTransfer(client, transfer.id, "declined"), userId);
+  });
+}
+
+/** Remetente desiste antes do aceite. */
+export async function cancelNumberTransfer({ userId, transferId }, options = {}) {
+  if (!UUID_RE.test(String(transferId ?? ""))) throw coded("transfer_not_found");
+  return withTransaction(options, async (client) => {
+    const transfer = await lockPendingTransfer(client, { transferId, userId, role: "sender" });
+    return mapTransfer(await resolveTransfer(client, transfer.id, "cancelled"), userId);
+  });
+}
@@ -0,0 +1,470 @@
+// src/services/numberWaitlist.js
+// Lista de espera por números do sorteio principal aberto (public.number_waitlist).
+//
+// - o usuário entra na fila de um número que está reservado por outra pessoa
+// - quando o número volta a ficar disponível (reserva expirada, carrinho desfeito, estorno), o
+//   primeiro da fila ganha uma reserva comum em seu nome com TTL curto (WAITLIST_HOLD_MIN) e o
+//   aviso WAITLIST_NUMBER_OFFERED (push + WhatsApp); paga pelo PIX normal com o reservationId
+// - oferta não paga expira como qualquer reserva (cleanupExpiredReservationsGlobal) e o número
+//   passa ao próximo da fila na rodada seguinte
+// - enquanto houver fila, o número liberado não pode ser reservado por quem não é o primeiro dela
+//   (waitlistBlockedNumbers, usado por POST /api/reservations e pelo carrinho)
+import { v4 as uuid } from "uuid";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { filterDrawNumbers, formatDrawNumber } from "./drawNumbers.js";
+import { handlePushAutomationEvent } from "./notifications/pushAutomationEvents.js";
+
+export const WAITLIST_OFFER_EVENT_KEY = "WAITLIST_NUMBER_OFFERED";
+
+const ACTIVE_ENTRY_STATUSES = ["waiting", "offered"];
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+const BLOCKING_RESERVATION_STATUSES = ["active", "pending", "reserved", ""];
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function isNumberWaitlistEnabled() {
+  return String(process.env.WAITLIST_ENABLED ?? "true").trim().toLowerCase() !== "false";
+}
+
+/** Minutos da reserva exclusiva oferecida ao primeiro da fila. */
+export function getWaitlistHoldMinutes() {
+  return toPositiveInt(process.env.WAITLIST_HOLD_MIN) || 10;
+}
+
+/** Máximo de números em que um usuário pode esperar ao mesmo tempo no sorteio aberto. */
+export function getWaitlistMaxPerUser() {
+  return toPositiveInt(process.env.WAITLIST_MAX_PER_USER) || 10;
+}
+
+function sortedUnique(values) {
+  return Array.from(new Set(values.map(Number))).sort((a, b) => a - b);
+}
+
+async function loadOpenPrincipalDraw(client) {
+  const { rows } = await client.query(
+    `SELECT id, number_count
+       FROM public.draws
+      WHERE status = 'open'
+        AND COALESCE(draw_type, 'principal') = 'principal'
+      ORDER BY id DESC
+      LIMIT 1`
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Números de `numbers` cuja fila tem outra pessoa na frente de `userId`.
+ * Só conta números disponíveis: o que ainda está reservado/vendido já é barrado pelo próprio fluxo.
+ */
+export async function waitlistBlockedNumbers({ drawId, numbers, userId }, options = {}) {
+  if (!isNumberWaitlistEnabled() || !Array.isArray(numbers) || !numbers.length) return [];
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT DISTINCT ON (w.n) w.n, w.user_id
+       FROM public.number_waitlist w
+      WHERE w.draw_id = $1
+        AND w.n = ANY($2::int[])
+        AND w.status = 'waiting'
+      ORDER BY w.n, w.created_at, w.id`,
+    [drawId, numbers]
+  );
+  return rows
+    .filter((row) => Number(row.user_id) !== Number(userId))
+    .map((row) => Number(row.n))
+    .sort((a, b) => a - b);
+}
+
+/** Números disponíveis que já têm fila (GET /api/numbers mostra como reservados). */
+export async function waitlistedAvailableNumbers(drawId, options = {}) {
+  if (!isNumberWaitlistEnabled()) return [];
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT DISTINCT w.n
+       FROM public.number_waitlist w
+       JOIN public.numbers num ON num.draw_id = w.draw_id AND num.n = w.n
+      WHERE w.draw_id = $1
+        AND w.status = 'waiting'
+        AND num.status = 'available'`,
+    [drawId]
+  );
+  return rows.map((row) => Number(row.n));
+}
+
+/** Entradas vivas do usuário com a posição na fila (1 = próximo a receber a oferta). */
+export async function listUserWaitlist(userId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT w.id, w.draw_id, w.n, w.status, w.reservation_id, w.offered_at, w.offer_expires_at,
+            w.created_at, d.number_count,
+            CASE WHEN w.status = 'waiting' THEN (
+              SELECT COUNT(*)::int + 1
+                FROM public.number_waitlist ahead
+               WHERE ahead.draw_id = w.draw_id
+                 AND ahead.n = w.n
+                 AND ahead.status = 'waiting'
+                 AND (ahead.created_at, ahead.id) < (w.created_at, w.id)
+            ) END AS position
+       FROM public.number_waitlist w
+       JOIN public.draws d ON d.id = w.draw_id
+      WHERE w.user_id = $1
+        AND w.status = ANY($2::text[])
+      ORDER BY w.draw_id DESC, w.n`,
+    [userId, ACTIVE_ENTRY_STATUSES]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    draw_id: Number(row.draw_id),
+    n: Number(row.n),
+    number_count: row.number_count,
+    status: row.status,
+    position: row.position == null ? null : Number(row.position),
+    reservation_id: row.reservation_id || null,
+    offered_at: row.offered_at || null,
+    offer_expires_at: row.offer_expires_at || null,
+    created_at: row.created_at,
+  }));
+}
+
+/**
+ * Entra na fila de números do sorteio principal aberto.
+ * Números livres e sem fila devem ser reservados direto; vendidos ou já do próprio usuário não têm fila.
+ */
+export async function joinWaitlist({ userId, numbers }, options = {}) {
+  if (!Array.isArray(numbers) || !numbers.length) throw coded("no_numbers");
+
+  await withTransaction(options, async (client) => {
+    const draw = await loadOpenPrincipalDraw(client);
+    if (!draw) throw coded("no_open_draw");
+
+    const requested = sortedUnique(numbers);
+    const valid = sortedUnique(filterDrawNumbers(requested, draw.number_count));
+    if (valid.length !== requested.length) throw coded("numbers_invalid");
+
+    const { rows: numberRows } = await client.query(
+      `SELECT num.n, num.status, r.user_id AS reserved_by
+         FROM public.numbers num
+    LEFT JOIN public.reservations r ON r.id = num.reservation_id
+        WHERE num.draw_id = $1
+          AND num.n = ANY($2::int[])`,
+      [draw.id, valid]
+    );
+    const byN = new Map(numberRows.map((row) => [Number(row.n), row]));
+    const notFound = valid.filter((n) => !byN.has(n));
+    if (notFound.length) throw coded("numbers_not_found", { numbers: notFound });
+
+    const paid = await client.query(
+      `SELECT DISTINCT unnest(numbers)::int AS n
+         FROM public.payments
+        WHERE draw_id = $1
+          AND lower(status) = ANY($2::text[])`,
+      [draw.id, PAID_PAYMENT_STATUSES]
+    );
+    const sold = new Set(paid.rows.map((row) => Number(row.n)));
+    const soldRequested = valid.filter((n) => sold.has(n) || String(byN.get(n).status) === "sold");
+    if (soldRequested.length) throw coded("numbers_sold", { numbers: soldRequested });
+
+    const mine = valid.filter((n) => Number(byN.get(n).reserved_by) === Number(userId));
+    if (mine.length) throw coded("numbers_reserved_by_you", { numbers: mine });
+
+    const queued = new Set(await waitlistedAvailableNumbers(draw.id, { pgClient: client }));
+    const free = valid.filter((n) => String(byN.get(n).status) === "available" && !queued.has(n));
+    if (free.length) throw coded("numbers_available", { numbers: free });
+
+    const { rows: countRows } = await client.query(
+      `SELECT COUNT(*)::int AS total
+         FROM public.number_waitlist
+        WHERE draw_id = $1
+          AND user_id = $2
+          AND status = ANY($3::text[])
+          AND n <> ALL($4::int[])`,
+      [draw.id, userId, ACTIVE_ENTRY_STATUSES, valid]
+    );
+    if (Number(countRows[0]?.total || 0) + valid.length > getWaitlistMaxPerUser()) {
+      throw coded("waitlist_limit_reached", { max: getWaitlistMaxPerUser() });
+    }
+
+    for (const n of valid) {
+      await client.query(
+        `INSERT INTO public.number_waitlist (draw_id, n, user_id, status)
+         VALUES ($1, $2, $3, 'waiting')
+         ON CONFLICT (draw_id, n, user_id) WHERE status IN ('waiting', 'offered') DO NOTHING`,
+        [draw.id, n, userId]
+      );
+    }
+  });
+
+  return listUserWaitlist(userId, options);
+}
+
+/**
+ * Sai da fila de um número. Se a oferta já estava com o usuário, a reserva exclusiva é
+ * desfeita e o número fica livre para o próximo da fila.
+ */
+export async function leaveWaitlist({ userId, drawId, n }, options = {}) {
+  const did = toPositiveInt(drawId);
+  const num = Number(n);
+  if (!did || !Number.isInteger(num) || num < 0) throw coded("waitlist_entry_not_found");
+
+  await withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, status, reservation_id
+         FROM public.number_waitlist
+        WHERE draw_id = $1
+          AND n = $2
+          AND user_id = $3
+          AND status = ANY($4::text[])
+        FOR UPDATE`,
+      [did, num, userId, ACTIVE_ENTRY_STATUSES]
+    );
+    const entry = rows[0];
+    if (!entry) throw coded("waitlist_entry_not_found");
+
+    if (entry.status === "offered" && entry.reservation_id) {
+      const released = await client.query(
+        `UPDATE public.reservations
+            SET status = 'cancelled'
+          WHERE id = $1
+            AND lower(coalesce(status, '')) = ANY($2::text[])
+          RETURNING id`,
+        [entry.reservation_id, BLOCKING_RESERVATION_STATUSES]
+      );
+      if (released.rowCount > 0) {
+        await client.query(
+          `UPDATE public.numbers
+              SET status = 'available',
+                  reservation_id = NULL
+            WHERE draw_id = $1
+              AND n = $2
+              AND reservation_id = $3
+              AND status = 'reserved'`,
+          [did, num, entry.reservation_id]
+        );
+      }
+    }
+
+    await client.query(
+      `UPDATE public.number_waitlist
+          SET status = 'cancelled',
+              resolved_at = now(),
+              updated_at = now()
+        WHERE id = $1`,
+      [entry.id]
+    );
+  });
+
+  return listUserWaitlist(userId, options);
+}
+
+/**
+ * Fecha as ofertas resolvidas: reserva paga -> 'fulfilled'; reserva vencida/desfeita -> 'expired'.
+ * Filas de sorteios que não estão mais abertos também expiram.
+ */
+export async function settleWaitlistOffers(options = {}) {
+  const fulfilled = await runQuery(
+    options.pgClient,
+    `UPDATE public.number_waitlist w
+        SET status = 'fulfilled',
+            resolved_at = now(),
+            updated_at = now()
+       FROM public.reservations r
+      WHERE w.status = 'offered'
+        AND r.id = w.reservation_id
+        AND lower(coalesce(r.status, '')) = 'paid'
+      RETURNING w.id`
+  );
+  const expired = await runQuery(
+    options.pgClient,
+    `UPDATE public.number_waitlist w
+        SET status = 'expired',
+            resolved_at = now(),
+            updated_at = now()
+      WHERE w.status = 'offered'
+        AND NOT EXISTS (
+              SELECT 1
+                FROM public.reservations r
+               WHERE r.id = w.reservation_id
+                 AND (
+                   lower(coalesce(r.status, '')) = 'paid'
+                   OR (lower(coalesce(r.status, '')) = ANY($1::text[]) AND r.expires_at > now())
+                 )
+            )
+      RETURNING w.id`,
+    [BLOCKING_RESERVATION_STATUSES]
+  );
+  const closed = await runQuery(
+    options.pgClient,
+    `UPDATE public.number_waitlist w
+        SET status = 'expired',
+            resolved_at = now(),
+            updated_at = now()
+       FROM public.draws d
+      WHERE d.id = w.draw_id
+        AND w.status = 'waiting'
+        AND d.status <> 'open'
+      RETURNING w.id`
+  );
+  return {
+    fulfilled: fulfilled.rowCount || 0,
+    expired: expired.rowCount || 0,
+    closed_draws: closed.rowCount || 0,
+  };
+}
+
+/**
+ * Oferece um número disponível ao primeiro da fila: reserva exclusiva curta em nome dele.
+ * Retorna null quando o número já foi tomado ou a fila está vazia.
+ */
+export async function offerNumberToWaitlist({ drawId, n, holdMinutes = getWaitlistHoldMinutes() }, options = {}) {
+  return withTransaction(options, async (client) => {
+    const { rows: numberRows } = await client.query(
+      `SELECT num.status, d.status AS draw_status, d.number_count
+         FROM public.numbers num
+         JOIN public.draws d ON d.id = num.draw_id
+        WHERE num.draw_id = $1
+          AND num.n = $2
+        FOR UPDATE OF num`,
+      [drawId, n]
+    );
+    const number = numberRows[0];
+    if (!number || number.status !== "available" || number.draw_status !== "open") return null;
+
+    const paid = await client.query(
+      `SELECT 1
+         FROM public.payments
+        WHERE draw_id = $1
+          AND $2 = ANY(numbers)
+          AND lower(status) = ANY($3::text[])
+        LIMIT 1`,
+      [drawId, n, PAID_PAYMENT_STATUSES]
+    );
+    if (paid.rows.length) return null;
+
+    const { rows: queue } = await client.query(
+      `SELECT id, user_id
+         FROM public.number_waitlist
+        WHERE draw_id = $1
+          AND n = $2
+          AND status = 'waiting'
+        ORDER BY created_at, id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED`,
+      [drawId, n]
+    );
+    const entry = queue[0];
+    if (!entry) return null;
+
+    const reservationId = uuid();
+    const { rows: reservationRows } = await client.query(
+      `INSERT INTO public.reservations (id, user_id, draw_id, numbers, status, expires_at)
+       VALUES ($1, $2, $3, ARRAY[$4]::int[], 'active', now() + make_interval(mins => $5::int))
+       RETURNING expires_at`,
+      [reservationId, entry.user_id, drawId, n, holdMinutes]
+    );
+    const expiresAt = reservationRows[0].expires_at;
+
+    await client.query(
+      `UPDATE public.numbers
+          SET status = 'reserved',
+              reservation_id = $3
+        WHERE draw_id = $1
+          AND n = $2`,
+      [drawId, n, reservationId]
+    );
+    await client.query(
+      `UPDATE public.number_waitlist
+          SET status = 'offered',
+              reservation_id = $2,
+              offered_at = now(),
+              offer_expires_at = $3,
+              updated_at = now()
+        WHERE id = $1`,
+      [entry.id, reservationId, expiresAt]
+    );
+
+    return {
+      entry_id: entry.id,
+      user_id: Number(entry.user_id),
+      draw_id: Number(drawId),
+      n: Number(n),
+      number_count: number.number_count,
+      reservation_id: reservationId,
+      expires_at: expiresAt,
+      hold_minutes: holdMinutes,
+    };
+  });
+}
+
+/**
+ * Dispara o aviso da oferta (best-effort: falha de envio não desfaz a reserva).
+ * O WhatsApp sai pelo mesmo evento, dentro de handlePushAutomationEvent.
+ */
+export async function emitWaitlistOfferEvent(offer) {
+  if (process.env.PUSH_ALLOW_ENGINE_EVENTS !== "true") return;
+  try {
+    await handlePushAutomationEvent({
+      eventKey: WAITLIST_OFFER_EVENT_KEY,
+      source: "number_waitlist",
+      referenceType: "number_waitlist",
+      referenceKey: `waitlist:${offer.entry_id}`,
+      occurredAt: new Date().toISOString(),
+      metadata: {
+        user_id: offer.user_id,
+        draw_id: offer.draw_id,
+        numero: formatDrawNumber(offer.n, offer.number_count),
+        reservation_id: offer.reservation_id,
+        minutos: offer.hold_minutes,
+        expires_at: offer.expires_at instanceof Date ? offer.expires_at.toISOString() : offer.expires_at,
+        url: "/",
+      },
+      recipientUserIds: [offer.user_id],
+      actor: { type: "number_waitlist" },
+      dryRun: process.env.PUSH_ENGINE_DRY_RUN !== "false",
+    });
+  } catch (error) {
+    console.warn("[waitlist] offer notification skipped", {
+      user_id: offer.user_id,
+      draw_id: offer.draw_id,
+      n: offer.n,
+      code: error?.code || null,
+    });
+  }
+}
+
+/**
+ * Rodada da fila (job reservations_cleanup, logo depois da limpeza de reservas vencidas):
+ * fecha ofertas resolvidas e oferece os números livres com fila.
+ */
+export async function processNumberWaitlist({ limit = 100, notify = emitWaitlistOfferEvent } = {}, options = {}) {
+  if (!isNumberWaitlistEnabled()) return { ok: true, skipped: "disabled" };
+
+  const settled = await settleWaitlistOffers(options);
+  const { rows: candidates } = await runQuery(
+    options.pgClient,
+    `SELECT DISTINCT w.draw_id, w.n
+       FROM public.number_waitlist w
+       JOIN public.draws d ON d.id = w.draw_id
+       JOIN public.numbers num ON num.draw_id = w.draw_id AND num.n = w.n
+      WHERE w.status = 'waiting'
+        AND d.status = 'open'
+        AND num.status = 'available'
+      ORDER BY w.draw_id, w.n
+      LIMIT $1`,
+    [limit]
+  );
+
+  const offers = [];
+  for (const candidate of candidates) {
+    const offer = await offerNumberToWaitlist({ drawId: Number(candidate.draw_id), n: Number(candidate.n) }, options);
+    if (offer) offers.push(offer);
+  }
+  for (const offer of offers) await notify(offer);
+
+  if (offers.length || settled.fulfilled || settled.expired) {
+    console.log("[waitlist] run", { ...settled, offered: offers.length });
+  }
+  return { ok: true, ...settled, offered: offers.length, offers };
+}
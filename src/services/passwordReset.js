@@ -0,0 +1,230 @@
+// src/services/passwordReset.js
+// Redefinição de senha em duas etapas:
+// 1) requestPasswordReset: emite token aleatório de uso único (só o hash fica no banco)
+// 2) confirmPasswordReset: troca a senha se o token for válido e marca password_changed_at,
+//    o que invalida todos os JWTs emitidos antes da troca (ver middleware/auth.js).
+
+import crypto from "node:crypto";
+import bcrypt from "bcryptjs";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+const DEFAULT_TOKEN_TTL_MIN = 30;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_REQUESTS_PER_HOUR = 3;
+export const PASSWORD_MIN_LENGTH = 6;
+
+function positiveIntEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export function getPasswordResetTokenTtlMinutes() {
+  return positiveIntEnv("PASSWORD_RESET_TOKEN_TTL_MIN", DEFAULT_TOKEN_TTL_MIN);
+}
+
+export function getPasswordResetMaxAttempts() {
+  return positiveIntEnv("PASSWORD_RESET_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+}
+
+export function getPasswordResetMaxRequestsPerHour() {
+  return positiveIntEnv("PASSWORD_RESET_MAX_REQUESTS_PER_HOUR", DEFAULT_MAX_REQUESTS_PER_HOUR);
+}
+
+export function hashPasswordResetToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a || ""), "hex");
+  const right = Buffer.from(String(b || ""), "hex");
+  if (!left.length || left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+async function findUserIdByEmail(client, email) {
+  const r = await client.query(
+    `SELECT id, email
+       FROM public.users
+      WHERE LOWER(email) = LOWER($1)
+      LIMIT 1`,
+    [email]
+  );
+  return r.rows?.[0] || null;
+}
+
+/**
+ * Emite um token de redefinição para o e-mail informado.
+ * Nunca revela se o e-mail existe: quem chama deve responder sempre { ok: true }.
+ *
+ * @returns {Promise<{ issued: boolean, reason?: string, token?: string, email?: string, expires_at?: Date }>}
+ */
+export async function requestPasswordReset({ email, ip = null, userAgent = null } = {}, options = {}) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) throw coded("invalid_email");
+
+  return withTransaction(options, async (client) => {
+    const user = await findUserIdByEmail(client, normalized);
+    if (!user) return { issued: false, reason: "user_not_found" };
+
+    // Serializa pedidos concorrentes do mesmo usuário (limite por hora confiável).
+    await client.query(`SELECT id FROM public.users WHERE id = $1 FOR UPDATE`, [user.id]);
+
+    const recent = await client.query(
+      `SELECT COUNT(*)::int AS total
+         FROM public.password_reset_tokens
+        WHERE user_id = $1
+          AND created_at >= now() - interval '1 hour'`,
+      [user.id]
+    );
+    if (Number(recent.rows?.[0]?.total || 0) >= getPasswordResetMaxRequestsPerHour()) {
+      return { issued: false, reason: "rate_limited" };
+    }
+
+    // Apenas o token mais recente permanece válido.
+    await client.query(
+      `UPDATE public.password_reset_tokens
+          SET revoked_at = now()
+        WHERE user_id = $1
+          AND used_at IS NULL
+          AND revoked_at IS NULL`,
+      [user.id]
+    );
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const ttlMinutes = getPasswordResetTokenTtlMinutes();
+    const inserted = await client.query(
+      `INSERT INTO public.password_reset_tokens
+         (user_id, token_hash, expires_at, requested_ip, requested_user_agent)
+       VALUES ($1, $2, now() + ($3::int * interval '1 minute'), $4, $5)
+       RETURNING id, expires_at`,
+      [
+        user.id,
+        hashPasswordResetToken(token),
+        ttlMinutes,
+        ip ? String(ip).slice(0, 100) : null,
+        userAgent ? String(userAgent).slice(0, 300) : null,
+      ]
+    );
+
+    return {
+      issued: true,
+      token,
+      user_id: user.id,
+      email: user.email,
+      expires_at: inserted.rows?.[0]?.expires_at || null,
+      ttl_minutes: ttlMinutes,
+    };
+  });
+}
+
+/**
+ * Confirma a redefinição: valida token (hash, validade, tentativas) e grava a nova senha.
+ * Erros: invalid_payload | weak_password | reset_token_invalid
+ */
+export async function confirmPasswordReset({ email, token, newPassword } = {}, options = {}) {
+  const normalized = normalizeEmail(email);
+  const rawToken = String(token || "").trim();
+  if (!normalized || !rawToken) throw coded("invalid_payload");
+  if (String(newPassword || "").length < PASSWORD_MIN_LENGTH) {
+    throw coded("weak_password", { min_length: PASSWORD_MIN_LENGTH });
+  }
+
+  const passHash = await bcrypt.hash(String(newPassword), 10);
+  const maxAttempts = getPasswordResetMaxAttempts();
+
+  const outcome = await withTransaction(options, async (client) => {
+    const user = await findUserIdByEmail(client, normalized);
+    if (!user) return { ok: false };
+
+    const active = await client.query(
+      `SELECT id, token_hash, failed_attempts
+         FROM public.password_reset_tokens
+        WHERE user_id = $1
+          AND used_at IS NULL
+          AND revoked_at IS NULL
+          AND expires_at > now()
+        ORDER BY created_at DESC
+        LIMIT 1
+        FOR UPDATE`,
+      [user.id]
+    );
+    const row = active.rows?.[0];
+    if (!row) return { ok: false };
+
+    if (!safeEqualHex(row.token_hash, hashPasswordResetToken(rawToken))) {
+      // Falha conta tentativa; ao atingir o limite o token é revogado.
+      await client.query(
+        `UPDATE public.password_reset_tokens
+            SET failed_attempts = failed_attempts + 1,
+                revoked_at = CASE WHEN failed_attempts + 1 >= $2 THEN now() ELSE revoked_at END
+          WHERE id = $1`,
+        [row.id, maxAttempts]
+      );
+      return { ok: false };
+    }
+
+    await client.query(
+      `UPDATE public.password_reset_tokens
+          SET used_at = now()
+        WHERE id = $1`,
+      [row.id]
+    );
+    await client.query(
+      `UPDATE public.users
+          SET pass_hash = $2,
+              password_changed_at = now()
+        WHERE id = $1`,
+      [user.id, passHash]
+    );
+    // Outros tokens pendentes do usuário deixam de valer.
+    await client.query(
+      `UPDATE public.password_reset_tokens
+          SET revoked_at = now()
+        WHERE user_id = $1
+          AND id <> $2
+          AND used_at IS NULL
+          AND revoked_at IS NULL`,
+      [user.id, row.id]
+    );
+
+    return { ok: true, user_id: user.id };
+  });
+
+  // Falhas são gravadas (commit) antes de sinalizar o erro ao chamador.
+  if (!outcome.ok) throw coded("reset_token_invalid");
+  return outcome;
+}
+
+/**
+ * true quando o JWT foi emitido antes da última troca de senha do usuário.
+ * `iat` tem resolução de segundos: um token do mesmo segundo da troca também é revogado
+ * (a confirmação do reset não emite token novo; o próximo login sai num segundo posterior).
+ * Tolerante a migration pendente (coluna ausente => nunca revoga).
+ */
+export async function isTokenIssuedBeforePasswordChange(payload, options = {}) {
+  const userId = Number(payload?.id || payload?.sub);
+  const iat = Number(payload?.iat);
+  if (!Number.isInteger(userId) || !Number.isFinite(iat)) return false;
+
+  try {
+    const r = await runQuery(
+      options.pgClient,
+      `SELECT password_changed_at
+         FROM public.users
+        WHERE id = $1`,
+      [userId]
+    );
+    const changedAt = r.rows?.[0]?.password_changed_at;
+    if (!changedAt) return false;
+    const changedAtSec = Math.floor(new Date(changedAt).getTime() / 1000);
+    return Number.isFinite(changedAtSec) && iat <= changedAtSec;
+  } catch (e) {
+    if (e?.code === "42703" || e?.code === "42P01") return false;
+    throw e;
+  }
+}
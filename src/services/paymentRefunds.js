@@ -0,0 +1,664 @@
+// src/services/paymentRefunds.js
+// Estornos (admin) e chargebacks/estornos vindos dos webhooks, para PIX Mercado Pago e Vindi.
+//
+// Toda reversão, de qualquer origem, passa por applyPaymentReversal():
+// - números estornados saem de payments.numbers (-> payments.refunded_numbers)
+//   e das reservas; no sorteio aberto voltam a 'available', senão ficam 'void'
+// - o crédito gravado por creditCouponOnApprovedPayment é revertido na mesma proporção,
+//   com linha DEBIT_REFUND/DEBIT_CHARGEBACK em coupon_balance_history
+//   (nunca deixa saldo negativo: o que já foi usado fica em coupon_uncollected_cents)
+// - a parte paga com saldo (walletPayments.js) volta ao saldo de cupom/vencedor na mesma
+//   proporção; o provedor só estorna a parte paga em dinheiro
+// - tudo auditado em public.payment_refunds
+//
+// Estorno pelo admin: grava 'pending' -> chama o provedor -> aplica a reversão.
+// O índice uq_payment_refunds_pending impede dois estornos simultâneos do mesmo payment.
+// Se a reversão falhar depois do provedor, o estorno fica 'pending' com provider_refunded_at
+// e completePendingRefund() (POST /api/admin/refunds/:id/complete) termina o serviço.
+
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { mpRefundPayment } from "./mercadopago.js";
+import { refundCharge } from "./vindi.js";
+import { ensureTrayCouponForUser } from "./trayCouponEnsure.js";
+import { computeWalletRefundShare, returnWalletShare } from "./walletPayments.js";
+
+const REFUNDABLE_STATUSES = ["approved", "paid", "pago"];
+
+const LEDGER_EVENT_BY_KIND = {
+  refund: "DEBIT_REFUND",
+  chargeback: "DEBIT_CHARGEBACK",
+};
+
+const FINAL_PAYMENT_STATUS_BY_KIND = {
+  refund: "refunded",
+  chargeback: "charged_back",
+};
+
+function toIntArray(value) {
+  return (Array.isArray(value) ? value : []).map(Number).filter(Number.isInteger);
+}
+
+function paymentProvider(payment) {
+  const provider = String(payment.provider || "").toLowerCase();
+  if (provider === "vindi" || payment.vindi_charge_id || payment.vindi_bill_id) return "vindi";
+  if (provider === "wallet") return "wallet";
+  return "mercadopago";
+}
+
+async function lockPayment(client, paymentId) {
+  const { rows } = await client.query(
+    `SELECT id, user_id, draw_id, numbers, amount_cents, status, provider,
+            vindi_bill_id, vindi_charge_id, provider_payment_id,
+            COALESCE(refunded_numbers, '{}'::int4[]) AS refunded_numbers,
+            COALESCE(transferred_numbers, '{}'::int4[]) AS transferred_numbers,
+            COALESCE(refunded_cents, 0)::int AS refunded_cents,
+            COALESCE(wallet_coupon_cents, 0)::int AS wallet_coupon_cents,
+            COALESCE(wallet_winner_cents, 0)::int AS wallet_winner_cents
+       FROM public.payments
+      WHERE id = $1
+      FOR UPDATE`,
+    [String(paymentId)]
+  );
+  const payment = rows[0];
+  if (!payment) return null;
+  return {
+    ...payment,
+    numbers: toIntArray(payment.numbers),
+    refunded_numbers: toIntArray(payment.refunded_numbers),
+    transferred_numbers: toIntArray(payment.transferred_numbers),
+    amount_cents: Number(payment.amount_cents || 0),
+    refunded_cents: Number(payment.refunded_cents || 0),
+    wallet_coupon_cents: Number(payment.wallet_coupon_cents || 0),
+    wallet_winner_cents: Number(payment.wallet_winner_cents || 0),
+  };
+}
+
+/**
+ * Parcela do saldo (cupom/vencedor) a devolver no estorno de `count` números.
+ */
+async function walletRefundShare(client, payment, count) {
+  if (!payment.wallet_coupon_cents && !payment.wallet_winner_cents) return { coupon: 0, winner: 0 };
+  const { rows } = await client.query(
+    `SELECT COALESCE(SUM(wallet_coupon_cents), 0)::int AS coupon,
+            COALESCE(SUM(wallet_winner_cents), 0)::int AS winner
+       FROM public.payment_refunds
+      WHERE payment_id = $1
+        AND status = 'completed'`,
+    [payment.id]
+  );
+  return computeWalletRefundShare(payment, count, rows[0] || {});
+}
+
+async function findPendingRefund(client, paymentId) {
+  const { rows } = await client.query(
+    `SELECT id FROM public.payment_refunds WHERE payment_id = $1 AND status = 'pending' LIMIT 1`,
+    [paymentId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Valor devolvido ao cliente pelos números estornados.
+ * O último estorno leva o restante (evita sobra de centavos por arredondamento).
+ */
+export function computeRefundAmountCents(payment, count) {
+  const transferredCount = payment.transferred_numbers?.length || 0;
+  const originalCount = payment.numbers.length + payment.refunded_numbers.length + transferredCount;
+  const remainingCents = Math.max(0, payment.amount_cents - payment.refunded_cents);
+  // a parte dos números transferidos (numberTransfers.js) não volta para quem os deu
+  if (originalCount <= 0 || (count >= payment.numbers.length && !transferredCount)) return remainingCents;
+  return Math.min(remainingCents, Math.round((payment.amount_cents * count) / originalCount));
+}
+
+async function reverseCouponCredit(client, { payment, refundId, kind, count, isLast, source }) {
+  const credit = await client.query(
+    `SELECT COALESCE(SUM(delta_cents), 0)::int AS credited_cents
+       FROM public.coupon_balance_history
+      WHERE payment_id = $1
+        AND event_type = 'CREDIT_PURCHASE'`,
+    [payment.id]
+  );
+  const creditedCents = Number(credit.rows?.[0]?.credited_cents || 0);
+  if (creditedCents <= 0 || !payment.user_id) return { reversed: 0, uncollected: 0 };
+
+  const previous = await client.query(
+    `SELECT COALESCE(SUM(coupon_reversed_cents + coupon_uncollected_cents), 0)::int AS total
+       FROM public.payment_refunds
+      WHERE payment_id = $1
+        AND status = 'completed'`,
+    [payment.id]
+  );
+  const alreadyCents = Number(previous.rows?.[0]?.total || 0);
+  const pendingCents = Math.max(0, creditedCents - alreadyCents);
+  const transferredCount = payment.transferred_numbers?.length || 0;
+  const originalCount = payment.numbers.length + payment.refunded_numbers.length + transferredCount;
+  const targetCents = (isLast && !transferredCount) || originalCount <= 0
+    ? pendingCents
+    : Math.min(pendingCents, Math.round((creditedCents * count) / originalCount));
+  if (targetCents <= 0) return { reversed: 0, uncollected: 0 };
+
+  const userRes = await client.query(
+    `SELECT COALESCE(coupon_value_cents, 0)::int AS balance
+       FROM public.users
+      WHERE id = $1
+      FOR UPDATE`,
+    [payment.user_id]
+  );
+  const before = Number(userRes.rows?.[0]?.balance || 0);
+  const reversed = Math.min(before, targetCents);
+  const uncollected = targetCents - reversed;
+
+  if (reversed > 0) {
+    await client.query(
+      `UPDATE public.users
+          SET coupon_value_cents = coupon_value_cents - $2,
+              coupon_updated_at = now()
+        WHERE id = $1`,
+      [payment.user_id, reversed]
+    );
+    await client.query(
+      `INSERT INTO public.coupon_balance_history
+         (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+          event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NULL, NULL, $10::jsonb, now())`,
+      [
+        payment.user_id,
+        payment.id,
+        -reversed,
+        before,
+        before - reversed,
+        LEDGER_EVENT_BY_KIND[kind],
+        paymentProvider(payment) === "vindi" ? "VINDI" : "PIX",
+        FINAL_PAYMENT_STATUS_BY_KIND[kind],
+        payment.draw_id,
+        JSON.stringify({
+          refund_id: refundId,
+          source,
+          numbers_qty: count,
+          credited_cents: creditedCents,
+          target_cents: targetCents,
+          uncollected_cents: uncollected,
+        }),
+      ]
+    );
+  }
+
+  return { reversed, uncollected };
+}
+
+async function returnNumbers(client, { payment, numbers }) {
+  if (!payment.draw_id) return { action: null, winnerHit: false };
+  const drawRes = await client.query(
+    `SELECT status, winner_number FROM public.draws WHERE id = $1`,
+    [payment.draw_id]
+  );
+  const draw = drawRes.rows?.[0] || null;
+  const open = String(draw?.status || "").toLowerCase() === "open";
+  const action = open ? "released" : "voided";
+
+  await client.query(
+    `UPDATE public.numbers
+        SET status = $3,
+            reservation_id = NULL
+      WHERE draw_id = $1
+        AND n = ANY($2::int[])`,
+    [payment.draw_id, numbers, open ? "available" : "void"]
+  );
+
+  await client.query(
+    `UPDATE public.reservations
+        SET numbers = ARRAY(SELECT x FROM unnest(numbers) AS x WHERE NOT (x = ANY($2::int[])) ORDER BY x),
+            status = CASE
+              WHEN numbers <@ $2::int[] THEN 'refunded'
+              ELSE status
+            END
+      WHERE payment_id = $1`,
+    [payment.id, numbers]
+  );
+
+  const winnerHit = draw?.winner_number != null && numbers.includes(Number(draw.winner_number));
+  return { action, winnerHit };
+}
+
+/**
+ * Aplica a reversão de `numbers` do payment (já travado com FOR UPDATE).
+ * Cria/atualiza a linha de payment_refunds como 'completed'.
+ */
+async function applyPaymentReversal(client, {
+  payment,
+  numbers,
+  kind,
+  source,
+  refundId = null,
+  providerRefundId = null,
+  providerStatus = null,
+  reason = null,
+  adminUserId = null,
+}) {
+  const toReverse = numbers.filter((n) => payment.numbers.includes(n));
+  const isLast = toReverse.length >= payment.numbers.length;
+  const amountCents = computeRefundAmountCents(payment, toReverse.length);
+
+  let id = refundId;
+  if (!id) {
+    const inserted = await client.query(
+      `INSERT INTO public.payment_refunds
+         (payment_id, user_id, draw_id, provider, kind, source, status, numbers,
+          amount_cents, provider_status, reason, admin_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7::int[], $8, $9, $10, $11)
+       RETURNING id`,
+      [
+        payment.id,
+        payment.user_id,
+        payment.draw_id,
+        paymentProvider(payment),
+        kind,
+        source,
+        toReverse,
+        amountCents,
+        providerStatus,
+        reason,
+        adminUserId,
+      ]
+    );
+    id = inserted.rows[0].id;
+  }
+
+  const coupon = await reverseCouponCredit(client, {
+    payment,
+    refundId: id,
+    kind,
+    count: toReverse.length,
+    isLast,
+    source,
+  });
+  const wallet = await walletRefundShare(client, payment, toReverse.length);
+  await returnWalletShare(client, { payment, refundId: id, kind, share: wallet });
+  const numbersResult = await returnNumbers(client, { payment, numbers: toReverse });
+  if (numbersResult.winnerHit) {
+    console.warn("[refunds] número vencedor estornado", {
+      payment_id: payment.id,
+      draw_id: payment.draw_id,
+      kind,
+      source,
+    });
+  }
+
+  await client.query(
+    `UPDATE public.payments
+        SET numbers = ARRAY(SELECT x FROM unnest(numbers) AS x WHERE NOT (x = ANY($2::int[])) ORDER BY x),
+            refunded_numbers = COALESCE(refunded_numbers, '{}'::int4[]) || $2::int4[],
+            refunded_cents = COALESCE(refunded_cents, 0) + $3,
+            refunded_at = now(),
+            status = CASE WHEN $4 THEN $5 ELSE status END
+      WHERE id = $1`,
+    [payment.id, toReverse, amountCents, isLast, FINAL_PAYMENT_STATUS_BY_KIND[kind]]
+  );
+
+  const completed = await client.query(
+    `UPDATE public.payment_refunds
+        SET status = 'completed',
+            numbers = $2::int[],
+            amount_cents = $3,
+            number_action = $4,
+            coupon_reversed_cents = $5,
+            coupon_uncollected_cents = $6,
+            provider_refund_id = COALESCE($7, provider_refund_id),
+            provider_status = COALESCE($8, provider_status),
+            last_error = NULL,
+            completed_at = now(),
+            wallet_coupon_cents = $9,
+            wallet_winner_cents = $10
+      WHERE id = $1
+      RETURNING *`,
+    [
+      id,
+      toReverse,
+      amountCents,
+      numbersResult.action,
+      coupon.reversed,
+      coupon.uncollected,
+      providerRefundId,
+      providerStatus,
+      wallet.coupon,
+      wallet.winner,
+    ]
+  );
+
+  return {
+    refund: completed.rows[0] || { id },
+    payment_id: payment.id,
+    user_id: payment.user_id ?? null,
+    numbers: toReverse,
+    amount_cents: amountCents,
+    coupon_reversed_cents: coupon.reversed,
+    coupon_uncollected_cents: coupon.uncollected,
+    wallet_coupon_cents: wallet.coupon,
+    wallet_winner_cents: wallet.winner,
+    number_action: numbersResult.action,
+    full: isLast,
+  };
+}
+
+async function callProviderRefund({ payment, refundId, amountCents, full }) {
+  if (paymentProvider(payment) === "vindi") {
+    if (!payment.vindi_charge_id) throw coded("vindi_charge_missing");
+    const out = await refundCharge(String(payment.vindi_charge_id), full, {
+      amountCents: full ? null : amountCents,
+    });
+    // O webhook charge_refunded traz a transação de estorno: guardamos o id dela para reconhecer o evento.
+    const providerRefundId = out?.transactionId ?? out?.refundId ?? null;
+    return { providerRefundId: providerRefundId != null ? String(providerRefundId) : null, providerStatus: out?.status || null };
+  }
+  // Linha de carrinho: o PIX no MP cobre vários sorteios, então o estorno é sempre parcial.
+  const cartRow = Boolean(payment.provider_payment_id);
+  const out = await mpRefundPayment({
+    paymentId: cartRow ? payment.provider_payment_id : payment.id,
+    amount_cents: full && !cartRow ? null : amountCents,
+    idempotencyKey: String(refundId),
+  });
+  return { providerRefundId: out.refundId, providerStatus: out.status };
+}
+
+/**
+ * Chama o provedor para a parte em dinheiro do estorno do admin.
+ * Falha marca o estorno como 'failed' (libera novos estornos do payment); sucesso fica gravado
+ * em provider_refunded_at para o estorno poder ser retomado se a reversão não terminar.
+ */
+async function requestProviderRefund({ payment, refundId, amountCents, full }, options) {
+  let provider;
+  try {
+    const providerRefund = options.providerRefund || callProviderRefund;
+    provider = await providerRefund({ payment, refundId, amountCents, full });
+  } catch (error) {
+    const detail = String(error?.code || error?.message || error).slice(0, 500);
+    await runQuery(
+      options.pgClient,
+      `UPDATE public.payment_refunds SET status = 'failed', last_error = $2 WHERE id = $1`,
+      [refundId, detail]
+    ).catch(() => {});
+    console.error("[refunds] provider refund failed", { payment_id: payment.id, refund_id: refundId, detail });
+    throw coded("provider_refund_failed", { detail, refund_id: refundId });
+  }
+
+  await runQuery(
+    options.pgClient,
+    `UPDATE public.payment_refunds
+        SET provider_refunded_at = now(),
+            provider_refund_id = COALESCE($2, provider_refund_id),
+            provider_status = COALESCE($3, provider_status)
+      WHERE id = $1`,
+    [refundId, provider?.providerRefundId ?? null, provider?.providerStatus ?? null]
+  ).catch((error) => {
+    console.error("[refunds] provider confirmation not recorded", {
+      refund_id: refundId,
+      error: error?.code || error?.message || error,
+    });
+  });
+  return provider;
+}
+
+/**
+ * Segunda transação do estorno do admin: reverte números e saldo e marca 'completed'.
+ * Confere de novo, com o payment travado, que o estorno continua 'pending'.
+ */
+async function completeAdminRefund({ paymentId, refundId, numbers, provider }, options) {
+  return withTransaction(options, async (client) => {
+    const payment = await lockPayment(client, paymentId);
+    const { rows } = await client.query(
+      `SELECT status FROM public.payment_refunds WHERE id = $1 FOR UPDATE`,
+      [refundId]
+    );
+    if (rows[0]?.status !== "pending") throw coded("refund_not_pending", { status: rows[0]?.status ?? null });
+    return applyPaymentReversal(client, {
+      payment,
+      numbers,
+      kind: "refund",
+      source: "admin",
+      refundId,
+      providerRefundId: provider?.providerRefundId ?? null,
+      providerStatus: provider?.providerStatus ?? null,
+    });
+  });
+}
+
+/**
+ * Atualiza o cupom na Tray após reverter saldo (best-effort, nunca lança).
+ */
+export function syncTrayCouponAfterReversal(result) {
+  if (!result?.user_id) return;
+  if (!(Number(result.coupon_reversed_cents) > 0) && !(Number(result.wallet_coupon_cents) > 0)) return;
+  ensureTrayCouponForUser(result.user_id).catch(() => {});
+}
+
+/**
+ * Estorno pelo admin: payment inteiro (sem `numbers`) ou números específicos.
+ *
+ * @param {{ paymentId: string, numbers?: number[]|null, reason?: string|null, adminUserId?: number|null }} input
+ * @param {{ pgClient?: object, providerRefund?: Function }} options
+ */
+export async function refundPayment({ paymentId, numbers = null, reason = null, adminUserId = null } = {}, options = {}) {
+  const pid = String(paymentId ?? "").trim();
+  if (!pid) throw coded("invalid_payment_id");
+  const requested = numbers == null ? null : toIntArray(numbers);
+  if (requested && (!requested.length || requested.length !== numbers.length)) {
+    throw coded("invalid_refund_numbers");
+  }
+  const cleanReason = reason != null ? String(reason).trim().slice(0, 500) || null : null;
+
+  const plan = await withTransaction(options, async (client) => {
+    const payment = await lockPayment(client, pid);
+    if (!payment) throw coded("payment_not_found");
+    if (!REFUNDABLE_STATUSES.includes(String(payment.status || "").toLowerCase()) || !payment.numbers.length) {
+      throw coded("payment_not_refundable", { status: payment.status });
+    }
+    if (await findPendingRefund(client, pid)) throw coded("refund_in_progress");
+
+    const target = requested ? [...new Set(requested)] : payment.numbers;
+    if (target.some((n) => !payment.numbers.includes(n))) throw coded("invalid_refund_numbers");
+
+    if (payment.draw_id) {
+      const w = await client.query(
+        `SELECT winner_number FROM public.draws WHERE id = $1`,
+        [payment.draw_id]
+      );
+      const winner = w.rows?.[0]?.winner_number;
+      if (winner != null && target.includes(Number(winner))) throw coded("refund_winning_number");
+    }
+
+    const full = target.length >= payment.numbers.length;
+    const amountCents = computeRefundAmountCents(payment, target.length);
+    const wallet = await walletRefundShare(client, payment, target.length);
+    const providerCents = Math.max(0, amountCents - wallet.coupon - wallet.winner);
+    const inserted = await client.query(
+      `INSERT INTO public.payment_refunds
+         (payment_id, user_id, draw_id, provider, kind, source, status, numbers,
+          amount_cents, reason, admin_user_id)
+       VALUES ($1, $2, $3, $4, 'refund', 'admin', 'pending', $5::int[], $6, $7, $8)
+       RETURNING id`,
+      [pid, payment.user_id, payment.draw_id, paymentProvider(payment), target, amountCents, cleanReason, adminUserId]
+    );
+    return { refundId: inserted.rows[0].id, payment, target, full, amountCents, providerCents };
+  });
+
+  let provider = null;
+  // Parte paga só com saldo: nada a estornar no provedor, o saldo volta em applyPaymentReversal.
+  if (plan.providerCents > 0 && paymentProvider(plan.payment) !== "wallet") {
+    provider = await requestProviderRefund({
+      payment: plan.payment,
+      refundId: plan.refundId,
+      amountCents: plan.providerCents,
+      full: plan.full,
+    }, options);
+  }
+
+  const result = await completeAdminRefund({ paymentId: pid, refundId: plan.refundId, numbers: plan.target, provider }, options);
+
+  console.log("[refunds] admin refund completed", {
+    payment_id: pid,
+    refund_id: plan.refundId,
+    admin_user_id: adminUserId,
+    numbers: result.numbers,
+    amount_cents: result.amount_cents,
+    coupon_reversed_cents: result.coupon_reversed_cents,
+  });
+
+  if (!options.pgClient) syncTrayCouponAfterReversal(result);
+  return result;
+}
+
+/**
+ * Retoma um estorno do admin que ficou 'pending' (a reversão falhou depois do provedor ou o
+ * processo caiu no meio). Enquanto ele não termina, novos estornos do payment dão 409 e os
+ * webhooks de estorno do provedor ficam 'failed' no inbox (reprocessar depois vira noop).
+ * - provedor já confirmado (provider_refunded_at) ou estorno só de saldo: aplica a reversão;
+ * - sem confirmação no Mercado Pago: pede o estorno de novo com a mesma chave de idempotência;
+ * - sem confirmação na Vindi (sem idempotência): exige providerConfirmed, depois de o admin
+ *   conferir a cobrança no painel da Vindi.
+ *
+ * @param {{ refundId: string, providerConfirmed?: boolean, adminUserId?: number|null }} input
+ * @param {{ pgClient?: object, providerRefund?: Function }} options
+ */
+export async function completePendingRefund({ refundId, providerConfirmed = false, adminUserId = null } = {}, options = {}) {
+  const rid = String(refundId ?? "").trim();
+  if (!rid) throw coded("invalid_refund_id");
+
+  const plan = await withTransaction(options, async (client) => {
+    const found = await client.query(
+      `SELECT id, payment_id, status, source, numbers, provider_refund_id, provider_status, provider_refunded_at
+         FROM public.payment_refunds
+        WHERE id = $1`,
+      [rid]
+    );
+    const refund = found.rows[0];
+    if (!refund) throw coded("refund_not_found");
+    if (refund.status !== "pending" || refund.source !== "admin") {
+      throw coded("refund_not_pending", { status: refund.status });
+    }
+    const payment = await lockPayment(client, refund.payment_id);
+    const target = toIntArray(refund.numbers).filter((n) => payment.numbers.includes(n));
+    const amountCents = computeRefundAmountCents(payment, target.length);
+    const wallet = await walletRefundShare(client, payment, target.length);
+    return {
+      refund,
+      payment,
+      target,
+      full: target.length >= payment.numbers.length,
+      providerCents: Math.max(0, amountCents - wallet.coupon - wallet.winner),
+    };
+  });
+
+  let provider = plan.refund.provider_refunded_at
+    ? { providerRefundId: plan.refund.provider_refund_id, providerStatus: plan.refund.provider_status }
+    : null;
+  const needsProvider = plan.providerCents > 0 && paymentProvider(plan.payment) !== "wallet";
+  if (needsProvider && !provider && !providerConfirmed) {
+    if (paymentProvider(plan.payment) === "vindi") throw coded("refund_provider_unconfirmed", { refund_id: rid });
+    provider = await requestProviderRefund({
+      payment: plan.payment,
+      refundId: rid,
+      amountCents: plan.providerCents,
+      full: plan.full,
+    }, options);
+  }
+
+  const result = await completeAdminRefund(
+    { paymentId: plan.payment.id, refundId: rid, numbers: plan.target, provider },
+    options
+  );
+
+  console.log("[refunds] pending admin refund completed", {
+    payment_id: plan.payment.id,
+    refund_id: rid,
+    admin_user_id: adminUserId,
+    provider_confirmed_by_admin: Boolean(providerConfirmed && !plan.refund.provider_refunded_at),
+    numbers: result.numbers,
+  });
+
+  if (!options.pgClient) syncTrayCouponAfterReversal(result);
+  return result;
+}
+
+/**
+ * Reversão automática a partir do webhook (status refunded / charged_back no provedor).
+ * Idempotente: reverte apenas os números ainda ativos do payment.
+ * Com options.pgClient roda na transação do chamador (que deve chamar
+ * syncTrayCouponAfterReversal após o COMMIT).
+ */
+export async function reversePaymentFromProvider(
+  paymentId,
+  { kind = "refund", providerStatus = null, providerRefundId = null } = {},
+  options = {}
+) {
+  if (!LEDGER_EVENT_BY_KIND[kind]) throw coded("invalid_refund_kind");
+  const pid = String(paymentId ?? "").trim();
+  if (!pid) throw coded("invalid_payment_id");
+
+  const result = await withTransaction(options, async (client) => {
+    const payment = await lockPayment(client, pid);
+    if (!payment) return { action: "payment_not_found" };
+    // Estorno do admin em andamento: falha para o evento do provedor ficar 'failed' no inbox
+    // e ser reprocessado depois que o estorno concluir (ou falhar).
+    if (await findPendingRefund(client, pid)) throw coded("refund_in_progress");
+    if (!payment.numbers.length) return { action: "noop", reason: "already_reversed" };
+    if (providerRefundId) {
+      // Evento do estorno (parcial) que o próprio admin já aplicou.
+      const known = await client.query(
+        `SELECT id FROM public.payment_refunds
+          WHERE payment_id = $1 AND provider_refund_id = $2 AND status = 'completed'
+          LIMIT 1`,
+        [pid, String(providerRefundId)]
+      );
+      if (known.rows.length) return { action: "noop", reason: "already_applied" };
+    }
+
+    const reversal = await applyPaymentReversal(client, {
+      payment,
+      numbers: payment.numbers,
+      kind,
+      source: "webhook",
+      providerRefundId: providerRefundId != null ? String(providerRefundId) : null,
+      providerStatus,
+    });
+    return { action: "reversed", ...reversal };
+  });
+
+  if (result.action === "reversed") {
+    console.log("[refunds] provider reversal applied", {
+      payment_id: pid,
+      kind,
+      provider_status: providerStatus,
+      numbers: result.numbers,
+      coupon_reversed_cents: result.coupon_reversed_cents,
+      coupon_uncollected_cents: result.coupon_uncollected_cents,
+    });
+    if (!options.pgClient) syncTrayCouponAfterReversal(result);
+  }
+  return result;
+}
+
+/**
+ * Lista estornos (admin).
+ */
+export async function listPaymentRefunds({ payment_id, status, kind, limit = 50, offset = 0 } = {}, options = {}) {
+  const where = [];
+  const values = [];
+  if (payment_id) { values.push(String(payment_id)); where.push(`payment_id = $${values.length}`); }
+  if (status) { values.push(String(status)); where.push(`status = $${values.length}`); }
+  if (kind) { values.push(String(kind)); where.push(`kind = $${values.length}`); }
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const safeOffset = Math.max(Number(offset) || 0, 0);
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT *
+       FROM public.payment_refunds
+       ${whereSql}
+      ORDER BY created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, safeLimit, safeOffset]
+  );
+  return { refunds: rows, limit: safeLimit, offset: safeOffset };
+}
@@ -0,0 +1,384 @@
+// src/services/referrals.js
+// Programa de indicação (public.referrals + users.referral_code).
+//
+// - cada usuário tem um código de indicação, gerado na primeira consulta (GET /api/me/referral)
+// - POST /api/auth/register { referral_code } liga o novo usuário ao indicador ('pending')
+// - no primeiro PIX aprovado do indicado, o indicador ganha REFERRAL_REWARD_CENTS de saldo de
+//   cupom: linha 'CREDIT_REFERRAL' no coupon_balance_history (ligada ao payment do indicado, o
+//   que torna o crédito idempotente) + users.coupon_value_cents, como em couponBalance.js
+// - travas: mesmo telefone ou mesmo documento (autopay_profiles.doc_number) do indicador e limite
+//   mensal de recompensas por indicador; a indicação barrada fica 'rejected' com o motivo
+import { randomInt } from "node:crypto";
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+export const REFERRAL_EVENT_TYPE = "CREDIT_REFERRAL";
+
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const CODE_ATTEMPTS = 5;
+
+function toNonNegativeInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export function isReferralProgramEnabled() {
+  return String(process.env.REFERRAL_ENABLED ?? "true").trim().toLowerCase() !== "false";
+}
+
+/** Saldo de cupom (centavos) que o indicador ganha por indicação convertida. */
+export function getReferralRewardCents() {
+  return toNonNegativeInt(process.env.REFERRAL_REWARD_CENTS) ?? 1000;
+}
+
+/** Valor mínimo (centavos, sem a parte paga com saldo) do PIX que converte a indicação. */
+export function getReferralMinPurchaseCents() {
+  return toNonNegativeInt(process.env.REFERRAL_MIN_PURCHASE_CENTS) ?? 0;
+}
+
+/** Recompensas por indicador no mês corrente (0 = sem limite). */
+export function getReferralMaxRewardsPerMonth() {
+  return toNonNegativeInt(process.env.REFERRAL_MAX_REWARDS_PER_MONTH) ?? 20;
+}
+
+export function normalizeReferralCode(value) {
+  const code = String(value ?? "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return code.length >= 4 && code.length <= 32 ? code : null;
+}
+
+export function generateReferralCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i += 1) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+/** Dígitos do telefone sem o 55, para comparar cadastros com e sem DDI. */
+function phoneKey(value) {
+  let digits = String(value ?? "").replace(/\D/g, "");
+  if (digits.startsWith("55") && digits.length > 11) digits = digits.slice(2);
+  return digits.length >= 10 ? digits : null;
+}
+
+function documentKey(value) {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  return digits.length === 11 || digits.length === 14 ? digits : null;
+}
+
+/** Código do usuário; gera e grava na primeira chamada. */
+export async function getOrCreateReferralCode(userId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT referral_code FROM public.users WHERE id = $1`,
+    [userId]
+  );
+  if (!rows.length) throw coded("user_not_found");
+  if (rows[0].referral_code) return rows[0].referral_code;
+
+  for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt += 1) {
+    try {
+      const updated = await runQuery(
+        options.pgClient,
+        `UPDATE public.users
+            SET referral_code = $2
+          WHERE id = $1
+            AND referral_code IS NULL
+          RETURNING referral_code`,
+        [userId, generateReferralCode()]
+      );
+      if (updated.rows.length) return updated.rows[0].referral_code;
+      // outra requisição gerou primeiro
+      const again = await runQuery(options.pgClient, `SELECT referral_code FROM public.users WHERE id = $1`, [userId]);
+      if (again.rows[0]?.referral_code) return again.rows[0].referral_code;
+    } catch (e) {
+      if (e?.code !== "23505") throw e;
+    }
+  }
+  throw coded("referral_code_unavailable");
+}
+
+/** Código + resumo das indicações do usuário (GET /api/me/referral). */
+export async function getReferralSummary(userId, options = {}) {
+  const code = await getOrCreateReferralCode(userId, options);
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+            COUNT(*) FILTER (WHERE status = 'rewarded')::int AS rewarded,
+            COALESCE(SUM(reward_cents) FILTER (WHERE status = 'rewarded'), 0)::int AS reward_cents
+       FROM public.referrals
+      WHERE referrer_user_id = $1`,
+    [userId]
+  );
+  const stats = rows[0] || {};
+  return {
+    code,
+    enabled: isReferralProgramEnabled(),
+    reward_cents: getReferralRewardCents(),
+    total: Number(stats.total || 0),
+    pending: Number(stats.pending || 0),
+    rewarded: Number(stats.rewarded || 0),
+    earned_cents: Number(stats.reward_cents || 0),
+  };
+}
+
+/**
+ * Liga o usuário recém-cadastrado ao dono do código. Código desconhecido não impede o cadastro
+ * (retorna attached: false); mesmo telefone do indicador já entra como 'rejected'.
+ */
+export async function attachReferralAtSignup({ referredUserId, code }, options = {}) {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) return { attached: false, reason: "invalid_code" };
+  if (!isReferralProgramEnabled()) return { attached: false, reason: "disabled" };
+
+  const { rows: referrers } = await runQuery(
+    options.pgClient,
+    `SELECT id, phone FROM public.users WHERE upper(referral_code) = $1 LIMIT 1`,
+    [normalized]
+  );
+  const referrer = referrers[0];
+  if (!referrer) return { attached: false, reason: "code_not_found" };
+  if (Number(referrer.id) === Number(referredUserId)) return { attached: false, reason: "self_referral" };
+
+  const { rows: referredRows } = await runQuery(
+    options.pgClient,
+    `SELECT phone FROM public.users WHERE id = $1`,
+    [referredUserId]
+  );
+  const referrerPhone = phoneKey(referrer.phone);
+  const samePhone = referrerPhone != null && referrerPhone === phoneKey(referredRows[0]?.phone);
+
+  const inserted = await runQuery(
+    options.pgClient,
+    `INSERT INTO public.referrals (referrer_user_id, referred_user_id, code, status, reject_reason)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (referred_user_id) DO NOTHING
+     RETURNING id, status, reject_reason`,
+    [referrer.id, referredUserId, normalized, samePhone ? "rejected" : "pending", samePhone ? "same_phone" : null]
+  );
+  const row = inserted.rows[0];
+  if (!row) return { attached: false, reason: "already_referred" };
+  if (row.status === "rejected") {
+    console.warn("[referral] indicação barrada no cadastro", {
+      referral_id: row.id,
+      referrer_user_id: Number(referrer.id),
+      referred_user_id: Number(referredUserId),
+      reason: row.reject_reason,
+    });
+  }
+  return { attached: true, referral_id: row.id, status: row.status, reason: row.reject_reason || null };
+}
+
+async function rejectReferral(client, referral, reason, paymentId) {
+  await client.query(
+    `UPDATE public.referrals
+        SET status = 'rejected',
+            reject_reason = $2,
+            qualifying_payment_id = $3,
+            updated_at = now()
+      WHERE id = $1`,
+    [referral.id, reason, paymentId]
+  );
+  console.warn("[referral] recompensa barrada", {
+    referral_id: referral.id,
+    referrer_user_id: Number(referral.referrer_user_id),
+    referred_user_id: Number(referral.referred_user_id),
+    payment_id: paymentId,
+    reason,
+  });
+  return { action: "rejected", reason, referral_id: referral.id };
+}
+
+/** Motivo para barrar a recompensa (null = segue). Telefone e documento são relidos no aceite. */
+async function fraudReason(client, referral) {
+  const { rows: users } = await client.query(
+    `SELECT u.id, u.phone,
+            (SELECT ap.doc_number FROM public.autopay_profiles ap WHERE ap.user_id = u.id LIMIT 1) AS doc_number
+       FROM public.users u
+      WHERE u.id = ANY($1::int[])`,
+    [[Number(referral.referrer_user_id), Number(referral.referred_user_id)]]
+  );
+  const byId = new Map(users.map((u) => [Number(u.id), u]));
+  const referrer = byId.get(Number(referral.referrer_user_id));
+  const referred = byId.get(Number(referral.referred_user_id));
+  if (!referrer || !referred) return "user_not_found";
+
+  const phone = phoneKey(referrer.phone);
+  if (phone && phone === phoneKey(referred.phone)) return "same_phone";
+  const document = documentKey(referrer.doc_number);
+  if (document && document === documentKey(referred.doc_number)) return "same_document";
+
+  const maxPerMonth = getReferralMaxRewardsPerMonth();
+  if (maxPerMonth > 0) {
+    const { rows } = await client.query(
+      `SELECT COUNT(*)::int AS total
+         FROM public.referrals
+        WHERE referrer_user_id = $1
+          AND status = 'rewarded'
+          AND converted_at >= date_trunc('month', now())`,
+      [referral.referrer_user_id]
+    );
+    if (Number(rows[0]?.total || 0) >= maxPerMonth) return "referrer_limit_reached";
+  }
+  return null;
+}
+
+/**
+ * Converte a indicação pendente do dono do payment (PIX aprovado) e credita o indicador.
+ * Idempotente: sem indicação pendente, ou com o crédito já no ledger, não faz nada.
+ */
+export async function rewardReferralOnApprovedPayment(paymentId, options = {}) {
+  const pid = paymentId != null ? String(paymentId) : "";
+  if (!pid) return { action: "noop", reason: "invalid_payment_id" };
+  if (!isReferralProgramEnabled()) return { action: "noop", reason: "disabled" };
+  const rewardCents = getReferralRewardCents();
+  if (rewardCents <= 0) return { action: "noop", reason: "no_reward_configured" };
+
+  return withTransaction(options, async (client) => {
+    const { rows: payments } = await client.query(
+      `SELECT id, user_id, draw_id, lower(status) AS status,
+              GREATEST(COALESCE(amount_cents, 0) - COALESCE(wallet_coupon_cents, 0), 0)::int AS cash_cents
+         FROM public.payments
+        WHERE id = $1`,
+      [pid]
+    );
+    const payment = payments[0];
+    if (!payment || !payment.user_id) return { action: "noop", reason: "payment_not_found" };
+    if (!PAID_PAYMENT_STATUSES.includes(payment.status)) return { action: "noop", reason: "not_final" };
+
+    const { rows: referrals } = await client.query(
+      `SELECT id, referrer_user_id, referred_user_id, status
+         FROM public.referrals
+        WHERE referred_user_id = $1
+          AND status = 'pending'
+        FOR UPDATE`,
+      [payment.user_id]
+    );
+    const referral = referrals[0];
+    if (!referral) return { action: "noop", reason: "no_pending_referral" };
+    // abaixo do mínimo a indicação continua pendente para o próximo PIX
+    if (Number(payment.cash_cents) <= 0 || Number(payment.cash_cents) < getReferralMinPurchaseCents()) {
+      return { action: "noop", reason: "below_min_purchase" };
+    }
+
+    const reason = await fraudReason(client, referral);
+    if (reason) return rejectReferral(client, referral, reason, pid);
+
+    const { rows: balances } = await client.query(
+      `SELECT COALESCE(coupon_value_cents, 0)::int AS balance_cents
+         FROM public.users
+        WHERE id = $1
+        FOR UPDATE`,
+      [referral.referrer_user_id]
+    );
+    const before = Number(balances[0]?.balance_cents || 0);
+    const ledger = await client.query(
+      `INSERT INTO public.coupon_balance_history
+         (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+          event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'REFERRAL', 'approved', $7, NULL, NULL, $8::jsonb, now())
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [
+        referral.referrer_user_id,
+        pid,
+        rewardCents,
+        before,
+        before + rewardCents,
+        REFERRAL_EVENT_TYPE,
+        payment.draw_id ?? null,
+        JSON.stringify({
+          source: "referrals.reward",
+          referral_id: referral.id,
+          referred_user_id: Number(referral.referred_user_id),
+        }),
+      ]
+    );
+    const credited = ledger.rows.length > 0;
+    if (credited) {
+      await client.query(
+        `UPDATE public.users
+            SET coupon_value_cents = COALESCE(coupon_value_cents, 0) + $2,
+                coupon_updated_at = now()
+          WHERE id = $1`,
+        [referral.referrer_user_id, rewardCents]
+      );
+    }
+    await client.query(
+      `UPDATE public.referrals
+          SET status = 'rewarded',
+              reward_cents = $2,
+              qualifying_payment_id = $3,
+              converted_at = now(),
+              updated_at = now()
+        WHERE id = $1`,
+      [referral.id, credited ? rewardCents : 0, pid]
+    );
+    return {
+      action: credited ? "rewarded" : "noop",
+      reason: credited ? null : "already_in_ledger",
+      referral_id: referral.id,
+      referrer_user_id: Number(referral.referrer_user_id),
+      reward_cents: credited ? rewardCents : 0,
+    };
+  });
+}
+
+/**
+ * Relatório do admin: indicações com indicador/indicado e totais por status.
+ * Filtros: status, referrer_user_id, from/to (created_at).
+ */
+export async function listReferrals({ status, referrer_user_id, from, to, limit = 50, offset = 0 } = {}, options = {}) {
+  const where = [];
+  const values = [];
+  if (status) { values.push(String(status)); where.push(`r.status = $${values.length}`); }
+  if (referrer_user_id) { values.push(Number(referrer_user_id)); where.push(`r.referrer_user_id = $${values.length}`); }
+  if (from) { values.push(String(from)); where.push(`r.created_at >= $${values.length}::timestamptz`); }
+  if (to) { values.push(String(to)); where.push(`r.created_at < $${values.length}::timestamptz`); }
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const safeOffset = Math.max(Number(offset) || 0, 0);
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT r.id, r.code, r.status, r.reject_reason, r.reward_cents, r.qualifying_payment_id,
+            r.created_at, r.converted_at,
+            r.referrer_user_id, ru.name AS referrer_name, ru.email AS referrer_email,
+            r.referred_user_id, du.name AS referred_name, du.email AS referred_email
+       FROM public.referrals r
+  LEFT JOIN public.users ru ON ru.id = r.referrer_user_id
+  LEFT JOIN public.users du ON du.id = r.referred_user_id
+       ${whereSql}
+      ORDER BY r.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, safeLimit, safeOffset]
+  );
+  const { rows: totals } = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE r.status = 'pending')::int AS pending,
+            COUNT(*) FILTER (WHERE r.status = 'rewarded')::int AS rewarded,
+            COUNT(*) FILTER (WHERE r.status = 'rejected')::int AS rejected,
+            COALESCE(SUM(r.reward_cents) FILTER (WHERE r.status = 'rewarded'), 0)::int AS reward_cents
+       FROM public.referrals r
+       ${whereSql}`,
+    values
+  );
+  const summary = totals[0] || {};
+  const total = Number(summary.total || 0);
+  const rewarded = Number(summary.rewarded || 0);
+  return {
+    referrals: rows,
+    summary: {
+      total,
+      pending: Number(summary.pending || 0),
+      rewarded,
+      rejected: Number(summary.rejected || 0),
+      reward_cents: Number(summary.reward_cents || 0),
+      conversion_rate: total > 0 ? Math.round((rewarded / total) * 10000) / 10000 : 0,
+    },
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
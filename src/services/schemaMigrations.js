@@ -0,0 +1,195 @@
+// src/services/schemaMigrations.js
+// Migrations versionadas: aplica os arquivos de src/migrations em ordem e registra cada um em
+// public.schema_migrations (nome do arquivo + sha256 do conteúdo).
+//
+// - a chave é o nome do arquivo: os números repetidos antigos (002, 016) convivem; número
+//   repetido novo é erro
+// - cada arquivo roda na sua própria transação junto com o registro; BEGIN;/COMMIT; de topo do
+//   arquivo são ignorados (quem controla a transação é o runner)
+// - pg_advisory_lock evita dois deploys aplicando ao mesmo tempo
+// - checksum diferente de um arquivo já aplicado é reportado (status) mas não reaplicado
+// - baseline: registra sem executar (banco em que os arquivos já foram aplicados à mão)
+// - boot (index.js): assertMigrationsApplied recusa subir com migration pendente
+import { createHash } from "node:crypto";
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getPool } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../migrations");
+
+const FILE_RE = /^(\d{3,})_[a-z0-9_]+\.sql$/i;
+// Números que já nasceram repetidos antes do runner; não aceitar novos.
+const LEGACY_DUPLICATE_PREFIXES = new Set(["002", "016"]);
+const TRANSACTION_CONTROL_RE = /^[ \t]*(BEGIN|COMMIT|START[ \t]+TRANSACTION)([ \t]+(WORK|TRANSACTION))?[ \t]*;[ \t]*$/gim;
+const LOCK_SQL = "SELECT pg_advisory_lock(hashtext('schema_migrations'))";
+const UNLOCK_SQL = "SELECT pg_advisory_unlock(hashtext('schema_migrations'))";
+
+async function withClient(options, fn) {
+  if (options.pgClient) return fn(options.pgClient);
+  const pool = await getPool();
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+export function isMigrationBootCheckEnabled() {
+  return String(process.env.MIGRATIONS_BOOT_CHECK ?? "true").trim().toLowerCase() !== "false";
+}
+
+export function migrationChecksum(sql) {
+  return createHash("sha256").update(String(sql)).digest("hex");
+}
+
+/** Remove BEGIN;/COMMIT; de topo (linha inteira); blocos DO $$ BEGIN ... END $$ não são afetados. */
+export function stripTransactionControl(sql) {
+  return String(sql).replace(TRANSACTION_CONTROL_RE, "");
+}
+
+/** Arquivos .sql em ordem de nome, com checksum. Nome fora do padrão ou número repetido novo é erro. */
+export async function loadMigrationFiles(dir = MIGRATIONS_DIR) {
+  const names = (await readdir(dir)).filter((name) => name.endsWith(".sql")).sort();
+
+  const invalid = names.filter((name) => !FILE_RE.test(name));
+  if (invalid.length) throw coded("migration_filename_invalid", { files: invalid });
+
+  const byPrefix = new Map();
+  for (const name of names) {
+    const prefix = name.match(FILE_RE)[1];
+    byPrefix.set(prefix, [...(byPrefix.get(prefix) || []), name]);
+  }
+  const collisions = [...byPrefix.entries()]
+    .filter(([prefix, files]) => files.length > 1 && !LEGACY_DUPLICATE_PREFIXES.has(prefix))
+    .flatMap(([, files]) => files);
+  if (collisions.length) throw coded("migration_number_collision", { files: collisions });
+
+  return Promise.all(
+    names.map(async (name) => {
+      const sql = await readFile(path.join(dir, name), "utf8");
+      return { name, sql, checksum: migrationChecksum(sql) };
+    })
+  );
+}
+
+/**
+ * Cruza os arquivos com as linhas de schema_migrations.
+ * applied: registrados e iguais; changed: registrados com checksum diferente;
+ * pending: sem registro; missing: registrados sem arquivo.
+ */
+export function compareMigrations(files, appliedRows) {
+  const applied = new Map(appliedRows.map((row) => [row.filename, row]));
+  const names = new Set(files.map((file) => file.name));
+  const result = { applied: [], changed: [], pending: [], missing: [] };
+  for (const file of files) {
+    const row = applied.get(file.name);
+    if (!row) result.pending.push(file.name);
+    else if (row.checksum !== file.checksum) result.changed.push(file.name);
+    else result.applied.push(file.name);
+  }
+  result.missing = appliedRows.map((row) => row.filename).filter((name) => !names.has(name)).sort();
+  return result;
+}
+
+async function readAppliedRows(client) {
+  const { rows } = await client.query(`SELECT to_regclass('public.schema_migrations') IS NOT NULL AS present`);
+  if (!rows[0]?.present) return [];
+  const applied = await client.query(
+    `SELECT filename, checksum, applied_at, baseline
+       FROM public.schema_migrations
+      ORDER BY filename`
+  );
+  return applied.rows;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      filename text PRIMARY KEY,
+      checksum text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now(),
+      execution_ms int4 NULL,
+      baseline boolean NOT NULL DEFAULT false
+    )
+  `);
+}
+
+/** Situação das migrations (somente leitura: não cria schema_migrations). */
+export async function getMigrationStatus({ dir = MIGRATIONS_DIR } = {}, options = {}) {
+  const files = await loadMigrationFiles(dir);
+  const rows = await withClient(options, readAppliedRows);
+  return { total: files.length, ...compareMigrations(files, rows) };
+}
+
+/**
+ * Aplica as pendentes em ordem, cada uma na sua transação. Para no primeiro erro
+ * (migration_failed) deixando as anteriores registradas.
+ * dryRun: só lista; baseline: registra sem executar; to: para depois deste arquivo (inclusive).
+ * baseline exige to: sem ele, migrations que nunca rodaram seriam registradas como aplicadas.
+ */
+export async function applyPendingMigrations({ dir = MIGRATIONS_DIR, dryRun = false, baseline = false, to = null } = {}, options = {}) {
+  if (baseline && !to) throw coded("migration_baseline_requires_to");
+  const files = await loadMigrationFiles(dir);
+  if (to && !files.some((file) => file.name === to)) throw coded("migration_not_found", { file: to });
+
+  return withClient(options, async (client) => {
+    await client.query(LOCK_SQL);
+    try {
+      if (!dryRun) await ensureMigrationsTable(client);
+      const status = compareMigrations(files, await readAppliedRows(client));
+      if (status.changed.length) {
+        console.warn("[migrations] arquivos alterados depois de aplicados (não são reaplicados)", status.changed);
+      }
+      const pendingSet = new Set(status.pending);
+      const selected = files.filter((file) => pendingSet.has(file.name) && (!to || file.name <= to));
+      const done = [];
+
+      for (const file of selected) {
+        if (dryRun) {
+          done.push(file.name);
+          continue;
+        }
+        const started = Date.now();
+        try {
+          await client.query("BEGIN");
+          if (!baseline) await client.query(stripTransactionControl(file.sql));
+          await client.query(
+            `INSERT INTO public.schema_migrations (filename, checksum, execution_ms, baseline)
+             VALUES ($1, $2, $3, $4)`,
+            [file.name, file.checksum, baseline ? null : Date.now() - started, baseline]
+          );
+          await client.query("COMMIT");
+        } catch (e) {
+          await client.query("ROLLBACK").catch(() => {});
+          throw coded("migration_failed", { file: file.name, detail: e?.message || String(e), applied: done });
+        }
+        console.log(`[migrations] ${baseline ? "baseline" : "aplicada"} ${file.name} (${Date.now() - started}ms)`);
+        done.push(file.name);
+      }
+
+      return {
+        dry_run: dryRun,
+        baseline,
+        applied: done,
+        pending: status.pending.filter((name) => !done.includes(name)),
+        changed: status.changed,
+        missing: status.missing,
+      };
+    } finally {
+      await client.query(UNLOCK_SQL).catch(() => {});
+    }
+  });
+}
+
+/** Boot: erro migrations_pending com a lista quando há arquivo não aplicado. */
+export async function assertMigrationsApplied(params = {}, options = {}) {
+  const status = await getMigrationStatus(params, options);
+  if (status.changed.length) {
+    console.warn("[migrations] arquivos alterados depois de aplicados", status.changed);
+  }
+  if (status.pending.length) throw coded("migrations_pending", { pending: status.pending });
+  return status;
+}
@@ -0,0 +1,117 @@
+// src/services/totp.js
+// TOTP (RFC 6238, HMAC-SHA1, 6 dígitos, passo de 30s) para o 2FA dos admins.
+// O segredo fica cifrado em users.totp_secret (AES-256-GCM, chave ADMIN_TOTP_KEY ou JWT_SECRET).
+
+import crypto from "node:crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(text) {
+  const clean = String(text || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("invalid_base32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+export function totpStep(nowMs = Date.now()) {
+  return Math.floor(nowMs / 1000 / STEP_SECONDS);
+}
+
+/** Código de `step` para o segredo (Buffer). */
+export function hotp(secret, step, digits = DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Confere o código aceitando ±`window` passos (relógio do celular adiantado/atrasado).
+ * Retorna o passo aceito (para bloquear reuso) ou null.
+ */
+export function verifyTotp(secretBase32, code, { nowMs = Date.now(), window = 1, afterStep = null } = {}) {
+  const clean = String(code ?? "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+  const secret = base32Decode(secretBase32);
+  const current = totpStep(nowMs);
+  for (let delta = -window; delta <= window; delta += 1) {
+    const step = current + delta;
+    if (afterStep != null && step <= Number(afterStep)) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+export function getTotpIssuer() {
+  return String(process.env.ADMIN_TOTP_ISSUER || "New Store").trim() || "New Store";
+}
+
+export function buildOtpAuthUrl(secretBase32, accountName, issuer = getTotpIssuer()) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secretBase32,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function encryptionKey() {
+  const raw = process.env.ADMIN_TOTP_KEY || process.env.JWT_SECRET || process.env.JWT_SECRET_KEY || "";
+  if (!raw) throw new Error("totp_key_missing");
+  return crypto.createHash("sha256").update(String(raw)).digest();
+}
+
+export function encryptTotpSecret(secretBase32) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(secretBase32), "utf8"), cipher.final()]);
+  return ["v1", iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+}
+
+export function decryptTotpSecret(stored) {
+  const [version, iv, tag, data] = String(stored || "").split(":");
+  if (version !== "v1" || !iv || !tag || !data) throw new Error("invalid_totp_secret");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+}
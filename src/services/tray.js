@@ -100,9 +100,10 @@ async function fetchWithRetry(url, options = {}, meta = {}) {
   throw lastErr || new Error(`${label}_failed`);
 }
 
-async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, overrideCode = null, overrideApiBase = null } = {}) {
+async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, overrideCode = null, overrideApiBase = null, pgClient = null } = {}) {
   const { consumerKey, consumerSecret, code: envCode } = getTrayEnvConfig();
-  const apiBase = overrideApiBase ? await setTrayApiBase(overrideApiBase) : await getTrayApiBase();
+  const kvOptions = { pgClient };
+  const apiBase = overrideApiBase ? await setTrayApiBase(overrideApiBase, kvOptions) : await getTrayApiBase(kvOptions);
 
   const hasCKEY = !!consumerKey;
   const hasCSECRET = !!consumerSecret;
@@ -116,7 +117,7 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
     console.warn("[tray.auth] WARN consumer_key === consumer_secret (provável erro de config)");
   }
 
-  const refresh = await getTrayRefreshToken();
+  const refresh = await getTrayRefreshToken(kvOptions);
   const hasRefreshKV = refresh.source === "kv";
   const hasRefreshEnv = refresh.source === "env";
   const codeToUse = String(overrideCode || envCode || "").trim();
@@ -138,7 +139,7 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
   }
 
   // 4.1.1 cache DB opcional
-  const cachedDb = await getTrayCachedAccessToken().catch(() => ({ token: null, expAccessAt: null }));
+  const cachedDb = await getTrayCachedAccessToken(kvOptions).catch(() => ({ token: null, expAccessAt: null }));
   if (cachedDb?.token && cachedDb?.expAccessAt) {
     const expMs = parseTrayDateToMs(cachedDb.expAccessAt);
     if (expMs && Date.now() < (expMs - 60_000)) {
@@ -169,7 +170,7 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
 
       // 401 => refresh inválido/expirado: limpa e tenta bootstrap (se tiver code)
       if (isTokenInvalidErr(r.status, body)) {
-        await clearTrayRefreshToken().catch(() => {});
+        await clearTrayRefreshToken(kvOptions).catch(() => {});
         console.log("[tray.auth] refresh invalid/expired; need reauth", { rid });
         // cai para bootstrap abaixo
       } else {
@@ -187,8 +188,8 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
       console.log("[tray.auth] refresh ok", { rid, token: masked, expAccess: expAccessAt, expRefresh: body?.date_expiration_refresh_token || null });
       lastError = null;
 
-      if (body.refresh_token) await setTrayRefreshToken(body.refresh_token).catch(() => {});
-      await setTrayAccessToken(body.access_token, expAccessAt).catch(() => {});
+      if (body.refresh_token) await setTrayRefreshToken(body.refresh_token, kvOptions).catch(() => {});
+      await setTrayAccessToken(body.access_token, expAccessAt, kvOptions).catch(() => {});
       cache = { token: body.access_token, expMs: expMs, expAccessAt, mode: "refresh" };
       return { token: body.access_token, authMode: "refresh", apiBase, expAccessAt, hasRefreshKV: true, lastError };
     }
@@ -242,8 +243,8 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
     });
     lastError = null;
 
-    if (body.refresh_token) await setTrayRefreshToken(body.refresh_token).catch(() => {});
-    await setTrayAccessToken(body.access_token, expAccessAt).catch(() => {});
+    if (body.refresh_token) await setTrayRefreshToken(body.refresh_token, kvOptions).catch(() => {});
+    await setTrayAccessToken(body.access_token, expAccessAt, kvOptions).catch(() => {});
     cache = { token: body.access_token, expMs: expMs, expAccessAt, mode: "bootstrap" };
     return { token: body.access_token, authMode: "bootstrap", apiBase, expAccessAt, hasRefreshKV: true, lastError };
   }
@@ -254,32 +255,42 @@ async function trayTokenWithMeta({ signal, rid = null, forceBootstrap = false, o
   throw e;
 }
 
+/**
+ * Esquece o access_token em memória e o bloqueio de code inválido. O próximo trayToken() volta
+ * a ler o kv_store (sandbox local, testes ou depois de reautorizar o app na loja).
+ */
+export function resetTrayAuthState() {
+  cache = { token: null, expMs: 0, expAccessAt: null, mode: null };
+  lastError = null;
+  codeInvalidUntilMs = 0;
+}
+
 // Mantém compatibilidade: retorna apenas o access_token
-export async function trayToken({ signal, rid } = {}) {
-  const out = await trayTokenWithMeta({ signal, rid });
+export async function trayToken({ signal, rid, pgClient } = {}) {
+  const out = await trayTokenWithMeta({ signal, rid, pgClient });
   return out.token;
 }
 
-export async function trayTokenHealth({ signal } = {}) {
+export async function trayTokenHealth({ signal, pgClient } = {}) {
   try {
-    const out = await trayTokenWithMeta({ signal });
+    const out = await trayTokenWithMeta({ signal, pgClient });
     return { ok: true, ...out };
   } catch (e) {
     return {
       ok: false,
       authMode: cache?.mode || null,
-      apiBase: await getTrayApiBase().catch(() => null),
+      apiBase: await getTrayApiBase({ pgClient }).catch(() => null),
       expAccessAt: cache?.expAccessAt || null,
-      hasRefreshKV: (await getTrayRefreshToken().catch(() => ({ source: "none" }))).source === "kv",
+      hasRefreshKV: (await getTrayRefreshToken({ pgClient }).catch(() => ({ source: "none" }))).source === "kv",
       lastError: e?.code || e?.message || "error",
     };
   }
 }
 
-export async function trayBootstrap({ code, api_address, signal } = {}) {
+export async function trayBootstrap({ code, api_address, signal, pgClient } = {}) {
   const rid = Math.random().toString(36).slice(2, 8);
-  const apiBase = api_address ? await setTrayApiBase(api_address) : await getTrayApiBase();
-  return await trayTokenWithMeta({ signal, rid, forceBootstrap: true, overrideCode: code, overrideApiBase: apiBase });
+  const apiBase = api_address ? await setTrayApiBase(api_address, { pgClient }) : await getTrayApiBase({ pgClient });
+  return await trayTokenWithMeta({ signal, rid, forceBootstrap: true, overrideCode: code, overrideApiBase: apiBase, pgClient });
 }
 
 function extractCouponsList(body) {
@@ -318,6 +329,8 @@ function buildCouponFormPayload({
   valueBRL,
   valueStartBRL,
   type = "$",
+  usageCounterLimit = 1,
+  usageCounterLimitCustomer = 1,
 }) {
   const c = String(code || "").trim();
   const desc = String(description || "").trim();
@@ -342,8 +355,8 @@ function buildCouponFormPayload({
   p.append("DiscountCoupon[value_start]", vs.toFixed(2));
   p.append("DiscountCoupon[value_end]", "");
   p.append("DiscountCoupon[usage_sum_limit]", "");
-  p.append("DiscountCoupon[usage_counter_limit]", "1");
-  p.append("DiscountCoupon[usage_counter_limit_customer]", "1");
+  p.append("DiscountCoupon[usage_counter_limit]", String(usageCounterLimit));
+  p.append("DiscountCoupon[usage_counter_limit_customer]", String(usageCounterLimitCustomer));
   p.append("DiscountCoupon[cumulative_discount]", "1");
 
   const bodyStr = p.toString();
@@ -390,14 +403,14 @@ function getPagingInfo(body) {
   return { total: safeTotal, limit: safeLimit, lastPage };
 }
 
-export async function trayFindCouponByCode(code, { maxPages = 5, signal } = {}) {
-  const token = await trayToken({ signal });
+export async function trayFindCouponByCode(code, { maxPages = 5, signal, pgClient } = {}) {
+  const token = await trayToken({ signal, pgClient });
   const target = String(code || "").trim();
   if (!target) return { found: false, coupon: null };
 
   // Tentativa rápida com filtro (se a API suportar):
   try {
-    const apiBase = await getTrayApiBase();
+    const apiBase = await getTrayApiBase({ pgClient });
     const url = `${apiBase}/discount_coupons/?access_token=${encodeURIComponent(token)}&limit=50&code=${encodeURIComponent(target)}`;
     const r = await fetchWithRetry(url, { method: "GET", signal }, { label: "tray.coupon.find" });
     const parsed = await readBodySafe(r);
@@ -413,7 +426,7 @@ export async function trayFindCouponByCode(code, { maxPages = 5, signal } = {})
 
   // A Tray costuma ordenar por id ASC -> cupons novos ficam no final.
   // Então buscamos nas ÚLTIMAS páginas (até 3 páginas), mas antes pegamos paging via page=1.
-  const apiBase = await getTrayApiBase();
+  const apiBase = await getTrayApiBase({ pgClient });
   const firstUrl = `${apiBase}/discount_coupons/?access_token=${encodeURIComponent(token)}&limit=50&page=1`;
   const r0 = await fetchWithRetry(firstUrl, { method: "GET", signal }, { label: "tray.coupon.find" });
   const parsed0 = await readBodySafe(r0);
@@ -466,7 +479,7 @@ export async function trayFindCouponByCode(code, { maxPages = 5, signal } = {})
 }
 
 async function createCouponWithType(params, typeValue) {
-  const token = await trayToken({ signal: params?.signal });
+  const token = await trayToken({ signal: params?.signal, pgClient: params?.pgClient });
   const masked = (token || "").slice(0, 8) + "…";
   dbg("[tray.create] tentando criar cupom", {
     code: params.code,
@@ -477,7 +490,7 @@ async function createCouponWithType(params, typeValue) {
     token: masked,
   });
 
-  const apiBase = await getTrayApiBase();
+  const apiBase = await getTrayApiBase({ pgClient: params?.pgClient });
   const url = `${apiBase}/discount_coupons/?access_token=${encodeURIComponent(token)}`;
 
   dbg("[tray.coupon.create]", {
@@ -495,12 +508,15 @@ async function createCouponWithType(params, typeValue) {
     valueStartBRL = 30000;
   }
 
+  const usageCounterLimit = params.usageCounterLimit ?? 1;
+  const usageCounterLimitCustomer = params.usageCounterLimitCustomer ?? 1;
+
   console.log("[tray.coupon.create.req.meta]", {
     code: String(params.code),
     giftValueBRL: Number.isFinite(giftValueBRL) ? Number(giftValueBRL.toFixed(2)) : null,
     value_start: Number(valueStartBRL).toFixed(2),
-    usage_counter_limit: 1,
-    usage_counter_limit_customer: 1,
+    usage_counter_limit: usageCounterLimit,
+    usage_counter_limit_customer: usageCounterLimitCustomer,
     cumulative_discount: 1,
     type: typeValue,
   });
@@ -513,6 +529,8 @@ async function createCouponWithType(params, typeValue) {
     valueBRL: giftValueBRL,
     valueStartBRL,
     type: typeValue,
+    usageCounterLimit,
+    usageCounterLimitCustomer,
   });
 
   console.log("[tray.coupon.create.req]", { url: maskAccessTokenInUrl(url, token), body: bodyStr });
@@ -549,8 +567,8 @@ async function createCouponWithType(params, typeValue) {
         type: typeValue,
         value_start: Number(valueStartBRL).toFixed(2),
         value_end: "",
-        usage_counter_limit: 1,
-        usage_counter_limit_customer: 1,
+        usage_counter_limit: usageCounterLimit,
+        usage_counter_limit_customer: usageCounterLimitCustomer,
         cumulative_discount: 1,
       },
     };
@@ -585,9 +603,23 @@ async function createCouponWithType(params, typeValue) {
   return { ok, status: urlEncoded.r.status, body };
 }
 
-export async function trayCreateCoupon({ code, valueBRL, valueStartBRL, startsAt, endsAt, description, signal } = {}) {
+export async function trayCreateCoupon({
+  code,
+  valueBRL,
+  valueStartBRL,
+  startsAt,
+  endsAt,
+  description,
+  usageCounterLimit,
+  usageCounterLimitCustomer,
+  signal,
+  pgClient,
+} = {}) {
   // Type deve ser somente "$" ou "%". Mantemos "$" (desconto em reais) e removemos fallback "3".
-  const t = await createCouponWithType({ code, valueBRL, valueStartBRL, startsAt, endsAt, description, signal }, "$");
+  const t = await createCouponWithType(
+    { code, valueBRL, valueStartBRL, startsAt, endsAt, description, usageCounterLimit, usageCounterLimitCustomer, signal, pgClient },
+    "$"
+  );
   if (t.ok) {
     const id = t.body?.id ?? t.body?.DiscountCoupon?.id ?? t.body?.discount_coupon?.id ?? null;
     dbg("[tray.create] ok com type '$' id:", id);
@@ -601,10 +633,10 @@ export async function trayCreateCoupon({ code, valueBRL, valueStartBRL, startsAt
   throw e;
 }
 
-export async function trayGetCouponById(id, { signal } = {}) {
+export async function trayGetCouponById(id, { signal, pgClient } = {}) {
   if (!id) throw new Error("tray_coupon_id_missing");
-  const token = await trayToken({ signal });
-  const apiBase = await getTrayApiBase();
+  const token = await trayToken({ signal, pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
   const url = `${apiBase}/discount_coupons/${encodeURIComponent(id)}/?access_token=${encodeURIComponent(token)}`;
   const urlMasked = String(url).replace(/(access_token=)[^&]+/i, (_m, p1) => `${p1}${String(token).slice(0, 8)}…`);
   console.log("[tray.coupon.confirm.req]", { url: urlMasked, id: String(id) });
@@ -644,10 +676,20 @@ export async function trayGetCouponById(id, { signal } = {}) {
   };
 }
 
-export async function trayUpdateCouponById(id, { startsAt, endsAt, valueBRL, minPurchaseBRL = null, description = null, signal } = {}) {
+export async function trayUpdateCouponById(id, {
+  startsAt,
+  endsAt,
+  valueBRL,
+  minPurchaseBRL = null,
+  description = null,
+  usageCounterLimit = 1,
+  usageCounterLimitCustomer = 1,
+  signal,
+  pgClient,
+} = {}) {
   if (!id) throw new Error("tray_coupon_id_missing");
-  const token = await trayToken({ signal });
-  const apiBase = await getTrayApiBase();
+  const token = await trayToken({ signal, pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
   const url = `${apiBase}/discount_coupons/${encodeURIComponent(id)}/?access_token=${encodeURIComponent(token)}`;
   const urlMasked = String(url).replace(/(access_token=)[^&]+/i, (_m, p1) => `${p1}${String(token).slice(0, 8)}…`);
 
@@ -665,6 +707,8 @@ export async function trayUpdateCouponById(id, { startsAt, endsAt, valueBRL, min
     valueBRL: Number(valueBRL || 0),
     valueStartBRL,
     type: "$",
+    usageCounterLimit,
+    usageCounterLimitCustomer,
   });
   console.log("[tray.coupon.update]", {
     id: String(id),
@@ -705,8 +749,8 @@ export async function trayUpdateCouponById(id, { startsAt, endsAt, valueBRL, min
         type: "$",
         description: String(description || ""),
         value_start: Number(valueStartBRL).toFixed(2),
-        usage_counter_limit: 1,
-        usage_counter_limit_customer: 1,
+        usage_counter_limit: usageCounterLimit,
+        usage_counter_limit_customer: usageCounterLimitCustomer,
         cumulative_discount: 1,
       },
     };
@@ -734,10 +778,77 @@ export async function trayUpdateCouponById(id, { startsAt, endsAt, valueBRL, min
   if (!idFail) console.log("[tray.coupon.update.resp.body]", urlEncoded.body && typeof urlEncoded.body === "object" ? urlEncoded.body : { body: urlEncoded.body });
   return { ok: false, status: urlEncoded.r.status, body: urlEncoded.body, id: idFail || null };
 }
-export async function trayDeleteCoupon(id) {
+function extractOrdersList(body) {
+  if (!body || typeof body !== "object") return [];
+  if (Array.isArray(body.Orders)) return body.Orders;
+  if (Array.isArray(body.orders)) return body.orders;
+  if (body.Order && typeof body.Order === "object") return [body.Order];
+  return [];
+}
+
+function normalizeOrder(o) {
+  const obj = o?.Order && typeof o.Order === "object" ? o.Order : o;
+  const coupon = obj?.DiscountCoupon && typeof obj.DiscountCoupon === "object" ? obj.DiscountCoupon : null;
+  const normNum = (v) => (v == null || v === "" ? null : String(v));
+  return {
+    id: obj?.id != null ? String(obj.id) : null,
+    status: obj?.status != null ? String(obj.status) : null,
+    date: obj?.date ?? null,
+    payment_date: obj?.payment_date ?? null,
+    modified: obj?.modified ?? null,
+    customer_id: obj?.customer_id != null ? String(obj.customer_id) : null,
+    total: normNum(obj?.total),
+    discount: normNum(obj?.discount),
+    // A Tray devolve o código do cupom em discount_coupon (texto) ou no objeto DiscountCoupon.
+    coupon_code: String((typeof obj?.discount_coupon === "string" ? obj.discount_coupon : null) ?? coupon?.code ?? obj?.coupon_code ?? "").trim() || null,
+    coupon_value: normNum(obj?.discount_coupon_value ?? coupon?.value ?? null),
+    raw: obj || o,
+  };
+}
+
+/**
+ * Lista pedidos (mais recentes primeiro), opcionalmente só os alterados desde `modifiedSince` (YYYY-MM-DD).
+ */
+export async function trayListOrders({ modifiedSince = null, page = 1, limit = 50, signal, pgClient } = {}) {
+  const token = await trayToken({ signal, pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
+  const params = new URLSearchParams({ access_token: token, limit: String(limit), page: String(page), sort: "id_desc" });
+  if (modifiedSince) params.set("modified", String(modifiedSince));
+  const url = `${apiBase}/orders/?${params.toString()}`;
+  const r = await fetchWithRetry(url, { method: "GET", signal }, { label: "tray.orders.list" });
+  const parsed = await readBodySafe(r);
+  const body = parsed?.body || null;
+  if (!r.ok) {
+    err("[tray.orders.list] fail", { page, status: r.status, body });
+    throw Object.assign(new Error("tray_orders_list_failed"), { status: r.status, body });
+  }
+  const orders = extractOrdersList(body).map(normalizeOrder);
+  const paging = getPagingInfo(body);
+  console.log("[tray.orders.list]", { page, count: orders.length, total: paging.total, lastPage: paging.lastPage });
+  return { orders, paging };
+}
+
+export async function trayGetOrder(id, { signal, pgClient } = {}) {
+  if (!id) throw new Error("tray_order_id_missing");
+  const token = await trayToken({ signal, pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
+  const url = `${apiBase}/orders/${encodeURIComponent(id)}/?access_token=${encodeURIComponent(token)}`;
+  const r = await fetchWithRetry(url, { method: "GET", signal }, { label: "tray.orders.get" });
+  const parsed = await readBodySafe(r);
+  const body = parsed?.body || null;
+  if (r.status === 404) return { ok: false, status: 404, order: null };
+  if (!r.ok) {
+    err("[tray.orders.get] fail", { id: String(id), status: r.status, body });
+    throw Object.assign(new Error("tray_order_get_failed"), { status: r.status, body });
+  }
+  const order = extractOrdersList(body).map(normalizeOrder)[0] || null;
+  return { ok: Boolean(order?.id), status: r.status, order };
+}
+
+export async function trayDeleteCoupon(id, { pgClient } = {}) {
   if (!id) return;
-  const token = await trayToken();
-  const apiBase = await getTrayApiBase();
+  const token = await trayToken({ pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
   dbg("[tray.delete] deletando cupom id:", id, "token:", (token || "").slice(0, 8) + "…");
   const r = await fetch(
     `${apiBase}/discount_coupons/${encodeURIComponent(id)}?access_token=${encodeURIComponent(token)}`,
@@ -755,9 +866,9 @@ export async function trayDeleteCoupon(id) {
  * Healthcheck simples: autentica e tenta listar 1 cupom (para validar access_token).
  * Não altera dados.
  */
-export async function trayHealthCheck() {
-  const token = await trayToken();
-  const apiBase = await getTrayApiBase();
+export async function trayHealthCheck({ pgClient } = {}) {
+  const token = await trayToken({ pgClient });
+  const apiBase = await getTrayApiBase({ pgClient });
   const url = `${apiBase}/discount_coupons/?access_token=${encodeURIComponent(token)}`;
   const r = await fetch(url, { method: "GET" });
   const parsed = await readBodySafe(r);
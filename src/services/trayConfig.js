@@ -1,19 +1,22 @@
 // src/services/trayConfig.js
 // Centraliza config + KV helpers (compatível com kv_store antigo e novo).
 
-import { query } from "../db.js";
+import { runQuery } from "../db.js";
 
 const DEFAULT_API_BASE = "https://www.newstorerj.com.br/web_api";
 
 let kvSchemaCache = null; // { kCol: "k"|"key", vCol: "v"|"value" }
 
+// Loopback (sandbox local, src/scripts/tray_sandbox.js) é o único caso em que http é aceito.
+const LOOPBACK_BASE_RE = /^http:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i;
+
 function normalizeApiBase(raw) {
   let s = String(raw || "").trim();
   if (!s) return DEFAULT_API_BASE;
   s = s.replace(/\/+$/, "");
   if (!/^https?:\/\//i.test(s)) s = `https://${s}`;
   // Evita http em produção por acidente (a Tray usa https)
-  if (/^http:\/\//i.test(s)) s = s.replace(/^http:\/\//i, "https://");
+  if (/^http:\/\//i.test(s) && !LOOPBACK_BASE_RE.test(s)) s = s.replace(/^http:\/\//i, "https://");
   return s;
 }
 
@@ -35,12 +38,13 @@ export function validateTrayConfigAtStartup() {
   }
 }
 
-async function detectKvSchema() {
+async function detectKvSchema(options = {}) {
   if (kvSchemaCache) return kvSchemaCache;
 
   // Preferência: detectar via information_schema
   try {
-    const { rows } = await query(
+    const { rows } = await runQuery(
+      options.pgClient,
       `select column_name
          from information_schema.columns
         where table_schema='public'
@@ -58,7 +62,7 @@ async function detectKvSchema() {
 
   // Fallback: tenta schema novo (k/v), senão antigo (key/value)
   try {
-    await query(`select k, v from kv_store limit 1`);
+    await runQuery(options.pgClient, `select k, v from kv_store limit 1`);
     kvSchemaCache = { kCol: "k", vCol: "v" };
     return kvSchemaCache;
   } catch {}
@@ -67,42 +71,29 @@ async function detectKvSchema() {
   return kvSchemaCache;
 }
 
-async function ensureKvStoreExistsIfMissing() {
-  // Best-effort: cria schema novo se não existir. Se existir com schema antigo, isso não altera.
-  try {
-    await query(`
-      create table if not exists kv_store (
-        k text primary key,
-        v text,
-        updated_at timestamptz default now()
-      )
-    `);
-  } catch {}
-}
-
-export async function kvGet(key) {
+export async function kvGet(key, options = {}) {
   const k = String(key);
-  await ensureKvStoreExistsIfMissing();
-  const { kCol, vCol } = await detectKvSchema();
-  const r = await query(`select ${vCol} as v from kv_store where ${kCol}=$1 limit 1`, [k]);
+  const { kCol, vCol } = await detectKvSchema(options);
+  const r = await runQuery(options.pgClient, `select ${vCol} as v from kv_store where ${kCol}=$1 limit 1`, [k]);
   return r.rows?.[0]?.v ?? null;
 }
 
-export async function kvSet(key, value) {
+export async function kvSet(key, value, options = {}) {
   const k = String(key);
   const v = value == null ? null : String(value);
-  await ensureKvStoreExistsIfMissing();
-  const { kCol, vCol } = await detectKvSchema();
+  const { kCol, vCol } = await detectKvSchema(options);
 
   // Upsert compatível com ambos os schemas (assumimos PK em k/key)
   if (kCol === "k") {
-    await query(
+    await runQuery(
+      options.pgClient,
       `insert into kv_store (k, v) values ($1,$2)
        on conflict (k) do update set v=excluded.v, updated_at=now()`,
       [k, v]
     );
   } else {
-    await query(
+    await runQuery(
+      options.pgClient,
       `insert into kv_store (key, value) values ($1,$2)
        on conflict (key) do update set value=excluded.value, updated_at=now()`,
       [k, v]
@@ -110,52 +101,50 @@ export async function kvSet(key, value) {
   }
 }
 
-export async function kvDel(key) {
+export async function kvDel(key, options = {}) {
   const k = String(key);
-  await ensureKvStoreExistsIfMissing();
-  const { kCol } = await detectKvSchema();
-  await query(`delete from kv_store where ${kCol}=$1`, [k]);
+  const { kCol } = await detectKvSchema(options);
+  await runQuery(options.pgClient, `delete from kv_store where ${kCol}=$1`, [k]);
 }
 
-export async function getTrayApiBase() {
-  const fromKv = await kvGet("tray_api_base").catch(() => null);
+export async function getTrayApiBase(options = {}) {
+  const fromKv = await kvGet("tray_api_base", options).catch(() => null);
   if (fromKv) return normalizeApiBase(fromKv);
   return getTrayEnvConfig().apiBaseEnv;
 }
 
-export async function setTrayApiBase(apiBase) {
+export async function setTrayApiBase(apiBase, options = {}) {
   const norm = normalizeApiBase(apiBase);
-  await kvSet("tray_api_base", norm);
+  await kvSet("tray_api_base", norm, options);
   return norm;
 }
 
-export async function getTrayRefreshToken() {
+export async function getTrayRefreshToken(options = {}) {
   // Ordem exigida: KV primeiro, depois ENV (fallback)
-  const kv = await kvGet("tray_refresh_token").catch(() => null);
+  const kv = await kvGet("tray_refresh_token", options).catch(() => null);
   if (kv) return { token: String(kv), source: "kv" };
   const env = getTrayEnvConfig().refreshEnv;
   if (env) return { token: env, source: "env" };
   return { token: null, source: "none" };
 }
 
-export async function setTrayRefreshToken(rt) {
+export async function setTrayRefreshToken(rt, options = {}) {
   if (!rt) return;
-  await kvSet("tray_refresh_token", rt);
+  await kvSet("tray_refresh_token", rt, options);
 }
 
-export async function clearTrayRefreshToken() {
-  await kvDel("tray_refresh_token").catch(() => {});
+export async function clearTrayRefreshToken(options = {}) {
+  await kvDel("tray_refresh_token", options).catch(() => {});
 }
 
-export async function setTrayAccessToken(at, expAccessAt) {
-  if (at) await kvSet("tray_access_token", at);
-  if (expAccessAt) await kvSet("tray_access_exp_at", expAccessAt);
+export async function setTrayAccessToken(at, expAccessAt, options = {}) {
+  if (at) await kvSet("tray_access_token", at, options);
+  if (expAccessAt) await kvSet("tray_access_exp_at", expAccessAt, options);
 }
 
-export async function getTrayCachedAccessToken() {
-  const at = await kvGet("tray_access_token").catch(() => null);
-  const exp = await kvGet("tray_access_exp_at").catch(() => null);
+export async function getTrayCachedAccessToken(options = {}) {
+  const at = await kvGet("tray_access_token", options).catch(() => null);
+  const exp = await kvGet("tray_access_exp_at", options).catch(() => null);
   return { token: at ? String(at) : null, expAccessAt: exp ? String(exp) : null };
 }
 
-
@@ -5,18 +5,12 @@
 // - Sempre logar para auditoria (Render)
 // - Idempotente por code (find antes de create)
 
-import { query } from "../db.js";
-import { trayToken, trayFindCouponByCode, trayCreateCoupon, trayGetCouponById, trayUpdateCouponById } from "./tray.js";
+import { runQuery } from "../db.js";
+import { trayToken, trayFindCouponByCode, trayCreateCoupon, trayDeleteCoupon, trayGetCouponById, trayUpdateCouponById } from "./tray.js";
+import { computeCouponTerms, getActiveCouponRules } from "./trayCouponRules.js";
 
 const VALID_DAYS = Number(process.env.TRAY_COUPON_VALID_DAYS || 180);
 
-function fmtDate(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-}
-
 // Gera um cupom determinístico por usuário (mesma lógica usada no login /auth e /api/coupons/sync)
 function makeUserCouponCode(userId) {
   const id = Number(userId || 0);
@@ -26,11 +20,12 @@ function makeUserCouponCode(userId) {
   return `${base}-${tail}`;
 }
 
-async function loadCouponSystemRow(userId) {
+async function loadCouponSystemRow(userId, options = {}) {
   const uid = Number(userId);
   // Fonte financeira primária: users.coupon_value_cents.
   // coupon_tray_system é apenas estado de sincronização externa (code/id), nunca a fonte do saldo.
-  const userRowResult = await query(
+  const userRowResult = await runQuery(
+    options.pgClient,
     `SELECT coupon_code,
             tray_coupon_id,
             COALESCE(coupon_value_cents,0)::int AS coupon_value_cents
@@ -44,7 +39,8 @@ async function loadCouponSystemRow(userId) {
 
   // Se coupon_tray_system existir, só complementa code/id ausentes.
   try {
-    const r = await query(
+    const r = await runQuery(
+      options.pgClient,
       `SELECT coupon_code,
               tray_coupon_id,
               COALESCE(coupon_value_cents,0)::int AS coupon_value_cents
@@ -70,7 +66,7 @@ async function loadCouponSystemRow(userId) {
   return { source: "users", row: userRow };
 }
 
-async function persistCouponSystemFields({ userId, code = null, trayCouponId = null }) {
+async function persistCouponSystemFields({ userId, code = null, trayCouponId = null }, options = {}) {
   const uid = Number(userId);
   const c = code != null ? String(code) : null;
   const t = trayCouponId != null ? String(trayCouponId) : null;
@@ -78,7 +74,8 @@ async function persistCouponSystemFields({ userId, code = null, trayCouponId = n
   // Atualiza primeiro coupon_tray_system (se existir), senão cai pro users.
   try {
     if (c && t) {
-      await query(
+      await runQuery(
+        options.pgClient,
         `UPDATE public.coupon_tray_system
             SET coupon_code = COALESCE(coupon_code, $2),
                 tray_coupon_id = $3,
@@ -89,7 +86,8 @@ async function persistCouponSystemFields({ userId, code = null, trayCouponId = n
       return;
     }
     if (t) {
-      await query(
+      await runQuery(
+        options.pgClient,
         `UPDATE public.coupon_tray_system
             SET tray_coupon_id = $2,
                 coupon_updated_at = NOW()
@@ -99,7 +97,8 @@ async function persistCouponSystemFields({ userId, code = null, trayCouponId = n
       return;
     }
     if (c) {
-      await query(
+      await runQuery(
+        options.pgClient,
         `UPDATE public.coupon_tray_system
             SET coupon_code = COALESCE(coupon_code, $2),
                 coupon_updated_at = COALESCE(coupon_updated_at, NOW())
@@ -113,41 +112,23 @@ async function persistCouponSystemFields({ userId, code = null, trayCouponId = n
   // users fallback
   try {
     if (c && t) {
-      await query(`UPDATE users SET coupon_code=COALESCE(coupon_code,$2), tray_coupon_id=$3, coupon_updated_at=NOW() WHERE id=$1`, [uid, c, t]);
+      await runQuery(options.pgClient, `UPDATE users SET coupon_code=COALESCE(coupon_code,$2), tray_coupon_id=$3, coupon_updated_at=NOW() WHERE id=$1`, [uid, c, t]);
       return;
     }
     if (t) {
-      await query(`UPDATE users SET tray_coupon_id=$2, coupon_updated_at=NOW() WHERE id=$1`, [uid, t]);
+      await runQuery(options.pgClient, `UPDATE users SET tray_coupon_id=$2, coupon_updated_at=NOW() WHERE id=$1`, [uid, t]);
       return;
     }
     if (c) {
-      await query(`UPDATE users SET coupon_code=COALESCE(coupon_code,$2), coupon_updated_at=COALESCE(coupon_updated_at,NOW()) WHERE id=$1`, [uid, c]);
+      await runQuery(options.pgClient, `UPDATE users SET coupon_code=COALESCE(coupon_code,$2), coupon_updated_at=COALESCE(coupon_updated_at,NOW()) WHERE id=$1`, [uid, c]);
       return;
     }
   } catch {}
 }
 
-async function ensureCouponTraySyncTable() {
-  try {
-    await query(`
-      create table if not exists coupon_tray_sync (
-        user_id int4 primary key,
-        code text not null,
-        tray_coupon_id text null,
-        tray_sync_status text not null default 'PENDING',
-        tray_last_error text null,
-        tray_synced_at timestamptz null,
-        updated_at timestamptz default now(),
-        created_at timestamptz default now()
-      )
-    `);
-    await query(`create index if not exists coupon_tray_sync_status_idx on coupon_tray_sync(tray_sync_status, updated_at desc)`);
-  } catch {}
-}
-
-async function upsertCouponTraySync({ userId, code, trayCouponId = null, status, lastError = null, syncedAt = null }) {
-  await ensureCouponTraySyncTable();
-  await query(
+async function upsertCouponTraySync({ userId, code, trayCouponId = null, status, lastError = null, syncedAt = null }, options = {}) {
+  await runQuery(
+    options.pgClient,
     `insert into coupon_tray_sync (user_id, code, tray_coupon_id, tray_sync_status, tray_last_error, tray_synced_at, updated_at)
      values ($1,$2,$3,$4,$5,$6,now())
      on conflict (user_id) do update
@@ -180,21 +161,9 @@ function normalizeErrForLog(e) {
   };
 }
 
-function addMonthsClamped(date, months) {
-  const d = new Date(date.getTime());
-  const day = d.getUTCDate();
-  // move to first day to avoid overflow
-  d.setUTCDate(1);
-  d.setUTCMonth(d.getUTCMonth() + Number(months || 0));
-  const year = d.getUTCFullYear();
-  const month = d.getUTCMonth();
-  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
-  d.setUTCDate(Math.min(day, lastDay));
-  return d;
-}
-
-async function hasColumn(table, column, schema = "public") {
-  const { rows } = await query(
+async function hasColumn(table, column, schema = "public", options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
     `SELECT 1
        FROM information_schema.columns
       WHERE table_schema=$1 AND table_name=$2 AND column_name=$3
@@ -204,16 +173,17 @@ async function hasColumn(table, column, schema = "public") {
   return !!rows.length;
 }
 
-async function getUserLastApprovedPurchaseDate(userId) {
+async function getUserLastApprovedPurchaseDate(userId, options = {}) {
   // status real do sistema (ampliado)
   const statuses = ["approved", "paid", "pago", "completed"];
   const parts = [];
-  if (await hasColumn("payments", "paid_at")) parts.push("COALESCE(paid_at, to_timestamp(0))");
-  if (await hasColumn("payments", "approved_at")) parts.push("COALESCE(approved_at, to_timestamp(0))");
+  if (await hasColumn("payments", "paid_at", "public", options)) parts.push("COALESCE(paid_at, to_timestamp(0))");
+  if (await hasColumn("payments", "approved_at", "public", options)) parts.push("COALESCE(approved_at, to_timestamp(0))");
   parts.push("COALESCE(created_at, to_timestamp(0))");
   const tExpr = parts.length === 1 ? parts[0] : `GREATEST(${Array.from(new Set(parts)).join(", ")})`;
 
-  const r = await query(
+  const r = await runQuery(
+    options.pgClient,
     `select ${tExpr} as t
        from payments
       where user_id=$1
@@ -226,12 +196,101 @@ async function getUserLastApprovedPurchaseDate(userId) {
   return t ? new Date(t) : null;
 }
 
+/**
+ * Simulação (dry-run) do cupom que o ensure geraria para o usuário com `rules`.
+ * Não chama a Tray nem grava nada (nem o coupon_code).
+ */
+export async function previewTrayCouponForUser(userId, { rules } = {}, options = {}) {
+  const uid = Number(userId);
+  const loaded = await loadCouponSystemRow(uid, options);
+  if (!loaded.row) return null;
+
+  const dbCode = loaded.row.coupon_code != null ? String(loaded.row.coupon_code).trim() : "";
+  const valueCents = Number(loaded.row.coupon_value_cents || 0);
+  const lastPurchaseAt = await getUserLastApprovedPurchaseDate(uid, options);
+  const terms = computeCouponTerms({ valueCents, lastPurchaseAt, rules });
+
+  return {
+    user_id: uid,
+    code: dbCode || makeUserCouponCode(uid),
+    coupon_value_cents: valueCents,
+    last_purchase_at: lastPurchaseAt ? lastPurchaseAt.toISOString() : null,
+    action: terms.action,
+    coupon: terms.action === "ok"
+      ? {
+          value: terms.giftValueBRL.toFixed(2),
+          value_start: Number(terms.minPurchaseBRL).toFixed(2),
+          value_start_in_table: terms.inTable,
+          starts_at: terms.startsAt,
+          ends_at: terms.endsAt,
+          usage_counter_limit: terms.usageCounterLimit,
+          usage_counter_limit_customer: terms.usageCounterLimitCustomer,
+        }
+      : null,
+  };
+}
+
+/** Todo código NSU do usuário começa com o código determinístico (o base e os rotacionados). */
+export function couponCodeBelongsToUser(code, userId) {
+  const base = makeUserCouponCode(userId);
+  const c = String(code || "").trim().toUpperCase();
+  return c === base || c.startsWith(`${base}-`);
+}
+
+function makeRotatedCouponCode(userId) {
+  const salt = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  let tail = "";
+  for (let i = 0; i < 4; i++) tail += salt[Math.floor(Math.random() * salt.length)];
+  return `${makeUserCouponCode(userId)}-${tail}`;
+}
+
+/**
+ * Cupom usado na loja (usage_counter_limit esgotado): troca o código do usuário, apaga o cupom usado
+ * na Tray e gera o novo com o saldo restante (abaixo do mínimo, o usuário fica sem cupom).
+ * Não faz nada se o código atual já não é `usedCode` (rotação anterior). Best-effort.
+ */
+export async function rotateTrayCouponForUser(userId, { usedCode, usedTrayCouponId = null } = {}, options = {}) {
+  const uid = Number(userId);
+  const loaded = await loadCouponSystemRow(uid, options).catch(() => ({ row: null }));
+  const current = loaded.row?.coupon_code != null ? String(loaded.row.coupon_code).trim() : "";
+  if (!loaded.row || current.toUpperCase() !== String(usedCode || "").trim().toUpperCase()) {
+    console.log(`[tray.coupon.rotate] user=${uid} action=skip reason=code_changed used=${usedCode || ""} current=${current || ""}`);
+    return { ok: true, rotated: false, code: current || null };
+  }
+
+  const code = makeRotatedCouponCode(uid);
+  const trayCouponId = usedTrayCouponId || loaded.row.tray_coupon_id || null;
+  await runQuery(
+    options.pgClient,
+    `UPDATE users
+        SET coupon_code = $2,
+            tray_coupon_id = NULL,
+            coupon_updated_at = NOW()
+      WHERE id = $1`,
+    [uid, code]
+  );
+  await runQuery(
+    options.pgClient,
+    `UPDATE public.coupon_tray_system
+        SET coupon_code = $2,
+            tray_coupon_id = NULL,
+            coupon_updated_at = NOW()
+      WHERE id = $1`,
+    [uid, code]
+  ).catch(() => {});
+  console.log(`[tray.coupon.rotate] user=${uid} action=rotated used=${usedCode} code=${code} tray_coupon_id=${trayCouponId || ""}`);
+
+  if (trayCouponId) await trayDeleteCoupon(trayCouponId, { pgClient: options.pgClient }).catch(() => {});
+  const ensured = await ensureTrayCouponForUser(uid, {}, options);
+  return { ok: true, rotated: true, code, ensure: ensured };
+}
+
 /**
  * ensureTrayCouponForUser(userId)
  * - Sempre retorna rapidamente e nunca joga erro para o caller (best-effort)
  * - Usa timeout interno para chamadas Tray (AbortController)
  */
-export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {}) {
+export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {}, options = {}) {
   const uid = Number(userId);
   const rid = Math.random().toString(36).slice(2, 8);
 
@@ -243,7 +302,7 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
   let dbTrayCouponId = null;
   let dbSource = "unknown";
   try {
-    const loaded = await loadCouponSystemRow(uid);
+    const loaded = await loadCouponSystemRow(uid, options);
     dbSource = loaded.source;
     const row = loaded.row;
     if (!row) {
@@ -267,60 +326,50 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
       code = dbCode;
     } else {
       code = makeUserCouponCode(uid);
-      await persistCouponSystemFields({ userId: uid, code }).catch(() => {});
+      await persistCouponSystemFields({ userId: uid, code }, options).catch(() => {});
     }
   } catch (e) {
     console.log(`[tray.coupon.ensure] user_load_failed user=${uid} rid=${rid} msg=${e?.message || e}`);
     return { ok: false, status: "USER_LOAD_FAILED" };
   }
 
-  // REGRAS NOVAS: starts_at = última compra aprovada; ends_at = starts + 6 meses
-  const lastPurchaseAt = await getUserLastApprovedPurchaseDate(uid).catch(() => null);
+  // starts_at = última compra aprovada; validade, tabela de compra mínima e limites de uso
+  // vêm do conjunto de regras ativo (trayCouponRules.js).
+  const lastPurchaseAt = await getUserLastApprovedPurchaseDate(uid, options).catch(() => null);
   console.log(`[tray.coupon.ensure] lastPurchase user=${uid} rid=${rid} lastPurchaseAt=${lastPurchaseAt ? lastPurchaseAt.toISOString() : "null"}`);
   if (!lastPurchaseAt) {
     console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} action=no_purchase`);
     return { ok: true, status: "NO_PURCHASE", action: "no_purchase", code };
   }
 
-  const startsAt = fmtDate(lastPurchaseAt);
-  const endsAt = fmtDate(addMonthsClamped(lastPurchaseAt, 6));
-  const giftValueBRL = Number((valueCents / 100).toFixed(2));
-
-  function getMinPurchaseByGiftValue(v) {
-    if (!Number.isFinite(v)) return null;
-    if (v >= 50 && v <= 250) return 1500;
-    if (v >= 251 && v <= 600) return 3500;
-    if (v >= 601 && v <= 800) return 5500;
-    if (v >= 801 && v <= 1100) return 7500;
-    if (v >= 1101 && v <= 2100) return 15000;
-    if (v >= 2101 && v <= 3100) return 22500;
-    if (v >= 3101 && v <= 4200) return 30000;
-    return null;
-  }
+  const { rule_set: ruleSet, rules } = await getActiveCouponRules(options);
+  const terms = computeCouponTerms({ valueCents, lastPurchaseAt, rules });
+  const { startsAt, endsAt, giftValueBRL } = terms;
+  const rulesVersion = ruleSet?.version ?? "default";
 
-  // Regra obrigatória: GC < 50 => não criar/atualizar cupom (evita rejeições e cupom inválido)
-  if (Number.isFinite(giftValueBRL) && giftValueBRL < 50) {
-    console.warn(`[tray.coupon.rules] WARN giftValueBRL=${giftValueBRL.toFixed(2)} abaixo do mínimo (50.00) -> skip_below_min`);
+  // Regra obrigatória: GC abaixo do mínimo => não criar/atualizar cupom (evita rejeições e cupom inválido)
+  if (terms.action === "skip_below_min") {
+    console.warn(`[tray.coupon.rules] WARN giftValueBRL=${giftValueBRL.toFixed(2)} abaixo do mínimo (${Number(terms.minGiftBRL).toFixed(2)}) -> skip_below_min rules=${rulesVersion}`);
     console.log(
-      `[tray.coupon.ensure] computed user=${uid} rid=${rid} code=${code} value=${valueCents} giftValueBRL=${giftValueBRL.toFixed(2)} value_start=SKIP lastPurchaseAt=${lastPurchaseAt.toISOString()} starts=${startsAt} ends=${endsAt} usage_counter_limit=1 usage_counter_limit_customer=1`
+      `[tray.coupon.ensure] computed user=${uid} rid=${rid} code=${code} value=${valueCents} giftValueBRL=${giftValueBRL.toFixed(2)} value_start=SKIP lastPurchaseAt=${lastPurchaseAt.toISOString()} starts=${startsAt} ends=${endsAt} rules=${rulesVersion}`
     );
-    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "skip_below_min", trayCouponId: null, syncedAt: null }).catch(() => {});
+    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "skip_below_min", trayCouponId: null, syncedAt: null }, options).catch(() => {});
     return { ok: true, status: "SKIPPED", action: "skip_below_min", code };
   }
 
-  let minPurchase = getMinPurchaseByGiftValue(giftValueBRL);
-  if (minPurchase == null) {
-    console.warn(`[tray.coupon.rules] WARN giftValueBRL=${giftValueBRL.toFixed(2)} fora da tabela -> value_start=30000.00`);
-    minPurchase = 30000;
+  const minPurchase = terms.minPurchaseBRL;
+  const { usageCounterLimit, usageCounterLimitCustomer } = terms;
+  if (!terms.inTable) {
+    console.warn(`[tray.coupon.rules] WARN giftValueBRL=${giftValueBRL.toFixed(2)} fora da tabela -> value_start=${Number(minPurchase).toFixed(2)} rules=${rulesVersion}`);
   }
 
   console.log(
-    `[tray.coupon.ensure] computed user=${uid} rid=${rid} code=${code} value=${valueCents} giftValueBRL=${giftValueBRL.toFixed(2)} value_start=${Number(minPurchase).toFixed(2)} lastPurchaseAt=${lastPurchaseAt.toISOString()} starts=${startsAt} ends=${endsAt} usage_counter_limit=1 usage_counter_limit_customer=1`
+    `[tray.coupon.ensure] computed user=${uid} rid=${rid} code=${code} value=${valueCents} giftValueBRL=${giftValueBRL.toFixed(2)} value_start=${Number(minPurchase).toFixed(2)} lastPurchaseAt=${lastPurchaseAt.toISOString()} starts=${startsAt} ends=${endsAt} usage_counter_limit=${usageCounterLimit} usage_counter_limit_customer=${usageCounterLimitCustomer} rules=${rulesVersion}`
   );
 
   // Status tracking (best-effort)
   try {
-    await upsertCouponTraySync({ userId: uid, code, status: "PENDING", lastError: null, trayCouponId: dbTrayCouponId, syncedAt: null });
+    await upsertCouponTraySync({ userId: uid, code, status: "PENDING", lastError: null, trayCouponId: dbTrayCouponId, syncedAt: null }, options);
   } catch {}
 
   const shortTimeoutMs = Math.max(1000, Number(timeoutMs || 5000)); // token/find
@@ -344,7 +393,7 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
       // eslint-disable-next-line no-await-in-loop
       await new Promise((r) => setTimeout(r, i === 0 ? 0 : 5000));
       // eslint-disable-next-line no-await-in-loop
-      const found = await withAbort(shortTimeoutMs, (signal) => trayFindCouponByCode(code, { maxPages: 3, signal })).catch(() => null);
+      const found = await withAbort(shortTimeoutMs, (signal) => trayFindCouponByCode(code, { maxPages: 3, signal, pgClient: options.pgClient })).catch(() => null);
       const trayId = found?.coupon?.id ?? null;
       if (found?.found) return { found: true, trayId };
       if (Date.now() - started > pollMaxMs) break;
@@ -353,7 +402,7 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
   };
 
   const confirmAndValidate = async (trayId, expected) => {
-    const conf = await withAbort(shortTimeoutMs, (signal) => trayGetCouponById(trayId, { signal })).catch(() => null);
+    const conf = await withAbort(shortTimeoutMs, (signal) => trayGetCouponById(trayId, { signal, pgClient: options.pgClient })).catch(() => null);
     const c = conf?.coupon || null;
     if (!conf?.ok || !c) return { ok: false, reason: "confirm_failed", coupon: c };
 
@@ -377,8 +426,8 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
       ends_at: expected.endsAt,
       value: Number(expected.valueBRL).toFixed(2),
       value_start: Number(expected.valueStartBRL).toFixed(2),
-      usage_counter_limit: "1",
-      usage_counter_limit_customer: "1",
+      usage_counter_limit: String(usageCounterLimit),
+      usage_counter_limit_customer: String(usageCounterLimitCustomer),
     };
 
     console.log("[tray.coupon.confirm]", {
@@ -409,30 +458,32 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
   try {
     // 1) token (se faltar bootstrap, não falhar UX)
     try {
-      await withAbort(shortTimeoutMs, (signal) => trayToken({ signal }));
+      await withAbort(shortTimeoutMs, (signal) => trayToken({ signal, pgClient: options.pgClient }));
     } catch (e) {
       if (String(e?.message || "").includes("tray_no_refresh_and_no_code")) {
         const flags = authFlagsFromEnv();
         console.log(`[tray.auth] missing hasCKEY=${flags.hasCKEY} hasCSECRET=${flags.hasCSECRET} hasCode=${flags.hasCode} hasRefreshEnv=${flags.hasRefreshEnv} hasRefreshKV=${flags.hasRefreshKV}`);
-        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "PENDING_AUTH", trayCouponId: null, syncedAt: null }).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "PENDING_AUTH", trayCouponId: null, syncedAt: null }, options).catch(() => {});
         return { ok: true, status: "PENDING_AUTH", action: "pending_auth", code };
       }
       if (e?.code === "tray_code_invalid_or_expired" || String(e?.message || "").includes("tray_code_invalid_or_expired")) {
         console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} action=pending_auth reason=code_invalid_or_expired`);
-        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "PENDING_AUTH_CODE_INVALID", trayCouponId: null, syncedAt: null }).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "PENDING_AUTH_CODE_INVALID", trayCouponId: null, syncedAt: null }, options).catch(() => {});
         return { ok: true, status: "PENDING_AUTH", action: "pending_auth", reason: "code_invalid_or_expired", code };
       }
       throw e;
     }
 
     // 2) find (idempotência)
-    const found = await withAbort(shortTimeoutMs, (signal) => trayFindCouponByCode(code, { maxPages: 3, signal }));
+    const found = await withAbort(shortTimeoutMs, (signal) => trayFindCouponByCode(code, { maxPages: 3, signal, pgClient: options.pgClient }));
     if (found?.found) {
       const trayId = found?.coupon?.id ?? null;
       const existingStarts = found?.coupon?.starts_at || null;
       const existingEnds = found?.coupon?.ends_at || null;
       const existingValue = found?.coupon?.value || null;
       const existingValueStart = found?.coupon?.value_start || null;
+      const existingUsage = found?.coupon?.usage_counter_limit || null;
+      const existingUsageCustomer = found?.coupon?.usage_counter_limit_customer || null;
       const desiredValue = giftValueBRL.toFixed(2);
       const desiredValueStart = Number(minPurchase).toFixed(2);
 
@@ -440,12 +491,14 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
         (existingStarts && existingStarts !== startsAt) ||
         (existingEnds && existingEnds !== endsAt) ||
         (existingValue && String(existingValue) !== desiredValue) ||
-        (existingValueStart && String(existingValueStart) !== desiredValueStart);
+        (existingValueStart && String(existingValueStart) !== desiredValueStart) ||
+        (existingUsage && Number(existingUsage) !== usageCounterLimit) ||
+        (existingUsageCustomer && Number(existingUsageCustomer) !== usageCounterLimitCustomer);
 
       if (!needsUpdate) {
         console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=exists trayId=${trayId || ""}`);
-        if (trayId) await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }).catch(() => {});
-        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+        if (trayId) await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }, options).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
         return { ok: true, status: "SYNCED", action: "exists", code, trayId };
       }
 
@@ -459,7 +512,10 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
             valueBRL: giftValueBRL,
             minPurchaseBRL: minPurchase,
             description: `Crédito do cliente ${uid} - New Store`,
+            usageCounterLimit,
+            usageCounterLimitCustomer,
             signal,
+            pgClient: options.pgClient,
           })
         );
       } catch (e) {
@@ -469,11 +525,11 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
         const confirmed = await pollFindAfterTimeout();
         if (confirmed.found) {
           console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=updated_confirmed_after_timeout trayId=${confirmed.trayId || ""}`);
-          await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+          await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
           return { ok: true, status: "SYNCED", action: "updated_confirmed_after_timeout", code, trayId: confirmed.trayId };
         }
         console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=update_timeout_not_confirmed`);
-        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "update_timeout_not_confirmed", trayCouponId: trayId, syncedAt: null }).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "update_timeout_not_confirmed", trayCouponId: trayId, syncedAt: null }, options).catch(() => {});
         return { ok: true, status: "FAILED", action: "failed", code };
       }
 
@@ -488,13 +544,13 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
       });
       if (updated?.ok || conf.ok) {
         console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=updated trayId=${trayId || ""}`);
-        if (trayId) await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }).catch(() => {});
-        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+        if (trayId) await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }, options).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
         return { ok: true, status: "SYNCED", action: "updated", code, trayId };
       }
 
       console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=update_not_confirmed`);
-      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "update_not_confirmed", trayCouponId: trayId, syncedAt: null }).catch(() => {});
+      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "update_not_confirmed", trayCouponId: trayId, syncedAt: null }, options).catch(() => {});
       return { ok: true, status: "FAILED", action: "failed", code };
     }
 
@@ -510,7 +566,10 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
           startsAt,
           endsAt,
           description: `Crédito do cliente ${uid} - New Store`,
+          usageCounterLimit,
+          usageCounterLimitCustomer,
           signal,
+          pgClient: options.pgClient,
         })
       );
     } catch (e) {
@@ -522,11 +581,11 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
       const confirmed = await pollFindAfterTimeout();
       if (confirmed.found) {
         console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=created_confirmed_after_timeout trayId=${confirmed.trayId || ""}`);
-        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
         return { ok: true, status: "SYNCED", action: "created_confirmed_after_timeout", code, trayId: confirmed.trayId };
       }
       console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=timeout_not_confirmed`);
-      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "timeout_not_confirmed", trayCouponId: null, syncedAt: null }).catch(() => {});
+      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "timeout_not_confirmed", trayCouponId: null, syncedAt: null }, options).catch(() => {});
       return { ok: true, status: "FAILED", action: "failed", code };
     }
 
@@ -541,13 +600,13 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
         valueStartBRL: minPurchase,
       });
       if (conf.ok) {
-        await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }).catch(() => {});
-        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+        await persistCouponSystemFields({ userId: uid, code, trayCouponId: trayId }, options).catch(() => {});
+        await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
         return { ok: true, status: "SYNCED", action: "created", code, trayId };
       }
 
       console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=create_not_confirmed`);
-      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "create_not_confirmed", trayCouponId: trayId, syncedAt: null }).catch(() => {});
+      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "create_not_confirmed", trayCouponId: trayId, syncedAt: null }, options).catch(() => {});
       return { ok: true, status: "FAILED", action: "failed", code };
     }
 
@@ -556,12 +615,12 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
     const confirmed = await pollFindAfterTimeout();
     if (confirmed.found) {
       console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=created_confirmed_after_timeout trayId=${confirmed.trayId || ""}`);
-      await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }).catch(() => {});
+      await upsertCouponTraySync({ userId: uid, code, status: "SYNCED", lastError: null, trayCouponId: confirmed.trayId, syncedAt: new Date().toISOString() }, options).catch(() => {});
       return { ok: true, status: "SYNCED", action: "created_confirmed_after_timeout", code, trayId: confirmed.trayId };
     }
 
     console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=create_no_id_not_confirmed`);
-    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "create_no_id_not_confirmed", trayCouponId: null, syncedAt: null }).catch(() => {});
+    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "create_no_id_not_confirmed", trayCouponId: null, syncedAt: null }, options).catch(() => {});
     return { ok: true, status: "FAILED", action: "failed", code };
   } catch (e) {
     const info = normalizeErrForLog(e);
@@ -569,7 +628,7 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
     if (aborted) {
       // Nunca retornar "timeout" sem confirmação -> aqui tratamos como falha controlada
       console.log(`[tray.coupon.ensure] user=${uid} rid=${rid} code=${code} action=failed status=timeout`);
-      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "TIMEOUT", trayCouponId: null, syncedAt: null }).catch(() => {});
+      await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: "TIMEOUT", trayCouponId: null, syncedAt: null }, options).catch(() => {});
       return { ok: true, status: "FAILED", action: "failed", code };
     }
 
@@ -579,9 +638,8 @@ export async function ensureTrayCouponForUser(userId, { timeoutMs = 5000 } = {})
     if (info.body) {
       console.log("[tray.coupon.ensure] body", info.body);
     }
-    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: info.msg, trayCouponId: null, syncedAt: null }).catch(() => {});
+    await upsertCouponTraySync({ userId: uid, code, status: "FAILED", lastError: info.msg, trayCouponId: null, syncedAt: null }, options).catch(() => {});
     return { ok: true, status: "FAILED", action: "failed", code };
   }
 }
 
-
@@ -0,0 +1,270 @@
+// src/services/trayCouponRules.js
+// Regras do cupom Tray (public.tray_coupon_rule_sets), versionadas e ativadas pelo admin.
+// - min_gift_brl: saldo mínimo para gerar/atualizar o cupom
+// - tiers: faixa de saldo (R$, inclusiva) -> compra mínima (value_start)
+// - fallback_min_purchase_brl: compra mínima quando o saldo fica fora da tabela
+// - validity_months: validade a partir da última compra aprovada
+// - usage_counter_limit / usage_counter_limit_customer: limites de uso na Tray
+// Sem conjunto ativo (ou falha ao ler), vale DEFAULT_COUPON_RULES (a tabela original).
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+
+export const DEFAULT_COUPON_RULES = Object.freeze({
+  min_gift_brl: 50,
+  tiers: Object.freeze([
+    Object.freeze({ min_gift_brl: 50, max_gift_brl: 250, min_purchase_brl: 1500 }),
+    Object.freeze({ min_gift_brl: 251, max_gift_brl: 600, min_purchase_brl: 3500 }),
+    Object.freeze({ min_gift_brl: 601, max_gift_brl: 800, min_purchase_brl: 5500 }),
+    Object.freeze({ min_gift_brl: 801, max_gift_brl: 1100, min_purchase_brl: 7500 }),
+    Object.freeze({ min_gift_brl: 1101, max_gift_brl: 2100, min_purchase_brl: 15000 }),
+    Object.freeze({ min_gift_brl: 2101, max_gift_brl: 3100, min_purchase_brl: 22500 }),
+    Object.freeze({ min_gift_brl: 3101, max_gift_brl: 4200, min_purchase_brl: 30000 }),
+  ]),
+  fallback_min_purchase_brl: 30000,
+  validity_months: 6,
+  usage_counter_limit: 1,
+  usage_counter_limit_customer: 1,
+});
+
+const MAX_VALIDITY_MONTHS = 60;
+const MAX_TIERS = 50;
+
+export function fmtDate(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+export function addMonthsClamped(date, months) {
+  const d = new Date(date.getTime());
+  const day = d.getUTCDate();
+  // move to first day to avoid overflow
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + Number(months || 0));
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function money(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Number(n.toFixed(2)) : null;
+}
+
+function intInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Valida e normaliza um conjunto de regras. Lança `invalid_coupon_rules` com `details`
+ * (lista de campos com problema).
+ */
+export function normalizeCouponRules(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw coded("invalid_coupon_rules", { details: ["rules"] });
+  }
+  const details = [];
+
+  const minGift = money(input.min_gift_brl);
+  if (minGift == null) details.push("min_gift_brl");
+
+  const fallback = money(input.fallback_min_purchase_brl);
+  if (fallback == null) details.push("fallback_min_purchase_brl");
+
+  const validity = intInRange(input.validity_months, 1, MAX_VALIDITY_MONTHS);
+  if (validity == null) details.push("validity_months");
+
+  const usage = intInRange(input.usage_counter_limit ?? 1, 1, 1_000_000);
+  if (usage == null) details.push("usage_counter_limit");
+  const usageCustomer = intInRange(input.usage_counter_limit_customer ?? 1, 1, 1_000_000);
+  if (usageCustomer == null) details.push("usage_counter_limit_customer");
+
+  const tiers = [];
+  if (!Array.isArray(input.tiers) || input.tiers.length > MAX_TIERS) {
+    details.push("tiers");
+  } else {
+    input.tiers.forEach((tier, idx) => {
+      const min = money(tier?.min_gift_brl);
+      const max = money(tier?.max_gift_brl);
+      const purchase = money(tier?.min_purchase_brl);
+      if (min == null || max == null || purchase == null || min > max) {
+        details.push(`tiers[${idx}]`);
+        return;
+      }
+      tiers.push({ min_gift_brl: min, max_gift_brl: max, min_purchase_brl: purchase });
+    });
+    tiers.sort((a, b) => a.min_gift_brl - b.min_gift_brl);
+    for (let i = 1; i < tiers.length; i += 1) {
+      if (tiers[i].min_gift_brl <= tiers[i - 1].max_gift_brl) details.push(`tiers_overlap[${i}]`);
+    }
+  }
+
+  if (details.length) throw coded("invalid_coupon_rules", { details });
+
+  return {
+    min_gift_brl: minGift,
+    tiers,
+    fallback_min_purchase_brl: fallback,
+    validity_months: validity,
+    usage_counter_limit: usage,
+    usage_counter_limit_customer: usageCustomer,
+  };
+}
+
+/** Compra mínima (value_start) para o saldo; `in_table` false quando caiu no fallback. */
+export function getMinPurchaseForGift(rules, giftValueBRL) {
+  const v = Number(giftValueBRL);
+  const tier = Number.isFinite(v)
+    ? rules.tiers.find((t) => v >= t.min_gift_brl && v <= t.max_gift_brl)
+    : null;
+  if (tier) return { min_purchase_brl: tier.min_purchase_brl, in_table: true };
+  return { min_purchase_brl: rules.fallback_min_purchase_brl, in_table: false };
+}
+
+/**
+ * Termos do cupom para um saldo e uma última compra aprovada, segundo `rules`.
+ * action: 'no_purchase' | 'skip_below_min' | 'ok'
+ */
+export function computeCouponTerms({ valueCents, lastPurchaseAt, rules = DEFAULT_COUPON_RULES }) {
+  if (!lastPurchaseAt) return { action: "no_purchase" };
+
+  const giftValueBRL = Number((Number(valueCents || 0) / 100).toFixed(2));
+  const startsAt = fmtDate(lastPurchaseAt);
+  const endsAt = fmtDate(addMonthsClamped(lastPurchaseAt, rules.validity_months));
+
+  if (Number.isFinite(giftValueBRL) && giftValueBRL < rules.min_gift_brl) {
+    return { action: "skip_below_min", giftValueBRL, startsAt, endsAt, minGiftBRL: rules.min_gift_brl };
+  }
+
+  const { min_purchase_brl: minPurchaseBRL, in_table: inTable } = getMinPurchaseForGift(rules, giftValueBRL);
+  return {
+    action: "ok",
+    giftValueBRL,
+    minPurchaseBRL,
+    inTable,
+    startsAt,
+    endsAt,
+    usageCounterLimit: rules.usage_counter_limit,
+    usageCounterLimitCustomer: rules.usage_counter_limit_customer,
+  };
+}
+
+function mapRuleSet(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    version: Number(row.version),
+    name: row.name,
+    status: row.status,
+    rules: row.rules,
+    notes: row.notes ?? null,
+    created_by: row.created_by ?? null,
+    created_at: row.created_at ?? null,
+    activated_by: row.activated_by ?? null,
+    activated_at: row.activated_at ?? null,
+    archived_at: row.archived_at ?? null,
+  };
+}
+
+/**
+ * Regras em vigor. Nunca lança: o cupom é best-effort e a tabela original continua valendo
+ * se o banco falhar ou não houver conjunto ativo.
+ */
+export async function getActiveCouponRules(options = {}) {
+  try {
+    const { rows } = await runQuery(
+      options.pgClient,
+      `SELECT *
+         FROM public.tray_coupon_rule_sets
+        WHERE status = 'active'
+        LIMIT 1`
+    );
+    const ruleSet = mapRuleSet(rows?.[0]);
+    if (ruleSet) return { rule_set: ruleSet, rules: normalizeCouponRules(ruleSet.rules) };
+  } catch (e) {
+    console.warn("[tray.coupon.rules] active_rules_load_failed -> default", e?.code || e?.message || e);
+  }
+  return { rule_set: null, rules: normalizeCouponRules(DEFAULT_COUPON_RULES) };
+}
+
+export async function listCouponRuleSets(options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT *
+       FROM public.tray_coupon_rule_sets
+      ORDER BY version DESC`
+  );
+  return (rows || []).map(mapRuleSet);
+}
+
+export async function getCouponRuleSet(ruleSetId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT *
+       FROM public.tray_coupon_rule_sets
+      WHERE id = $1
+      LIMIT 1`,
+    [ruleSetId]
+  );
+  return mapRuleSet(rows?.[0]);
+}
+
+/** Cria uma nova versão como 'draft' (não altera o cupom de ninguém até ser ativada). */
+export async function createCouponRuleSet({ name, rules, notes = null, adminUserId = null }, options = {}) {
+  const cleanName = String(name ?? "").trim().slice(0, 120);
+  if (!cleanName) throw coded("name_required");
+  const normalized = normalizeCouponRules(rules);
+
+  const { rows } = await runQuery(
+    options.pgClient,
+    `INSERT INTO public.tray_coupon_rule_sets (version, name, rules, status, notes, created_by)
+     SELECT COALESCE(MAX(version), 0) + 1, $1, $2::jsonb, 'draft', $3, $4
+       FROM public.tray_coupon_rule_sets
+     RETURNING *`,
+    [cleanName, JSON.stringify(normalized), notes != null ? String(notes).slice(0, 1000) : null, adminUserId]
+  );
+  return mapRuleSet(rows?.[0]);
+}
+
+/**
+ * Ativa uma versão (a anterior vai para 'archived'). Os cupons passam a seguir as novas regras
+ * no próximo ensure/sync de cada usuário.
+ */
+export async function activateCouponRuleSet({ ruleSetId, adminUserId = null }, options = {}) {
+  return withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT *
+         FROM public.tray_coupon_rule_sets
+        WHERE id = $1
+        FOR UPDATE`,
+      [ruleSetId]
+    );
+    const target = mapRuleSet(rows?.[0]);
+    if (!target) throw coded("rule_set_not_found");
+    if (target.status === "active") throw coded("rule_set_already_active");
+    normalizeCouponRules(target.rules);
+
+    await client.query(
+      `UPDATE public.tray_coupon_rule_sets
+          SET status = 'archived',
+              archived_at = now()
+        WHERE status = 'active'`
+    );
+    const updated = await client.query(
+      `UPDATE public.tray_coupon_rule_sets
+          SET status = 'active',
+              activated_by = $2,
+              activated_at = now(),
+              archived_at = NULL
+        WHERE id = $1
+        RETURNING *`,
+      [target.id, adminUserId]
+    );
+    return mapRuleSet(updated.rows?.[0]);
+  });
+}
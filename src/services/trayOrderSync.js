@@ -0,0 +1,296 @@
+// src/services/trayOrderSync.js
+// Pedidos da loja Tray que usaram cupom NSU-xxxx (public.tray_coupon_redemptions, migration 039).
+// - Entrada: notificação da Tray (routes/integrations_tray.js) ou varredura periódica (job tray_orders_sync).
+// - Só pedidos pagos contam; cada pedido é registrado uma vez (tray_order_id UNIQUE).
+// - O uso vira 'REDEEMED' no ledger e sai de users.coupon_value_cents (nunca abaixo de zero).
+// - Depois do commit o cupom usado é rotacionado (trayCouponEnsure.rotateTrayCouponForUser).
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { trayGetOrder, trayListOrders } from "./tray.js";
+import { couponCodeBelongsToUser, rotateTrayCouponForUser } from "./trayCouponEnsure.js";
+
+export const REDEEMED_EVENT_TYPE = "REDEEMED";
+export const REDEMPTION_SOURCES = Object.freeze(["webhook", "poll", "admin"]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGES_PER_RUN = 20;
+const UNPAID_STATUS_PATTERN = /AGUARDANDO|CANCELAD|PENDENTE/i;
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function envBool(name, defaultValue = false) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return Boolean(defaultValue);
+  return String(raw).trim().toLowerCase() === "true";
+}
+
+export function isTrayOrderSyncEnabled() {
+  return envBool("TRAY_ORDER_SYNC_ENABLED", false);
+}
+
+export function getTrayOrderSyncIntervalMs() {
+  return toPositiveInt(process.env.TRAY_ORDER_SYNC_INTERVAL_MS) || 15 * 60 * 1000;
+}
+
+export function getTrayOrderSyncLookbackDays() {
+  return toPositiveInt(process.env.TRAY_ORDER_SYNC_LOOKBACK_DAYS) || 3;
+}
+
+function brlToCents(value) {
+  if (value == null || value === "") return null;
+  const n = Number(String(value).replace(",", "."));
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+function trayDate(value) {
+  const str = String(value || "").trim();
+  if (!str || str.startsWith("0000")) return null;
+  const ms = Date.parse(str.includes("T") ? str : `${str.replace(" ", "T")}${str.length > 10 ? "" : "T00:00:00"}-03:00`);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+export function isUserCouponCode(code) {
+  return /^NSU-\d+/i.test(String(code || "").trim());
+}
+
+/** Pedido pago (não aguardando pagamento nem cancelado). */
+export function isPaidTrayOrder(order) {
+  if (UNPAID_STATUS_PATTERN.test(String(order?.status || ""))) return false;
+  return Boolean(trayDate(order?.payment_date)) || /FINALIZADO|ENVIAD|ENTREGUE|A ENVIAR|PAGO|APROVADO/i.test(String(order?.status || ""));
+}
+
+/**
+ * Uso de cupom NSU no pedido normalizado (tray.js normalizeOrder), ou null.
+ * O desconto é o valor do cupom no pedido; sem ele, o desconto total do pedido.
+ */
+export function extractCouponUsage(order) {
+  const code = String(order?.coupon_code || "").trim().toUpperCase();
+  if (!isUserCouponCode(code)) return null;
+  const discountCents = brlToCents(order.coupon_value) ?? brlToCents(order.discount) ?? 0;
+  return {
+    tray_order_id: String(order.id),
+    coupon_code: code,
+    discount_cents: Math.max(0, discountCents),
+    order_status: order.status || null,
+    order_date: trayDate(order.date),
+    order_total_cents: brlToCents(order.total),
+  };
+}
+
+async function resolveCouponOwner(client, code) {
+  const { rows } = await client.query(
+    `SELECT id
+       FROM public.users
+      WHERE upper(coupon_code) = $1
+      LIMIT 1`,
+    [code]
+  );
+  if (rows?.[0]) return Number(rows[0].id);
+  // Código já rotacionado: o prefixo NSU-<id>-XX continua identificando o dono.
+  const parsedId = toPositiveInt(String(code).match(/^NSU-(\d+)-/i)?.[1]);
+  if (!parsedId || !couponCodeBelongsToUser(code, parsedId)) return null;
+  const exists = await client.query(`SELECT id FROM public.users WHERE id = $1`, [parsedId]);
+  return exists.rows?.[0] ? parsedId : null;
+}
+
+/**
+ * Registra o uso do cupom em um pedido pago. Idempotente por tray_order_id.
+ * @returns {{ status: 'redeemed'|'ignored'|'duplicate', ... }}
+ */
+export async function recordCouponRedemption(usage, { source = "poll" } = {}, options = {}) {
+  if (!REDEMPTION_SOURCES.includes(source)) throw coded("invalid_source");
+
+  const result = await withTransaction(options, async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO public.tray_coupon_redemptions
+         (tray_order_id, coupon_code, order_status, order_date, order_total_cents, discount_cents, status, source)
+       VALUES ($1, $2, $3, $4, $5, $6, 'ignored', $7)
+       ON CONFLICT (tray_order_id) DO NOTHING
+       RETURNING id`,
+      [
+        usage.tray_order_id,
+        usage.coupon_code,
+        usage.order_status,
+        usage.order_date ? usage.order_date.toISOString() : null,
+        usage.order_total_cents,
+        usage.discount_cents,
+        source,
+      ]
+    );
+    const redemptionId = inserted.rows?.[0]?.id;
+    if (!redemptionId) return { status: "duplicate", tray_order_id: usage.tray_order_id };
+
+    const finish = async ({ status, reason = null, userId = null, debited = 0, historyId = null }) => {
+      await client.query(
+        `UPDATE public.tray_coupon_redemptions
+            SET status = $2,
+                reason = $3,
+                user_id = $4,
+                debited_cents = $5,
+                history_id = $6,
+                updated_at = now()
+          WHERE id = $1`,
+        [redemptionId, status, reason, userId, debited, historyId]
+      );
+      return { status, reason, redemption_id: redemptionId, tray_order_id: usage.tray_order_id, user_id: userId, debited_cents: debited };
+    };
+
+    const userId = await resolveCouponOwner(client, usage.coupon_code);
+    if (!userId) return finish({ status: "ignored", reason: "coupon_owner_not_found" });
+
+    const { rows } = await client.query(
+      `SELECT COALESCE(coupon_value_cents, 0)::int AS balance_cents, tray_coupon_id
+         FROM public.users
+        WHERE id = $1
+        FOR UPDATE`,
+      [userId]
+    );
+    const balance = Number(rows?.[0]?.balance_cents || 0);
+    const debited = Math.min(usage.discount_cents, balance);
+    if (debited <= 0) {
+      const reason = usage.discount_cents > 0 ? "no_balance" : "no_discount";
+      return { ...(await finish({ status: "ignored", reason, userId })), tray_coupon_id: rows?.[0]?.tray_coupon_id ?? null };
+    }
+    if (debited < usage.discount_cents) {
+      console.warn("[tray.orders] discount_above_balance", { user_id: userId, tray_order_id: usage.tray_order_id, discount_cents: usage.discount_cents, balance_cents: balance });
+    }
+
+    await client.query(
+      `UPDATE public.users
+          SET coupon_value_cents = $2,
+              coupon_updated_at = now()
+        WHERE id = $1`,
+      [userId, balance - debited]
+    );
+    const history = await client.query(
+      `INSERT INTO public.coupon_balance_history
+         (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+          event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at)
+       VALUES ($1, NULL, $2, $3, $4, $5, 'TRAY', 'approved', NULL, NULL, $6, $7::jsonb, $8)
+       RETURNING id`,
+      [
+        userId,
+        -debited,
+        balance,
+        balance - debited,
+        REDEEMED_EVENT_TYPE,
+        `tray_order:${usage.tray_order_id}`,
+        JSON.stringify({
+          source: "tray_order_sync",
+          tray_order_id: usage.tray_order_id,
+          coupon_code: usage.coupon_code,
+          order_status: usage.order_status,
+          discount_cents: usage.discount_cents,
+        }),
+        (usage.order_date || new Date()).toISOString(),
+      ]
+    );
+    const done = await finish({ status: "redeemed", userId, debited, historyId: history.rows?.[0]?.id ?? null });
+    return { ...done, tray_coupon_id: rows?.[0]?.tray_coupon_id ?? null };
+  });
+
+  // Cupom usado não serve mais (usage_counter_limit): rotaciona fora da transação.
+  if (result.user_id && result.status !== "duplicate" && !options.pgClient) {
+    const rotated = await rotateTrayCouponForUser(result.user_id, {
+      usedCode: usage.coupon_code,
+      usedTrayCouponId: result.tray_coupon_id,
+    }).catch((e) => {
+      console.warn("[tray.orders] coupon_rotate_failed", { user_id: result.user_id, msg: e?.message || e });
+      return null;
+    });
+    if (rotated?.rotated) {
+      await runQuery(
+        null,
+        `UPDATE public.tray_coupon_redemptions
+            SET coupon_rotated_to = $2,
+                updated_at = now()
+          WHERE id = $1`,
+        [result.redemption_id, rotated.code]
+      ).catch(() => {});
+      result.coupon_rotated_to = rotated.code;
+    }
+  }
+
+  console.log("[tray.orders] redemption", {
+    tray_order_id: usage.tray_order_id,
+    status: result.status,
+    reason: result.reason ?? null,
+    user_id: result.user_id ?? null,
+    debited_cents: result.debited_cents ?? 0,
+    source,
+  });
+  return result;
+}
+
+/** Registra um pedido já normalizado; pedidos sem cupom NSU ou não pagos são ignorados sem gravar. */
+export async function processTrayOrder(order, { source = "poll" } = {}, options = {}) {
+  const usage = extractCouponUsage(order);
+  if (!usage) return { status: "no_coupon", tray_order_id: order?.id ?? null };
+  if (!isPaidTrayOrder(order)) return { status: "not_paid", tray_order_id: usage.tray_order_id, order_status: order.status || null };
+  return recordCouponRedemption(usage, { source }, options);
+}
+
+/** Busca o pedido na Tray e processa (notificação ou importação manual pelo admin). */
+export async function importTrayOrder(orderId, { source = "webhook", getOrder = trayGetOrder } = {}, options = {}) {
+  const id = String(orderId ?? "").trim();
+  if (!/^\d+$/.test(id)) throw coded("invalid_tray_order_id");
+  const fetched = await getOrder(id, { pgClient: options.pgClient });
+  if (!fetched?.order) throw coded("tray_order_not_found");
+  return processTrayOrder(fetched.order, { source }, options);
+}
+
+/** Varredura: pedidos alterados nos últimos TRAY_ORDER_SYNC_LOOKBACK_DAYS dias. */
+export async function syncTrayOrders({ now = new Date(), listOrders = trayListOrders } = {}, options = {}) {
+  const since = new Date(now.getTime() - getTrayOrderSyncLookbackDays() * DAY_MS).toISOString().slice(0, 10);
+  const counts = { orders: 0, redeemed: 0, ignored: 0, duplicate: 0, not_paid: 0 };
+
+  for (let page = 1; page <= MAX_PAGES_PER_RUN; page++) {
+    const { orders, paging } = await listOrders({ modifiedSince: since, page, pgClient: options.pgClient });
+    for (const order of orders || []) {
+      counts.orders += 1;
+      const result = await processTrayOrder(order, { source: "poll" }, options);
+      if (counts[result.status] != null) counts[result.status] += 1;
+    }
+    if (!orders?.length || (paging?.lastPage != null && page >= paging.lastPage)) break;
+  }
+
+  if (counts.redeemed || counts.ignored) console.log("[tray.orders] sync", { since, ...counts });
+  return { ok: true, since, ...counts };
+}
+
+export async function listCouponRedemptions({ userId = null, status = null, limit = 50, offset = 0 } = {}, options = {}) {
+  const values = [];
+  const clauses = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  if (userId != null) clauses.push(`r.user_id = ${add(userId)}`);
+  if (status) clauses.push(`r.status = ${add(status)}`);
+  const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+  const safeLimit = Math.min(200, Math.max(1, Number(limit) || 50));
+  const safeOffset = Math.max(0, Number(offset) || 0);
+
+  const total = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS total FROM public.tray_coupon_redemptions r ${where}`,
+    [...values]
+  );
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT r.id, r.tray_order_id, r.user_id, u.name AS user_name, u.email AS user_email,
+            r.coupon_code, r.order_status, r.order_date, r.order_total_cents,
+            r.discount_cents, r.debited_cents, r.status, r.reason, r.history_id,
+            r.source, r.coupon_rotated_to, r.created_at
+       FROM public.tray_coupon_redemptions r
+       LEFT JOIN public.users u ON u.id = r.user_id
+       ${where}
+      ORDER BY r.created_at DESC
+      LIMIT ${add(safeLimit)} OFFSET ${add(safeOffset)}`,
+    values
+  );
+  return { total: Number(total.rows?.[0]?.total || 0), limit: safeLimit, offset: safeOffset, redemptions: rows || [] };
+}
@@ -52,6 +52,9 @@ if (baseUrlLooksLikeKey) {
   console.warn(`[vindi] ATENÇÃO: VINDI_API_BASE_URL parece ser uma API key (string curta sem http). Verifique a configuração.`);
 }
 
+// Timeout por requisição (ms); os testes com o simulador (src/scripts/vindi_simulator.js) usam valores curtos
+const VINDI_TIMEOUT_MS = Number(process.env.VINDI_TIMEOUT_MS) > 0 ? Number(process.env.VINDI_TIMEOUT_MS) : 30000;
+
 const VINDI_DEFAULT_PAYMENT_METHOD = process.env.VINDI_DEFAULT_PAYMENT_METHOD || "credit_card";
 const VINDI_DEFAULT_GATEWAY = process.env.VINDI_DEFAULT_GATEWAY || "pagarme";
 
@@ -160,7 +163,7 @@ function buildAuthHeader() {
  * @param {object} options - { timeoutMs }
  * @returns {Promise<object>} Resposta JSON da API
  */
-async function vindiRequestWithMeta(method, path, body = null, { timeoutMs = 30000, traceId } = {}) {
+async function vindiRequestWithMeta(method, path, body = null, { timeoutMs = VINDI_TIMEOUT_MS, traceId } = {}) {
   if (!VINDI_API_KEY) {
     const error = new Error("VINDI_API_KEY não configurado no servidor.");
     error.status = 503;
@@ -769,9 +772,11 @@ export async function cancelBill(billId, { traceId } = {}) {
  * Estorna um charge (POST /charges/{id}/refund)
  * @param {string} chargeId
  * @param {boolean} cancelBill - Se true, cancela a bill associada
- * @returns {Promise<{refundId: string, status: string}>}
+ * @param {object} [options]
+ * @param {number|null} [options.amountCents] - Estorno parcial (sem valor = total)
+ * @returns {Promise<{refundId: string, status: string, transactionId: string|null}>}
  */
-export async function refundCharge(chargeId, cancelBill = true) {
+export async function refundCharge(chargeId, cancelBill = true, { amountCents = null } = {}) {
   if (!chargeId) {
     throw new Error("chargeId é obrigatório");
   }
@@ -781,12 +786,16 @@ export async function refundCharge(chargeId, cancelBill = true) {
     if (cancelBill) {
       body.cancel_bill = true;
     }
+    if (amountCents != null) {
+      body.amount = Number((Number(amountCents) / 100).toFixed(2));
+    }
 
     const result = await vindiRequest("POST", `/charges/${chargeId}/refund`, body);
     const refund = result.refund || result.charge;
 
     log("charge estornado", {
       chargeId,
+      amount: body.amount ?? null,
       refundId: refund?.id,
       status: refund?.status,
     });
@@ -794,6 +803,7 @@ export async function refundCharge(chargeId, cancelBill = true) {
     return {
       refundId: refund?.id,
       status: refund?.status,
+      transactionId: refund?.last_transaction?.id ?? null,
     };
   } catch (e) {
     err("refundCharge falhou", {
@@ -911,8 +921,10 @@ export function parseWebhook(payload) {
     throw new Error("Payload inválido");
   }
 
-  const type = payload.type || payload.event_type || "unknown";
-  const data = payload.data || payload;
+  // A Vindi envia { event: { type, created_at, data } }; o formato plano segue aceito.
+  const event = payload.event && typeof payload.event === "object" ? payload.event : payload;
+  const type = event.type || event.event_type || "unknown";
+  const data = event.data || event;
 
   // Mapeia tipos de eventos comuns da Vindi
   const eventMap = {
@@ -921,6 +933,7 @@ export function parseWebhook(payload) {
     bill_canceled: "bill.canceled",
     charge_rejected: "charge.rejected",
     charge_refunded: "charge.refunded",
+    charge_chargeback: "charge.chargeback",
     charge_paid: "charge.paid",
   };
 
@@ -928,7 +941,7 @@ export function parseWebhook(payload) {
 
   const result = {
     type: normalizedType,
-    billId: data.bill?.id || data.bill_id || null,
+    billId: data.bill?.id || data.bill_id || data.charge?.bill?.id || null,
     chargeId: data.charge?.id || data.charge_id || null,
     status: data.bill?.status || data.charge?.status || data.status || null,
     metadata: data.metadata || {},
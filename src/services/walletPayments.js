@@ -0,0 +1,382 @@
+// src/services/walletPayments.js
+// Pagamento com saldo: a reserva é paga total ou parcialmente com o saldo de cupom
+// (users.coupon_value_cents) e/ou o saldo de vencedor (users.winner_balance_cents); o resto via PIX.
+//
+// - payments.amount_cents continua sendo o valor total; wallet_coupon_cents/wallet_winner_cents
+//   guardam a parte paga com saldo (o PIX no MP é só da diferença)
+// - o saldo é debitado ao criar o pagamento (ledger DEBIT_WALLET_PAYMENT / winner 'DEBITED') e
+//   devolvido se o PIX for rejeitado/cancelado (CREDIT_WALLET_RELEASE / 'RETURNED')
+// - estorno devolve a parcela proporcional do saldo (CREDIT_WALLET_REFUND), ver paymentRefunds.js
+// - creditCouponOnApprovedPayment não credita a parte paga com saldo de cupom
+//   (senão o saldo gasto voltaria como crédito novo)
+// - saldo totalmente coberto: payment 'wallet:<reservation_id>' já nasce 'approved'
+import { runQuery, withTransaction } from "../db.js";
+import { coded } from "../lib/errors.js";
+import { ensureTrayCouponForUser } from "./trayCouponEnsure.js";
+
+export const WALLET_PAYMENT_PREFIX = "wallet:";
+
+const PAID_PAYMENT_STATUSES = ["approved", "paid", "pago"];
+export const RELEASABLE_PAYMENT_STATUSES = Object.freeze(["rejected", "cancelled", "canceled", "expired"]);
+
+function isTruthy(value) {
+  if (value === true) return true;
+  const v = String(value ?? "").toLowerCase().trim();
+  return v === "1" || v === "true" || v === "yes" || v === "on";
+}
+
+/** Id do payment de uma reserva paga só com saldo. */
+export function walletPaymentId(reservationId) {
+  return `${WALLET_PAYMENT_PREFIX}${reservationId}`;
+}
+
+export function isWalletPaymentId(paymentId) {
+  return String(paymentId ?? "").startsWith(WALLET_PAYMENT_PREFIX);
+}
+
+/**
+ * Opções do checkout: { useCouponBalance, useWinnerBalance } (ou snake_case).
+ */
+export function parseWalletOptions(body = {}) {
+  return {
+    useCoupon: isTruthy(body?.useCouponBalance ?? body?.use_coupon_balance),
+    useWinner: isTruthy(body?.useWinnerBalance ?? body?.use_winner_balance),
+  };
+}
+
+/**
+ * Divide o valor entre saldo de cupom, saldo de vencedor (nessa ordem) e PIX.
+ */
+export function planWalletSplit({ amountCents, couponBalanceCents = 0, winnerBalanceCents = 0, useCoupon, useWinner }) {
+  const total = Math.max(0, Math.trunc(Number(amountCents) || 0));
+  const coupon = useCoupon ? Math.min(total, Math.max(0, Number(couponBalanceCents) || 0)) : 0;
+  const winner = useWinner ? Math.min(total - coupon, Math.max(0, Number(winnerBalanceCents) || 0)) : 0;
+  return { coupon_cents: coupon, winner_cents: winner, pix_cents: total - coupon - winner };
+}
+
+export async function getWalletBalances(userId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT COALESCE(coupon_value_cents, 0)::int AS coupon_cents,
+            COALESCE(winner_balance_cents, 0)::int AS winner_cents
+       FROM public.users
+      WHERE id = $1`,
+    [userId]
+  );
+  if (!rows.length) throw coded("user_not_found");
+  return { coupon_cents: Number(rows[0].coupon_cents), winner_cents: Number(rows[0].winner_cents) };
+}
+
+/**
+ * Pagamento com saldo ainda aguardando o PIX para a reserva (evita debitar duas vezes).
+ */
+export async function findPendingWalletPayment(reservationId, options = {}) {
+  const { rows } = await runQuery(
+    options.pgClient,
+    `SELECT p.id, p.status
+       FROM public.reservations r
+       JOIN public.payments p ON p.id = r.payment_id
+      WHERE r.id = $1
+        AND p.wallet_coupon_cents + p.wallet_winner_cents > 0
+        AND p.wallet_released_at IS NULL
+        AND lower(p.status) NOT IN ('approved', 'paid', 'pago', 'refunded', 'charged_back')`,
+    [reservationId]
+  );
+  return rows[0] || null;
+}
+
+async function lockWalletUser(client, userId) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(coupon_value_cents, 0)::int AS coupon_cents,
+            winner_balance_cents
+       FROM public.users
+      WHERE id = $1
+      FOR UPDATE`,
+    [userId]
+  );
+  if (!rows.length) throw coded("user_not_found");
+  return {
+    coupon: Number(rows[0].coupon_cents || 0),
+    winner: rows[0].winner_balance_cents == null ? null : Number(rows[0].winner_balance_cents),
+  };
+}
+
+/**
+ * Movimenta os dois saldos do usuário (delta negativo = débito) com as linhas de ledger.
+ * O saldo de vencedor zerado volta a NULL (users_winner_balance_cents_positive_or_null).
+ */
+async function moveWalletBalances(client, {
+  userId,
+  paymentId,
+  drawId = null,
+  reservationId = null,
+  couponDelta = 0,
+  winnerDelta = 0,
+  couponEvent,
+  winnerAction,
+  reason,
+  status = null,
+  meta = {},
+}) {
+  const balances = await lockWalletUser(client, userId);
+
+  if (couponDelta) {
+    const after = balances.coupon + couponDelta;
+    if (after < 0) throw coded("insufficient_coupon_balance", { balance_cents: balances.coupon });
+    await client.query(
+      `UPDATE public.users
+          SET coupon_value_cents = $2,
+              coupon_updated_at = now()
+        WHERE id = $1`,
+      [userId, after]
+    );
+    await client.query(
+      `INSERT INTO public.coupon_balance_history
+         (user_id, payment_id, delta_cents, balance_before_cents, balance_after_cents,
+          event_type, channel, status, draw_id, reservation_id, run_trace_id, meta, event_occurred_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'WALLET', $7, $8, $9, NULL, $10::jsonb, now())`,
+      [
+        userId,
+        paymentId,
+        couponDelta,
+        balances.coupon,
+        after,
+        couponEvent,
+        status,
+        drawId,
+        reservationId,
+        JSON.stringify({ reason, ...meta }),
+      ]
+    );
+  }
+
+  if (winnerDelta) {
+    const before = balances.winner ?? 0;
+    const after = before + winnerDelta;
+    if (after < 0) throw coded("insufficient_winner_balance", { balance_cents: before });
+    await client.query(
+      `UPDATE public.users
+          SET winner_balance_cents = $2,
+              winner_balance_updated_at = now()
+        WHERE id = $1`,
+      [userId, after > 0 ? after : null]
+    );
+    await client.query(
+      `INSERT INTO public.winner_balance_history
+         (user_id, admin_user_id, previous_balance_cents, new_balance_cents, action, reason, payment_id, created_at)
+       VALUES ($1, NULL, $2, $3, $4, $5, $6, now())`,
+      [userId, balances.winner, after > 0 ? after : null, winnerAction, reason, paymentId]
+    );
+  }
+}
+
+/**
+ * Grava o payment da reserva e debita a parte paga com saldo, na mesma transação.
+ * `payment.status` 'approved' (saldo cobre tudo) já assenta números e reserva.
+ *
+ * @param {{
+ *   payment: { id: string, user_id: number, draw_id: number, numbers: number[], amount_cents: number,
+ *              status: string, provider?: string, qr_code?: string|null, qr_code_base64?: string|null },
+ *   reservationId: string,
+ *   couponCents: number,
+ *   winnerCents: number,
+ * }} input
+ */
+export async function createWalletPayment({ payment, reservationId, couponCents = 0, winnerCents = 0 }, options = {}) {
+  if (!(couponCents > 0 || winnerCents > 0)) throw coded("wallet_amount_required");
+  if (couponCents + winnerCents > payment.amount_cents) throw coded("wallet_amount_exceeds_total");
+  const approved = PAID_PAYMENT_STATUSES.includes(String(payment.status || "").toLowerCase());
+
+  return withTransaction(options, async (client) => {
+    const r = await client.query(
+      `SELECT id, user_id, status, expires_at
+         FROM public.reservations
+        WHERE id = $1
+        FOR UPDATE`,
+      [reservationId]
+    );
+    const reservation = r.rows[0];
+    if (!reservation || Number(reservation.user_id) !== Number(payment.user_id)) throw coded("reservation_not_found");
+    if (reservation.status !== "active") throw coded("reservation_not_active");
+    if (await findPendingWalletPayment(reservationId, { pgClient: client })) throw coded("wallet_payment_pending");
+
+    await client.query(
+      `INSERT INTO public.payments
+         (id, user_id, draw_id, numbers, amount_cents, status, provider, qr_code, qr_code_base64,
+          wallet_coupon_cents, wallet_winner_cents, paid_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $12 THEN now() ELSE NULL END)`,
+      [
+        payment.id,
+        payment.user_id,
+        payment.draw_id,
+        payment.numbers,
+        payment.amount_cents,
+        payment.status,
+        payment.provider || "mercadopago",
+        payment.qr_code ?? null,
+        payment.qr_code_base64 ?? null,
+        couponCents,
+        winnerCents,
+        approved,
+      ]
+    );
+
+    try {
+      await moveWalletBalances(client, {
+        userId: payment.user_id,
+        paymentId: payment.id,
+        drawId: payment.draw_id,
+        reservationId,
+        couponDelta: -couponCents,
+        winnerDelta: -winnerCents,
+        couponEvent: "DEBIT_WALLET_PAYMENT",
+        winnerAction: "DEBITED",
+        reason: "wallet_payment",
+        status: payment.status,
+        meta: {
+          amount_cents: payment.amount_cents,
+          coupon_cents: couponCents,
+          winner_cents: winnerCents,
+          pix_cents: payment.amount_cents - couponCents - winnerCents,
+        },
+      });
+    } catch (e) {
+      // Saldo mudou entre o cálculo e o débito (compra na Tray, outro checkout).
+      if (e?.code === "insufficient_coupon_balance" || e?.code === "insufficient_winner_balance") {
+        throw coded("wallet_balance_changed", { balance: e.code });
+      }
+      throw e;
+    }
+
+    await client.query(`UPDATE public.reservations SET payment_id = $2 WHERE id = $1`, [reservationId, payment.id]);
+
+    if (approved) {
+      await client.query(
+        `UPDATE public.numbers
+            SET status = 'sold',
+                reservation_id = NULL
+          WHERE draw_id = $1
+            AND n = ANY($2::int[])`,
+        [payment.draw_id, payment.numbers]
+      );
+      await client.query(
+        `UPDATE public.reservations SET status = 'paid' WHERE id = $1`,
+        [reservationId]
+      );
+    }
+
+    return {
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      status: payment.status,
+      amount_cents: payment.amount_cents,
+      coupon_cents: couponCents,
+      winner_cents: winnerCents,
+      pix_cents: payment.amount_cents - couponCents - winnerCents,
+    };
+  });
+}
+
+/**
+ * PIX rejeitado/cancelado: devolve o saldo debitado no checkout (idempotente).
+ */
+export async function releaseWalletDebit(paymentId, { providerStatus = null } = {}, options = {}) {
+  const pid = String(paymentId ?? "").trim();
+  if (!pid) throw coded("invalid_payment_id");
+
+  const result = await withTransaction(options, async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, user_id, draw_id, status,
+              COALESCE(wallet_coupon_cents, 0)::int AS wallet_coupon_cents,
+              COALESCE(wallet_winner_cents, 0)::int AS wallet_winner_cents,
+              wallet_released_at
+         FROM public.payments
+        WHERE id = $1
+        FOR UPDATE`,
+      [pid]
+    );
+    const payment = rows[0];
+    if (!payment) return { action: "payment_not_found" };
+    const couponCents = Number(payment.wallet_coupon_cents || 0);
+    const winnerCents = Number(payment.wallet_winner_cents || 0);
+    if (couponCents + winnerCents <= 0) return { action: "noop", reason: "no_wallet_debit" };
+    if (payment.wallet_released_at) return { action: "noop", reason: "already_released" };
+    if (!RELEASABLE_PAYMENT_STATUSES.includes(String(payment.status || "").toLowerCase())) {
+      return { action: "noop", reason: "not_releasable", status: payment.status };
+    }
+
+    await moveWalletBalances(client, {
+      userId: payment.user_id,
+      paymentId: pid,
+      drawId: payment.draw_id,
+      couponDelta: couponCents,
+      winnerDelta: winnerCents,
+      couponEvent: "CREDIT_WALLET_RELEASE",
+      winnerAction: "RETURNED",
+      reason: "wallet_release",
+      status: payment.status,
+      meta: { provider_status: providerStatus },
+    });
+    await client.query(`UPDATE public.payments SET wallet_released_at = now() WHERE id = $1`, [pid]);
+
+    return { action: "released", payment_id: pid, user_id: payment.user_id, coupon_cents: couponCents, winner_cents: winnerCents };
+  });
+
+  if (result.action === "released") {
+    console.log("[wallet] saldo devolvido", {
+      payment_id: pid,
+      provider_status: providerStatus,
+      coupon_cents: result.coupon_cents,
+      winner_cents: result.winner_cents,
+    });
+    if (!options.pgClient) syncTrayCouponAfterWallet(result);
+  }
+  return result;
+}
+
+/**
+ * Parcela do saldo devolvida ao estornar `count` números (o último estorno leva o restante).
+ * `returned` = saldo já devolvido por estornos anteriores.
+ */
+export function computeWalletRefundShare(payment, count, returned = { coupon: 0, winner: 0 }) {
+  const transferredCount = payment.transferred_numbers?.length || 0;
+  const originalCount = payment.numbers.length + payment.refunded_numbers.length + transferredCount;
+  const isLast = (count >= payment.numbers.length && !transferredCount) || originalCount <= 0;
+  const share = (total, already) => {
+    const remaining = Math.max(0, total - already);
+    if (isLast) return remaining;
+    return Math.min(remaining, Math.round((total * count) / originalCount));
+  };
+  return {
+    coupon: share(Number(payment.wallet_coupon_cents || 0), Number(returned.coupon || 0)),
+    winner: share(Number(payment.wallet_winner_cents || 0), Number(returned.winner || 0)),
+  };
+}
+
+/**
+ * Estorno de um payment pago (em parte) com saldo: devolve a parcela do saldo.
+ * Roda na transação do estorno (client já com o payment travado).
+ */
+export async function returnWalletShare(client, { payment, refundId, kind, share }) {
+  if (!payment.user_id || (!share.coupon && !share.winner)) return;
+  await moveWalletBalances(client, {
+    userId: payment.user_id,
+    paymentId: payment.id,
+    drawId: payment.draw_id,
+    couponDelta: share.coupon,
+    winnerDelta: share.winner,
+    couponEvent: "CREDIT_WALLET_REFUND",
+    winnerAction: "RETURNED",
+    reason: "wallet_refund",
+    status: payment.status,
+    meta: { refund_id: refundId, kind },
+  });
+}
+
+/**
+ * Atualiza o cupom na Tray após movimentar o saldo de cupom (best-effort, nunca lança).
+ */
+export function syncTrayCouponAfterWallet(result) {
+  if (!result?.user_id || !(Number(result.coupon_cents) > 0)) return;
+  ensureTrayCouponForUser(result.user_id).catch(() => {});
+}
@@ -0,0 +1,466 @@
+// src/services/webhookInbox.js
+// Inbox compartilhado de webhooks (Mercado Pago / Vindi / notificações de pedido da Tray).
+// Todo evento recebido é gravado em public.webhook_events ANTES de qualquer efeito:
+// - assinatura inválida/ausente => status 'rejected' (não processa)
+// - segredo do provedor não configurado => 'rejected' em produção (fora dela o evento passa)
+// - mesmo provider_event_id no mesmo endpoint => status 'duplicate' (não reprocessa)
+// - processamento marca 'processed' ou 'failed' (failed pode ser reprocessado)
+
+import crypto from "node:crypto";
+import { runQuery } from "../db.js";
+
+const STORED_HEADERS = [
+  "content-type",
+  "user-agent",
+  "x-request-id",
+  "x-signature",
+  "x-forwarded-for",
+];
+
+// Reivindica de novo eventos presos em 'processing' (ex.: processo caiu no meio).
+const STALE_PROCESSING_MINUTES = 10;
+
+function cleanText(value) {
+  return String(value ?? "").trim();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function sameSecret(value, expected) {
+  const a = Buffer.from(String(value || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function pickHeaders(headers = {}) {
+  const out = {};
+  for (const name of STORED_HEADERS) {
+    if (headers[name] != null) out[name] = String(headers[name]).slice(0, 500);
+  }
+  return out;
+}
+
+function safeJson(value) {
+  try {
+    if (value === undefined) return null;
+    return JSON.stringify(value);
+  } catch {
+    return null;
+  }
+}
+
+function errorText(error) {
+  return cleanText(error?.code || error?.message || error || "webhook_handler_failed").slice(0, 500);
+}
+
+export function getMercadoPagoWebhookSecret() {
+  return cleanText(process.env.MP_WEBHOOK_SECRET || process.env.MERCADOPAGO_WEBHOOK_SECRET);
+}
+
+export function getVindiWebhookAuthConfig() {
+  return {
+    secret: cleanText(process.env.VINDI_WEBHOOK_SECRET),
+    basicUser: cleanText(process.env.VINDI_WEBHOOK_BASIC_USER),
+    basicPassword: cleanText(process.env.VINDI_WEBHOOK_BASIC_PASSWORD),
+  };
+}
+
+export function getTrayWebhookSecret() {
+  return cleanText(process.env.TRAY_WEBHOOK_SECRET);
+}
+
+/* ------------------------------------------------------------------ *
+ * Assinaturas
+ * ------------------------------------------------------------------ */
+
+function mercadoPagoDataId(query = {}, body = {}) {
+  const raw = query?.["data.id"] ?? query?.data?.id ?? body?.data?.id ?? null;
+  if (raw == null || raw === "") return "";
+  const id = String(raw);
+  // Conforme documentação do MP: ids alfanuméricos entram no manifest em minúsculas.
+  return /^[a-z0-9]+$/i.test(id) ? id.toLowerCase() : id;
+}
+
+/**
+ * Valida o header x-signature do Mercado Pago (HMAC-SHA256).
+ * Manifest: "id:<data.id>;request-id:<x-request-id>;ts:<ts>;" (partes ausentes são omitidas)
+ *
+ * @returns {'valid'|'invalid'|'missing'|'not_configured'}
+ */
+export function verifyMercadoPagoSignature({ headers = {}, query = {}, body = {}, secret = getMercadoPagoWebhookSecret() } = {}) {
+  if (!secret) return "not_configured";
+  const header = cleanText(headers["x-signature"]);
+  if (!header) return "missing";
+
+  const parts = {};
+  for (const piece of header.split(",")) {
+    const [key, ...rest] = piece.split("=");
+    if (key && rest.length) parts[key.trim()] = rest.join("=").trim();
+  }
+  if (!parts.ts || !parts.v1) return "invalid";
+
+  const dataId = mercadoPagoDataId(query, body);
+  const requestId = cleanText(headers["x-request-id"]);
+  let manifest = "";
+  if (dataId) manifest += `id:${dataId};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parts.ts};`;
+
+  const expected = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+  return sameSecret(parts.v1.toLowerCase(), expected) ? "valid" : "invalid";
+}
+
+/**
+ * Vindi não assina o corpo: aceitamos segredo compartilhado (?token= ou header
+ * x-webhook-token) e/ou basic auth configurado na URL do webhook.
+ *
+ * @returns {'valid'|'invalid'|'missing'|'not_configured'}
+ */
+export function verifyVindiWebhookAuth({ headers = {}, query = {}, config = getVindiWebhookAuthConfig() } = {}) {
+  const { secret, basicUser, basicPassword } = config;
+  const basicConfigured = Boolean(basicUser && basicPassword);
+  if (!secret && !basicConfigured) return "not_configured";
+
+  const token = cleanText(query?.token || headers["x-webhook-token"] || headers["x-vindi-token"]);
+  const authorization = cleanText(headers.authorization);
+  let basic = null;
+  if (/^Basic\s+/i.test(authorization)) {
+    const decoded = Buffer.from(authorization.replace(/^Basic\s+/i, ""), "base64").toString("utf8");
+    const sep = decoded.indexOf(":");
+    if (sep >= 0) basic = { user: decoded.slice(0, sep), password: decoded.slice(sep + 1) };
+  }
+  if (!token && !basic) return "missing";
+
+  if (secret && token && sameSecret(token, secret)) return "valid";
+  if (basicConfigured && basic && sameSecret(basic.user, basicUser) && sameSecret(basic.password, basicPassword)) {
+    return "valid";
+  }
+  return "invalid";
+}
+
+/**
+ * A Tray não assina as notificações: segredo compartilhado na URL cadastrada (?token=).
+ *
+ * @returns {'valid'|'invalid'|'missing'|'not_configured'}
+ */
+export function verifyTrayWebhookAuth({ headers = {}, query = {}, secret = getTrayWebhookSecret() } = {}) {
+  if (!secret) return "not_configured";
+  const token = cleanText(query?.token || headers["x-webhook-token"]);
+  if (!token) return "missing";
+  return sameSecret(token, secret) ? "valid" : "invalid";
+}
+
+/* ------------------------------------------------------------------ *
+ * Identidade do evento
+ * ------------------------------------------------------------------ */
+
+export function mercadoPagoEventIdentity({ headers = {}, query = {}, body = {} } = {}) {
+  const resourceId = body?.data?.id ?? query?.["data.id"] ?? query?.data?.id ?? query?.id ?? body?.id ?? null;
+  const eventType = cleanText(body?.action || body?.type || query?.type || query?.topic) || null;
+  const notificationId = body?.id != null && body?.data?.id != null ? String(body.id) : "";
+  const requestId = cleanText(headers["x-request-id"]);
+  // Sem id de notificação (IPN legado) não deduplicamos por recurso: o mesmo pagamento
+  // recebe vários avisos legítimos ao mudar de status.
+  const providerEventId = notificationId || requestId || null;
+  return {
+    providerEventId,
+    eventType,
+    resourceId: resourceId != null ? String(resourceId) : null,
+  };
+}
+
+export function vindiEventIdentity(payload = {}) {
+  const event = payload?.event && typeof payload.event === "object" ? payload.event : payload;
+  const data = event?.data || {};
+  const eventType = cleanText(event?.type || event?.event_type) || null;
+  const billId = data?.bill?.id ?? data?.bill_id ?? null;
+  const chargeId = data?.charge?.id ?? data?.charge_id ?? null;
+  // Vindi não envia id de evento: usamos o id explícito se houver, senão o hash do corpo.
+  const explicitId = event?.id ?? payload?.id ?? null;
+  const providerEventId = explicitId != null
+    ? String(explicitId)
+    : `sha256:${sha256Hex(safeJson(payload) || "")}`;
+  return {
+    providerEventId,
+    eventType,
+    resourceId: billId != null ? `bill:${billId}` : chargeId != null ? `charge:${chargeId}` : null,
+  };
+}
+
+export function trayEventIdentity(payload = {}) {
+  const scope = cleanText(payload?.scope_name).toLowerCase() || null;
+  const scopeId = cleanText(payload?.scope_id);
+  // O mesmo pedido recebe uma notificação a cada alteração: sem dedup pelo inbox
+  // (tray_coupon_redemptions é idempotente por pedido).
+  return {
+    providerEventId: null,
+    eventType: scope ? `${scope}.${cleanText(payload?.act).toLowerCase() || "unknown"}` : null,
+    resourceId: scope && scopeId ? `${scope}:${scopeId}` : null,
+  };
+}
+
+/* ------------------------------------------------------------------ *
+ * Persistência
+ * ------------------------------------------------------------------ */
+
+async function insertEvent(pgClient, row) {
+  const r = await runQuery(
+    pgClient,
+    `INSERT INTO public.webhook_events
+       (provider, endpoint, provider_event_id, event_type, resource_id, status,
+        signature_status, rejection_reason, duplicate_of, headers, query, payload)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10::jsonb,$11::jsonb,$12::jsonb)
+     ON CONFLICT (provider, endpoint, provider_event_id)
+       WHERE provider_event_id IS NOT NULL
+         AND status NOT IN ('rejected', 'duplicate')
+     DO NOTHING
+     RETURNING *`,
+    [
+      row.provider,
+      row.endpoint,
+      row.providerEventId,
+      row.eventType,
+      row.resourceId,
+      row.status,
+      row.signatureStatus,
+      row.rejectionReason || null,
+      row.duplicateOf || null,
+      safeJson(pickHeaders(row.headers)) || "{}",
+      safeJson(row.query || {}) || "{}",
+      safeJson(row.payload),
+    ]
+  );
+  return r.rows?.[0] || null;
+}
+
+async function findOriginalEvent(pgClient, { provider, endpoint, providerEventId }) {
+  const r = await runQuery(
+    pgClient,
+    `SELECT *
+       FROM public.webhook_events
+      WHERE provider = $1
+        AND endpoint = $2
+        AND provider_event_id = $3
+        AND status NOT IN ('rejected', 'duplicate')
+      LIMIT 1`,
+    [provider, endpoint, providerEventId]
+  );
+  return r.rows?.[0] || null;
+}
+
+/**
+ * Grava o evento bruto. Retorna { event, duplicateOf } — duplicateOf é o evento original
+ * quando esta entrega repete um provider_event_id já conhecido.
+ */
+export async function recordWebhookEvent(input, options = {}) {
+  const pgClient = options.pgClient || null;
+  const rejected = Boolean(input.rejectionReason);
+  const base = { ...input, status: rejected ? "rejected" : "received" };
+
+  if (rejected || !input.providerEventId) {
+    const event = await insertEvent(pgClient, base);
+    return { event, duplicateOf: null };
+  }
+
+  const inserted = await insertEvent(pgClient, base);
+  if (inserted) return { event: inserted, duplicateOf: null };
+
+  const original = await findOriginalEvent(pgClient, input);
+  const duplicate = await insertEvent(pgClient, {
+    ...input,
+    status: "duplicate",
+    duplicateOf: original?.id || null,
+  });
+  return { event: duplicate, duplicateOf: original };
+}
+
+/**
+ * Processa um evento gravado com o handler informado, no máximo uma vez com sucesso.
+ * O claim atômico (received|failed|processing antigo -> processing) impede execução paralela.
+ */
+export async function processWebhookEvent(eventId, handler, options = {}) {
+  const pgClient = options.pgClient || null;
+  const claimed = await runQuery(
+    pgClient,
+    `UPDATE public.webhook_events
+        SET status = 'processing',
+            attempts = attempts + 1,
+            updated_at = now()
+      WHERE id = $1
+        AND (
+          status IN ('received', 'failed')
+          OR (status = 'processing' AND updated_at < now() - ($2::int * interval '1 minute'))
+        )
+      RETURNING *`,
+    [eventId, STALE_PROCESSING_MINUTES]
+  );
+  const event = claimed.rows?.[0];
+  if (!event) return { ok: true, skipped: true };
+
+  try {
+    const result = await handler(event);
+    await runQuery(
+      pgClient,
+      `UPDATE public.webhook_events
+          SET status = 'processed',
+              result = $2::jsonb,
+              last_error = NULL,
+              processed_at = now(),
+              updated_at = now()
+        WHERE id = $1`,
+      [eventId, safeJson(result ?? null)]
+    );
+    return { ok: true, skipped: false, result };
+  } catch (error) {
+    await runQuery(
+      pgClient,
+      `UPDATE public.webhook_events
+          SET status = 'failed',
+              last_error = $2,
+              updated_at = now()
+        WHERE id = $1`,
+      [eventId, errorText(error)]
+    ).catch((e) => console.warn("[webhook-inbox] mark_failed error", e?.code || e?.message || e));
+    console.warn("[webhook-inbox] handler_failed", {
+      event_id: eventId,
+      provider: event.provider,
+      endpoint: event.endpoint,
+      error: errorText(error),
+    });
+    return { ok: false, skipped: false, error };
+  }
+}
+
+// Sem segredo configurado não há como autenticar o evento: em produção ele é rejeitado
+// (a rota responde 503) em vez de ser processado sem validação.
+function webhookRejectionReason(signatureStatus) {
+  if (signatureStatus === "invalid" || signatureStatus === "missing") return `signature_${signatureStatus}`;
+  if (signatureStatus === "not_configured" && process.env.NODE_ENV === "production") {
+    return "signature_not_configured";
+  }
+  return null;
+}
+
+/**
+ * Fluxo completo usado pelas rotas: grava, rejeita/deduplica e processa.
+ *
+ * @returns {Promise<{ outcome: 'rejected'|'duplicate'|'processed'|'failed'|'skipped', event: object|null, reason?: string, result?: any, error?: any }>}
+ */
+export async function ingestWebhookEvent({
+  provider,
+  endpoint,
+  signatureStatus,
+  identity,
+  headers = {},
+  query = {},
+  payload = null,
+  handler,
+}, options = {}) {
+  const rejectionReason = webhookRejectionReason(signatureStatus);
+
+  const input = {
+    provider,
+    endpoint,
+    providerEventId: identity?.providerEventId || null,
+    eventType: identity?.eventType || null,
+    resourceId: identity?.resourceId || null,
+    signatureStatus,
+    rejectionReason,
+    headers,
+    query,
+    payload,
+  };
+
+  let recorded;
+  try {
+    recorded = await recordWebhookEvent(input, options);
+  } catch (e) {
+    if (e?.code !== "42P01" || rejectionReason) throw e;
+    // Migration 027 ainda não aplicada: processa direto (sem dedup) para não perder o evento.
+    console.warn("[webhook-inbox] webhook_events ausente; processando sem inbox", { provider, endpoint });
+    const transient = {
+      id: null,
+      provider,
+      endpoint,
+      provider_event_id: input.providerEventId,
+      event_type: input.eventType,
+      resource_id: input.resourceId,
+      headers: pickHeaders(headers),
+      query,
+      payload,
+    };
+    try {
+      return { outcome: "processed", event: null, result: await handler(transient) };
+    } catch (error) {
+      return { outcome: "failed", event: null, error };
+    }
+  }
+  const { event, duplicateOf } = recorded;
+
+  if (rejectionReason) {
+    console.warn("[webhook-inbox] rejected", { provider, endpoint, reason: rejectionReason, event_id: event?.id || null });
+    return { outcome: "rejected", event, reason: rejectionReason };
+  }
+
+  let target = event;
+  if (duplicateOf) {
+    // Reentrega de evento que falhou (ou nunca terminou): tenta de novo o original.
+    if (!["received", "failed", "processing"].includes(String(duplicateOf.status))) {
+      return { outcome: "duplicate", event, original: duplicateOf };
+    }
+    target = duplicateOf;
+  }
+  if (!target?.id) return { outcome: "duplicate", event };
+
+  const processed = await processWebhookEvent(target.id, handler, options);
+  if (processed.skipped) return { outcome: duplicateOf ? "duplicate" : "skipped", event: target };
+  if (!processed.ok) return { outcome: "failed", event: target, error: processed.error };
+  return { outcome: "processed", event: target, result: processed.result };
+}
+
+export async function listWebhookEvents(filters = {}, options = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const provider = cleanText(filters.provider).toLowerCase();
+  if (provider) clauses.push(`provider = ${add(provider)}`);
+  const status = cleanText(filters.status).toLowerCase();
+  if (status) clauses.push(`status = ${add(status)}`);
+  const endpoint = cleanText(filters.endpoint);
+  if (endpoint) clauses.push(`endpoint = ${add(endpoint)}`);
+  const resourceId = cleanText(filters.resource_id);
+  if (resourceId) clauses.push(`resource_id = ${add(resourceId)}`);
+
+  const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+  const limit = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+
+  const total = await runQuery(
+    options.pgClient,
+    `SELECT COUNT(*)::int AS total FROM public.webhook_events ${where}`,
+    [...values]
+  );
+  const rows = await runQuery(
+    options.pgClient,
+    `SELECT id, provider, endpoint, provider_event_id, event_type, resource_id, status,
+            signature_status, rejection_reason, duplicate_of, attempts, last_error,
+            received_at, processed_at, updated_at
+       FROM public.webhook_events
+       ${where}
+      ORDER BY received_at DESC
+      LIMIT ${add(limit)} OFFSET ${add(offset)}`,
+    values
+  );
+  return { total: Number(total.rows?.[0]?.total || 0), limit, offset, events: rows.rows || [] };
+}
+
+export async function getWebhookEvent(id, options = {}) {
+  const r = await runQuery(options.pgClient, `SELECT * FROM public.webhook_events WHERE id = $1`, [id]);
+  return r.rows?.[0] || null;
+}
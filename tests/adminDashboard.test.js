@@ -2,7 +2,9 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import { readFile } from "node:fs/promises";
 
-import { createPrincipalDrawConfigHandler } from "../src/routes/admin_dashboard.js";
+import { TEST_SECRETS, withEnv } from "./helpers.js";
+
+const { createPrincipalDrawConfigHandler } = await withEnv(TEST_SECRETS, () => import("../src/routes/admin_dashboard.js"));
 
 const VALID_CONFIG = {
   ticket_price_cents: 5500,
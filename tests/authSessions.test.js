@@ -0,0 +1,165 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  base32Decode,
+  base32Encode,
+  decryptTotpSecret,
+  encryptTotpSecret,
+  hotp,
+  verifyTotp,
+} from "../src/services/totp.js";
+import {
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  getSessionState,
+  verifySessionTotp,
+} from "../src/services/authSessions.js";
+import { fakeDb, TEST_SECRETS, withEnv } from "./helpers.js";
+
+// RFC 6238 (apêndice B): segredo ASCII "12345678901234567890", SHA1.
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const NOW = 1_111_111_109_000;
+
+function codeAt(secretBase32, nowMs) {
+  return hotp(base32Decode(secretBase32), Math.floor(nowMs / 30_000));
+}
+
+function sessionsDb({ user = {}, session = {} } = {}) {
+  const state = {
+    user: { id: 7, email: "admin@newstore.com", is_admin: true, totp_secret: null, totp_enabled_at: null, totp_last_step: null, ...user },
+    session: {
+      id: "sess-1",
+      user_id: 7,
+      created_at: new Date(NOW - 60_000).toISOString(),
+      last_seen_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 3_600_000).toISOString(),
+      mfa_verified_at: null,
+      mfa_failed_attempts: 0,
+      revoked_at: null,
+      ...session,
+    },
+  };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) return { rows: [{ ...state.user }] };
+    if (text.includes("FROM public.auth_sessions") && text.includes("WHERE id = $1")) {
+      return { rows: state.session.id === params[0] ? [{ ...state.session }] : [] };
+    }
+    if (text.includes("SET totp_secret = $2")) {
+      Object.assign(state.user, { totp_secret: params[1], totp_enabled_at: null, totp_last_step: null });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET totp_enabled_at = now()")) {
+      state.user.totp_enabled_at = "now";
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET totp_last_step = $2")) {
+      state.user.totp_last_step = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET mfa_failed_attempts = $2")) {
+      state.session.mfa_failed_attempts = params[1];
+      if (params[2]) Object.assign(state.session, { revoked_at: "now", revoked_reason: "mfa_failed" });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET mfa_verified_at = now()")) {
+      Object.assign(state.session, { mfa_verified_at: "now", mfa_failed_attempts: 0 });
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("TOTP segue o vetor da RFC 6238 e aceita um passo de tolerância", () => {
+  assert.equal(hotp(Buffer.from("12345678901234567890"), 1, 8), "94287082");
+  assert.equal(codeAt(RFC_SECRET, 59_000), "287082");
+
+  const code = codeAt(RFC_SECRET, NOW);
+  assert.equal(verifyTotp(RFC_SECRET, code, { nowMs: NOW }), Math.floor(NOW / 30_000));
+  assert.equal(verifyTotp(RFC_SECRET, code, { nowMs: NOW + 30_000 }), Math.floor(NOW / 30_000));
+  assert.equal(verifyTotp(RFC_SECRET, code, { nowMs: NOW + 90_000 }), null);
+  // Código já usado (passo <= totp_last_step) não vale de novo.
+  assert.equal(verifyTotp(RFC_SECRET, code, { nowMs: NOW, afterStep: Math.floor(NOW / 30_000) }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "12ab56", { nowMs: NOW }), null);
+});
+
+test("segredo TOTP é cifrado no banco", () => withEnv(TEST_SECRETS, () => {
+  const stored = encryptTotpSecret(RFC_SECRET);
+  assert.ok(stored.startsWith("v1:"));
+  assert.ok(!stored.includes(RFC_SECRET));
+  assert.equal(decryptTotpSecret(stored), RFC_SECRET);
+}));
+
+test("sessão revogada, expirada ou de outro usuário invalida o token", async () => {
+  assert.deepEqual(await getSessionState({ sub: 7 }, { pgClient: sessionsDb() }), { valid: true, session: null });
+
+  const ok = await getSessionState({ sub: 7, sid: "sess-1" }, { pgClient: sessionsDb() });
+  assert.equal(ok.valid, true);
+  assert.equal(ok.session.id, "sess-1");
+
+  const revoked = sessionsDb({ session: { revoked_at: "2026-10-19T10:00:00Z" } });
+  assert.equal((await getSessionState({ sub: 7, sid: "sess-1" }, { pgClient: revoked })).reason, "session_revoked");
+
+  const expired = sessionsDb({ session: { expires_at: "2020-01-01T00:00:00Z" } });
+  assert.equal((await getSessionState({ sub: 7, sid: "sess-1" }, { pgClient: expired })).reason, "session_expired");
+
+  assert.equal((await getSessionState({ sub: 8, sid: "sess-1" }, { pgClient: sessionsDb() })).reason, "session_not_found");
+});
+
+test("cadastro do 2FA: setup gera o segredo e o primeiro código ativa e verifica a sessão", () => withEnv(TEST_SECRETS, async () => {
+  const db = sessionsDb();
+  const setup = await beginTotpEnrollment(7, { pgClient: db });
+  assert.match(setup.otpauth_url, /^otpauth:\/\/totp\/New%20Store%3Aadmin%40newstore\.com\?secret=/);
+  assert.equal(decryptTotpSecret(db.state.user.totp_secret), setup.secret);
+
+  await confirmTotpEnrollment({ userId: 7, sessionId: "sess-1", code: codeAt(setup.secret, NOW), nowMs: NOW }, { pgClient: db });
+  assert.equal(db.state.user.totp_enabled_at, "now");
+  assert.equal(db.state.session.mfa_verified_at, "now");
+
+  await assert.rejects(() => beginTotpEnrollment(7, { pgClient: db }), { code: "totp_already_enabled" });
+}));
+
+test("código errado conta tentativa e o limite revoga a sessão", () => withEnv(TEST_SECRETS, async () => {
+  const prev = process.env.ADMIN_2FA_MAX_ATTEMPTS;
+  process.env.ADMIN_2FA_MAX_ATTEMPTS = "2";
+  try {
+    const db = sessionsDb({ user: { totp_secret: encryptTotpSecret(RFC_SECRET), totp_enabled_at: "2026-10-01T00:00:00Z" } });
+    const wrong = codeAt(RFC_SECRET, NOW + 10 * 60_000);
+
+    await assert.rejects(
+      () => verifySessionTotp({ userId: 7, sessionId: "sess-1", code: wrong, nowMs: NOW }, { pgClient: db }),
+      { code: "invalid_totp_code" }
+    );
+    assert.equal(db.state.session.mfa_failed_attempts, 1);
+    assert.equal(db.state.session.revoked_at, null);
+
+    await assert.rejects(
+      () => verifySessionTotp({ userId: 7, sessionId: "sess-1", code: wrong, nowMs: NOW }, { pgClient: db }),
+      { code: "invalid_totp_code" }
+    );
+    assert.equal(db.state.session.revoked_at, "now");
+
+    await assert.rejects(
+      () => verifySessionTotp({ userId: 7, sessionId: "sess-1", code: codeAt(RFC_SECRET, NOW), nowMs: NOW }, { pgClient: db }),
+      { code: "session_required" }
+    );
+  } finally {
+    if (prev === undefined) delete process.env.ADMIN_2FA_MAX_ATTEMPTS;
+    else process.env.ADMIN_2FA_MAX_ATTEMPTS = prev;
+  }
+}));
+
+test("código certo verifica a sessão e não pode ser reutilizado", () => withEnv(TEST_SECRETS, async () => {
+  const db = sessionsDb({ user: { totp_secret: encryptTotpSecret(RFC_SECRET), totp_enabled_at: "2026-10-01T00:00:00Z" } });
+  const code = codeAt(RFC_SECRET, NOW);
+
+  await verifySessionTotp({ userId: 7, sessionId: "sess-1", code, nowMs: NOW }, { pgClient: db });
+  assert.equal(db.state.session.mfa_verified_at, "now");
+  assert.equal(db.state.user.totp_last_step, Math.floor(NOW / 30_000));
+
+  db.state.session.mfa_verified_at = null;
+  await assert.rejects(
+    () => verifySessionTotp({ userId: 7, sessionId: "sess-1", code, nowMs: NOW }, { pgClient: db }),
+    { code: "invalid_totp_code" }
+  );
+}));
@@ -6,6 +6,7 @@ import {
   isDrawClosedForEmail,
 } from "../src/services/notifications/automaticEmailNotifications.js";
 import { handleInternalEmailEventRequest } from "../src/routes/internal_email_events.js";
+import { TEST_SECRETS } from "./helpers.js";
 
 const DRAW_CLOSED_EVENT = {
   eventKey: "DRAW_CLOSED",
@@ -27,6 +28,13 @@ async function withEnv(name, value, run) {
   }
 }
 
+// Os emails levam link de descadastro assinado: o segredo vem dos segredos de teste compartilhados.
+function withEmailAutomation(run) {
+  return withEnv("EMAIL_UNSUBSCRIBE_SECRET", TEST_SECRETS.EMAIL_UNSUBSCRIBE_SECRET, () =>
+    withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", run)
+  );
+}
+
 function drawContext(status = "closed", closedAt = "2026-07-24T21:00:00.000Z") {
   return {
     draw: { id: 42, status, draw_type: "principal", closed_at: closedAt },
@@ -155,7 +163,7 @@ test("DRAW_CLOSED rejeita draw sem fechamento efetivo", () => {
 });
 
 test("DRAW_CLOSED aceita draw fechado com closed_at", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({ recipients: [], drawStatus: "closed" });
     const result = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
 
@@ -166,7 +174,7 @@ test("DRAW_CLOSED aceita draw fechado com closed_at", async () => {
 });
 
 test("DRAW_CLOSED aceita draw sorteado com closed_at depois do D+1", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({ recipients: [], drawStatus: "sorteado" });
     const result = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
 
@@ -177,7 +185,7 @@ test("DRAW_CLOSED aceita draw sorteado com closed_at depois do D+1", async () =>
 });
 
 test("email automático contabiliza sucesso total por destinatário", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness();
     const result = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
 
@@ -194,7 +202,7 @@ test("email automático contabiliza sucesso total por destinatário", async () =
 });
 
 test("falha SMTP parcial não interrompe os demais destinatários", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({
       shouldFail: ({ attempt }) => attempt === 3 || attempt === 7,
     });
@@ -218,7 +226,7 @@ test("falha SMTP parcial não interrompe os demais destinatários", async () =>
 });
 
 test("falha SMTP total é relatada como failed sem fingir sucesso", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({ shouldFail: () => true });
     const result = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
 
@@ -234,7 +242,7 @@ test("falha SMTP total é relatada como failed sem fingir sucesso", async () =>
 });
 
 test("segunda execução deduplica dispatches aceitos e não chama SMTP", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({ recipients: users(3) });
     const first = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
     const second = await handleAutomaticEmailEvent(DRAW_CLOSED_EVENT, harness.dependencies);
@@ -251,7 +259,7 @@ test("segunda execução deduplica dispatches aceitos e não chama SMTP", async
 });
 
 test("dispatch failed permanece elegível e é reenviado na próxima execução", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({
       recipients: users(1),
       shouldFail: ({ attempt }) => attempt === 1,
@@ -289,7 +297,7 @@ test("automação desabilitada retorna estado explícito sem resolver destinatá
 });
 
 test("SMTP ausente retorna configuration_error explícito e não cria campanha", async () => {
-  await withEnv("NOTIFICATION_EMAIL_AUTOMATION_ENABLED", "true", async () => {
+  await withEmailAutomation(async () => {
     const harness = automaticEmailHarness({
       recipients: users(2),
       smtpConfigurationError: true,
@@ -365,3 +373,78 @@ test("payload interno inválido não inicia campanha nem SMTP", async () => {
     assert.equal(handlerCalls, 0);
   });
 });
+
+test("email de números restantes usa porcentagem da cartela e a quantidade real", async () => {
+  await withEmailAutomation(async () => {
+    const subjects = [];
+    const event = {
+      eventKey: "EMAIL_DRAW_REMAINING_50",
+      referenceType: "draw",
+      referenceKey: "draw:42:remaining_50_email",
+      metadata: { draw_id: 42 },
+    };
+    const withBoard = (remaining) => {
+      const harness = automaticEmailHarness({ recipients: users(1), drawStatus: "open", closedAt: null });
+      const context = drawContext("open", null);
+      context.draw.number_count = 1000;
+      const mailer = harness.dependencies.createSmtpTransporter();
+      return {
+        ...harness.dependencies,
+        loadDrawContext: async () => context,
+        loadRemaining: async () => remaining,
+        createSmtpTransporter: () => ({
+          async sendMail(message) {
+            subjects.push(message.subject);
+            return mailer.sendMail(message);
+          },
+        }),
+      };
+    };
+
+    const early = await handleAutomaticEmailEvent(event, withBoard(600));
+    assert.equal(early.status, "skipped");
+    assert.equal(early.reason, "remaining_threshold_not_reached");
+    assert.equal(early.remaining_percent, 60);
+
+    const reached = await handleAutomaticEmailEvent(event, withBoard(480));
+    assert.equal(reached.sent, 1);
+    assert.match(subjects[0], /^Restam 480 números/);
+  });
+});
+
+test("email de saldo vencendo vai só para o dono do saldo, sem sorteio", async () => {
+  await withEmailAutomation(async () => {
+    const messages = [];
+    const harness = automaticEmailHarness();
+    const mailer = harness.dependencies.createSmtpTransporter();
+    const dependencies = {
+      ...harness.dependencies,
+      loadDrawContext: async () => assert.fail("balance event must not load a draw"),
+      loadRecipients: async () => assert.fail("balance event must not load draw recipients"),
+      loadBalanceRecipients: async (userId) => users(10).filter((user) => user.id === userId),
+      createSmtpTransporter: () => ({
+        async sendMail(message) {
+          messages.push(message);
+          return mailer.sendMail(message);
+        },
+      }),
+    };
+
+    await assert.rejects(
+      () => handleAutomaticEmailEvent({ eventKey: "BALANCE_EXPIRED", referenceKey: "balance_expired:x", metadata: {} }, dependencies),
+      { code: "email_user_id_invalid" }
+    );
+
+    const result = await handleAutomaticEmailEvent({
+      eventKey: "BALANCE_EXPIRING_7_DAYS",
+      referenceType: "coupon_balance",
+      referenceKey: "balance_expiring:3:2026-11-25:7:email",
+      metadata: { user_id: 3, balance_cents: 12345, expires_at: "2026-11-25T15:00:00.000Z", days: 7 },
+    }, dependencies);
+
+    assert.equal(result.sent, 1);
+    assert.equal(result.draw_id, null);
+    assert.equal(messages[0].to, "cliente3@example.test");
+    assert.match(messages[0].subject, /^Seu saldo de R\$\s?123,45 vence em 25\/11\/2026$/);
+  });
+});
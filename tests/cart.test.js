@@ -0,0 +1,225 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb, TEST_SECRETS, withEnv } from "./helpers.js";
+
+// cart.js importa routes/additional_draws.js, e o middleware de auth exige JWT_SECRET ao carregar.
+const {
+  addCartItems,
+  applyCartPaymentStatus,
+  beginCartCheckout,
+  completeCartCheckout,
+  removeCartItems,
+} = await withEnv(TEST_SECRETS, () => import("../src/services/cart.js"));
+
+const EXPIRES_AT = "2026-10-19T12:30:00.000Z";
+
+// Banco em memória: principal 1 (R$ 55,00 via app_config) e adicional 2 (R$ 10,00 via app_config_new).
+function cartDb({ unavailable = [] } = {}) {
+  const state = {
+    cart: null,
+    draws: {
+      1: { id: 1, status: "open", draw_type: "principal", number_count: 100, product_name: "iPhone" },
+      2: { id: 2, status: "open", draw_type: "adicional", number_count: 50, product_name: "Fone" },
+    },
+    drawPrices: { 2: 1000 },
+    reservations: [],
+    numbers: new Map(),
+    payments: [],
+  };
+  for (const drawId of [1, 2]) {
+    for (let n = 0; n < state.draws[drawId].number_count; n += 1) {
+      state.numbers.set(`${drawId}:${n}`, { status: "available", reservation_id: null });
+    }
+  }
+  for (const [drawId, n] of unavailable) state.numbers.get(`${drawId}:${n}`).status = "sold";
+
+  const cartRow = () => ({ ...state.cart });
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("FROM public.carts") && text.includes("WHERE user_id = $1")) {
+      const active = state.cart && ["open", "checkout", "pending_payment"].includes(state.cart.status);
+      return { rows: active ? [{ ...cartRow(), expired: false, abandoned: false }] : [] };
+    }
+    if (text.includes("INSERT INTO public.carts")) {
+      state.cart = { id: "cart-1", user_id: params[0], status: "open", expires_at: EXPIRES_AT, amount_cents: 0 };
+      return { rows: [cartRow()] };
+    }
+    if (text.includes("FROM public.draws") && text.includes("WHERE id = $1")) {
+      return { rows: state.draws[params[0]] ? [{ ...state.draws[params[0]] }] : [] };
+    }
+    if (text.includes("SET status = 'expired'") && text.includes("public.reservations r")) return { rows: [] };
+    if (text.includes("FROM public.reservations") && text.includes("WHERE cart_id = $1") && text.includes("FOR UPDATE")) {
+      const found = state.reservations.find((r) => r.cart_id === params[0] && r.draw_id === params[1] && r.status === "active");
+      return { rows: found ? [{ id: found.id, numbers: [...found.numbers] }] : [] };
+    }
+    if (text.includes("FROM public.numbers") && text.includes("FOR UPDATE")) {
+      const rows = params[1]
+        .filter((n) => state.numbers.has(`${params[0]}:${n}`))
+        .map((n) => ({ n, status: state.numbers.get(`${params[0]}:${n}`).status }));
+      return { rows };
+    }
+    if (text.includes("SELECT DISTINCT unnest(numbers)")) return { rows: [] };
+    if (text.includes("FROM public.number_waitlist")) return { rows: [] };
+    if (text.includes("INSERT INTO public.reservations")) {
+      const [id, userId, drawId, numbers, expiresAt, cartId] = params;
+      state.reservations.push({ id, user_id: userId, draw_id: drawId, numbers, status: "active", expires_at: expiresAt, cart_id: cartId, payment_id: null });
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations SET numbers")) {
+      state.reservations.find((r) => r.id === params[0]).numbers = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations") && text.includes("cardinality")) {
+      const r = state.reservations.find((row) => row.id === params[0]);
+      r.numbers = params[1];
+      if (!params[1].length) r.status = "cancelled";
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations SET payment_id")) {
+      state.reservations.find((r) => r.id === params[0]).payment_id = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.numbers") && text.includes("SET status = 'reserved'")) {
+      for (const n of params[1]) Object.assign(state.numbers.get(`${params[0]}:${n}`), { status: "reserved", reservation_id: params[2] });
+      return { rowCount: params[1].length };
+    }
+    if (text.includes("UPDATE public.numbers") && text.includes("SET status = 'available'")) {
+      for (const n of params[1]) {
+        const row = state.numbers.get(`${params[0]}:${n}`);
+        if (row.reservation_id === params[2]) Object.assign(row, { status: "available", reservation_id: null });
+      }
+      return { rowCount: params[1].length };
+    }
+    if (text.includes("FROM public.reservations r") && text.includes("JOIN public.draws d")) {
+      const rows = state.reservations
+        .filter((r) => r.cart_id === params[0] && ["active", "paid"].includes(r.status))
+        .sort((a, b) => a.draw_id - b.draw_id)
+        .map((r) => ({
+          reservation_id: r.id,
+          draw_id: r.draw_id,
+          numbers: r.numbers,
+          status: r.status,
+          payment_id: r.payment_id,
+          draw_type: state.draws[r.draw_id].draw_type,
+          product_name: state.draws[r.draw_id].product_name,
+          number_count: state.draws[r.draw_id].number_count,
+          draw_status: state.draws[r.draw_id].status,
+        }));
+      return { rows };
+    }
+    if (text.includes("AS draw_price_cents")) {
+      return { rows: [{ draw_price_cents: state.drawPrices[params[0]] ?? null, ticket_price_cents: "5500" }] };
+    }
+    if (text.includes("UPDATE public.carts SET updated_at")) return { rowCount: 1 };
+    if (text.includes("SET status = 'checkout'")) {
+      Object.assign(state.cart, { status: "checkout", amount_cents: params[1] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.payments")) {
+      const [id, userId, drawId, numbers, amountCents, status, , , cartId, providerPaymentId] = params;
+      state.payments.push({ id, user_id: userId, draw_id: drawId, numbers, amount_cents: amountCents, status, cart_id: cartId, provider_payment_id: providerPaymentId });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = 'pending_payment'")) {
+      Object.assign(state.cart, { status: "pending_payment", provider_payment_id: params[1], payment_status: params[2], qr_code: params[3] });
+      return { rows: [cartRow()] };
+    }
+    if (text.includes("FROM public.carts WHERE provider_payment_id = $1")) {
+      return { rows: state.cart?.provider_payment_id === params[0] ? [{ id: state.cart.id }] : [] };
+    }
+    if (text.includes("UPDATE public.payments") && text.includes("WHERE provider_payment_id = $1")) {
+      const rows = state.payments.filter((p) => p.provider_payment_id === params[0] && p.cart_id === params[2]);
+      for (const p of rows) p.status = params[1];
+      return { rows: rows.map((p) => ({ id: p.id, draw_id: p.draw_id, numbers: p.numbers })) };
+    }
+    if (text.includes("SET payment_status = $2")) {
+      state.cart.payment_status = params[1];
+      if (params[2]) state.cart.status = params[2];
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("números de sorteios diferentes entram no mesmo carrinho com TTL único", async () => {
+  const db = cartDb();
+
+  await addCartItems({ userId: 7, drawId: 1, numbers: [10, 3] }, { pgClient: db });
+  const cart = await addCartItems({ userId: 7, drawId: 2, numbers: [5] }, { pgClient: db });
+  const again = await addCartItems({ userId: 7, drawId: 1, numbers: [3, 42] }, { pgClient: db });
+
+  assert.equal(cart.id, "cart-1");
+  assert.equal(db.state.reservations.length, 2);
+  assert.ok(db.state.reservations.every((r) => r.expires_at === EXPIRES_AT && r.cart_id === "cart-1"));
+  assert.deepEqual(again.items.map((i) => [i.draw_id, i.numbers, i.amount_cents]), [
+    [1, [3, 10, 42], 3 * 5500],
+    [2, [5], 1000],
+  ]);
+  assert.equal(again.amount_cents, 3 * 5500 + 1000);
+  assert.equal(db.state.numbers.get("1:42").status, "reserved");
+});
+
+test("número indisponível ou fora da cartela não entra no carrinho", async () => {
+  const db = cartDb({ unavailable: [[2, 7]] });
+
+  await assert.rejects(
+    () => addCartItems({ userId: 7, drawId: 2, numbers: [6, 7] }, { pgClient: db }),
+    (error) => error.code === "numbers_unavailable" && error.conflicts.includes(7)
+  );
+  await assert.rejects(
+    () => addCartItems({ userId: 7, drawId: 2, numbers: [50] }, { pgClient: db }),
+    { code: "numbers_invalid" }
+  );
+});
+
+test("remover devolve os números e o sorteio sai do carrinho", async () => {
+  const db = cartDb();
+  await addCartItems({ userId: 7, drawId: 2, numbers: [1, 2] }, { pgClient: db });
+
+  const partial = await removeCartItems({ userId: 7, drawId: 2, numbers: [2] }, { pgClient: db });
+  assert.deepEqual(partial.items[0].numbers, [1]);
+  assert.equal(db.state.numbers.get("2:2").status, "available");
+
+  const empty = await removeCartItems({ userId: 7, drawId: 2 }, { pgClient: db });
+  assert.equal(empty.items.length, 0);
+  assert.equal(db.state.reservations[0].status, "cancelled");
+});
+
+test("checkout gera uma linha de payments por sorteio e o status do PIX vale para todas", async () => {
+  const db = cartDb();
+  await addCartItems({ userId: 7, drawId: 1, numbers: [1, 2] }, { pgClient: db });
+  await addCartItems({ userId: 7, drawId: 2, numbers: [9] }, { pgClient: db });
+
+  const checkout = await beginCartCheckout(7, { pgClient: db });
+  assert.equal(checkout.existing, false);
+  assert.equal(checkout.cart.amount_cents, 2 * 5500 + 1000);
+  await assert.rejects(
+    () => addCartItems({ userId: 7, drawId: 2, numbers: [10] }, { pgClient: db }),
+    { code: "cart_checkout_in_progress" }
+  );
+
+  await completeCartCheckout({
+    cart: checkout.cart,
+    userId: 7,
+    providerPaymentId: "mp-123",
+    status: "pending",
+    qrCode: "000201",
+    qrCodeBase64: null,
+  }, { pgClient: db });
+
+  assert.deepEqual(
+    db.state.payments.map((p) => [p.id, p.draw_id, p.amount_cents, p.provider_payment_id]),
+    [["mp-123:1", 1, 11000, "mp-123"], ["mp-123:2", 2, 1000, "mp-123"]]
+  );
+  assert.deepEqual(db.state.reservations.map((r) => r.payment_id), ["mp-123:1", "mp-123:2"]);
+
+  const again = await beginCartCheckout(7, { pgClient: db });
+  assert.equal(again.existing, true);
+  assert.equal(again.cart.payment_id, "mp-123");
+
+  const approved = await applyCartPaymentStatus("mp-123", "approved", { pgClient: db });
+  assert.deepEqual(approved.payments.map((p) => p.id), ["mp-123:1", "mp-123:2"]);
+  assert.equal(db.state.cart.status, "paid");
+  assert.ok(db.state.payments.every((p) => p.status === "approved"));
+
+  assert.equal(await applyCartPaymentStatus("mp-999", "approved", { pgClient: db }), null);
+});
@@ -0,0 +1,239 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  allocateAcrossLots,
+  expireDueLots,
+  expiringThreshold,
+  expiryFloor,
+  notifyExpiringLots,
+  syncLotsFromLedger,
+} from "../src/services/couponBalanceExpiry.js";
+import { fakeDb } from "./helpers.js";
+
+const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+function lotsDb({ users = [], ledger = [], lots = [] } = {}) {
+  const state = {
+    users: users.map((u) => ({ ...u })),
+    ledger: ledger.map((h) => ({ lot_applied_at: null, ...h })),
+    lots: lots.map((l) => ({ status: "open", notified_threshold_days: null, ...l })),
+    movements: [],
+  };
+  let nextId = 1;
+  const lot = (id) => state.lots.find((l) => l.id === id);
+  const effective = (l, floor) => new Date(Math.max(new Date(l.expires_at), new Date(floor)));
+
+  return fakeDb({ state }, (text, params) => {
+    if (text === "BEGIN" || text === "COMMIT" || text === "ROLLBACK") return { rows: [] };
+    if (text.includes("FROM public.tray_coupon_rule_sets")) return { rows: [] };
+
+    if (text.includes("WHERE lot_applied_at IS NULL") && text.includes("LIMIT $1")) {
+      const rows = state.ledger.filter((h) => !h.lot_applied_at).sort(byTime("created_at")).slice(0, params[0]);
+      return { rows: rows.map((h) => ({ id: h.id })) };
+    }
+    if (text.includes("FOR UPDATE SKIP LOCKED")) {
+      const h = state.ledger.find((row) => row.id === params[0] && !row.lot_applied_at);
+      return { rows: h ? [{ ...h, occurred_at: h.created_at }] : [] };
+    }
+    if (text.includes("SET lot_applied_at = now()")) {
+      state.ledger.find((h) => h.id === params[0]).lot_applied_at = "applied";
+      return { rowCount: 1 };
+    }
+    if (text.includes("m.kind = 'consume' AND h.event_type")) {
+      const [paymentId, userId, debitType] = params;
+      const restorable = new Map();
+      for (const m of state.movements.filter((mv) => mv.payment_id === paymentId && lot(mv.lot_id).user_id === userId)) {
+        const history = state.ledger.find((h) => h.id === m.history_id);
+        const delta = m.kind === "consume" && history?.event_type === debitType ? -m.delta_cents : m.kind === "restore" ? -m.delta_cents : 0;
+        restorable.set(m.lot_id, (restorable.get(m.lot_id) || 0) + delta);
+      }
+      const rows = [...restorable].map(([lotId, cents]) => ({ lot_id: lotId, restorable_cents: cents }));
+      rows.sort((a, b) => new Date(lot(b.lot_id).expires_at) - new Date(lot(a.lot_id).expires_at));
+      return { rows };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_lots")) {
+      const row = {
+        id: `lot-${nextId++}`,
+        user_id: params[0],
+        source_history_id: params[1],
+        payment_id: params[2],
+        amount_cents: params[3],
+        remaining_cents: params[3],
+        credited_at: params[4],
+        expires_at: params[5],
+        validity_months: params[6],
+        status: "open",
+        notified_threshold_days: null,
+      };
+      state.lots.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_lot_movements")) {
+      const [lotId, historyId, paymentId, kind, deltaCents] = params;
+      state.movements.push({ lot_id: lotId, history_id: historyId, payment_id: paymentId, kind, delta_cents: deltaCents });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET remaining_cents = remaining_cents + $2")) {
+      Object.assign(lot(params[0]), { remaining_cents: lot(params[0]).remaining_cents + params[1], status: "open" });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET remaining_cents = remaining_cents - $2")) {
+      const l = lot(params[0]);
+      l.remaining_cents -= params[1];
+      if (l.remaining_cents === 0) l.status = "consumed";
+      return { rowCount: 1 };
+    }
+    if (text.includes("ORDER BY expires_at ASC, credited_at ASC, id ASC") && !text.includes("GREATEST")) {
+      const rows = state.lots.filter((l) => l.user_id === params[0] && l.remaining_cents > 0).sort(byTime("expires_at"));
+      return { rows: rows.map((l) => ({ id: l.id, remaining_cents: l.remaining_cents })) };
+    }
+
+    if (text.includes("SELECT DISTINCT user_id")) {
+      const due = state.lots.filter((l) => l.remaining_cents > 0 && effective(l, params[0]) <= new Date(params[1]));
+      return { rows: [...new Set(due.map((l) => l.user_id))].map((userId) => ({ user_id: userId })) };
+    }
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      const u = state.users.find((row) => row.id === params[0]);
+      return { rows: u ? [{ balance_cents: u.coupon_value_cents }] : [] };
+    }
+    if (text.includes("AS effective_expires_at") && text.includes("FOR UPDATE")) {
+      const rows = state.lots
+        .filter((l) => l.user_id === params[0] && l.remaining_cents > 0 && effective(l, params[1]) <= new Date(params[2]))
+        .sort(byTime("expires_at"));
+      return { rows: rows.map((l) => ({ ...l, effective_expires_at: effective(l, params[1]).toISOString() })) };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      const row = {
+        id: `h-exp-${nextId++}`,
+        user_id: params[0],
+        delta_cents: params[1],
+        balance_before_cents: params[2],
+        balance_after_cents: params[3],
+        event_type: params[4],
+        run_trace_id: params[5],
+        meta: JSON.parse(params[6]),
+        lot_applied_at: "applied",
+      };
+      state.ledger.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("status = 'expired'")) {
+      Object.assign(lot(params[0]), { remaining_cents: 0, status: "expired", expired_history_id: params[1] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.users")) {
+      state.users.find((u) => u.id === params[0]).coupon_value_cents = params[1];
+      return { rowCount: 1 };
+    }
+
+    if (text.includes("SELECT id, user_id, remaining_cents, notified_threshold_days")) {
+      const [floor, now, until] = params.map((p) => new Date(p));
+      const rows = state.lots
+        .filter((l) => l.remaining_cents > 0 && effective(l, floor) > now && effective(l, floor) <= until)
+        .map((l) => ({ ...l, effective_expires_at: effective(l, floor).toISOString() }));
+      return { rows };
+    }
+    if (text.includes("SET notified_threshold_days = $2")) {
+      for (const id of params[0]) lot(id).notified_threshold_days = params[1];
+      return { rowCount: params[0].length };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("FIFO, faixas de aviso e piso de vencimento", () => {
+  const lots = [
+    { id: "a", remaining_cents: 500 },
+    { id: "b", remaining_cents: 0 },
+    { id: "c", remaining_cents: 800 },
+  ];
+  assert.deepEqual(allocateAcrossLots(lots, 900), {
+    allocations: [{ lot_id: "a", cents: 500 }, { lot_id: "c", cents: 400 }],
+    unmatched_cents: 0,
+  });
+  assert.equal(allocateAcrossLots(lots, 2000).unmatched_cents, 700);
+
+  assert.deepEqual([31, 30, 16, 15, 11, 8, 7, 0, -1].map(expiringThreshold), [null, 30, 30, 15, 15, 10, 7, 7, null]);
+  assert.equal(expiryFloor(new Date("2026-11-01T03:00:00Z")).toISOString(), "2026-12-01T03:00:00.000Z");
+});
+
+test("lotes seguem o ledger: crédito abre, débito consome FIFO e devolução volta ao lote de origem", async () => {
+  const db = lotsDb({
+    ledger: [
+      { id: "h1", user_id: 7, payment_id: "p1", delta_cents: 1000, event_type: "CREDIT_PURCHASE", created_at: "2026-01-10T12:00:00Z" },
+      { id: "h2", user_id: 7, payment_id: "p2", delta_cents: 600, event_type: "CREDIT_PURCHASE", created_at: "2026-02-10T12:00:00Z" },
+      { id: "h3", user_id: 7, payment_id: "p3", delta_cents: -1300, event_type: "DEBIT_WALLET_PAYMENT", created_at: "2026-03-01T12:00:00Z" },
+      { id: "h4", user_id: 7, payment_id: "p3", delta_cents: 1300, event_type: "CREDIT_WALLET_REFUND", created_at: "2026-03-02T12:00:00Z" },
+      { id: "h5", user_id: 7, payment_id: null, delta_cents: -200, event_type: "ADMIN_BALANCE_ADJUSTMENT", created_at: "2026-03-03T12:00:00Z" },
+    ],
+  });
+
+  const first = await syncLotsFromLedger({ maxRows: 3 }, { pgClient: db });
+  assert.equal(first.applied, 3);
+  const [older, newer] = db.state.lots;
+  assert.equal(older.expires_at, "2026-07-10T12:00:00.000Z");
+  assert.deepEqual([older.remaining_cents, older.status, newer.remaining_cents], [0, "consumed", 300]);
+
+  await syncLotsFromLedger({}, { pgClient: db });
+  // O estorno não abre lote novo (não ganha validade): volta para os lotes consumidos pelo pagamento.
+  assert.equal(db.state.lots.length, 2);
+  assert.deepEqual([older.remaining_cents, older.status, newer.remaining_cents], [800, "open", 600]);
+  assert.ok(db.state.ledger.every((h) => h.lot_applied_at));
+});
+
+test("vencimento lança EXPIRED, baixa o saldo sem deixar negativo e avisa o usuário", async () => {
+  const db = lotsDb({
+    users: [{ id: 7, coupon_value_cents: 900 }],
+    lots: [
+      { id: "l1", user_id: 7, amount_cents: 1000, remaining_cents: 700, credited_at: "2025-01-01T00:00:00Z", expires_at: "2025-07-01T00:00:00Z" },
+      { id: "l2", user_id: 7, amount_cents: 500, remaining_cents: 500, credited_at: "2026-05-01T00:00:00Z", expires_at: "2026-11-01T00:00:00Z" },
+      { id: "l3", user_id: 7, amount_cents: 300, remaining_cents: 300, credited_at: "2026-09-01T00:00:00Z", expires_at: "2027-03-01T00:00:00Z" },
+    ],
+  });
+  const events = [];
+  const notify = async (event) => events.push(event);
+  const effectiveFrom = new Date("2026-09-01T00:00:00Z");
+
+  // Antes de EFFECTIVE_FROM + 30 dias nenhum lote antigo vence.
+  const early = await expireDueLots({ now: new Date("2026-09-20T00:00:00Z"), effectiveFrom, notify }, { pgClient: db });
+  assert.equal(early.lots, 0);
+
+  const result = await expireDueLots({ now: new Date("2026-11-02T00:00:00Z"), effectiveFrom, notify }, { pgClient: db });
+  assert.deepEqual([result.lots, result.expired_cents], [2, 900]);
+
+  const expiredRows = db.state.ledger.filter((h) => h.event_type === "EXPIRED");
+  assert.deepEqual(expiredRows.map((h) => [h.delta_cents, h.balance_after_cents]), [[-700, 200], [-200, 0]]);
+  assert.equal(expiredRows[0].meta.lot_id, "l1");
+  assert.equal(db.state.users[0].coupon_value_cents, 0);
+  assert.deepEqual(db.state.lots.map((l) => l.status), ["expired", "expired", "open"]);
+  assert.deepEqual(db.state.movements.map((m) => [m.lot_id, m.kind, m.delta_cents]), [["l1", "expire", -700], ["l2", "expire", -500]]);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].eventKey, "BALANCE_EXPIRED");
+  assert.deepEqual([events[0].userId, events[0].metadata.balance_cents, events[0].metadata.remaining_balance_cents], [7, 900, 0]);
+});
+
+test("avisos de saldo vencendo saem uma vez por faixa", async () => {
+  const db = lotsDb({
+    lots: [
+      { id: "l1", user_id: 7, remaining_cents: 400, expires_at: "2026-11-25T12:00:00Z" },
+      { id: "l2", user_id: 7, remaining_cents: 600, expires_at: "2026-11-28T12:00:00Z" },
+      { id: "l3", user_id: 8, remaining_cents: 900, expires_at: "2027-02-01T00:00:00Z" },
+    ],
+  });
+  const events = [];
+  const notify = async (event) => events.push(event);
+  const effectiveFrom = new Date("2026-09-01T00:00:00Z");
+
+  await notifyExpiringLots({ now: new Date("2026-11-01T12:00:00Z"), effectiveFrom, notify }, { pgClient: db });
+  assert.deepEqual(events.map((e) => [e.eventKey, e.userId, e.metadata.balance_cents]), [["BALANCE_EXPIRING_30_DAYS", 7, 1000]]);
+  assert.equal(events[0].referenceKey, "balance_expiring:7:2026-11-25:30");
+
+  await notifyExpiringLots({ now: new Date("2026-11-02T12:00:00Z"), effectiveFrom, notify }, { pgClient: db });
+  assert.equal(events.length, 1);
+
+  await notifyExpiringLots({ now: new Date("2026-11-15T12:00:00Z"), effectiveFrom, notify }, { pgClient: db });
+  assert.deepEqual(events.slice(1).map((e) => [e.eventKey, e.metadata.balance_cents]), [["BALANCE_EXPIRING_10_DAYS", 400], ["BALANCE_EXPIRING_15_DAYS", 600]]);
+  assert.deepEqual(db.state.lots.map((l) => l.notified_threshold_days), [10, 15, null]);
+});
@@ -0,0 +1,292 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DISCREPANCY_KINDS,
+  ignoreDiscrepancy,
+  repairDiscrepancy,
+  runCouponReconciliation,
+} from "../src/services/couponReconciliation.js";
+import { fakeDb } from "./helpers.js";
+
+function reconcileDb({ users = [], payments = [], reservations = [], discrepancies = [], ledger = [] } = {}) {
+  const state = {
+    users: users.map((u) => ({ ...u })),
+    payments: payments.map((p) => ({ ...p })),
+    discrepancies: discrepancies.map((d) => ({ ...d })),
+    ledger: ledger.map((h) => ({ ...h })),
+    scanAt: 100,
+  };
+  let nextId = 1;
+
+  const ledgerSum = (userId) =>
+    state.ledger.filter((h) => h.user_id === userId).reduce((acc, h) => acc + h.delta_cents, 0);
+
+  const paymentRows = (paymentId, eventTypes) =>
+    state.payments
+      .filter((p) => paymentId == null || p.id === paymentId)
+      .map((p) => {
+        const rows = state.ledger.filter((h) => h.payment_id === p.id && eventTypes.includes(h.event_type));
+        const expected = Math.max(p.amount_cents - (p.wallet_coupon_cents || 0), 0);
+        const credited = rows.reduce((acc, h) => acc + h.delta_cents, 0);
+        return {
+          payment_id: p.id,
+          user_id: p.user_id,
+          draw_id: p.draw_id ?? 1,
+          provider: "mercadopago",
+          payment_status: "approved",
+          amount_cents: p.amount_cents,
+          wallet_coupon_cents: p.wallet_coupon_cents || 0,
+          qty: 1,
+          expected_cents: expected,
+          credited_cents: credited,
+          ledger_rows: rows.length,
+        };
+      })
+      .filter((row) => row.credited_cents !== row.expected_cents);
+
+  return fakeDb({ state }, (text, params) => {
+    if (text === "BEGIN" || text === "COMMIT" || text === "ROLLBACK") return { rows: [] };
+
+    if (text.includes("WITH ledger_by_user AS")) {
+      return {
+        rows: state.users
+          .filter((u) => params[0] == null || u.id === params[0])
+          .map((u) => ({ user_id: u.id, user_balance_cents: u.coupon_value_cents, ledger_balance_cents: ledgerSum(u.id) }))
+          .filter((r) => r.user_balance_cents !== r.ledger_balance_cents),
+      };
+    }
+    if (text.includes("WITH pay AS")) return { rows: paymentRows(params[0], params[1]) };
+    if (text.includes("FROM public.reservations r")) return { rows: reservations };
+
+    if (text.includes("INSERT INTO public.coupon_reconciliation_discrepancies")) {
+      const [kind, subjectKey, userId, paymentId, reservationId, expected, actual, diff, details] = params;
+      const ignored = state.discrepancies.some(
+        (d) => d.kind === kind && d.subject_key === subjectKey && d.status === "ignored" && d.diff_cents === diff
+      );
+      if (ignored) return { rows: [] };
+      const open = state.discrepancies.find((d) => d.kind === kind && d.subject_key === subjectKey && d.status === "open");
+      if (open) {
+        Object.assign(open, { expected_cents: expected, actual_cents: actual, diff_cents: diff, last_seen_at: state.scanAt });
+        return { rows: [{ id: open.id, inserted: false }] };
+      }
+      const row = {
+        id: `d-${nextId++}`,
+        kind,
+        subject_key: subjectKey,
+        user_id: userId,
+        payment_id: paymentId,
+        reservation_id: reservationId,
+        expected_cents: expected,
+        actual_cents: actual,
+        diff_cents: diff,
+        details: JSON.parse(details),
+        status: "open",
+        last_seen_at: state.scanAt,
+      };
+      state.discrepancies.push(row);
+      return { rows: [{ id: row.id, inserted: true }] };
+    }
+    if (text.includes("SET status = 'resolved'") && text.includes("last_seen_at < now()")) {
+      let rowCount = 0;
+      for (const d of state.discrepancies) {
+        if (d.status === "open" && d.last_seen_at < state.scanAt) {
+          Object.assign(d, { status: "resolved", resolution_reason: "not_found_on_scan" });
+          rowCount += 1;
+        }
+      }
+      return { rowCount };
+    }
+
+    if (text.includes("FROM public.coupon_reconciliation_discrepancies") && text.includes("FOR UPDATE")) {
+      return { rows: state.discrepancies.filter((d) => d.id === params[0]).map((d) => ({ ...d })) };
+    }
+    if (text.includes("UPDATE public.coupon_reconciliation_discrepancies")) {
+      const d = state.discrepancies.find((row) => row.id === params[0]);
+      if (text.includes("SET status = 'ignored'")) {
+        Object.assign(d, { status: "ignored", resolved_by: params[1], resolution_reason: params[2] });
+      } else {
+        Object.assign(d, { status: params[1], resolved_by: params[2], resolution_reason: params[3], repair_ledger_id: params[4] });
+      }
+      return { rows: [{ ...d }] };
+    }
+
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      const u = state.users.find((row) => row.id === params[0]);
+      return { rows: u ? [{ id: u.id, balance_cents: u.coupon_value_cents }] : [] };
+    }
+    if (text.includes("SUM(delta_cents)") && text.includes("WHERE user_id = $1")) {
+      return { rows: [{ ledger_balance_cents: ledgerSum(params[0]) }] };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      const [userId, paymentId, delta, before, after, eventType, drawId, runTraceId, meta] = params;
+      if (paymentId && state.ledger.some((h) => h.payment_id === paymentId && h.event_type === eventType)) {
+        return { rows: [] };
+      }
+      const row = {
+        id: `h-${nextId++}`,
+        user_id: userId,
+        payment_id: paymentId,
+        delta_cents: delta,
+        balance_before_cents: before,
+        balance_after_cents: after,
+        event_type: eventType,
+        draw_id: drawId,
+        run_trace_id: runTraceId,
+        meta: JSON.parse(meta),
+      };
+      state.ledger.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("UPDATE public.users")) {
+      const u = state.users.find((row) => row.id === params[0]);
+      u.coupon_value_cents += params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.payments")) {
+      const p = state.payments.find((row) => row.id === params[0]);
+      p.coupon_credited = true;
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("varredura grava as divergências e fecha as que sumiram", async () => {
+  const db = reconcileDb({
+    users: [
+      { id: 1, coupon_value_cents: 1500 },
+      { id: 2, coupon_value_cents: 1000 },
+    ],
+    payments: [{ id: "mp-1", user_id: 2, amount_cents: 1000 }],
+    ledger: [{ user_id: 1, payment_id: "mp-0", delta_cents: 1000, event_type: "CREDIT_PURCHASE" }],
+    reservations: [{ reservation_id: "r-9", user_id: 3, draw_id: 4, qty: 2, created_at: "2026-10-01T00:00:00Z" }],
+    discrepancies: [{ id: "old", kind: DISCREPANCY_KINDS.USER_BALANCE_VS_LEDGER, subject_key: "user:5", status: "open", last_seen_at: 1 }],
+  });
+
+  const result = await runCouponReconciliation({ pgClient: db });
+  assert.equal(result.found, 4);
+  assert.equal(result.opened, 4);
+  assert.equal(result.resolved, 1);
+  assert.equal(db.state.discrepancies.find((d) => d.id === "old").status, "resolved");
+
+  const byKey = Object.fromEntries(db.state.discrepancies.filter((d) => d.status === "open").map((d) => [d.subject_key, d]));
+  assert.equal(byKey["user:1"].diff_cents, 500);
+  assert.equal(byKey["user:2"].diff_cents, 1000);
+  assert.equal(byKey["payment:mp-1"].kind, DISCREPANCY_KINDS.PAYMENT_MISSING_CREDIT);
+  assert.equal(byKey["payment:mp-1"].diff_cents, 1000);
+  assert.equal(byKey["reservation:r-9"].kind, DISCREPANCY_KINDS.PAID_RESERVATION_WITHOUT_PAYMENT);
+
+  // Segunda varredura: nada novo, as mesmas continuam abertas.
+  db.state.scanAt = 200;
+  const again = await runCouponReconciliation({ pgClient: db });
+  assert.equal(again.opened, 0);
+  assert.equal(again.still_open, 4);
+  assert.equal(again.resolved, 0);
+});
+
+test("divergência ignorada só reabre se a diferença mudar", async () => {
+  const db = reconcileDb({
+    users: [{ id: 1, coupon_value_cents: 700 }],
+    discrepancies: [{ id: "ign", kind: DISCREPANCY_KINDS.USER_BALANCE_VS_LEDGER, subject_key: "user:1", status: "ignored", diff_cents: 700 }],
+  });
+
+  const same = await runCouponReconciliation({ pgClient: db });
+  assert.equal(same.ignored, 1);
+  assert.equal(same.opened, 0);
+
+  db.state.users[0].coupon_value_cents = 900;
+  const changed = await runCouponReconciliation({ pgClient: db });
+  assert.equal(changed.opened, 1);
+});
+
+test("reparo de pagamento sem crédito lança o crédito com admin e motivo", async () => {
+  const db = reconcileDb({
+    users: [{ id: 2, coupon_value_cents: 300 }],
+    payments: [{ id: "mp-1", user_id: 2, amount_cents: 1000, wallet_coupon_cents: 200 }],
+    ledger: [{ user_id: 2, delta_cents: 300, event_type: "ADMIN_BALANCE_ADJUSTMENT" }],
+  });
+  await runCouponReconciliation({ pgClient: db });
+  const discrepancy = db.state.discrepancies.find((d) => d.subject_key === "payment:mp-1");
+  assert.equal(discrepancy.diff_cents, 800);
+
+  await assert.rejects(
+    () => repairDiscrepancy({ discrepancyId: discrepancy.id, adminUserId: 9, reason: "  " }, { pgClient: db }),
+    { code: "reason_required" }
+  );
+
+  const result = await repairDiscrepancy(
+    { discrepancyId: discrepancy.id, adminUserId: 9, reason: "webhook perdido" },
+    { pgClient: db }
+  );
+  assert.equal(result.discrepancy.status, "repaired");
+  assert.equal(result.discrepancy.resolved_by, 9);
+  assert.equal(result.repair.delta_cents, 800);
+  assert.equal(db.state.users[0].coupon_value_cents, 1100);
+  assert.equal(db.state.payments[0].coupon_credited, true);
+
+  const entry = db.state.ledger.find((h) => h.id === result.discrepancy.repair_ledger_id);
+  assert.equal(entry.event_type, "CREDIT_PURCHASE_RECONCILIATION");
+  assert.equal(entry.balance_before_cents, 300);
+  assert.equal(entry.balance_after_cents, 1100);
+  assert.equal(entry.run_trace_id, `reconcile:${discrepancy.id}`);
+  assert.deepEqual(
+    [entry.meta.admin_user_id, entry.meta.reason, entry.meta.discrepancy_id],
+    [9, "webhook perdido", discrepancy.id]
+  );
+
+  await assert.rejects(
+    () => repairDiscrepancy({ discrepancyId: discrepancy.id, adminUserId: 9, reason: "de novo" }, { pgClient: db }),
+    { code: "discrepancy_not_open" }
+  );
+});
+
+test("reparo de saldo x ledger compensa o ledger sem mexer no saldo", async () => {
+  const db = reconcileDb({
+    users: [{ id: 1, coupon_value_cents: 1500 }],
+    ledger: [{ user_id: 1, delta_cents: 1000, event_type: "CREDIT_PURCHASE" }],
+  });
+  await runCouponReconciliation({ pgClient: db });
+  const [discrepancy] = db.state.discrepancies;
+
+  const result = await repairDiscrepancy({ discrepancyId: discrepancy.id, adminUserId: 9, reason: "saldo legado" }, { pgClient: db });
+  assert.equal(result.repair.delta_cents, 500);
+  assert.equal(result.repair.balance_changed, false);
+  assert.equal(db.state.users[0].coupon_value_cents, 1500);
+  const entry = db.state.ledger.at(-1);
+  assert.equal(entry.event_type, "LEDGER_RECONCILIATION_ADJUSTMENT");
+  assert.equal(entry.payment_id, null);
+  assert.equal(entry.balance_after_cents, 1500);
+
+  db.state.scanAt = 200;
+  const after = await runCouponReconciliation({ pgClient: db });
+  assert.equal(after.found, 0);
+});
+
+test("reparo que deixaria o saldo negativo é recusado; reserva sem pagamento só pode ser ignorada", async () => {
+  const db = reconcileDb({
+    users: [{ id: 2, coupon_value_cents: 100 }],
+    payments: [{ id: "mp-1", user_id: 2, amount_cents: 1000 }],
+    ledger: [{ user_id: 2, payment_id: "mp-1", delta_cents: 1500, event_type: "CREDIT_PURCHASE" }],
+    discrepancies: [{ id: "res", kind: DISCREPANCY_KINDS.PAID_RESERVATION_WITHOUT_PAYMENT, subject_key: "reservation:r-1", status: "open" }],
+  });
+  db.state.ledger.push({ user_id: 2, delta_cents: -1400, event_type: "DEBIT_REDEEMED" });
+  await runCouponReconciliation({ pgClient: db });
+  const mismatch = db.state.discrepancies.find((d) => d.subject_key === "payment:mp-1");
+  assert.equal(mismatch.kind, DISCREPANCY_KINDS.PAYMENT_CREDIT_MISMATCH);
+  assert.equal(mismatch.diff_cents, -500);
+
+  await assert.rejects(
+    () => repairDiscrepancy({ discrepancyId: mismatch.id, adminUserId: 9, reason: "sobrecrédito" }, { pgClient: db }),
+    { code: "repair_negative_balance", balance_cents: 100, delta_cents: -500 }
+  );
+  assert.equal(db.state.users[0].coupon_value_cents, 100);
+
+  await assert.rejects(
+    () => repairDiscrepancy({ discrepancyId: "res", adminUserId: 9, reason: "x" }, { pgClient: db }),
+    { code: "discrepancy_not_repairable" }
+  );
+  const ignored = await ignoreDiscrepancy({ discrepancyId: "res", adminUserId: 9, reason: "pago por fora" }, { pgClient: db });
+  assert.equal(ignored.discrepancy.status, "ignored");
+  assert.equal(ignored.discrepancy.resolution_reason, "pago por fora");
+});
@@ -70,3 +70,17 @@ test("não fecha enquanto ainda existe número disponível", async () => {
   assert.equal(result.closed, false);
   assert.equal(db.calls.some((sql) => sql.includes("UPDATE public.draws")), false);
 });
+
+test("não fecha quando a cartela ainda não tem todos os números criados", async () => {
+  const db = lifecycleDb({
+    stats: { total: 100, sold: 100, available: 0, reserved: 0 },
+    draw: { id: 43, status: "open", closed_at: null, number_count: 1000 },
+  });
+
+  const result = await closeDrawIfSoldOut(43, db);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.closed, false);
+  assert.equal(result.stats.number_count, 1000);
+  assert.equal(db.calls.some((sql) => sql.includes("UPDATE public.draws")), false);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ensureNumbersForDraw,
+  filterDrawNumbers,
+  formatDrawNumber,
+  getDrawNumberCount,
+  normalizeNumberCount,
+  remainingThresholdFromEventKey,
+  remainingThresholdReached,
+} from "../src/services/drawNumbers.js";
+
+test("cartela padrão continua 00–99 e maiores ganham mais dígitos", () => {
+  assert.equal(formatDrawNumber(7), "07");
+  assert.equal(formatDrawNumber(7, 100), "07");
+  assert.equal(formatDrawNumber(7, 1000), "007");
+  assert.equal(formatDrawNumber(999, 1000), "999");
+  assert.equal(formatDrawNumber(3, 10), "03");
+  assert.equal(formatDrawNumber(42, 10000), "0042");
+});
+
+test("números fora da cartela do sorteio são descartados", () => {
+  assert.deepEqual(filterDrawNumbers([0, 99, 100, 999, -1, 1.5, "12"], 100), [0, 99, 12]);
+  assert.deepEqual(filterDrawNumbers([0, 99, 100, 999, 1000], 1000), [0, 99, 100, 999]);
+  assert.deepEqual(filterDrawNumbers(null, 1000), []);
+});
+
+test("number_count aceita 1..10000 e usa 100 por padrão", () => {
+  assert.deepEqual(normalizeNumberCount(undefined), { count: 100 });
+  assert.deepEqual(normalizeNumberCount("1000"), { count: 1000 });
+  assert.equal(normalizeNumberCount(0).error, "invalid_number_count");
+  assert.equal(normalizeNumberCount(10001).error, "invalid_number_count");
+});
+
+test("getDrawNumberCount lê o sorteio e tolera banco sem a coluna", async () => {
+  const db = { async query() { return { rows: [{ number_count: 1000 }] }; } };
+  assert.equal(await getDrawNumberCount(5, db), 1000);
+
+  const legacy = {
+    async query() {
+      throw Object.assign(new Error("column does not exist"), { code: "42703" });
+    },
+  };
+  assert.equal(await getDrawNumberCount(5, legacy), 100);
+});
+
+test("ensureNumbersForDraw gera a cartela inteira do sorteio", async () => {
+  const calls = [];
+  const db = {
+    async query(sql, params) {
+      calls.push({ sql: String(sql), params });
+      if (String(sql).includes("SELECT number_count")) return { rows: [{ number_count: 1000 }] };
+      return { rows: [], rowCount: 1000 };
+    },
+  };
+  assert.equal(await ensureNumbersForDraw(9, db), 1000);
+  const insert = calls.find((c) => c.sql.includes("INSERT INTO public.numbers"));
+  assert.deepEqual(insert.params, [9, 1000]);
+});
+
+test("limites de números restantes são porcentagem da cartela", () => {
+  assert.equal(remainingThresholdFromEventKey("DRAW_REMAINING_NUMBERS_20"), 20);
+  assert.equal(remainingThresholdFromEventKey("EMAIL_DRAW_REMAINING_15"), 15);
+
+  assert.equal(remainingThresholdReached({ remaining: 75, numberCount: 100, percent: 75 }), true);
+  assert.equal(remainingThresholdReached({ remaining: 76, numberCount: 100, percent: 75 }), false);
+  assert.equal(remainingThresholdReached({ remaining: 100, numberCount: 1000, percent: 10 }), true);
+  assert.equal(remainingThresholdReached({ remaining: 101, numberCount: 1000, percent: 10 }), false);
+});
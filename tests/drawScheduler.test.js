@@ -0,0 +1,197 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  applyDrawDeadline,
+  normalizeDrawSchedule,
+  openScheduledDraw,
+  refundDrawPayments,
+  runDrawSchedulerTick,
+} from "../src/services/drawScheduler.js";
+import { fakeDb } from "./helpers.js";
+
+function schedulerDb({ draw, openPrincipal = null, payments = [] }) {
+  const state = { draw: { ...draw } };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("WHERE status = 'scheduled'") && text.includes("scheduled_open_at <= now()")) {
+      return { rows: state.draw.status === "scheduled" ? [{ id: state.draw.id }] : [] };
+    }
+    if (text.includes("WHERE status = 'open'") && text.includes("scheduled_close_at <= now()")) {
+      return { rows: state.draw.status === "open" && state.draw.due ? [{ id: state.draw.id }] : [] };
+    }
+    if (text.includes("WHERE deadline_outcome = 'refunding'")) {
+      return { rows: state.draw.deadline_outcome === "refunding" ? [{ id: state.draw.id }] : [] };
+    }
+    if (text.includes("FOR UPDATE")) return { rows: [{ ...state.draw }] };
+    if (text.includes("pg_advisory_xact_lock")) return { rows: [] };
+    if (text.includes("SELECT id") && text.includes("WHERE status = 'open'")) {
+      return { rows: openPrincipal ? [{ id: openPrincipal }] : [] };
+    }
+    if (text.includes("SET status = 'open'")) {
+      state.draw = { ...state.draw, status: "open", opened_at: "2026-10-19T12:00:00.000Z" };
+      return { rows: [{ ...state.draw }], rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.numbers")) return { rows: [], rowCount: params[1] };
+    if (text.includes("deadline_extensions = deadline_extensions + 1")) {
+      state.draw = {
+        ...state.draw,
+        deadline_extensions: Number(state.draw.deadline_extensions || 0) + 1,
+        deadline_outcome: "extended",
+        due: false,
+      };
+      return { rows: [{ scheduled_close_at: "2026-10-20T12:00:00.000Z", deadline_extensions: state.draw.deadline_extensions }] };
+    }
+    if (text.includes("SET status = 'cancelled'")) {
+      state.draw = { ...state.draw, status: "cancelled", deadline_outcome: "refunding" };
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'closed'")) {
+      state.draw = { ...state.draw, status: "closed", deadline_outcome: "run" };
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("FROM public.payments p") && text.includes("ORDER BY p.id")) {
+      return { rows: payments.filter((p) => !p.refunded).map((p) => ({ id: p.id })) };
+    }
+    if (text.includes("COUNT(*)::int AS pending")) {
+      return { rows: [{ pending: payments.filter((p) => !p.refunded).length }] };
+    }
+    if (text.includes("SET deadline_outcome = 'refunded'")) {
+      state.draw = { ...state.draw, deadline_outcome: "refunded" };
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("normalizeDrawSchedule valida datas e política", () => {
+  const now = new Date("2026-10-19T12:00:00.000Z");
+  const ok = normalizeDrawSchedule({
+    scheduled_open_at: "2026-10-20T12:00:00.000Z",
+    scheduled_close_at: "2026-10-27T12:00:00.000Z",
+    deadline_policy: "Refund",
+  }, { now });
+  assert.equal(ok.scheduledOpenAt.toISOString(), "2026-10-20T12:00:00.000Z");
+  assert.equal(ok.deadlinePolicy, "refund");
+  assert.equal(normalizeDrawSchedule({}, { now }).scheduledCloseAt, undefined);
+
+  assert.throws(() => normalizeDrawSchedule({ scheduled_open_at: "amanhã" }, { now }), { code: "invalid_scheduled_open_at" });
+  assert.throws(() => normalizeDrawSchedule({ deadline_policy: "wait" }, { now }), { code: "invalid_deadline_policy" });
+  assert.throws(
+    () => normalizeDrawSchedule({ scheduled_close_at: "2026-10-18T12:00:00.000Z" }, { now }),
+    { code: "scheduled_close_in_past" }
+  );
+  assert.throws(
+    () => normalizeDrawSchedule(
+      { scheduled_close_at: "2026-10-20T00:00:00.000Z" },
+      { now, current: { scheduled_open_at: "2026-10-21T00:00:00.000Z" } }
+    ),
+    { code: "scheduled_close_before_open" }
+  );
+});
+
+test("tick abre o sorteio agendado, gera a cartela e dispara o pipeline de abertura", async () => {
+  const db = schedulerDb({
+    draw: { id: 7, status: "scheduled", draw_type: "principal", product_name: "iPhone", number_count: 200 },
+  });
+  const opened = [];
+
+  const result = await runDrawSchedulerTick({ pgClient: db }, {
+    onDrawOpened: async (draw) => {
+      opened.push(draw);
+      return { autopay: { ok: true } };
+    },
+  });
+
+  assert.equal(result.opened.length, 1);
+  assert.equal(result.opened[0].action, "opened");
+  assert.equal(db.state.draw.status, "open");
+  assert.equal(opened.length, 1);
+  assert.equal(opened[0].id, 7);
+  const numbers = db.calls.find((c) => c.sql.includes("INSERT INTO public.numbers"));
+  assert.deepEqual(numbers.params, [7, 200]);
+});
+
+test("não abre principal agendado enquanto outro principal está aberto", async () => {
+  const db = schedulerDb({
+    draw: { id: 8, status: "scheduled", draw_type: "principal", number_count: 100 },
+    openPrincipal: 5,
+  });
+  let called = false;
+
+  const result = await openScheduledDraw(8, { pgClient: db }, { onDrawOpened: async () => { called = true; } });
+
+  assert.equal(result.action, "blocked");
+  assert.equal(result.reason, "principal_draw_already_open");
+  assert.equal(result.current_draw_id, 5);
+  assert.equal(db.state.draw.status, "scheduled");
+  assert.equal(called, false);
+});
+
+test("política extend prorroga até o limite e depois encerra como run", async (t) => {
+  const previous = process.env.DRAW_DEADLINE_MAX_EXTENSIONS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.DRAW_DEADLINE_MAX_EXTENSIONS;
+    else process.env.DRAW_DEADLINE_MAX_EXTENSIONS = previous;
+  });
+  process.env.DRAW_DEADLINE_MAX_EXTENSIONS = "1";
+
+  const db = schedulerDb({
+    draw: { id: 9, status: "open", scheduled_close_at: "2026-10-19T11:00:00.000Z", deadline_policy: "extend", deadline_extensions: 0, due: true },
+  });
+
+  const first = await applyDrawDeadline(9, { pgClient: db });
+  assert.equal(first.action, "extended");
+  assert.equal(first.deadline_extensions, 1);
+  assert.equal(db.state.draw.status, "open");
+
+  db.state.draw.due = true;
+  const second = await applyDrawDeadline(9, { pgClient: db });
+  assert.equal(second.action, "closed");
+  assert.equal(db.state.draw.status, "closed");
+  assert.equal(db.state.draw.deadline_outcome, "run");
+});
+
+test("política refund cancela o sorteio e estorna os pagamentos aprovados", async () => {
+  const payments = [{ id: "p1" }, { id: "p2" }];
+  const db = schedulerDb({
+    draw: { id: 10, status: "open", scheduled_close_at: "2026-10-19T11:00:00.000Z", deadline_policy: "refund", deadline_extensions: 0, due: true },
+    payments,
+  });
+  const refunded = [];
+  const refundPayment = async ({ paymentId, reason }) => {
+    refunded.push({ paymentId, reason });
+    payments.find((p) => p.id === paymentId).refunded = true;
+    return { ok: true };
+  };
+
+  const result = await runDrawSchedulerTick({ pgClient: db }, { refundPayment });
+
+  assert.equal(result.deadlines[0].action, "cancelled");
+  assert.equal(db.state.draw.status, "cancelled");
+  assert.deepEqual(refunded, [
+    { paymentId: "p1", reason: "draw_deadline_refund" },
+    { paymentId: "p2", reason: "draw_deadline_refund" },
+  ]);
+  assert.equal(result.refunds[0].completed, true);
+  assert.equal(db.state.draw.deadline_outcome, "refunded");
+});
+
+test("estorno com falha mantém o sorteio em refunding para nova tentativa", async () => {
+  const db = schedulerDb({
+    draw: { id: 11, status: "cancelled", deadline_outcome: "refunding" },
+    payments: [{ id: "p9" }],
+  });
+
+  const summary = await refundDrawPayments(11, { pgClient: db }, {
+    refundPayment: async () => {
+      const err = new Error("mp_refund_failed");
+      err.code = "mp_refund_failed";
+      throw err;
+    },
+  });
+
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.pending, 1);
+  assert.equal(summary.completed, undefined);
+  assert.equal(db.state.draw.deadline_outcome, "refunding");
+});
@@ -0,0 +1,218 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  emailConsentAllowedSql,
+  getEmailConsentStatusForUser,
+} from "../src/services/notifications/communicationConsent.js";
+import {
+  appendEmailUnsubscribeFooter,
+  buildEmailUnsubscribeUrl,
+  createEmailUnsubscribeToken,
+  emailUnsubscribeHeaders,
+  unsubscribeEmailByToken,
+  verifyEmailUnsubscribeToken,
+} from "../src/services/notifications/emailUnsubscribe.js";
+import { buildManualNotificationPreview } from "../src/services/notifications/manualNotificationPreview.js";
+import { sendManualEmailNotification } from "../src/services/notifications/manualEmailNotifications.js";
+import { handleAutomaticEmailEvent } from "../src/services/notifications/automaticEmailNotifications.js";
+import { fakePg, rowResult, TEST_SECRETS, withEnv } from "./helpers.js";
+
+test("unsubscribe token round-trips and rejects tampering", () => withEnv(TEST_SECRETS, () => {
+  const token = createEmailUnsubscribeToken({ userId: 42, category: "marketing" });
+  assert.deepEqual(verifyEmailUnsubscribeToken(token), { userId: 42, category: "marketing" });
+
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from("43:marketing").toString("base64url");
+  assert.throws(() => verifyEmailUnsubscribeToken(`${forged}.${signature}`), { code: "email_unsubscribe_token_invalid" });
+  assert.throws(() => verifyEmailUnsubscribeToken(`${payload}.x${signature.slice(1)}`), { code: "email_unsubscribe_token_invalid" });
+  assert.throws(() => verifyEmailUnsubscribeToken(""), { code: "email_unsubscribe_token_invalid" });
+  assert.throws(() => createEmailUnsubscribeToken({ userId: 1, category: "promo" }), { code: "email_consent_category_invalid" });
+}));
+
+test("unsubscribe URL uses the backend public URL and footer is appended once", () => {
+  return withEnv({ ...TEST_SECRETS, EMAIL_UNSUBSCRIBE_PUBLIC_URL: undefined, PUBLIC_URL: "https://api.example.test/" }, () => {
+    const url = buildEmailUnsubscribeUrl({ userId: 7, category: "operational" });
+    assert.match(url, /^https:\/\/api\.example\.test\/api\/email\/unsubscribe\?token=/);
+    assert.deepEqual(emailUnsubscribeHeaders(url), {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+
+    const withFooter = appendEmailUnsubscribeFooter({ subject: "Oi", html: "<p>Oi</p>", text: "Oi" }, url);
+    assert.equal(withFooter.subject, "Oi");
+    assert.match(withFooter.html, /Descadastrar<\/a><\/p>$/);
+    assert.ok(withFooter.text.endsWith(url));
+
+    const inline = appendEmailUnsubscribeFooter({ html: `<a href="${url}">sair</a>`, text: `sair: ${url}` }, url);
+    assert.equal(inline.html, `<a href="${url}">sair</a>`);
+    assert.equal(inline.text, `sair: ${url}`);
+  });
+});
+
+test("unsubscribe by token records an unsubscribed email consent", () => withEnv(TEST_SECRETS, async () => {
+  const pgClient = fakePg((sql, params) => rowResult([{
+    user_id: params[0],
+    channel: params[7],
+    category: params[1],
+    status: params[2],
+    source: params[3],
+    created_at: new Date(),
+  }]));
+  const token = createEmailUnsubscribeToken({ userId: 9, category: "marketing" });
+  const out = await unsubscribeEmailByToken({ token, source: "list_unsubscribe" }, { pgClient });
+  assert.deepEqual(out, { ok: true, user_id: 9, category: "marketing" });
+  const [insert] = pgClient.calls;
+  assert.match(insert.sql, /INSERT INTO public\.communication_consents/);
+  assert.deepEqual(insert.params.slice(0, 4), [9, "marketing", "unsubscribed", "list_unsubscribe"]);
+  assert.equal(insert.params[7], "email");
+}));
+
+test("email consent defaults to allowed and marketing opt-in is configurable", async () => {
+  await withEnv({ NOTIFICATION_EMAIL_MARKETING_REQUIRE_OPT_IN: undefined }, () => {
+    assert.match(emailConsentAllowedSql("marketing"), /, true\)$/);
+    assert.match(emailConsentAllowedSql("marketing", "u.id", { requireGranted: true }), /, false\)$/);
+  });
+  await withEnv({ NOTIFICATION_EMAIL_MARKETING_REQUIRE_OPT_IN: "true" }, async () => {
+    assert.match(emailConsentAllowedSql("marketing"), /, false\)$/);
+    assert.match(emailConsentAllowedSql("operational"), /, true\)$/);
+
+    const pgClient = fakePg(() => rowResult([]));
+    const missing = await getEmailConsentStatusForUser({ pgClient, userId: 3, category: "marketing" });
+    assert.equal(missing.email_consent_status, "default");
+    assert.equal(missing.email_can_send, false);
+  });
+
+  const revokedPg = fakePg(() => rowResult([{ user_id: 3, channel: "email", category: "all", status: "unsubscribed" }]));
+  const revoked = await getEmailConsentStatusForUser({ pgClient: revokedPg, userId: 3, category: "operational" });
+  assert.equal(revoked.email_can_send, false);
+  assert.deepEqual(revokedPg.calls[0].params, [3, "email", ["operational", "all"]]);
+});
+
+function consentUsersPg(users, { sentDispatches = [] } = {}) {
+  return fakePg((sql, params) => {
+    if (sql.includes("FROM public.users")) {
+      const consentRequired = /, false\)\s+AS email_can_send/.test(sql);
+      return rowResult(users
+        .filter((user) => !Array.isArray(params[0]) || params[0].includes(user.id))
+        .map((user) => ({
+          ...user,
+          email_can_send: user.consent === "granted" || (!consentRequired && user.consent !== "unsubscribed"),
+        })));
+    }
+    if (sql.includes("INSERT INTO public.notification_campaigns")) return rowResult([{ id: 1, status: "created" }]);
+    if (sql.includes("INSERT INTO public.notification_dispatches")) {
+      sentDispatches.push(params);
+      return rowResult([{ id: sentDispatches.length, status: "pending" }]);
+    }
+    if (sql.includes("UPDATE public.notification_dispatches")) return rowResult([{ id: params[0], status: "accepted" }]);
+    if (sql.includes("UPDATE public.notification_campaigns")) return rowResult([{ id: 1, status: "created" }]);
+    return rowResult([]);
+  });
+}
+
+const CONSENT_USERS = [
+  { id: 1, name: "Ana", email: "ana@example.com", consent: "granted" },
+  { id: 2, name: "Bia", email: "bia@example.com", consent: null },
+  { id: 3, name: "Caio", email: "caio@example.com", consent: "unsubscribed" },
+];
+
+test("manual email audiences skip unsubscribed users and all_consented needs explicit opt-in", async () => {
+  const withEmail = await buildManualNotificationPreview({
+    pgClient: consentUsersPg(CONSENT_USERS),
+    payload: { channel: "email", audience: "all_with_email", subject: "Oi", text: "Oi" },
+  });
+  assert.equal(withEmail.category, "marketing");
+  assert.equal(withEmail.valid_emails, 2);
+  assert.equal(withEmail.blocked_by_consent, 1);
+
+  const consented = await buildManualNotificationPreview({
+    pgClient: consentUsersPg(CONSENT_USERS),
+    payload: { channel: "email", audience: "all_consented", subject: "Oi", text: "Oi" },
+  });
+  assert.deepEqual(consented.normalized.eligibleUserIds, [1]);
+  assert.equal(consented.blocked_by_consent, 2);
+  assert.equal(consented.requires_bulk_confirmation, true);
+
+  await assert.rejects(
+    () => buildManualNotificationPreview({
+      pgClient: consentUsersPg(CONSENT_USERS),
+      payload: { channel: "email", audience: "all_consented", category: "promo" },
+    }),
+    { code: "email_consent_category_invalid" }
+  );
+});
+
+test("manual email send adds the unsubscribe link and List-Unsubscribe header per recipient", () => withEnv(TEST_SECRETS, async () => {
+  const messages = [];
+  const result = await sendManualEmailNotification({
+    pgClient: consentUsersPg(CONSENT_USERS),
+    payload: {
+      audience: "selected",
+      user_ids: [1, 2, 3],
+      category: "operational",
+      subject: "Aviso",
+      html: "<p>Olá {{name}}</p>",
+      text: "Olá {{name}}",
+      confirm_bulk_send: true,
+    },
+    transporter: {
+      async sendMail(message) {
+        messages.push(message);
+        return { messageId: `m${messages.length}`, accepted: [message.to] };
+      },
+    },
+  });
+
+  assert.equal(result.sent, 2);
+  assert.equal(result.blocked_by_consent, 1);
+  assert.deepEqual(messages.map((message) => message.to), ["ana@example.com", "bia@example.com"]);
+  for (const [index, message] of messages.entries()) {
+    const url = message.headers["List-Unsubscribe"].slice(1, -1);
+    assert.deepEqual(verifyEmailUnsubscribeToken(new URL(url).searchParams.get("token")), {
+      userId: index + 1,
+      category: "operational",
+    });
+    assert.equal(message.headers["List-Unsubscribe-Post"], "List-Unsubscribe=One-Click");
+    assert.ok(message.text.includes(url));
+  }
+}));
+
+test("automatic emails use the event category for the unsubscribe link", () => {
+  return withEnv({ ...TEST_SECRETS, NOTIFICATION_EMAIL_AUTOMATION_ENABLED: "true" }, async () => {
+    const messages = [];
+    const result = await handleAutomaticEmailEvent({
+      eventKey: "NEW_DRAW_PUBLISHED",
+      referenceKey: "draw:5:new",
+      metadata: { draw_id: 5 },
+    }, {
+      loadDrawContext: async () => ({
+        draw: { id: 5, status: "open", draw_type: "principal", number_count: 100 },
+        drawName: "Sorteio 5",
+        drawUrl: "https://example.test/?draw_id=5",
+      }),
+      loadRecipients: async () => [{ id: 8, name: "Dani", email: "dani@example.com" }],
+      alreadyDispatched: async () => false,
+      getSmtpConfig: () => ({ fromName: "New Store", fromEmail: "contato@example.com", replyTo: "contato@example.com" }),
+      createSmtpTransporter: () => ({
+        async sendMail(message) {
+          messages.push(message);
+          return { messageId: "m1", accepted: [message.to] };
+        },
+      }),
+      createCampaign: async () => ({ id: 1 }),
+      createDispatch: async () => ({ id: 1 }),
+      markDispatchAccepted: async () => ({}),
+      markDispatchFailed: async () => ({}),
+      updateCampaignAudienceCounts: async () => ({}),
+    });
+
+    assert.equal(result.sent, 1);
+    const url = messages[0].headers["List-Unsubscribe"].slice(1, -1);
+    assert.deepEqual(verifyEmailUnsubscribeToken(new URL(url).searchParams.get("token")), {
+      userId: 8,
+      category: "marketing",
+    });
+    assert.match(messages[0].html, /Descadastrar/);
+  });
+});
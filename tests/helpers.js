@@ -0,0 +1,50 @@
+// tests/helpers.js — utilitários compartilhados pelos testes: pg falso e variáveis de ambiente.
+
+export function rowResult(rows) {
+  return { rows, rowCount: rows.length };
+}
+
+/**
+ * Client pg falso: registra cada chamada em `calls` ({ sql, params }) e delega a resposta ao handler.
+ * Com `compact`, o SQL chega ao handler com os espaços colapsados, para casar trechos em uma linha só.
+ */
+export function fakePg(handler, { compact = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params = []) {
+      const text = compact ? String(sql).replace(/\s+/g, " ").trim() : String(sql);
+      calls.push({ sql: text, params });
+      return (await handler(text, params)) ?? rowResult([]);
+    },
+  };
+}
+
+/** Banco falso em memória: um fakePg com os campos de `exposed` (estado, relógio...) acessíveis nas asserções. */
+export function fakeDb(exposed, handler, options) {
+  return Object.assign(fakePg(handler, options), exposed);
+}
+
+/** Define as variáveis (undefined remove) só durante fn e restaura os valores anteriores no final. */
+export async function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  const assign = (entries) => {
+    for (const [name, value] of Object.entries(entries)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  assign(values);
+  try {
+    return await fn();
+  } finally {
+    assign(previous);
+  }
+}
+
+/** Segredos fixos dos testes, para a suíte não depender dos segredos exportados no ambiente. */
+export const TEST_SECRETS = {
+  JWT_SECRET: "test-jwt-secret",
+  ADMIN_TOTP_KEY: "test-totp-key",
+  EMAIL_UNSUBSCRIBE_SECRET: "test-unsubscribe-secret",
+};
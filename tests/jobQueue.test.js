@@ -0,0 +1,296 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  computeRetryDelayMs,
+  createJobRegistry,
+  defineJob,
+  ensureRecurringJobs,
+  enqueueJob,
+  purgeFinishedJobs,
+  recoverStaleJobs,
+  retryJob,
+  runJobWorkerTick,
+} from "../src/services/jobQueue.js";
+import { fakeDb } from "./helpers.js";
+
+const PENDING = ["queued", "running"];
+
+// Fila em memória com a semântica das queries de jobQueue.js (relógio controlado por `now`).
+function jobsDb() {
+  const jobs = [];
+  const clock = { now: Date.parse("2026-10-19T12:00:00.000Z") };
+  let seq = 0;
+  return fakeDb({ jobs, clock }, (text, params) => {
+    if (text.includes("INSERT INTO public.background_jobs")) {
+      const [name, payload, dedupeKey, runAt, maxAttempts] = params;
+      if (dedupeKey && jobs.some((j) => j.dedupe_key === dedupeKey && PENDING.includes(j.status))) {
+        return { rows: [], rowCount: 0 };
+      }
+      const job = {
+        id: ++seq,
+        name,
+        payload: JSON.parse(payload),
+        status: "queued",
+        dedupe_key: dedupeKey,
+        run_at: runAt.getTime(),
+        attempts: 0,
+        max_attempts: maxAttempts,
+        locked_by: null,
+        locked_at: null,
+        last_error: null,
+        finished_at: null,
+      };
+      jobs.push(job);
+      return { rows: [{ ...job }], rowCount: 1 };
+    }
+    if (text.includes("locked_at < now() - make_interval")) {
+      const stale = jobs.filter((j) => j.status === "running" && j.locked_at < clock.now - params[0]);
+      for (const j of stale) {
+        j.status = j.attempts >= j.max_attempts ? "dead" : "queued";
+        j.last_error = `lock_expired: ${j.locked_by}`;
+        j.run_at = clock.now;
+        j.locked_by = null;
+        j.locked_at = null;
+      }
+      return {
+        rows: stale.map((j) => ({ id: j.id, name: j.name, status: j.status, dedupe_key: j.dedupe_key })),
+        rowCount: stale.length,
+      };
+    }
+    if (text.includes("SET status = 'running'")) {
+      const [workerId, names] = params;
+      const job = jobs
+        .filter((j) => j.status === "queued" && j.run_at <= clock.now && names.includes(j.name))
+        .sort((a, b) => a.run_at - b.run_at || a.id - b.id)[0];
+      if (!job) return { rows: [], rowCount: 0 };
+      Object.assign(job, { status: "running", attempts: job.attempts + 1, locked_by: workerId, locked_at: clock.now });
+      return { rows: [{ ...job }], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'succeeded'")) {
+      const job = jobs.find((j) => j.id === params[0] && j.status === "running" && j.locked_by === params[1]);
+      if (!job) return { rowCount: 0 };
+      Object.assign(job, {
+        status: "succeeded",
+        result: JSON.parse(params[2]),
+        locked_by: null,
+        locked_at: null,
+        finished_at: clock.now,
+      });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = $3")) {
+      const job = jobs.find((j) => j.id === params[0] && j.status === "running" && j.locked_by === params[1]);
+      if (!job) return { rowCount: 0 };
+      Object.assign(job, {
+        status: params[2],
+        last_error: params[3],
+        run_at: params[2] === "queued" ? clock.now + params[4] : job.run_at,
+        locked_by: null,
+        locked_at: null,
+        finished_at: params[2] === "dead" ? clock.now : null,
+      });
+      return { rowCount: 1 };
+    }
+    if (text.includes("AND status = 'dead'") && text.includes("attempts = 0")) {
+      const job = jobs.find((j) => j.id === Number(params[0]) && j.status === "dead");
+      if (!job) return { rows: [], rowCount: 0 };
+      if (job.dedupe_key && jobs.some((j) => j !== job && j.dedupe_key === job.dedupe_key && PENDING.includes(j.status))) {
+        const error = new Error("duplicate key");
+        error.code = "23505";
+        throw error;
+      }
+      Object.assign(job, { status: "queued", attempts: 0, run_at: clock.now });
+      return { rows: [{ ...job }], rowCount: 1 };
+    }
+    if (text.includes("DELETE FROM public.background_jobs")) {
+      const cutoff = clock.now - params[0] * 24 * 60 * 60 * 1000;
+      const expired = jobs.filter((j) => ["succeeded", "dead"].includes(j.status) && j.finished_at < cutoff);
+      for (const j of expired) jobs.splice(jobs.indexOf(j), 1);
+      return { rowCount: expired.length };
+    }
+    if (text.includes("SELECT * FROM public.background_jobs WHERE id = $1")) {
+      const job = jobs.find((j) => j.id === Number(params[0]));
+      return { rows: job ? [{ ...job }] : [] };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+function withClock(db, fn) {
+  const realNow = Date.now;
+  Date.now = () => db.clock.now;
+  return Promise.resolve(fn()).finally(() => {
+    Date.now = realNow;
+  });
+}
+
+test("computeRetryDelayMs dobra a cada tentativa até o teto", () => {
+  assert.equal(computeRetryDelayMs(1, { baseMs: 1000, maxMs: 10_000 }), 1000);
+  assert.equal(computeRetryDelayMs(3, { baseMs: 1000, maxMs: 10_000 }), 4000);
+  assert.equal(computeRetryDelayMs(10, { baseMs: 1000, maxMs: 10_000 }), 10_000);
+});
+
+test("dedupe_key mantém uma única execução pendente", async () => {
+  const db = jobsDb();
+  await withClock(db, async () => {
+    const first = await enqueueJob("payments_reconcile", {}, { dedupeKey: "recurring:payments_reconcile" }, { pgClient: db });
+    const second = await enqueueJob("payments_reconcile", {}, { dedupeKey: "recurring:payments_reconcile" }, { pgClient: db });
+    assert.equal(first.enqueued, true);
+    assert.equal(second.enqueued, false);
+    assert.equal(db.jobs.length, 1);
+  });
+});
+
+test("job recorrente executa uma vez e reagenda a próxima execução", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  let runs = 0;
+  defineJob("reservations_cleanup", { everyMs: 60_000, handler: async () => ({ run: ++runs }) }, registry);
+
+  await withClock(db, async () => {
+    await ensureRecurringJobs({ pgClient: db }, registry);
+    await ensureRecurringJobs({ pgClient: db }, registry);
+    assert.equal(db.jobs.length, 1);
+
+    const tick = await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    assert.deepEqual(tick.processed.map((p) => p.status), ["succeeded"]);
+    assert.equal(runs, 1);
+    assert.equal(db.jobs[0].status, "succeeded");
+    assert.deepEqual(db.jobs[0].result, { run: 1 });
+    assert.equal(db.jobs[1].status, "queued");
+    assert.equal(db.jobs[1].run_at, db.clock.now + 60_000);
+
+    // Ainda não venceu: nada roda.
+    const idle = await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    assert.equal(idle.processed.length, 0);
+  });
+});
+
+test("falha volta para a fila com backoff e vira dead ao esgotar as tentativas", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  defineJob("flaky", {
+    maxAttempts: 2,
+    backoffBaseMs: 1000,
+    handler: async () => {
+      const error = new Error("boom");
+      error.code = "provider_down";
+      throw error;
+    },
+  }, registry);
+
+  await withClock(db, async () => {
+    await enqueueJob("flaky", { id: 1 }, { maxAttempts: 2 }, { pgClient: db });
+
+    const first = await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    assert.equal(first.processed[0].status, "queued");
+    assert.equal(db.jobs[0].run_at, db.clock.now + 1000);
+    assert.match(db.jobs[0].last_error, /provider_down: boom/);
+
+    db.clock.now += 1000;
+    const second = await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    assert.equal(second.processed[0].status, "dead");
+    assert.equal(db.jobs[0].status, "dead");
+    assert.equal(db.jobs[0].attempts, 2);
+
+    const retried = await retryJob(String(db.jobs[0].id), { pgClient: db });
+    assert.equal(retried.status, "queued");
+    assert.equal(db.jobs[0].attempts, 0);
+  });
+});
+
+test("job recorrente que morre não interrompe a recorrência", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  defineJob("draw_scheduler_tick", {
+    everyMs: 60_000,
+    maxAttempts: 1,
+    handler: async () => {
+      throw new Error("db_timeout");
+    },
+  }, registry);
+
+  await withClock(db, async () => {
+    await ensureRecurringJobs({ pgClient: db }, registry);
+    await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+
+    assert.equal(db.jobs[0].status, "dead");
+    assert.equal(db.jobs[1].status, "queued");
+    assert.equal(db.jobs[1].dedupe_key, "recurring:draw_scheduler_tick");
+
+    // A próxima execução já está pendente: retry manual do morto seria uma segunda execução.
+    await assert.rejects(() => retryJob(db.jobs[0].id, { pgClient: db }), { code: "job_already_pending" });
+  });
+});
+
+test("job preso em running com lock vencido volta para a fila", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  let runs = 0;
+  defineJob("captive_preauth_expiry_scan", { handler: async () => { runs += 1; } }, registry);
+
+  await withClock(db, async () => {
+    await enqueueJob("captive_preauth_expiry_scan", {}, {}, { pgClient: db });
+    Object.assign(db.jobs[0], { status: "running", attempts: 1, locked_by: "dead-instance", locked_at: db.clock.now });
+
+    db.clock.now += 60_000;
+    const early = await recoverStaleJobs({ pgClient: db, lockTimeoutMs: 10 * 60_000 });
+    assert.equal(early.length, 0);
+
+    db.clock.now += 10 * 60_000;
+    const tick = await runJobWorkerTick({ pgClient: db, workerId: "w2", lockTimeoutMs: 10 * 60_000 }, registry);
+    assert.equal(tick.processed[0].status, "succeeded");
+    assert.equal(runs, 1);
+    assert.equal(db.jobs[0].attempts, 2);
+  });
+});
+
+test("job recorrente com lock vencido na última tentativa reagenda a próxima execução", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  defineJob("draw_scheduler_tick", { everyMs: 60_000, maxAttempts: 1, handler: async () => {} }, registry);
+
+  await withClock(db, async () => {
+    await ensureRecurringJobs({ pgClient: db }, registry);
+    Object.assign(db.jobs[0], { status: "running", attempts: 1, locked_by: "dead-instance", locked_at: db.clock.now });
+
+    db.clock.now += 11 * 60_000;
+    const recovered = await recoverStaleJobs({ pgClient: db, lockTimeoutMs: 10 * 60_000 }, registry);
+    assert.deepEqual(recovered.map((row) => row.status), ["dead"]);
+    assert.equal(db.jobs.length, 2);
+    assert.equal(db.jobs[1].status, "queued");
+    assert.equal(db.jobs[1].dedupe_key, "recurring:draw_scheduler_tick");
+    assert.equal(db.jobs[1].run_at, db.clock.now + 60_000);
+  });
+});
+
+test("purgeFinishedJobs apaga só jobs terminados há mais que a retenção", async () => {
+  const db = jobsDb();
+  const registry = createJobRegistry();
+  defineJob("ok_job", { handler: async () => {} }, registry);
+  defineJob("bad_job", { handler: async () => { throw new Error("boom"); } }, registry);
+
+  await withClock(db, async () => {
+    await enqueueJob("ok_job", {}, {}, { pgClient: db });
+    await enqueueJob("bad_job", {}, { maxAttempts: 1 }, { pgClient: db });
+    await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    assert.deepEqual(db.jobs.map((j) => j.status).sort(), ["dead", "succeeded"]);
+
+    db.clock.now += 29 * 24 * 60 * 60 * 1000;
+    await enqueueJob("ok_job", { recent: true }, {}, { pgClient: db });
+    await runJobWorkerTick({ pgClient: db, workerId: "w1" }, registry);
+    await enqueueJob("ok_job", { pending: true }, { delayMs: 60 * 60 * 1000 }, { pgClient: db });
+
+    const early = await purgeFinishedJobs({ days: 30 }, { pgClient: db });
+    assert.equal(early.deleted, 0);
+
+    db.clock.now += 2 * 24 * 60 * 60 * 1000;
+    const purged = await purgeFinishedJobs({ days: 30 }, { pgClient: db });
+    assert.deepEqual(purged, { deleted: 2, days: 30 });
+    assert.deepEqual(db.jobs.map((j) => [j.payload, j.status]), [
+      [{ recent: true }, "succeeded"],
+      [{ pending: true }, "queued"],
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseDrawnNumbers,
+  recordLotomaniaContest,
+  resolveWinnerFromDrawnNumbers,
+} from "../src/services/lotomaniaResults.js";
+import { fakeDb } from "./helpers.js";
+
+const DRAWN = [3, 7, 12, 18, 21, 25, 33, 38, 41, 47, 52, 56, 60, 64, 71, 77, 83, 88, 94, 0];
+
+function lotomaniaDb({ draw, sold = [], existingContest = null }) {
+  const state = { contest: existingContest, results: [], drawUpdates: [] };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("INSERT INTO public.lotomania_contests")) {
+      if (!state.contest) {
+        state.contest = {
+          id: 1,
+          contest_number: params[0],
+          draw_date: params[1],
+          drawn_numbers: params[2],
+          created_by_user_id: params[3],
+        };
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("FROM public.lotomania_contests")) {
+      return { rows: state.contest ? [state.contest] : [], rowCount: state.contest ? 1 : 0 };
+    }
+    if (text.includes("FROM public.draws") && text.includes("FOR UPDATE")) {
+      return { rows: draw ? [draw] : [], rowCount: draw ? 1 : 0 };
+    }
+    if (text.includes("SELECT id FROM public.lotomania_draw_results")) {
+      return { rows: [], rowCount: 0 };
+    }
+    if (text.includes("FROM public.numbers n")) {
+      const rows = sold
+        .filter((s) => params[1].includes(s.n))
+        .map((s) => ({ n: s.n, payment_id: s.payment_id, user_id: s.user_id, user_name: s.user_name }));
+      return { rows, rowCount: rows.length };
+    }
+    if (text.includes("INSERT INTO public.lotomania_draw_results")) {
+      state.results.push(params);
+      return { rows: [{ id: state.results.length, created_at: "2026-10-19T00:00:00Z" }], rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.draws")) {
+      state.drawUpdates.push(params);
+      return { rows: [{ id: params[0], winner_name: params[3], realized_at: "2026-10-19T00:00:00Z" }], rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("parseDrawnNumbers mantém a ordem e valida 20 dezenas distintas de 00 a 99", () => {
+  assert.deepEqual(parseDrawnNumbers(DRAWN.map((n) => String(n).padStart(2, "0"))), DRAWN);
+  assert.deepEqual(parseDrawnNumbers(DRAWN.join(" ")), DRAWN);
+  assert.throws(() => parseDrawnNumbers(DRAWN.slice(1)), { code: "invalid_drawn_numbers_count" });
+  assert.throws(() => parseDrawnNumbers([...DRAWN.slice(1), 100]), { code: "invalid_drawn_number" });
+  assert.throws(() => parseDrawnNumbers([...DRAWN.slice(1), 7]), { code: "duplicated_drawn_number" });
+});
+
+test("última dezena vendida define o ganhador", () => {
+  const owners = new Map([[0, { user_id: 9, user_name: "Ana", payment_id: "p1" }]]);
+  const r = resolveWinnerFromDrawnNumbers(DRAWN, owners);
+  assert.equal(r.winner_number, 0);
+  assert.equal(r.winner_position, 20);
+  assert.equal(r.rule_applied, "last_drawn_number");
+  assert.deepEqual(r.derivation, [{ position: 20, number: 0, sold: true }]);
+});
+
+test("última dezena não vendida: volta na ordem do sorteio até uma vendida", () => {
+  const owners = new Map([[83, { user_id: 4, user_name: "Bia", payment_id: "p2" }]]);
+  const r = resolveWinnerFromDrawnNumbers(DRAWN, owners);
+  assert.equal(r.winner_number, 83);
+  assert.equal(r.winner_position, 17);
+  assert.equal(r.last_drawn_number, 0);
+  assert.equal(r.rule_applied, "previous_drawn_number");
+  assert.deepEqual(r.derivation.map((s) => s.sold), [false, false, false, true]);
+  assert.equal(resolveWinnerFromDrawnNumbers(DRAWN, new Map()), null);
+});
+
+test("registra concurso, grava auditoria e preenche o ganhador do sorteio fechado", async () => {
+  const db = lotomaniaDb({
+    draw: { id: 42, status: "closed", closed_at: "2026-10-18", winner_user_id: null, winner_number: null, draw_type: "principal" },
+    sold: [{ n: 94, payment_id: "pay-1", user_id: 7, user_name: "Carla Souza" }],
+  });
+
+  const { contest, results } = await recordLotomaniaContest({
+    contestNumber: 2700,
+    drawDate: "2026-10-18",
+    drawnNumbers: DRAWN,
+    drawIds: [42],
+    adminUserId: 1,
+  }, { pgClient: db });
+
+  assert.equal(contest.contest_number, 2700);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].winner_number, 94);
+  assert.equal(results[0].winner_user_id, 7);
+  assert.equal(results[0].rule_applied, "previous_drawn_number");
+  assert.equal(db.state.results.length, 1);
+  assert.deepEqual(db.state.drawUpdates[0], [42, 94, 7, "Carla Souza"]);
+});
+
+test("concurso já registrado com dezenas diferentes é recusado (imutável)", async () => {
+  const db = lotomaniaDb({
+    draw: { id: 42, status: "closed", closed_at: "2026-10-18", winner_user_id: null, winner_number: null },
+    existingContest: { id: 1, contest_number: 2700, draw_date: "2026-10-18", drawn_numbers: [...DRAWN].reverse() },
+  });
+
+  await assert.rejects(
+    recordLotomaniaContest({ contestNumber: 2700, drawDate: "2026-10-18", drawnNumbers: DRAWN, drawIds: [42] }, { pgClient: db }),
+    { code: "lotomania_contest_conflict" }
+  );
+  assert.equal(db.state.drawUpdates.length, 0);
+});
+
+test("sorteio aberto ou já resolvido não é alterado", async () => {
+  const open = lotomaniaDb({
+    draw: { id: 5, status: "open", closed_at: null, winner_user_id: null, winner_number: null },
+  });
+  await assert.rejects(
+    recordLotomaniaContest({ contestNumber: 1, drawDate: "2026-10-18", drawnNumbers: DRAWN, drawIds: [5] }, { pgClient: open }),
+    { code: "draw_not_closed" }
+  );
+
+  const resolved = lotomaniaDb({
+    draw: { id: 6, status: "closed", closed_at: "2026-10-18", winner_user_id: 3, winner_number: 10 },
+  });
+  await assert.rejects(
+    recordLotomaniaContest({ contestNumber: 1, drawDate: "2026-10-18", drawnNumbers: DRAWN, drawIds: [6] }, { pgClient: resolved }),
+    { code: "draw_already_resolved" }
+  );
+});
+
+test("sorteio com cartela maior que 00–99 não é resolvido pela Lotomania", async () => {
+  const db = lotomaniaDb({
+    draw: { id: 7, status: "closed", closed_at: "2026-10-18", winner_user_id: null, winner_number: null, number_count: 1000 },
+  });
+  await assert.rejects(
+    recordLotomaniaContest({ contestNumber: 1, drawDate: "2026-10-18", drawnNumbers: DRAWN, drawIds: [7] }, { pgClient: db }),
+    { code: "draw_board_not_supported" }
+  );
+  assert.equal(db.state.drawUpdates.length, 0);
+});
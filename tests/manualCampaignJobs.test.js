@@ -0,0 +1,419 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MANUAL_CAMPAIGN_BATCH_JOB,
+  assignManualVariant,
+  cancelManualCampaign,
+  getManualCampaignProgress,
+  pauseManualCampaign,
+  queueManualCampaign,
+  resumeManualCampaign,
+  runManualCampaignBatch,
+} from "../src/services/notifications/manualCampaignJobs.js";
+import {
+  getProviderRateLimitPerSecond,
+  resetProviderRateLimits,
+  waitForProviderSlot,
+} from "../src/services/notifications/providerRateLimit.js";
+import { fakePg, rowResult, TEST_SECRETS, withEnv } from "./helpers.js";
+
+const CAMPAIGN_ID = "6f1c2b8e-1d3a-4c4f-9a55-0b7e2c3d4e5f";
+const ACTIVE = ["queued", "running"];
+
+// Banco em memória com o suficiente de notification_campaigns/dispatches para os lotes.
+function campaignStore({ users = [], subscriptions = [], unsubscribed = new Set() } = {}) {
+  const state = { campaign: null, dispatches: [] };
+  const update = (fields) => {
+    Object.assign(state.campaign, fields);
+    return rowResult([{ ...state.campaign }]);
+  };
+  state.pgClient = fakePg((sql, params) => {
+    const campaign = state.campaign;
+    if (sql.includes("INSERT INTO public.notification_campaigns")) {
+      state.campaign = {
+        id: CAMPAIGN_ID,
+        name: params[0],
+        channel: params[1],
+        provider: params[2],
+        status: params[7],
+        created_by: params[8],
+        payload: JSON.parse(params[9]),
+        message_snapshot: JSON.parse(params[10]),
+        delivery_mode: params[14],
+        recipient_user_ids: params[15],
+        batch_size: params[16],
+        batches_total: params[17],
+        progress_cursor: 0,
+        batches_done: 0,
+      };
+      return rowResult([{ ...state.campaign }]);
+    }
+    if (sql.includes("SET status = 'running'")) {
+      return campaign && ACTIVE.includes(campaign.status) ? update({ status: "running" }) : rowResult([]);
+    }
+    if (sql.includes("SET progress_cursor")) {
+      const done = params[6] && ACTIVE.includes(campaign.status);
+      return update({
+        progress_cursor: Math.max(campaign.progress_cursor, params[1]),
+        batches_done: campaign.batches_done + (params[7] ? 1 : 0),
+        audience_count_created: (campaign.audience_count_created || 0) + params[2],
+        audience_count_sent: (campaign.audience_count_sent || 0) + params[3],
+        audience_count_failed: (campaign.audience_count_failed || 0) + params[4],
+        audience_count_skipped: (campaign.audience_count_skipped || 0) + params[5],
+        status: done ? "completed" : campaign.status,
+      });
+    }
+    if (sql.includes("SET status = 'paused'")) {
+      return ACTIVE.includes(campaign?.status) ? update({ status: "paused" }) : rowResult([]);
+    }
+    if (sql.includes("SET status = 'queued'")) {
+      return campaign?.status === "paused" ? update({ status: "queued" }) : rowResult([]);
+    }
+    if (sql.includes("SET status = 'cancelled'")) {
+      return [...ACTIVE, "paused"].includes(campaign?.status) ? update({ status: "cancelled" }) : rowResult([]);
+    }
+    if (sql.includes("SELECT * FROM public.notification_campaigns WHERE id")) {
+      return rowResult(campaign && campaign.id === params[0] ? [{ ...campaign }] : []);
+    }
+    if (sql.includes("SELECT user_id, recipient")) {
+      return rowResult(state.dispatches.filter((row) => params[1].includes(row.user_id)));
+    }
+    if (sql.includes("INSERT INTO public.notification_dispatches")) {
+      state.dispatches.push({
+        id: state.dispatches.length + 1,
+        user_id: params[4],
+        recipient: params[6],
+        variant_key: params[15],
+      });
+      return rowResult([{ id: state.dispatches.length, status: "pending" }]);
+    }
+    if (sql.includes("UPDATE public.notification_dispatches")) {
+      return rowResult([{ id: params[0], status: sql.includes("'accepted'") ? "accepted" : "failed" }]);
+    }
+    if (sql.includes("FROM public.push_subscriptions")) {
+      const ids = Array.isArray(params[0]) ? params[0] : null;
+      return rowResult(subscriptions.filter((row) => !ids || ids.includes(row.user_id)));
+    }
+    if (sql.includes("communication_consents") && !sql.includes("FROM public.users")) {
+      return rowResult([{ user_id: Number(params[0]), channel: "whatsapp", category: "all", status: "granted" }]);
+    }
+    if (sql.includes("notification_templates") && sql.includes("whatsapp")) {
+      return rowResult([{ template_key: "GENERIC_TEST", provider_template_id: "3", default_message: "Oi", is_active: true }]);
+    }
+    if (sql.includes("FROM public.users") && sql.includes("WHERE id = $1")) {
+      return rowResult(users.filter((user) => user.id === Number(params[0])));
+    }
+    if (sql.includes("FROM public.users")) {
+      const ids = Array.isArray(params[0]) ? params[0] : null;
+      return rowResult(users
+        .filter((user) => !ids || ids.includes(user.id))
+        .map((user) => ({ ...user, email_can_send: !unsubscribed.has(user.id) })));
+    }
+    return rowResult([]);
+  });
+  return state;
+}
+
+function emailUsers(count) {
+  return Array.from({ length: count }, (_value, index) => ({
+    id: index + 1,
+    name: `User ${index + 1}`,
+    email: `user${index + 1}@example.com`,
+  }));
+}
+
+function recordingEnqueue(jobs) {
+  return async (name, payload, settings) => {
+    jobs.push({ name, payload, dedupeKey: settings.dedupeKey });
+    return { enqueued: true, job: { id: jobs.length } };
+  };
+}
+
+test("provider rate limit spaces sends per provider and 0 disables it", () => {
+  return withEnv({
+    NOTIFICATION_RATE_LIMIT_EMAIL_PER_SECOND: "4",
+    NOTIFICATION_RATE_LIMIT_PUSH_PER_SECOND: "0",
+    NOTIFICATION_RATE_LIMIT_WHATSAPP_PER_SECOND: undefined,
+  }, async () => {
+    resetProviderRateLimits();
+    assert.equal(getProviderRateLimitPerSecond("brevo"), 5);
+    assert.equal(getProviderRateLimitPerSecond("unknown"), 0);
+
+    const waits = [];
+    const clock = { now: () => 1000, wait: async (ms) => waits.push(ms) };
+    for (let i = 0; i < 3; i += 1) await waitForProviderSlot("brevo_smtp", clock);
+    assert.deepEqual(waits, [250, 500]);
+
+    assert.equal(await waitForProviderSlot("web_push", clock), 0);
+    assert.equal(await waitForProviderSlot("brevo", clock), 0);
+    resetProviderRateLimits();
+  });
+});
+
+test("bulk campaign is queued with the frozen audience and first batch job", async () => {
+  const store = campaignStore({ users: emailUsers(120), unsubscribed: new Set([7]) });
+  const jobs = [];
+  const payload = { channel: "email", audience: "all_with_email", subject: "Oi", text: "Oi {{name}}" };
+
+  const blocked = await queueManualCampaign({ pgClient: store.pgClient, payload, enqueue: recordingEnqueue(jobs) });
+  assert.equal(blocked.error, "manual_bulk_confirmation_required");
+  assert.equal(store.campaign, null);
+
+  const out = await queueManualCampaign({
+    pgClient: store.pgClient,
+    payload: { ...payload, confirm_bulk_send: true },
+    adminUserId: 99,
+    enqueue: recordingEnqueue(jobs),
+  });
+  assert.equal(out.ok, true);
+  assert.equal(out.delivery, "background");
+  assert.equal(out.campaign_id, CAMPAIGN_ID);
+  assert.equal(out.estimated_batches, 3);
+  assert.equal(out.progress.status, "queued");
+  assert.equal(out.progress.total_recipients, 119);
+  assert.equal(store.campaign.delivery_mode, "background");
+  assert.equal(store.campaign.payload.normalized.category, "marketing");
+  assert.equal(store.campaign.payload.normalized.userIds, undefined);
+  assert.deepEqual(jobs, [{
+    name: MANUAL_CAMPAIGN_BATCH_JOB,
+    payload: { campaign_id: CAMPAIGN_ID },
+    dedupeKey: `campaign:${CAMPAIGN_ID}:0`,
+  }]);
+});
+
+test("email campaign runs batch by batch, rechecks consent and skips already dispatched users", () => {
+  return withEnv({ ...TEST_SECRETS, NOTIFICATION_RATE_LIMIT_EMAIL_PER_SECOND: "0" }, async () => {
+    const unsubscribed = new Set();
+    const store = campaignStore({ users: emailUsers(120), unsubscribed });
+    const jobs = [];
+    await queueManualCampaign({
+      pgClient: store.pgClient,
+      payload: { channel: "email", audience: "all_with_email", subject: "Oi", text: "Oi", confirm_bulk_send: true },
+      enqueue: recordingEnqueue(jobs),
+    });
+
+    const sent = [];
+    const transporter = {
+      async sendMail(message) {
+        sent.push(message.to);
+        if (message.to === "user3@example.com") throw new Error("smtp_down");
+        return { messageId: `m${sent.length}`, accepted: [message.to] };
+      },
+    };
+    // Usuário 2 já recebeu antes de o processo cair; usuário 60 se descadastrou depois do envio.
+    store.dispatches.push({ id: 0, user_id: 2, recipient: "user2@example.com" });
+    unsubscribed.add(60);
+
+    const options = { pgClient: store.pgClient, transporter, enqueue: recordingEnqueue(jobs) };
+    const first = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.equal(first.cursor, 50);
+    assert.equal(first.sent, 48);
+    assert.equal(first.failed, 1);
+    assert.equal(jobs.at(-1).dedupeKey, `campaign:${CAMPAIGN_ID}:50`);
+
+    await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    const last = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.equal(last.status, "completed");
+    assert.equal(jobs.length, 3);
+
+    const progress = await getManualCampaignProgress(CAMPAIGN_ID, { pgClient: store.pgClient });
+    assert.equal(progress.processed_recipients, 120);
+    assert.equal(progress.percent, 100);
+    assert.equal(progress.batches_done, 3);
+    assert.equal(progress.sent, 117);
+    assert.equal(progress.failed, 1);
+    assert.equal(progress.skipped, 1);
+    assert.equal(sent.length, 118);
+    assert.ok(!sent.includes("user2@example.com"));
+    assert.ok(!sent.includes("user60@example.com"));
+
+    const again = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.deepEqual(again, { campaign_id: CAMPAIGN_ID, skipped: true, reason: "campaign_not_active" });
+  });
+});
+
+test("pause stops the next batch, resume re-enqueues from the cursor and cancel is final", () => {
+  return withEnv({ NOTIFICATION_RATE_LIMIT_PUSH_PER_SECOND: "0" }, async () => {
+    const subscriptions = Array.from({ length: 60 }, (_value, index) => ({
+      id: `s-${index + 1}`,
+      user_id: index + 1,
+      endpoint: `https://push/${index + 1}`,
+      p256dh: "p",
+      auth: "a",
+    }));
+    subscriptions.push({ id: "s-1b", user_id: 1, endpoint: "https://push/1b", p256dh: "p", auth: "a" });
+    const store = campaignStore({ subscriptions });
+    const jobs = [];
+    const enqueue = recordingEnqueue(jobs);
+    await queueManualCampaign({
+      pgClient: store.pgClient,
+      payload: {
+        channel: "push",
+        audience: "all_active_push",
+        title: "Novo sorteio",
+        message: "Garanta seus números",
+        confirm_bulk_send: true,
+      },
+      enqueue,
+    });
+    assert.equal(store.campaign.recipient_user_ids.length, 60);
+    assert.deepEqual(store.campaign.message_snapshot.title, "Novo sorteio");
+
+    const pushed = [];
+    const sendPush = async ({ subscriptionRow, category }) => {
+      pushed.push([subscriptionRow.id, category]);
+      return { dispatch: { id: pushed.length } };
+    };
+    const options = { pgClient: store.pgClient, sendPush, enqueue };
+    // O segundo dispositivo do usuário 1 já tinha sido enviado.
+    store.dispatches.push({ id: 0, user_id: 1, recipient: "push_subscription:s-1b" });
+
+    const first = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.equal(first.sent, 50);
+    assert.ok(pushed.every(([id, category]) => id !== "s-1b" && category === "operational"));
+
+    const paused = await pauseManualCampaign(CAMPAIGN_ID, { pgClient: store.pgClient });
+    assert.equal(paused.status, "paused");
+    assert.equal(paused.processed_recipients, 50);
+    const whilePaused = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.equal(whilePaused.skipped, true);
+    await assert.rejects(
+      () => pauseManualCampaign(CAMPAIGN_ID, { pgClient: store.pgClient }),
+      { code: "manual_campaign_invalid_state", status: "paused" }
+    );
+
+    const jobsBeforeResume = jobs.length;
+    const resumed = await resumeManualCampaign(CAMPAIGN_ID, { pgClient: store.pgClient, enqueue });
+    assert.equal(resumed.status, "queued");
+    assert.equal(jobs.length, jobsBeforeResume + 1);
+    assert.equal(jobs.at(-1).dedupeKey, `campaign:${CAMPAIGN_ID}:50`);
+
+    const cancelled = await cancelManualCampaign(CAMPAIGN_ID, { pgClient: store.pgClient });
+    assert.equal(cancelled.status, "cancelled");
+    const afterCancel = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, options);
+    assert.equal(afterCancel.skipped, true);
+    assert.equal(pushed.length, 50);
+    await assert.rejects(
+      () => resumeManualCampaign(CAMPAIGN_ID, { pgClient: store.pgClient, enqueue }),
+      { code: "manual_campaign_invalid_state" }
+    );
+    await assert.rejects(
+      () => getManualCampaignProgress("00000000-0000-4000-8000-000000000000", { pgClient: store.pgClient }),
+      { code: "manual_campaign_not_found" }
+    );
+  });
+});
+
+test("whatsapp campaign batch reuses the campaign row and counts once", () => {
+  return withEnv({
+    NOTIFICATION_TEST_MODE: "false",
+    NOTIFICATION_ALLOW_REAL_RECIPIENTS: "true",
+    NOTIFICATION_RATE_LIMIT_WHATSAPP_PER_SECOND: "0",
+  }, async () => {
+    const users = Array.from({ length: 3 }, (_value, index) => ({
+      id: index + 1,
+      name: `User ${index + 1}`,
+      phone: `2199999000${index + 1}`,
+    }));
+    const store = campaignStore({ users });
+    const jobs = [];
+    await queueManualCampaign({
+      pgClient: store.pgClient,
+      payload: { channel: "whatsapp", audience: "all_consented", template_key: "GENERIC_TEST", confirm_bulk_send: true },
+      enqueue: recordingEnqueue(jobs),
+    });
+    assert.equal(store.campaign.payload.consent_category, "operational");
+
+    const sends = [];
+    const out = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, {
+      pgClient: store.pgClient,
+      enqueue: recordingEnqueue(jobs),
+      sendWhatsApp: async (message) => {
+        sends.push(message.to);
+        return { ok: true, provider_status: "accepted", delivery_status: "unknown" };
+      },
+    });
+    assert.equal(out.status, "completed");
+    assert.equal(out.sent, 3);
+    assert.equal(sends.length, 3);
+    assert.equal(
+      store.pgClient.calls.filter((call) => call.sql.includes("INSERT INTO public.notification_campaigns")).length,
+      1
+    );
+    assert.equal(store.pgClient.calls.some((call) => call.sql.includes("audience_count_created = COALESCE(audience_count_created, 0) + $2")), false);
+    assert.equal(store.campaign.audience_count_sent, 3);
+  });
+});
+
+test("a/b variants split the audience and record the variant on each dispatch", () => {
+  return withEnv({ NOTIFICATION_RATE_LIMIT_PUSH_PER_SECOND: "0" }, async () => {
+    const subscriptions = Array.from({ length: 40 }, (_value, index) => ({
+      id: `s-${index + 1}`,
+      user_id: index + 1,
+      endpoint: `https://push/${index + 1}`,
+      p256dh: "p",
+      auth: "a",
+    }));
+    const store = campaignStore({ subscriptions });
+    const jobs = [];
+    const base = {
+      channel: "push",
+      audience: "all_active_push",
+      title: "Novo sorteio",
+      message: "Garanta seus números",
+      confirm_bulk_send: true,
+    };
+
+    await assert.rejects(
+      () => queueManualCampaign({
+        pgClient: store.pgClient,
+        payload: { ...base, variants: [{ key: "A" }, { key: "A", title: "Outro" }] },
+        enqueue: recordingEnqueue(jobs),
+      }),
+      { code: "manual_variants_invalid" }
+    );
+    await assert.rejects(
+      () => queueManualCampaign({
+        pgClient: store.pgClient,
+        payload: { ...base, audience: "selected", user_ids: [1], variants: [{ key: "A" }, { key: "B" }] },
+        enqueue: recordingEnqueue(jobs),
+      }),
+      { code: "manual_variants_require_bulk_audience" }
+    );
+
+    const out = await queueManualCampaign({
+      pgClient: store.pgClient,
+      payload: {
+        ...base,
+        variants: [
+          { key: "A" },
+          { key: "B", title: "Últimos números", message: "O sorteio fecha hoje", weight: 3 },
+        ],
+      },
+      enqueue: recordingEnqueue(jobs),
+    });
+    assert.deepEqual(out.variants, [{ key: "A", weight: 1 }, { key: "B", weight: 3 }]);
+    assert.deepEqual(
+      store.campaign.message_snapshot.variants.map(({ key, title }) => [key, title]),
+      [["A", "Novo sorteio"], ["B", "Últimos números"]]
+    );
+
+    const titles = new Map();
+    const sendPush = async ({ subscriptionRow, title }) => {
+      titles.set(subscriptionRow.user_id, title);
+      return { dispatch: { id: titles.size } };
+    };
+    const result = await runManualCampaignBatch({ campaign_id: CAMPAIGN_ID }, { pgClient: store.pgClient, sendPush });
+    assert.equal(result.sent, 40);
+
+    const variants = store.campaign.payload.normalized.variants;
+    for (const dispatch of store.dispatches) {
+      const expected = assignManualVariant(variants, CAMPAIGN_ID, dispatch.user_id).key;
+      assert.equal(dispatch.variant_key, expected);
+      assert.equal(titles.get(dispatch.user_id), expected === "A" ? "Novo sorteio" : "Últimos números");
+    }
+    const countB = store.dispatches.filter((dispatch) => dispatch.variant_key === "B").length;
+    assert.ok(countB > 20 && countB < 40, `B recebeu ${countB} de 40`);
+  });
+});
@@ -11,6 +11,7 @@ import {
   resolveTemplateId,
 } from "../src/services/notifications/notificationCenter.js";
 import { normalizeProviderTemplateId } from "../src/services/notifications/manualWhatsAppTemplates.js";
+import { TEST_SECRETS } from "./helpers.js";
 
 const testEnv = {
   BREVO_WHATSAPP_GENERIC_TEST_TEMPLATE_ID: "3",
@@ -20,6 +21,7 @@ const testEnv = {
   BREVO_WHATSAPP_BALANCE_EXPIRING_15_TEMPLATE_ID: "27",
   NOTIFICATION_TEST_MODE: "true",
   NOTIFICATION_TEST_WHATSAPP_TO: "5521999999999",
+  EMAIL_UNSUBSCRIBE_SECRET: TEST_SECRETS.EMAIL_UNSUBSCRIBE_SECRET,
 };
 const originalEnv = Object.fromEntries(
   Object.keys(testEnv).map((name) => [name, process.env[name]])
@@ -137,8 +139,12 @@ test("catalog returns whatsapp, push and database email templates without Brevo
   assert.equal(catalog.channels.push.templates[0].event_key, "DRAW_REMAINING_NUMBERS_50");
   assert.equal(catalog.channels.email.templates[0].template_key, "EMAIL_DB");
   assert.deepEqual(catalog.channels.whatsapp.audiences, ["selected", "all_consented"]);
-  assert.deepEqual(catalog.channels.push.audiences, ["selected", "all_active_push", "all_consented"]);
-  assert.deepEqual(catalog.channels.email.audiences, ["selected", "all_with_email"]);
+  assert.deepEqual(catalog.channels.push.audiences, ["selected", "all_active_push", "all_consented", "segment"]);
+  assert.deepEqual(
+    catalog.channels.push.segments.map((segment) => segment.key),
+    ["last_draw_buyers", "has_autopay", "balance_expiring", "open_draw_non_buyers"]
+  );
+  assert.deepEqual(catalog.channels.email.audiences, ["selected", "all_with_email", "all_consented"]);
   for (const remaining of [75, 50, 30, 15]) {
     const template = catalog.channels.email.templates.find(
       (item) => item.template_key === `EMAIL_DRAW_REMAINING_${remaining}`
@@ -397,7 +403,7 @@ test("preview push all_consented recalculates unique users, devices and excluded
     (call) => call.sql.includes("FROM public.push_subscriptions") && call.sql.includes("SELECT id")
   );
   assert.match(eligibleQuery.sql, /is_active = true/);
-  assert.match(eligibleQuery.sql, /operational_opt_in = true/);
+  assert.match(eligibleQuery.sql, /push_preferences pp WHERE pp\.user_id = push_subscriptions\.user_id AND pp\.operational_opt_in = false/);
   assert.match(eligibleQuery.sql, /user_id IS NOT NULL/);
 });
 
@@ -543,7 +549,9 @@ test("preview email all_with_email recalculates users, ignores invalid contacts
   assert.equal(preview.can_send, true);
   assert.deepEqual(preview.normalized.userIds, []);
   assert.deepEqual(preview.normalized.eligibleUserIds, [1]);
-  assert.equal(pgClient.calls.some((call) => call.sql.includes("communication_consents")), false);
+  const usersQuery = pgClient.calls.find((call) => call.sql.includes("FROM public.users"));
+  assert.match(usersQuery.sql, /LOWER\(cc\.channel\) = 'email'/);
+  assert.match(usersQuery.sql, /IN \('marketing', 'all'\)/);
   assert.equal(pgClient.calls.some((call) => call.sql.includes("INSERT INTO")), false);
 });
 
@@ -956,39 +964,38 @@ test("manual WhatsApp all_consented processes more than 50 users in one campaign
   }
 });
 
-test("all_consented rejects campaigns above the 500 unique user safety limit", async () => {
-  await assert.rejects(
-    buildManualNotificationPreview({
-      pgClient: bulkPg({ userCount: 501 }),
-      payload: {
-        channel: "push",
-        audience: "all_consented",
-        template_key: "PUSH_TEMPLATE",
-        title: "Titulo",
-        message: "Mensagem",
-      },
-    }),
-    (error) => error?.code === "manual_audience_too_large" && error?.max === 500
-  );
+test("all_consented previews campaigns above 500 users as background delivery", async () => {
+  const preview = await buildManualNotificationPreview({
+    pgClient: bulkPg({ userCount: 501 }),
+    payload: {
+      channel: "push",
+      audience: "all_consented",
+      template_key: "PUSH_TEMPLATE",
+      title: "Titulo",
+      message: "Mensagem",
+    },
+  });
+  assert.equal(preview.eligible_users, 501);
+  assert.equal(preview.estimated_batches, 11);
+  assert.equal(preview.delivery, "background");
 });
 
-test("email all_with_email rejects campaigns above the 500 unique email safety limit", async () => {
+test("email all_with_email previews campaigns above 500 emails as background delivery", async () => {
   const users = Array.from({ length: 501 }, (_value, index) => ({
     id: index + 1,
     name: `User ${index + 1}`,
     email: `user${index + 1}@example.com`,
   }));
-  await assert.rejects(
-    buildManualNotificationPreview({
-      pgClient: emailPg(users),
-      payload: {
-        channel: "email",
-        audience: "all_with_email",
-        template_key: "EMAIL_DRAW_REMAINING_75",
-      },
-    }),
-    (error) => error?.code === "manual_audience_too_large" && error?.max === 500
-  );
+  const preview = await buildManualNotificationPreview({
+    pgClient: emailPg(users),
+    payload: {
+      channel: "email",
+      audience: "all_with_email",
+      template_key: "EMAIL_DRAW_REMAINING_75",
+    },
+  });
+  assert.equal(preview.valid_emails, 501);
+  assert.equal(preview.delivery, "background");
 });
 
 test("manual email all_with_email processes 120 recipients in three batches and continues after failure", async () => {
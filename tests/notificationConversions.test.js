@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  attributeNotificationConversions,
+  getCampaignConversionReport,
+  getNotificationConversionWindowHours,
+} from "../src/services/notifications/notificationConversions.js";
+import { fakePg, rowResult, withEnv } from "./helpers.js";
+
+const CAMPAIGN_ID = "6f1c2b8e-1d3a-4c4f-9a55-0b7e2c3d4e5f";
+
+test("attribution links recent approved payments to the last sent dispatch in the window", () => {
+  return withEnv({ NOTIFICATION_CONVERSION_WINDOW_HOURS: "48", NOTIFICATION_CONVERSION_LOOKBACK_HOURS: undefined }, async () => {
+    assert.equal(getNotificationConversionWindowHours(), 48);
+    const pgClient = fakePg(() => rowResult([{ payment_id: "p1", campaign_id: CAMPAIGN_ID, variant_key: "A" }]));
+    const now = new Date("2026-10-19T12:00:00.000Z");
+    const out = await attributeNotificationConversions({ now }, { pgClient });
+
+    assert.deepEqual(out, { attributed: 1, window_hours: 48, since: "2026-10-18T12:00:00.000Z" });
+    const { sql, params } = pgClient.calls[0];
+    assert.match(sql, /INSERT INTO public\.notification_conversions/);
+    assert.match(sql, /ORDER BY nd\.sent_at DESC/);
+    assert.match(sql, /ON CONFLICT \(payment_id\) DO NOTHING/);
+    assert.match(sql, /lower\(p\.status\) IN \('approved', 'paid', 'pago'\)/);
+    assert.deepEqual(params, [48, "2026-10-18T12:00:00.000Z", "2026-10-19T12:00:00.000Z"]);
+  });
+});
+
+test("conversion report compares variants by reached users", async () => {
+  const pgClient = fakePg((sql) => {
+    if (sql.includes("FROM public.notification_campaigns")) {
+      return rowResult([{
+        id: CAMPAIGN_ID,
+        name: "Manual push - Novo sorteio",
+        channel: "push",
+        status: "completed",
+        message_snapshot: { variants: [{ key: "A", weight: 1 }, { key: "B", weight: 1 }] },
+      }]);
+    }
+    if (sql.includes("FROM public.notification_dispatches")) {
+      return rowResult([
+        { variant_key: "B", recipients: "100", reached_users: "80", dispatches: "120", sent: "90", failed: "30" },
+        { variant_key: "A", recipients: "100", reached_users: "90", dispatches: "110", sent: "100", failed: "10" },
+      ]);
+    }
+    if (sql.includes("FROM public.notification_conversions")) {
+      return rowResult([{ variant_key: "B", converted_users: "12", payments: "15", revenue_cents: "45000" }]);
+    }
+    return rowResult([]);
+  });
+
+  const report = await getCampaignConversionReport(CAMPAIGN_ID, { pgClient });
+  assert.equal(report.ab_test, true);
+  assert.deepEqual(report.variants.map((row) => row.variant_key), ["A", "B"]);
+  assert.deepEqual(report.variants[0], {
+    variant_key: "A",
+    weight: 1,
+    recipients: 100,
+    reached_users: 90,
+    dispatches: 110,
+    sent: 100,
+    failed: 10,
+    converted_users: 0,
+    payments: 0,
+    revenue_cents: 0,
+    conversion_rate: 0,
+  });
+  assert.equal(report.variants[1].converted_users, 12);
+  assert.equal(report.variants[1].revenue_cents, 45000);
+  assert.equal(report.variants[1].conversion_rate, 0.15);
+  assert.deepEqual(pgClient.calls.map((call) => call.params), [[CAMPAIGN_ID], [CAMPAIGN_ID], [CAMPAIGN_ID]]);
+});
+
+test("conversion report without variants has a single row and unknown campaigns are not found", async () => {
+  const pgClient = fakePg((sql) => {
+    if (sql.includes("FROM public.notification_campaigns")) {
+      return rowResult([{ id: CAMPAIGN_ID, channel: "email", status: "completed", message_snapshot: {} }]);
+    }
+    if (sql.includes("FROM public.notification_dispatches")) {
+      return rowResult([{ variant_key: null, recipients: 4, reached_users: 4, dispatches: 4, sent: 4, failed: 0 }]);
+    }
+    return rowResult([{ variant_key: null, converted_users: 1, payments: 1, revenue_cents: 1000 }]);
+  });
+  const report = await getCampaignConversionReport(CAMPAIGN_ID, { pgClient });
+  assert.equal(report.ab_test, false);
+  assert.equal(report.variants.length, 1);
+  assert.equal(report.variants[0].variant_key, null);
+  assert.equal(report.variants[0].conversion_rate, 0.25);
+
+  await assert.rejects(
+    () => getCampaignConversionReport(CAMPAIGN_ID, { pgClient: fakePg(() => rowResult([])) }),
+    { code: "manual_campaign_not_found" }
+  );
+});
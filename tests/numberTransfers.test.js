@@ -0,0 +1,245 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  acceptNumberTransfer,
+  cancelNumberTransfer,
+  createNumberTransfer,
+  declineNumberTransfer,
+  listUserNumberTransfers,
+} from "../src/services/numberTransfers.js";
+import { fakeDb } from "./helpers.js";
+
+const PAID = ["approved", "paid", "pago"];
+
+// Banco em memória: sorteio 1 aberto; usuário 1 pagou 5 e 6, usuário 3 pagou 9.
+function transfersDb() {
+  const state = {
+    draw: { id: 1, status: "open", number_count: 100 },
+    users: [
+      { id: 1, name: "Ana", email: "ana@example.com", phone: "(11) 99999-0001" },
+      { id: 2, name: "Bia", email: "Bia@Example.com ", phone: "+55 11 98888-0002" },
+      { id: 3, name: "Caio", email: "caio@example.com", phone: null },
+    ],
+    payments: [
+      { id: "pay-1", user_id: 1, draw_id: 1, numbers: [5, 6], transferred_numbers: [], status: "approved", amount_cents: 2000 },
+      { id: "pay-3", user_id: 3, draw_id: 1, numbers: [9], transferred_numbers: [], status: "approved", amount_cents: 1000 },
+    ],
+    reservations: [
+      { id: "res-1", user_id: 1, draw_id: 1, numbers: [5, 6], payment_id: "pay-1", status: "paid" },
+      { id: "res-3", user_id: 3, draw_id: 1, numbers: [9], payment_id: "pay-3", status: "paid" },
+    ],
+    transfers: [],
+    seq: 0,
+  };
+  const transferRow = (t) => ({ ...t, expires_at: new Date(t.expires_ms) });
+  const owns = (t) => state.payments.some((p) =>
+    p.id === t.source_payment_id && p.user_id === t.from_user_id && p.numbers.includes(t.n) && PAID.includes(p.status)
+  );
+
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("UPDATE public.number_transfers t SET status = 'expired'")) {
+      const rows = state.transfers.filter((t) =>
+        t.status === "pending" && (t.expires_ms <= Date.now() || state.draw.status !== "open" || !owns(t))
+      );
+      for (const t of rows) t.status = "expired";
+      return { rowCount: rows.length, rows: [] };
+    }
+    if (text.includes("FROM public.draws WHERE id = $1 FOR SHARE")) {
+      return { rows: params[0] === state.draw.id ? [{ ...state.draw }] : [] };
+    }
+    if (text.includes("AND $3 = ANY(numbers)") && text.includes("ORDER BY created_at DESC")) {
+      const [drawId, userId, n] = params;
+      const rows = state.payments.filter((p) =>
+        p.draw_id === drawId && p.user_id === userId && p.numbers.includes(n) && PAID.includes(p.status)
+      );
+      return { rows: rows.map((p) => ({ id: p.id })) };
+    }
+    if (text.includes("LOWER(TRIM(email)) = $1")) {
+      return { rows: state.users.filter((u) => u.email.trim().toLowerCase() === params[0]).map((u) => ({ id: u.id })) };
+    }
+    if (text.includes("regexp_replace(COALESCE(phone")) {
+      return {
+        rows: state.users
+          .filter((u) => params[0].includes(String(u.phone || "").replace(/\D/g, "")))
+          .map((u) => ({ id: u.id })),
+      };
+    }
+    if (text.includes("INSERT INTO public.number_transfers")) {
+      const [drawId, n, fromUserId, toUserId, sourcePaymentId, hours] = params;
+      if (state.transfers.some((t) => t.draw_id === drawId && t.n === n && t.status === "pending")) return { rows: [] };
+      state.seq += 1;
+      const t = {
+        id: `00000000-0000-4000-8000-${String(state.seq).padStart(12, "0")}`,
+        draw_id: drawId,
+        n,
+        from_user_id: fromUserId,
+        to_user_id: toUserId,
+        status: "pending",
+        source_payment_id: sourcePaymentId,
+        target_payment_id: null,
+        expires_ms: Date.now() + hours * 3_600_000,
+        created_at: new Date(),
+      };
+      state.transfers.push(t);
+      return { rows: [transferRow(t)] };
+    }
+    if (text.includes("FROM public.number_transfers WHERE id = $1") && text.includes("FOR UPDATE")) {
+      const column = text.includes("AND from_user_id = $2") ? "from_user_id" : "to_user_id";
+      const t = state.transfers.find((x) => x.id === params[0] && x[column] === params[1]);
+      return { rows: t ? [transferRow(t)] : [] };
+    }
+    if (text.includes("FROM public.payments WHERE id = $1 AND user_id = $2 AND $3 = ANY(numbers)")) {
+      const [id, userId, n] = params;
+      const p = state.payments.find((x) => x.id === id && x.user_id === userId && x.numbers.includes(n) && PAID.includes(x.status));
+      return { rows: p ? [{ id: p.id }] : [] };
+    }
+    if (text.includes("UPDATE public.payments SET numbers = array_remove")) {
+      const p = state.payments.find((x) => x.id === params[0]);
+      p.numbers = p.numbers.filter((n) => n !== params[1]);
+      p.transferred_numbers = [...p.transferred_numbers, params[1]];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations SET numbers = array_remove")) {
+      for (const r of state.reservations.filter((x) => x.payment_id === params[0])) {
+        r.numbers = r.numbers.filter((n) => n !== params[2]);
+      }
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.payments")) {
+      const [id, userId, drawId, n, provider] = params;
+      state.payments.push({ id, user_id: userId, draw_id: drawId, numbers: [n], transferred_numbers: [], status: "approved", amount_cents: 0, provider });
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.reservations")) {
+      const [userId, drawId, n, paymentId] = params;
+      state.reservations.push({ id: `res-${paymentId}`, user_id: userId, draw_id: drawId, numbers: [n], payment_id: paymentId, status: "paid" });
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.numbers SET status = 'sold'")) return { rowCount: 1 };
+    if (text.includes("UPDATE public.number_transfers SET status = $2")) {
+      const t = state.transfers.find((x) => x.id === params[0]);
+      Object.assign(t, { status: params[1], target_payment_id: params[2] ?? t.target_payment_id, resolved_at: new Date() });
+      return { rows: [transferRow(t)] };
+    }
+    if (text.includes("AS from_name")) {
+      const name = (id) => state.users.find((u) => u.id === id)?.name;
+      const rows = state.transfers
+        .filter((t) => t.from_user_id === params[0] || t.to_user_id === params[0])
+        .map((t) => ({ ...transferRow(t), number_count: 100, from_name: name(t.from_user_id), to_name: name(t.to_user_id) }));
+      return { rows };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  }, { compact: true });
+}
+
+// Dono do número como as consultas do tabuleiro/participantes enxergam: payments pagos + reservas pagas.
+function ownerOf(db, n) {
+  const payment = db.state.payments.find((p) => PAID.includes(p.status) && p.numbers.includes(n));
+  const reservation = db.state.reservations.find((r) => r.status === "paid" && r.numbers.includes(n));
+  return [payment?.user_id ?? null, reservation?.user_id ?? null];
+}
+
+test("createNumberTransfer valida dono, destinatário e pendência única", async () => {
+  const db = transfersDb();
+  const options = { pgClient: db };
+
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 9, toEmail: "bia@example.com" }, options),
+    (e) => e.code === "number_not_owned"
+  );
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "ninguem@example.com" }, options),
+    (e) => e.code === "recipient_not_found"
+  );
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "ANA@example.com" }, options),
+    (e) => e.code === "transfer_to_self"
+  );
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 5 }, options),
+    (e) => e.code === "recipient_required"
+  );
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 100, toEmail: "bia@example.com" }, options),
+    (e) => e.code === "invalid_number"
+  );
+
+  // telefone sem o 55 encontra o cadastro salvo com +55 e máscara
+  const transfer = await createNumberTransfer({ userId: 1, drawId: 1, n: 5, toPhone: "11988880002" }, options);
+  assert.deepEqual([transfer.direction, transfer.to_user_id, transfer.status, transfer.n], ["outgoing", 2, "pending", 5]);
+  assert.equal(db.state.transfers[0].source_payment_id, "pay-1");
+
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "caio@example.com" }, options),
+    (e) => e.code === "transfer_already_pending"
+  );
+
+  const incoming = await listUserNumberTransfers(2, options);
+  assert.deepEqual(incoming.map((t) => [t.direction, t.from_name, t.n]), [["incoming", "Ana", 5]]);
+});
+
+test("aceitar move o número para o destinatário em payments e reservas", async () => {
+  const db = transfersDb();
+  const options = { pgClient: db };
+  const transfer = await createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "bia@example.com" }, options);
+
+  // só o destinatário aceita
+  await assert.rejects(
+    acceptNumberTransfer({ userId: 1, transferId: transfer.id }, options),
+    (e) => e.code === "transfer_not_found"
+  );
+  assert.deepEqual(ownerOf(db, 5), [1, 1]);
+
+  const accepted = await acceptNumberTransfer({ userId: 2, transferId: transfer.id }, options);
+  assert.equal(accepted.status, "accepted");
+  assert.deepEqual(ownerOf(db, 5), [2, 2]);
+  assert.deepEqual(ownerOf(db, 6), [1, 1]);
+
+  const source = db.state.payments.find((p) => p.id === "pay-1");
+  assert.deepEqual([source.numbers, source.transferred_numbers, source.amount_cents], [[6], [5], 2000]);
+  const gift = db.state.payments.find((p) => p.id === `transfer:${transfer.id}`);
+  assert.deepEqual([gift.user_id, gift.amount_cents, gift.provider], [2, 0, "transfer"]);
+  assert.equal(db.state.transfers[0].target_payment_id, gift.id);
+
+  await assert.rejects(
+    acceptNumberTransfer({ userId: 2, transferId: transfer.id }, options),
+    (e) => e.code === "transfer_not_pending"
+  );
+  // o novo dono pode passar adiante
+  const again = await createNumberTransfer({ userId: 2, drawId: 1, n: 5, toEmail: "caio@example.com" }, options);
+  assert.equal(db.state.transfers[1].source_payment_id, gift.id);
+  await acceptNumberTransfer({ userId: 3, transferId: again.id }, options);
+  assert.deepEqual(ownerOf(db, 5), [3, 3]);
+});
+
+test("sorteio fechado bloqueia início e aceite; recusa e cancelamento mantêm o dono", async () => {
+  const db = transfersDb();
+  const options = { pgClient: db };
+
+  const declined = await createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "bia@example.com" }, options);
+  assert.equal((await declineNumberTransfer({ userId: 2, transferId: declined.id }, options)).status, "declined");
+  const cancelled = await createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "bia@example.com" }, options);
+  await assert.rejects(
+    cancelNumberTransfer({ userId: 2, transferId: cancelled.id }, options),
+    (e) => e.code === "transfer_not_found"
+  );
+  assert.equal((await cancelNumberTransfer({ userId: 1, transferId: cancelled.id }, options)).status, "cancelled");
+  assert.deepEqual(ownerOf(db, 5), [1, 1]);
+
+  const pending = await createNumberTransfer({ userId: 1, drawId: 1, n: 6, toEmail: "bia@example.com" }, options);
+  db.state.draw.status = "closed";
+  await assert.rejects(
+    createNumberTransfer({ userId: 1, drawId: 1, n: 5, toEmail: "bia@example.com" }, options),
+    (e) => e.code === "draw_closed"
+  );
+  await assert.rejects(
+    acceptNumberTransfer({ userId: 2, transferId: pending.id }, options),
+    (e) => e.code === "transfer_not_pending" && e.status === "expired"
+  );
+  assert.deepEqual(ownerOf(db, 6), [1, 1]);
+  await assert.rejects(
+    acceptNumberTransfer({ userId: 2, transferId: "nao-e-uuid" }, options),
+    (e) => e.code === "transfer_not_found"
+  );
+});
@@ -0,0 +1,227 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  joinWaitlist,
+  leaveWaitlist,
+  processNumberWaitlist,
+  waitlistBlockedNumbers,
+} from "../src/services/numberWaitlist.js";
+import { fakeDb } from "./helpers.js";
+
+// Banco em memória: sorteio principal 1 aberto, números 0..99; 7 reservado por outro usuário (99).
+function waitlistDb() {
+  const state = {
+    draw: { id: 1, status: "open", number_count: 100 },
+    numbers: new Map(),
+    reservations: new Map(),
+    payments: [],
+    waitlist: [],
+    seq: 0,
+  };
+  for (let n = 0; n < 100; n += 1) state.numbers.set(n, { status: "available", reservation_id: null });
+  const reserve = (id, userId, n, status = "active", expiresInMs = 60_000) => {
+    state.reservations.set(id, { id, user_id: userId, numbers: [n], status, expires_at: new Date(Date.now() + expiresInMs) });
+    Object.assign(state.numbers.get(n), { status: "reserved", reservation_id: id });
+  };
+  reserve("res-other", 99, 7);
+
+  const waiting = (n) =>
+    state.waitlist.filter((w) => w.n === n && w.status === "waiting").sort((a, b) => a.seq - b.seq);
+  const live = (r) => r && ["active", "pending", "reserved", ""].includes(r.status) && r.expires_at > new Date();
+
+  return fakeDb({ state, reserve }, (text, params) => {
+    if (text.includes("FROM public.draws WHERE status = 'open'")) return { rows: [{ ...state.draw }] };
+    if (text.includes("r.user_id AS reserved_by")) {
+      return {
+        rows: params[1].map((n) => {
+          const row = state.numbers.get(n);
+          return { n, status: row.status, reserved_by: state.reservations.get(row.reservation_id)?.user_id ?? null };
+        }),
+      };
+    }
+    if (text.includes("SELECT DISTINCT unnest(numbers)")) {
+      return { rows: state.payments.flatMap((p) => p.numbers.map((n) => ({ n }))) };
+    }
+    if (text.includes("SELECT DISTINCT w.n FROM public.number_waitlist w JOIN public.numbers")) {
+      const ns = [...new Set(state.waitlist.filter((w) => w.status === "waiting").map((w) => w.n))];
+      return { rows: ns.filter((n) => state.numbers.get(n).status === "available").map((n) => ({ n })) };
+    }
+    if (text.includes("SELECT COUNT(*)::int AS total FROM public.number_waitlist")) {
+      const total = state.waitlist.filter((w) =>
+        w.user_id === params[1] && ["waiting", "offered"].includes(w.status) && !params[3].includes(w.n)
+      ).length;
+      return { rows: [{ total }] };
+    }
+    if (text.includes("INSERT INTO public.number_waitlist")) {
+      const [, n, userId] = params;
+      const exists = state.waitlist.some((w) => w.n === n && w.user_id === userId && ["waiting", "offered"].includes(w.status));
+      if (!exists) {
+        state.seq += 1;
+        state.waitlist.push({ id: `w${state.seq}`, seq: state.seq, draw_id: 1, n, user_id: userId, status: "waiting", reservation_id: null });
+      }
+      return { rowCount: exists ? 0 : 1 };
+    }
+    if (text.includes("AS position")) {
+      const rows = state.waitlist
+        .filter((w) => w.user_id === params[0] && params[1].includes(w.status))
+        .map((w) => ({
+          ...w,
+          number_count: 100,
+          position: w.status === "waiting" ? waiting(w.n).findIndex((x) => x.id === w.id) + 1 : null,
+        }));
+      return { rows };
+    }
+    if (text.includes("SELECT DISTINCT ON (w.n) w.n, w.user_id")) {
+      return { rows: params[1].map((n) => waiting(n)[0]).filter(Boolean).map((w) => ({ n: w.n, user_id: w.user_id })) };
+    }
+    if (text.includes("SET status = 'fulfilled'")) {
+      const rows = state.waitlist.filter((w) => w.status === "offered" && state.reservations.get(w.reservation_id)?.status === "paid");
+      for (const w of rows) w.status = "fulfilled";
+      return { rowCount: rows.length, rows };
+    }
+    if (text.includes("SET status = 'expired'") && text.includes("w.status = 'offered'")) {
+      const rows = state.waitlist.filter((w) => {
+        const r = state.reservations.get(w.reservation_id);
+        return w.status === "offered" && !(r?.status === "paid" || live(r));
+      });
+      for (const w of rows) w.status = "expired";
+      return { rowCount: rows.length, rows };
+    }
+    if (text.includes("SET status = 'expired'") && text.includes("d.status <> 'open'")) {
+      return { rowCount: 0, rows: [] };
+    }
+    if (text.includes("SELECT DISTINCT w.draw_id, w.n")) {
+      const ns = [...new Set(state.waitlist.filter((w) => w.status === "waiting").map((w) => w.n))];
+      return { rows: ns.filter((n) => state.numbers.get(n).status === "available").map((n) => ({ draw_id: 1, n })) };
+    }
+    if (text.includes("FOR UPDATE OF num")) {
+      const row = state.numbers.get(params[1]);
+      return { rows: [{ status: row.status, draw_status: state.draw.status, number_count: 100 }] };
+    }
+    if (text.includes("AND $2 = ANY(numbers)")) {
+      return { rows: state.payments.filter((p) => p.numbers.includes(params[1])).map(() => ({ "?column?": 1 })) };
+    }
+    if (text.includes("FOR UPDATE SKIP LOCKED")) {
+      const first = waiting(params[1])[0];
+      return { rows: first ? [{ id: first.id, user_id: first.user_id }] : [] };
+    }
+    if (text.includes("INSERT INTO public.reservations")) {
+      const [id, userId, , n, minutes] = params;
+      state.reservations.set(id, { id, user_id: userId, numbers: [n], status: "active", expires_at: new Date(Date.now() + minutes * 60_000) });
+      return { rows: [{ expires_at: state.reservations.get(id).expires_at }] };
+    }
+    if (text.includes("UPDATE public.numbers SET status = 'reserved'")) {
+      Object.assign(state.numbers.get(params[1]), { status: "reserved", reservation_id: params[2] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = 'offered'")) {
+      Object.assign(state.waitlist.find((w) => w.id === params[0]), { status: "offered", reservation_id: params[1], offer_expires_at: params[2] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("FROM public.number_waitlist") && text.includes("FOR UPDATE")) {
+      const rows = state.waitlist.filter((w) => w.n === params[1] && w.user_id === params[2] && params[3].includes(w.status));
+      return { rows };
+    }
+    if (text.includes("UPDATE public.reservations SET status = 'cancelled'")) {
+      const r = state.reservations.get(params[0]);
+      if (!live(r)) return { rowCount: 0, rows: [] };
+      r.status = "cancelled";
+      return { rowCount: 1, rows: [{ id: r.id }] };
+    }
+    if (text.includes("UPDATE public.numbers SET status = 'available'")) {
+      const row = state.numbers.get(params[1]);
+      if (row.reservation_id === params[2]) Object.assign(row, { status: "available", reservation_id: null });
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = 'cancelled'") && text.includes("number_waitlist")) {
+      state.waitlist.find((w) => w.id === params[0]).status = "cancelled";
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  }, { compact: true });
+}
+
+// Simula a limpeza de reservas vencidas (cleanupExpiredReservationsGlobal).
+function expireReservation(db, reservationId) {
+  const r = db.state.reservations.get(reservationId);
+  r.status = "expired";
+  for (const [, row] of db.state.numbers) {
+    if (row.reservation_id === reservationId) Object.assign(row, { status: "available", reservation_id: null });
+  }
+}
+
+test("joinWaitlist aceita número reservado por outro e recusa livre, vendido ou próprio", async () => {
+  const db = waitlistDb();
+  const options = { pgClient: db };
+
+  const entries = await joinWaitlist({ userId: 1, numbers: [7] }, options);
+  assert.deepEqual(entries.map((e) => [e.n, e.status, e.position]), [[7, "waiting", 1]]);
+  const second = await joinWaitlist({ userId: 2, numbers: [7] }, options);
+  assert.equal(second[0].position, 2);
+  // repetir não duplica
+  await joinWaitlist({ userId: 1, numbers: [7] }, options);
+  assert.equal(db.state.waitlist.length, 2);
+
+  await assert.rejects(joinWaitlist({ userId: 1, numbers: [8] }, options), (e) => e.code === "numbers_available");
+  db.state.payments.push({ numbers: [9] });
+  await assert.rejects(joinWaitlist({ userId: 1, numbers: [9] }, options), (e) => e.code === "numbers_sold");
+  await assert.rejects(joinWaitlist({ userId: 99, numbers: [7] }, options), (e) => e.code === "numbers_reserved_by_you");
+  await assert.rejects(joinWaitlist({ userId: 1, numbers: [100] }, options), (e) => e.code === "numbers_invalid");
+});
+
+test("número liberado vira reserva exclusiva do primeiro da fila e passa adiante quando expira", async () => {
+  const db = waitlistDb();
+  const options = { pgClient: db };
+  const notices = [];
+  const notify = async (offer) => notices.push(offer);
+  await joinWaitlist({ userId: 1, numbers: [7] }, options);
+  await joinWaitlist({ userId: 2, numbers: [7] }, options);
+
+  // ainda reservado pelo dono original: nada a oferecer
+  assert.equal((await processNumberWaitlist({ notify }, options)).offered, 0);
+
+  expireReservation(db, "res-other");
+  // livre com fila: só o primeiro da fila pode reservar direto
+  assert.deepEqual(await waitlistBlockedNumbers({ drawId: 1, numbers: [7, 8], userId: 2 }, options), [7]);
+  assert.deepEqual(await waitlistBlockedNumbers({ drawId: 1, numbers: [7], userId: 1 }, options), []);
+
+  const first = await processNumberWaitlist({ notify }, options);
+  assert.equal(first.offered, 1);
+  const offer = notices[0];
+  assert.deepEqual([offer.user_id, offer.n, offer.hold_minutes], [1, 7, 10]);
+  assert.equal(db.state.numbers.get(7).reservation_id, offer.reservation_id);
+  assert.equal(db.state.reservations.get(offer.reservation_id).user_id, 1);
+  assert.deepEqual(db.state.waitlist.map((w) => w.status), ["offered", "waiting"]);
+
+  // oferta não paga: a reserva vence e o número vai para o segundo da fila
+  expireReservation(db, offer.reservation_id);
+  const second = await processNumberWaitlist({ notify }, options);
+  assert.deepEqual([second.expired, second.offered], [1, 1]);
+  assert.equal(notices[1].user_id, 2);
+  assert.deepEqual(db.state.waitlist.map((w) => w.status), ["expired", "offered"]);
+
+  // paga: a entrada fecha como atendida
+  db.state.reservations.get(notices[1].reservation_id).status = "paid";
+  const third = await processNumberWaitlist({ notify }, options);
+  assert.deepEqual([third.fulfilled, third.offered], [1, 0]);
+});
+
+test("sair da fila com a oferta em mãos devolve o número para o próximo", async () => {
+  const db = waitlistDb();
+  const options = { pgClient: db };
+  const notices = [];
+  await joinWaitlist({ userId: 1, numbers: [7] }, options);
+  await joinWaitlist({ userId: 2, numbers: [7] }, options);
+  expireReservation(db, "res-other");
+  await processNumberWaitlist({ notify: async (offer) => notices.push(offer) }, options);
+
+  const left = await leaveWaitlist({ userId: 1, drawId: 1, n: 7 }, options);
+  assert.deepEqual(left, []);
+  assert.equal(db.state.reservations.get(notices[0].reservation_id).status, "cancelled");
+  assert.equal(db.state.numbers.get(7).status, "available");
+
+  await processNumberWaitlist({ notify: async (offer) => notices.push(offer) }, options);
+  assert.equal(notices[1].user_id, 2);
+  await assert.rejects(leaveWaitlist({ userId: 1, drawId: 1, n: 7 }, options), (e) => e.code === "waitlist_entry_not_found");
+});
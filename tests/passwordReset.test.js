@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+
+import {
+  confirmPasswordReset,
+  hashPasswordResetToken,
+  isTokenIssuedBeforePasswordChange,
+  requestPasswordReset,
+} from "../src/services/passwordReset.js";
+import { fakeDb } from "./helpers.js";
+
+function resetDb({ user = { id: 7, email: "cliente@example.com" }, tokens = [], recentCount = 0 } = {}) {
+  const state = { user: user ? { ...user } : null, tokens: tokens.map((t) => ({ ...t })) };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("FROM public.users") && text.includes("LOWER(email)")) {
+      return { rows: state.user ? [state.user] : [], rowCount: state.user ? 1 : 0 };
+    }
+    if (text.includes("FOR UPDATE") && text.includes("FROM public.users")) {
+      return { rows: [{ id: state.user.id }], rowCount: 1 };
+    }
+    if (text.includes("COUNT(*)::int AS total")) {
+      return { rows: [{ total: recentCount }], rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.password_reset_tokens")) {
+      const row = { id: `t${state.tokens.length + 1}`, token_hash: params[1], failed_attempts: 0 };
+      state.tokens.push(row);
+      return { rows: [{ id: row.id, expires_at: "2026-10-19T12:30:00.000Z" }], rowCount: 1 };
+    }
+    if (text.includes("SELECT id, token_hash, failed_attempts")) {
+      const active = state.tokens.filter((t) => !t.used_at && !t.revoked_at).slice(-1);
+      return { rows: active, rowCount: active.length };
+    }
+    if (text.includes("SET failed_attempts = failed_attempts + 1")) {
+      const row = state.tokens.find((t) => t.id === params[0]);
+      row.failed_attempts += 1;
+      if (row.failed_attempts >= params[1]) row.revoked_at = "now";
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("SET used_at = now()")) {
+      state.tokens.find((t) => t.id === params[0]).used_at = "now";
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("SET revoked_at = now()")) {
+      for (const row of state.tokens) {
+        if (row.id !== params[1] && !row.used_at && !row.revoked_at) row.revoked_at = "now";
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.users")) {
+      state.user.pass_hash = params[1];
+      state.user.password_changed_at = "now";
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("pedido emite token aleatório e guarda apenas o hash", async () => {
+  const db = resetDb();
+  const result = await requestPasswordReset({ email: " Cliente@Example.com " }, { pgClient: db });
+
+  assert.equal(result.issued, true);
+  assert.ok(result.token.length >= 40);
+  assert.equal(db.state.tokens.length, 1);
+  assert.equal(db.state.tokens[0].token_hash, hashPasswordResetToken(result.token));
+  assert.notEqual(db.state.tokens[0].token_hash, result.token);
+});
+
+test("pedido para e-mail inexistente não emite token", async () => {
+  const db = resetDb({ user: null });
+  const result = await requestPasswordReset({ email: "ninguem@example.com" }, { pgClient: db });
+
+  assert.equal(result.issued, false);
+  assert.equal(result.reason, "user_not_found");
+  assert.equal(db.calls.some((c) => c.sql.includes("INSERT INTO")), false);
+});
+
+test("pedido respeita limite por hora", async () => {
+  const db = resetDb({ recentCount: 3 });
+  const result = await requestPasswordReset({ email: "cliente@example.com" }, { pgClient: db });
+
+  assert.equal(result.issued, false);
+  assert.equal(result.reason, "rate_limited");
+});
+
+test("confirmação com token válido troca a senha e consome o token", async () => {
+  const db = resetDb();
+  const { token } = await requestPasswordReset({ email: "cliente@example.com" }, { pgClient: db });
+
+  const result = await confirmPasswordReset(
+    { email: "cliente@example.com", token, newPassword: "nova-senha" },
+    { pgClient: db }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(db.state.tokens[0].used_at, "now");
+  assert.equal(db.state.user.password_changed_at, "now");
+  assert.equal(await bcrypt.compare("nova-senha", db.state.user.pass_hash), true);
+
+  await assert.rejects(
+    confirmPasswordReset({ email: "cliente@example.com", token, newPassword: "outra-senha" }, { pgClient: db }),
+    { code: "reset_token_invalid" }
+  );
+});
+
+test("token errado conta tentativa e revoga ao atingir o limite", async () => {
+  const db = resetDb();
+  const { token } = await requestPasswordReset({ email: "cliente@example.com" }, { pgClient: db });
+
+  for (let i = 0; i < 5; i += 1) {
+    await assert.rejects(
+      confirmPasswordReset({ email: "cliente@example.com", token: "errado", newPassword: "nova-senha" }, { pgClient: db }),
+      { code: "reset_token_invalid" }
+    );
+  }
+  assert.equal(db.state.tokens[0].failed_attempts, 5);
+  assert.equal(db.state.tokens[0].revoked_at, "now");
+
+  await assert.rejects(
+    confirmPasswordReset({ email: "cliente@example.com", token, newPassword: "nova-senha" }, { pgClient: db }),
+    { code: "reset_token_invalid" }
+  );
+  assert.equal(db.state.user.pass_hash, undefined);
+});
+
+test("senha curta é recusada antes de tocar no banco", async () => {
+  const db = resetDb();
+  await assert.rejects(
+    confirmPasswordReset({ email: "cliente@example.com", token: "x", newPassword: "123" }, { pgClient: db }),
+    { code: "weak_password" }
+  );
+  assert.equal(db.calls.length, 0);
+});
+
+test("JWT emitido antes da troca de senha é considerado revogado", async () => {
+  const changedAt = "2026-10-19T12:00:00.000Z";
+  const changedSec = Date.parse(changedAt) / 1000;
+  const pgClient = {
+    async query() {
+      return { rows: [{ password_changed_at: changedAt }], rowCount: 1 };
+    },
+  };
+
+  assert.equal(await isTokenIssuedBeforePasswordChange({ sub: 7, iat: changedSec - 60 }, { pgClient }), true);
+  assert.equal(await isTokenIssuedBeforePasswordChange({ sub: 7, iat: changedSec + 60 }, { pgClient }), false);
+});
+
+test("JWT emitido no mesmo segundo da troca de senha também é revogado", async () => {
+  const changedAt = "2026-10-19T12:00:00.750Z";
+  const changedSec = Math.floor(Date.parse(changedAt) / 1000);
+  const pgClient = {
+    async query() {
+      return { rows: [{ password_changed_at: changedAt }], rowCount: 1 };
+    },
+  };
+
+  assert.equal(await isTokenIssuedBeforePasswordChange({ sub: 7, iat: changedSec }, { pgClient }), true);
+  assert.equal(await isTokenIssuedBeforePasswordChange({ sub: 7, iat: changedSec + 1 }, { pgClient }), false);
+});
+
+test("revogação tolera coluna ainda não migrada", async () => {
+  const pgClient = {
+    async query() {
+      const error = new Error("column does not exist");
+      error.code = "42703";
+      throw error;
+    },
+  };
+  assert.equal(await isTokenIssuedBeforePasswordChange({ sub: 7, iat: 1 }, { pgClient }), false);
+});
@@ -0,0 +1,297 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  completePendingRefund,
+  computeRefundAmountCents,
+  refundPayment,
+  reversePaymentFromProvider,
+} from "../src/services/paymentRefunds.js";
+import { fakeDb } from "./helpers.js";
+
+function refundsDb({ payment, draw, balance = 0, credited = 0, pending = false, failCompleteOnce = false }) {
+  const state = {
+    payment: { refunded_numbers: [], refunded_cents: 0, ...payment },
+    balance,
+    refunds: pending ? [{ id: "rf-pending", status: "pending", source: "admin", numbers: [], ...pending }] : [],
+    ledger: [],
+    numberUpdates: [],
+    reservationUpdates: [],
+  };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("SELECT status FROM public.payment_refunds") && failCompleteOnce) {
+      failCompleteOnce = false;
+      throw new Error("db_down");
+    }
+    if (text.includes("FROM public.payment_refunds") && text.includes("WHERE id = $1")) {
+      const rows = state.refunds.filter((r) => r.id === params[0]).map((r) => ({ ...r }));
+      return { rows, rowCount: rows.length };
+    }
+    if (text.includes("SET provider_refunded_at = now()")) {
+      const row = state.refunds.find((r) => r.id === params[0]);
+      Object.assign(row, { provider_refunded_at: "now", provider_refund_id: params[1], provider_status: params[2] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("FROM public.payments") && text.includes("FOR UPDATE")) {
+      return { rows: [{ ...state.payment }], rowCount: 1 };
+    }
+    if (text.includes("FROM public.payment_refunds WHERE payment_id = $1 AND status = 'pending'")) {
+      const rows = state.refunds.filter((r) => r.status === "pending");
+      return { rows, rowCount: rows.length };
+    }
+    if (text.includes("SELECT winner_number FROM public.draws")) {
+      return { rows: [{ winner_number: draw.winner_number ?? null }], rowCount: 1 };
+    }
+    if (text.includes("SELECT status, winner_number FROM public.draws")) {
+      return { rows: [draw], rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.payment_refunds")) {
+      const admin = text.includes("'refund', 'admin', 'pending'");
+      const row = {
+        id: `rf-${state.refunds.length + 1}`,
+        status: "pending",
+        source: admin ? "admin" : params[5],
+        numbers: admin ? params[4] : params[6],
+      };
+      state.refunds.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'failed'")) {
+      const row = state.refunds.find((r) => r.id === params[0]);
+      row.status = "failed";
+      row.last_error = params[1];
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("event_type = 'CREDIT_PURCHASE'")) {
+      return { rows: [{ credited_cents: credited }], rowCount: 1 };
+    }
+    if (text.includes("SUM(coupon_reversed_cents + coupon_uncollected_cents)")) {
+      const total = state.refunds
+        .filter((r) => r.status === "completed")
+        .reduce((acc, r) => acc + r.coupon_reversed_cents + r.coupon_uncollected_cents, 0);
+      return { rows: [{ total }], rowCount: 1 };
+    }
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      return { rows: [{ balance: state.balance }], rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.users")) {
+      state.balance -= params[1];
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      state.ledger.push({ delta_cents: params[2], event_type: params[5], meta: JSON.parse(params[9]) });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.numbers")) {
+      state.numberUpdates.push({ numbers: params[1], status: params[2] });
+      return { rows: [], rowCount: params[1].length };
+    }
+    if (text.includes("UPDATE public.reservations")) {
+      state.reservationUpdates.push(params[1]);
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.payments")) {
+      const [, removed, amount, isLast, finalStatus] = params;
+      const p = state.payment;
+      p.numbers = p.numbers.filter((n) => !removed.includes(n));
+      p.refunded_numbers = [...p.refunded_numbers, ...removed];
+      p.refunded_cents += amount;
+      if (isLast) p.status = finalStatus;
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'completed'")) {
+      const row = state.refunds.find((r) => r.id === params[0]);
+      Object.assign(row, {
+        status: "completed",
+        numbers: params[1],
+        amount_cents: params[2],
+        number_action: params[3],
+        coupon_reversed_cents: params[4],
+        coupon_uncollected_cents: params[5],
+        provider_refund_id: params[6],
+      });
+      return { rows: [row], rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+const basePayment = {
+  id: "mp-100",
+  user_id: 7,
+  draw_id: 3,
+  numbers: [1, 2, 3, 4],
+  amount_cents: 1000,
+  status: "approved",
+  provider: "mercadopago",
+};
+
+test("valor do estorno é proporcional e o último leva o restante", () => {
+  const payment = { numbers: [1, 2, 3], refunded_numbers: [], amount_cents: 1000, refunded_cents: 0 };
+  assert.equal(computeRefundAmountCents(payment, 1), 333);
+  assert.equal(computeRefundAmountCents({ ...payment, numbers: [3], refunded_numbers: [1, 2], refunded_cents: 666 }, 1), 334);
+  assert.equal(computeRefundAmountCents(payment, 3), 1000);
+});
+
+test("número transferido continua pago: o estorno do restante não devolve a parte dele", () => {
+  const payment = { numbers: [1, 2], refunded_numbers: [], transferred_numbers: [3], amount_cents: 1000, refunded_cents: 0 };
+  assert.equal(computeRefundAmountCents(payment, 2), 667);
+  assert.equal(computeRefundAmountCents({ ...payment, numbers: [2], refunded_numbers: [1], refunded_cents: 333 }, 1), 333);
+});
+
+test("estorno parcial pelo admin libera números e reverte o crédito proporcional", async () => {
+  const db = refundsDb({ payment: basePayment, draw: { status: "open" }, balance: 5000, credited: 1000 });
+  const calls = [];
+
+  const result = await refundPayment(
+    { paymentId: "mp-100", numbers: [2], reason: "cliente desistiu", adminUserId: 1 },
+    {
+      pgClient: db,
+      providerRefund: async (input) => {
+        calls.push(input);
+        return { providerRefundId: "r-1", providerStatus: "approved" };
+      },
+    }
+  );
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].amountCents, 250);
+  assert.equal(calls[0].full, false);
+  assert.deepEqual(result.numbers, [2]);
+  assert.equal(result.full, false);
+  assert.equal(result.number_action, "released");
+  assert.equal(result.coupon_reversed_cents, 250);
+  assert.deepEqual(db.state.numberUpdates, [{ numbers: [2], status: "available" }]);
+  assert.deepEqual(db.state.ledger.map((l) => [l.event_type, l.delta_cents]), [["DEBIT_REFUND", -250]]);
+  assert.equal(db.state.balance, 4750);
+  assert.deepEqual(db.state.payment.numbers, [1, 3, 4]);
+  assert.equal(db.state.payment.status, "approved");
+});
+
+test("chargeback no webhook reverte tudo sem deixar saldo negativo", async () => {
+  const db = refundsDb({ payment: basePayment, draw: { status: "closed" }, balance: 300, credited: 1000 });
+
+  const result = await reversePaymentFromProvider("mp-100", { kind: "chargeback", providerStatus: "charged_back" }, { pgClient: db });
+
+  assert.equal(result.action, "reversed");
+  assert.equal(result.full, true);
+  assert.equal(result.number_action, "voided");
+  assert.equal(result.coupon_reversed_cents, 300);
+  assert.equal(result.coupon_uncollected_cents, 700);
+  assert.equal(db.state.balance, 0);
+  assert.equal(db.state.payment.status, "charged_back");
+  assert.deepEqual(db.state.numberUpdates, [{ numbers: [1, 2, 3, 4], status: "void" }]);
+
+  const again = await reversePaymentFromProvider("mp-100", { kind: "chargeback" }, { pgClient: db });
+  assert.equal(again.action, "noop");
+  assert.equal(db.state.ledger.length, 1);
+});
+
+test("webhook falha enquanto um estorno do admin está em andamento e reverte no reprocessamento", async () => {
+  const db = refundsDb({ payment: basePayment, draw: { status: "open" }, credited: 1000, pending: true });
+  await assert.rejects(
+    reversePaymentFromProvider("mp-100", { kind: "refund" }, { pgClient: db }),
+    { code: "refund_in_progress" }
+  );
+  assert.equal(db.state.numberUpdates.length, 0);
+  assert.equal(db.state.ledger.length, 0);
+
+  // O estorno do admin falhou no provedor: o replay do evento aplica a reversão.
+  db.state.refunds[0].status = "failed";
+  const result = await reversePaymentFromProvider("mp-100", { kind: "refund" }, { pgClient: db });
+  assert.equal(result.action, "reversed");
+  assert.equal(db.state.numberUpdates.length, 1);
+});
+
+test("estorno que falhou depois do provedor fica pendente e é retomado sem estornar de novo", async () => {
+  const db = refundsDb({ payment: basePayment, draw: { status: "open" }, balance: 5000, credited: 1000, failCompleteOnce: true });
+  const calls = [];
+  const providerRefund = async (input) => {
+    calls.push(input);
+    return { providerRefundId: "r-9", providerStatus: "approved" };
+  };
+
+  await assert.rejects(refundPayment({ paymentId: "mp-100" }, { pgClient: db, providerRefund }), /db_down/);
+  assert.equal(db.state.refunds[0].status, "pending");
+  assert.equal(db.state.refunds[0].provider_refunded_at, "now");
+  await assert.rejects(refundPayment({ paymentId: "mp-100" }, { pgClient: db, providerRefund }), { code: "refund_in_progress" });
+  await assert.rejects(
+    reversePaymentFromProvider("mp-100", { kind: "refund" }, { pgClient: db }),
+    { code: "refund_in_progress" }
+  );
+
+  const result = await completePendingRefund({ refundId: "rf-1", adminUserId: 1 }, { pgClient: db, providerRefund });
+  assert.equal(calls.length, 1);
+  assert.equal(result.full, true);
+  assert.deepEqual(result.numbers, [1, 2, 3, 4]);
+  assert.equal(db.state.refunds[0].status, "completed");
+  assert.equal(db.state.refunds[0].provider_refund_id, "r-9");
+  assert.equal(db.state.payment.status, "refunded");
+  assert.equal(db.state.balance, 4000);
+
+  // O webhook do provedor que falhou com refund_in_progress, reprocessado, não reverte de novo.
+  const replay = await reversePaymentFromProvider("mp-100", { kind: "refund" }, { pgClient: db });
+  assert.equal(replay.action, "noop");
+  await assert.rejects(completePendingRefund({ refundId: "rf-1" }, { pgClient: db, providerRefund }), { code: "refund_not_pending" });
+});
+
+test("estorno pendente sem confirmação: Mercado Pago repete com a mesma chave, Vindi exige o admin", async () => {
+  const calls = [];
+  const providerRefund = async (input) => {
+    calls.push(input);
+    return { providerRefundId: "r-10", providerStatus: "approved" };
+  };
+
+  const mp = refundsDb({ payment: basePayment, draw: { status: "open" }, pending: { numbers: [2] } });
+  const mpResult = await completePendingRefund({ refundId: "rf-pending" }, { pgClient: mp, providerRefund });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].refundId, "rf-pending");
+  assert.equal(calls[0].amountCents, 250);
+  assert.deepEqual(mpResult.numbers, [2]);
+  assert.equal(mp.state.refunds[0].status, "completed");
+
+  const vindiPayment = { ...basePayment, id: "vd-1", provider: "vindi", vindi_charge_id: 55 };
+  const vindi = refundsDb({ payment: vindiPayment, draw: { status: "open" }, pending: { numbers: [1, 2, 3, 4] } });
+  await assert.rejects(
+    completePendingRefund({ refundId: "rf-pending" }, { pgClient: vindi, providerRefund }),
+    { code: "refund_provider_unconfirmed" }
+  );
+  assert.equal(vindi.state.refunds[0].status, "pending");
+
+  const confirmed = await completePendingRefund({ refundId: "rf-pending", providerConfirmed: true }, { pgClient: vindi, providerRefund });
+  assert.equal(calls.length, 1);
+  assert.equal(confirmed.full, true);
+  assert.equal(vindi.state.refunds[0].status, "completed");
+  assert.deepEqual(vindi.state.numberUpdates, [{ numbers: [1, 2, 3, 4], status: "available" }]);
+});
+
+test("falha no provedor marca o estorno como failed sem mexer em números e saldo", async () => {
+  const db = refundsDb({ payment: basePayment, draw: { status: "open" }, balance: 5000, credited: 1000 });
+
+  await assert.rejects(
+    refundPayment({ paymentId: "mp-100" }, {
+      pgClient: db,
+      providerRefund: async () => { throw Object.assign(new Error("boom"), { code: "mp_down" }); },
+    }),
+    { code: "provider_refund_failed" }
+  );
+
+  assert.equal(db.state.refunds[0].status, "failed");
+  assert.equal(db.state.refunds[0].last_error, "mp_down");
+  assert.equal(db.state.balance, 5000);
+  assert.equal(db.state.numberUpdates.length, 0);
+});
+
+test("admin não estorna o número vencedor nem números de outro pagamento", async () => {
+  const winner = refundsDb({ payment: basePayment, draw: { status: "closed", winner_number: 3 } });
+  await assert.rejects(
+    refundPayment({ paymentId: "mp-100", numbers: [3] }, { pgClient: winner, providerRefund: async () => ({}) }),
+    { code: "refund_winning_number" }
+  );
+
+  const other = refundsDb({ payment: basePayment, draw: { status: "open" } });
+  await assert.rejects(
+    refundPayment({ paymentId: "mp-100", numbers: [9] }, { pgClient: other, providerRefund: async () => ({}) }),
+    { code: "invalid_refund_numbers" }
+  );
+});
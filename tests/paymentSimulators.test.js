@@ -0,0 +1,214 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { startMercadoPagoSimulator } from "../src/scripts/mp_simulator.js";
+import { startVindiSimulator } from "../src/scripts/vindi_simulator.js";
+import {
+  createMercadoPagoPaymentClient,
+  mpChargeCard,
+  mpCreatePixPayment,
+  mpEnsureCustomer,
+  mpRefundPayment,
+  mpSaveCard,
+} from "../src/services/mercadopago.js";
+import {
+  mercadoPagoEventIdentity,
+  verifyMercadoPagoSignature,
+  verifyVindiWebhookAuth,
+} from "../src/services/webhookInbox.js";
+
+const MP_TOKEN = "TEST-simulator-token";
+const MP_SECRET = "mp-webhook-secret";
+const VINDI_KEY = "vindi-test-key";
+const VINDI_SECRET = "vindi-webhook-secret";
+
+/** Recebe os avisos dos simuladores como o backend receberia (headers, query e corpo). */
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://receiver.local");
+      received.push({
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"),
+      });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end('{"ok":true}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("Mercado Pago: PIX nasce pendente e o aviso assinado leva ao status aprovado", async (t) => {
+  const receiver = await startReceiver();
+  const mp = await startMercadoPagoSimulator({ port: 0, accessToken: MP_TOKEN, webhookSecret: MP_SECRET });
+  process.env.MP_BASE_URL = mp.baseUrl;
+  process.env.MP_ACCESS_TOKEN = MP_TOKEN;
+  t.after(async () => {
+    await mp.close();
+    await receiver.close();
+    delete process.env.MP_BASE_URL;
+  });
+
+  const created = await mpCreatePixPayment({
+    transaction_amount: 55,
+    description: "Sorteio 12 - 1 número",
+    payerEmail: "ana@example.com",
+    notification_url: `${receiver.url}/api/payments/webhook`,
+    idempotencyKey: "pix-res-1",
+  });
+  assert.equal(created.status, "pending");
+  assert.ok(created.point_of_interaction.transaction_data.qr_code);
+  assert.ok(created.point_of_interaction.transaction_data.qr_code_base64);
+
+  // mesma chave de idempotência devolve o mesmo pagamento
+  const again = await mpCreatePixPayment({ transaction_amount: 55, payerEmail: "ana@example.com", idempotencyKey: "pix-res-1" });
+  assert.equal(again.id, created.id);
+
+  await delay(10);
+  await mp.flushWebhooks();
+  assert.equal(receiver.received.length, 1);
+  const hook = receiver.received[0];
+  assert.equal(hook.path, "/api/payments/webhook");
+  assert.equal(hook.query["data.id"], String(created.id));
+  assert.equal(verifyMercadoPagoSignature({ ...hook, secret: MP_SECRET }), "valid");
+  assert.equal(verifyMercadoPagoSignature({ ...hook, secret: "outro-segredo" }), "invalid");
+  const identity = mercadoPagoEventIdentity(hook);
+  assert.deepEqual([identity.eventType, identity.resourceId], ["payment.updated", String(created.id)]);
+  assert.equal(identity.providerEventId, String(hook.body.id));
+
+  // o handler do webhook consulta o pagamento pelo mesmo client das rotas
+  const fetched = await createMercadoPagoPaymentClient().get({ id: created.id });
+  assert.equal(fetched.status, "approved");
+
+  const refund = await mpRefundPayment({ paymentId: created.id });
+  assert.deepEqual([refund.status, refund.amount_cents], ["approved", 5500]);
+  assert.equal(mp.state.payments.get(String(created.id)).status, "refunded");
+});
+
+test("Mercado Pago: cartão salvo recusado, erro 500 e timeout chegam ao chamador", async (t) => {
+  const mp = await startMercadoPagoSimulator({ port: 0, accessToken: MP_TOKEN });
+  process.env.MP_BASE_URL = mp.baseUrl;
+  process.env.MP_ACCESS_TOKEN = MP_TOKEN;
+  process.env.MP_TIMEOUT_MS = "200";
+  t.after(async () => {
+    await mp.close();
+    delete process.env.MP_BASE_URL;
+    delete process.env.MP_TIMEOUT_MS;
+  });
+
+  const { customerId } = await mpEnsureCustomer({ user: { id: 7, email: "bia@example.com" } });
+  const { cardId, last4 } = await mpSaveCard({ customerId, card_token: "tok-front" });
+  assert.equal(last4, "4242");
+  const charge = (extra = {}) => mpChargeCard({ customerId, cardId, amount_cents: 5500, ...extra });
+
+  mp.script("approved", "rejected", "pending", "error", "timeout");
+  assert.equal((await charge()).status, "approved");
+  assert.equal((await charge()).status, "rejected");
+  assert.equal((await charge()).status, "in_process");
+  await assert.rejects(charge(), (e) => e.status === 500);
+  await assert.rejects(charge(), /timeout/);
+
+  mp.failNext({ method: "POST", path: "/v1/card_tokens" }, {
+    status: 400,
+    body: { message: "bad request", status: 400, cause: [{ code: "E216", description: "invalid security_code_id" }] },
+  });
+  await assert.rejects(charge(), (e) => e.code === "SECURITY_CODE_REQUIRED");
+
+  process.env.MP_ACCESS_TOKEN = "token-errado";
+  await assert.rejects(charge(), (e) => e.status === 401);
+  process.env.MP_ACCESS_TOKEN = MP_TOKEN;
+});
+
+test("Vindi: bill aprovada, recusada, pendente, timeout e erro do provedor", async (t) => {
+  const receiver = await startReceiver();
+  const vindi = await startVindiSimulator({
+    port: 0,
+    apiKey: VINDI_KEY,
+    webhookUrl: `${receiver.url}/api/autopay/vindi/webhook?token=${VINDI_SECRET}`,
+  });
+  // services/vindi.js lê as envs no carregamento: importar só depois de configurar
+  process.env.VINDI_API_BASE_URL = vindi.apiBase;
+  process.env.VINDI_API_KEY = VINDI_KEY;
+  process.env.VINDI_AUTOPAY_PRODUCT_ID = "77";
+  process.env.VINDI_TIMEOUT_MS = "200";
+  const svc = await import("../src/services/vindi.js");
+  t.after(async () => {
+    await vindi.close();
+    await receiver.close();
+  });
+
+  const { customerId } = await svc.ensureCustomer({ email: "caio@example.com", name: "Caio" });
+  assert.deepEqual(await svc.ensureCustomer({ email: "caio@example.com" }), { customerId });
+  const { paymentProfileId, lastFour } = await svc.createPaymentProfile({ customerId, gatewayToken: "gw-token-123" });
+  assert.equal(lastFour, "1111");
+  const profiles = await svc.getCustomerPaymentProfiles(customerId);
+  assert.deepEqual(profiles.map((p) => p.id), [paymentProfileId]);
+
+  const bill = (code) => svc.createBill({ customerId, paymentProfileId, amount_cents_total: 5500, quantity: 1, idempotencyKey: code });
+
+  vindi.script("approved", "rejected", "pending", "timeout", "error");
+
+  const ok = await bill("autopay:draw:1:user:1");
+  assert.deepEqual([ok.billStatus, ok.chargeStatus, ok.lastTransactionStatus], ["paid", "paid", "success"]);
+
+  const denied = await bill("autopay:draw:1:user:2");
+  assert.deepEqual([denied.billStatus, denied.lastTransactionStatus], ["pending", "rejected"]);
+  assert.equal(denied.gatewayMessage, "Transação negada pelo emissor");
+  await svc.cancelBill(denied.billId);
+  assert.equal((await svc.getBill(denied.billId)).status, "canceled");
+
+  const waiting = await bill("autopay:draw:1:user:3");
+  assert.deepEqual([waiting.billStatus, waiting.lastTransactionStatus], ["pending", "waiting"]);
+  vindi.settleBill(waiting.billId, "paid");
+  assert.equal((await svc.getBill(waiting.billId)).status, "paid");
+
+  await assert.rejects(bill("autopay:draw:1:user:4"), (e) => e.code === "VINDI_TIMEOUT");
+  await assert.rejects(bill("autopay:draw:1:user:5"), (e) => e.code === "VINDI_UPSTREAM_ERROR" && e.provider_status === 500);
+
+  const refund = await svc.refundCharge(ok.chargeId, true);
+  assert.equal(refund.status, "refunded");
+  assert.equal((await svc.getBill(ok.billId)).status, "canceled");
+
+  await vindi.flushWebhooks();
+  const events = receiver.received.map((r) => r.body.event.type);
+  assert.deepEqual(events, ["bill_paid", "charge_rejected", "bill_canceled", "bill_paid", "charge_refunded"]);
+  for (const r of receiver.received) {
+    assert.equal(verifyVindiWebhookAuth({ ...r, config: { secret: VINDI_SECRET } }), "valid");
+  }
+  const paid = svc.parseWebhook(receiver.received[0].body);
+  assert.deepEqual([paid.type, paid.billId, paid.status], ["bill.paid", ok.billId, "paid"]);
+  const rejected = svc.parseWebhook(receiver.received[1].body);
+  assert.deepEqual([rejected.type, rejected.billId, rejected.chargeId], ["charge.rejected", denied.billId, denied.chargeId]);
+});
+
+test("Vindi: chave errada responde 401 e corpo inválido responde 422", async (t) => {
+  const vindi = await startVindiSimulator({ port: 0, apiKey: "outra-chave" });
+  t.after(() => vindi.close());
+  // services/vindi.js fixa base e chave no carregamento: aqui a API é exercitada direto
+  const res = await fetch(`${vindi.apiBase}/customers`, {
+    headers: { Authorization: `Basic ${Buffer.from(`${VINDI_KEY}:`).toString("base64")}` },
+  });
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).errors[0].message, "Chave da API inválida");
+
+  const auth = { Authorization: `Basic ${Buffer.from("outra-chave:").toString("base64")}`, "Content-Type": "application/json" };
+  const invalid = await fetch(`${vindi.apiBase}/bills`, { method: "POST", headers: auth, body: JSON.stringify({ customer_id: 999 }) });
+  assert.equal(invalid.status, 422);
+  assert.equal((await invalid.json()).errors[0].parameter, "customer_id");
+});
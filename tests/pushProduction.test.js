@@ -0,0 +1,240 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  getPushPreferences,
+  pushOptInSql,
+  updatePushPreferences,
+} from "../src/services/notifications/pushPreferences.js";
+import {
+  normalizePushSegment,
+  resolvePushSegmentUserIds,
+} from "../src/services/notifications/pushSegments.js";
+import {
+  deactivatePushDevice,
+  savePushSubscription,
+} from "../src/services/notifications/pushNotifications.js";
+import { getPushAccessDecision } from "../src/services/notifications/pushAccessGuard.js";
+import { buildManualNotificationPreview } from "../src/services/notifications/manualNotificationPreview.js";
+import { sendManualPushNotification } from "../src/services/notifications/manualPushNotifications.js";
+import { fakePg, rowResult, withEnv } from "./helpers.js";
+
+test("push preferences default per category and upsert only the informed ones", async () => {
+  const pgClient = fakePg((sql, params) => {
+    if (sql.includes("INSERT INTO public.push_preferences")) {
+      return rowResult([{
+        operational_opt_in: params[1] ?? true,
+        draws_opt_in: params[2] ?? true,
+        balance_opt_in: params[3] ?? true,
+        marketing_opt_in: params[4] ?? false,
+      }]);
+    }
+    return rowResult([]);
+  });
+
+  const defaults = await getPushPreferences({ userId: 7 }, { pgClient });
+  assert.deepEqual(defaults.categories, { operational: true, draws: true, balance: true, marketing: false });
+  assert.equal(defaults.push_opt_out, false);
+
+  const updated = await updatePushPreferences({ userId: 7, categories: { draws: false } }, { pgClient });
+  assert.equal(updated.categories.draws, false);
+  assert.equal(updated.categories.operational, true);
+  const upsert = pgClient.calls.find((call) => call.sql.includes("INSERT INTO public.push_preferences"));
+  assert.deepEqual(upsert.params, [7, null, false, null, null]);
+  assert.match(upsert.sql, /ON CONFLICT \(user_id\) DO UPDATE/);
+
+  await assert.rejects(
+    () => updatePushPreferences({ userId: 7, categories: { promo: true } }, { pgClient }),
+    { code: "push_preferences_invalid" }
+  );
+  await assert.rejects(
+    () => updatePushPreferences({ userId: 7, categories: { draws: "no" } }, { pgClient }),
+    { code: "push_preferences_invalid" }
+  );
+});
+
+test("push opt-in SQL treats marketing as explicit opt-in", () => {
+  assert.match(pushOptInSql("draws"), /^NOT EXISTS .*pp\.draws_opt_in = false/);
+  assert.match(pushOptInSql("marketing"), /^EXISTS .*pp\.marketing_opt_in = true/);
+  assert.match(pushOptInSql("balance", "s.user_id"), /pp\.user_id = s\.user_id/);
+  assert.throws(() => pushOptInSql("promo"), { code: "push_category_invalid" });
+});
+
+test("push access no longer depends on a test account", () => {
+  return withEnv({ PUSH_ENABLED: "true" }, () => {
+    const decision = getPushAccessDecision({ user: { id: 42, email: "cliente@example.com" } });
+    assert.equal(decision.canSubscribe, true);
+    assert.equal(decision.reason, null);
+    assert.equal(getPushAccessDecision({}).reason, "push_user_not_authenticated");
+  });
+});
+
+test("subscribe keeps other devices active up to the per-user cap", () => {
+  return withEnv({ PUSH_MAX_DEVICES_PER_USER: "3" }, async () => {
+    const pgClient = fakePg((sql) => {
+      if (sql.includes("INSERT INTO public.push_subscriptions")) return rowResult([{ id: "sub-new" }]);
+      if (sql.includes("UPDATE public.push_subscriptions")) return rowResult([{ id: "sub-old" }]);
+      return rowResult([]);
+    });
+
+    const saved = await savePushSubscription({
+      userId: 9,
+      subscription: { endpoint: "https://push/new", keys: { p256dh: "p", auth: "a" } },
+      deviceLabel: "Celular",
+    }, { pgClient });
+
+    assert.equal(saved.subscription_id, "sub-new");
+    assert.equal(saved.categories.operational, true);
+    const trim = pgClient.calls.find((call) => call.sql.includes("UPDATE public.push_subscriptions"));
+    assert.deepEqual(trim.params, [9, 3]);
+    assert.match(trim.sql, /ORDER BY updated_at DESC/);
+  });
+});
+
+test("device removal is scoped to the owner", async () => {
+  const pgClient = fakePg(() => rowResult([]));
+  await assert.rejects(
+    () => deactivatePushDevice({ userId: 1, subscriptionId: "abc" }, { pgClient }),
+    { code: "push_subscription_id_invalid" }
+  );
+  await assert.rejects(
+    () => deactivatePushDevice({ userId: 1, subscriptionId: "6f1c2b8e-1d3a-4c4f-9a55-0b7e2c3d4e5f" }, { pgClient }),
+    { code: "push_device_not_found" }
+  );
+  assert.deepEqual(pgClient.calls[0].params, ["6f1c2b8e-1d3a-4c4f-9a55-0b7e2c3d4e5f", 1]);
+});
+
+test("push segments validate params", () => {
+  assert.deepEqual(normalizePushSegment("has_autopay"), { segment: "has_autopay", params: {} });
+  assert.deepEqual(normalizePushSegment("balance_expiring"), { segment: "balance_expiring", params: { days: 30 } });
+  assert.deepEqual(normalizePushSegment("last_draw_buyers", { draw_id: "12" }), {
+    segment: "last_draw_buyers",
+    params: { draw_id: 12 },
+  });
+  assert.throws(() => normalizePushSegment("vip"), { code: "manual_segment_invalid" });
+  assert.throws(() => normalizePushSegment("balance_expiring", { days: 365 }), { code: "manual_segment_params_invalid" });
+  assert.throws(() => normalizePushSegment("last_draw_buyers", { draw_id: -1 }), { code: "manual_segment_params_invalid" });
+});
+
+test("last draw buyers segment resolves the latest draw with approved payments", async () => {
+  const pgClient = fakePg((sql) => {
+    if (sql.includes("FROM public.payments")) return rowResult([{ user_id: 3, draw_id: 77 }, { user_id: 5, draw_id: 77 }]);
+    return rowResult([]);
+  });
+  const out = await resolvePushSegmentUserIds({ segment: "last_draw_buyers" }, { pgClient });
+  assert.deepEqual(out, { segment: "last_draw_buyers", params: { draw_id: 77 }, user_ids: [3, 5] });
+  assert.deepEqual(pgClient.calls[0].params, [null]);
+});
+
+test("open draw non buyers segment excludes approved buyers of the open principal draw", async () => {
+  const pgClient = fakePg((sql) => {
+    if (sql.includes("FROM public.draws")) return rowResult([{ id: 41 }]);
+    if (sql.includes("FROM public.push_subscriptions")) return rowResult([{ user_id: 2 }, { user_id: 9 }]);
+    return rowResult([]);
+  });
+  const out = await resolvePushSegmentUserIds({ segment: "open_draw_non_buyers" }, { pgClient });
+  assert.deepEqual(out, { segment: "open_draw_non_buyers", params: { draw_id: 41 }, user_ids: [2, 9] });
+  assert.match(pgClient.calls[1].sql, /NOT EXISTS/);
+  assert.deepEqual(pgClient.calls[1].params, [41]);
+
+  const closed = fakePg(() => rowResult([]));
+  const empty = await resolvePushSegmentUserIds({ segment: "open_draw_non_buyers" }, { pgClient: closed });
+  assert.deepEqual(empty.user_ids, []);
+  assert.equal(empty.params.no_open_draw, true);
+  assert.equal(closed.calls.length, 1);
+});
+
+test("balance expiring segment is empty while balance expiry is disabled", () => {
+  return withEnv({ COUPON_BALANCE_EXPIRY_EFFECTIVE_FROM: "" }, async () => {
+    const pgClient = fakePg(() => rowResult([{ user_id: 1 }]));
+    const out = await resolvePushSegmentUserIds({ segment: "balance_expiring", params: { days: 7 } }, { pgClient });
+    assert.deepEqual(out.user_ids, []);
+    assert.equal(out.params.expiry_disabled, true);
+    assert.equal(pgClient.calls.length, 0);
+  });
+});
+
+function segmentPg({ sent = [] } = {}) {
+  return fakePg((sql, params) => {
+    if (sql.includes("FROM public.autopay_profiles")) return rowResult([{ user_id: 1 }, { user_id: 2 }]);
+    if (sql.includes("FROM public.push_subscriptions") && sql.includes("COUNT")) {
+      return rowResult([{ inactive_count: 1, blocked_by_consent: 1 }]);
+    }
+    if (sql.includes("FROM public.push_subscriptions")) {
+      return rowResult([
+        { id: "s1", user_id: 1, endpoint: "https://push/1", p256dh: "p", auth: "a" },
+        { id: "s2", user_id: 1, endpoint: "https://push/2", p256dh: "p", auth: "a" },
+      ].filter((row) => params[0].includes(row.user_id)));
+    }
+    if (sql.includes("INSERT INTO public.notification_campaigns")) return rowResult([{ id: 10, status: "created" }]);
+    if (sql.includes("INSERT INTO public.notification_dispatches")) {
+      sent.push(params);
+      return rowResult([{ id: sent.length, status: "pending" }]);
+    }
+    if (sql.includes("UPDATE public.notification_dispatches")) return rowResult([{ id: params[0], status: "accepted" }]);
+    if (sql.includes("UPDATE public.notification_campaigns")) return rowResult([{ id: 10, status: "created" }]);
+    return rowResult([]);
+  });
+}
+
+test("manual push preview targets a segment filtered by category opt-in", async () => {
+  const pgClient = segmentPg();
+  const preview = await buildManualNotificationPreview({
+    pgClient,
+    payload: {
+      channel: "push",
+      audience: "segment",
+      segment: "has_autopay",
+      category: "marketing",
+      title: "Oferta",
+      message: "Aproveite",
+    },
+  });
+
+  assert.equal(preview.segment, "has_autopay");
+  assert.equal(preview.category, "marketing");
+  assert.equal(preview.requested_users, 2);
+  assert.equal(preview.eligible_users, 1);
+  assert.equal(preview.eligible_devices, 2);
+  assert.equal(preview.blocked_by_consent, 1);
+  assert.equal(preview.requires_bulk_confirmation, true);
+  const eligibleQuery = pgClient.calls.find(
+    (call) => call.sql.includes("FROM public.push_subscriptions") && call.sql.includes("SELECT id")
+  );
+  assert.match(eligibleQuery.sql, /pp\.marketing_opt_in = true/);
+  assert.deepEqual(eligibleQuery.params, [[1, 2]]);
+
+  await assert.rejects(
+    () => buildManualNotificationPreview({
+      pgClient,
+      payload: { channel: "email", audience: "segment", segment: "has_autopay" },
+    }),
+    { code: "manual_recipients_required" }
+  );
+});
+
+test("manual segment send requires confirmation and sends every device", async () => {
+  const pgClient = segmentPg();
+  const payload = {
+    audience: "segment",
+    segment: "has_autopay",
+    title: "Compra automática",
+    message: "Sua compra automática roda hoje",
+  };
+  const blocked = await sendManualPushNotification({ pgClient, payload, sendPush: async () => ({}) });
+  assert.equal(blocked.error, "manual_bulk_confirmation_required");
+
+  const categories = [];
+  const out = await sendManualPushNotification({
+    pgClient,
+    payload: { ...payload, confirm_bulk_send: true },
+    sendPush: async ({ category }) => {
+      categories.push(category);
+      return { dispatch: { id: 1 } };
+    },
+  });
+  assert.equal(out.sent, 2);
+  assert.deepEqual(categories, ["operational", "operational"]);
+  const campaign = pgClient.calls.find((call) => call.sql.includes("INSERT INTO public.notification_campaigns"));
+  assert.match(JSON.stringify(campaign.params), /has_autopay/);
+});
@@ -0,0 +1,172 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  attachReferralAtSignup,
+  getOrCreateReferralCode,
+  normalizeReferralCode,
+  rewardReferralOnApprovedPayment,
+} from "../src/services/referrals.js";
+import { fakeDb } from "./helpers.js";
+
+// Banco em memória: usuário 1 indica (código ANA12345); 2..4 são novos cadastros.
+function referralsDb() {
+  const state = {
+    users: new Map([
+      [1, { id: 1, phone: "(11) 99999-0001", referral_code: "ANA12345", coupon_value_cents: 500, doc: "123.456.789-01" }],
+      [2, { id: 2, phone: "11988880002", referral_code: null, coupon_value_cents: 0, doc: null }],
+      [3, { id: 3, phone: "+55 11 99999-0001", referral_code: null, coupon_value_cents: 0, doc: null }],
+      [4, { id: 4, phone: "11977770004", referral_code: null, coupon_value_cents: 0, doc: "12345678901" }],
+    ]),
+    payments: new Map(),
+    referrals: [],
+    ledger: [],
+    seq: 0,
+  };
+
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("SELECT referral_code FROM public.users WHERE id = $1")) {
+      const u = state.users.get(params[0]);
+      return { rows: u ? [{ referral_code: u.referral_code }] : [] };
+    }
+    if (text.includes("SET referral_code = $2")) {
+      const u = state.users.get(params[0]);
+      if (u.referral_code) return { rows: [] };
+      u.referral_code = params[1];
+      return { rows: [{ referral_code: u.referral_code }] };
+    }
+    if (text.includes("WHERE upper(referral_code) = $1")) {
+      const u = [...state.users.values()].find((x) => x.referral_code?.toUpperCase() === params[0]);
+      return { rows: u ? [{ id: u.id, phone: u.phone }] : [] };
+    }
+    if (text.includes("SELECT phone FROM public.users WHERE id = $1")) {
+      return { rows: [{ phone: state.users.get(params[0])?.phone ?? null }] };
+    }
+    if (text.includes("INSERT INTO public.referrals")) {
+      const [referrer, referred, code, status, reason] = params;
+      if (state.referrals.some((r) => r.referred_user_id === referred)) return { rows: [] };
+      state.seq += 1;
+      const row = { id: `ref-${state.seq}`, referrer_user_id: referrer, referred_user_id: referred, code, status, reject_reason: reason };
+      state.referrals.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes("FROM public.payments WHERE id = $1")) {
+      const p = state.payments.get(params[0]);
+      return { rows: p ? [{ ...p, status: p.status.toLowerCase(), cash_cents: p.amount_cents - (p.wallet_coupon_cents || 0) }] : [] };
+    }
+    if (text.includes("FROM public.referrals WHERE referred_user_id = $1 AND status = 'pending' FOR UPDATE")) {
+      return { rows: state.referrals.filter((r) => r.referred_user_id === params[0] && r.status === "pending") };
+    }
+    if (text.includes("FROM public.autopay_profiles ap")) {
+      return {
+        rows: params[0].map((id) => state.users.get(id)).filter(Boolean).map((u) => ({ id: u.id, phone: u.phone, doc_number: u.doc })),
+      };
+    }
+    if (text.includes("AND converted_at >= date_trunc('month', now())")) {
+      return { rows: [{ total: state.referrals.filter((r) => r.referrer_user_id === params[0] && r.status === "rewarded").length }] };
+    }
+    if (text.includes("SELECT COALESCE(coupon_value_cents, 0)::int AS balance_cents")) {
+      return { rows: [{ balance_cents: state.users.get(params[0]).coupon_value_cents }] };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      const [userId, paymentId, delta, before, after, eventType] = params;
+      if (state.ledger.some((h) => h.payment_id === paymentId && h.event_type === eventType)) return { rows: [] };
+      state.ledger.push({ id: `h${state.ledger.length + 1}`, user_id: userId, payment_id: paymentId, delta_cents: delta, before, after, event_type: eventType, meta: JSON.parse(params[7]) });
+      return { rows: [{ id: `h${state.ledger.length}` }] };
+    }
+    if (text.includes("SET coupon_value_cents = COALESCE(coupon_value_cents, 0) + $2")) {
+      state.users.get(params[0]).coupon_value_cents += params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.referrals SET status = 'rewarded'")) {
+      Object.assign(state.referrals.find((r) => r.id === params[0]), { status: "rewarded", reward_cents: params[1], qualifying_payment_id: params[2] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.referrals SET status = 'rejected'")) {
+      Object.assign(state.referrals.find((r) => r.id === params[0]), { status: "rejected", reject_reason: params[1], qualifying_payment_id: params[2] });
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  }, { compact: true });
+}
+
+test("código de indicação é gerado uma vez e normalizado na entrada", async () => {
+  const db = referralsDb();
+  const code = await getOrCreateReferralCode(2, { pgClient: db });
+  assert.match(code, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(await getOrCreateReferralCode(2, { pgClient: db }), code);
+  assert.equal(normalizeReferralCode(" ana-1234 5 "), "ANA12345");
+  assert.equal(normalizeReferralCode("x"), null);
+});
+
+test("cadastro com código liga ao indicador e barra o mesmo telefone", async () => {
+  const db = referralsDb();
+  const options = { pgClient: db };
+
+  assert.deepEqual(
+    await attachReferralAtSignup({ referredUserId: 2, code: "NAOEXISTE" }, options),
+    { attached: false, reason: "code_not_found" }
+  );
+  const ok = await attachReferralAtSignup({ referredUserId: 2, code: "ana12345" }, options);
+  assert.deepEqual([ok.attached, ok.status], [true, "pending"]);
+  assert.equal((await attachReferralAtSignup({ referredUserId: 2, code: "ANA12345" }, options)).reason, "already_referred");
+
+  // mesmo celular do indicador, com DDI e máscara
+  const samePhone = await attachReferralAtSignup({ referredUserId: 3, code: "ANA12345" }, options);
+  assert.deepEqual([samePhone.status, samePhone.reason], ["rejected", "same_phone"]);
+  assert.equal((await attachReferralAtSignup({ referredUserId: 1, code: "ANA12345" }, options)).reason, "self_referral");
+});
+
+test("primeiro PIX aprovado do indicado credita o indicador no ledger uma única vez", async () => {
+  const db = referralsDb();
+  const options = { pgClient: db };
+  await attachReferralAtSignup({ referredUserId: 2, code: "ANA12345" }, options);
+  db.state.payments.set("pix-1", { id: "pix-1", user_id: 2, draw_id: 7, status: "approved", amount_cents: 3000 });
+  db.state.payments.set("pix-2", { id: "pix-2", user_id: 2, draw_id: 7, status: "approved", amount_cents: 3000 });
+  db.state.payments.set("pix-pending", { id: "pix-pending", user_id: 2, draw_id: 7, status: "pending", amount_cents: 3000 });
+
+  assert.equal((await rewardReferralOnApprovedPayment("pix-pending", options)).reason, "not_final");
+
+  const first = await rewardReferralOnApprovedPayment("pix-1", options);
+  assert.deepEqual([first.action, first.referrer_user_id, first.reward_cents], ["rewarded", 1, 1000]);
+  assert.equal(db.state.users.get(1).coupon_value_cents, 1500);
+  assert.deepEqual(
+    db.state.ledger.map((h) => [h.user_id, h.payment_id, h.delta_cents, h.before, h.after, h.event_type, h.meta.referred_user_id]),
+    [[1, "pix-1", 1000, 500, 1500, "CREDIT_REFERRAL", 2]]
+  );
+  assert.equal(db.state.referrals[0].status, "rewarded");
+
+  // webhook repetido e compras seguintes não pagam de novo
+  assert.equal((await rewardReferralOnApprovedPayment("pix-1", options)).reason, "no_pending_referral");
+  assert.equal((await rewardReferralOnApprovedPayment("pix-2", options)).reason, "no_pending_referral");
+  assert.equal(db.state.users.get(1).coupon_value_cents, 1500);
+});
+
+test("mesmo documento, compra mínima e limite mensal barram a recompensa", async (t) => {
+  t.after(() => {
+    delete process.env.REFERRAL_MIN_PURCHASE_CENTS;
+    delete process.env.REFERRAL_MAX_REWARDS_PER_MONTH;
+  });
+  const db = referralsDb();
+  const options = { pgClient: db };
+
+  // 4 tem o mesmo CPF do indicador no cadastro do débito automático
+  await attachReferralAtSignup({ referredUserId: 4, code: "ANA12345" }, options);
+  db.state.payments.set("pix-4", { id: "pix-4", user_id: 4, draw_id: 7, status: "approved", amount_cents: 3000 });
+  const sameDoc = await rewardReferralOnApprovedPayment("pix-4", options);
+  assert.deepEqual([sameDoc.action, sameDoc.reason], ["rejected", "same_document"]);
+  assert.equal(db.state.ledger.length, 0);
+
+  process.env.REFERRAL_MIN_PURCHASE_CENTS = "5000";
+  await attachReferralAtSignup({ referredUserId: 2, code: "ANA12345" }, options);
+  db.state.payments.set("pix-2", { id: "pix-2", user_id: 2, draw_id: 7, status: "approved", amount_cents: 3000 });
+  assert.equal((await rewardReferralOnApprovedPayment("pix-2", options)).reason, "below_min_purchase");
+  assert.equal(db.state.referrals[1].status, "pending");
+
+  delete process.env.REFERRAL_MIN_PURCHASE_CENTS;
+  process.env.REFERRAL_MAX_REWARDS_PER_MONTH = "1";
+  db.state.referrals.push({ id: "ref-old", referrer_user_id: 1, referred_user_id: 99, status: "rewarded" });
+  const capped = await rewardReferralOnApprovedPayment("pix-2", options);
+  assert.deepEqual([capped.action, capped.reason], ["rejected", "referrer_limit_reached"]);
+  assert.equal(db.state.users.get(1).coupon_value_cents, 500);
+});
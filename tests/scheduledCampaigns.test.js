@@ -0,0 +1,239 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  cancelScheduledCampaign,
+  createScheduledCampaign,
+  fireScheduledCampaign,
+  nextRecurrenceRun,
+  normalizeRecurrence,
+  runScheduledCampaignsTick,
+  updateScheduledCampaign,
+} from "../src/services/notifications/scheduledCampaigns.js";
+import { fakePg, rowResult } from "./helpers.js";
+
+const NOW = new Date("2026-10-19T12:00:00.000Z"); // segunda-feira, 09:00 em Brasília
+const FRIDAY_18H = { weekdays: [5], time: "18:00" };
+const CAMPAIGN_ID = "6f1c2b8e-1d3a-4c4f-9a55-0b7e2c3d4e5f";
+const PUSH_PAYLOAD = {
+  channel: "push",
+  audience: "segment",
+  segment: "open_draw_non_buyers",
+  title: "Sorteio aberto",
+  message: "Ainda dá tempo de garantir seus números",
+  url: "/",
+};
+
+// Banco em memória com uma linha de notification_scheduled_campaigns e o que a prévia de push consulta.
+function scheduleStore({ schedule = null, openDraw = { id: 41 } } = {}) {
+  const state = { schedule };
+  state.pgClient = fakePg((sql, params) => {
+    if (sql.includes("INSERT INTO public.notification_scheduled_campaigns")) {
+      state.schedule = {
+        id: 7,
+        name: params[0],
+        channel: params[1],
+        payload: JSON.parse(params[2]),
+        run_at: params[3],
+        recurrence: params[4] ? JSON.parse(params[4]) : null,
+        condition: params[5],
+        created_by: params[6],
+        status: "scheduled",
+        runs_count: 0,
+      };
+      return rowResult([{ ...state.schedule }]);
+    }
+    if (sql.includes("FROM public.notification_scheduled_campaigns") && sql.includes("SKIP LOCKED")) {
+      const row = state.schedule;
+      const due = row && row.status === "scheduled" && new Date(row.run_at) <= new Date(params[1]);
+      return rowResult(due ? [{ ...row }] : []);
+    }
+    if (sql.includes("FROM public.notification_scheduled_campaigns")) {
+      return rowResult(state.schedule ? [{ ...state.schedule }] : []);
+    }
+    if (sql.includes("UPDATE public.notification_scheduled_campaigns") && sql.includes("runs_count + 1")) {
+      Object.assign(state.schedule, {
+        status: params[1] ? "scheduled" : "completed",
+        run_at: params[1] || state.schedule.run_at,
+        runs_count: state.schedule.runs_count + 1,
+        last_run_at: params[2],
+        last_outcome: params[3],
+        last_result: JSON.parse(params[4]),
+        last_campaign_id: params[5] || state.schedule.last_campaign_id || null,
+      });
+      return rowResult([{ ...state.schedule }]);
+    }
+    if (sql.includes("UPDATE public.notification_scheduled_campaigns") && sql.includes("'cancelled'")) {
+      Object.assign(state.schedule, { status: "cancelled" });
+      return rowResult([{ ...state.schedule }]);
+    }
+    if (sql.includes("UPDATE public.notification_scheduled_campaigns")) {
+      Object.assign(state.schedule, {
+        name: params[1],
+        payload: JSON.parse(params[3]),
+        run_at: params[4],
+        recurrence: params[5] ? JSON.parse(params[5]) : null,
+        condition: params[6],
+      });
+      return rowResult([{ ...state.schedule }]);
+    }
+    if (sql.includes("FROM public.draws")) return rowResult(openDraw ? [openDraw] : []);
+    if (sql.includes("FROM public.push_subscriptions") && sql.includes("COUNT")) {
+      return rowResult([{ inactive_count: 0, blocked_by_consent: 0 }]);
+    }
+    if (sql.includes("SELECT DISTINCT s.user_id")) return rowResult([{ user_id: 2 }, { user_id: 9 }]);
+    if (sql.includes("FROM public.push_subscriptions")) {
+      return rowResult([
+        { id: "s2", user_id: 2, endpoint: "https://push/2", p256dh: "p", auth: "a" },
+        { id: "s9", user_id: 9, endpoint: "https://push/9", p256dh: "p", auth: "a" },
+      ]);
+    }
+    return rowResult([]);
+  });
+  return state;
+}
+
+function dueSchedule(fields = {}) {
+  return {
+    id: 7,
+    name: "Lembrete de sexta",
+    channel: "push",
+    payload: PUSH_PAYLOAD,
+    run_at: "2026-10-16T21:00:00.000Z",
+    recurrence: FRIDAY_18H,
+    condition: "open_draw",
+    status: "scheduled",
+    runs_count: 2,
+    created_by: 1,
+    ...fields,
+  };
+}
+
+function recordingQueue(result = { ok: true, campaign_id: CAMPAIGN_ID, eligible_users: 2, estimated_batches: 1 }) {
+  const calls = [];
+  const queueManualCampaign = async (args) => {
+    calls.push(args);
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return { calls, queueManualCampaign };
+}
+
+test("weekly recurrence resolves the next occurrence in Sao Paulo time", () => {
+  assert.equal(nextRecurrenceRun(FRIDAY_18H, NOW).toISOString(), "2026-10-23T21:00:00.000Z");
+  assert.equal(
+    nextRecurrenceRun(FRIDAY_18H, new Date("2026-10-23T21:00:00.000Z")).toISOString(),
+    "2026-10-30T21:00:00.000Z"
+  );
+  // Sexta 22:00 em Brasília já é sábado em UTC.
+  assert.equal(
+    nextRecurrenceRun({ weekdays: [5, 6], time: "08:30" }, new Date("2026-10-24T01:00:00.000Z")).toISOString(),
+    "2026-10-24T11:30:00.000Z"
+  );
+  assert.deepEqual(normalizeRecurrence({ weekdays: [5, "1", 5], time: "07:05" }), { weekdays: [1, 5], time: "07:05" });
+  assert.throws(() => normalizeRecurrence({ weekdays: [7], time: "18:00" }), { code: "manual_schedule_recurrence_invalid" });
+  assert.throws(() => normalizeRecurrence({ weekdays: [5], time: "24:00" }), { code: "manual_schedule_recurrence_invalid" });
+});
+
+test("creating a schedule validates the payload and computes the first run", async () => {
+  const store = scheduleStore();
+  const out = await createScheduledCampaign(
+    { payload: { ...PUSH_PAYLOAD, confirm_bulk_send: true }, recurrence: FRIDAY_18H, condition: "open_draw" },
+    { pgClient: store.pgClient, adminUserId: 1, now: NOW }
+  );
+  assert.equal(out.schedule.run_at, "2026-10-23T21:00:00.000Z");
+  assert.equal(out.schedule.condition, "open_draw");
+  assert.equal(out.schedule.payload.confirm_bulk_send, undefined);
+  assert.equal(out.schedule.name, "Agendada push - Sorteio aberto");
+  assert.equal(out.estimate.eligible_users, 2);
+
+  await assert.rejects(
+    () => createScheduledCampaign({ payload: PUSH_PAYLOAD, run_at: "2026-10-18T12:00:00Z" }, { pgClient: store.pgClient, now: NOW }),
+    { code: "manual_schedule_run_at_in_past" }
+  );
+  await assert.rejects(
+    () => createScheduledCampaign({ payload: PUSH_PAYLOAD }, { pgClient: store.pgClient, now: NOW }),
+    { code: "manual_schedule_run_at_required" }
+  );
+  await assert.rejects(
+    () => createScheduledCampaign({ payload: PUSH_PAYLOAD, run_at: "2026-10-20T12:00:00Z", condition: "vip" }, { pgClient: store.pgClient, now: NOW }),
+    { code: "manual_schedule_condition_invalid" }
+  );
+  await assert.rejects(
+    () => createScheduledCampaign({ payload: { ...PUSH_PAYLOAD, title: "" }, run_at: "2026-10-20T12:00:00Z" }, { pgClient: store.pgClient, now: NOW }),
+    { code: "manual_push_message_required" }
+  );
+});
+
+test("firing a recurring schedule queues the campaign and advances to the next occurrence", async () => {
+  const store = scheduleStore({ schedule: dueSchedule() });
+  const queue = recordingQueue();
+  const out = await fireScheduledCampaign(7, { pgClient: store.pgClient, now: NOW }, queue);
+
+  assert.equal(out.outcome, "queued");
+  assert.equal(queue.calls.length, 1);
+  assert.equal(queue.calls[0].payload.confirm_bulk_send, true);
+  assert.equal(queue.calls[0].payload.segment, "open_draw_non_buyers");
+  assert.equal(queue.calls[0].scheduledCampaignId, 7);
+  assert.equal(queue.calls[0].adminUserId, 1);
+  assert.equal(store.schedule.status, "scheduled");
+  assert.equal(store.schedule.run_at, "2026-10-23T21:00:00.000Z");
+  assert.equal(store.schedule.runs_count, 3);
+  assert.equal(store.schedule.last_campaign_id, CAMPAIGN_ID);
+
+  const again = await fireScheduledCampaign(7, { pgClient: store.pgClient, now: NOW }, queue);
+  assert.deepEqual(again, { action: "skipped", id: 7, reason: "not_due" });
+  assert.equal(queue.calls.length, 1);
+});
+
+test("firing skips without an open draw or with an empty audience", async () => {
+  const closed = scheduleStore({ schedule: dueSchedule(), openDraw: null });
+  const queue = recordingQueue();
+  const skipped = await fireScheduledCampaign(7, { pgClient: closed.pgClient, now: NOW }, queue);
+  assert.equal(skipped.outcome, "skipped_condition");
+  assert.equal(queue.calls.length, 0);
+  assert.deepEqual(closed.schedule.last_result, { reason: "no_open_draw" });
+  assert.equal(closed.schedule.run_at, "2026-10-23T21:00:00.000Z");
+
+  const empty = scheduleStore({ schedule: dueSchedule({ recurrence: null, condition: null }) });
+  const emptyQueue = recordingQueue({ ok: false, error: "manual_push_no_eligible_recipients", requested_users: 0 });
+  const out = await fireScheduledCampaign(7, { pgClient: empty.pgClient, now: NOW }, emptyQueue);
+  assert.equal(out.outcome, "skipped_empty_audience");
+  assert.equal(empty.schedule.status, "completed");
+  assert.equal(empty.schedule.last_campaign_id, null);
+});
+
+test("a failing fire rolls back to the savepoint and is not retried every tick", async () => {
+  const store = scheduleStore({ schedule: dueSchedule({ recurrence: null }) });
+  const error = Object.assign(new Error("manual_template_not_found"), { code: "manual_template_not_found" });
+  const out = await runScheduledCampaignsTick({ pgClient: store.pgClient, now: NOW }, recordingQueue(error));
+
+  assert.equal(out.fired.length, 1);
+  assert.equal(out.fired[0].outcome, "failed");
+  assert.equal(store.schedule.status, "completed");
+  assert.equal(store.schedule.last_result.error, "manual_template_not_found");
+  assert.ok(store.pgClient.calls.some((call) => call.sql === "ROLLBACK TO SAVEPOINT scheduled_campaign_fire"));
+});
+
+test("schedules can be edited or cancelled only until they fire", async () => {
+  const store = scheduleStore({ schedule: dueSchedule({ run_at: "2026-10-23T21:00:00.000Z" }) });
+  const edited = await updateScheduledCampaign(
+    7,
+    { recurrence: { weekdays: [3], time: "12:00" }, condition: null },
+    { pgClient: store.pgClient, now: NOW }
+  );
+  assert.equal(edited.schedule.run_at, "2026-10-28T15:00:00.000Z");
+  assert.equal(edited.schedule.condition, null);
+  assert.equal(edited.schedule.payload.segment, "open_draw_non_buyers");
+
+  const cancelled = await cancelScheduledCampaign(7, { pgClient: store.pgClient });
+  assert.equal(cancelled.status, "cancelled");
+  await assert.rejects(
+    () => updateScheduledCampaign(7, { name: "Outro" }, { pgClient: store.pgClient, now: NOW }),
+    { code: "manual_schedule_invalid_state", status: "cancelled" }
+  );
+  await assert.rejects(
+    () => cancelScheduledCampaign(8, { pgClient: scheduleStore().pgClient }),
+    { code: "manual_schedule_not_found" }
+  );
+});
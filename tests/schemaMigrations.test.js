@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  applyPendingMigrations,
+  assertMigrationsApplied,
+  compareMigrations,
+  getMigrationStatus,
+  loadMigrationFiles,
+  migrationChecksum,
+  stripTransactionControl,
+} from "../src/services/schemaMigrations.js";
+import { fakeDb } from "./helpers.js";
+
+async function migrationsDir(t, files) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "migrations-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  for (const [name, sql] of Object.entries(files)) await writeFile(path.join(dir, name), sql);
+  return dir;
+}
+
+// Banco em memória: schema_migrations + log dos SQLs; `failOn` derruba o SQL que contém o trecho.
+function migrationsDb({ applied = [], tablePresent = applied.length > 0, failOn = null } = {}) {
+  const state = { tablePresent, rows: applied.map((row) => ({ ...row })), executed: [] };
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("pg_advisory_lock") || text.includes("pg_advisory_unlock")) return { rows: [] };
+    if (["BEGIN", "COMMIT", "ROLLBACK"].includes(text)) return { rows: [] };
+    if (text.includes("to_regclass('public.schema_migrations')")) return { rows: [{ present: state.tablePresent }] };
+    if (text.startsWith("CREATE TABLE IF NOT EXISTS public.schema_migrations")) {
+      state.tablePresent = true;
+      return { rows: [] };
+    }
+    if (text.includes("FROM public.schema_migrations")) return { rows: state.rows };
+    if (text.startsWith("INSERT INTO public.schema_migrations")) {
+      const [filename, checksum, executionMs, baseline] = params;
+      state.rows.push({ filename, checksum, execution_ms: executionMs, baseline });
+      return { rowCount: 1 };
+    }
+    if (failOn && text.includes(failOn)) throw new Error("syntax error");
+    state.executed.push(text);
+    return { rows: [] };
+  }, { compact: true });
+}
+
+test("arquivos de src/migrations carregam em ordem, começando pelo schema base", async () => {
+  const files = await loadMigrationFiles();
+  assert.equal(files[0].name, "000_base_schema.sql");
+  assert.deepEqual(files.map((f) => f.name), [...files.map((f) => f.name)].sort());
+  assert.ok(files.some((f) => f.name === "001_add_vindi_columns.sql"));
+  assert.match(files[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test("número de migration repetido ou nome fora do padrão é recusado", async (t) => {
+  const dup = await migrationsDir(t, { "050_a.sql": "select 1;", "050_b.sql": "select 2;" });
+  await assert.rejects(loadMigrationFiles(dup), (e) => e.code === "migration_number_collision" && e.files.length === 2);
+
+  const legacy = await migrationsDir(t, { "016_a.sql": "select 1;", "016_b.sql": "select 2;" });
+  assert.equal((await loadMigrationFiles(legacy)).length, 2);
+
+  const bad = await migrationsDir(t, { "nova migration.sql": "select 1;" });
+  await assert.rejects(loadMigrationFiles(bad), { code: "migration_filename_invalid" });
+});
+
+test("BEGIN/COMMIT de topo saem, blocos DO $$ ficam intactos", () => {
+  const sql = [
+    "BEGIN;",
+    "ALTER TABLE public.x ADD COLUMN IF NOT EXISTS y int;",
+    "DO $$",
+    "BEGIN",
+    "  IF NOT EXISTS (SELECT 1) THEN RAISE NOTICE 'x'; END IF;",
+    "END $$;",
+    "commit;",
+  ].join("\n");
+  const stripped = stripTransactionControl(sql);
+  assert.doesNotMatch(stripped, /^BEGIN;$/m);
+  assert.doesNotMatch(stripped, /^commit;$/m);
+  assert.match(stripped, /^DO \$\$\nBEGIN\n/m);
+  assert.match(stripped, /END \$\$;/);
+});
+
+test("compareMigrations separa aplicadas, pendentes, alteradas e sem arquivo", () => {
+  const files = ["001_a.sql", "002_b.sql", "003_c.sql"].map((name) => ({ name, checksum: migrationChecksum(name) }));
+  const status = compareMigrations(files, [
+    { filename: "001_a.sql", checksum: migrationChecksum("001_a.sql") },
+    { filename: "002_b.sql", checksum: "outro" },
+    { filename: "000_old.sql", checksum: "x" },
+  ]);
+  assert.deepEqual(status, {
+    applied: ["001_a.sql"],
+    changed: ["002_b.sql"],
+    pending: ["003_c.sql"],
+    missing: ["000_old.sql"],
+  });
+});
+
+test("aplica pendentes em ordem, cada uma na sua transação, e registra checksum", async (t) => {
+  const dir = await migrationsDir(t, {
+    "002_b.sql": "BEGIN;\nCREATE TABLE b (id int);\nCOMMIT;\n",
+    "001_a.sql": "CREATE TABLE a (id int);",
+    "003_c.sql": "CREATE TABLE c (id int);",
+  });
+  const db = migrationsDb({ applied: [{ filename: "001_a.sql", checksum: migrationChecksum("CREATE TABLE a (id int);") }] });
+
+  const dry = await applyPendingMigrations({ dir, dryRun: true }, { pgClient: db });
+  assert.deepEqual(dry.applied, ["002_b.sql", "003_c.sql"]);
+  assert.deepEqual(db.state.executed, []);
+
+  const result = await applyPendingMigrations({ dir }, { pgClient: db });
+  assert.deepEqual(result.applied, ["002_b.sql", "003_c.sql"]);
+  assert.deepEqual(result.pending, []);
+  assert.deepEqual(db.state.executed, ["CREATE TABLE b (id int);", "CREATE TABLE c (id int);"]);
+  assert.deepEqual(db.state.rows.map((r) => r.filename), ["001_a.sql", "002_b.sql", "003_c.sql"]);
+  assert.equal(db.state.rows[1].checksum, migrationChecksum("BEGIN;\nCREATE TABLE b (id int);\nCOMMIT;\n"));
+
+  const sqls = db.calls.map((call) => call.sql);
+  const txn = sqls.filter((c) => ["BEGIN", "COMMIT"].includes(c));
+  assert.deepEqual(txn, ["BEGIN", "COMMIT", "BEGIN", "COMMIT"]);
+  assert.match(sqls[0], /pg_advisory_lock/);
+  assert.match(sqls.at(-1), /pg_advisory_unlock/);
+
+  // segunda execução: nada a fazer
+  assert.deepEqual((await applyPendingMigrations({ dir }, { pgClient: db })).applied, []);
+});
+
+test("falha numa migration desfaz só ela e interrompe as seguintes", async (t) => {
+  const dir = await migrationsDir(t, {
+    "001_a.sql": "CREATE TABLE a (id int);",
+    "002_b.sql": "CREATE TABLE quebrada (;",
+    "003_c.sql": "CREATE TABLE c (id int);",
+  });
+  const db = migrationsDb({ failOn: "quebrada" });
+
+  await assert.rejects(
+    applyPendingMigrations({ dir }, { pgClient: db }),
+    (e) => e.code === "migration_failed" && e.file === "002_b.sql" && e.detail === "syntax error"
+  );
+  assert.deepEqual(db.state.rows.map((r) => r.filename), ["001_a.sql"]);
+  const sqls = db.calls.map((call) => call.sql);
+  assert.ok(sqls.includes("ROLLBACK"));
+  assert.ok(!db.state.executed.includes("CREATE TABLE c (id int);"));
+  assert.match(sqls.at(-1), /pg_advisory_unlock/);
+});
+
+test("baseline registra sem executar e --to para no arquivo pedido", async (t) => {
+  const dir = await migrationsDir(t, {
+    "001_a.sql": "CREATE TABLE a (id int);",
+    "002_b.sql": "CREATE TABLE b (id int);",
+    "003_c.sql": "CREATE TABLE c (id int);",
+  });
+  const db = migrationsDb();
+
+  const result = await applyPendingMigrations({ dir, baseline: true, to: "002_b.sql" }, { pgClient: db });
+  assert.deepEqual(result.applied, ["001_a.sql", "002_b.sql"]);
+  assert.deepEqual(result.pending, ["003_c.sql"]);
+  assert.deepEqual(db.state.executed, []);
+  assert.ok(db.state.rows.every((r) => r.baseline === true));
+
+  await assert.rejects(applyPendingMigrations({ dir, to: "999_x.sql" }, { pgClient: db }), { code: "migration_not_found" });
+  await assert.rejects(applyPendingMigrations({ dir, baseline: true }, { pgClient: db }), { code: "migration_baseline_requires_to" });
+  assert.equal(db.state.rows.length, 2);
+});
+
+test("boot recusa subir com migration pendente; status não cria a tabela", async (t) => {
+  const dir = await migrationsDir(t, { "001_a.sql": "CREATE TABLE a (id int);" });
+  const empty = migrationsDb();
+
+  const status = await getMigrationStatus({ dir }, { pgClient: empty });
+  assert.deepEqual(status.pending, ["001_a.sql"]);
+  assert.equal(empty.state.tablePresent, false);
+  await assert.rejects(
+    assertMigrationsApplied({ dir }, { pgClient: empty }),
+    (e) => e.code === "migrations_pending" && e.pending[0] === "001_a.sql"
+  );
+
+  const migrated = migrationsDb({ applied: [{ filename: "001_a.sql", checksum: migrationChecksum("CREATE TABLE a (id int);") }] });
+  assert.equal((await assertMigrationsApplied({ dir }, { pgClient: migrated })).applied.length, 1);
+});
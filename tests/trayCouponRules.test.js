@@ -0,0 +1,138 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_COUPON_RULES,
+  activateCouponRuleSet,
+  computeCouponTerms,
+  createCouponRuleSet,
+  getActiveCouponRules,
+  normalizeCouponRules,
+} from "../src/services/trayCouponRules.js";
+import { fakeDb } from "./helpers.js";
+
+function rulesDb(ruleSets = []) {
+  const state = { ruleSets: ruleSets.map((r) => ({ ...r })) };
+  return fakeDb({ state }, (text, params) => {
+    if (text === "BEGIN" || text === "COMMIT" || text === "ROLLBACK") return { rows: [] };
+    if (text.includes("WHERE status = 'active'") && text.includes("SELECT *")) {
+      return { rows: state.ruleSets.filter((r) => r.status === "active") };
+    }
+    if (text.includes("INSERT INTO public.tray_coupon_rule_sets")) {
+      const version = Math.max(0, ...state.ruleSets.map((r) => r.version)) + 1;
+      const row = {
+        id: version,
+        version,
+        name: params[0],
+        rules: JSON.parse(params[1]),
+        status: "draft",
+        notes: params[2],
+        created_by: params[3],
+      };
+      state.ruleSets.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes("FOR UPDATE")) {
+      return { rows: state.ruleSets.filter((r) => String(r.id) === String(params[0])) };
+    }
+    if (text.includes("SET status = 'archived'")) {
+      for (const r of state.ruleSets) if (r.status === "active") r.status = "archived";
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = 'active'")) {
+      const r = state.ruleSets.find((row) => row.id === params[0]);
+      Object.assign(r, { status: "active", activated_by: params[1] });
+      return { rows: [{ ...r }] };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+const PURCHASE = new Date("2026-03-31T15:00:00Z");
+
+test("regras padrão reproduzem a tabela que estava fixa no código", () => {
+  const rules = normalizeCouponRules(DEFAULT_COUPON_RULES);
+
+  assert.equal(computeCouponTerms({ valueCents: 4999, lastPurchaseAt: PURCHASE, rules }).action, "skip_below_min");
+  assert.equal(computeCouponTerms({ valueCents: 5000, lastPurchaseAt: null, rules }).action, "no_purchase");
+
+  const low = computeCouponTerms({ valueCents: 5000, lastPurchaseAt: PURCHASE, rules });
+  assert.equal(low.minPurchaseBRL, 1500);
+  assert.equal(low.inTable, true);
+  assert.equal(low.endsAt.slice(0, 7), "2026-09");
+  assert.equal(low.usageCounterLimit, 1);
+
+  assert.equal(computeCouponTerms({ valueCents: 60000, lastPurchaseAt: PURCHASE, rules }).minPurchaseBRL, 3500);
+  assert.equal(computeCouponTerms({ valueCents: 420000, lastPurchaseAt: PURCHASE, rules }).minPurchaseBRL, 30000);
+
+  // Entre faixas (250,01..250,99) e acima da tabela: compra mínima de fallback.
+  const gap = computeCouponTerms({ valueCents: 25050, lastPurchaseAt: PURCHASE, rules });
+  assert.deepEqual([gap.minPurchaseBRL, gap.inTable], [30000, false]);
+  assert.equal(computeCouponTerms({ valueCents: 500000, lastPurchaseAt: PURCHASE, rules }).inTable, false);
+});
+
+test("validação recusa faixas sobrepostas e campos inválidos", () => {
+  assert.throws(
+    () =>
+      normalizeCouponRules({
+        ...DEFAULT_COUPON_RULES,
+        validity_months: 0,
+        tiers: [
+          { min_gift_brl: 50, max_gift_brl: 300, min_purchase_brl: 1500 },
+          { min_gift_brl: 200, max_gift_brl: 600, min_purchase_brl: 3500 },
+        ],
+      }),
+    (err) => err.code === "invalid_coupon_rules" && err.details.includes("validity_months") && err.details.includes("tiers_overlap[1]")
+  );
+
+  const custom = normalizeCouponRules({
+    min_gift_brl: 20,
+    tiers: [{ min_gift_brl: 20, max_gift_brl: 100, min_purchase_brl: 500 }],
+    fallback_min_purchase_brl: 1000,
+    validity_months: 3,
+    usage_counter_limit: 2,
+  });
+  assert.equal(custom.usage_counter_limit_customer, 1);
+  const terms = computeCouponTerms({ valueCents: 3000, lastPurchaseAt: PURCHASE, rules: custom });
+  assert.deepEqual([terms.action, terms.minPurchaseBRL, terms.usageCounterLimit], ["ok", 500, 2]);
+  assert.equal(terms.endsAt.slice(0, 7), "2026-06");
+});
+
+test("nova versão nasce draft e a ativação arquiva a anterior", async () => {
+  const db = rulesDb([{ id: 1, version: 1, name: "Tabela original", rules: DEFAULT_COUPON_RULES, status: "active" }]);
+
+  await assert.rejects(() => createCouponRuleSet({ name: " ", rules: DEFAULT_COUPON_RULES }, { pgClient: db }), {
+    code: "name_required",
+  });
+
+  const draft = await createCouponRuleSet(
+    { name: "Verão", rules: { ...DEFAULT_COUPON_RULES, validity_months: 3 }, adminUserId: 9 },
+    { pgClient: db }
+  );
+  assert.deepEqual([draft.version, draft.status, draft.created_by], [2, "draft", 9]);
+  assert.equal((await getActiveCouponRules({ pgClient: db })).rule_set.version, 1);
+
+  const activated = await activateCouponRuleSet({ ruleSetId: draft.id, adminUserId: 9 }, { pgClient: db });
+  assert.equal(activated.status, "active");
+  assert.equal(db.state.ruleSets[0].status, "archived");
+
+  const active = await getActiveCouponRules({ pgClient: db });
+  assert.equal(active.rule_set.version, 2);
+  assert.equal(active.rules.validity_months, 3);
+
+  await assert.rejects(() => activateCouponRuleSet({ ruleSetId: draft.id }, { pgClient: db }), {
+    code: "rule_set_already_active",
+  });
+  await assert.rejects(() => activateCouponRuleSet({ ruleSetId: 99 }, { pgClient: db }), { code: "rule_set_not_found" });
+});
+
+test("sem versão ativa ou com falha no banco valem as regras padrão", async () => {
+  const empty = await getActiveCouponRules({ pgClient: rulesDb() });
+  assert.equal(empty.rule_set, null);
+  assert.equal(empty.rules.fallback_min_purchase_brl, 30000);
+
+  const broken = { query: async () => { throw Object.assign(new Error("relation does not exist"), { code: "42P01" }); } };
+  const fallback = await getActiveCouponRules({ pgClient: broken });
+  assert.equal(fallback.rule_set, null);
+  assert.equal(fallback.rules.min_gift_brl, 50);
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractCouponUsage,
+  isPaidTrayOrder,
+  processTrayOrder,
+  syncTrayOrders,
+} from "../src/services/trayOrderSync.js";
+import { verifyTrayWebhookAuth } from "../src/services/webhookInbox.js";
+import { fakeDb } from "./helpers.js";
+
+function redemptionDb({ users = [] } = {}) {
+  const state = { users: users.map((u) => ({ ...u })), redemptions: [], ledger: [] };
+  let nextId = 1;
+  return fakeDb({ state }, (text, params) => {
+    if (text === "BEGIN" || text === "COMMIT" || text === "ROLLBACK") return { rows: [] };
+    if (text.includes("INSERT INTO public.tray_coupon_redemptions")) {
+      if (state.redemptions.some((r) => r.tray_order_id === params[0])) return { rows: [] };
+      const row = { id: `r${nextId++}`, tray_order_id: params[0], coupon_code: params[1], discount_cents: params[5], status: "ignored", source: params[6] };
+      state.redemptions.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("WHERE upper(coupon_code) = $1")) {
+      return { rows: state.users.filter((u) => String(u.coupon_code || "").toUpperCase() === params[0]) };
+    }
+    if (text.includes("SELECT id FROM public.users WHERE id = $1")) {
+      return { rows: state.users.filter((u) => u.id === params[0]) };
+    }
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      const u = state.users.find((row) => row.id === params[0]);
+      return { rows: u ? [{ balance_cents: u.coupon_value_cents, tray_coupon_id: u.tray_coupon_id ?? null }] : [] };
+    }
+    if (text.includes("UPDATE public.users")) {
+      state.users.find((u) => u.id === params[0]).coupon_value_cents = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      const row = { id: `h${nextId++}`, user_id: params[0], delta_cents: params[1], balance_after_cents: params[3], event_type: params[4], run_trace_id: params[5], meta: JSON.parse(params[6]) };
+      state.ledger.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("UPDATE public.tray_coupon_redemptions")) {
+      const r = state.redemptions.find((row) => row.id === params[0]);
+      Object.assign(r, { status: params[1], reason: params[2], user_id: params[3], debited_cents: params[4], history_id: params[5] });
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+const order = (overrides = {}) => ({
+  id: "9001",
+  status: "A ENVIAR",
+  date: "2026-10-18",
+  payment_date: "2026-10-18",
+  total: "180.00",
+  discount: "60.00",
+  coupon_code: "nsu-0007-XH",
+  coupon_value: null,
+  ...overrides,
+});
+
+test("extrai o cupom NSU e só conta pedido pago", () => {
+  const usage = extractCouponUsage(order());
+  assert.deepEqual(
+    [usage.tray_order_id, usage.coupon_code, usage.discount_cents, usage.order_total_cents],
+    ["9001", "NSU-0007-XH", 6000, 18000]
+  );
+  assert.equal(extractCouponUsage(order({ coupon_code: "BLACKFRIDAY" })), null);
+  assert.equal(extractCouponUsage(order({ coupon_value: "45.50" })).discount_cents, 4550);
+
+  assert.equal(isPaidTrayOrder(order()), true);
+  assert.equal(isPaidTrayOrder(order({ status: "AGUARDANDO PAGAMENTO", payment_date: "0000-00-00" })), false);
+  assert.equal(isPaidTrayOrder(order({ status: "CANCELADO" })), false);
+  assert.equal(isPaidTrayOrder(order({ status: "FINALIZADO", payment_date: null })), true);
+});
+
+test("pedido pago debita REDEEMED uma única vez e nunca deixa o saldo negativo", async () => {
+  const db = redemptionDb({ users: [{ id: 7, coupon_code: "NSU-0007-XH", coupon_value_cents: 5000 }] });
+
+  const first = await processTrayOrder(order(), { source: "webhook" }, { pgClient: db });
+  assert.deepEqual([first.status, first.user_id, first.debited_cents], ["redeemed", 7, 5000]);
+  assert.equal(db.state.users[0].coupon_value_cents, 0);
+  assert.deepEqual(
+    db.state.ledger.map((h) => [h.event_type, h.delta_cents, h.balance_after_cents, h.run_trace_id]),
+    [["REDEEMED", -5000, 0, "tray_order:9001"]]
+  );
+  assert.equal(db.state.ledger[0].meta.tray_order_id, "9001");
+
+  const again = await processTrayOrder(order(), { source: "poll" }, { pgClient: db });
+  assert.equal(again.status, "duplicate");
+  assert.equal(db.state.ledger.length, 1);
+
+  const unpaid = await processTrayOrder(order({ id: "9002", status: "AGUARDANDO PAGAMENTO", payment_date: null }), {}, { pgClient: db });
+  assert.equal(unpaid.status, "not_paid");
+  assert.equal(db.state.redemptions.length, 1);
+});
+
+test("código já rotacionado ainda identifica o dono; código desconhecido fica registrado como ignorado", async () => {
+  // NSU-0007-T5 é o código determinístico do usuário 7 (makeUserCouponCode).
+  const db = redemptionDb({ users: [{ id: 7, coupon_code: "NSU-0007-T5-K7P2", coupon_value_cents: 9000 }] });
+
+  const rotated = await processTrayOrder(order({ id: "9100", coupon_code: "NSU-0007-T5" }), {}, { pgClient: db });
+  assert.deepEqual([rotated.status, rotated.user_id, rotated.debited_cents], ["redeemed", 7, 6000]);
+
+  const unknown = await processTrayOrder(order({ id: "9101", coupon_code: "NSU-0007-AB" }), {}, { pgClient: db });
+  assert.deepEqual([unknown.status, unknown.reason], ["ignored", "coupon_owner_not_found"]);
+  assert.equal(db.state.redemptions.find((r) => r.tray_order_id === "9101").status, "ignored");
+});
+
+test("varredura pagina os pedidos alterados no período", async () => {
+  const db = redemptionDb({ users: [{ id: 7, coupon_code: "NSU-0007-XH", coupon_value_cents: 20000 }] });
+  const calls = [];
+  const pages = [
+    [order({ id: "1" }), order({ id: "2", coupon_code: null })],
+    [order({ id: "3", status: "CANCELADO" })],
+  ];
+  const listOrders = async ({ modifiedSince, page }) => {
+    calls.push({ modifiedSince, page });
+    return { orders: pages[page - 1] || [], paging: { lastPage: 2 } };
+  };
+
+  const result = await syncTrayOrders({ now: new Date("2026-10-19T12:00:00Z"), listOrders }, { pgClient: db });
+  assert.deepEqual(calls, [{ modifiedSince: "2026-10-16", page: 1 }, { modifiedSince: "2026-10-16", page: 2 }]);
+  assert.deepEqual([result.orders, result.redeemed, result.not_paid], [3, 1, 1]);
+});
+
+test("notificação da Tray exige o token quando configurado", () => {
+  assert.equal(verifyTrayWebhookAuth({ query: {}, secret: "" }), "not_configured");
+  assert.equal(verifyTrayWebhookAuth({ query: {}, secret: "s3cret" }), "missing");
+  assert.equal(verifyTrayWebhookAuth({ query: { token: "nope!!" }, secret: "s3cret" }), "invalid");
+  assert.equal(verifyTrayWebhookAuth({ query: { token: "s3cret" }, secret: "s3cret" }), "valid");
+});
@@ -0,0 +1,254 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { startTraySandbox } from "../src/scripts/tray_sandbox.js";
+import { resetTrayAuthState, trayFindCouponByCode, trayToken } from "../src/services/tray.js";
+import { ensureTrayCouponForUser, rotateTrayCouponForUser } from "../src/services/trayCouponEnsure.js";
+import { importTrayOrder, syncTrayOrders } from "../src/services/trayOrderSync.js";
+import { fakeDb } from "./helpers.js";
+
+const originalEnv = { ...process.env };
+
+test.beforeEach(() => {
+  process.env.TRAY_CONSUMER_KEY = "sandbox-consumer-key";
+  process.env.TRAY_CONSUMER_SECRET = "sandbox-consumer-secret";
+  process.env.TRAY_CODE = "sandbox-code";
+  delete process.env.TRAY_REFRESH_TOKEN;
+  resetTrayAuthState();
+});
+
+test.after(() => {
+  process.env = originalEnv;
+});
+
+async function withSandbox(options, fn) {
+  const sandbox = await startTraySandbox({ port: 0, ...options });
+  process.env.TRAY_API_BASE = sandbox.apiBase;
+  try {
+    return await fn(sandbox);
+  } finally {
+    await sandbox.close();
+  }
+}
+
+// Banco falso: kv_store (tokens da Tray), users, payments, coupon_tray_sync e o ledger do resgate.
+function trayDb({ users = [] } = {}) {
+  const state = {
+    kv: new Map(),
+    users: users.map((u) => ({ tray_coupon_id: null, ...u })),
+    sync: new Map(),
+    redemptions: [],
+    ledger: [],
+  };
+  let nextId = 1;
+  const user = (id) => state.users.find((u) => u.id === Number(id));
+
+  return fakeDb({ state }, (text, params) => {
+    if (text === "BEGIN" || text === "COMMIT" || text === "ROLLBACK") return { rows: [] };
+    if (/^create (table|index) if not exists/i.test(text)) return { rows: [] };
+
+    // kv_store
+    if (text.includes("information_schema.columns") && text.includes("kv_store")) {
+      return { rows: [{ column_name: "k" }, { column_name: "v" }] };
+    }
+    if (text.startsWith("select v as v from kv_store")) {
+      return { rows: state.kv.has(params[0]) ? [{ v: state.kv.get(params[0]) }] : [] };
+    }
+    if (text.startsWith("insert into kv_store")) {
+      state.kv.set(params[0], params[1]);
+      return { rowCount: 1 };
+    }
+    if (text.startsWith("delete from kv_store")) {
+      state.kv.delete(params[0]);
+      return { rowCount: 1 };
+    }
+
+    // ensure: users / payments / coupon_tray_sync / regras
+    if (text.includes("public.coupon_tray_system")) {
+      throw Object.assign(new Error("relation \"coupon_tray_system\" does not exist"), { code: "42P01" });
+    }
+    if (text.includes("FROM public.tray_coupon_rule_sets")) return { rows: [] };
+    if (text.includes("information_schema.columns")) return { rows: [] };
+    if (text.includes("FROM users") && text.includes("WHERE id=$1")) {
+      const u = user(params[0]);
+      return { rows: u ? [{ coupon_code: u.coupon_code ?? null, tray_coupon_id: u.tray_coupon_id, coupon_value_cents: u.coupon_value_cents }] : [] };
+    }
+    if (text.includes("from payments")) {
+      const u = user(params[0]);
+      return { rows: u?.last_purchase_at ? [{ t: u.last_purchase_at }] : [] };
+    }
+    if (/^UPDATE users\s+SET coupon_code = \$2,\s+tray_coupon_id = NULL/.test(text)) {
+      Object.assign(user(params[0]), { coupon_code: params[1], tray_coupon_id: null });
+      return { rowCount: 1 };
+    }
+    if (text.startsWith("UPDATE users SET")) {
+      const u = user(params[0]);
+      if (text.includes("coupon_code=COALESCE")) u.coupon_code = u.coupon_code || params[1];
+      if (text.includes("tray_coupon_id=$3")) u.tray_coupon_id = params[2];
+      else if (text.includes("tray_coupon_id=$2")) u.tray_coupon_id = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.startsWith("insert into coupon_tray_sync")) {
+      state.sync.set(params[0], { code: params[1], tray_coupon_id: params[2], status: params[3], last_error: params[4] });
+      return { rowCount: 1 };
+    }
+
+    // trayOrderSync: resgate do cupom
+    if (text.includes("INSERT INTO public.tray_coupon_redemptions")) {
+      if (state.redemptions.some((r) => r.tray_order_id === params[0])) return { rows: [] };
+      const row = { id: `r${nextId++}`, tray_order_id: params[0], coupon_code: params[1], status: "ignored" };
+      state.redemptions.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("WHERE upper(coupon_code) = $1")) {
+      return { rows: state.users.filter((u) => String(u.coupon_code || "").toUpperCase() === params[0]) };
+    }
+    if (text.includes("SELECT id FROM public.users WHERE id = $1")) {
+      return { rows: user(params[0]) ? [{ id: Number(params[0]) }] : [] };
+    }
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      const u = user(params[0]);
+      return { rows: u ? [{ balance_cents: u.coupon_value_cents, tray_coupon_id: u.tray_coupon_id }] : [] };
+    }
+    if (text.includes("UPDATE public.users")) {
+      user(params[0]).coupon_value_cents = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      const row = { id: `h${nextId++}`, user_id: params[0], delta_cents: params[1], balance_after_cents: params[3], event_type: params[4] };
+      state.ledger.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes("UPDATE public.tray_coupon_redemptions")) {
+      Object.assign(state.redemptions.find((r) => r.id === params[0]), { status: params[1], reason: params[2], user_id: params[3] });
+      return { rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  }, { compact: true });
+}
+
+// NSU-0007-T5 é o código determinístico do usuário 7 (makeUserCouponCode).
+const customer = (overrides = {}) => ({
+  id: 7,
+  coupon_code: null,
+  coupon_value_cents: 12000,
+  last_purchase_at: new Date("2026-09-01T12:00:00Z"),
+  ...overrides,
+});
+
+test("auth: bootstrap por code grava o refresh no kv e o refresh renova o token expirado", async () => {
+  await withSandbox({}, async (sandbox) => {
+    const db = trayDb();
+    const first = await trayToken({ pgClient: db });
+    assert.ok(sandbox.state.accessTokens.has(first));
+    assert.ok(sandbox.state.refreshTokens.has(db.state.kv.get("tray_refresh_token")));
+
+    // Access expirado na loja e esquecido aqui: o próximo token vem do refresh_token (não do code).
+    sandbox.expireAccessTokens();
+    db.state.kv.delete("tray_access_token");
+    resetTrayAuthState();
+    process.env.TRAY_CODE = "";
+    const second = await trayToken({ pgClient: db });
+    assert.notEqual(second, first);
+    assert.deepEqual(
+      sandbox.requests.filter((r) => r.path === "/auth").map((r) => r.method),
+      ["POST", "GET"]
+    );
+  });
+});
+
+test("auth: code inválido ou ausente deixa o ensure em PENDING_AUTH sem derrubar o login", async () => {
+  await withSandbox({}, async () => {
+    process.env.TRAY_CODE = "code-vencido";
+    const db = trayDb({ users: [customer()] });
+    const invalid = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.deepEqual([invalid.status, invalid.reason], ["PENDING_AUTH", "code_invalid_or_expired"]);
+    assert.equal(db.state.sync.get(7).last_error, "PENDING_AUTH_CODE_INVALID");
+
+    resetTrayAuthState();
+    delete process.env.TRAY_CODE;
+    const missing = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.deepEqual([missing.status, missing.action], ["PENDING_AUTH", "pending_auth"]);
+    assert.equal(db.state.sync.get(7).last_error, "PENDING_AUTH");
+  });
+});
+
+test("ensure cria o cupom na Tray, depois só confirma e atualiza quando o saldo muda", async () => {
+  await withSandbox({}, async (sandbox) => {
+    const db = trayDb({ users: [customer()] });
+
+    const created = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.deepEqual([created.status, created.action, created.code], ["SYNCED", "created", "NSU-0007-T5"]);
+    const [coupon] = sandbox.state.coupons;
+    assert.deepEqual(
+      [coupon.code, coupon.value, coupon.value_start, coupon.starts_at, coupon.ends_at, coupon.usage_counter_limit],
+      ["NSU-0007-T5", "120.00", "1500.00", "2026-09-01", "2027-03-01", "1"]
+    );
+    assert.equal(db.state.users[0].tray_coupon_id, coupon.id);
+
+    const again = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.deepEqual([again.action, again.trayId], ["exists", coupon.id]);
+
+    db.state.users[0].coupon_value_cents = 30000;
+    const updated = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.equal(updated.action, "updated");
+    assert.equal(sandbox.state.coupons.length, 1);
+    assert.deepEqual([sandbox.state.coupons[0].value, sandbox.state.coupons[0].value_start], ["300.00", "3500.00"]);
+    assert.equal(db.state.sync.get(7).status, "SYNCED");
+  });
+});
+
+test("loja que responde 'Não há dados enviados' ao form recebe o cupom em JSON", async () => {
+  await withSandbox({ rejectFormBodies: true }, async (sandbox) => {
+    const db = trayDb({ users: [customer()] });
+    const created = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    assert.equal(created.action, "created");
+    assert.deepEqual(
+      sandbox.requests.filter((r) => r.method === "POST" && r.path === "/discount_coupons/").map((r) => r.contentType),
+      ["application/x-www-form-urlencoded; charset=utf-8", "application/json; charset=utf-8"]
+    );
+    assert.equal(sandbox.state.coupons[0].value, "120.00");
+  });
+});
+
+test("sem filtro por código, a busca pagina a partir das últimas páginas", async () => {
+  await withSandbox({ supportsCodeFilter: false }, async (sandbox) => {
+    for (let i = 1; i <= 120; i++) sandbox.addCoupon({ code: `PROMO-${i}` });
+    const db = trayDb();
+
+    const hit = await trayFindCouponByCode("PROMO-75", { pgClient: db });
+    assert.deepEqual([hit.found, hit.coupon.id], [true, "75"]);
+    const pages = sandbox.requests.filter((r) => r.path === "/discount_coupons/").map((r) => r.query.code ?? r.query.page);
+    assert.deepEqual(pages, ["PROMO-75", "1", "3", "2"]);
+
+    const miss = await trayFindCouponByCode("NAO-EXISTE", { pgClient: db });
+    assert.equal(miss.found, false);
+  });
+});
+
+test("pedido pago com o cupom NSU vira REDEEMED e a troca do cupom gera outro com o saldo restante", async () => {
+  await withSandbox({}, async (sandbox) => {
+    const db = trayDb({ users: [customer()] });
+    const ensured = await ensureTrayCouponForUser(7, {}, { pgClient: db });
+    sandbox.addOrder({ id: 5001, discount_coupon: "NSU-0007-T5", discount: "50.00", total: "1600.00" });
+    sandbox.addOrder({ id: 5002, status: "AGUARDANDO PAGAMENTO", payment_date: "0000-00-00", discount_coupon: "NSU-0007-T5", discount: "50.00" });
+
+    const sync = await syncTrayOrders({}, { pgClient: db });
+    assert.deepEqual([sync.orders, sync.redeemed, sync.not_paid], [2, 1, 1]);
+    assert.equal(sandbox.requests.find((r) => r.path === "/orders/").query.sort, "id_desc");
+    assert.deepEqual(db.state.ledger.map((h) => [h.event_type, h.delta_cents, h.balance_after_cents]), [["REDEEMED", -5000, 7000]]);
+
+    const dup = await importTrayOrder("5001", { source: "admin" }, { pgClient: db });
+    assert.equal(dup.status, "duplicate");
+    await assert.rejects(importTrayOrder("9999", {}, { pgClient: db }), { code: "tray_order_not_found" });
+
+    const rotated = await rotateTrayCouponForUser(7, { usedCode: "NSU-0007-T5", usedTrayCouponId: ensured.trayId }, { pgClient: db });
+    assert.equal(rotated.rotated, true);
+    assert.match(rotated.code, /^NSU-0007-T5-[A-Z2-9]{4}$/);
+    assert.equal(rotated.ensure.action, "created");
+    assert.deepEqual(
+      sandbox.state.coupons.map((c) => [c.code, c.value]),
+      [[rotated.code, "70.00"]]
+    );
+  });
+});
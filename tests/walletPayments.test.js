@@ -0,0 +1,294 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  computeWalletRefundShare,
+  createWalletPayment,
+  parseWalletOptions,
+  planWalletSplit,
+  releaseWalletDebit,
+} from "../src/services/walletPayments.js";
+import { refundPayment } from "../src/services/paymentRefunds.js";
+import { fakeDb } from "./helpers.js";
+
+// Usuário 7 com saldo de cupom e de vencedor, reserva 'res-1' ativa no sorteio 3.
+function walletDb({ coupon = 3000, winner = 2000, payment = null } = {}) {
+  const state = {
+    user: { coupon_value_cents: coupon, winner_balance_cents: winner },
+    reservation: { id: "res-1", user_id: 7, status: "active", payment_id: payment?.id ?? null },
+    payments: payment ? [{ wallet_released_at: null, refunded_numbers: [], refunded_cents: 0, ...payment }] : [],
+    couponLedger: [],
+    winnerLedger: [],
+    refunds: [],
+    soldNumbers: [],
+    providerCalls: [],
+  };
+  const findPayment = (id) => state.payments.find((p) => p.id === id);
+  return fakeDb({ state }, (text, params) => {
+    if (text.includes("FROM public.reservations") && text.includes("FOR UPDATE")) {
+      return { rows: [{ ...state.reservation }] };
+    }
+    if (text.includes("JOIN public.payments p ON p.id = r.payment_id")) {
+      const p = findPayment(state.reservation.payment_id);
+      const pending = p
+        && p.wallet_coupon_cents + p.wallet_winner_cents > 0
+        && !p.wallet_released_at
+        && !["approved", "paid", "pago", "refunded", "charged_back"].includes(p.status);
+      return { rows: pending ? [{ id: p.id, status: p.status }] : [] };
+    }
+    if (text.includes("INSERT INTO public.payments")) {
+      const [id, userId, drawId, numbers, amount, status, provider, , , walletCoupon, walletWinner] = params;
+      state.payments.push({
+        id,
+        user_id: userId,
+        draw_id: drawId,
+        numbers,
+        amount_cents: amount,
+        status,
+        provider,
+        wallet_coupon_cents: walletCoupon,
+        wallet_winner_cents: walletWinner,
+        wallet_released_at: null,
+        refunded_numbers: [],
+        refunded_cents: 0,
+      });
+      return { rowCount: 1 };
+    }
+    if (text.includes("FROM public.users") && text.includes("FOR UPDATE")) {
+      return { rows: [{ coupon_cents: state.user.coupon_value_cents, winner_balance_cents: state.user.winner_balance_cents, balance: state.user.coupon_value_cents }] };
+    }
+    if (text.includes("SET coupon_value_cents = $2")) {
+      state.user.coupon_value_cents = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET winner_balance_cents = $2")) {
+      state.user.winner_balance_cents = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.coupon_balance_history")) {
+      state.couponLedger.push({ delta_cents: params[2], after: params[4], event_type: params[5], meta: JSON.parse(params.at(-1)) });
+      return { rowCount: 1 };
+    }
+    if (text.includes("INSERT INTO public.winner_balance_history")) {
+      state.winnerLedger.push({ previous: params[1], next: params[2], action: params[3], reason: params[4], payment_id: params[5] });
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations SET payment_id")) {
+      state.reservation.payment_id = params[1];
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.reservations SET status = 'paid'")) {
+      state.reservation.status = "paid";
+      return { rowCount: 1 };
+    }
+    if (text.includes("UPDATE public.numbers") && text.includes("'sold'")) {
+      state.soldNumbers.push(...params[1]);
+      return { rowCount: params[1].length };
+    }
+    if (text.includes("FROM public.payments") && text.includes("FOR UPDATE")) {
+      const p = findPayment(params[0]);
+      return { rows: p ? [{ ...p }] : [] };
+    }
+    if (text.includes("SET wallet_released_at = now()")) {
+      findPayment(params[0]).wallet_released_at = "now";
+      return { rowCount: 1 };
+    }
+    // Estorno (paymentRefunds.js)
+    if (text.includes("FROM public.payment_refunds WHERE payment_id = $1 AND status = 'pending'")) return { rows: [] };
+    if (text.includes("SELECT winner_number FROM public.draws")) return { rows: [{ winner_number: null }] };
+    if (text.includes("SELECT status, winner_number FROM public.draws")) return { rows: [{ status: "open", winner_number: null }] };
+    if (text.includes("SUM(wallet_coupon_cents)")) {
+      const done = state.refunds.filter((r) => r.status === "completed");
+      return {
+        rows: [{
+          coupon: done.reduce((acc, r) => acc + r.wallet_coupon_cents, 0),
+          winner: done.reduce((acc, r) => acc + r.wallet_winner_cents, 0),
+        }],
+      };
+    }
+    if (text.includes("INSERT INTO public.payment_refunds")) {
+      const row = { id: `rf-${state.refunds.length + 1}`, status: "pending" };
+      state.refunds.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes("SELECT status FROM public.payment_refunds WHERE id = $1")) {
+      return { rows: state.refunds.filter((r) => r.id === params[0]) };
+    }
+    if (text.includes("SET provider_refunded_at = now()")) return { rowCount: 1 };
+    if (text.includes("event_type = 'CREDIT_PURCHASE'")) return { rows: [{ credited_cents: 0 }] };
+    if (text.includes("UPDATE public.numbers") || text.includes("UPDATE public.reservations")) return { rowCount: 1 };
+    if (text.includes("UPDATE public.payments")) {
+      const p = findPayment(params[0]);
+      p.numbers = p.numbers.filter((n) => !params[1].includes(n));
+      p.refunded_numbers = [...p.refunded_numbers, ...params[1]];
+      p.refunded_cents += params[2];
+      if (params[3]) p.status = params[4];
+      return { rowCount: 1 };
+    }
+    if (text.includes("SET status = 'completed'")) {
+      const row = state.refunds.find((r) => r.id === params[0]);
+      Object.assign(row, { status: "completed", amount_cents: params[2], wallet_coupon_cents: params[8], wallet_winner_cents: params[9] });
+      return { rows: [row] };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("saldo de cupom paga primeiro, depois o de vencedor, e o PIX fica com a diferença", () => {
+  const opts = parseWalletOptions({ useCouponBalance: true, use_winner_balance: "1" });
+  assert.deepEqual(opts, { useCoupon: true, useWinner: true });
+
+  assert.deepEqual(
+    planWalletSplit({ amountCents: 11000, couponBalanceCents: 3000, winnerBalanceCents: 2000, ...opts }),
+    { coupon_cents: 3000, winner_cents: 2000, pix_cents: 6000 }
+  );
+  assert.deepEqual(
+    planWalletSplit({ amountCents: 5500, couponBalanceCents: 3000, winnerBalanceCents: 9000, ...opts }),
+    { coupon_cents: 3000, winner_cents: 2500, pix_cents: 0 }
+  );
+  assert.deepEqual(
+    planWalletSplit({ amountCents: 5500, couponBalanceCents: 3000, winnerBalanceCents: 9000, useCoupon: false, useWinner: false }),
+    { coupon_cents: 0, winner_cents: 0, pix_cents: 5500 }
+  );
+});
+
+test("pagamento parcial debita os dois saldos com ledger e bloqueia um segundo débito", async () => {
+  const db = walletDb();
+  const payment = { id: "mp-1", user_id: 7, draw_id: 3, numbers: [1, 2], amount_cents: 11000, status: "pending" };
+
+  const out = await createWalletPayment({ payment, reservationId: "res-1", couponCents: 3000, winnerCents: 2000 }, { pgClient: db });
+
+  assert.equal(out.pix_cents, 6000);
+  assert.equal(db.state.user.coupon_value_cents, 0);
+  // Saldo de vencedor zerado volta a NULL
+  assert.equal(db.state.user.winner_balance_cents, null);
+  assert.deepEqual(db.state.couponLedger.map((h) => [h.event_type, h.delta_cents, h.after]), [["DEBIT_WALLET_PAYMENT", -3000, 0]]);
+  assert.deepEqual(db.state.winnerLedger, [{ previous: 2000, next: null, action: "DEBITED", reason: "wallet_payment", payment_id: "mp-1" }]);
+  assert.equal(db.state.reservation.payment_id, "mp-1");
+  assert.equal(db.state.reservation.status, "active");
+
+  await assert.rejects(
+    () => createWalletPayment({ payment: { ...payment, id: "mp-2" }, reservationId: "res-1", couponCents: 100 }, { pgClient: db }),
+    { code: "wallet_payment_pending" }
+  );
+});
+
+test("saldo que mudou depois do cálculo não é debitado", async () => {
+  const db = walletDb({ coupon: 1000 });
+  const payment = { id: "mp-1", user_id: 7, draw_id: 3, numbers: [1], amount_cents: 5500, status: "pending" };
+
+  await assert.rejects(
+    () => createWalletPayment({ payment, reservationId: "res-1", couponCents: 3000 }, { pgClient: db }),
+    { code: "wallet_balance_changed" }
+  );
+  assert.equal(db.state.couponLedger.length, 0);
+});
+
+test("saldo que cobre tudo já assenta números e reserva", async () => {
+  const db = walletDb();
+  const payment = { id: "wallet:res-1", user_id: 7, draw_id: 3, numbers: [4], amount_cents: 4000, status: "approved", provider: "wallet" };
+
+  await createWalletPayment({ payment, reservationId: "res-1", couponCents: 3000, winnerCents: 1000 }, { pgClient: db });
+
+  assert.deepEqual(db.state.soldNumbers, [4]);
+  assert.equal(db.state.reservation.status, "paid");
+  assert.equal(db.state.user.winner_balance_cents, 1000);
+});
+
+test("PIX cancelado devolve o saldo uma única vez", async () => {
+  const db = walletDb({
+    coupon: 0,
+    winner: null,
+    payment: { id: "mp-1", user_id: 7, draw_id: 3, numbers: [1], amount_cents: 5500, status: "cancelled", wallet_coupon_cents: 3000, wallet_winner_cents: 2000 },
+  });
+
+  const first = await releaseWalletDebit("mp-1", { providerStatus: "cancelled" }, { pgClient: db });
+  const second = await releaseWalletDebit("mp-1", { providerStatus: "cancelled" }, { pgClient: db });
+
+  assert.equal(first.action, "released");
+  assert.deepEqual(second, { action: "noop", reason: "already_released" });
+  assert.equal(db.state.user.coupon_value_cents, 3000);
+  assert.equal(db.state.user.winner_balance_cents, 2000);
+  assert.deepEqual(db.state.couponLedger.map((h) => h.event_type), ["CREDIT_WALLET_RELEASE"]);
+  assert.deepEqual(db.state.winnerLedger.map((h) => [h.previous, h.next, h.action]), [[null, 2000, "RETURNED"]]);
+});
+
+test("PIX aprovado não devolve saldo", async () => {
+  const db = walletDb({
+    payment: { id: "mp-1", user_id: 7, draw_id: 3, numbers: [1], amount_cents: 5500, status: "approved", wallet_coupon_cents: 3000, wallet_winner_cents: 0 },
+  });
+  const out = await releaseWalletDebit("mp-1", {}, { pgClient: db });
+  assert.equal(out.reason, "not_releasable");
+  assert.equal(db.state.user.coupon_value_cents, 3000);
+});
+
+test("parcela de saldo no estorno é proporcional e o último leva o restante", () => {
+  const payment = { numbers: [1, 2, 3], refunded_numbers: [], wallet_coupon_cents: 1000, wallet_winner_cents: 500 };
+  assert.deepEqual(computeWalletRefundShare(payment, 1), { coupon: 333, winner: 167 });
+  assert.deepEqual(
+    computeWalletRefundShare({ ...payment, numbers: [3], refunded_numbers: [1, 2] }, 1, { coupon: 666, winner: 334 }),
+    { coupon: 334, winner: 166 }
+  );
+});
+
+test("estorno devolve o saldo e só a parte em dinheiro vai ao provedor", async () => {
+  const db = walletDb({
+    coupon: 0,
+    winner: null,
+    payment: {
+      id: "mp-1",
+      user_id: 7,
+      draw_id: 3,
+      numbers: [1, 2],
+      amount_cents: 11000,
+      status: "approved",
+      provider: "mercadopago",
+      wallet_coupon_cents: 3000,
+      wallet_winner_cents: 2000,
+    },
+  });
+  const calls = [];
+  const providerRefund = async (input) => {
+    calls.push({ amountCents: input.amountCents, full: input.full });
+    return { providerRefundId: "r-1", providerStatus: "approved" };
+  };
+
+  const result = await refundPayment({ paymentId: "mp-1", numbers: [1] }, { pgClient: db, providerRefund });
+  assert.deepEqual(calls, [{ amountCents: 3000, full: false }]);
+  assert.equal(result.amount_cents, 5500);
+  assert.deepEqual([result.wallet_coupon_cents, result.wallet_winner_cents], [1500, 1000]);
+  assert.equal(db.state.user.coupon_value_cents, 1500);
+  assert.equal(db.state.user.winner_balance_cents, 1000);
+  assert.deepEqual(db.state.couponLedger.map((h) => [h.event_type, h.meta.refund_id]), [["CREDIT_WALLET_REFUND", "rf-1"]]);
+
+  await refundPayment({ paymentId: "mp-1" }, { pgClient: db, providerRefund });
+  assert.deepEqual(calls[1], { amountCents: 3000, full: true });
+  assert.equal(db.state.user.coupon_value_cents, 3000);
+  assert.equal(db.state.user.winner_balance_cents, 2000);
+});
+
+test("estorno de pagamento só com saldo não chama o provedor", async () => {
+  const db = walletDb({
+    coupon: 0,
+    winner: null,
+    payment: {
+      id: "wallet:res-1",
+      user_id: 7,
+      draw_id: 3,
+      numbers: [4],
+      amount_cents: 5500,
+      status: "approved",
+      provider: "wallet",
+      wallet_coupon_cents: 5500,
+      wallet_winner_cents: 0,
+    },
+  });
+  const providerRefund = async () => {
+    throw new Error("provider_should_not_be_called");
+  };
+
+  const result = await refundPayment({ paymentId: "wallet:res-1" }, { pgClient: db, providerRefund });
+  assert.equal(result.full, true);
+  assert.equal(db.state.user.coupon_value_cents, 5500);
+  assert.equal(db.state.payments[0].status, "refunded");
+});
@@ -0,0 +1,234 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+import {
+  ingestWebhookEvent,
+  mercadoPagoEventIdentity,
+  processWebhookEvent,
+  trayEventIdentity,
+  verifyMercadoPagoSignature,
+  verifyVindiWebhookAuth,
+  vindiEventIdentity,
+} from "../src/services/webhookInbox.js";
+import { fakeDb, TEST_SECRETS, withEnv } from "./helpers.js";
+
+function mpSignature(secret, { dataId, requestId, ts }) {
+  const manifest = `id:${dataId};request-id:${requestId};ts:${ts};`;
+  return `ts=${ts},v1=${crypto.createHmac("sha256", secret).update(manifest).digest("hex")}`;
+}
+
+function inboxDb() {
+  const rows = [];
+  return fakeDb({ rows }, (text, params) => {
+    if (text.includes("INSERT INTO public.webhook_events")) {
+      const [provider, endpoint, providerEventId, eventType, resourceId, status] = params;
+      const indexed = providerEventId && !["rejected", "duplicate"].includes(status);
+      const conflict = indexed && rows.some((r) =>
+        r.provider === provider &&
+        r.endpoint === endpoint &&
+        r.provider_event_id === providerEventId &&
+        !["rejected", "duplicate"].includes(r.status)
+      );
+      if (conflict) return { rows: [], rowCount: 0 };
+      const row = {
+        id: `evt-${rows.length + 1}`,
+        provider,
+        endpoint,
+        provider_event_id: providerEventId,
+        event_type: eventType,
+        resource_id: resourceId,
+        status,
+        duplicate_of: params[8],
+        payload: JSON.parse(params[11]),
+        attempts: 0,
+      };
+      rows.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.includes("AND status NOT IN ('rejected', 'duplicate')") && text.startsWith("SELECT")) {
+      const found = rows.filter((r) =>
+        r.provider === params[0] &&
+        r.endpoint === params[1] &&
+        r.provider_event_id === params[2] &&
+        !["rejected", "duplicate"].includes(r.status)
+      );
+      return { rows: found.slice(0, 1), rowCount: found.length ? 1 : 0 };
+    }
+    if (text.includes("SET status = 'processing'")) {
+      const row = rows.find((r) => r.id === params[0] && ["received", "failed"].includes(r.status));
+      if (!row) return { rows: [], rowCount: 0 };
+      row.status = "processing";
+      row.attempts += 1;
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'processed'")) {
+      rows.find((r) => r.id === params[0]).status = "processed";
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes("SET status = 'failed'")) {
+      const row = rows.find((r) => r.id === params[0]);
+      row.status = "failed";
+      row.last_error = params[1];
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`unexpected_query:${text}`);
+  });
+}
+
+test("x-signature do Mercado Pago válida, inválida e ausente", () => {
+  const secret = "mp-secret";
+  const headers = {
+    "x-request-id": "req-1",
+    "x-signature": mpSignature(secret, { dataId: "123", requestId: "req-1", ts: "1700000000" }),
+  };
+  const query = { "data.id": "123", type: "payment" };
+
+  assert.equal(verifyMercadoPagoSignature({ headers, query, secret }), "valid");
+  assert.equal(verifyMercadoPagoSignature({ headers, query: { "data.id": "999" }, secret }), "invalid");
+  assert.equal(verifyMercadoPagoSignature({ headers: {}, query, secret }), "missing");
+  assert.equal(verifyMercadoPagoSignature({ headers, query, secret: "" }), "not_configured");
+});
+
+test("Vindi aceita token compartilhado ou basic auth", () => {
+  const config = { secret: "vindi-token", basicUser: "vindi", basicPassword: "senha" };
+  const basic = `Basic ${Buffer.from("vindi:senha").toString("base64")}`;
+
+  assert.equal(verifyVindiWebhookAuth({ query: { token: "vindi-token" }, config }), "valid");
+  assert.equal(verifyVindiWebhookAuth({ headers: { authorization: basic }, config }), "valid");
+  assert.equal(verifyVindiWebhookAuth({ query: { token: "errado" }, config }), "invalid");
+  assert.equal(verifyVindiWebhookAuth({ config }), "missing");
+  assert.equal(verifyVindiWebhookAuth({ config: { secret: "", basicUser: "", basicPassword: "" } }), "not_configured");
+});
+
+test("identidade: id de notificação do MP e hash estável do corpo Vindi", () => {
+  const mp = mercadoPagoEventIdentity({
+    body: { id: 555, action: "payment.updated", type: "payment", data: { id: "123" } },
+  });
+  assert.deepEqual(mp, { providerEventId: "555", eventType: "payment.updated", resourceId: "123" });
+
+  const payload = { event: { type: "bill_paid", created_at: "2026-10-19", data: { bill: { id: 9 } } } };
+  const a = vindiEventIdentity(payload);
+  const b = vindiEventIdentity(JSON.parse(JSON.stringify(payload)));
+  assert.equal(a.providerEventId, b.providerEventId);
+  assert.equal(a.eventType, "bill_paid");
+  assert.equal(a.resourceId, "bill:9");
+});
+
+test("assinatura inválida grava evento rejeitado sem processar", async () => {
+  const db = inboxDb();
+  let calls = 0;
+  const result = await ingestWebhookEvent({
+    provider: "mercadopago",
+    endpoint: "payments",
+    signatureStatus: "invalid",
+    identity: { providerEventId: "1", eventType: "payment", resourceId: "123" },
+    payload: {},
+    handler: async () => { calls += 1; },
+  }, { pgClient: db });
+
+  assert.equal(result.outcome, "rejected");
+  assert.equal(calls, 0);
+  assert.equal(db.rows[0].status, "rejected");
+});
+
+test("segredo não configurado rejeita o evento em produção e só passa fora dela", async () => {
+  const input = (handler) => ({
+    provider: "tray",
+    endpoint: "notifications",
+    signatureStatus: "not_configured",
+    identity: { providerEventId: "order:10:update", eventType: "order", resourceId: "10" },
+    payload: {},
+    handler,
+  });
+  let calls = 0;
+  const handler = async () => { calls += 1; return { ok: true }; };
+
+  await withEnv({ NODE_ENV: "production" }, async () => {
+    const db = inboxDb();
+    const result = await ingestWebhookEvent(input(handler), { pgClient: db });
+    assert.equal(result.outcome, "rejected");
+    assert.equal(result.reason, "signature_not_configured");
+    assert.equal(db.rows[0].status, "rejected");
+    assert.equal(calls, 0);
+  });
+
+  await withEnv({ NODE_ENV: "development" }, async () => {
+    const result = await ingestWebhookEvent(input(handler), { pgClient: inboxDb() });
+    assert.equal(result.outcome, "processed");
+    assert.equal(calls, 1);
+  });
+});
+
+test("reentrega do mesmo evento fica como duplicate e não reprocessa", async () => {
+  const db = inboxDb();
+  let calls = 0;
+  const input = {
+    provider: "vindi",
+    endpoint: "payments",
+    signatureStatus: "valid",
+    identity: { providerEventId: "sha256:abc", eventType: "bill_paid", resourceId: "bill:9" },
+    payload: { type: "bill_paid" },
+    handler: async () => { calls += 1; return { ok: true }; },
+  };
+
+  const first = await ingestWebhookEvent(input, { pgClient: db });
+  const second = await ingestWebhookEvent(input, { pgClient: db });
+
+  assert.equal(first.outcome, "processed");
+  assert.equal(second.outcome, "duplicate");
+  assert.equal(calls, 1);
+  assert.deepEqual(db.rows.map((r) => r.status), ["processed", "duplicate"]);
+  assert.equal(db.rows[1].duplicate_of, db.rows[0].id);
+});
+
+test("reentrega de evento que falhou tenta processar o original de novo", async () => {
+  const db = inboxDb();
+  let calls = 0;
+  const input = {
+    provider: "mercadopago",
+    endpoint: "payments",
+    signatureStatus: "valid",
+    identity: { providerEventId: "777", eventType: "payment.updated", resourceId: "123" },
+    payload: {},
+    handler: async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error("mp down"), { code: "ECONNRESET" });
+      return { status: "approved" };
+    },
+  };
+
+  const first = await ingestWebhookEvent(input, { pgClient: db });
+  assert.equal(first.outcome, "failed");
+  assert.equal(db.rows[0].last_error, "ECONNRESET");
+
+  const retry = await ingestWebhookEvent(input, { pgClient: db });
+  assert.equal(retry.outcome, "processed");
+  assert.equal(calls, 2);
+  assert.equal(db.rows[0].status, "processed");
+  assert.equal(db.rows[0].attempts, 2);
+});
+
+test("reprocessamento do admin encontra o handler da Tray e processa o evento que falhou", async () => {
+  const { getWebhookReprocessHandler } = await withEnv(TEST_SECRETS, () => import("../src/routes/admin_webhooks.js"));
+  const { processTrayNotificationEvent } = await import("../src/routes/integrations_tray.js");
+  const db = inboxDb();
+  const payload = { scope_name: "product", scope_id: "55", act: "update", seller_id: "1" };
+
+  const first = await ingestWebhookEvent({
+    provider: "tray",
+    endpoint: "notifications",
+    signatureStatus: "valid",
+    identity: trayEventIdentity(payload),
+    payload,
+    handler: async () => { throw Object.assign(new Error("tray down"), { code: "tray_adapter_error" }); },
+  }, { pgClient: db });
+  assert.equal(first.outcome, "failed");
+
+  const handler = getWebhookReprocessHandler(db.rows[0]);
+  assert.equal(handler, processTrayNotificationEvent);
+  const processed = await processWebhookEvent(db.rows[0].id, handler, { pgClient: db });
+  assert.deepEqual(processed, { ok: true, skipped: false, result: { ignored: "scope_not_handled" } });
+  assert.equal(db.rows[0].status, "processed");
+  assert.equal(getWebhookReprocessHandler({ provider: "tray", endpoint: "outro" }), null);
+});